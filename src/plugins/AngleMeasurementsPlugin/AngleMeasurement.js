@@ -104,6 +104,11 @@ class AngleMeasurement extends Component {
             this._needUpdate(0); // No lag
         });
 
+        this._onMetricsPrecision = scene.metrics.on("precision", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
         this.visible = cfg.visible;
 
         this.originVisible = cfg.originVisible;
@@ -193,10 +198,6 @@ class AngleMeasurement extends Component {
             var j = 0;
 
             const metrics = this.plugin.viewer.scene.metrics;
-            const scale = metrics.scale;
-            const units = metrics.units;
-            const unitInfo = metrics.unitsInfo[units];
-            const unitAbbrev = unitInfo.abbrev;
 
             for (var i = 0, len = pp.length; i < len; i += 4) {
                 cp[j] = left + Math.floor((1 + pp[i + 0] / pp[i + 3]) * canvasWidth / 2);
@@ -226,7 +227,7 @@ class AngleMeasurement extends Component {
                 math.normalizeVec3(targetVec);
                 var angle = Math.abs(math.angleVec3(originVec, targetVec));
                 this._angle = angle / math.DEGTORAD;
-                this._angleLabel.setText("" + this._angle.toFixed(2) + "°");
+                this._angleLabel.setText(metrics.formatAngle(this._angle));
             } else {
                 this._angleLabel.setText("");
             }
@@ -445,6 +446,9 @@ class AngleMeasurement extends Component {
         if (this._onCanvasBoundary) {
             scene.canvas.off(this._onCanvasBoundary);
         }
+        if (this._onMetricsPrecision) {
+            scene.metrics.off(this._onMetricsPrecision);
+        }
 
         this._originDot.destroy();
         this._cornerDot.destroy();
@@ -1,5 +1,6 @@
 import {Component} from "../../viewer/scene/Component.js";
 import {math} from "../../viewer/scene/math/math.js";
+import {Snapper} from "../lib/snapping/Snapper.js";
 
 const HOVERING = 0;
 const FINDING_ORIGIN = 1;
@@ -13,6 +14,11 @@ const FINDING_TARGET = 3;
  *
  * Once the AngleMeasurementControl is activated, the first click on any {@link Entity} begins constructing a {@link AngleMeasurement}, fixing its origin to that Entity. The next click on any Entity will complete the AngleMeasurement, fixing its target to that second Entity. The AngleMeasurementControl will then wait for the next click on any Entity, to begin constructing another AngleMeasurement, and so on, until deactivated.
  *
+ * While {@link AngleMeasurementsControl#snapping} is enabled, the origin, corner and target snap to the nearest vertex, edge midpoint
+ * or edge of the Entity under the pointer, within {@link AngleMeasurementsControl#snapRadius} pixels, and a dot shows where
+ * they will snap to. This only works for models that were loaded with ````readableGeometry: true````, since snapping needs
+ * their geometry arrays.
+ *
  * See {@link AngleMeasurementsPlugin} for more info.
  */
 class AngleMeasurementsControl extends Component {
@@ -20,7 +26,7 @@ class AngleMeasurementsControl extends Component {
     /**
      * @private
      */
-    constructor(plugin) {
+    constructor(plugin, cfg = {}) {
 
         super(plugin.viewer.scene);
 
@@ -38,6 +44,56 @@ class AngleMeasurementsControl extends Component {
         this._onPickedSurface = null;
         this._onHoverNothing = null;
         this._onPickedNothing = null;
+
+        this._snapper = new Snapper(plugin.viewer, {
+            container: cfg.container,
+            enabled: cfg.snapping,
+            radius: cfg.snapRadius
+        });
+    }
+
+    /**
+     * Sets whether the ends of each {@link AngleMeasurement} snap to the nearest vertex, edge midpoint or edge.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    set snapping(value) {
+        this._snapper.enabled = value;
+    }
+
+    /**
+     * Gets whether the ends of each {@link AngleMeasurement} snap to the nearest vertex, edge midpoint or edge.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    get snapping() {
+        return this._snapper.enabled;
+    }
+
+    /**
+     * Sets the radius, in canvas pixels, within which to snap to vertices, edge midpoints and edges.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    set snapRadius(value) {
+        this._snapper.radius = value;
+    }
+
+    /**
+     * Gets the radius, in canvas pixels, within which to snap to vertices, edge midpoints and edges.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    get snapRadius() {
+        return this._snapper.radius;
     }
 
     /** Gets if this AngleMeasurementsControl is currently active, where it is responding to input.
@@ -67,7 +123,9 @@ class AngleMeasurementsControl extends Component {
 
             over = true;
             entity = e.entity;
-            worldPos.set(e.worldPos);
+
+            const snapType = this._snapper.snap(e.entity, e.worldPos, worldPos);
+            this._snapper.showIndicator(worldPos, snapType);
 
             if (this._state === HOVERING) {
                 document.body.style.cursor = "pointer";
@@ -82,7 +140,7 @@ class AngleMeasurementsControl extends Component {
                         this._currentAngleMeasurement.cornerVisible = true;
                         this._currentAngleMeasurement.angleVisible = false;
                         this._currentAngleMeasurement.corner.entity = e.entity;
-                        this._currentAngleMeasurement.corner.worldPos = e.worldPos;
+                        this._currentAngleMeasurement.corner.worldPos = worldPos;
                         document.body.style.cursor = "pointer";
                         break;
                     case FINDING_TARGET:
@@ -90,7 +148,7 @@ class AngleMeasurementsControl extends Component {
                         this._currentAngleMeasurement.targetVisible = true;
                         this._currentAngleMeasurement.angleVisible = true;
                         this._currentAngleMeasurement.target.entity = e.entity;
-                        this._currentAngleMeasurement.target.worldPos = e.worldPos;
+                        this._currentAngleMeasurement.target.worldPos = worldPos;
                         document.body.style.cursor = "pointer";
                         break;
                 }
@@ -187,6 +245,7 @@ class AngleMeasurementsControl extends Component {
 
         this._onHoverNothing = cameraControl.on("hoverOff", e => {
             over = false;
+            this._snapper.hideIndicator();
             if (this._currentAngleMeasurement) {
                 switch (this._state) {
                     case HOVERING:
@@ -240,6 +299,8 @@ class AngleMeasurementsControl extends Component {
 
         this._currentAngleMeasurement = null;
 
+        this._snapper.hideIndicator();
+
         this._active = false;
     }
 
@@ -271,6 +332,7 @@ class AngleMeasurementsControl extends Component {
      */
     destroy() {
         this.deactivate();
+        this._snapper.destroy();
         super.destroy();
     }
 
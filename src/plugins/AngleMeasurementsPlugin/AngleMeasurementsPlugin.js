@@ -1,6 +1,7 @@
 import {Plugin} from "../../viewer/Plugin.js";
 import {AngleMeasurement} from "./AngleMeasurement.js";
 import {AngleMeasurementsControl} from "./AngleMeasurementsControl.js";
+import {getMarkerJSON, getMarkerParams} from "../lib/markers/markerJSON.js";
 
 /**
  * {@link Viewer} plugin for measuring angles.
@@ -17,8 +18,10 @@ import {AngleMeasurementsControl} from "./AngleMeasurementsControl.js";
  * * As shown on the screen capture above, a AngleMeasurement has two wires that show the line segments, with a label that shows the angle between them.
  * * Create AngleMeasurements programmatically with {@link AngleMeasurementsPlugin#createMeasurement}.
  * * Create AngleMeasurements interactively using the {@link AngleMeasurementsControl}, located at {@link AngleMeasurementsPlugin#control}.
+ * * The AngleMeasurementsControl snaps to the nearest vertex, edge midpoint or edge, for models loaded with ````readableGeometry: true````.
  * * Existing AngleMeasurements are registered by ID in {@link AngleMeasurementsPlugin#measurements}.
  * * Destroy AngleMeasurements using {@link AngleMeasurementsPlugin#destroyMeasurement}.
+ * * Save and load AngleMeasurements as JSON using {@link AngleMeasurementsPlugin#getJSON} and {@link AngleMeasurementsPlugin#loadJSON}.
  * * Configure global measurement units and scale via {@link Metrics}, located at {@link Scene#metrics}
  *
  * ## Example 1: Creating AngleMeasurements Programmatically
@@ -127,6 +130,41 @@ import {AngleMeasurementsControl} from "./AngleMeasurementsControl.js";
  *
  * angleMeasurements.control.activate();  // <------------ Activate the AngleMeasurementsControl
  * ````
+ *
+ * ## Example 3: Saving and Loading AngleMeasurements
+ *
+ * In our third example, we'll save our AngleMeasurements as JSON, so that we can store them with our project, then
+ * later load them again, after we've loaded the model they were made on.
+ *
+ * Each AngleMeasurement is saved with the World-space positions of its origin, corner and target, the IDs of the
+ * {@link Entity}s they're on, and its visibility flags. Its ````angle```` is saved too, in degrees, for applications that
+ * want to list the measurements without loading them; ````loadJSON```` ignores it, since it's measured again.
+ *
+ * ````JavaScript
+ * const json = angleMeasurements.getJSON();
+ *
+ * // {
+ * //     measurements: [{
+ * //         id: "myAngleMeasurement1",
+ * //         origin: { worldPos: [0.044, 5.998, 17.767], entity: "2O2Fr$t4X7Zf8NOew3FLOH" },
+ * //         corner: { worldPos: [0.044, 3.172, 17.767], entity: "2O2Fr$t4X7Zf8NOew3FLOH" },
+ * //         target: { worldPos: [4.738, 3.172, 17.768], entity: "2O2Fr$t4X7Zf8NOew3FLOH" },
+ * //         visible: true,
+ * //         originVisible: true,
+ * //         cornerVisible: true,
+ * //         targetVisible: true,
+ * //         originWireVisible: true,
+ * //         targetWireVisible: true,
+ * //         angleVisible: true,
+ * //         angle: 89.99
+ * //     }]
+ * // }
+ *
+ * //...
+ *
+ * angleMeasurements.clear();
+ * angleMeasurements.loadJSON(json);
+ * ````
  */
 class AngleMeasurementsPlugin extends Plugin {
 
@@ -136,6 +174,8 @@ class AngleMeasurementsPlugin extends Plugin {
      * @param {Object} [cfg]  Plugin configuration.
      * @param {String} [cfg.id="AngleMeasurements"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
      * @param {HTMLElement} [cfg.container] Container DOM element for markers and labels. Defaults to ````document.body````.
+     * @param {Boolean} [cfg.snapping=true] Whether the {@link AngleMeasurementsControl} snaps the ends of each {@link AngleMeasurement} to the nearest vertex, edge midpoint or edge. See {@link AngleMeasurementsControl#snapping}.
+     * @param {Number} [cfg.snapRadius=10] Radius, in canvas pixels, within which the {@link AngleMeasurementsControl} snaps. See {@link AngleMeasurementsControl#snapRadius}.
     */
     constructor(viewer, cfg = {}) {
 
@@ -143,7 +183,11 @@ class AngleMeasurementsPlugin extends Plugin {
 
         this._container = cfg.container || document.body;
 
-        this._control = new AngleMeasurementsControl(this);
+        this._control = new AngleMeasurementsControl(this, {
+            container: this._container,
+            snapping: cfg.snapping,
+            snapRadius: cfg.snapRadius
+        });
 
         this._measurements = {};
     }
@@ -176,6 +220,8 @@ class AngleMeasurementsPlugin extends Plugin {
     /**
      * Creates an {@link AngleMeasurement}.
      *
+     * Fires a "measurementCreated" event with the new {@link AngleMeasurement}.
+     *
      * The AngleMeasurement is then registered by {@link AngleMeasurement#id} in {@link AngleMeasurementsPlugin#measurements}.
      *
      * @param {Object} params {@link AngleMeasurement} configuration.
@@ -187,6 +233,12 @@ class AngleMeasurementsPlugin extends Plugin {
      * @param {Number[]} params.target.worldPos Target World-space 3D position.
      * @param {Entity} params.target.entity Target Entity.
      * @param {Boolean} [params.visible=true] Whether to initially show the {@link AngleMeasurement}.
+     * @param {Boolean} [params.originVisible=true] Whether to initially show the {@link AngleMeasurement} origin.
+     * @param {Boolean} [params.cornerVisible=true] Whether to initially show the {@link AngleMeasurement} corner.
+     * @param {Boolean} [params.targetVisible=true] Whether to initially show the {@link AngleMeasurement} target.
+     * @param {Boolean} [params.originWireVisible=true] Whether to initially show the wire between the {@link AngleMeasurement} origin and corner.
+     * @param {Boolean} [params.targetWireVisible=true] Whether to initially show the wire between the {@link AngleMeasurement} corner and target.
+     * @param {Boolean} [params.angleVisible=true] Whether to initially show the {@link AngleMeasurement} angle label.
      * @returns {AngleMeasurement} The new {@link AngleMeasurement}.
      */
     createMeasurement(params = {}) {
@@ -215,22 +267,27 @@ class AngleMeasurementsPlugin extends Plugin {
             },
 
             visible: params.visible,
-            originVisible: true,
-            originWireVisible: true,
-            cornerVisible: true,
-            targetWireVisible: true,
-            targetVisible: true,
+            originVisible: params.originVisible,
+            originWireVisible: params.originWireVisible,
+            cornerVisible: params.cornerVisible,
+            targetWireVisible: params.targetWireVisible,
+            targetVisible: params.targetVisible,
+            angleVisible: params.angleVisible
         });
         this._measurements[measurement.id] = measurement;
         measurement.on("destroyed", () => {
             delete this._measurements[measurement.id];
+            this.fire("measurementDestroyed", measurement);
         });
+        this.fire("measurementCreated", measurement);
         return measurement;
     }
 
     /**
      * Destroys a {@link AngleMeasurement}.
      *
+     * Fires a "measurementDestroyed" event with the {@link AngleMeasurement}.
+     *
      * @param {String} id ID of AngleMeasurement to destroy.
      */
     destroyMeasurement(id) {
@@ -252,6 +309,72 @@ class AngleMeasurementsPlugin extends Plugin {
         }
     }
 
+    /**
+     * Gets the existing {@link AngleMeasurement}s as JSON.
+     *
+     * See the class comments for the format.
+     *
+     * @returns {{measurements: Object[]}} The AngleMeasurements, as JSON.
+     */
+    getJSON() {
+        const measurements = [];
+        for (const id in this._measurements) {
+            if (this._measurements.hasOwnProperty(id)) {
+                const measurement = this._measurements[id];
+                measurements.push({
+                    id: measurement.id,
+                    origin: getMarkerJSON(measurement.origin),
+                    corner: getMarkerJSON(measurement.corner),
+                    target: getMarkerJSON(measurement.target),
+                    visible: measurement.visible,
+                    originVisible: measurement.originVisible,
+                    cornerVisible: measurement.cornerVisible,
+                    targetVisible: measurement.targetVisible,
+                    originWireVisible: measurement.originWireVisible,
+                    targetWireVisible: measurement.targetWireVisible,
+                    angleVisible: measurement.angleVisible,
+                    angle: measurement.angle
+                });
+            }
+        }
+        return {
+            measurements: measurements
+        };
+    }
+
+    /**
+     * Creates {@link AngleMeasurement}s from JSON, as given by {@link AngleMeasurementsPlugin#getJSON}.
+     *
+     * Replaces any existing AngleMeasurements that have the same IDs. Each origin, corner and target is attached to
+     * the {@link Entity} that has the saved ID, if that Entity currently exists.
+     *
+     * Fires a "measurementCreated" event for each new {@link AngleMeasurement}.
+     *
+     * @param {{measurements: Object[]}} json The AngleMeasurements, as JSON.
+     */
+    loadJSON(json) {
+        const measurements = json.measurements || [];
+        for (let i = 0, len = measurements.length; i < len; i++) {
+            const params = measurements[i];
+            if (this._measurements[params.id]) {
+                this.destroyMeasurement(params.id);
+            }
+            this.createMeasurement({
+                id: params.id,
+                origin: getMarkerParams(this, params.origin),
+                corner: getMarkerParams(this, params.corner),
+                target: getMarkerParams(this, params.target),
+                visible: params.visible,
+                originVisible: params.originVisible,
+                cornerVisible: params.cornerVisible,
+                targetVisible: params.targetVisible,
+                originWireVisible: params.originWireVisible,
+                targetWireVisible: params.targetWireVisible,
+                angleVisible: params.angleVisible
+            });
+        }
+    }
+
     /**
      * Destroys this AngleMeasurementsPlugin.
      *
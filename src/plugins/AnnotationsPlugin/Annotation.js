@@ -1,5 +1,6 @@
 import {Marker} from "../../viewer/scene/marker/Marker.js";
 import {utils} from "../../viewer/scene/utils.js";
+import {getMarkerJSON} from "../lib/markers/markerJSON.js";
 
 /**
  * A {@link Marker} with an HTML label attached to it, managed by an {@link AnnotationsPlugin}.
@@ -280,6 +281,28 @@ class Annotation extends Marker {
         return this._labelShown;
     }
 
+    /**
+     * Gets the HTML template for this Annotation's marker.
+     *
+     * See {@link AnnotationsPlugin} for more info.
+     *
+     * @returns {String} The marker's HTML template, or ````undefined```` when the marker is an existing element that we gave as ````markerElement````.
+     */
+    getMarkerHTML() {
+        return this._markerHTML;
+    }
+
+    /**
+     * Gets the HTML template for this Annotation's label.
+     *
+     * See {@link AnnotationsPlugin} for more info.
+     *
+     * @returns {String} The label's HTML template, or ````undefined```` when the label is an existing element that we gave as ````labelElement````.
+     */
+    getLabelHTML() {
+        return this._labelHTML;
+    }
+
     /**
      * Sets the value of a field within the HTML templates for either the Annotation's marker or label.
      *
@@ -332,6 +355,39 @@ class Annotation extends Marker {
         return this._values;
     }
 
+    /**
+     * Gets this Annotation as JSON.
+     *
+     * See {@link AnnotationsPlugin} for the format.
+     *
+     * @returns {Object} This Annotation, as JSON.
+     */
+    getJSON() {
+        const json = getMarkerJSON(this);
+        json.id = this.id;
+        json.occludable = this.occludable;
+        json.markerShown = this.getMarkerShown();
+        json.labelShown = this.getLabelShown();
+        json.values = utils.apply(this._values, {});
+        if (this._markerExternal) {
+            json.markerElementId = this._marker.id;
+        } else {
+            json.markerHTML = this._markerHTML;
+        }
+        if (this._labelExternal) {
+            json.labelElementId = this._label.id;
+        } else {
+            json.labelHTML = this._labelHTML;
+        }
+        if (this.eye) {
+            json.eye = Array.from(this.eye);
+            json.look = Array.from(this.look);
+            json.up = Array.from(this.up);
+            json.projection = this.projection;
+        }
+        return json;
+    }
+
     /**
      * Destroys this Annotation.
      *
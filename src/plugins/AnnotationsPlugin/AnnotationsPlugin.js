@@ -2,6 +2,7 @@ import {Plugin} from "../../viewer/Plugin.js";
 import {Annotation} from "./Annotation.js";
 import {utils} from "../../viewer/scene/utils.js";
 import {math} from "../../viewer/scene/math/math.js";
+import {Snapper} from "../lib/snapping/Snapper.js";
 
 const tempVec3a = math.vec3();
 const tempVec3b = math.vec3();
@@ -371,6 +372,59 @@ const tempVec3c = math.vec3();
  * Another thing we can do to prevent this unwanted occlusion is keep the distance between the view-space clipping
  * planes to a minimum, which improves the accuracy of the Annotation occlusion test. In general, a good default
  * value for ````Perspective#far```` and ````Ortho#far```` is around ````2.000````.
+ *
+ * ## Snapping Annotations to Vertices and Edges
+ *
+ * While {@link AnnotationsPlugin#snapping} is enabled, which it is by default, Annotations that we create with a {@link PickResult}
+ * snap to the nearest vertex, edge midpoint or edge of the picked {@link Entity}, within {@link AnnotationsPlugin#snapRadius} pixels
+ * of the picked position, before being offset from the surface. This only works for models that were loaded with
+ * ````readableGeometry: true````, since snapping needs their geometry arrays.
+ *
+ * Unlike the {@link DistanceMeasurementsControl} and {@link AngleMeasurementsControl}, the AnnotationsPlugin doesn't track
+ * the pointer, so it shows no dot where an Annotation will snap to. Disable snapping to place Annotations exactly at
+ * the picked positions.
+ *
+ * ````javascript
+ * annotations.snapping = false;
+ * annotations.snapRadius = 10; // Default value
+ * ````
+ *
+ * ## Saving and Loading Annotations
+ *
+ * We can save our Annotations as JSON with {@link AnnotationsPlugin#getJSON}, so that we can store them with our project, then
+ * later load them again with {@link AnnotationsPlugin#loadJSON}, after we've loaded the model they were made on.
+ *
+ * Each Annotation is saved with its World-space position, the ID of its {@link Entity}, whether its marker and label are shown,
+ * its template values and HTML templates, and its camera position, if it has one. Annotations that were created with
+ * externally-created DOM elements are saved with the IDs of those elements instead of HTML templates, so those elements
+ * need to exist again when we load the Annotations.
+ *
+ * ````javascript
+ * const json = annotations.getJSON();
+ *
+ * // {
+ * //     annotations: [{
+ * //         id: "myAnnotation",
+ * //         worldPos: [0, 0, 0],
+ * //         entity: "2O2Fr$t4X7Zf8NOew3FLOH",
+ * //         occludable: true,
+ * //         markerShown: true,
+ * //         labelShown: true,
+ * //         values: { glyph: "A", title: "My Annotation", description: "This is my annotation." },
+ * //         markerHTML: "<div class='annotation-marker' style='background-color: {{markerBGColor}};'>{{glyph}}</div>",
+ * //         labelHTML: "<div class='annotation-label' style='background-color: {{labelBGColor}};'>...</div>",
+ * //         eye: [-2.37, 18.97, -26.12],
+ * //         look: [10.97, 5.82, -11.22],
+ * //         up: [0.36, 0.83, 0.40],
+ * //         projection: "perspective"
+ * //     }]
+ * // }
+ *
+ * //...
+ *
+ * annotations.clear();
+ * annotations.loadJSON(json);
+ * ````
  */
 class AnnotationsPlugin extends Plugin {
 
@@ -385,6 +439,8 @@ class AnnotationsPlugin extends Plugin {
      * @param {{String:(String|Number)}} [cfg.values={}] Map of default values to insert into the HTML templates for the marker and label.
      * @param {Number}  [cfg.surfaceOffset=0.3] The amount by which each {@link Annotation} is offset from the surface of
      * its {@link Entity} when we create the Annotation by supplying a {@link PickResult} to {@link AnnotationsPlugin#createAnnotation}.
+     * @param {Boolean} [cfg.snapping=true] Whether Annotations created with a {@link PickResult} snap to the nearest vertex, edge midpoint or edge. See {@link AnnotationsPlugin#snapping}.
+     * @param {Number} [cfg.snapRadius=10] Radius, in canvas pixels, within which Annotations snap. See {@link AnnotationsPlugin#snapRadius}.
      */
     constructor(viewer, cfg) {
 
@@ -402,6 +458,12 @@ class AnnotationsPlugin extends Plugin {
         this.annotations = {};
 
         this.surfaceOffset = cfg.surfaceOffset;
+
+        this._snapper = new Snapper(viewer, {
+            container: this._container,
+            enabled: cfg.snapping,
+            radius: cfg.snapRadius
+        });
     }
 
     /**
@@ -445,9 +507,57 @@ class AnnotationsPlugin extends Plugin {
         return this._surfaceOffset;
     }
 
+    /**
+     * Sets whether each {@link Annotation} that we create with a {@link PickResult} snaps to the nearest vertex, edge midpoint
+     * or edge of the picked {@link Entity}.
+     *
+     * This is ````true```` by default.
+     *
+     * @type {Boolean}
+     */
+    set snapping(value) {
+        this._snapper.enabled = value;
+    }
+
+    /**
+     * Gets whether each {@link Annotation} that we create with a {@link PickResult} snaps to the nearest vertex, edge midpoint
+     * or edge of the picked {@link Entity}.
+     *
+     * This is ````true```` by default.
+     *
+     * @type {Boolean}
+     */
+    get snapping() {
+        return this._snapper.enabled;
+    }
+
+    /**
+     * Sets the radius, in canvas pixels, within which each {@link Annotation} snaps to vertices, edge midpoints and edges.
+     *
+     * This is ````10```` by default.
+     *
+     * @type {Number}
+     */
+    set snapRadius(value) {
+        this._snapper.radius = value;
+    }
+
+    /**
+     * Gets the radius, in canvas pixels, within which each {@link Annotation} snaps to vertices, edge midpoints and edges.
+     *
+     * This is ````10```` by default.
+     *
+     * @type {Number}
+     */
+    get snapRadius() {
+        return this._snapper.radius;
+    }
+
     /**
      * Creates an {@link Annotation}.
      *
+     * Fires a "annotationCreated" event with the new {@link Annotation}.
+     *
      * The Annotation is then registered by {@link Annotation#id} in {@link AnnotationsPlugin#annotations}.
      *
      * @param {Object} params Annotation configuration.
@@ -458,7 +568,7 @@ class AnnotationsPlugin extends Plugin {
      * @param {String} [params.labelHTML] HTML text template for the Annotation label. Defaults to the label HTML given to the AnnotationsPlugin constructor. Ignored if you provide ````labelElementId````.
      * @param {Number[]} [params.worldPos=[0,0,0]] World-space position of the Annotation marker, assigned to {@link Annotation#worldPos}.
      * @param {Entity} [params.entity] Optional {@link Entity} to associate the Annotation with. Causes {@link Annotation#visible} to be ````false```` whenever {@link Entity#visible} is also ````false````.
-     * @param {PickResult} [params.pickResult] Sets the Annotation's World-space position and direction vector from the given {@link PickResult}'s {@link PickResult#worldPos} and {@link PickResult#worldNormal}, and the Annotation's Entity from {@link PickResult#entity}. Causes ````worldPos```` and ````entity```` parameters to be ignored, if they are also given.
+     * @param {PickResult} [params.pickResult] Sets the Annotation's World-space position and direction vector from the given {@link PickResult}'s {@link PickResult#worldPos} and {@link PickResult#worldNormal}, and the Annotation's Entity from {@link PickResult#entity}. Causes ````worldPos```` and ````entity```` parameters to be ignored, if they are also given. The position snaps to the nearest vertex, edge midpoint or edge while {@link AnnotationsPlugin#snapping} is enabled.
      * @param {Boolean} [params.occludable=false] Indicates whether or not the {@link Annotation} marker and label are hidden whenever the marker occluded by {@link Entity}s in the {@link Scene}. The
      * {@link Scene} periodically occlusion-tests all Annotations on every 20th "tick" (which represents a rendered frame). We can adjust that frequency via property {@link Scene#ticksPerOcclusionTest}.
      * @param  {{String:(String|Number)}} [params.values={}] Map of values to insert into the HTML templates for the marker and label. These will be inserted in addition to any values given to the AnnotationsPlugin constructor.
@@ -485,7 +595,9 @@ class AnnotationsPlugin extends Plugin {
             } else {
                 const normalizedWorldNormal = math.normalizeVec3(pickResult.worldNormal, tempVec3a);
                 const offsetVec = math.mulVec3Scalar(normalizedWorldNormal, this._surfaceOffset, tempVec3b);
-                const offsetWorldPos = math.addVec3(pickResult.worldPos, offsetVec, tempVec3c);
+                const snappedWorldPos = tempVec3c;
+                this._snapper.snap(pickResult.entity, pickResult.worldPos, snappedWorldPos);
+                const offsetWorldPos = math.addVec3(snappedWorldPos, offsetVec, snappedWorldPos);
                 worldPos = offsetWorldPos;
                 entity = pickResult.entity;
             }
@@ -532,13 +644,17 @@ class AnnotationsPlugin extends Plugin {
         this.annotations[annotation.id] = annotation;
         annotation.on("destroyed", () => {
             delete this.annotations[annotation.id];
+            this.fire("annotationDestroyed", annotation);
         });
+        this.fire("annotationCreated", annotation);
         return annotation;
     }
 
     /**
      * Destroys an {@link Annotation}.
      *
+     * Fires a "annotationDestroyed" event with the {@link Annotation}.
+     *
      * @param {String} id ID of Annotation to destroy.
      */
     destroyAnnotation(id) {
@@ -560,6 +676,69 @@ class AnnotationsPlugin extends Plugin {
         }
     }
 
+    /**
+     * Gets the existing {@link Annotation}s as JSON.
+     *
+     * See the class comments for the format.
+     *
+     * @returns {{annotations: Object[]}} The Annotations, as JSON.
+     */
+    getJSON() {
+        const annotations = [];
+        for (const id in this.annotations) {
+            if (this.annotations.hasOwnProperty(id)) {
+                annotations.push(this.annotations[id].getJSON());
+            }
+        }
+        return {
+            annotations: annotations
+        };
+    }
+
+    /**
+     * Creates {@link Annotation}s from JSON, as given by {@link AnnotationsPlugin#getJSON}.
+     *
+     * Replaces any existing Annotations that have the same IDs. Each Annotation is attached to the {@link Entity} that
+     * has the saved ID, if that Entity currently exists.
+     *
+     * Fires an "annotationCreated" event for each new {@link Annotation}.
+     *
+     * @param {{annotations: Object[]}} json The Annotations, as JSON.
+     */
+    loadJSON(json) {
+        const annotations = json.annotations || [];
+        for (let i = 0, len = annotations.length; i < len; i++) {
+            const params = annotations[i];
+            if (this.annotations[params.id]) {
+                this.destroyAnnotation(params.id);
+            }
+            let entity;
+            if (params.entity) {
+                entity = this.viewer.scene.objects[params.entity];
+                if (!entity) {
+                    this.warn("Object not found: " + params.entity);
+                }
+            }
+            this.createAnnotation({
+                id: params.id,
+                worldPos: params.worldPos,
+                entity: entity,
+                occludable: params.occludable,
+                markerShown: params.markerShown,
+                labelShown: params.labelShown,
+                values: params.values,
+                markerElementId: params.markerElementId,
+                labelElementId: params.labelElementId,
+                markerHTML: params.markerHTML,
+                labelHTML: params.labelHTML,
+                eye: params.eye,
+                look: params.look,
+                up: params.up,
+                projection: params.projection
+            });
+        }
+    }
+
     /**
      * Destroys this AnnotationsPlugin.
      *
@@ -567,6 +746,7 @@ class AnnotationsPlugin extends Plugin {
      */
     destroy() {
         this.clear();
+        this._snapper.destroy();
         super.destroy();
     }
 }
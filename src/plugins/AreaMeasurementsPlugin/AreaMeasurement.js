@@ -0,0 +1,416 @@
+import {Marker} from "../../viewer/scene/marker/Marker.js";
+import {Wire} from "../lib/html/Wire.js";
+import {Dot} from "../lib/html/Dot.js";
+import {Label} from "../lib/html/Label.js";
+import {Polygon} from "../lib/html/Polygon.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {Component} from "../../viewer/scene/Component.js";
+
+const tempVec3a = math.vec3();
+const tempVec3b = math.vec3();
+const tempVec3c = math.vec3();
+const tempVec4a = math.vec4();
+const tempVec4b = math.vec4();
+
+/**
+ * @desc Measures the area and perimeter of a polygon given by 3D points on the surfaces of {@link Entity}s.
+ *
+ * The points should lie in a plane, and the polygon should not intersect itself.
+ *
+ * See {@link AreaMeasurementsPlugin} for more info.
+ */
+class AreaMeasurement extends Component {
+
+    /**
+     * @private
+     */
+    constructor(plugin, cfg = {}) {
+
+        super(plugin.viewer.scene, cfg);
+
+        /**
+         * The {@link AreaMeasurementsPlugin} that owns this AreaMeasurement.
+         * @type {AreaMeasurementsPlugin}
+         */
+        this.plugin = plugin;
+
+        this._container = cfg.container;
+        if (!this._container) {
+            throw "config missing: container";
+        }
+
+        const scene = this.plugin.viewer.scene;
+
+        this._markers = [];
+        this._markerSubs = [];
+        this._dots = [];
+        this._wires = [];
+
+        this._polygon = new Polygon(this._container, {fillColor: "#00BBFF", opacity: 0.3});
+        this._areaLabel = new Label(this._container, {fillColor: "#00BBFF", prefix: "", text: ""});
+
+        this._cp = [];
+
+        this._cpDirty = false;
+
+        this._visible = false;
+        this._pointsVisible = false;
+        this._fillVisible = false;
+        this._areaVisible = false;
+
+        this._onViewMatrix = scene.camera.on("viewMatrix", () => {
+            this._cpDirty = true;
+            this._needUpdate(0); // No lag
+        });
+
+        this._onProjMatrix = scene.camera.on("projMatrix", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        this._onCanvasBoundary = scene.canvas.on("boundary", () => {
+            this._cpDirty = true;
+            this._needUpdate(0); // No lag
+        });
+
+        this._onMetricsUnits = scene.metrics.on("units", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        this._onMetricsScale = scene.metrics.on("scale", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        this._onMetricsPrecision = scene.metrics.on("precision", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        this._onMetricsUnitsVisible = scene.metrics.on("unitsVisible", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        const points = cfg.points || [];
+        for (let i = 0, len = points.length; i < len; i++) {
+            this.addPoint(points[i]);
+        }
+
+        this.visible = cfg.visible;
+        this.pointsVisible = cfg.pointsVisible;
+        this.fillVisible = cfg.fillVisible;
+        this.areaVisible = cfg.areaVisible;
+    }
+
+    /**
+     * Gets the {@link Marker}s at the corners of this AreaMeasurement's polygon.
+     *
+     * @type {Marker[]}
+     */
+    get points() {
+        return this._markers;
+    }
+
+    /**
+     * Adds a corner to this AreaMeasurement's polygon.
+     *
+     * @param {Object} point The corner.
+     * @param {Number[]} point.worldPos World-space 3D position of the corner.
+     * @param {Entity} [point.entity] {@link Entity} that the corner is on.
+     * @returns {Marker} A {@link Marker} at the new corner.
+     */
+    addPoint(point) {
+        const scene = this.plugin.viewer.scene;
+        const marker = new Marker(scene, {
+            entity: point.entity,
+            worldPos: point.worldPos
+        });
+        this._markers.push(marker);
+        this._markerSubs.push(marker.on("worldPos", () => {
+            this._cpDirty = true;
+            this._needUpdate(0); // No lag
+        }));
+        this._dots.push(new Dot(this._container, {}));
+        this._wires.push(new Wire(this._container, {color: "#00BBFF", thickness: 2}));
+        this._cpDirty = true;
+        this._needUpdate(0);
+        return marker;
+    }
+
+    /**
+     * Removes the last corner from this AreaMeasurement's polygon.
+     */
+    removeLastPoint() {
+        const marker = this._markers.pop();
+        if (!marker) {
+            return;
+        }
+        marker.off(this._markerSubs.pop());
+        marker.destroy();
+        this._dots.pop().destroy();
+        this._wires.pop().destroy();
+        this._cpDirty = true;
+        this._needUpdate(0);
+    }
+
+    _update() {
+
+        if (!this._visible || !this._cpDirty) {
+            return;
+        }
+
+        const scene = this.plugin.viewer.scene;
+        const camera = scene.camera;
+        const markers = this._markers;
+        const numPoints = markers.length;
+        const near = -0.3;
+        const cp = this._cp;
+
+        const canvas = scene.canvas.canvas;
+        const offsets = canvas.getBoundingClientRect();
+        const top = offsets.top;
+        const left = offsets.left;
+        const aabb = scene.canvas.boundary;
+        const canvasWidth = aabb[2];
+        const canvasHeight = aabb[3];
+
+        cp.length = numPoints * 2;
+
+        for (let i = 0; i < numPoints; i++) {
+            const worldPos = markers[i].worldPos;
+            tempVec4a[0] = worldPos[0];
+            tempVec4a[1] = worldPos[1];
+            tempVec4a[2] = worldPos[2];
+            tempVec4a[3] = 1.0;
+            math.transformPoint4(camera.viewMatrix, tempVec4a, tempVec4b);
+            if (tempVec4b[2] > near) { // Behind the camera
+                this._setElementsVisible(false);
+                this._cpDirty = false;
+                return;
+            }
+            math.transformPoint4(camera.project.matrix, tempVec4b, tempVec4a);
+            cp[i * 2] = left + Math.floor((1 + tempVec4a[0] / tempVec4a[3]) * canvasWidth / 2);
+            cp[i * 2 + 1] = top + Math.floor((1 - tempVec4a[1] / tempVec4a[3]) * canvasHeight / 2);
+        }
+
+        let centerX = 0;
+        let centerY = 0;
+
+        for (let i = 0; i < numPoints; i++) {
+            const j = (i + 1) % numPoints;
+            this._dots[i].setPos(cp[i * 2], cp[i * 2 + 1]);
+            this._wires[i].setStartAndEnd(cp[i * 2], cp[i * 2 + 1], cp[j * 2], cp[j * 2 + 1]);
+            centerX += cp[i * 2];
+            centerY += cp[i * 2 + 1];
+        }
+
+        this._polygon.setPoints(cp);
+
+        if (numPoints > 0) {
+            this._areaLabel.setPos(centerX / numPoints, centerY / numPoints);
+        }
+
+        this._areaLabel.setText(scene.metrics.formatArea(this.area));
+
+        this._setElementsVisible(true);
+
+        this._cpDirty = false;
+    }
+
+    /**
+     * @private
+     */
+    _setElementsVisible(visible) {
+        const numPoints = this._markers.length;
+        const isPolygon = (numPoints >= 3);
+        for (let i = 0; i < numPoints; i++) {
+            this._dots[i].setVisible(visible && this._visible && this._pointsVisible);
+            // The closing wire is only shown once there's a polygon
+            this._wires[i].setVisible(visible && this._visible && numPoints >= 2 && (i < numPoints - 1 || isPolygon));
+        }
+        this._polygon.setVisible(visible && this._visible && this._fillVisible && isPolygon);
+        this._areaLabel.setVisible(visible && this._visible && this._areaVisible && isPolygon);
+    }
+
+    /**
+     * Gets the area of this AreaMeasurement's polygon.
+     *
+     * The area is in the units given by {@link Metrics#units}, squared, and scaled by {@link Metrics#scale}.
+     *
+     * @type {Number}
+     */
+    get area() {
+        const scale = this.plugin.viewer.scene.metrics.scale;
+        return getPolygonArea(this._markers) * scale * scale;
+    }
+
+    /**
+     * Gets the perimeter of this AreaMeasurement's polygon.
+     *
+     * The perimeter is in the units given by {@link Metrics#units}, and scaled by {@link Metrics#scale}.
+     *
+     * @type {Number}
+     */
+    get perimeter() {
+        const markers = this._markers;
+        const numPoints = markers.length;
+        if (numPoints < 2) {
+            return 0;
+        }
+        let perimeter = 0;
+        const numEdges = (numPoints === 2) ? 1 : numPoints;
+        for (let i = 0; i < numEdges; i++) {
+            perimeter += math.lenVec3(math.subVec3(markers[(i + 1) % numPoints].worldPos, markers[i].worldPos, tempVec3a));
+        }
+        return perimeter * this.plugin.viewer.scene.metrics.scale;
+    }
+
+    /**
+     * Sets whether this AreaMeasurement is visible or not.
+     *
+     * @type Boolean
+     */
+    set visible(value) {
+        value = value !== false;
+        this._visible = value;
+        this._cpDirty = true;
+        this._setElementsVisible(true);
+        this._needUpdate(0);
+    }
+
+    /**
+     * Gets whether this AreaMeasurement is visible or not.
+     *
+     * @type Boolean
+     */
+    get visible() {
+        return this._visible;
+    }
+
+    /**
+     * Sets if the dots at the corners of the polygon are visible.
+     *
+     * @type {Boolean}
+     */
+    set pointsVisible(value) {
+        value = value !== false;
+        this._pointsVisible = value;
+        this._setElementsVisible(true);
+    }
+
+    /**
+     * Gets if the dots at the corners of the polygon are visible.
+     *
+     * @type {Boolean}
+     */
+    get pointsVisible() {
+        return this._pointsVisible;
+    }
+
+    /**
+     * Sets if the filled overlay of the polygon is visible.
+     *
+     * @type {Boolean}
+     */
+    set fillVisible(value) {
+        value = value !== false;
+        this._fillVisible = value;
+        this._setElementsVisible(true);
+    }
+
+    /**
+     * Gets if the filled overlay of the polygon is visible.
+     *
+     * @type {Boolean}
+     */
+    get fillVisible() {
+        return this._fillVisible;
+    }
+
+    /**
+     * Sets if the area label is visible.
+     *
+     * @type {Boolean}
+     */
+    set areaVisible(value) {
+        value = value !== false;
+        this._areaVisible = value;
+        this._setElementsVisible(true);
+    }
+
+    /**
+     * Gets if the area label is visible.
+     *
+     * @type {Boolean}
+     */
+    get areaVisible() {
+        return this._areaVisible;
+    }
+
+    /**
+     * @private
+     */
+    destroy() {
+
+        const scene = this.plugin.viewer.scene;
+
+        if (this._onViewMatrix) {
+            scene.camera.off(this._onViewMatrix);
+        }
+        if (this._onProjMatrix) {
+            scene.camera.off(this._onProjMatrix);
+        }
+        if (this._onCanvasBoundary) {
+            scene.canvas.off(this._onCanvasBoundary);
+        }
+        if (this._onMetricsUnits) {
+            scene.metrics.off(this._onMetricsUnits);
+        }
+        if (this._onMetricsScale) {
+            scene.metrics.off(this._onMetricsScale);
+        }
+        if (this._onMetricsPrecision) {
+            scene.metrics.off(this._onMetricsPrecision);
+        }
+        if (this._onMetricsUnitsVisible) {
+            scene.metrics.off(this._onMetricsUnitsVisible);
+        }
+
+        while (this._markers.length > 0) {
+            this.removeLastPoint();
+        }
+
+        this._polygon.destroy();
+        this._areaLabel.destroy();
+
+        super.destroy();
+    }
+}
+
+/**
+ * Gets the World-space area of the polygon at the given markers, using Newell's method.
+ * @private
+ */
+function getPolygonArea(markers) {
+    const numPoints = markers.length;
+    if (numPoints < 3) {
+        return 0;
+    }
+    const origin = markers[0].worldPos;
+    let nx = 0;
+    let ny = 0;
+    let nz = 0;
+    for (let i = 1; i < numPoints - 1; i++) {
+        math.subVec3(markers[i].worldPos, origin, tempVec3a);
+        math.subVec3(markers[i + 1].worldPos, origin, tempVec3b);
+        math.cross3Vec3(tempVec3a, tempVec3b, tempVec3c);
+        nx += tempVec3c[0];
+        ny += tempVec3c[1];
+        nz += tempVec3c[2];
+    }
+    return Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+}
+
+export {AreaMeasurement};
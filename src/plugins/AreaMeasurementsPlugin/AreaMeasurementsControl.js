@@ -0,0 +1,264 @@
+import {Component} from "../../viewer/scene/Component.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {Snapper} from "../lib/snapping/Snapper.js";
+
+const HOVERING = 0;
+const FINDING_CORNERS = 1;
+
+/**
+ * Creates {@link AreaMeasurement}s from mouse and touch input.
+ *
+ * Belongs to a {@link AreaMeasurementsPlugin}. Located at {@link AreaMeasurementsPlugin#control}.
+ *
+ * Once the AreaMeasurementsControl is activated, the first click on any {@link Entity} begins constructing an {@link AreaMeasurement}, fixing its first corner to that Entity. Each following click on any Entity fixes another corner. Clicking the first corner again, or clicking empty space, completes the AreaMeasurement, as long as it has at least three corners - otherwise it is discarded. The AreaMeasurementsControl will then wait for the next click on any Entity, to begin constructing another AreaMeasurement, and so on, until deactivated.
+ *
+ * While {@link AreaMeasurementsControl#snapping} is enabled, the corners snap to the nearest vertex, edge midpoint
+ * or edge of the Entity under the pointer, within {@link AreaMeasurementsControl#snapRadius} pixels, and a dot shows where
+ * they will snap to. This only works for models that were loaded with ````readableGeometry: true````, since snapping needs
+ * their geometry arrays.
+ *
+ * See {@link AreaMeasurementsPlugin} for more info.
+ */
+class AreaMeasurementsControl extends Component {
+
+    /**
+     * @private
+     */
+    constructor(plugin, cfg = {}) {
+
+        super(plugin.viewer.scene);
+
+        /**
+         * The {@link AreaMeasurementsPlugin} that owns this AreaMeasurementsControl.
+         * @type {AreaMeasurementsPlugin}
+         */
+        this.plugin = plugin;
+
+        this._active = false;
+        this._state = HOVERING;
+        this._currentAreaMeasurement = null;
+        this._onhoverSurface = null;
+        this._onHoverNothing = null;
+
+        this._snapper = new Snapper(plugin.viewer, {
+            container: cfg.container,
+            enabled: cfg.snapping,
+            radius: cfg.snapRadius
+        });
+    }
+
+    /**
+     * Sets whether the corners of each {@link AreaMeasurement} snap to the nearest vertex, edge midpoint or edge.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    set snapping(value) {
+        this._snapper.enabled = value;
+    }
+
+    /**
+     * Gets whether the corners of each {@link AreaMeasurement} snap to the nearest vertex, edge midpoint or edge.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    get snapping() {
+        return this._snapper.enabled;
+    }
+
+    /**
+     * Sets the radius, in canvas pixels, within which to snap to vertices, edge midpoints and edges.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    set snapRadius(value) {
+        this._snapper.radius = value;
+    }
+
+    /**
+     * Gets the radius, in canvas pixels, within which to snap to vertices, edge midpoints and edges.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    get snapRadius() {
+        return this._snapper.radius;
+    }
+
+    /** Gets if this AreaMeasurementsControl is currently active, where it is responding to input.
+     *
+     * @returns {boolean}
+     */
+    get active() {
+        return this._active;
+    }
+
+    /**
+     * Activates this AreaMeasurementsControl, ready to respond to input.
+     */
+    activate() {
+
+        if (this._active) {
+            return;
+        }
+
+        const cameraControl = this.plugin.viewer.cameraControl;
+
+        let over = false;
+        let entity = null;
+        let worldPos = math.vec3();
+
+        this._onhoverSurface = cameraControl.on("hoverSurface", e => {
+
+            over = true;
+            entity = e.entity;
+
+            const snapType = this._snapper.snap(e.entity, e.worldPos, worldPos);
+            this._snapper.showIndicator(worldPos, snapType);
+
+            document.body.style.cursor = "pointer";
+
+            if (this._state === FINDING_CORNERS && this._currentAreaMeasurement) {
+                const points = this._currentAreaMeasurement.points;
+                const nextCorner = points[points.length - 1];
+                nextCorner.entity = e.entity;
+                nextCorner.worldPos = worldPos;
+            }
+        });
+
+        var lastX;
+        var lastY;
+        const tolerance = 2;
+        const closeTolerance = 10;
+
+        this._onInputMouseDown = this.plugin.viewer.scene.input.on("mousedown", (coords) => {
+            lastX = coords[0];
+            lastY = coords[1];
+        });
+
+        this._onInputMouseUp = this.plugin.viewer.scene.input.on("mouseup", (coords) => {
+
+            if (coords[0] > lastX + tolerance || coords[0] < lastX - tolerance || coords[1] > lastY + tolerance || coords[1] < lastY - tolerance) {
+                return;
+            }
+
+            switch (this._state) {
+
+                case HOVERING:
+                    if (over) {
+                        this._currentAreaMeasurement = this.plugin.createMeasurement({
+                            id: math.createUUID(),
+                            points: [{
+                                entity: entity,
+                                worldPos: worldPos
+                            }, {
+                                entity: entity,
+                                worldPos: worldPos
+                            }]
+                        });
+                        this._state = FINDING_CORNERS;
+                    }
+                    break;
+
+                case FINDING_CORNERS: {
+                    const points = this._currentAreaMeasurement.points;
+                    const numCorners = points.length - 1; // Last point follows the pointer
+                    if (over) {
+                        const firstCanvasPos = points[0].canvasPos;
+                        const closing = (numCorners >= 3 &&
+                            Math.abs(coords[0] - firstCanvasPos[0]) <= closeTolerance &&
+                            Math.abs(coords[1] - firstCanvasPos[1]) <= closeTolerance);
+                        if (!closing) {
+                            this._currentAreaMeasurement.addPoint({
+                                entity: entity,
+                                worldPos: worldPos
+                            });
+                            break;
+                        }
+                    }
+                    if (numCorners >= 3) {
+                        this._currentAreaMeasurement.removeLastPoint();
+                    } else {
+                        this._currentAreaMeasurement.destroy();
+                    }
+                    this._currentAreaMeasurement = null;
+                    this._state = HOVERING;
+                    break;
+                }
+            }
+        });
+
+        this._onHoverNothing = cameraControl.on("hoverOff", () => {
+            over = false;
+            this._snapper.hideIndicator();
+            document.body.style.cursor = "default";
+        });
+
+        this._active = true;
+    }
+
+    /**
+     * Deactivates this AreaMeasurementsControl, making it unresponsive to input.
+     *
+     * Destroys any {@link AreaMeasurement} under construction.
+     */
+    deactivate() {
+
+        if (!this._active) {
+            return;
+        }
+
+        this.reset();
+
+        const cameraControl = this.plugin.viewer.cameraControl;
+        const input = this.plugin.viewer.scene.input;
+
+        input.off(this._onInputMouseDown);
+        input.off(this._onInputMouseUp);
+
+        cameraControl.off(this._onhoverSurface);
+        cameraControl.off(this._onHoverNothing);
+
+        this._snapper.hideIndicator();
+
+        this._active = false;
+    }
+
+    /**
+     * Resets this AreaMeasurementsControl.
+     *
+     * Destroys any {@link AreaMeasurement} under construction.
+     *
+     * Does nothing if the AreaMeasurementsControl is not active.
+     */
+    reset() {
+
+        if (!this._active) {
+            return;
+        }
+
+        if (this._currentAreaMeasurement) {
+            this._currentAreaMeasurement.destroy();
+            this._currentAreaMeasurement = null;
+        }
+
+        this._state = HOVERING;
+    }
+
+    /**
+     * @private
+     */
+    destroy() {
+        this.deactivate();
+        this._snapper.destroy();
+        super.destroy();
+    }
+}
+
+export {AreaMeasurementsControl};
@@ -0,0 +1,430 @@
+import {Plugin} from "../../viewer/Plugin.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {getEntityMeshes} from "../lib/geometry/getEntityMeshes.js";
+import {AreaMeasurement} from "./AreaMeasurement.js";
+import {AreaMeasurementsControl} from "./AreaMeasurementsControl.js";
+import {getMarkerJSON, getMarkerParams} from "../lib/markers/markerJSON.js";
+
+/**
+ * {@link Viewer} plugin for measuring areas, and for taking surface areas and volumes from objects.
+ *
+ * ## Overview
+ *
+ * * An {@link AreaMeasurement} shows the area of a polygon, given as three or more positions on the surface(s) of one or more {@link Entity}s.
+ * * An AreaMeasurement has wires that show the edges of the polygon, a filled overlay, and a label that shows the area.
+ * * Create AreaMeasurements programmatically with {@link AreaMeasurementsPlugin#createMeasurement}.
+ * * Create AreaMeasurements interactively using the {@link AreaMeasurementsControl}, located at {@link AreaMeasurementsPlugin#control}.
+ * * The AreaMeasurementsControl snaps to the nearest vertex, edge midpoint or edge, for models loaded with ````readableGeometry: true````.
+ * * Existing AreaMeasurements are registered by ID in {@link AreaMeasurementsPlugin#measurements}.
+ * * Destroy AreaMeasurements using {@link AreaMeasurementsPlugin#destroyMeasurement}.
+ * * Save and load AreaMeasurements as JSON using {@link AreaMeasurementsPlugin#getJSON} and {@link AreaMeasurementsPlugin#loadJSON}.
+ * * Get the surface area and enclosed volume of an object with {@link AreaMeasurementsPlugin#getObjectQuantities}.
+ * * Configure global measurement units and scale via {@link Metrics}, located at {@link Scene#metrics}
+ *
+ * ## Example 1: Creating AreaMeasurements Programmatically
+ *
+ * In our first example, we'll use an {@link XKTLoaderPlugin} to load a model, and then use an AreaMeasurementsPlugin to
+ * programmatically create an {@link AreaMeasurement}.
+ *
+ * Note how each point of the AreaMeasurement indicates a 3D World-space position on the surface of an {@link Entity}. The
+ * points should lie in a plane, and be in order around the edge of the polygon.
+ *
+ * ````JavaScript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XKTLoaderPlugin} from "../src/plugins/XKTLoaderPlugin/XKTLoaderPlugin.js";
+ * import {AreaMeasurementsPlugin} from "../src/plugins/AreaMeasurementsPlugin/AreaMeasurementsPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas",
+ *     transparent: true
+ * });
+ *
+ * viewer.scene.camera.eye = [-2.37, 18.97, -26.12];
+ * viewer.scene.camera.look = [10.97, 5.82, -11.22];
+ * viewer.scene.camera.up = [0.36, 0.83, 0.40];
+ *
+ * const xktLoader = new XKTLoaderPlugin(viewer);
+ *
+ * const areaMeasurements = new AreaMeasurementsPlugin(viewer);
+ *
+ * const model = xktLoader.load({
+ *      src: "./models/xkt/duplex/duplex.xkt"
+ * });
+ *
+ * model.on("loaded", () => {
+ *
+ *      const floor = viewer.scene.objects["1CZILmCaHETO8tf3SgGEXu"];
+ *
+ *      const myMeasurement = areaMeasurements.createMeasurement({
+ *          id: "myAreaMeasurement",
+ *          points: [
+ *              { entity: floor, worldPos: [-0.5, 0.0, 10.0] },
+ *              { entity: floor, worldPos: [8.5, 0.0, 10.0] },
+ *              { entity: floor, worldPos: [8.5, 0.0, 22.0] },
+ *              { entity: floor, worldPos: [-0.5, 0.0, 22.0] }
+ *          ],
+ *          visible: true
+ *      });
+ *
+ *      console.log(myMeasurement.area);        // Area, in square Metrics units
+ *      console.log(myMeasurement.perimeter);   // Perimeter, in Metrics units
+ * });
+ * ````
+ *
+ * ## Example 2: Creating AreaMeasurements Interactively
+ *
+ * In our second example, we'll use the AreaMeasurementsPlugin's {@link AreaMeasurementsControl} to interactively create
+ * {@link AreaMeasurement}s with mouse or touch input.
+ *
+ * After we've activated the AreaMeasurementsControl, the first click on any {@link Entity} begins constructing an AreaMeasurement,
+ * and each following click adds a corner. Clicking the first corner again, or clicking empty space, completes the AreaMeasurement.
+ *
+ * ````JavaScript
+ * const areaMeasurements = new AreaMeasurementsPlugin(viewer);
+ *
+ * areaMeasurements.control.activate();  // <------------ Activate the AreaMeasurementsControl
+ * ````
+ *
+ * ## Example 3: Getting Object Quantities
+ *
+ * In our third example, we'll get the surface area and enclosed volume of an object, from the triangles of its geometry.
+ *
+ * This needs the geometry arrays of the object, so we need to load the model with ````readableGeometry: true````.
+ *
+ * The volume is only meaningful for objects whose geometry is closed (watertight), such as most walls, slabs and columns.
+ *
+ * ````JavaScript
+ * const model = xktLoader.load({
+ *      src: "./models/xkt/duplex/duplex.xkt",
+ *      readableGeometry: true
+ * });
+ *
+ * model.on("loaded", () => {
+ *
+ *      viewer.scene.metrics.units = "meters";
+ *
+ *      const quantities = areaMeasurements.getObjectQuantities("1CZILmCaHETO8tf3SgGEXu");
+ *
+ *      console.log(quantities.surfaceArea);    // Square meters
+ *      console.log(quantities.volume);         // Cubic meters
+ * });
+ * ````
+ *
+ * ## Example 4: Saving and Loading AreaMeasurements
+ *
+ * In our fourth example, we'll save our AreaMeasurements as JSON, so that we can store them with our project, then
+ * later load them again, after we've loaded the model they were made on.
+ *
+ * Each AreaMeasurement is saved with the World-space positions of its corners, the IDs of the {@link Entity}s they're on,
+ * and its visibility flags. Its ````area```` is saved too, in the current unit of measurement, squared, for applications that
+ * want to list the measurements without loading them; ````loadJSON```` ignores it, since it's measured again.
+ *
+ * ````JavaScript
+ * const json = areaMeasurements.getJSON();
+ *
+ * // {
+ * //     measurements: [{
+ * //         id: "myAreaMeasurement",
+ * //         points: [
+ * //             { worldPos: [-0.5, 0.0, 10.0], entity: "1CZILmCaHETO8tf3SgGEXu" },
+ * //             { worldPos: [8.5, 0.0, 10.0], entity: "1CZILmCaHETO8tf3SgGEXu" },
+ * //             { worldPos: [8.5, 0.0, 22.0], entity: "1CZILmCaHETO8tf3SgGEXu" },
+ * //             { worldPos: [-0.5, 0.0, 22.0], entity: "1CZILmCaHETO8tf3SgGEXu" }
+ * //         ],
+ * //         visible: true,
+ * //         pointsVisible: true,
+ * //         fillVisible: true,
+ * //         areaVisible: true,
+ * //         area: 108
+ * //     }]
+ * // }
+ *
+ * //...
+ *
+ * areaMeasurements.clear();
+ * areaMeasurements.loadJSON(json);
+ * ````
+ */
+class AreaMeasurementsPlugin extends Plugin {
+
+    /**
+     * @constructor
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} [cfg]  Plugin configuration.
+     * @param {String} [cfg.id="AreaMeasurements"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {HTMLElement} [cfg.container] Container DOM element for markers and labels. Defaults to ````document.body````.
+     * @param {Boolean} [cfg.snapping=true] Whether the {@link AreaMeasurementsControl} snaps the corners of each {@link AreaMeasurement} to the nearest vertex, edge midpoint or edge. See {@link AreaMeasurementsControl#snapping}.
+     * @param {Number} [cfg.snapRadius=10] Radius, in canvas pixels, within which the {@link AreaMeasurementsControl} snaps. See {@link AreaMeasurementsControl#snapRadius}.
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("AreaMeasurements", viewer);
+
+        this._container = cfg.container || document.body;
+
+        this._control = new AreaMeasurementsControl(this, {
+            container: this._container,
+            snapping: cfg.snapping,
+            snapRadius: cfg.snapRadius
+        });
+
+        this._measurements = {};
+    }
+
+    /**
+     * @private
+     */
+    send(name) {
+        switch (name) {
+            case "clear":
+                this.clear();
+                break;
+        }
+    }
+
+    /**
+     * Gets the {@link AreaMeasurementsControl}, which creates {@link AreaMeasurement}s from user input.
+     *
+     * @type {AreaMeasurementsControl}
+     */
+    get control() {
+        return this._control;
+    }
+
+    /**
+     * Gets the existing {@link AreaMeasurement}s, each mapped to its {@link AreaMeasurement#id}.
+     *
+     * @type {{String:AreaMeasurement}}
+     */
+    get measurements() {
+        return this._measurements;
+    }
+
+    /**
+     * Creates an {@link AreaMeasurement}.
+     *
+     * Fires a "measurementCreated" event with the new {@link AreaMeasurement}.
+     *
+     * The AreaMeasurement is then registered by {@link AreaMeasurement#id} in {@link AreaMeasurementsPlugin#measurements}.
+     *
+     * @param {Object} params {@link AreaMeasurement} configuration.
+     * @param {String} params.id Unique ID to assign to {@link AreaMeasurement#id}. The AreaMeasurement will be registered by this in {@link AreaMeasurementsPlugin#measurements} and {@link Scene.components}. Must be unique among all components in the {@link Viewer}.
+     * @param {Object[]} params.points The corners of the polygon, in order around its edge.
+     * @param {Number[]} params.points[].worldPos Corner World-space 3D position.
+     * @param {Entity} params.points[].entity Corner Entity.
+     * @param {Boolean} [params.visible=true] Whether to initially show the {@link AreaMeasurement}.
+     * @param {Boolean} [params.pointsVisible=true] Whether to initially show the dots at the {@link AreaMeasurement} corners.
+     * @param {Boolean} [params.fillVisible=true] Whether to initially show the filled overlay of the {@link AreaMeasurement}.
+     * @param {Boolean} [params.areaVisible=true] Whether to initially show the {@link AreaMeasurement} area label.
+     * @returns {AreaMeasurement} The new {@link AreaMeasurement}.
+     */
+    createMeasurement(params = {}) {
+        if (this.viewer.scene.components[params.id]) {
+            this.error("Viewer scene component with this ID already exists: " + params.id);
+            delete params.id;
+        }
+        const points = params.points || [];
+        const measurement = new AreaMeasurement(this, {
+            id: params.id,
+            plugin: this,
+            container: this._container,
+            points: points.map(point => ({
+                entity: point.entity,
+                worldPos: point.worldPos
+            })),
+            visible: params.visible,
+            pointsVisible: params.pointsVisible,
+            fillVisible: params.fillVisible,
+            areaVisible: params.areaVisible
+        });
+        this._measurements[measurement.id] = measurement;
+        measurement.on("destroyed", () => {
+            delete this._measurements[measurement.id];
+            this.fire("measurementDestroyed", measurement);
+        });
+        this.fire("measurementCreated", measurement);
+        return measurement;
+    }
+
+    /**
+     * Destroys an {@link AreaMeasurement}.
+     *
+     * Fires a "measurementDestroyed" event with the {@link AreaMeasurement}.
+     *
+     * @param {String} id ID of AreaMeasurement to destroy.
+     */
+    destroyMeasurement(id) {
+        const measurement = this._measurements[id];
+        if (!measurement) {
+            this.log("AreaMeasurement not found: " + id);
+            return;
+        }
+        measurement.destroy();
+    }
+
+    /**
+     * Destroys all {@link AreaMeasurement}s.
+     */
+    clear() {
+        const ids = Object.keys(this._measurements);
+        for (var i = 0, len = ids.length; i < len; i++) {
+            this.destroyMeasurement(ids[i]);
+        }
+    }
+
+    /**
+     * Gets the existing {@link AreaMeasurement}s as JSON.
+     *
+     * See the class comments for the format.
+     *
+     * @returns {{measurements: Object[]}} The AreaMeasurements, as JSON.
+     */
+    getJSON() {
+        const measurements = [];
+        for (const id in this._measurements) {
+            if (this._measurements.hasOwnProperty(id)) {
+                const measurement = this._measurements[id];
+                measurements.push({
+                    id: measurement.id,
+                    points: measurement.points.map(getMarkerJSON),
+                    visible: measurement.visible,
+                    pointsVisible: measurement.pointsVisible,
+                    fillVisible: measurement.fillVisible,
+                    areaVisible: measurement.areaVisible,
+                    area: measurement.area
+                });
+            }
+        }
+        return {
+            measurements: measurements
+        };
+    }
+
+    /**
+     * Creates {@link AreaMeasurement}s from JSON, as given by {@link AreaMeasurementsPlugin#getJSON}.
+     *
+     * Replaces any existing AreaMeasurements that have the same IDs. Each corner is attached to the {@link Entity} that
+     * has the saved ID, if that Entity currently exists.
+     *
+     * Fires a "measurementCreated" event for each new {@link AreaMeasurement}.
+     *
+     * @param {{measurements: Object[]}} json The AreaMeasurements, as JSON.
+     */
+    loadJSON(json) {
+        const measurements = json.measurements || [];
+        for (let i = 0, len = measurements.length; i < len; i++) {
+            const params = measurements[i];
+            if (this._measurements[params.id]) {
+                this.destroyMeasurement(params.id);
+            }
+            this.createMeasurement({
+                id: params.id,
+                points: (params.points || []).map(point => getMarkerParams(this, point)),
+                visible: params.visible,
+                pointsVisible: params.pointsVisible,
+                fillVisible: params.fillVisible,
+                areaVisible: params.areaVisible
+            });
+        }
+    }
+
+    /**
+     * Gets the surface area and enclosed volume of an object, from the World-space triangles of its geometry.
+     *
+     * The surface area is in the units given by {@link Metrics#units}, squared, and the volume is in those units, cubed. Both
+     * are scaled by {@link Metrics#scale}.
+     *
+     * The volume is only meaningful when the object's geometry is closed (watertight), with consistently wound triangles.
+     *
+     * Needs the geometry arrays of the object, so only works for objects in {@link PerformanceModel}s that were loaded
+     * with ````readableGeometry: true````, and for objects made of {@link Mesh}es that have {@link ReadableGeometry}s.
+     *
+     * @param {String} objectId ID of the object, as registered in {@link Scene#objects}.
+     * @returns {{surfaceArea: Number, volume: Number}} The surface area and volume, or ````null```` if the object was not found,
+     * or its geometry can't be read.
+     */
+    getObjectQuantities(objectId) {
+        const entity = this.viewer.scene.objects[objectId];
+        if (!entity) {
+            this.error("Object not found: " + objectId);
+            return null;
+        }
+        const {meshes, unreadable} = getEntityMeshes(entity);
+        if (unreadable) {
+            this.error("Can't read geometry of object - load its model with readableGeometry: true - " + objectId);
+            return null;
+        }
+        let surfaceArea = 0;
+        let volume = 0;
+        for (let i = 0, len = meshes.length; i < len; i++) {
+            const mesh = meshes[i];
+            const quantities = getMeshQuantities(mesh.positions, mesh.indices, mesh.matrix);
+            surfaceArea += quantities.surfaceArea;
+            volume += quantities.volume;
+        }
+        const scale = this.viewer.scene.metrics.scale;
+        return {
+            surfaceArea: surfaceArea * scale * scale,
+            volume: Math.abs(volume) * scale * scale * scale
+        };
+    }
+
+    /**
+     * Destroys this AreaMeasurementsPlugin.
+     *
+     * Destroys all {@link AreaMeasurement}s first.
+     */
+    destroy() {
+        this.clear();
+        this._control.destroy();
+        super.destroy();
+    }
+}
+
+const origin = new Float64Array(3);
+const p0 = new Float64Array(3);
+const p1 = new Float64Array(3);
+const p2 = new Float64Array(3);
+const edge1 = new Float64Array(3);
+const edge2 = new Float64Array(3);
+const cross = new Float64Array(3);
+
+/**
+ * Gets the World-space surface area, and the signed volume, of a triangle mesh.
+ *
+ * The volume is the sum of the signed volumes of the tetrahedra between each triangle and the mesh's first vertex, which
+ * is the enclosed volume when the mesh is closed. It's negated for matrices that mirror the mesh, so that the signs
+ * of all meshes agree.
+ *
+ * @private
+ */
+function getMeshQuantities(positions, indices, matrix) {
+    const sign = (math.determinantMat4(matrix) < 0) ? -1 : 1;
+    let surfaceArea = 0;
+    let volume = 0;
+    transformPosition(positions, 0, matrix, origin);
+    for (let i = 0, len = indices.length; i < len; i += 3) {
+        math.subVec3(transformPosition(positions, indices[i] * 3, matrix, p0), origin, p0);
+        math.subVec3(transformPosition(positions, indices[i + 1] * 3, matrix, p1), origin, p1);
+        math.subVec3(transformPosition(positions, indices[i + 2] * 3, matrix, p2), origin, p2);
+        math.cross3Vec3(math.subVec3(p1, p0, edge1), math.subVec3(p2, p0, edge2), cross);
+        surfaceArea += math.lenVec3(cross) / 2;
+        volume += math.dotVec3(p0, math.cross3Vec3(p1, p2, cross)) / 6;
+    }
+    return {
+        surfaceArea: surfaceArea,
+        volume: volume * sign
+    };
+}
+
+function transformPosition(positions, i, m, dest) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    const z = positions[i + 2];
+    dest[0] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    dest[1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    dest[2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+    return dest;
+}
+
+export {AreaMeasurementsPlugin}
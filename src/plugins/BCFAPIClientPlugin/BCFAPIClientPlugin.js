@@ -0,0 +1,592 @@
+import {Plugin} from "../../viewer/Plugin.js";
+
+/**
+ * {@link Viewer} plugin that manages BCF issues on a [BCF-API](https://github.com/buildingSMART/BCF-API) server.
+ *
+ * BCF-API is the REST flavour of BCF, which is how [OpenCDE](https://github.com/buildingSMART/OpenCDE-API) servers
+ * exchange issues. BCFAPIClientPlugin gets the projects on a server, and the topics, comments and viewpoints of each project,
+ * and creates and updates topics.
+ *
+ * The viewpoints are the same JSON objects that we get from {@link BCFViewpointsPlugin#getViewpoint} and give
+ * to {@link BCFViewpointsPlugin#setViewpoint}. Snapshots and bitmaps are data URIs, and each viewpoint we get from
+ * the server has its ````components```` (selection, visibility and coloring) already filled in, so we can load
+ * it straight into the Viewer.
+ *
+ * * Requests are made with a pluggable ````fetch```` function, which defaults to the browser's ````fetch````.
+ * * Lists of projects, topics, comments and viewpoints are requested page by page, using the OData ````$top```` and ````$skip````
+ * parameters, and each callback gets the whole list.
+ * * When we set an {@link BCFAPIClientPlugin#accessToken}, each request has it in an ````Authorization```` header.
+ * * Each method takes an ````ok```` callback, fired with the result, and an optional ````error```` callback, fired with an error message.
+ *
+ * ## Usage
+ *
+ * In the example below, we'll find the first topic in a project, load its first viewpoint into the Viewer, then add a
+ * new topic with a viewpoint of the current view.
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {BCFViewpointsPlugin} from "../src/plugins/BCFViewpointsPlugin/BCFViewpointsPlugin.js";
+ * import {BCFAPIClientPlugin} from "../src/plugins/BCFAPIClientPlugin/BCFAPIClientPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const bcfViewpoints = new BCFViewpointsPlugin(viewer);
+ *
+ * const bcfAPI = new BCFAPIClientPlugin(viewer, {
+ *     serverURL: "https://bcf.example.com",
+ *     accessToken: "myOAuth2AccessToken",
+ *     bcfViewpoints: bcfViewpoints
+ * });
+ *
+ * const projectId = "F445F4F2-4D02-4B2A-B612-5E456BEF9137";
+ *
+ * bcfAPI.getTopics(projectId, (topics) => {
+ *
+ *     const topic = topics[0];
+ *
+ *     bcfAPI.getViewpoints(projectId, topic.guid, (viewpoints) => {
+ *         bcfViewpoints.setViewpoint(viewpoints[0]);
+ *     });
+ * });
+ *
+ * bcfAPI.createTopic(projectId, {
+ *     title: "Wall clashes with duct",
+ *     topic_type: "Clash",
+ *     topic_status: "Open",
+ *     comments: [{
+ *         comment: "Please move the duct"
+ *     }],
+ *     viewpoints: [bcfViewpoints.getViewpoint()]
+ * }, (topic) => {
+ *     console.log("Created topic " + topic.guid);
+ * }, (errMsg) => {
+ *     console.error(errMsg);
+ * });
+ * ````
+ *
+ * ## Authentication and Custom Requests
+ *
+ * To authenticate in some other way, or to route requests through our own code, we can give BCFAPIClientPlugin our own
+ * ````fetch```` function. It takes the same arguments as the browser's ````fetch````, and returns a promise for a response that
+ * has at least ````ok````, ````status````, ````statusText````, ````headers.get()````, ````json()```` and ````arrayBuffer()````.
+ *
+ * ````javascript
+ * const bcfAPI = new BCFAPIClientPlugin(viewer, {
+ *     serverURL: "https://bcf.example.com",
+ *     fetch: (url, init) => {
+ *         init.headers["X-API-Key"] = "myKey";
+ *         return fetch(url, init);
+ *     }
+ * });
+ * ````
+ *
+ * ## Testing with a Mock Server
+ *
+ * For tests and demos, {@link BCFAPIMockServer} stands in for a BCF-API server. It keeps its projects and issues in memory,
+ * and has a ````fetch```` function that we can plug into BCFAPIClientPlugin.
+ *
+ * ````javascript
+ * import {BCFAPIMockServer} from "../src/plugins/BCFAPIClientPlugin/BCFAPIMockServer.js";
+ *
+ * const mockServer = new BCFAPIMockServer({
+ *     projects: [{project_id: "myProject", name: "My Project"}]
+ * });
+ *
+ * const bcfAPI = new BCFAPIClientPlugin(viewer, {
+ *     serverURL: mockServer.serverURL,
+ *     fetch: mockServer.fetch
+ * });
+ * ````
+ *
+ * @class BCFAPIClientPlugin
+ */
+class BCFAPIClientPlugin extends Plugin {
+
+    /**
+     * @constructor
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="BCFAPIClient"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {String} cfg.serverURL Base URL of the BCF-API server, without the ````/bcf/{version}```` path.
+     * @param {String} [cfg.version="2.1"] BCF-API version.
+     * @param {String} [cfg.accessToken] OAuth2 access token to send in the ````Authorization```` header of each request.
+     * @param {Function} [cfg.fetch] Function to make requests with, which defaults to the browser's ````fetch````.
+     * @param {Number} [cfg.pageSize=100] Number of items to request for each page of a list.
+     * @param {BCFViewpointsPlugin} [cfg.bcfViewpoints] Gets a viewpoint of the current view for {@link BCFAPIClientPlugin#createViewpoint}, when we don't give one.
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("BCFAPIClient", viewer, cfg);
+
+        if (!cfg.serverURL) {
+            this.error("Config expected: serverURL");
+        }
+
+        /**
+         * Base URL of the BCF-API server.
+         * @property serverURL
+         * @type {string}
+         */
+        this.serverURL = (cfg.serverURL || "").replace(/\/+$/, "");
+
+        /**
+         * BCF-API version.
+         * @property version
+         * @type {string}
+         */
+        this.version = cfg.version || "2.1";
+
+        /**
+         * OAuth2 access token to send in the ````Authorization```` header of each request.
+         * @property accessToken
+         * @type {string}
+         */
+        this.accessToken = cfg.accessToken || null;
+
+        /**
+         * Number of items to request for each page of a list.
+         * @property pageSize
+         * @type {number}
+         */
+        this.pageSize = cfg.pageSize || 100;
+
+        /**
+         * Gets a viewpoint of the current view for {@link BCFAPIClientPlugin#createViewpoint}.
+         * @property bcfViewpoints
+         * @type {BCFViewpointsPlugin}
+         */
+        this.bcfViewpoints = cfg.bcfViewpoints || null;
+
+        this._fetch = cfg.fetch || ((url, init) => fetch(url, init));
+    }
+
+    /**
+     * Gets the BCF-API versions supported by the server.
+     *
+     * @param {Function} ok Callback fired with the versions, each with a ````version_id```` and ````detailed_version````.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getVersions(ok, error) {
+        this._callback(this._request("GET", this.serverURL + "/bcf/versions").then((json) => json.versions), ok, error);
+    }
+
+    /**
+     * Gets the user we're authenticated as.
+     *
+     * @param {Function} ok Callback fired with the user, which has an ````id```` and ````name````.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getCurrentUser(ok, error) {
+        this._callback(this._request("GET", this._url("/current-user")), ok, error);
+    }
+
+    /**
+     * Gets the projects on the server.
+     *
+     * @param {Function} ok Callback fired with the projects, each with a ````project_id```` and ````name````.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getProjects(ok, error) {
+        this._callback(this._getList("/projects"), ok, error);
+    }
+
+    /**
+     * Gets a project.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Function} ok Callback fired with the project.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getProject(projectId, ok, error) {
+        this._callback(this._request("GET", this._url(projectPath(projectId))), ok, error);
+    }
+
+    /**
+     * Gets the topics in a project.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Function} ok Callback fired with the topics.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getTopics(projectId, ok, error) {
+        this._callback(this._getList(projectPath(projectId) + "/topics"), ok, error);
+    }
+
+    /**
+     * Gets a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Function} ok Callback fired with the topic.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getTopic(projectId, topicGuid, ok, error) {
+        this._callback(this._request("GET", this._url(topicPath(projectId, topicGuid))), ok, error);
+    }
+
+    /**
+     * Creates a topic.
+     *
+     * When the topic has ````viewpoints```` and ````comments````, creates those on the topic as well, in that order.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {*} topic The topic, with BCF-API properties such as ````title````, ````topic_type```` and ````topic_status````.
+     * @param {Object[]} [topic.viewpoints] Viewpoints to create on the topic, like those we get from {@link BCFViewpointsPlugin#getViewpoint}.
+     * @param {Object[]} [topic.comments] Comments to create on the topic.
+     * @param {Function} ok Callback fired with the topic as created on the server, with the created ````viewpoints```` and ````comments````.
+     * @param {Function} [error] Callback fired on error.
+     */
+    createTopic(projectId, topic, ok, error) {
+        this._callback(this._request("POST", this._url(projectPath(projectId) + "/topics"), getTopicFields(topic))
+            .then((createdTopic) => this._createTopicChildren(projectId, createdTopic, topic)), ok, error);
+    }
+
+    /**
+     * Updates a topic.
+     *
+     * Viewpoints and comments that are already on the server can't be changed through the topic, so this only creates
+     * those of the topic's ````viewpoints```` and ````comments```` that don't have a ````guid```` yet.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {*} topic The topic. Replaces all the properties of the topic on the server.
+     * @param {Function} ok Callback fired with the topic as updated on the server, with the created ````viewpoints```` and ````comments````.
+     * @param {Function} [error] Callback fired on error.
+     */
+    updateTopic(projectId, topicGuid, topic, ok, error) {
+        const newChildren = {
+            viewpoints: (topic.viewpoints || []).filter((viewpoint) => !viewpoint.guid),
+            comments: (topic.comments || []).filter((comment) => !comment.guid)
+        };
+        this._callback(this._request("PUT", this._url(topicPath(projectId, topicGuid)), getTopicFields(topic))
+            .then((updatedTopic) => this._createTopicChildren(projectId, updatedTopic, newChildren)), ok, error);
+    }
+
+    /**
+     * Deletes a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Function} [ok] Callback fired when done.
+     * @param {Function} [error] Callback fired on error.
+     */
+    deleteTopic(projectId, topicGuid, ok, error) {
+        this._callback(this._request("DELETE", this._url(topicPath(projectId, topicGuid))), ok, error);
+    }
+
+    /**
+     * Gets the comments on a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Function} ok Callback fired with the comments.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getComments(projectId, topicGuid, ok, error) {
+        this._callback(this._getList(topicPath(projectId, topicGuid) + "/comments"), ok, error);
+    }
+
+    /**
+     * Creates a comment on a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {*} comment The comment, with BCF-API properties such as ````comment```` and ````viewpoint_guid````.
+     * @param {Function} ok Callback fired with the comment as created on the server.
+     * @param {Function} [error] Callback fired on error.
+     */
+    createComment(projectId, topicGuid, comment, ok, error) {
+        this._callback(this._request("POST", this._url(topicPath(projectId, topicGuid) + "/comments"), comment), ok, error);
+    }
+
+    /**
+     * Gets the viewpoints on a topic.
+     *
+     * Each viewpoint has its ````components````, and its snapshot and bitmaps as data URIs, so that we can
+     * load it with {@link BCFViewpointsPlugin#setViewpoint}.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Function} ok Callback fired with the viewpoints.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getViewpoints(projectId, topicGuid, ok, error) {
+        this._callback(this._getList(topicPath(projectId, topicGuid) + "/viewpoints")
+            .then((viewpoints) => Promise.all(viewpoints.map((viewpoint) => this._completeViewpoint(projectId, topicGuid, viewpoint)))), ok, error);
+    }
+
+    /**
+     * Gets a viewpoint on a topic.
+     *
+     * The viewpoint has its ````components````, and its snapshot and bitmaps as data URIs, so that we can
+     * load it with {@link BCFViewpointsPlugin#setViewpoint}.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {String} viewpointGuid GUID of the viewpoint.
+     * @param {Function} ok Callback fired with the viewpoint.
+     * @param {Function} [error] Callback fired on error.
+     */
+    getViewpoint(projectId, topicGuid, viewpointGuid, ok, error) {
+        this._callback(this._request("GET", this._url(viewpointPath(projectId, topicGuid, viewpointGuid)))
+            .then((viewpoint) => this._completeViewpoint(projectId, topicGuid, viewpoint)), ok, error);
+    }
+
+    /**
+     * Creates a viewpoint on a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {*} [viewpoint] The viewpoint, like those we get from {@link BCFViewpointsPlugin#getViewpoint}. When
+     * omitted, gets a viewpoint of the current view from the {@link BCFViewpointsPlugin} we configured this plugin with.
+     * @param {Function} ok Callback fired with the viewpoint as created on the server.
+     * @param {Function} [error] Callback fired on error.
+     */
+    createViewpoint(projectId, topicGuid, viewpoint, ok, error) {
+        if (!viewpoint) {
+            if (!this.bcfViewpoints) {
+                (error || ((errMsg) => this.error(errMsg)))("Config expected: bcfViewpoints");
+                return;
+            }
+            viewpoint = this.bcfViewpoints.getViewpoint();
+        }
+        this._callback(this._postViewpoint(projectId, topicGuid, viewpoint), ok, error);
+    }
+
+    /**
+     * Deletes a viewpoint from a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {String} viewpointGuid GUID of the viewpoint.
+     * @param {Function} [ok] Callback fired when done.
+     * @param {Function} [error] Callback fired on error.
+     */
+    deleteViewpoint(projectId, topicGuid, viewpointGuid, ok, error) {
+        this._callback(this._request("DELETE", this._url(viewpointPath(projectId, topicGuid, viewpointGuid))), ok, error);
+    }
+
+    /**
+     * @private
+     */
+    _createTopicChildren(projectId, createdTopic, topic) {
+        const viewpoints = topic.viewpoints || [];
+        const comments = topic.comments || [];
+        createdTopic.viewpoints = [];
+        createdTopic.comments = [];
+        return forEachSeries(viewpoints, (viewpoint) => this._postViewpoint(projectId, createdTopic.guid, viewpoint)
+            .then((createdViewpoint) => createdTopic.viewpoints.push(createdViewpoint)))
+            .then(() => forEachSeries(comments, (comment) => this._request("POST", this._url(topicPath(projectId, createdTopic.guid) + "/comments"), comment)
+                .then((createdComment) => createdTopic.comments.push(createdComment))))
+            .then(() => createdTopic);
+    }
+
+    /**
+     * @private
+     */
+    _postViewpoint(projectId, topicGuid, viewpoint) {
+        const body = Object.assign({}, viewpoint);
+        delete body.guid;
+        if (viewpoint.snapshot && viewpoint.snapshot.snapshot_data) {
+            body.snapshot = {
+                snapshot_type: viewpoint.snapshot.snapshot_type || "png",
+                snapshot_data: stripDataURI(viewpoint.snapshot.snapshot_data)
+            };
+        } else {
+            delete body.snapshot;
+        }
+        if (viewpoint.bitmaps) {
+            body.bitmaps = viewpoint.bitmaps.filter((bitmap) => !!bitmap.bitmap_data).map((bitmap) => {
+                return Object.assign({}, bitmap, {bitmap_data: stripDataURI(bitmap.bitmap_data)});
+            });
+        }
+        return this._request("POST", this._url(topicPath(projectId, topicGuid) + "/viewpoints"), body);
+    }
+
+    /**
+     * Gets the components, snapshot and bitmaps of a viewpoint, which BCF-API serves separately.
+     * @private
+     */
+    _completeViewpoint(projectId, topicGuid, viewpoint) {
+        const path = viewpointPath(projectId, topicGuid, viewpoint.guid);
+        const components = {};
+        return Promise.all([
+            this._request("GET", this._url(path + "/selection")).then((json) => {
+                components.selection = (json && json.selection) || [];
+            }),
+            this._request("GET", this._url(path + "/coloring")).then((json) => {
+                components.coloring = (json && json.coloring) || [];
+            }),
+            this._request("GET", this._url(path + "/visibility")).then((json) => {
+                if (json && json.visibility) {
+                    components.visibility = json.visibility;
+                }
+            }),
+            (viewpoint.snapshot) ? this._requestDataURI(this._url(path + "/snapshot"), viewpoint.snapshot.snapshot_type).then((dataURI) => {
+                viewpoint.snapshot = {
+                    snapshot_type: viewpoint.snapshot.snapshot_type,
+                    snapshot_data: dataURI
+                };
+            }) : null,
+            Promise.all((viewpoint.bitmaps || []).map((bitmap) => this._requestDataURI(this._url(path + "/bitmaps/" + encodeURIComponent(bitmap.guid)), bitmap.bitmap_type).then((dataURI) => {
+                bitmap.bitmap_data = dataURI;
+            })))
+        ]).then(() => {
+            viewpoint.components = components;
+            return viewpoint;
+        });
+    }
+
+    /**
+     * Gets all the items of a list, page by page.
+     * @private
+     */
+    _getList(path) {
+        const pageSize = this.pageSize;
+        const items = [];
+        const getPage = () => {
+            const url = this._url(path) + "?$top=" + pageSize + "&$skip=" + items.length;
+            return this._request("GET", url).then((page) => {
+                page = page || [];
+                const firstKey = getItemKey(page[0]);
+                const ignoresPaging = (items.length > 0 && firstKey !== undefined && firstKey === getItemKey(items[0]));
+                if (ignoresPaging) { // Server gave us the first page again
+                    return items;
+                }
+                items.push(...page);
+                return (page.length === pageSize) ? getPage() : items;
+            });
+        };
+        return getPage();
+    }
+
+    /**
+     * @private
+     */
+    _request(method, url, body) {
+        return this._fetch(url, {
+            method: method,
+            headers: this._getHeaders(body !== undefined),
+            body: (body !== undefined) ? JSON.stringify(body) : undefined
+        }).then((response) => {
+            if (!response.ok) {
+                throw getRequestError(method, url, response);
+            }
+            if (response.status === 204) {
+                return null;
+            }
+            return response.json();
+        }, (e) => {
+            throw "BCF-API request failed: " + method + " " + url + " - " + e;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _requestDataURI(url, type) {
+        return this._fetch(url, {
+            method: "GET",
+            headers: this._getHeaders(false)
+        }).then((response) => {
+            if (!response.ok) {
+                throw getRequestError("GET", url, response);
+            }
+            const contentType = (response.headers && response.headers.get("Content-Type")) || ((type === "jpg") ? "image/jpeg" : "image/png");
+            return response.arrayBuffer().then((arrayBuffer) => "data:" + contentType + ";base64," + arrayBufferToBase64(arrayBuffer));
+        }, (e) => {
+            throw "BCF-API request failed: GET " + url + " - " + e;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _getHeaders(hasBody) {
+        const headers = {
+            "Accept": "application/json"
+        };
+        if (hasBody) {
+            headers["Content-Type"] = "application/json";
+        }
+        if (this.accessToken) {
+            headers["Authorization"] = "Bearer " + this.accessToken;
+        }
+        return headers;
+    }
+
+    /**
+     * @private
+     */
+    _url(path) {
+        return this.serverURL + "/bcf/" + this.version + path;
+    }
+
+    /**
+     * @private
+     */
+    _callback(promise, ok, error) {
+        promise.then((result) => {
+            if (ok) {
+                ok(result);
+            }
+        }).catch((errMsg) => { // Also catches errors thrown by the ok callback
+            if (error) {
+                error(errMsg);
+            } else {
+                this.error(errMsg);
+            }
+        });
+    }
+}
+
+const TOPIC_CHILD_PROPERTIES = ["viewpoints", "comments"];
+
+function getTopicFields(topic) {
+    const fields = Object.assign({}, topic);
+    TOPIC_CHILD_PROPERTIES.forEach((name) => delete fields[name]);
+    return fields;
+}
+
+function projectPath(projectId) {
+    return "/projects/" + encodeURIComponent(projectId);
+}
+
+function topicPath(projectId, topicGuid) {
+    return projectPath(projectId) + "/topics/" + encodeURIComponent(topicGuid);
+}
+
+function viewpointPath(projectId, topicGuid, viewpointGuid) {
+    return topicPath(projectId, topicGuid) + "/viewpoints/" + encodeURIComponent(viewpointGuid);
+}
+
+function getItemKey(item) {
+    return item ? (item.guid || item.project_id) : undefined;
+}
+
+function getRequestError(method, url, response) {
+    return "BCF-API request failed: " + method + " " + url + " - " + response.status + " " + (response.statusText || "");
+}
+
+function stripDataURI(data) {
+    const i = data.indexOf(";base64,");
+    return (data.indexOf("data:") === 0 && i !== -1) ? data.substring(i + 8) : data;
+}
+
+function arrayBufferToBase64(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const chunkSize = 0x8000;
+    let binary = "";
+    for (let i = 0, len = bytes.length; i < len; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+function forEachSeries(items, fn) {
+    return items.reduce((promise, item) => promise.then(() => fn(item)), Promise.resolve());
+}
+
+export {BCFAPIClientPlugin};
@@ -0,0 +1,460 @@
+import {math} from "../../viewer/scene/math/math.js";
+
+const VIEWPOINT_COMPONENTS = ["selection", "coloring", "visibility"];
+
+/**
+ * In-memory stand-in for a [BCF-API](https://github.com/buildingSMART/BCF-API) server, for testing {@link BCFAPIClientPlugin}.
+ *
+ * BCFAPIMockServer has a {@link BCFAPIMockServer#fetch} function that takes the place of the browser's ````fetch```` and
+ * answers BCF-API 2.1 requests from projects, topics, comments and viewpoints that it keeps in memory. No requests go to the network.
+ *
+ * It supports the requests that {@link BCFAPIClientPlugin} makes: getting versions, the current user and projects, getting,
+ * creating, updating and deleting topics, getting and creating comments, and getting, creating and deleting viewpoints,
+ * along with their components, snapshots and bitmaps. Lists are paged with the OData ````$top```` and ````$skip```` parameters.
+ *
+ * ````javascript
+ * const mockServer = new BCFAPIMockServer({
+ *     projects: [{project_id: "myProject", name: "My Project"}],
+ *     accessToken: "myAccessToken"    // Optional; requests without this token get a 401 response
+ * });
+ *
+ * const bcfAPI = new BCFAPIClientPlugin(viewer, {
+ *     serverURL: mockServer.serverURL,
+ *     accessToken: "myAccessToken",
+ *     fetch: mockServer.fetch
+ * });
+ * ````
+ *
+ * @class BCFAPIMockServer
+ */
+class BCFAPIMockServer {
+
+    /**
+     * @constructor
+     * @param {*} [cfg] Mock server configuration.
+     * @param {String} [cfg.serverURL="http://localhost/bcf-api-mock"] Base URL that the server answers requests for.
+     * @param {Object[]} [cfg.projects=[]] Projects on the server, each with a ````project_id```` and ````name````.
+     * @param {String} [cfg.accessToken] When given, requests must have this token in an ````Authorization: Bearer```` header.
+     * @param {*} [cfg.user={id:"mock@example.com",name:"Mock User"}] The user that the server reports as authenticated.
+     * @param {Number} [cfg.maxPageSize=500] Maximum number of items the server returns for each page of a list.
+     */
+    constructor(cfg = {}) {
+
+        /**
+         * Base URL that the server answers requests for.
+         * @property serverURL
+         * @type {string}
+         */
+        this.serverURL = (cfg.serverURL || "http://localhost/bcf-api-mock").replace(/\/+$/, "");
+
+        /**
+         * When set, requests must have this token in an ````Authorization: Bearer```` header.
+         * @property accessToken
+         * @type {string}
+         */
+        this.accessToken = cfg.accessToken || null;
+
+        /**
+         * The user that the server reports as authenticated.
+         * @property user
+         * @type {*}
+         */
+        this.user = cfg.user || {id: "mock@example.com", name: "Mock User"};
+
+        /**
+         * Maximum number of items the server returns for each page of a list.
+         * @property maxPageSize
+         * @type {number}
+         */
+        this.maxPageSize = cfg.maxPageSize || 500;
+
+        /**
+         * The requests the server has answered, each with a ````method```` and ````url````, in order.
+         * @property requests
+         * @type {Object[]}
+         */
+        this.requests = [];
+
+        this._projects = {};
+
+        (cfg.projects || []).forEach((project) => this.addProject(project));
+
+        /**
+         * Makes a request to this server, taking the same arguments as the browser's ````fetch````.
+         *
+         * This is bound to the server, so that we can plug it into {@link BCFAPIClientPlugin} directly.
+         *
+         * @property fetch
+         * @type {Function}
+         */
+        this.fetch = (url, init) => this._fetch(url, init);
+    }
+
+    /**
+     * Adds a project to the server.
+     *
+     * @param {*} project The project, with a ````project_id```` and ````name````.
+     */
+    addProject(project) {
+        this._projects[project.project_id] = {
+            project: Object.assign({}, project),
+            topics: []
+        };
+    }
+
+    /**
+     * Removes all topics from all projects.
+     */
+    clear() {
+        for (let projectId in this._projects) {
+            if (this._projects.hasOwnProperty(projectId)) {
+                this._projects[projectId].topics = [];
+            }
+        }
+        this.requests = [];
+    }
+
+    /**
+     * @private
+     */
+    _fetch(url, init = {}) {
+        const method = (init.method || "GET").toUpperCase();
+        this.requests.push({method: method, url: url});
+        return new Promise((resolve) => {
+            let response;
+            try {
+                response = this._handle(method, url, init);
+            } catch (e) {
+                response = jsonResponse(500, {message: "" + e});
+            }
+            setTimeout(() => resolve(response), 0); // Answer asynchronously, like a real server
+        });
+    }
+
+    /**
+     * @private
+     */
+    _handle(method, url, init) {
+
+        if (url.indexOf(this.serverURL + "/bcf/") !== 0) {
+            return jsonResponse(404, {message: "Not found: " + url});
+        }
+
+        if (this.accessToken && getHeader(init.headers, "Authorization") !== "Bearer " + this.accessToken) {
+            return jsonResponse(401, {message: "Unauthorized"});
+        }
+
+        const queryIndex = url.indexOf("?");
+        const query = parseQuery(queryIndex !== -1 ? url.substring(queryIndex + 1) : "");
+        const path = url.substring(this.serverURL.length, (queryIndex !== -1) ? queryIndex : url.length)
+            .split("/")
+            .filter((segment) => segment.length > 0)
+            .map((segment) => decodeURIComponent(segment));
+
+        const body = (init.body !== undefined && init.body !== null) ? JSON.parse(init.body) : null;
+
+        // path: ["bcf", version, resource, ...]
+
+        if (path[1] === "versions" && path.length === 2) {
+            return (method === "GET") ? jsonResponse(200, {versions: [{version_id: "2.1", detailed_version: "https://github.com/buildingSMART/BCF-API/tree/release_2_1"}]}) : methodNotAllowed();
+        }
+
+        if (path[1] !== "2.1") {
+            return jsonResponse(404, {message: "Unsupported BCF-API version: " + path[1]});
+        }
+
+        if (path[2] === "current-user" && path.length === 3) {
+            return (method === "GET") ? jsonResponse(200, this.user) : methodNotAllowed();
+        }
+
+        if (path[2] !== "projects") {
+            return notFound();
+        }
+
+        if (path.length === 3) {
+            return (method === "GET") ? this._page(Object.keys(this._projects).map((id) => this._projects[id].project), query) : methodNotAllowed();
+        }
+
+        const projectEntry = this._projects[path[3]];
+        if (!projectEntry) {
+            return notFound();
+        }
+
+        if (path.length === 4) {
+            return (method === "GET") ? jsonResponse(200, projectEntry.project) : methodNotAllowed();
+        }
+
+        if (path[4] !== "topics") {
+            return notFound();
+        }
+
+        const topics = projectEntry.topics;
+
+        if (path.length === 5) {
+            if (method === "GET") {
+                return this._page(topics.map((topicEntry) => topicEntry.topic), query);
+            }
+            if (method === "POST") {
+                const topic = Object.assign({}, body, {
+                    guid: body.guid || math.createUUID(),
+                    creation_date: new Date().toISOString(),
+                    creation_author: this.user.id
+                });
+                topics.push({topic: topic, comments: [], viewpoints: []});
+                return jsonResponse(201, topic);
+            }
+            return methodNotAllowed();
+        }
+
+        const topicIndex = topics.findIndex((topicEntry) => topicEntry.topic.guid === path[5]);
+        const topicEntry = topics[topicIndex];
+        if (!topicEntry) {
+            return notFound();
+        }
+
+        if (path.length === 6) {
+            if (method === "GET") {
+                return jsonResponse(200, topicEntry.topic);
+            }
+            if (method === "PUT") {
+                topicEntry.topic = Object.assign({}, body, {
+                    guid: topicEntry.topic.guid,
+                    creation_date: topicEntry.topic.creation_date,
+                    creation_author: topicEntry.topic.creation_author,
+                    modified_date: new Date().toISOString(),
+                    modified_author: this.user.id
+                });
+                return jsonResponse(200, topicEntry.topic);
+            }
+            if (method === "DELETE") {
+                topics.splice(topicIndex, 1);
+                return emptyResponse();
+            }
+            return methodNotAllowed();
+        }
+
+        if (path[6] === "comments") {
+            return this._handleComments(method, path, query, body, topicEntry);
+        }
+
+        if (path[6] === "viewpoints") {
+            return this._handleViewpoints(method, path, query, body, topicEntry);
+        }
+
+        return notFound();
+    }
+
+    /**
+     * @private
+     */
+    _handleComments(method, path, query, body, topicEntry) {
+        const comments = topicEntry.comments;
+        if (path.length === 7) {
+            if (method === "GET") {
+                return this._page(comments, query);
+            }
+            if (method === "POST") {
+                const comment = Object.assign({}, body, {
+                    guid: math.createUUID(),
+                    topic_guid: topicEntry.topic.guid,
+                    date: new Date().toISOString(),
+                    author: this.user.id
+                });
+                comments.push(comment);
+                return jsonResponse(201, comment);
+            }
+            return methodNotAllowed();
+        }
+        const comment = comments.find((comment) => comment.guid === path[7]);
+        if (!comment || path.length !== 8) {
+            return notFound();
+        }
+        return (method === "GET") ? jsonResponse(200, comment) : methodNotAllowed();
+    }
+
+    /**
+     * @private
+     */
+    _handleViewpoints(method, path, query, body, topicEntry) {
+        const viewpoints = topicEntry.viewpoints;
+        if (path.length === 7) {
+            if (method === "GET") {
+                return this._page(viewpoints.map(getViewpointJSON), query);
+            }
+            if (method === "POST") {
+                const viewpoint = Object.assign({}, body, {
+                    guid: math.createUUID(),
+                    bitmaps: (body.bitmaps || []).map((bitmap) => Object.assign({}, bitmap, {guid: math.createUUID()}))
+                });
+                viewpoints.push(viewpoint);
+                return jsonResponse(201, getViewpointJSON(viewpoint));
+            }
+            return methodNotAllowed();
+        }
+        const viewpointIndex = viewpoints.findIndex((viewpoint) => viewpoint.guid === path[7]);
+        const viewpoint = viewpoints[viewpointIndex];
+        if (!viewpoint) {
+            return notFound();
+        }
+        if (path.length === 8) {
+            if (method === "GET") {
+                return jsonResponse(200, getViewpointJSON(viewpoint));
+            }
+            if (method === "DELETE") {
+                viewpoints.splice(viewpointIndex, 1);
+                return emptyResponse();
+            }
+            return methodNotAllowed();
+        }
+        if (method !== "GET") {
+            return methodNotAllowed();
+        }
+        const resource = path[8];
+        if (path.length === 9 && VIEWPOINT_COMPONENTS.indexOf(resource) !== -1) {
+            const components = viewpoint.components || {};
+            const json = {};
+            json[resource] = components[resource] || ((resource === "visibility") ? {default_visibility: true} : []);
+            return jsonResponse(200, json);
+        }
+        if (path.length === 9 && resource === "snapshot") {
+            return (viewpoint.snapshot && viewpoint.snapshot.snapshot_data) ? imageResponse(viewpoint.snapshot.snapshot_type, viewpoint.snapshot.snapshot_data) : notFound();
+        }
+        if (path.length === 10 && resource === "bitmaps") {
+            const bitmap = viewpoint.bitmaps.find((bitmap) => bitmap.guid === path[9]);
+            return bitmap ? imageResponse(bitmap.bitmap_type, bitmap.bitmap_data) : notFound();
+        }
+        return notFound();
+    }
+
+    /**
+     * @private
+     */
+    _page(items, query) {
+        const skip = parseInt(query["$skip"], 10) || 0;
+        const top = Math.min(parseInt(query["$top"], 10) || this.maxPageSize, this.maxPageSize);
+        return jsonResponse(200, items.slice(skip, skip + top));
+    }
+}
+
+/**
+ * A response from {@link BCFAPIMockServer}, with the parts of the browser's ````Response```` that {@link BCFAPIClientPlugin} uses.
+ * @private
+ */
+class MockResponse {
+
+    constructor(status, contentType, getBody) {
+        this.status = status;
+        this.ok = (status >= 200 && status < 300);
+        this.statusText = STATUS_TEXTS[status] || "";
+        this._contentType = contentType;
+        this._getBody = getBody;
+        this.headers = {
+            get: (name) => (name.toLowerCase() === "content-type") ? this._contentType : null
+        };
+    }
+
+    json() {
+        return Promise.resolve(JSON.parse(this._getText()));
+    }
+
+    text() {
+        return Promise.resolve(this._getText());
+    }
+
+    arrayBuffer() {
+        const body = this._getBody();
+        if (body instanceof ArrayBuffer) {
+            return Promise.resolve(body);
+        }
+        return Promise.resolve(new TextEncoder().encode(body || "").buffer);
+    }
+
+    _getText() {
+        const body = this._getBody();
+        return (typeof body === "string") ? body : "";
+    }
+}
+
+const STATUS_TEXTS = {
+    200: "OK",
+    201: "Created",
+    204: "No Content",
+    401: "Unauthorized",
+    404: "Not Found",
+    405: "Method Not Allowed",
+    500: "Internal Server Error"
+};
+
+function jsonResponse(status, json) {
+    const text = JSON.stringify(json);
+    return new MockResponse(status, "application/json", () => text);
+}
+
+function emptyResponse() {
+    return new MockResponse(204, null, () => null);
+}
+
+function notFound() {
+    return jsonResponse(404, {message: "Not found"});
+}
+
+function methodNotAllowed() {
+    return jsonResponse(405, {message: "Method not allowed"});
+}
+
+function imageResponse(type, base64) {
+    return new MockResponse(200, (type === "jpg" || type === "jpeg") ? "image/jpeg" : "image/png", () => base64ToArrayBuffer(base64));
+}
+
+function getViewpointJSON(viewpoint) { // BCF-API serves components, snapshot and bitmap data separately
+    const json = Object.assign({}, viewpoint);
+    delete json.components;
+    if (viewpoint.snapshot) {
+        json.snapshot = {snapshot_type: viewpoint.snapshot.snapshot_type};
+    }
+    json.bitmaps = (viewpoint.bitmaps || []).map((bitmap) => {
+        const bitmapJSON = Object.assign({}, bitmap);
+        delete bitmapJSON.bitmap_data;
+        return bitmapJSON;
+    });
+    return json;
+}
+
+function getHeader(headers, name) {
+    if (!headers) {
+        return null;
+    }
+    if (typeof headers.get === "function") {
+        return headers.get(name);
+    }
+    const lowerName = name.toLowerCase();
+    for (let key in headers) {
+        if (headers.hasOwnProperty(key) && key.toLowerCase() === lowerName) {
+            return headers[key];
+        }
+    }
+    return null;
+}
+
+function parseQuery(queryString) {
+    const query = {};
+    queryString.split("&").forEach((param) => {
+        if (param) {
+            const i = param.indexOf("=");
+            const key = decodeURIComponent((i !== -1) ? param.substring(0, i) : param);
+            query[key] = (i !== -1) ? decodeURIComponent(param.substring(i + 1)) : "";
+        }
+    });
+    return query;
+}
+
+function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0, len = binary.length; i < len; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+export {BCFAPIMockServer};
@@ -1,6 +1,11 @@
 import {Plugin} from "../../viewer/Plugin.js";
 import {SectionPlane} from "../../viewer/scene/sectionPlane/SectionPlane.js";
 import {math} from "../../viewer/scene/math/math.js";
+import {Mesh} from "../../viewer/scene/mesh/Mesh.js";
+import {ReadableGeometry} from "../../viewer/scene/geometry/ReadableGeometry.js";
+import {PhongMaterial} from "../../viewer/scene/materials/PhongMaterial.js";
+import {ImagePlane} from "../../viewer/scene/ImagePlane/ImagePlane.js";
+import {readBCFZip, writeBCFZip} from "./lib/bcfZip.js";
 
 const tempVec3 = math.vec3();
 
@@ -172,6 +177,136 @@ const tempVec3 = math.vec3();
  *
  * [[Run an example](http://xeokit.github.io/xeokit-sdk/examples/#BCF_LoadViewpoint_defaultInvisible)]
  *
+ * ## Object IDs and BCF Components
+ *
+ * BCF identifies objects by their IFC GUIDs, as the ````ifc_guid```` of each component in a viewpoint. The IDs of our
+ * {@link Entity}s are only IFC GUIDs when we load IFC-based models, like XKT files made from IFC. Models loaded with
+ * other loaders, such as {@link GLTFLoaderPlugin}, {@link OBJLoaderPlugin} or {@link BIMServerLoaderPlugin}, can have
+ * {@link Entity}s with IDs that are node names or object IDs from another system.
+ *
+ * BCFViewpointsPlugin therefore maps between {@link Entity} IDs and BCF components, both when getting and setting viewpoints.
+ * By default, it finds each object's IFC GUID in its {@link MetaObject}, looking at the ````globalId```` or ````ifcGuid```` of
+ * {@link MetaObject#external}, then at a ````GlobalId```` property in {@link MetaObject#propertySets}, and finally at the
+ * {@link MetaObject#id} itself, when that looks like an IFC GUID. Each component also gets the ID of the object as its
+ * ````authoring_tool_id````, and the {@link MetaModel#creatingApplication} as its ````originating_system````, falling back on
+ * {@link BCFViewpointsPlugin#originatingSystem}.
+ *
+ * When setting a viewpoint, the plugin finds the objects for each component by its ````ifc_guid````, and otherwise by
+ * its ````authoring_tool_id````. That way, a viewpoint saved with a model loaded from XKT still shows the right objects
+ * when the same IFC model is loaded from BIMServer.
+ *
+ * We can also supply our own mapping functions:
+ *
+ * ````javascript
+ * const bcfViewpoints = new BCFViewpointsPlugin(viewer, {
+ *
+ *     objectIdToComponent: (objectId, metaObject) => { // Return null to use the default mapping
+ *         return {
+ *             ifc_guid: myGuidLookup[objectId],
+ *             authoring_tool_id: objectId,
+ *             originating_system: "My App"
+ *         };
+ *     },
+ *
+ *     componentToObjectIds: (component) => { // Return null to use the default mapping
+ *         return myObjectIdLookup[component.ifc_guid] || [];
+ *     }
+ * });
+ * ````
+ *
+ * ## Markup Lines and Bitmaps
+ *
+ * BCF viewpoints can also contain markup in the form of 3D lines and bitmap images. We can add our own markup to the
+ * Viewer with {@link BCFViewpointsPlugin#createMarkupLine} and {@link BCFViewpointsPlugin#createMarkupBitmap}, which
+ * {@link BCFViewpointsPlugin#getViewpoint} then saves as the ````lines```` and ````bitmaps```` of the viewpoint.
+ *
+ * When we load a viewpoint, {@link BCFViewpointsPlugin#setViewpoint} replaces any existing markup with the viewpoint's lines
+ * and bitmaps, so that markup made with other BCF tools appears in the Viewer. Lines are rendered as 3D line {@link Mesh}es, and
+ * bitmaps as {@link ImagePlane}s.
+ *
+ * ````javascript
+ * bcfViewpoints.createMarkupLine({
+ *     id: "myLine",
+ *     start: [0, 0, 0],
+ *     end: [5, 5, 0],
+ *     color: [1, 0, 0]
+ * });
+ *
+ * bcfViewpoints.createMarkupBitmap({
+ *     id: "myBitmap",
+ *     src: "./images/revisionCloud.png",    // Or a data URI; accepted file types are PNG and JPEG
+ *     location: [2, 3, 0],                  // World-space center of the bitmap
+ *     normal: [0, 0, 1],                    // Direction the bitmap faces
+ *     up: [0, 1, 0],                        // Direction of the top edge of the bitmap
+ *     height: 2                             // World-space height of the bitmap
+ * });
+ *
+ * const viewpoint = bcfViewpoints.getViewpoint(); // Viewpoint has our line and bitmap
+ *
+ * bcfViewpoints.clearMarkups();
+ *
+ * bcfViewpoints.setViewpoint(viewpoint);         // Restores our line and bitmap
+ * ````
+ *
+ * ## Reading and Writing BCF Archives
+ *
+ * BCFViewpointsPlugin can also read and write BCF 2.1 archives (*````.bcfzip````*), which is how BCF issues are exchanged
+ * with tools like Revit, Solibri and BIMcollab.
+ *
+ * {@link BCFViewpointsPlugin#readBCFZip} reads an archive into a JSON object containing its topics, and the comments and viewpoints
+ * of each topic. The viewpoints are the same JSON objects that we get from {@link BCFViewpointsPlugin#getViewpoint}
+ * and give to {@link BCFViewpointsPlugin#setViewpoint}, so we can load them straight into the Viewer. Topics, comments and
+ * viewpoints have the same properties as in the [BCF-API](https://github.com/buildingSMART/BCF-API).
+ *
+ * {@link BCFViewpointsPlugin#writeBCFZip} writes a JSON object like that back into an archive.
+ *
+ * To unzip and zip the archives, BCFViewpointsPlugin uses the [zip.js](https://gildas-lormeau.github.io/zip.js/) library
+ * that's bundled with {@link XML3DLoaderPlugin}. That library uses Web workers, so we need to configure BCFViewpointsPlugin
+ * with a ````workerScriptsPath```` that points to the directory containing the library.
+ *
+ * ````javascript
+ * const bcfViewpoints = new BCFViewpointsPlugin(viewer, {
+ *     workerScriptsPath: "../src/plugins/XML3DLoaderPlugin/zipjs/"
+ * });
+ *
+ * // Read an archive and show the first viewpoint of its first topic
+ *
+ * bcfViewpoints.readBCFZip("./bcf/issues.bcfzip", (bcf) => {
+ *
+ *     const topic = bcf.topics[0];
+ *
+ *     console.log(topic.title + ": " + topic.comments.map(comment => comment.comment).join(", "));
+ *
+ *     bcfViewpoints.setViewpoint(topic.viewpoints[0]);
+ *
+ * }, (errMsg) => {
+ *     console.error(errMsg);
+ * });
+ *
+ * // Write an archive containing a topic for the current view
+ *
+ * const viewpoint = bcfViewpoints.getViewpoint();
+ *
+ * bcfViewpoints.writeBCFZip({
+ *     topics: [{
+ *         title: "Wall clashes with duct",
+ *         topic_type: "Clash",
+ *         topic_status: "Open",
+ *         creation_author: "jane@example.com",
+ *         comments: [{
+ *             comment: "Please move the duct",
+ *             author: "jane@example.com"
+ *         }],
+ *         viewpoints: [viewpoint]
+ *     }]
+ * }, (blob) => {
+ *     const link = document.createElement("a");
+ *     link.href = URL.createObjectURL(blob);
+ *     link.download = "issues.bcfzip";
+ *     link.click();
+ * });
+ * ````
+ *
  * @class BCFViewpointsPlugin
  */
 class BCFViewpointsPlugin extends Plugin {
@@ -183,6 +318,12 @@ class BCFViewpointsPlugin extends Plugin {
      * @param {String} [cfg.id="BCFViewpoints"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
      * @param {String} [cfg.originatingSystem] Identifies the originating system for BCF records.
      * @param {String} [cfg.authoringTool] Identifies the authoring tool for BCF records.
+     * @param {Function} [cfg.objectIdToComponent] Callback that maps an {@link Entity} ID and its {@link MetaObject}, if any,
+     * to a BCF component with ````ifc_guid````, ````authoring_tool_id```` and ````originating_system````. Return ````null```` to use the default mapping.
+     * @param {Function} [cfg.componentToObjectIds] Callback that maps a BCF component to an array of {@link Entity} IDs. Return ````null```` to use the default mapping.
+     * @param {String} [cfg.workerScriptsPath] Path to the directory that contains the [zip.js](https://gildas-lormeau.github.io/zip.js/)
+     * library bundled with {@link XML3DLoaderPlugin}, whose Web workers unzip and zip BCF archives. Only needed for
+     * {@link BCFViewpointsPlugin#readBCFZip} and {@link BCFViewpointsPlugin#writeBCFZip}.
      */
     constructor(viewer, cfg = {}) {
 
@@ -196,11 +337,52 @@ class BCFViewpointsPlugin extends Plugin {
         this.originatingSystem = cfg.originatingSystem || "xeokit.io";
 
         /**
-         * Identifies the authoring tool to include in BCF viewpoints saved by this plugin.
+         * Identifies the authoring tool for BCF records.
+         *
+         * Components in saved viewpoints no longer get this as their ````authoring_tool_id````, which is now the ID of the object.
+         *
          * @property authoringTool
          * @type {string}
          */
         this.authoringTool = cfg.authoringTool || "xeokit.io";
+
+        /**
+         * Callback that maps an {@link Entity} ID and its {@link MetaObject} to a BCF component, overriding the default mapping.
+         * @property objectIdToComponent
+         * @type {Function}
+         */
+        this.objectIdToComponent = cfg.objectIdToComponent || null;
+
+        /**
+         * Callback that maps a BCF component to an array of {@link Entity} IDs, overriding the default mapping.
+         * @property componentToObjectIds
+         * @type {Function}
+         */
+        this.componentToObjectIds = cfg.componentToObjectIds || null;
+
+        /**
+         * Path to the directory containing the zip.js Web worker scripts, used to read and write BCF archives.
+         * @property workerScriptsPath
+         * @type {string}
+         */
+        this.workerScriptsPath = cfg.workerScriptsPath || null;
+
+        /**
+         * The markup line {@link Mesh}es created by {@link BCFViewpointsPlugin#createMarkupLine}, each mapped to its ID.
+         * @property markupLines
+         * @type {{String:Mesh}}
+         */
+        this.markupLines = {};
+
+        /**
+         * The markup bitmap {@link ImagePlane}s created by {@link BCFViewpointsPlugin#createMarkupBitmap}, each mapped to its ID.
+         * @property markupBitmaps
+         * @type {{String:ImagePlane}}
+         */
+        this.markupBitmaps = {};
+
+        this._markupLineParams = {};
+        this._markupBitmapParams = {};
     }
 
     /**
@@ -325,8 +507,54 @@ class BCFViewpointsPlugin extends Plugin {
             };
         }
 
+        // Lines
+
         bcfViewpoint.lines = [];
+        for (let id in this._markupLineParams) {
+            if (this._markupLineParams.hasOwnProperty(id)) {
+                const lineParams = this._markupLineParams[id];
+                let start = lineParams.start;
+                let end = lineParams.end;
+                if (camera.yUp) {
+                    // BCF is Z up
+                    start = YToZ(start);
+                    end = YToZ(end);
+                }
+                bcfViewpoint.lines.push({
+                    start_point: xyzArrayToObject(math.addVec3(start, realWorldOffset, math.vec3())),
+                    end_point: xyzArrayToObject(math.addVec3(end, realWorldOffset, math.vec3()))
+                });
+            }
+        }
+
+        // Bitmaps
+
         bcfViewpoint.bitmaps = [];
+        for (let id in this._markupBitmapParams) {
+            if (this._markupBitmapParams.hasOwnProperty(id)) {
+                const bitmapParams = this._markupBitmapParams[id];
+                if (!bitmapParams.data) { // Image not loaded yet, or not readable
+                    continue;
+                }
+                let location = bitmapParams.location;
+                let normal = bitmapParams.normal;
+                let up = bitmapParams.up;
+                if (camera.yUp) {
+                    // BCF is Z up
+                    location = YToZ(location);
+                    normal = YToZ(normal);
+                    up = YToZ(up);
+                }
+                bcfViewpoint.bitmaps.push({
+                    bitmap_type: bitmapParams.type,
+                    bitmap_data: bitmapParams.data,
+                    location: xyzArrayToObject(math.addVec3(location, realWorldOffset, math.vec3())),
+                    normal: xyzArrayToObject(normal),
+                    up: xyzArrayToObject(up),
+                    height: bitmapParams.height
+                });
+            }
+        }
 
         // Clipping planes
 
@@ -397,10 +625,7 @@ class BCFViewpointsPlugin extends Plugin {
                 if (!coloring[color]) {
                     coloring[color] = [];
                 }
-                coloring[color].push({
-                    ifc_guid: object.id,
-                    originating_system: this.originatingSystem
-                });
+                coloring[color].push(this._objectIdToComponent(object.id));
                 return coloring;
             }, {});
 
@@ -434,12 +659,70 @@ class BCFViewpointsPlugin extends Plugin {
         return bcfViewpoint;
     }
 
+    /**
+     * @private
+     */
     _objectIdToComponent(objectId) {
-        return {
-            ifc_guid: objectId,
-            originating_system: this.originatingSystem,
-            authoring_tool_id: this.authoringTool
-        };
+        const metaObject = this.viewer.metaScene.metaObjects[objectId];
+        if (this.objectIdToComponent) {
+            const component = this.objectIdToComponent(objectId, metaObject);
+            if (component) {
+                return component;
+            }
+        }
+        const component = {};
+        const ifcGuid = getIFCGuid(objectId, metaObject);
+        if (ifcGuid) {
+            component.ifc_guid = ifcGuid;
+        }
+        component.originating_system = (metaObject && metaObject.metaModel && metaObject.metaModel.creatingApplication) || this.originatingSystem;
+        component.authoring_tool_id = "" + objectId;
+        return component;
+    }
+
+    /**
+     * Maps BCF components to the IDs of the objects in the Scene.
+     * @private
+     */
+    _componentsToObjectIds(components, ifcGuidIndex) {
+        const scene = this.viewer.scene;
+        const objectIds = [];
+        for (let i = 0, len = components.length; i < len; i++) {
+            const component = components[i];
+            if (this.componentToObjectIds) {
+                const ids = this.componentToObjectIds(component);
+                if (ids) {
+                    objectIds.push(...ids);
+                    continue;
+                }
+            }
+            const ids = component.ifc_guid ? ifcGuidIndex[component.ifc_guid] : null;
+            if (ids) {
+                objectIds.push(...ids);
+            } else if (component.authoring_tool_id !== undefined && scene.objects[component.authoring_tool_id]) {
+                objectIds.push(component.authoring_tool_id);
+            }
+        }
+        return objectIds;
+    }
+
+    /**
+     * Builds a map of the IDs of the objects in the Scene, keyed by their IFC GUIDs.
+     * @private
+     */
+    _buildIFCGuidIndex() {
+        const scene = this.viewer.scene;
+        const metaObjects = this.viewer.metaScene.metaObjects;
+        const index = {};
+        const objectIds = scene.objectIds;
+        for (let i = 0, len = objectIds.length; i < len; i++) {
+            const objectId = objectIds[i];
+            const ifcGuid = getIFCGuid(objectId, metaObjects[objectId]);
+            if (ifcGuid) {
+                (index[ifcGuid] || (index[ifcGuid] = [])).push(objectId);
+            }
+        }
+        return index;
     }
 
     /**
@@ -497,6 +780,45 @@ class BCFViewpointsPlugin extends Plugin {
             });
         }
 
+        this.clearMarkups();
+
+        if (bcfViewpoint.lines) {
+            bcfViewpoint.lines.forEach((line) => {
+                let start = math.subVec3(xyzObjectToArray(line.start_point), realWorldOffset);
+                let end = math.subVec3(xyzObjectToArray(line.end_point), realWorldOffset);
+                if (camera.yUp) {
+                    start = ZToY(start);
+                    end = ZToY(end);
+                }
+                this.createMarkupLine({start, end});
+            });
+        }
+
+        if (bcfViewpoint.bitmaps) {
+            bcfViewpoint.bitmaps.forEach((bitmap) => {
+                if (!bitmap.bitmap_data) {
+                    return;
+                }
+                const type = (bitmap.bitmap_type || "png").toLowerCase();
+                let location = math.subVec3(xyzObjectToArray(bitmap.location), realWorldOffset);
+                let normal = xyzObjectToArray(bitmap.normal);
+                let up = xyzObjectToArray(bitmap.up);
+                if (camera.yUp) {
+                    location = ZToY(location);
+                    normal = ZToY(normal);
+                    up = ZToY(up);
+                }
+                this.createMarkupBitmap({
+                    src: (bitmap.bitmap_data.indexOf("data:") === 0) ? bitmap.bitmap_data : "data:" + (type === "png" ? "image/png" : "image/jpeg") + ";base64," + bitmap.bitmap_data,
+                    type,
+                    location,
+                    normal,
+                    up,
+                    height: bitmap.height
+                });
+            });
+        }
+
         if (reset) {
             scene.setObjectsXRayed(scene.xrayedObjectIds, false);
             scene.setObjectsHighlighted(scene.highlightedObjectIds, false);
@@ -505,17 +827,19 @@ class BCFViewpointsPlugin extends Plugin {
 
         if (bcfViewpoint.components) {
 
+            const ifcGuidIndex = this._buildIFCGuidIndex();
+
             if (bcfViewpoint.components.visibility) {
 
                 if (!bcfViewpoint.components.visibility.default_visibility) {
                     scene.setObjectsVisible(scene.objectIds, false);
                     if (bcfViewpoint.components.visibility.exceptions) {
-                        bcfViewpoint.components.visibility.exceptions.forEach(x => scene.setObjectsVisible(x.ifc_guid, true));
+                        scene.setObjectsVisible(this._componentsToObjectIds(bcfViewpoint.components.visibility.exceptions, ifcGuidIndex), true);
                     }
                 } else {
                     scene.setObjectsVisible(scene.objectIds, true);
                     if (bcfViewpoint.components.visibility.exceptions) {
-                        bcfViewpoint.components.visibility.exceptions.forEach(x => scene.setObjectsVisible(x.ifc_guid, false));
+                        scene.setObjectsVisible(this._componentsToObjectIds(bcfViewpoint.components.visibility.exceptions, ifcGuidIndex), false);
                     }
                 }
 
@@ -536,14 +860,12 @@ class BCFViewpointsPlugin extends Plugin {
 
             if (bcfViewpoint.components.selection) {
                 scene.setObjectsSelected(scene.selectedObjectIds, false);
-                Object.keys(scene.models).forEach(() => {
-                    bcfViewpoint.components.selection.forEach(x => scene.setObjectsSelected(x.ifc_guid, true));
-                });
+                scene.setObjectsSelected(this._componentsToObjectIds(bcfViewpoint.components.selection, ifcGuidIndex), true);
             }
 
             if (bcfViewpoint.components.coloring) {
                 bcfViewpoint.components.coloring.forEach(coloring => {
-                    let uuids = coloring.components.map(component => component.ifc_guid);
+                    let uuids = this._componentsToObjectIds(coloring.components, ifcGuidIndex);
                     let color = coloring.color;
                     if (color.length === 8) {
                         // There is an alpha color
@@ -615,10 +937,210 @@ class BCFViewpointsPlugin extends Plugin {
         }
     }
 
+    /**
+     * Creates a markup line.
+     *
+     * The line is rendered as a 3D line {@link Mesh}, and is saved in the ````lines```` of viewpoints
+     * we get from {@link BCFViewpointsPlugin#getViewpoint}.
+     *
+     * @param {*} params Line parameters.
+     * @param {String} [params.id] Unique ID for the line, generated automatically when omitted.
+     * @param {Number[]} params.start World-space start point.
+     * @param {Number[]} params.end World-space end point.
+     * @param {Number[]} [params.color=[1,0,0]] RGB color of the line.
+     * @returns {Mesh} The line {@link Mesh}.
+     */
+    createMarkupLine(params) {
+        if (params.id && (this.markupLines[params.id] || this.viewer.scene.components[params.id])) {
+            this.error("Viewer component with this ID already exists: " + params.id);
+            return null;
+        }
+        const start = math.vec3(params.start);
+        const end = math.vec3(params.end);
+        const scene = this.viewer.scene;
+        const mesh = new Mesh(scene, {
+            id: params.id,
+            geometry: new ReadableGeometry(scene, {
+                primitive: "lines",
+                positions: [start[0], start[1], start[2], end[0], end[1], end[2]],
+                indices: [0, 1]
+            }),
+            material: new PhongMaterial(scene, {
+                diffuse: [0, 0, 0],
+                ambient: [0, 0, 0],
+                specular: [0, 0, 0],
+                emissive: params.color || [1, 0, 0],
+                lineWidth: 2
+            }),
+            collidable: false,
+            pickable: false
+        });
+        mesh.on("destroyed", () => {
+            mesh.geometry.destroy();
+            mesh.material.destroy();
+            delete this.markupLines[mesh.id];
+            delete this._markupLineParams[mesh.id];
+        });
+        this.markupLines[mesh.id] = mesh;
+        this._markupLineParams[mesh.id] = {start, end};
+        return mesh;
+    }
+
+    /**
+     * Destroys a markup line.
+     *
+     * @param {String} id ID of the line to destroy.
+     */
+    destroyMarkupLine(id) {
+        const mesh = this.markupLines[id];
+        if (!mesh) {
+            this.log("Markup line not found: " + id);
+            return;
+        }
+        mesh.destroy();
+    }
+
+    /**
+     * Creates a markup bitmap.
+     *
+     * The bitmap is rendered as an {@link ImagePlane}, and is saved in the ````bitmaps```` of viewpoints
+     * we get from {@link BCFViewpointsPlugin#getViewpoint}, with the image as a data URI. Images from URLs
+     * on other origins can only be saved when they are served with CORS headers.
+     *
+     * @param {*} params Bitmap parameters.
+     * @param {String} [params.id] Unique ID for the bitmap, generated automatically when omitted.
+     * @param {String} params.src URL or data URI of the image. Accepted file types are PNG and JPEG.
+     * @param {String} [params.type] Image type, ````"png"```` or ````"jpg"````. Taken from ````src```` when omitted.
+     * @param {Number[]} params.location World-space position of the center of the bitmap.
+     * @param {Number[]} params.normal World-space direction that the bitmap faces.
+     * @param {Number[]} params.up World-space direction of the top edge of the bitmap.
+     * @param {Number} params.height World-space height of the bitmap. Its width follows from the aspect ratio of the image.
+     * @returns {ImagePlane} The bitmap {@link ImagePlane}.
+     */
+    createMarkupBitmap(params) {
+        if (params.id && (this.markupBitmaps[params.id] || this.viewer.scene.components[params.id])) {
+            this.error("Viewer component with this ID already exists: " + params.id);
+            return null;
+        }
+        const src = params.src;
+        const isJPEG = params.type ? /^jpe?g$/i.test(params.type) : /^data:image\/jpeg|\.jpe?g$/i.test(src);
+        const bitmapParams = {
+            type: isJPEG ? "jpg" : "png",
+            data: (src.indexOf("data:") === 0) ? src : null,
+            location: math.vec3(params.location),
+            normal: math.normalizeVec3(math.vec3(params.normal)),
+            up: math.normalizeVec3(math.vec3(params.up)),
+            height: params.height
+        };
+        const imagePlane = new ImagePlane(this.viewer.scene, {
+            id: params.id,
+            position: bitmapParams.location,
+            dir: math.negateVec3(bitmapParams.normal, math.vec3()),
+            up: bitmapParams.up,
+            size: bitmapParams.height,
+            gridVisible: false,
+            collidable: false,
+            pickable: false
+        });
+        imagePlane.on("destroyed", () => {
+            delete this.markupBitmaps[imagePlane.id];
+            delete this._markupBitmapParams[imagePlane.id];
+        });
+        const image = new Image();
+        image.crossOrigin = "Anonymous";
+        image.onload = () => {
+            if (imagePlane.destroyed) {
+                return;
+            }
+            if (!bitmapParams.data) {
+                bitmapParams.data = getImageDataURI(image, bitmapParams.type);
+                if (!bitmapParams.data) {
+                    this.warn("Markup bitmap image can't be read, so won't be saved in viewpoints: " + src);
+                }
+            }
+            imagePlane.size = (image.width > image.height) ? bitmapParams.height * image.width / image.height : bitmapParams.height;
+            imagePlane.image = image;
+        };
+        image.onerror = () => {
+            this.error("Failed to load markup bitmap image: " + src);
+        };
+        image.src = src;
+        this.markupBitmaps[imagePlane.id] = imagePlane;
+        this._markupBitmapParams[imagePlane.id] = bitmapParams;
+        return imagePlane;
+    }
+
+    /**
+     * Destroys a markup bitmap.
+     *
+     * @param {String} id ID of the bitmap to destroy.
+     */
+    destroyMarkupBitmap(id) {
+        const imagePlane = this.markupBitmaps[id];
+        if (!imagePlane) {
+            this.log("Markup bitmap not found: " + id);
+            return;
+        }
+        imagePlane.destroy();
+    }
+
+    /**
+     * Destroys all markup lines and bitmaps.
+     */
+    clearMarkups() {
+        Object.keys(this.markupLines).forEach((id) => this.destroyMarkupLine(id));
+        Object.keys(this.markupBitmaps).forEach((id) => this.destroyMarkupBitmap(id));
+    }
+
+    /**
+     * Reads a BCF 2.1 archive (*````.bcfzip````*).
+     *
+     * Gets a BCF JSON object that has the ````version```` of the archive, its ````project````, if any, and its ````topics````.
+     * Each topic has its ````comments```` and ````viewpoints````, where each viewpoint can be loaded with {@link BCFViewpointsPlugin#setViewpoint}.
+     * Snapshots and bitmaps in the archive are loaded as data URIs.
+     *
+     * @param {String|ArrayBuffer|Blob} src Path to the archive, or the contents of the archive.
+     * @param {Function} ok Callback fired with the BCF JSON object.
+     * @param {Function} [error] Callback fired on error.
+     */
+    readBCFZip(src, ok, error) {
+        error = error || ((errMsg) => this.error(errMsg));
+        if (!this.workerScriptsPath) {
+            error("Config expected: workerScriptsPath");
+            return;
+        }
+        readBCFZip(this.workerScriptsPath, src, ok, error);
+    }
+
+    /**
+     * Writes a BCF 2.1 archive (*````.bcfzip````*).
+     *
+     * Takes a BCF JSON object like the one we get from {@link BCFViewpointsPlugin#readBCFZip}, in which the
+     * viewpoints can be those we get from {@link BCFViewpointsPlugin#getViewpoint}. Generates GUIDs for topics,
+     * comments and viewpoints that don't have them.
+     *
+     * @param {*} bcf The BCF JSON object.
+     * @param {*} [bcf.project] The BCF project, with ````project_id```` and ````name````.
+     * @param {Object[]} bcf.topics The BCF topics.
+     * @param {Function} ok Callback fired with the archive, as a Blob.
+     * @param {Function} [error] Callback fired on error.
+     */
+    writeBCFZip(bcf, ok, error) {
+        error = error || ((errMsg) => this.error(errMsg));
+        if (!this.workerScriptsPath) {
+            error("Config expected: workerScriptsPath");
+            return;
+        }
+        writeBCFZip(this.workerScriptsPath, bcf, ok, error);
+    }
+
     /**
      * Destroys this BCFViewpointsPlugin.
+     *
+     * Destroys all markup lines and bitmaps first.
      */
     destroy() {
+        this.clearMarkups();
         super.destroy();
     }
 }
@@ -643,6 +1165,42 @@ function ZToY(vec) {
     return new Float64Array([vec[0], vec[2], -vec[1]]);
 }
 
+function getImageDataURI(image, type) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    try {
+        return canvas.toDataURL((type === "jpg") ? "image/jpeg" : "image/png");
+    } catch (e) { // Canvas tainted by a cross-origin image
+        return null;
+    }
+}
+
+const IFC_GUID_PATTERN = /^[0-3][0-9A-Za-z_$]{21}$/;
+
+function getIFCGuid(objectId, metaObject) {
+    if (metaObject) {
+        const external = metaObject.external;
+        if (external && (external.globalId || external.ifcGuid)) {
+            return external.globalId || external.ifcGuid;
+        }
+        const propertySets = metaObject.propertySets;
+        if (propertySets) {
+            for (let i = 0, len = propertySets.length; i < len; i++) {
+                const properties = propertySets[i].properties || [];
+                for (let j = 0, lenj = properties.length; j < lenj; j++) {
+                    const property = properties[j];
+                    if (property.name === "GlobalId" && property.value) {
+                        return property.value;
+                    }
+                }
+            }
+        }
+    }
+    return IFC_GUID_PATTERN.test(objectId) ? objectId : null;
+}
+
 function colorizeToRGB(color) {
     let rgb = "";
     rgb += Math.round(color[0] * 255).toString(16).padStart(2, "0");
@@ -0,0 +1,510 @@
+import {getChild, getChildren, getChildText, getText} from "../../lib/parsing/xmlElements.js";
+
+/**
+ * Maps between the XML files within a BCF 2.1 archive and the JSON objects used by {@link BCFViewpointsPlugin},
+ * which follow the naming of the [BCF-API](https://github.com/buildingSMART/BCF-API).
+ *
+ * @private
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+const XML_SCHEMA_INSTANCE = 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema"';
+
+//----------------------------------------------------------------------------------------------------------------------
+// Parsing
+//----------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parses the ````VersionId```` from the text of a ````bcf.version```` file.
+ * @private
+ */
+function parseVersion(text) {
+    const root = parseXML(text);
+    return (root && root.getAttribute("VersionId")) || null;
+}
+
+/**
+ * Parses the text of a ````project.bcfp```` file into a BCF project JSON object.
+ * @private
+ */
+function parseProject(text) {
+    const root = parseXML(text);
+    const projectElement = root ? getChild(root, "Project") : null;
+    if (!projectElement) {
+        return null;
+    }
+    const project = {};
+    setIfDefined(project, "project_id", projectElement.getAttribute("ProjectId") || undefined);
+    setIfDefined(project, "name", getChildText(projectElement, "Name"));
+    return project;
+}
+
+/**
+ * Parses the text of a ````markup.bcf```` file into a BCF topic JSON object.
+ *
+ * The topic's ````comments```` are complete, while its ````viewpoints```` only have their ````guid```` and ````index````, along
+ * with the names of their ````viewpoint```` and ````snapshot```` files within the topic's folder, which the caller loads separately.
+ *
+ * @private
+ */
+function parseMarkup(text) {
+
+    const root = parseXML(text);
+    const topicElement = root ? getChild(root, "Topic") : null;
+
+    if (!topicElement) {
+        return null;
+    }
+
+    const topic = {};
+
+    setIfDefined(topic, "guid", topicElement.getAttribute("Guid") || undefined);
+    setIfDefined(topic, "topic_type", topicElement.getAttribute("TopicType") || undefined);
+    setIfDefined(topic, "topic_status", topicElement.getAttribute("TopicStatus") || undefined);
+    topic.reference_links = getChildren(topicElement, "ReferenceLink").map(getText);
+    setIfDefined(topic, "title", getChildText(topicElement, "Title"));
+    setIfDefined(topic, "priority", getChildText(topicElement, "Priority"));
+    setIfDefined(topic, "index", getChildNumber(topicElement, "Index"));
+    topic.labels = getChildren(topicElement, "Labels").map(getText);
+    setIfDefined(topic, "creation_date", getChildText(topicElement, "CreationDate"));
+    setIfDefined(topic, "creation_author", getChildText(topicElement, "CreationAuthor"));
+    setIfDefined(topic, "modified_date", getChildText(topicElement, "ModifiedDate"));
+    setIfDefined(topic, "modified_author", getChildText(topicElement, "ModifiedAuthor"));
+    setIfDefined(topic, "due_date", getChildText(topicElement, "DueDate"));
+    setIfDefined(topic, "assigned_to", getChildText(topicElement, "AssignedTo"));
+    setIfDefined(topic, "stage", getChildText(topicElement, "Stage"));
+    setIfDefined(topic, "description", getChildText(topicElement, "Description"));
+
+    topic.comments = getChildren(root, "Comment").map((commentElement) => {
+        const comment = {};
+        setIfDefined(comment, "guid", commentElement.getAttribute("Guid") || undefined);
+        setIfDefined(comment, "date", getChildText(commentElement, "Date"));
+        setIfDefined(comment, "author", getChildText(commentElement, "Author"));
+        setIfDefined(comment, "comment", getChildText(commentElement, "Comment"));
+        const viewpointElement = getChild(commentElement, "Viewpoint");
+        if (viewpointElement && viewpointElement.getAttribute("Guid")) {
+            comment.viewpoint_guid = viewpointElement.getAttribute("Guid");
+        }
+        setIfDefined(comment, "modified_date", getChildText(commentElement, "ModifiedDate"));
+        setIfDefined(comment, "modified_author", getChildText(commentElement, "ModifiedAuthor"));
+        return comment;
+    });
+
+    topic.viewpoints = getChildren(root, "Viewpoints").map((viewpointsElement) => {
+        const viewpoint = {};
+        setIfDefined(viewpoint, "guid", viewpointsElement.getAttribute("Guid") || undefined);
+        setIfDefined(viewpoint, "viewpoint", getChildText(viewpointsElement, "Viewpoint"));
+        setIfDefined(viewpoint, "snapshot", getChildText(viewpointsElement, "Snapshot"));
+        setIfDefined(viewpoint, "index", getChildNumber(viewpointsElement, "Index"));
+        return viewpoint;
+    });
+
+    return topic;
+}
+
+/**
+ * Parses the text of a viewpoint (````.bcfv````) file into a BCF viewpoint JSON object, as accepted by {@link BCFViewpointsPlugin#setViewpoint}.
+ *
+ * Each of the viewpoint's ````bitmaps```` has the name of its image file in ````reference````, which the caller loads into its ````bitmap_data````.
+ *
+ * @private
+ */
+function parseVisualizationInfo(text) {
+
+    const root = parseXML(text);
+
+    if (!root) {
+        return null;
+    }
+
+    const viewpoint = {};
+
+    setIfDefined(viewpoint, "guid", root.getAttribute("Guid") || undefined);
+
+    const componentsElement = getChild(root, "Components");
+
+    if (componentsElement) {
+
+        const components = {};
+        const visibilityElement = getChild(componentsElement, "Visibility");
+        const hintsElement = getChild(componentsElement, "ViewSetupHints");
+
+        components.visibility = {
+            default_visibility: visibilityElement ? getBooleanAttribute(visibilityElement, "DefaultVisibility", false) : true,
+            exceptions: visibilityElement ? parseComponents(getChild(visibilityElement, "Exceptions")) : []
+        };
+
+        if (hintsElement) {
+            components.visibility.view_setup_hints = {
+                spaces_visible: getBooleanAttribute(hintsElement, "SpacesVisible", false),
+                space_boundaries_visible: getBooleanAttribute(hintsElement, "SpaceBoundariesVisible", false),
+                openings_visible: getBooleanAttribute(hintsElement, "OpeningsVisible", false)
+            };
+        }
+
+        components.selection = parseComponents(getChild(componentsElement, "Selection"));
+
+        const coloringElement = getChild(componentsElement, "Coloring");
+
+        components.coloring = coloringElement ? getChildren(coloringElement, "Color").map((colorElement) => {
+            return {
+                color: colorElement.getAttribute("Color"),
+                components: parseComponents(colorElement)
+            };
+        }) : [];
+
+        viewpoint.components = components;
+    }
+
+    const orthogonalCameraElement = getChild(root, "OrthogonalCamera");
+
+    if (orthogonalCameraElement) {
+        viewpoint.orthogonal_camera = {
+            camera_view_point: parsePoint(getChild(orthogonalCameraElement, "CameraViewPoint")),
+            camera_direction: parsePoint(getChild(orthogonalCameraElement, "CameraDirection")),
+            camera_up_vector: parsePoint(getChild(orthogonalCameraElement, "CameraUpVector")),
+            view_to_world_scale: getChildNumber(orthogonalCameraElement, "ViewToWorldScale")
+        };
+    }
+
+    const perspectiveCameraElement = getChild(root, "PerspectiveCamera");
+
+    if (perspectiveCameraElement) {
+        viewpoint.perspective_camera = {
+            camera_view_point: parsePoint(getChild(perspectiveCameraElement, "CameraViewPoint")),
+            camera_direction: parsePoint(getChild(perspectiveCameraElement, "CameraDirection")),
+            camera_up_vector: parsePoint(getChild(perspectiveCameraElement, "CameraUpVector")),
+            field_of_view: getChildNumber(perspectiveCameraElement, "FieldOfView")
+        };
+    }
+
+    const linesElement = getChild(root, "Lines");
+
+    viewpoint.lines = linesElement ? getChildren(linesElement, "Line").map((lineElement) => {
+        return {
+            start_point: parsePoint(getChild(lineElement, "StartPoint")),
+            end_point: parsePoint(getChild(lineElement, "EndPoint"))
+        };
+    }) : [];
+
+    const clippingPlanesElement = getChild(root, "ClippingPlanes");
+
+    viewpoint.clipping_planes = clippingPlanesElement ? getChildren(clippingPlanesElement, "ClippingPlane").map((clippingPlaneElement) => {
+        return {
+            location: parsePoint(getChild(clippingPlaneElement, "Location")),
+            direction: parsePoint(getChild(clippingPlaneElement, "Direction"))
+        };
+    }) : [];
+
+    viewpoint.bitmaps = getChildren(root, "Bitmap").map((bitmapElement) => {
+        return {
+            bitmap_type: (getChildText(bitmapElement, "Bitmap") || "png").toLowerCase(),
+            reference: getChildText(bitmapElement, "Reference"),
+            location: parsePoint(getChild(bitmapElement, "Location")),
+            normal: parsePoint(getChild(bitmapElement, "Normal")),
+            up: parsePoint(getChild(bitmapElement, "Up")),
+            height: getChildNumber(bitmapElement, "Height")
+        };
+    });
+
+    return viewpoint;
+}
+
+function parseComponents(parentElement) {
+    if (!parentElement) {
+        return [];
+    }
+    return getChildren(parentElement, "Component").map((componentElement) => {
+        const component = {};
+        setIfDefined(component, "ifc_guid", componentElement.getAttribute("IfcGuid") || undefined);
+        setIfDefined(component, "originating_system", getChildText(componentElement, "OriginatingSystem"));
+        setIfDefined(component, "authoring_tool_id", getChildText(componentElement, "AuthoringToolId"));
+        return component;
+    });
+}
+
+function parsePoint(element) {
+    if (!element) {
+        return {x: 0, y: 0, z: 0};
+    }
+    return {
+        x: getChildNumber(element, "X") || 0,
+        y: getChildNumber(element, "Y") || 0,
+        z: getChildNumber(element, "Z") || 0
+    };
+}
+
+function parseXML(text) {
+    const xmlDoc = new DOMParser().parseFromString(text, "text/xml");
+    const root = xmlDoc.documentElement;
+    if (!root || root.getElementsByTagName("parsererror").length > 0 || root.localName === "parsererror") {
+        return null;
+    }
+    return root;
+}
+
+function getChildNumber(element, name) {
+    const text = getChildText(element, name);
+    return (text !== undefined && text !== "") ? parseFloat(text) : undefined;
+}
+
+function getBooleanAttribute(element, name, defaultValue) {
+    const value = element.getAttribute(name);
+    if (value === null || value === "") {
+        return defaultValue;
+    }
+    return (value === "true" || value === "1");
+}
+
+function setIfDefined(object, key, value) {
+    if (value !== undefined) {
+        object[key] = value;
+    }
+}
+
+//----------------------------------------------------------------------------------------------------------------------
+// Writing
+//----------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Writes the text of a ````bcf.version```` file.
+ * @private
+ */
+function writeVersion(version) {
+    return XML_HEADER + '\n' +
+        '<Version VersionId="' + escapeXML(version) + '" ' + XML_SCHEMA_INSTANCE + '>\n' +
+        '  <DetailedVersion>' + escapeXML(version) + '</DetailedVersion>\n' +
+        '</Version>\n';
+}
+
+/**
+ * Writes the text of a ````project.bcfp```` file from a BCF project JSON object.
+ * @private
+ */
+function writeProject(project) {
+    return XML_HEADER + '\n' +
+        '<ProjectExtension ' + XML_SCHEMA_INSTANCE + '>\n' +
+        '  <Project' + attribute("ProjectId", project.project_id) + '>\n' +
+        element("Name", project.name, "    ") +
+        '  </Project>\n' +
+        '  <ExtensionSchema></ExtensionSchema>\n' +
+        '</ProjectExtension>\n';
+}
+
+/**
+ * Writes the text of a ````markup.bcf```` file from a BCF topic JSON object.
+ *
+ * Each of the topic's ````viewpoints```` needs the name of its ````viewpoint```` file, and of its ````snapshot```` file
+ * if it has one, which the caller assigns before calling this.
+ *
+ * @private
+ */
+function writeMarkup(topic) {
+    const xml = [];
+    xml.push(XML_HEADER);
+    xml.push('<Markup ' + XML_SCHEMA_INSTANCE + '>');
+    xml.push('  <Topic' + attribute("Guid", topic.guid) + attribute("TopicType", topic.topic_type) + attribute("TopicStatus", topic.topic_status) + '>');
+    const indent = "    ";
+    (topic.reference_links || []).forEach((referenceLink) => xml.push(element("ReferenceLink", referenceLink, indent, true)));
+    xml.push(element("Title", topic.title || "", indent, true));
+    xml.push(element("Priority", topic.priority, indent, true));
+    xml.push(element("Index", topic.index, indent, true));
+    (topic.labels || []).forEach((label) => xml.push(element("Labels", label, indent, true)));
+    xml.push(element("CreationDate", topic.creation_date || new Date().toISOString(), indent, true));
+    xml.push(element("CreationAuthor", topic.creation_author || "", indent, true));
+    xml.push(element("ModifiedDate", topic.modified_date, indent, true));
+    xml.push(element("ModifiedAuthor", topic.modified_author, indent, true));
+    xml.push(element("DueDate", topic.due_date, indent, true));
+    xml.push(element("AssignedTo", topic.assigned_to, indent, true));
+    xml.push(element("Stage", topic.stage, indent, true));
+    xml.push(element("Description", topic.description, indent, true));
+    xml.push('  </Topic>');
+    (topic.comments || []).forEach((comment) => {
+        xml.push('  <Comment' + attribute("Guid", comment.guid) + '>');
+        xml.push(element("Date", comment.date || new Date().toISOString(), indent, true));
+        xml.push(element("Author", comment.author || "", indent, true));
+        xml.push(element("Comment", comment.comment || "", indent, true));
+        if (comment.viewpoint_guid) {
+            xml.push(indent + '<Viewpoint' + attribute("Guid", comment.viewpoint_guid) + '/>');
+        }
+        xml.push(element("ModifiedDate", comment.modified_date, indent, true));
+        xml.push(element("ModifiedAuthor", comment.modified_author, indent, true));
+        xml.push('  </Comment>');
+    });
+    (topic.viewpoints || []).forEach((viewpoint) => {
+        xml.push('  <Viewpoints' + attribute("Guid", viewpoint.guid) + '>');
+        xml.push(element("Viewpoint", viewpoint.viewpoint, indent, true));
+        xml.push(element("Snapshot", viewpoint.snapshot, indent, true));
+        xml.push(element("Index", viewpoint.index, indent, true));
+        xml.push('  </Viewpoints>');
+    });
+    xml.push('</Markup>');
+    return xml.filter((line) => line !== "").join("\n") + "\n";
+}
+
+/**
+ * Writes the text of a viewpoint (````.bcfv````) file from a BCF viewpoint JSON object, as got from {@link BCFViewpointsPlugin#getViewpoint}.
+ *
+ * Each of the viewpoint's ````bitmaps```` needs the name of its image file in ````reference````, which the caller assigns before calling this.
+ *
+ * @private
+ */
+function writeVisualizationInfo(viewpoint) {
+
+    const xml = [];
+
+    xml.push(XML_HEADER);
+    xml.push('<VisualizationInfo' + attribute("Guid", viewpoint.guid) + ' ' + XML_SCHEMA_INSTANCE + '>');
+
+    const components = viewpoint.components;
+
+    if (components) {
+        xml.push('  <Components>');
+        const visibility = components.visibility;
+        if (visibility && visibility.view_setup_hints) {
+            const hints = visibility.view_setup_hints;
+            xml.push('    <ViewSetupHints' +
+                attribute("SpacesVisible", !!hints.spaces_visible) +
+                attribute("SpaceBoundariesVisible", !!hints.space_boundaries_visible) +
+                attribute("OpeningsVisible", !!hints.openings_visible) + '/>');
+        }
+        if (components.selection && components.selection.length > 0) {
+            xml.push('    <Selection>');
+            writeComponents(xml, components.selection, "      ");
+            xml.push('    </Selection>');
+        }
+        const defaultVisibility = visibility ? !!visibility.default_visibility : true;
+        xml.push('    <Visibility' + attribute("DefaultVisibility", defaultVisibility) + '>');
+        if (visibility && visibility.exceptions && visibility.exceptions.length > 0) {
+            xml.push('      <Exceptions>');
+            writeComponents(xml, visibility.exceptions, "        ");
+            xml.push('      </Exceptions>');
+        }
+        xml.push('    </Visibility>');
+        if (components.coloring && components.coloring.length > 0) {
+            xml.push('    <Coloring>');
+            components.coloring.forEach((coloring) => {
+                xml.push('      <Color' + attribute("Color", coloring.color) + '>');
+                writeComponents(xml, coloring.components || [], "        ");
+                xml.push('      </Color>');
+            });
+            xml.push('    </Coloring>');
+        }
+        xml.push('  </Components>');
+    }
+
+    const orthogonalCamera = viewpoint.orthogonal_camera;
+
+    if (orthogonalCamera) {
+        xml.push('  <OrthogonalCamera>');
+        writePoint(xml, "CameraViewPoint", orthogonalCamera.camera_view_point, "    ");
+        writePoint(xml, "CameraDirection", orthogonalCamera.camera_direction, "    ");
+        writePoint(xml, "CameraUpVector", orthogonalCamera.camera_up_vector, "    ");
+        xml.push(element("ViewToWorldScale", orthogonalCamera.view_to_world_scale, "    ", true));
+        xml.push('  </OrthogonalCamera>');
+    }
+
+    const perspectiveCamera = viewpoint.perspective_camera;
+
+    if (perspectiveCamera) {
+        xml.push('  <PerspectiveCamera>');
+        writePoint(xml, "CameraViewPoint", perspectiveCamera.camera_view_point, "    ");
+        writePoint(xml, "CameraDirection", perspectiveCamera.camera_direction, "    ");
+        writePoint(xml, "CameraUpVector", perspectiveCamera.camera_up_vector, "    ");
+        xml.push(element("FieldOfView", perspectiveCamera.field_of_view, "    ", true));
+        xml.push('  </PerspectiveCamera>');
+    }
+
+    if (viewpoint.lines && viewpoint.lines.length > 0) {
+        xml.push('  <Lines>');
+        viewpoint.lines.forEach((line) => {
+            xml.push('    <Line>');
+            writePoint(xml, "StartPoint", line.start_point, "      ");
+            writePoint(xml, "EndPoint", line.end_point, "      ");
+            xml.push('    </Line>');
+        });
+        xml.push('  </Lines>');
+    }
+
+    if (viewpoint.clipping_planes && viewpoint.clipping_planes.length > 0) {
+        xml.push('  <ClippingPlanes>');
+        viewpoint.clipping_planes.forEach((clippingPlane) => {
+            xml.push('    <ClippingPlane>');
+            writePoint(xml, "Location", clippingPlane.location, "      ");
+            writePoint(xml, "Direction", clippingPlane.direction, "      ");
+            xml.push('    </ClippingPlane>');
+        });
+        xml.push('  </ClippingPlanes>');
+    }
+
+    (viewpoint.bitmaps || []).forEach((bitmap) => {
+        xml.push('  <Bitmap>');
+        xml.push(element("Bitmap", (bitmap.bitmap_type || "png").toUpperCase(), "    ", true));
+        xml.push(element("Reference", bitmap.reference, "    ", true));
+        writePoint(xml, "Location", bitmap.location, "    ");
+        writePoint(xml, "Normal", bitmap.normal, "    ");
+        writePoint(xml, "Up", bitmap.up, "    ");
+        xml.push(element("Height", bitmap.height, "    ", true));
+        xml.push('  </Bitmap>');
+    });
+
+    xml.push('</VisualizationInfo>');
+
+    return xml.filter((line) => line !== "").join("\n") + "\n";
+}
+
+function writeComponents(xml, components, indent) {
+    components.forEach((component) => {
+        if (component.originating_system === undefined && component.authoring_tool_id === undefined) {
+            xml.push(indent + '<Component' + attribute("IfcGuid", component.ifc_guid) + '/>');
+            return;
+        }
+        xml.push(indent + '<Component' + attribute("IfcGuid", component.ifc_guid) + '>');
+        xml.push(element("OriginatingSystem", component.originating_system, indent + "  ", true));
+        xml.push(element("AuthoringToolId", component.authoring_tool_id, indent + "  ", true));
+        xml.push(indent + '</Component>');
+    });
+}
+
+function writePoint(xml, name, point, indent) {
+    point = point || {x: 0, y: 0, z: 0};
+    xml.push(indent + '<' + name + '>');
+    xml.push(element("X", point.x, indent + "  ", true));
+    xml.push(element("Y", point.y, indent + "  ", true));
+    xml.push(element("Z", point.z, indent + "  ", true));
+    xml.push(indent + '</' + name + '>');
+}
+
+function element(name, value, indent, noNewline) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    return indent + '<' + name + '>' + escapeXML(value) + '</' + name + '>' + (noNewline ? "" : "\n");
+}
+
+function attribute(name, value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    return ' ' + name + '="' + escapeXML(value) + '"';
+}
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+export {
+    parseVersion,
+    parseProject,
+    parseMarkup,
+    parseVisualizationInfo,
+    writeVersion,
+    writeProject,
+    writeMarkup,
+    writeVisualizationInfo
+};
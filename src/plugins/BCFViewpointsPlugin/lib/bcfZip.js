@@ -0,0 +1,275 @@
+import {math} from "../../../viewer/scene/math/math.js";
+import {zipLib} from "../../XML3DLoaderPlugin/zipjs/zip.js";
+import {zipExt} from "../../XML3DLoaderPlugin/zipjs/zip-ext.js";
+import {
+    parseVersion,
+    parseProject,
+    parseMarkup,
+    parseVisualizationInfo,
+    writeVersion,
+    writeProject,
+    writeMarkup,
+    writeVisualizationInfo
+} from "./bcfXML.js";
+
+const zip = zipLib.zip;
+
+if (!zip.ArrayBufferReader) {
+    zipExt(zip);
+}
+
+const BCF_VERSION = "2.1";
+
+const IMAGE_MIME_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg"
+};
+
+/**
+ * Reads a BCF 2.1 archive (*````.bcfzip````*) into a BCF JSON object.
+ *
+ * @private
+ * @param {String} workerScriptsPath Path to the directory containing the zip.js Web worker scripts.
+ * @param {String|ArrayBuffer|Blob} source Path to the archive, or its contents.
+ * @param {Function} ok Callback fired with the BCF JSON object.
+ * @param {Function} error Callback fired on error.
+ */
+function readBCFZip(workerScriptsPath, source, ok, error) {
+
+    zip.workerScriptsPath = workerScriptsPath;
+
+    let failed = false;
+    const onError = (errMsg) => {
+        if (!failed) {
+            failed = true;
+            error("Failed to read BCF archive: " + errMsg);
+        }
+    };
+
+    let reader;
+    if (typeof source === "string") {
+        reader = new zip.HttpReader(source);
+    } else if (source instanceof ArrayBuffer) {
+        reader = new zip.ArrayBufferReader(source);
+    } else {
+        reader = new zip.BlobReader(source);
+    }
+
+    zip.createReader(reader, (zipReader) => {
+        zipReader.getEntries((entries) => {
+
+            const files = {};
+            for (let i = 0, len = entries.length; i < len; i++) {
+                const entry = entries[i];
+                if (!entry.directory) {
+                    files[entry.filename.replace(/\\/g, "/")] = entry;
+                }
+            }
+
+            const getText = (filename, done) => {
+                const entry = files[filename];
+                if (!entry) {
+                    done(null);
+                    return;
+                }
+                entry.getData(new zip.TextWriter("utf-8"), done);
+            };
+
+            const getImage = (filename, type, done) => {
+                const entry = files[filename];
+                if (!entry) {
+                    done(null);
+                    return;
+                }
+                entry.getData(new zip.Data64URIWriter(IMAGE_MIME_TYPES[type] || IMAGE_MIME_TYPES.png), done);
+            };
+
+            const bcf = {
+                version: BCF_VERSION,
+                project: null,
+                topics: []
+            };
+
+            const topicFolders = Object.keys(files)
+                .map((filename) => filename.match(/^([^/]+)\/markup\.bcf$/i))
+                .filter((match) => !!match)
+                .map((match) => match[1]);
+
+            getText("bcf.version", (versionText) => {
+                if (versionText) {
+                    bcf.version = parseVersion(versionText) || BCF_VERSION;
+                }
+                getText("project.bcfp", (projectText) => {
+                    if (projectText) {
+                        bcf.project = parseProject(projectText);
+                    }
+                    forEachSeries(topicFolders, (folder, next) => {
+                        readTopic(folder, getText, getImage, (topic) => {
+                            if (topic) {
+                                bcf.topics.push(topic);
+                            }
+                            next();
+                        });
+                    }, () => {
+                        zipReader.close();
+                        if (!failed) {
+                            ok(bcf);
+                        }
+                    });
+                });
+            });
+        });
+    }, onError);
+}
+
+function readTopic(folder, getText, getImage, done) {
+    getText(folder + "/markup.bcf", (markupText) => {
+        const topic = markupText ? parseMarkup(markupText) : null;
+        if (!topic) {
+            done(null);
+            return;
+        }
+        topic.guid = topic.guid || folder;
+        const viewpointRefs = topic.viewpoints;
+        topic.viewpoints = [];
+        forEachSeries(viewpointRefs, (viewpointRef, next) => {
+            getText(folder + "/" + (viewpointRef.viewpoint || "viewpoint.bcfv"), (viewpointText) => {
+                const viewpoint = viewpointText ? parseVisualizationInfo(viewpointText) : null;
+                if (!viewpoint) {
+                    next();
+                    return;
+                }
+                viewpoint.guid = viewpointRef.guid || viewpoint.guid;
+                if (viewpointRef.index !== undefined) {
+                    viewpoint.index = viewpointRef.index;
+                }
+                topic.viewpoints.push(viewpoint);
+                const snapshotFile = viewpointRef.snapshot;
+                const snapshotType = getImageType(snapshotFile);
+                getImage(folder + "/" + snapshotFile, snapshotType, (snapshotData) => {
+                    if (snapshotData) {
+                        viewpoint.snapshot = {
+                            snapshot_type: snapshotType,
+                            snapshot_data: snapshotData
+                        };
+                    }
+                    forEachSeries(viewpoint.bitmaps, (bitmap, nextBitmap) => {
+                        getImage(folder + "/" + bitmap.reference, bitmap.bitmap_type, (bitmapData) => {
+                            bitmap.bitmap_data = bitmapData;
+                            delete bitmap.reference;
+                            nextBitmap();
+                        });
+                    }, next);
+                });
+            });
+        }, () => {
+            done(topic);
+        });
+    });
+}
+
+/**
+ * Writes a BCF JSON object into a BCF 2.1 archive (*````.bcfzip````*).
+ *
+ * @private
+ * @param {String} workerScriptsPath Path to the directory containing the zip.js Web worker scripts.
+ * @param {*} bcf The BCF JSON object.
+ * @param {Function} ok Callback fired with the archive, as a Blob.
+ * @param {Function} error Callback fired on error.
+ */
+function writeBCFZip(workerScriptsPath, bcf, ok, error) {
+
+    zip.workerScriptsPath = workerScriptsPath;
+
+    const files = [];
+
+    files.push({name: "bcf.version", reader: new zip.TextReader(writeVersion(BCF_VERSION))});
+
+    if (bcf.project) {
+        files.push({name: "project.bcfp", reader: new zip.TextReader(writeProject(bcf.project))});
+    }
+
+    const topics = bcf.topics || [];
+
+    for (let i = 0, len = topics.length; i < len; i++) {
+
+        const topic = Object.assign({}, topics[i]);
+        const folder = topic.guid = topic.guid || math.createUUID();
+        const viewpoints = topic.viewpoints || [];
+
+        topic.comments = (topic.comments || []).map((comment) => comment.guid ? comment : Object.assign({}, comment, {guid: math.createUUID()}));
+        topic.viewpoints = [];
+
+        for (let j = 0, lenj = viewpoints.length; j < lenj; j++) {
+
+            const viewpoint = Object.assign({}, viewpoints[j]);
+            const viewpointGuid = viewpoint.guid = viewpoint.guid || math.createUUID();
+            const viewpointRef = {
+                guid: viewpointGuid,
+                viewpoint: (j === 0) ? "viewpoint.bcfv" : viewpointGuid + ".bcfv",
+                index: viewpoint.index
+            };
+
+            const snapshot = viewpoint.snapshot;
+            if (snapshot && snapshot.snapshot_data) {
+                const snapshotType = getImageType(snapshot.snapshot_type);
+                viewpointRef.snapshot = ((j === 0) ? "snapshot." : viewpointGuid + ".") + snapshotType;
+                files.push({name: folder + "/" + viewpointRef.snapshot, reader: new zip.Data64URIReader(toDataURI(snapshot.snapshot_data, snapshotType))});
+            }
+
+            viewpoint.bitmaps = (viewpoint.bitmaps || []).filter((bitmap) => !!bitmap.bitmap_data).map((bitmap, k) => {
+                const bitmapType = getImageType(bitmap.bitmap_type);
+                const reference = viewpointGuid + "_bitmap" + k + "." + bitmapType;
+                files.push({name: folder + "/" + reference, reader: new zip.Data64URIReader(toDataURI(bitmap.bitmap_data, bitmapType))});
+                return Object.assign({}, bitmap, {reference: reference});
+            });
+
+            files.push({name: folder + "/" + viewpointRef.viewpoint, reader: new zip.TextReader(writeVisualizationInfo(viewpoint))});
+
+            topic.viewpoints.push(viewpointRef);
+        }
+
+        files.push({name: folder + "/markup.bcf", reader: new zip.TextReader(writeMarkup(topic))});
+    }
+
+    const onError = (errMsg) => {
+        error("Failed to write BCF archive: " + errMsg);
+    };
+
+    zip.createWriter(new zip.BlobWriter("application/zip"), (zipWriter) => {
+        forEachSeries(files, (file, next) => { // zip.js can only add one file at a time
+            zipWriter.add(file.name, file.reader, next, null, {});
+        }, () => {
+            zipWriter.close((blob) => {
+                ok(blob);
+            });
+        });
+    }, onError);
+}
+
+function getImageType(value) {
+    const type = (value || "").split(".").pop().toLowerCase();
+    return (type === "jpg" || type === "jpeg") ? "jpg" : "png";
+}
+
+function toDataURI(data, type) {
+    if (data.indexOf("data:") === 0) {
+        return data;
+    }
+    return "data:" + (IMAGE_MIME_TYPES[type] || IMAGE_MIME_TYPES.png) + ";base64," + data;
+}
+
+function forEachSeries(items, fn, done) {
+    let i = 0;
+    const next = () => {
+        if (i >= items.length) {
+            done();
+            return;
+        }
+        fn(items[i++], next);
+    };
+    next();
+}
+
+export {readBCFZip, writeBCFZip};
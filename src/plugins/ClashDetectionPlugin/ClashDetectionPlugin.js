@@ -0,0 +1,566 @@
+import {Plugin} from "../../viewer/Plugin.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {getEntityTriangles} from "../lib/geometry/getEntityTriangles.js";
+import {trianglesIntersect, trianglesDistance, rayTriangleIntersects} from "../lib/geometry/triangleMath.js";
+
+const a0 = new Float64Array(3);
+const a1 = new Float64Array(3);
+const a2 = new Float64Array(3);
+const b0 = new Float64Array(3);
+const b1 = new Float64Array(3);
+const b2 = new Float64Array(3);
+const hitPos = new Float64Array(3);
+const closestA = new Float64Array(3);
+const closestB = new Float64Array(3);
+const overlapAABB = math.AABB3();
+const rayDir = math.normalizeVec3([0.4713, 0.5812, 0.6637]); // Skewed, so that rays rarely pass exactly through edges or vertices
+
+/**
+ * {@link Viewer} plugin that finds clashes between objects, such as ducts that pass through beams.
+ *
+ * ## Overview
+ *
+ * * Finds clashes between two sets of objects, or between the objects within one set.
+ * * Finds **hard** clashes, where objects pass through each other, and, when given a clearance tolerance, **clearance**
+ * clashes, where objects come closer to each other than the tolerance.
+ * * First finds the pairs of objects whose World-space boundaries overlap, then tests the triangles of each pair against each other.
+ * * Returns a clash record for each clashing pair of objects, with the position of the clash.
+ * * Can show each clash by highlighting its objects and flying the {@link Camera} to them.
+ *
+ * Objects that just touch each other, such as a beam resting on a column, don't clash. Objects that overlap with faces
+ * in the same plane do clash, as do objects that are completely inside other objects. Those tests rely on objects being
+ * closed surfaces, with their triangles wound consistently to face outwards.
+ *
+ * ## Readable geometry
+ *
+ * ClashDetectionPlugin tests the triangles of the objects, so their models need to be loaded with ````readableGeometry: true````,
+ * which keeps their geometry arrays in browser memory. ClashDetectionPlugin logs a warning when objects have no readable
+ * geometry, and skips them.
+ *
+ * ## Usage
+ *
+ * In the example below, we'll find where ducts clash with beams, with a clearance of five centimeters, then show the first clash.
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XKTLoaderPlugin} from "../src/plugins/XKTLoaderPlugin/XKTLoaderPlugin.js";
+ * import {ClashDetectionPlugin} from "../src/plugins/ClashDetectionPlugin/ClashDetectionPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const xktLoader = new XKTLoaderPlugin(viewer);
+ * const clashDetection = new ClashDetectionPlugin(viewer);
+ *
+ * const model = xktLoader.load({
+ *     id: "myModel",
+ *     src: "./models/xkt/duplex/duplex.xkt",
+ *     metaModelSrc: "./metaModels/duplex/metaModel.json",
+ *     readableGeometry: true // Keep geometry so that we can test it for clashes
+ * });
+ *
+ * model.on("loaded", () => {
+ *
+ *     const clashes = clashDetection.detectClashes({
+ *         objectIdsA: viewer.metaScene.getObjectIDsByType("IfcFlowSegment"),
+ *         objectIdsB: viewer.metaScene.getObjectIDsByType("IfcBeam"),
+ *         tolerance: 0.05
+ *     });
+ *
+ *     for (let i = 0, len = clashes.length; i < len; i++) {
+ *         const clash = clashes[i];
+ *         console.log(clash.type + " clash between " + clash.objectIdA + " and " + clash.objectIdB + " at " + clash.position);
+ *     }
+ *
+ *     if (clashes.length > 0) {
+ *         clashDetection.showClash(clashes[0].id);
+ *     }
+ * });
+ * ````
+ *
+ * @class ClashDetectionPlugin
+ */
+class ClashDetectionPlugin extends Plugin {
+
+    /**
+     * @constructor
+     *
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="ClashDetection"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {Number} [cfg.tolerance=0] Default clearance tolerance for {@link ClashDetectionPlugin#detectClashes}, in World-space units.
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("ClashDetection", viewer, cfg);
+
+        this._clashes = [];
+        this._clashesMap = {};
+        this._shownClash = null;
+        this._shownHighlightedIds = [];
+
+        this.tolerance = cfg.tolerance;
+    }
+
+    /**
+     * Sets the default clearance tolerance for {@link ClashDetectionPlugin#detectClashes}, in World-space units.
+     *
+     * Objects that come closer to each other than this distance clash. When zero, only objects that pass through each other clash.
+     *
+     * Default value is ````0````.
+     *
+     * @type {Number}
+     */
+    set tolerance(value) {
+        this._tolerance = (value !== undefined && value !== null && value > 0) ? value : 0;
+    }
+
+    /**
+     * Gets the default clearance tolerance for {@link ClashDetectionPlugin#detectClashes}, in World-space units.
+     *
+     * Default value is ````0````.
+     *
+     * @type {Number}
+     */
+    get tolerance() {
+        return this._tolerance;
+    }
+
+    /**
+     * Gets the clashes found by the last call to {@link ClashDetectionPlugin#detectClashes}.
+     *
+     * @type {Object[]}
+     */
+    get clashes() {
+        return this._clashes;
+    }
+
+    /**
+     * Gets the clash with the given ID.
+     *
+     * @param {String} id ID of the clash.
+     * @returns {Object} The clash, or ````null```` if not found.
+     */
+    getClash(id) {
+        return this._clashesMap[id] || null;
+    }
+
+    /**
+     * Finds the clashes between two sets of objects, or between the objects within one set.
+     *
+     * Replaces the clashes found by any previous call.
+     *
+     * Each clash is an object with these properties:
+     *
+     * * ````id```` - ID of the clash,
+     * * ````type```` - ````"hard"```` when the objects pass through each other, or ````"clearance"```` when they come closer than the tolerance,
+     * * ````objectIdA```` - ID of the clashing object from ````objectIdsA````,
+     * * ````objectIdB```` - ID of the clashing object from ````objectIdsB````,
+     * * ````distance```` - closest distance between the objects, which is ````0```` for hard clashes,
+     * * ````position```` - World-space position of the clash, at the center of where the objects intersect, or midway between their closest points, and
+     * * ````aabb```` - World-space boundary of where the objects intersect, or of their closest points.
+     *
+     * Fires a "clashesDetected" event with the clashes.
+     *
+     * @param {Object} params Clash detection parameters.
+     * @param {String[]} params.objectIdsA IDs of the first set of objects, eg. from {@link MetaScene#getObjectIDsByType}.
+     * @param {String[]} [params.objectIdsB] IDs of the second set of objects. When omitted, finds clashes between the objects in ````objectIdsA````.
+     * @param {Number} [params.tolerance] Clearance tolerance, in World-space units. Defaults to {@link ClashDetectionPlugin#tolerance}.
+     * @param {Number} [params.maxClashes] Maximum number of clashes to find.
+     * @returns {Object[]} The clashes.
+     */
+    detectClashes(params) {
+
+        this.hideClash();
+
+        const scene = this.viewer.scene;
+        const objectIdsA = params.objectIdsA || [];
+        const objectIdsB = params.objectIdsB || objectIdsA;
+        const tolerance = (params.tolerance !== undefined && params.tolerance !== null) ? Math.max(0, params.tolerance) : this._tolerance;
+        const maxClashes = (params.maxClashes !== undefined && params.maxClashes !== null) ? params.maxClashes : Infinity;
+
+        // Broad phase - find the pairs of objects whose boundaries overlap, by sweeping along the X-axis
+
+        const items = {};
+        let numMissing = 0;
+
+        const addItems = (objectIds, setA) => {
+            for (let i = 0, len = objectIds.length; i < len; i++) {
+                const objectId = objectIds[i];
+                let item = items[objectId];
+                if (!item) {
+                    const entity = scene.objects[objectId];
+                    if (!entity) {
+                        numMissing++;
+                        continue;
+                    }
+                    item = items[objectId] = {
+                        entity: entity,
+                        aabb: entity.aabb,
+                        inA: false,
+                        inB: false,
+                        triangles: undefined
+                    };
+                }
+                if (setA) {
+                    item.inA = true;
+                } else {
+                    item.inB = true;
+                }
+            }
+        };
+
+        addItems(objectIdsA, true);
+        addItems(objectIdsB, false);
+
+        if (numMissing > 0) {
+            this.warn("Objects not found: " + numMissing + " - won't test them for clashes");
+        }
+
+        const sortedItems = Object.keys(items).map((objectId) => items[objectId]);
+        sortedItems.sort((item1, item2) => item1.aabb[0] - item2.aabb[0]);
+
+        const pairs = [];
+        let active = [];
+
+        for (let i = 0, len = sortedItems.length; i < len; i++) {
+            const item = sortedItems[i];
+            const aabb = item.aabb;
+            active = active.filter((other) => other.aabb[3] + tolerance >= aabb[0]);
+            for (let j = 0, lenj = active.length; j < lenj; j++) {
+                const other = active[j];
+                if (item.inA && other.inB) {
+                    if (aabbsOverlap(aabb, other.aabb, tolerance)) {
+                        pairs.push([item, other]);
+                    }
+                } else if (item.inB && other.inA) {
+                    if (aabbsOverlap(aabb, other.aabb, tolerance)) {
+                        pairs.push([other, item]);
+                    }
+                }
+            }
+            active.push(item);
+        }
+
+        // Narrow phase - test the triangles of each pair
+
+        const clashes = [];
+        const clashesMap = {};
+        let numUnreadable = 0;
+
+        for (let i = 0, len = pairs.length; i < len && clashes.length < maxClashes; i++) {
+            const itemA = pairs[i][0];
+            const itemB = pairs[i][1];
+            for (let j = 0; j < 2; j++) {
+                const item = pairs[i][j];
+                if (item.triangles === undefined) {
+                    item.triangles = getEntityTriangles(item.entity);
+                    if (!item.triangles) {
+                        numUnreadable++;
+                    }
+                }
+            }
+            if (!itemA.triangles || !itemB.triangles) {
+                continue;
+            }
+            const result = testTriangles(itemA.triangles, itemB.triangles, tolerance);
+            if (result) {
+                const clash = {
+                    id: "clash" + clashes.length,
+                    type: result.type,
+                    objectIdA: itemA.entity.id,
+                    objectIdB: itemB.entity.id,
+                    distance: result.distance,
+                    position: result.position,
+                    aabb: result.aabb
+                };
+                clashes.push(clash);
+                clashesMap[clash.id] = clash;
+            }
+        }
+
+        if (numUnreadable > 0) {
+            this.warn("Objects without readable geometry: " + numUnreadable + " - load their models with readableGeometry: true to test them for clashes");
+        }
+
+        this._clashes = clashes;
+        this._clashesMap = clashesMap;
+
+        this.fire("clashesDetected", clashes);
+
+        return clashes;
+    }
+
+    /**
+     * Shows a clash, by highlighting its objects and flying the {@link Camera} to them.
+     *
+     * Hides any clash that was already shown.
+     *
+     * Fires a "clashShown" event with the clash.
+     *
+     * @param {String} id ID of the clash.
+     * @param {Object} [params] Options.
+     * @param {Boolean} [params.highlight=true] Whether to highlight the clashing objects.
+     * @param {Boolean} [params.flyTo=true] Whether to fly the {@link Camera} to the clashing objects.
+     * @param {Number} [params.duration] Flight duration in seconds. Defaults to {@link CameraFlightAnimation#duration}.
+     * @param {Function} [done] Callback fired when the {@link Camera} arrives.
+     */
+    showClash(id, params = {}, done) {
+        const clash = this._clashesMap[id];
+        if (!clash) {
+            this.error("Clash not found: " + id);
+            return;
+        }
+        this.hideClash();
+        const scene = this.viewer.scene;
+        const entityA = scene.objects[clash.objectIdA];
+        const entityB = scene.objects[clash.objectIdB];
+        if (params.highlight !== false) {
+            const highlightIds = [];
+            if (entityA && !entityA.highlighted) {
+                highlightIds.push(entityA.id);
+            }
+            if (entityB && !entityB.highlighted) {
+                highlightIds.push(entityB.id);
+            }
+            scene.setObjectsHighlighted(highlightIds, true);
+            this._shownHighlightedIds = highlightIds;
+        }
+        this._shownClash = clash;
+        this.fire("clashShown", clash);
+        if (params.flyTo !== false) {
+            const aabb = math.collapseAABB3(math.AABB3());
+            math.expandAABB3(aabb, clash.aabb);
+            if (entityA) {
+                math.expandAABB3(aabb, entityA.aabb);
+            }
+            if (entityB) {
+                math.expandAABB3(aabb, entityB.aabb);
+            }
+            this.viewer.cameraFlight.flyTo({
+                aabb: aabb,
+                duration: params.duration
+            }, done);
+        } else if (done) {
+            done();
+        }
+    }
+
+    /**
+     * Gets the clash that's currently shown by {@link ClashDetectionPlugin#showClash}.
+     *
+     * @type {Object}
+     */
+    get shownClash() {
+        return this._shownClash;
+    }
+
+    /**
+     * Stops showing the clash shown by {@link ClashDetectionPlugin#showClash}, un-highlighting its objects.
+     *
+     * Fires a "clashHidden" event with the clash.
+     */
+    hideClash() {
+        const clash = this._shownClash;
+        if (!clash) {
+            return;
+        }
+        this.viewer.scene.setObjectsHighlighted(this._shownHighlightedIds, false);
+        this._shownHighlightedIds = [];
+        this._shownClash = null;
+        this.fire("clashHidden", clash);
+    }
+
+    /**
+     * Destroys all clashes.
+     */
+    clear() {
+        this.hideClash();
+        this._clashes = [];
+        this._clashesMap = {};
+    }
+
+    /**
+     * @private
+     */
+    send(name) {
+        switch (name) {
+            case "clear":
+                this.clear();
+                break;
+        }
+    }
+
+    /**
+     * Destroys this ClashDetectionPlugin.
+     */
+    destroy() {
+        this.clear();
+        super.destroy();
+    }
+}
+
+function aabbsOverlap(aabb1, aabb2, tolerance) {
+    return (aabb1[0] <= aabb2[3] + tolerance && aabb2[0] <= aabb1[3] + tolerance &&
+        aabb1[1] <= aabb2[4] + tolerance && aabb2[1] <= aabb1[4] + tolerance &&
+        aabb1[2] <= aabb2[5] + tolerance && aabb2[2] <= aabb1[5] + tolerance);
+}
+
+/**
+ * Gets the triangles of a set that overlap the given boundary.
+ * @private
+ */
+function getOverlappingTriangles(triangles, aabb, tolerance) {
+    const overlapping = [];
+    const aabbs = triangles.aabbs;
+    for (let i = 0; i < triangles.numTriangles; i++) {
+        const a = i * 6;
+        if (aabbs[a] <= aabb[3] + tolerance && aabb[0] <= aabbs[a + 3] + tolerance &&
+            aabbs[a + 1] <= aabb[4] + tolerance && aabb[1] <= aabbs[a + 4] + tolerance &&
+            aabbs[a + 2] <= aabb[5] + tolerance && aabb[2] <= aabbs[a + 5] + tolerance) {
+            overlapping.push(i);
+        }
+    }
+    return overlapping;
+}
+
+function getTriangle(positions, i, v0, v1, v2) {
+    const p = i * 9;
+    v0[0] = positions[p];
+    v0[1] = positions[p + 1];
+    v0[2] = positions[p + 2];
+    v1[0] = positions[p + 3];
+    v1[1] = positions[p + 4];
+    v1[2] = positions[p + 5];
+    v2[0] = positions[p + 6];
+    v2[1] = positions[p + 7];
+    v2[2] = positions[p + 8];
+}
+
+function aabbContains(outer, inner) {
+    return (outer[0] <= inner[0] && outer[1] <= inner[1] && outer[2] <= inner[2] &&
+        inner[3] <= outer[3] && inner[4] <= outer[4] && inner[5] <= outer[5]);
+}
+
+/**
+ * Tests if a point is inside the closed surface formed by a set of triangles, by counting how many of the
+ * triangles a ray from the point passes through.
+ * @private
+ */
+function isPointInsideTriangles(point, triangles) {
+    const positions = triangles.positions;
+    let numCrossings = 0;
+    for (let i = 0; i < triangles.numTriangles; i++) {
+        getTriangle(positions, i, b0, b1, b2);
+        if (rayTriangleIntersects(point, rayDir, b0, b1, b2)) {
+            numCrossings++;
+        }
+    }
+    return (numCrossings % 2) === 1;
+}
+
+/**
+ * Tests the triangles of two objects against each other.
+ * @private
+ * @returns {Object} The type, distance, position and boundary of the clash, or null if the objects don't clash.
+ */
+function testTriangles(trianglesA, trianglesB, tolerance) {
+
+    // Only test the triangles within the region where the objects' boundaries overlap
+
+    const aabbA = trianglesA.aabb;
+    const aabbB = trianglesB.aabb;
+
+    overlapAABB[0] = Math.max(aabbA[0], aabbB[0]) - tolerance;
+    overlapAABB[1] = Math.max(aabbA[1], aabbB[1]) - tolerance;
+    overlapAABB[2] = Math.max(aabbA[2], aabbB[2]) - tolerance;
+    overlapAABB[3] = Math.min(aabbA[3], aabbB[3]) + tolerance;
+    overlapAABB[4] = Math.min(aabbA[4], aabbB[4]) + tolerance;
+    overlapAABB[5] = Math.min(aabbA[5], aabbB[5]) + tolerance;
+
+    if (overlapAABB[0] > overlapAABB[3] || overlapAABB[1] > overlapAABB[4] || overlapAABB[2] > overlapAABB[5]) {
+        return null;
+    }
+
+    const indicesA = getOverlappingTriangles(trianglesA, overlapAABB, 0);
+    const indicesB = getOverlappingTriangles(trianglesB, overlapAABB, 0);
+
+    const positionsA = trianglesA.positions;
+    const positionsB = trianglesB.positions;
+    const aabbsA = trianglesA.aabbs;
+    const aabbsB = trianglesB.aabbs;
+
+    const hitAABB = math.collapseAABB3(math.AABB3());
+    let hard = false;
+    let minDistance = Infinity;
+    let minA = null;
+    let minB = null;
+
+    for (let i = 0, len = indicesA.length; i < len; i++) {
+        const ia = indicesA[i];
+        const a = ia * 6;
+        getTriangle(positionsA, ia, a0, a1, a2);
+        for (let j = 0, lenj = indicesB.length; j < lenj; j++) {
+            const ib = indicesB[j];
+            const b = ib * 6;
+            if (aabbsA[a] > aabbsB[b + 3] + tolerance || aabbsB[b] > aabbsA[a + 3] + tolerance ||
+                aabbsA[a + 1] > aabbsB[b + 4] + tolerance || aabbsB[b + 1] > aabbsA[a + 4] + tolerance ||
+                aabbsA[a + 2] > aabbsB[b + 5] + tolerance || aabbsB[b + 2] > aabbsA[a + 5] + tolerance) {
+                continue;
+            }
+            getTriangle(positionsB, ib, b0, b1, b2);
+            if (trianglesIntersect(a0, a1, a2, b0, b1, b2, hitPos)) {
+                hard = true;
+                math.expandAABB3Point3(hitAABB, hitPos);
+            } else if (!hard && tolerance > 0) {
+                const distance = trianglesDistance(a0, a1, a2, b0, b1, b2, closestA, closestB);
+                if (distance < tolerance && distance < minDistance) {
+                    minDistance = distance;
+                    minA = Array.from(closestA);
+                    minB = Array.from(closestB);
+                }
+            }
+        }
+    }
+
+    if (!hard) { // Objects whose surfaces don't intersect still clash when one is inside the other
+
+        const inner = aabbContains(aabbA, aabbB) ? trianglesB : (aabbContains(aabbB, aabbA) ? trianglesA : null);
+
+        if (inner && inner.numTriangles > 0) {
+            getTriangle(inner.positions, 0, a0, a1, a2);
+            hitPos[0] = (a0[0] + a1[0] + a2[0]) / 3;
+            hitPos[1] = (a0[1] + a1[1] + a2[1]) / 3;
+            hitPos[2] = (a0[2] + a1[2] + a2[2]) / 3;
+            if (isPointInsideTriangles(hitPos, (inner === trianglesA) ? trianglesB : trianglesA)) {
+                hard = true;
+                math.expandAABB3(hitAABB, inner.aabb);
+            }
+        }
+    }
+
+    if (hard) {
+        return {
+            type: "hard",
+            distance: 0,
+            position: Array.from(math.getAABB3Center(hitAABB)),
+            aabb: Array.from(hitAABB)
+        };
+    }
+
+    if (minA) {
+        math.expandAABB3Point3(hitAABB, minA);
+        math.expandAABB3Point3(hitAABB, minB);
+        return {
+            type: "clearance",
+            distance: minDistance,
+            position: [(minA[0] + minB[0]) / 2, (minA[1] + minB[1]) / 2, (minA[2] + minB[2]) / 2],
+            aabb: Array.from(hitAABB)
+        };
+    }
+
+    return null;
+}
+
+export {ClashDetectionPlugin};
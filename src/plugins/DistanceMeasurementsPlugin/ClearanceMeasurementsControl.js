@@ -0,0 +1,177 @@
+import {Component} from "../../viewer/scene/Component.js";
+import {math} from "../../viewer/scene/math/math.js";
+
+const FINDING_ORIGIN = 0;
+const FINDING_TARGET = 1;
+
+/**
+ * Creates clearance {@link DistanceMeasurement}s, between the closest points of two objects, from mouse and touch input.
+ *
+ * Belongs to a {@link DistanceMeasurementsPlugin}. Located at {@link DistanceMeasurementsPlugin#clearanceControl}.
+ *
+ * Once the ClearanceMeasurementsControl is activated, the first click on any {@link Entity} selects it as the first object,
+ * and highlights it. The next click on another Entity selects the second object, and creates a DistanceMeasurement between
+ * the closest points of the two objects, using {@link DistanceMeasurementsPlugin#createClearanceMeasurement}. Clicking
+ * empty space instead cancels the measurement. The ClearanceMeasurementsControl will then wait for the next click on
+ * any Entity, to begin another measurement, and so on, until deactivated.
+ *
+ * This only works for models that were loaded with ````readableGeometry: true````, since finding the closest points needs
+ * their geometry arrays.
+ *
+ * See {@link DistanceMeasurementsPlugin} for more info.
+ */
+class ClearanceMeasurementsControl extends Component {
+
+    /**
+     * @private
+     */
+    constructor(plugin) {
+
+        super(plugin.viewer.scene);
+
+        /**
+         * The {@link DistanceMeasurementsPlugin} that owns this ClearanceMeasurementsControl.
+         * @type {DistanceMeasurementsPlugin}
+         */
+        this.plugin = plugin;
+
+        this._active = false;
+        this._state = FINDING_ORIGIN;
+        this._originEntity = null;
+        this._originHighlighted = false;
+        this._onhoverSurface = null;
+        this._onHoverNothing = null;
+    }
+
+    /** Gets if this ClearanceMeasurementsControl is currently active, where it is responding to input.
+     *
+     * @returns {boolean}
+     */
+    get active() {
+        return this._active;
+    }
+
+    /**
+     * Activates this ClearanceMeasurementsControl, ready to respond to input.
+     */
+    activate() {
+
+        if (this._active) {
+            return;
+        }
+
+        const cameraControl = this.plugin.viewer.cameraControl;
+
+        let entity = null;
+
+        this._onhoverSurface = cameraControl.on("hoverSurface", e => {
+            entity = e.entity;
+            document.body.style.cursor = "pointer";
+        });
+
+        this._onHoverNothing = cameraControl.on("hoverOff", () => {
+            entity = null;
+            document.body.style.cursor = "default";
+        });
+
+        var lastX;
+        var lastY;
+        const tolerance = 2;
+
+        this._onInputMouseDown = this.plugin.viewer.scene.input.on("mousedown", (coords) => {
+            lastX = coords[0];
+            lastY = coords[1];
+        });
+
+        this._onInputMouseUp = this.plugin.viewer.scene.input.on("mouseup", (coords) => {
+
+            if (coords[0] > lastX + tolerance || coords[0] < lastX - tolerance || coords[1] > lastY + tolerance || coords[1] < lastY - tolerance) {
+                return;
+            }
+
+            switch (this._state) {
+
+                case FINDING_ORIGIN:
+                    if (entity) {
+                        this._originEntity = entity;
+                        this._originHighlighted = entity.highlighted;
+                        entity.highlighted = true;
+                        this._state = FINDING_TARGET;
+                    }
+                    break;
+
+                case FINDING_TARGET:
+                    if (entity) {
+                        if (entity === this._originEntity) {
+                            break;
+                        }
+                        this.plugin.createClearanceMeasurement({
+                            id: math.createUUID(),
+                            originEntity: this._originEntity,
+                            targetEntity: entity
+                        });
+                    }
+                    this.reset();
+                    break;
+            }
+        });
+
+        this._active = true;
+    }
+
+    /**
+     * Deactivates this ClearanceMeasurementsControl, making it unresponsive to input.
+     *
+     * Cancels any measurement under construction.
+     */
+    deactivate() {
+
+        if (!this._active) {
+            return;
+        }
+
+        this.reset();
+
+        const cameraControl = this.plugin.viewer.cameraControl;
+        const input = this.plugin.viewer.scene.input;
+
+        input.off(this._onInputMouseDown);
+        input.off(this._onInputMouseUp);
+
+        cameraControl.off(this._onhoverSurface);
+        cameraControl.off(this._onHoverNothing);
+
+        this._active = false;
+    }
+
+    /**
+     * Resets this ClearanceMeasurementsControl.
+     *
+     * Cancels any measurement under construction, restoring the highlighting of the first object.
+     *
+     * Does nothing if the ClearanceMeasurementsControl is not active.
+     */
+    reset() {
+
+        if (!this._active) {
+            return;
+        }
+
+        if (this._originEntity) {
+            this._originEntity.highlighted = this._originHighlighted;
+            this._originEntity = null;
+        }
+
+        this._state = FINDING_ORIGIN;
+    }
+
+    /**
+     * @private
+     */
+    destroy() {
+        this.deactivate();
+        super.destroy();
+    }
+}
+
+export {ClearanceMeasurementsControl};
@@ -160,6 +160,26 @@ class DistanceMeasurement extends Component {
             this._needUpdate();
         });
 
+        this._onMetricsPrecision = scene.metrics.on("precision", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        this._onMetricsUnitsVisible = scene.metrics.on("unitsVisible", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        this._onMetricsFeetAndInches = scene.metrics.on("feetAndInches", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
+        this._onMetricsInchFraction = scene.metrics.on("inchFraction", () => {
+            this._cpDirty = true;
+            this._needUpdate();
+        });
+
         this.visible = cfg.visible;
         this.originVisible = cfg.originVisible;
         this.targetVisible = cfg.targetVisible;
@@ -254,9 +274,6 @@ class DistanceMeasurement extends Component {
 
             const metrics = this.plugin.viewer.scene.metrics;
             const scale = metrics.scale;
-            const units = metrics.units;
-            const unitInfo = metrics.unitsInfo[units];
-            const unitAbbrev = unitInfo.abbrev;
 
             for (var i = 0, len = pp.length; i < len; i += 4) {
                 cp[j] = left +  Math.floor((1 + pp[i + 0] / pp[i + 3]) * canvasWidth / 2);
@@ -279,7 +296,7 @@ class DistanceMeasurement extends Component {
             this._zAxisLabel.setPosOnWire(cp[4], cp[5], cp[6], cp[7]);
 
             this._length = Math.abs(math.lenVec3(math.subVec3(this._targetWorld, this._originWorld, distVec3)))
-            this._lengthLabel.setText((this._length * scale).toFixed(2) + unitAbbrev);
+            this._lengthLabel.setText(metrics.formatLength(this._length * scale));
 
             const xAxisCanvasLength = Math.abs(lengthWire(cp[0], cp[1], cp[2], cp[3]));
             const yAxisCanvasLength = Math.abs(lengthWire(cp[2], cp[3], cp[4], cp[5]));
@@ -292,21 +309,21 @@ class DistanceMeasurement extends Component {
             this._zAxisLabelCulled = (zAxisCanvasLength < labelMinAxisLength);
 
             if (!this._xAxisLabelCulled) {
-                this._xAxisLabel.setText(Math.abs(this._targetWorld[0] - this._originWorld[0] * scale).toFixed(2) + unitAbbrev);
+                this._xAxisLabel.setText(metrics.formatLength(Math.abs(this._targetWorld[0] - this._originWorld[0]) * scale));
                 this._xAxisLabel.setVisible(true);
             } else {
                 this._xAxisLabel.setVisible(false);
             }
 
             if (!this._yAxisLabelCulled) {
-                this._yAxisLabel.setText(Math.abs(this._targetWorld[1] - this._originWorld[1] * scale).toFixed(2) + unitAbbrev);
+                this._yAxisLabel.setText(metrics.formatLength(Math.abs(this._targetWorld[1] - this._originWorld[1]) * scale));
                 this._yAxisLabel.setVisible(true);
             } else {
                 this._yAxisLabel.setVisible(false);
             }
 
             if (!this._zAxisLabelCulled) {
-                this._zAxisLabel.setText(Math.abs(this._targetWorld[2] - this._originWorld[2] * scale).toFixed(2) + unitAbbrev);
+                this._zAxisLabel.setText(metrics.formatLength(Math.abs(this._targetWorld[2] - this._originWorld[2]) * scale));
                 this._zAxisLabel.setVisible(true);
             } else {
                 this._zAxisLabel.setVisible(false);
@@ -497,6 +514,18 @@ class DistanceMeasurement extends Component {
         if (this._onMetricsOrigin) {
             metrics.off(this._onMetricsOrigin);
         }
+        if (this._onMetricsPrecision) {
+            metrics.off(this._onMetricsPrecision);
+        }
+        if (this._onMetricsUnitsVisible) {
+            metrics.off(this._onMetricsUnitsVisible);
+        }
+        if (this._onMetricsFeetAndInches) {
+            metrics.off(this._onMetricsFeetAndInches);
+        }
+        if (this._onMetricsInchFraction) {
+            metrics.off(this._onMetricsInchFraction);
+        }
 
         this._originDot.destroy();
         this._targetDot.destroy();
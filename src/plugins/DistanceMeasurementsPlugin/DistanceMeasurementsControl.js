@@ -1,5 +1,6 @@
 import {Component} from "../../viewer/scene/Component.js";
 import {math} from "../../viewer/scene/math/math.js";
+import {Snapper} from "../lib/snapping/Snapper.js";
 
 const HOVERING = 0;
 const FINDING_ORIGIN = 1;
@@ -12,6 +13,11 @@ const FINDING_TARGET = 2;
  *
  * Once the DistanceMeasurementControl is activated, the first click on any {@link Entity} begins constructing a {@link DistanceMeasurement}, fixing its origin to that Entity. The next click on any Entity will complete the DistanceMeasurement, fixing its target to that second Entity. The DistanceMeasurementControl will then wait for the next click on any Entity, to begin constructing another DistanceMeasurement, and so on, until deactivated.
  *
+ * While {@link DistanceMeasurementsControl#snapping} is enabled, the origin and target snap to the nearest vertex, edge midpoint
+ * or edge of the Entity under the pointer, within {@link DistanceMeasurementsControl#snapRadius} pixels, and a dot shows where
+ * they will snap to. This only works for models that were loaded with ````readableGeometry: true````, since snapping needs
+ * their geometry arrays.
+ *
  * See {@link DistanceMeasurementsPlugin} for more info.
  */
 class DistanceMeasurementsControl extends Component {
@@ -19,7 +25,7 @@ class DistanceMeasurementsControl extends Component {
     /**
      * @private
      */
-    constructor(plugin) {
+    constructor(plugin, cfg = {}) {
 
         super(plugin.viewer.scene);
 
@@ -37,6 +43,56 @@ class DistanceMeasurementsControl extends Component {
         this._onPickedSurface = null;
         this._onHoverNothing = null;
         this._onPickedNothing = null;
+
+        this._snapper = new Snapper(plugin.viewer, {
+            container: cfg.container,
+            enabled: cfg.snapping,
+            radius: cfg.snapRadius
+        });
+    }
+
+    /**
+     * Sets whether the ends of each {@link DistanceMeasurement} snap to the nearest vertex, edge midpoint or edge.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    set snapping(value) {
+        this._snapper.enabled = value;
+    }
+
+    /**
+     * Gets whether the ends of each {@link DistanceMeasurement} snap to the nearest vertex, edge midpoint or edge.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    get snapping() {
+        return this._snapper.enabled;
+    }
+
+    /**
+     * Sets the radius, in canvas pixels, within which to snap to vertices, edge midpoints and edges.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    set snapRadius(value) {
+        this._snapper.radius = value;
+    }
+
+    /**
+     * Gets the radius, in canvas pixels, within which to snap to vertices, edge midpoints and edges.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    get snapRadius() {
+        return this._snapper.radius;
     }
 
     /** Gets if this DistanceMeasurementsControl is currently active, where it is responding to input.
@@ -66,7 +122,9 @@ class DistanceMeasurementsControl extends Component {
 
             over = true;
             entity = e.entity;
-            worldPos.set(e.worldPos);
+
+            const snapType = this._snapper.snap(e.entity, e.worldPos, worldPos);
+            this._snapper.showIndicator(worldPos, snapType);
 
             if (this._state === HOVERING) {
                 document.body.style.cursor = "pointer";
@@ -79,7 +137,7 @@ class DistanceMeasurementsControl extends Component {
                         this._currentDistMeasurement.wireVisible = true;
                         this._currentDistMeasurement.axisVisible = true;
                         this._currentDistMeasurement.target.entity = e.entity;
-                        this._currentDistMeasurement.target.worldPos = e.worldPos;
+                        this._currentDistMeasurement.target.worldPos = worldPos;
                         document.body.style.cursor = "pointer";
                         break;
                 }
@@ -149,6 +207,7 @@ class DistanceMeasurementsControl extends Component {
 
         this._onHoverNothing = cameraControl.on("hoverOff", e => {
             over = false;
+            this._snapper.hideIndicator();
             if (this._currentDistMeasurement) {
                 switch (this._state) {
                     case HOVERING:
@@ -205,6 +264,8 @@ class DistanceMeasurementsControl extends Component {
 
         this._currentDistMeasurement = null;
 
+        this._snapper.hideIndicator();
+
         this._active = false;
     }
 
@@ -234,6 +295,7 @@ class DistanceMeasurementsControl extends Component {
      */
     destroy() {
         this.deactivate();
+        this._snapper.destroy();
         super.destroy();
     }
 
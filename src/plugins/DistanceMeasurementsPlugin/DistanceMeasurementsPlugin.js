@@ -1,6 +1,16 @@
 import {Plugin} from "../../viewer/Plugin.js";
 import {DistanceMeasurement} from "./DistanceMeasurement.js";
 import {DistanceMeasurementsControl} from "./DistanceMeasurementsControl.js";
+import {ClearanceMeasurementsControl} from "./ClearanceMeasurementsControl.js";
+import {getEntityTriangles, translateTriangles} from "../lib/geometry/getEntityTriangles.js";
+import {getClosestPoints} from "../lib/geometry/getClosestPoints.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {getMarkerJSON, getMarkerParams} from "../lib/markers/markerJSON.js";
+
+const closestA = math.vec3();
+const closestB = math.vec3();
+const tempVec3a = new Float64Array(3);
+const ZERO_OFFSET = [0, 0, 0];
 
 /**
  * {@link Viewer} plugin for measuring point-to-point distances.
@@ -18,8 +28,12 @@ import {DistanceMeasurementsControl} from "./DistanceMeasurementsControl.js";
  * and three more wires (red, green and blue) that show the distance on each of the World-space X, Y and Z axis.
  * * Create DistanceMeasurements programmatically with {@link DistanceMeasurementsPlugin#createMeasurement}.
  * * Create DistanceMeasurements interactively using the {@link DistanceMeasurementsControl}, located at {@link DistanceMeasurementsPlugin#control}.
+ * * The DistanceMeasurementsControl snaps to the nearest vertex, edge midpoint or edge, for models loaded with ````readableGeometry: true````.
  * * Existing DistanceMeasurements are registered by ID in {@link DistanceMeasurementsPlugin#measurements}.
  * * Destroy DistanceMeasurements using {@link DistanceMeasurementsPlugin#destroyMeasurement}.
+ * * Measure the clearance between two objects with {@link DistanceMeasurementsPlugin#createClearanceMeasurement}, or interactively
+ * using the {@link ClearanceMeasurementsControl}, located at {@link DistanceMeasurementsPlugin#clearanceControl}.
+ * * Save and load DistanceMeasurements as JSON using {@link DistanceMeasurementsPlugin#getJSON} and {@link DistanceMeasurementsPlugin#loadJSON}.
  * * Configure global measurement units and scale via {@link Metrics}, located at {@link Scene#metrics}.
  *
  * ## Example 1: Creating DistanceMeasurements Programmatically
@@ -136,6 +150,86 @@ import {DistanceMeasurementsControl} from "./DistanceMeasurementsControl.js";
  * metrics.units = "meters";
  * metrics.scale = 10.0;
  * ````
+ *
+ * The labels are formatted by {@link Metrics#formatLength}, so we can also set their number of decimal places, hide their
+ * units suffix, or show them in feet and inches, with fractional inches:
+ *
+ * ````JavaScript
+ * metrics.units = "feet";
+ * metrics.feetAndInches = true;   // Labels like 5' 3 1/2"
+ * metrics.inchFraction = 8;       // Round to the nearest 1/8"
+ * ````
+ *
+ * ## Example 4: Saving and Loading DistanceMeasurements
+ *
+ * In our fourth example, we'll save our DistanceMeasurements as JSON, so that we can store them with our project, then
+ * later load them again, after we've loaded the model they were made on.
+ *
+ * Each DistanceMeasurement is saved with the World-space positions of its ends, the IDs of the {@link Entity}s they're on,
+ * and its visibility flags. Its ````length```` is saved too, in the current unit of measurement, for applications that
+ * want to list the measurements without loading them; ````loadJSON```` ignores it, since it's measured again.
+ *
+ * ````JavaScript
+ * const json = distanceMeasurements.getJSON();
+ *
+ * // {
+ * //     measurements: [{
+ * //         id: "myDistanceMeasurement1",
+ * //         origin: { worldPos: [0.044, 5.998, 17.767], entity: "2O2Fr$t4X7Zf8NOew3FLOH" },
+ * //         target: { worldPos: [4.738, 3.172, 17.768], entity: "2O2Fr$t4X7Zf8NOew3FLOH" },
+ * //         visible: true,
+ * //         originVisible: true,
+ * //         targetVisible: true,
+ * //         wireVisible: true,
+ * //         axisVisible: true,
+ * //         length: 5.48
+ * //     }]
+ * // }
+ *
+ * //...
+ *
+ * distanceMeasurements.clear();
+ * distanceMeasurements.loadJSON(json);
+ * ````
+ *
+ * Clearance measurements, described below, are saved with ````clearance: true````, and are loaded as clearance measurements
+ * again when both of their objects exist.
+ *
+ * ## Example 5: Measuring Clearances Between Objects
+ *
+ * In our fifth example, we'll measure how far a pipe is from a wall. Instead of picking two points ourselves, we'll give
+ * {@link DistanceMeasurementsPlugin#createClearanceMeasurement} the two objects, and it will find the closest points
+ * between their triangles, then create a DistanceMeasurement between those points.
+ *
+ * Whenever either object is moved with {@link Scene#setObjectsOffset}, the DistanceMeasurement finds the closest points again.
+ *
+ * Finding the closest points needs the geometry arrays of the objects, so we need to load the model with ````readableGeometry: true````.
+ *
+ * ````JavaScript
+ * const model = xktLoader.load({
+ *      src: "./models/xkt/duplex/duplex.xkt",
+ *      readableGeometry: true
+ * });
+ *
+ * model.on("loaded", () => {
+ *
+ *      const clearance = distanceMeasurements.createClearanceMeasurement({
+ *          id: "myClearanceMeasurement",
+ *          originEntity: viewer.scene.objects["2O2Fr$t4X7Zf8NOew3FLOH"],
+ *          targetEntity: viewer.scene.objects["1CZILmCaHETO8tf3SgGEXu"]
+ *      });
+ *
+ *      console.log(clearance.length);
+ *
+ *      viewer.scene.setObjectsOffset(["1CZILmCaHETO8tf3SgGEXu"], [0, 0, 1]); // Clearance updates
+ * });
+ * ````
+ *
+ * We can also measure clearances interactively, by activating the {@link ClearanceMeasurementsControl}, then clicking the two objects:
+ *
+ * ````JavaScript
+ * distanceMeasurements.clearanceControl.activate();
+ * ````
  */
 class DistanceMeasurementsPlugin extends Plugin {
 
@@ -146,6 +240,8 @@ class DistanceMeasurementsPlugin extends Plugin {
      * @param {String} [cfg.id="DistanceMeasurements"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
      * @param {Number} [cfg.labelMinAxisLength=25] The minimum length, in pixels, of an axis wire beyond which its label is shown.
      * @param {HTMLElement} [cfg.container] Container DOM element for markers and labels. Defaults to ````document.body````.
+     * @param {Boolean} [cfg.snapping=true] Whether the {@link DistanceMeasurementsControl} snaps the ends of each {@link DistanceMeasurement} to the nearest vertex, edge midpoint or edge. See {@link DistanceMeasurementsControl#snapping}.
+     * @param {Number} [cfg.snapRadius=10] Radius, in canvas pixels, within which the {@link DistanceMeasurementsControl} snaps. See {@link DistanceMeasurementsControl#snapRadius}.
      */
     constructor(viewer, cfg = {}) {
 
@@ -153,11 +249,34 @@ class DistanceMeasurementsPlugin extends Plugin {
 
         this._container = cfg.container || document.body;
 
-        this._control = new DistanceMeasurementsControl(this);
+        this._control = new DistanceMeasurementsControl(this, {
+            container: this._container,
+            snapping: cfg.snapping,
+            snapRadius: cfg.snapRadius
+        });
+
+        this._clearanceControl = new ClearanceMeasurementsControl(this);
 
         this._measurements = {};
+        this._clearances = {};
 
         this.labelMinAxisLength = cfg.labelMinAxisLength;
+
+        this._onObjectOffset = viewer.scene.on("objectOffset", (entity) => {
+            const destroyed = (viewer.scene.objects[entity.id] !== entity);
+            for (const id in this._clearances) {
+                if (this._clearances.hasOwnProperty(id)) {
+                    const clearance = this._clearances[id];
+                    if (clearance.originEntity === entity || clearance.targetEntity === entity) {
+                        if (destroyed) { // Stop updating the DistanceMeasurement, which keeps its last position
+                            delete this._clearances[id];
+                        } else {
+                            this._updateClearance(clearance);
+                        }
+                    }
+                }
+            }
+        });
     }
 
     /**
@@ -176,6 +295,15 @@ class DistanceMeasurementsPlugin extends Plugin {
         return this._control;
     }
 
+    /**
+     * Gets the {@link ClearanceMeasurementsControl}, which creates clearance {@link DistanceMeasurement}s from user input.
+     *
+     * @type {ClearanceMeasurementsControl}
+     */
+    get clearanceControl() {
+        return this._clearanceControl;
+    }
+
     /**
      * Gets the existing {@link DistanceMeasurement}s, each mapped to its {@link DistanceMeasurement#id}.
      *
@@ -215,6 +343,8 @@ class DistanceMeasurementsPlugin extends Plugin {
     /**
      * Creates a {@link DistanceMeasurement}.
      *
+     * Fires a "measurementCreated" event with the new {@link DistanceMeasurement}.
+     *
      * The DistanceMeasurement is then registered by {@link DistanceMeasurement#id} in {@link DistanceMeasurementsPlugin#measurements}.
      *
      * @param {Object} params {@link DistanceMeasurement} configuration.
@@ -251,19 +381,108 @@ class DistanceMeasurementsPlugin extends Plugin {
             },
             visible: params.visible,
             wireVisible: params.wireVisible,
+            axisVisible: params.axisVisible,
             originVisible: params.originVisible,
             targetVisible: params.targetVisible,
         });
         this._measurements[measurement.id] = measurement;
         measurement.on("destroyed", () => {
             delete this._measurements[measurement.id];
+            this.fire("measurementDestroyed", measurement);
+        });
+        this.fire("measurementCreated", measurement);
+        return measurement;
+    }
+
+    /**
+     * Creates a {@link DistanceMeasurement} of the clearance between two objects.
+     *
+     * Finds the closest points between the World-space triangles of the objects, then creates a DistanceMeasurement
+     * whose origin and target are on those points. If the objects intersect, both points are at an intersection, and the
+     * DistanceMeasurement has zero length.
+     *
+     * Whenever the {@link Entity#offset} of either object is updated, such as with {@link Scene#setObjectsOffset}, finds
+     * the closest points again and moves the DistanceMeasurement's origin and target to them. Once either object is destroyed,
+     * the DistanceMeasurement stays where it is.
+     *
+     * Needs the geometry arrays of the objects, so only works for objects in {@link PerformanceModel}s that were loaded
+     * with ````readableGeometry: true````, and for objects made of {@link Mesh}es that have {@link ReadableGeometry}s.
+     *
+     * Fires a "measurementCreated" event with the new {@link DistanceMeasurement}.
+     *
+     * @param {Object} params Configuration.
+     * @param {String} params.id Unique ID to assign to {@link DistanceMeasurement#id}.
+     * @param {Entity} params.originEntity The first object.
+     * @param {Entity} params.targetEntity The second object.
+     * @param {Boolean} [params.visible=true] Whether to initially show the {@link DistanceMeasurement}.
+     * @param {Boolean} [params.originVisible=true] Whether to initially show the {@link DistanceMeasurement} origin.
+     * @param {Boolean} [params.targetVisible=true] Whether to initially show the {@link DistanceMeasurement} target.
+     * @param {Boolean} [params.wireVisible=true] Whether to initially show the direct point-to-point wire between {@link DistanceMeasurement#origin} and {@link DistanceMeasurement#target}.
+     * @param {Boolean} [params.axisVisible=true] Whether to initially show the axis-aligned wires between {@link DistanceMeasurement#origin} and {@link DistanceMeasurement#target}.
+     * @returns {DistanceMeasurement} The new {@link DistanceMeasurement}, or ````null```` if the geometry of either object can't be read.
+     */
+    createClearanceMeasurement(params = {}) {
+        const originEntity = params.originEntity;
+        const targetEntity = params.targetEntity;
+        if (!originEntity || !targetEntity) {
+            this.error("Param expected: originEntity and targetEntity");
+            return null;
+        }
+        const originTriangles = getEntityTriangles(originEntity);
+        const targetTriangles = getEntityTriangles(targetEntity);
+        if (!originTriangles || !targetTriangles || originTriangles.numTriangles === 0 || targetTriangles.numTriangles === 0) {
+            this.error("Can't read geometry of objects - load their models with readableGeometry: true - " + originEntity.id + ", " + targetEntity.id);
+            return null;
+        }
+        getClosestPoints(originTriangles, targetTriangles, closestA, closestB);
+        const measurement = this.createMeasurement({
+            id: params.id,
+            origin: {
+                entity: originEntity,
+                worldPos: closestA
+            },
+            target: {
+                entity: targetEntity,
+                worldPos: closestB
+            },
+            visible: params.visible,
+            originVisible: params.originVisible,
+            targetVisible: params.targetVisible,
+            wireVisible: params.wireVisible,
+            axisVisible: params.axisVisible
+        });
+        const clearance = {
+            measurement: measurement,
+            originEntity: originEntity,
+            targetEntity: targetEntity,
+            originTriangles: originTriangles,
+            targetTriangles: targetTriangles,
+            originOffset: new Float64Array(originEntity.offset || ZERO_OFFSET),
+            targetOffset: new Float64Array(targetEntity.offset || ZERO_OFFSET)
+        };
+        this._clearances[measurement.id] = clearance;
+        measurement.on("destroyed", () => {
+            delete this._clearances[measurement.id];
         });
         return measurement;
     }
 
+    /**
+     * @private
+     */
+    _updateClearance(clearance) {
+        updateClearanceTriangles(clearance.originEntity, clearance.originTriangles, clearance.originOffset);
+        updateClearanceTriangles(clearance.targetEntity, clearance.targetTriangles, clearance.targetOffset);
+        getClosestPoints(clearance.originTriangles, clearance.targetTriangles, closestA, closestB);
+        clearance.measurement.origin.worldPos = closestA;
+        clearance.measurement.target.worldPos = closestB;
+    }
+
     /**
      * Destroys a {@link DistanceMeasurement}.
      *
+     * Fires a "measurementDestroyed" event with the {@link DistanceMeasurement}.
+     *
      * @param {String} id ID of DistanceMeasurement to destroy.
      */
     destroyMeasurement(id) {
@@ -285,6 +504,85 @@ class DistanceMeasurementsPlugin extends Plugin {
         }
     }
 
+    /**
+     * Gets the existing {@link DistanceMeasurement}s as JSON.
+     *
+     * See the class comments for the format.
+     *
+     * @returns {{measurements: Object[]}} The DistanceMeasurements, as JSON.
+     */
+    getJSON() {
+        const measurements = [];
+        for (const id in this._measurements) {
+            if (this._measurements.hasOwnProperty(id)) {
+                const measurement = this._measurements[id];
+                measurements.push({
+                    id: measurement.id,
+                    origin: getMarkerJSON(measurement.origin),
+                    target: getMarkerJSON(measurement.target),
+                    visible: measurement.visible,
+                    originVisible: measurement.originVisible,
+                    targetVisible: measurement.targetVisible,
+                    wireVisible: measurement.wireVisible,
+                    axisVisible: measurement.axisVisible,
+                    clearance: !!this._clearances[id],
+                    length: measurement.length
+                });
+            }
+        }
+        return {
+            measurements: measurements
+        };
+    }
+
+    /**
+     * Creates {@link DistanceMeasurement}s from JSON, as given by {@link DistanceMeasurementsPlugin#getJSON}.
+     *
+     * Replaces any existing DistanceMeasurements that have the same IDs. Each end is attached to the {@link Entity} that
+     * has the saved ID, if that Entity currently exists. Clearance measurements are created with
+     * {@link DistanceMeasurementsPlugin#createClearanceMeasurement} when both of their Entities exist, and otherwise
+     * fall back to plain DistanceMeasurements between the saved positions.
+     *
+     * Fires a "measurementCreated" event for each new {@link DistanceMeasurement}.
+     *
+     * @param {{measurements: Object[]}} json The DistanceMeasurements, as JSON.
+     */
+    loadJSON(json) {
+        const measurements = json.measurements || [];
+        for (let i = 0, len = measurements.length; i < len; i++) {
+            const params = measurements[i];
+            if (this._measurements[params.id]) {
+                this.destroyMeasurement(params.id);
+            }
+            const origin = getMarkerParams(this, params.origin);
+            const target = getMarkerParams(this, params.target);
+            if (params.clearance && origin.entity && target.entity) {
+                if (this.createClearanceMeasurement({
+                    id: params.id,
+                    originEntity: origin.entity,
+                    targetEntity: target.entity,
+                    visible: params.visible,
+                    originVisible: params.originVisible,
+                    targetVisible: params.targetVisible,
+                    wireVisible: params.wireVisible,
+                    axisVisible: params.axisVisible
+                })) {
+                    continue;
+                }
+            }
+            this.createMeasurement({
+                id: params.id,
+                origin: origin,
+                target: target,
+                visible: params.visible,
+                originVisible: params.originVisible,
+                targetVisible: params.targetVisible,
+                wireVisible: params.wireVisible,
+                axisVisible: params.axisVisible
+            });
+        }
+    }
+
     /**
      * Destroys this DistanceMeasurementsPlugin.
      *
@@ -292,8 +590,23 @@ class DistanceMeasurementsPlugin extends Plugin {
      */
     destroy() {
         this.clear();
+        this._clearanceControl.destroy();
+        this.viewer.scene.off(this._onObjectOffset);
         super.destroy();
     }
 }
 
+/**
+ * Translates the cached World-space triangles of an Entity by the change in its offset since they were last updated.
+ * @private
+ */
+function updateClearanceTriangles(entity, triangles, cachedOffset) {
+    const offset = entity.offset || ZERO_OFFSET;
+    const delta = math.subVec3(offset, cachedOffset, tempVec3a);
+    if (delta[0] !== 0 || delta[1] !== 0 || delta[2] !== 0) {
+        translateTriangles(triangles, delta);
+        cachedOffset.set(offset);
+    }
+}
+
 export {DistanceMeasurementsPlugin}
@@ -0,0 +1,405 @@
+import {Plugin} from "../../viewer/Plugin.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {geometryCompressionUtils} from "../../viewer/scene/math/geometryCompressionUtils.js";
+import {GLTFWriter} from "./lib/GLTFWriter.js";
+
+const tempColor = new Float32Array(4);
+const tempOct = new Int8Array(2);
+const tempNormal = new Float32Array(3);
+
+/**
+ * {@link Viewer} plugin that exports the models in the Viewer's {@link Scene} to binary [glTF](https://www.khronos.org/gltf/) (*````.glb````*).
+ *
+ * ## Overview
+ *
+ * * Exports both {@link PerformanceModel}s and models made of {@link Node}s and {@link Mesh}es.
+ * * Writes positions, normals, indices, per-point colors, materials and node transforms.
+ * * Can export just the objects that are visible or selected, or those with given IDs.
+ * * Exports the colors that objects are currently rendered with, including any colorize and opacity.
+ * * Writes the ID, name and type of each object's {@link MetaObject} into the extras of its glTF node.
+ * * Keeps geometry instancing, by writing each shared geometry once.
+ *
+ * ## Readable geometry
+ *
+ * The Viewer normally keeps geometry only on the GPU, where it can't be read back. So that GLTFExporterPlugin can
+ * export a model, the model needs to be loaded with ````readableGeometry: true````, which keeps its geometry arrays in
+ * browser memory as well. GLTFExporterPlugin logs a warning for each model that it can't read the geometry of.
+ *
+ * ## Scene structure
+ *
+ * The exported glTF has a root node for each model, named by the model's ID. Each object within the model gets a child node of that,
+ * named by the object's ID, which means that when we load the file back into a Viewer with a {@link GLTFLoaderPlugin},
+ * the objects will get their original IDs. The ````extras```` of each object node has the object's ````id````, along with
+ * the ````name```` and ````type```` of its {@link MetaObject}, if it has one.
+ *
+ * ## Usage
+ *
+ * In the example below, we'll load a model, select some objects, then export the selected objects to a
+ * *````.glb````* file, which we'll save from the browser.
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XKTLoaderPlugin} from "../src/plugins/XKTLoaderPlugin/XKTLoaderPlugin.js";
+ * import {GLTFExporterPlugin} from "../src/plugins/GLTFExporterPlugin/GLTFExporterPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const xktLoader = new XKTLoaderPlugin(viewer);
+ * const gltfExporter = new GLTFExporterPlugin(viewer);
+ *
+ * const model = xktLoader.load({
+ *     id: "myModel",
+ *     src: "./models/xkt/duplex/duplex.xkt",
+ *     readableGeometry: true // Keep geometry so that we can export it
+ * });
+ *
+ * model.on("loaded", () => {
+ *
+ *     viewer.scene.setObjectsSelected(["2O2Fr$t4X7Zf8NOew3FNr2", "2O2Fr$t4X7Zf8NOew3FNr3"], true);
+ *
+ *     const glb = gltfExporter.exportGLB({
+ *         selectedOnly: true
+ *     });
+ *
+ *     const link = document.createElement("a");
+ *     link.href = URL.createObjectURL(new Blob([glb], {type: "model/gltf-binary"}));
+ *     link.download = "selection.glb";
+ *     link.click();
+ * });
+ * ````
+ *
+ * @class GLTFExporterPlugin
+ */
+class GLTFExporterPlugin extends Plugin {
+
+    /**
+     * @constructor
+     *
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="GLTFExporter"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     */
+    constructor(viewer, cfg = {}) {
+        super("GLTFExporter", viewer, cfg);
+    }
+
+    /**
+     * Exports models in this GLTFExporterPlugin's {@link Viewer} to binary glTF.
+     *
+     * @param {*} [params] Exporting parameters.
+     * @param {String[]} [params.modelIds] IDs of the models to export. Exports all models in {@link Scene#models} by default.
+     * @param {String[]} [params.objectIds] When given, only exports objects whose IDs are in this list.
+     * @param {Boolean} [params.visibleOnly=false] When ````true````, only exports objects that are visible.
+     * @param {Boolean} [params.selectedOnly=false] When ````true````, only exports objects that are selected.
+     * @returns {ArrayBuffer} The contents of the *````.glb````* file.
+     */
+    exportGLB(params = {}) {
+
+        const scene = this.viewer.scene;
+        const modelIds = params.modelIds || Object.keys(scene.models);
+        const writer = new GLTFWriter();
+
+        let objectIdsMap = null;
+        if (params.objectIds) {
+            objectIdsMap = {};
+            for (let i = 0, len = params.objectIds.length; i < len; i++) {
+                objectIdsMap[params.objectIds[i]] = true;
+            }
+        }
+
+        const filter = (entity) => {
+            if (objectIdsMap && !objectIdsMap[entity.id]) {
+                return false;
+            }
+            if (params.visibleOnly && !entity.visible) {
+                return false;
+            }
+            if (params.selectedOnly && !entity.selected) {
+                return false;
+            }
+            return true;
+        };
+
+        for (let i = 0, len = modelIds.length; i < len; i++) {
+            const modelId = modelIds[i];
+            const model = scene.models[modelId];
+            if (!model) {
+                this.warn("Model not found: " + modelId + " - won't export it");
+                continue;
+            }
+            const objects = model.entityList ? this._getPerformanceModelObjects(model, filter) : this._getNodeModelObjects(model, filter);
+            if (objects.length === 0) {
+                continue;
+            }
+            const modelNodeIndex = writer.addNode({
+                name: modelId,
+                extras: {
+                    id: modelId
+                }
+            });
+            for (let j = 0, lenj = objects.length; j < lenj; j++) {
+                this._writeObject(writer, objects[j], modelNodeIndex);
+            }
+        }
+
+        return writer.writeGLB();
+    }
+
+    /**
+     * Gets the exportable meshes of each object in a {@link PerformanceModel}.
+     * @private
+     */
+    _getPerformanceModelObjects(model, filter) {
+        const objects = [];
+        const entityList = model.entityList;
+        const modelMatrix = model.worldMatrix;
+        let unreadable = false;
+        for (let i = 0, len = entityList.length; i < len; i++) {
+            const entity = entityList[i];
+            if (!filter(entity)) {
+                continue;
+            }
+            const meshes = [];
+            for (let j = 0, lenj = entity.meshes.length; j < lenj; j++) {
+                const mesh = entity.meshes[j];
+                const geometry = mesh.geometry;
+                if (!geometry) {
+                    unreadable = true;
+                    continue;
+                }
+                meshes.push({
+                    source: geometry,
+                    getArrays: () => getPerformanceGeometryArrays(geometry),
+                    matrix: mesh.matrix ? math.mulMat4(modelMatrix, mesh.matrix, math.mat4()) : modelMatrix,
+                    color: mesh.getRenderColor(new Float32Array(4))
+                });
+            }
+            if (meshes.length > 0) {
+                objects.push({
+                    entity: entity,
+                    meshes: meshes
+                });
+            }
+        }
+        if (unreadable) {
+            this.warn("Model '" + model.id + "' was not loaded with readableGeometry: true - can't export its geometry");
+        }
+        return objects;
+    }
+
+    /**
+     * Gets the exportable meshes of each object in a model that's made of {@link Node}s and {@link Mesh}es.
+     * @private
+     */
+    _getNodeModelObjects(model, filter) {
+        const objects = [];
+        const objectsMap = new Map();
+        let unreadable = false;
+        const visit = (component, owner) => {
+            if (component.isObject) {
+                owner = component;
+            }
+            if (component.isMesh) {
+                const object = owner || component;
+                const geometry = component.geometry;
+                if (filter(object)) {
+                    if (!geometry || !("positions" in geometry)) {
+                        unreadable = true;
+                    } else {
+                        let exportObject = objectsMap.get(object);
+                        if (!exportObject) {
+                            exportObject = {
+                                entity: object,
+                                meshes: []
+                            };
+                            objectsMap.set(object, exportObject);
+                            objects.push(exportObject);
+                        }
+                        exportObject.meshes.push({
+                            source: geometry,
+                            getArrays: () => ({
+                                primitive: geometry.primitive,
+                                positions: geometry.positions,
+                                normals: geometry.normals,
+                                indices: geometry.indices,
+                                colors: null
+                            }),
+                            matrix: component.worldMatrix,
+                            color: getMeshColor(component, new Float32Array(4))
+                        });
+                    }
+                }
+            }
+            const children = component.children;
+            if (children) {
+                for (let i = 0, len = children.length; i < len; i++) {
+                    visit(children[i], owner);
+                }
+            }
+        };
+        visit(model, null);
+        if (unreadable) {
+            this.warn("Model '" + model.id + "' has meshes without readable geometry (eg. VBOGeometry) - can't export them");
+        }
+        return objects;
+    }
+
+    /**
+     * Writes the node and mesh of an object.
+     * @private
+     */
+    _writeObject(writer, object, modelNodeIndex) {
+
+        const entity = object.entity;
+        const meshes = object.meshes;
+        const node = {};
+
+        if (entity.isObject) {
+            node.name = entity.id;
+            node.extras = {
+                id: entity.id
+            };
+            const metaObject = this.viewer.metaScene.metaObjects[entity.id];
+            if (metaObject) {
+                if (metaObject.name !== undefined && metaObject.name !== null) {
+                    node.extras.name = metaObject.name;
+                }
+                if (metaObject.type !== undefined && metaObject.type !== null) {
+                    node.extras.type = metaObject.type;
+                }
+            }
+        }
+
+        // When all the object's meshes have the same transform, then it becomes the node's transform, and the meshes
+        // can share their geometries with other nodes. Otherwise, we bake each mesh's transform into its own copy of its geometry.
+
+        const matrix = meshes[0].matrix;
+        let sameMatrix = true;
+        for (let i = 1, len = meshes.length; i < len; i++) {
+            if (!math.compareMat4(matrix, meshes[i].matrix)) {
+                sameMatrix = false;
+                break;
+            }
+        }
+
+        if (sameMatrix && !math.isIdentityMat4(matrix)) {
+            node.matrix = Array.from(matrix);
+        }
+
+        const primitives = [];
+
+        for (let i = 0, len = meshes.length; i < len; i++) {
+            const mesh = meshes[i];
+            const geometry = sameMatrix
+                ? writer.addGeometry(mesh.source, mesh.getArrays)
+                : writer.addGeometry(null, () => transformArrays(mesh.getArrays(), mesh.matrix));
+            if (!geometry) {
+                continue;
+            }
+            const primitive = Object.assign({}, geometry);
+            primitive.material = writer.addMaterial(mesh.color);
+            primitives.push(primitive);
+        }
+
+        if (primitives.length > 0) {
+            node.mesh = writer.addMesh(primitives);
+        }
+
+        writer.addNode(node, modelNodeIndex);
+    }
+}
+
+/**
+ * Gets the geometry arrays kept by a {@link PerformanceModel} mesh, decompressing them if needed.
+ * @private
+ */
+function getPerformanceGeometryArrays(geometry) {
+    let positions = geometry.positions;
+    let normals = geometry.normals;
+    const decodeMatrix = geometry.positionsDecodeMatrix;
+    if (decodeMatrix) {
+        positions = geometryCompressionUtils.decompressPositions(positions, decodeMatrix, new Float32Array(positions.length));
+        if (normals) { // Oct-encoded, in three elements per normal
+            const decompressed = new Float32Array(normals.length);
+            for (let i = 0, len = normals.length; i < len; i += 3) {
+                tempOct[0] = normals[i];
+                tempOct[1] = normals[i + 1];
+                geometryCompressionUtils.decompressNormal(tempOct, tempNormal);
+                decompressed[i] = tempNormal[0];
+                decompressed[i + 1] = tempNormal[1];
+                decompressed[i + 2] = tempNormal[2];
+            }
+            normals = decompressed;
+        }
+    }
+    return {
+        primitive: geometry.primitive,
+        positions: positions,
+        normals: normals,
+        indices: geometry.indices,
+        colors: geometry.colors
+    };
+}
+
+/**
+ * Gets a copy of geometry arrays, with positions and normals transformed by the given matrix.
+ * @private
+ */
+function transformArrays(arrays, matrix) {
+    const positions = arrays.positions;
+    const normals = arrays.normals;
+    const transformedPositions = new Float32Array(positions.length);
+    for (let i = 0, len = positions.length; i < len; i += 3) {
+        const x = positions[i];
+        const y = positions[i + 1];
+        const z = positions[i + 2];
+        transformedPositions[i] = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
+        transformedPositions[i + 1] = matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13];
+        transformedPositions[i + 2] = matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14];
+    }
+    let transformedNormals = null;
+    if (normals) {
+        const normalMatrix = math.transposeMat4(math.inverseMat4(matrix, math.mat4()));
+        transformedNormals = new Float32Array(normals.length);
+        for (let i = 0, len = normals.length; i < len; i += 3) {
+            const x = normals[i];
+            const y = normals[i + 1];
+            const z = normals[i + 2];
+            transformedNormals[i] = normalMatrix[0] * x + normalMatrix[4] * y + normalMatrix[8] * z;
+            transformedNormals[i + 1] = normalMatrix[1] * x + normalMatrix[5] * y + normalMatrix[9] * z;
+            transformedNormals[i + 2] = normalMatrix[2] * x + normalMatrix[6] * y + normalMatrix[10] * z;
+        }
+    }
+    return {
+        primitive: arrays.primitive,
+        positions: transformedPositions,
+        normals: transformedNormals,
+        indices: arrays.indices,
+        colors: arrays.colors
+    };
+}
+
+/**
+ * Gets the RGBA color that a {@link Mesh} is rendered with, from its material's base or diffuse color and alpha,
+ * multiplied by the Mesh's colorize and opacity.
+ * @private
+ */
+function getMeshColor(mesh, dest) {
+    const material = mesh.material;
+    const baseColor = material ? (material.baseColor || material.diffuse || material.color) : null;
+    const alpha = (material && material.alpha !== undefined && material.alpha !== null) ? material.alpha : 1.0;
+    const colorize = mesh.colorize;
+    const opacity = mesh.opacity;
+    tempColor[0] = baseColor ? baseColor[0] : 1.0;
+    tempColor[1] = baseColor ? baseColor[1] : 1.0;
+    tempColor[2] = baseColor ? baseColor[2] : 1.0;
+    dest[0] = tempColor[0] * (colorize ? colorize[0] : 1.0);
+    dest[1] = tempColor[1] * (colorize ? colorize[1] : 1.0);
+    dest[2] = tempColor[2] * (colorize ? colorize[2] : 1.0);
+    dest[3] = alpha * ((opacity !== undefined && opacity !== null) ? opacity : 1.0);
+    return dest;
+}
+
+export {GLTFExporterPlugin};
@@ -0,0 +1,303 @@
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_BYTE = 5121;
+
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const GLB_CHUNK_TYPE_JSON = 0x4E4F534A; // "JSON"
+const GLB_CHUNK_TYPE_BIN = 0x004E4942; // "BIN"
+
+const PRIMITIVE_MODES = {
+    "points": 0,
+    "lines": 1,
+    "line-loop": 2,
+    "line-strip": 3,
+    "triangles": 4,
+    "triangle-strip": 5,
+    "triangle-fan": 6
+};
+
+/**
+ * Builds a binary glTF 2.0 (*````.glb````*) file from nodes, meshes, materials and geometry arrays.
+ *
+ * Geometries and materials are written once for each distinct source, so that meshes which share a geometry
+ * are still instanced in the glTF.
+ *
+ * @private
+ */
+class GLTFWriter {
+
+    constructor() {
+
+        this._json = {
+            asset: {
+                version: "2.0",
+                generator: "xeokit GLTFExporterPlugin"
+            },
+            scene: 0,
+            scenes: [{nodes: []}],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+
+        this._binaryChunks = [];
+        this._byteLength = 0;
+        this._materialIndices = {};
+        this._meshIndices = {};
+        this._geometries = new Map();
+    }
+
+    /**
+     * Adds a node.
+     *
+     * @param {Object} node glTF node JSON.
+     * @param {Number} [parentIndex] Index of the parent node. The node is a root of the scene when this is omitted.
+     * @returns {Number} Index of the node.
+     */
+    addNode(node, parentIndex) {
+        const index = this._json.nodes.length;
+        this._json.nodes.push(node);
+        if (parentIndex === undefined) {
+            this._json.scenes[0].nodes.push(index);
+        } else {
+            const parent = this._json.nodes[parentIndex];
+            (parent.children || (parent.children = [])).push(index);
+        }
+        return index;
+    }
+
+    /**
+     * Adds a material with the given RGBA color, unless one with the same color was already added.
+     *
+     * @param {Number[]} color RGBA color, with each component in range ````[0..1]````.
+     * @returns {Number} Index of the material.
+     */
+    addMaterial(color) {
+        const rgba = [round(color[0]), round(color[1]), round(color[2]), round(color[3])];
+        const key = rgba.join(",");
+        let index = this._materialIndices[key];
+        if (index === undefined) {
+            const material = {
+                pbrMetallicRoughness: {
+                    baseColorFactor: rgba,
+                    metallicFactor: 0,
+                    roughnessFactor: 1
+                }
+            };
+            if (rgba[3] < 1) {
+                material.alphaMode = "BLEND";
+            }
+            index = this._json.materials.length;
+            this._json.materials.push(material);
+            this._materialIndices[key] = index;
+        }
+        return index;
+    }
+
+    /**
+     * Adds geometry arrays, unless they were already added for the given source.
+     *
+     * @param {Object} source The object the arrays were got from, such as a {@link Geometry}. When ````null````, the arrays are always added.
+     * @param {Function} getArrays Callback that returns the arrays to add, as an object with ````primitive````, ````positions````,
+     * and optional ````normals````, ````indices```` and ````colors```` (RGBA in range ````[0..255]````). Only called when the arrays need adding.
+     * @returns {Object} glTF primitive JSON without a material, or ````null```` if the geometry has no positions.
+     */
+    addGeometry(source, getArrays) {
+        if (source && this._geometries.has(source)) {
+            return this._geometries.get(source);
+        }
+        const arrays = getArrays();
+        let primitive = null;
+        if (arrays && arrays.positions && arrays.positions.length > 0) {
+            const attributes = {
+                POSITION: this._addAccessor(toFloat32Array(arrays.positions), "VEC3", FLOAT, ARRAY_BUFFER, true)
+            };
+            if (arrays.normals && arrays.normals.length === arrays.positions.length) {
+                attributes.NORMAL = this._addAccessor(normalizeNormals(arrays.normals), "VEC3", FLOAT, ARRAY_BUFFER);
+            }
+            if (arrays.colors && arrays.colors.length === (arrays.positions.length / 3) * 4) {
+                attributes.COLOR_0 = this._addAccessor(toUint8Array(arrays.colors), "VEC4", UNSIGNED_BYTE, ARRAY_BUFFER, false, true);
+            }
+            primitive = {
+                attributes: attributes,
+                mode: PRIMITIVE_MODES[arrays.primitive] !== undefined ? PRIMITIVE_MODES[arrays.primitive] : PRIMITIVE_MODES.triangles
+            };
+            if (arrays.indices && arrays.indices.length > 0) {
+                const indices = toIndexArray(arrays.indices, arrays.positions.length / 3);
+                primitive.indices = this._addAccessor(indices, "SCALAR", (indices instanceof Uint16Array) ? UNSIGNED_SHORT : UNSIGNED_INT, ELEMENT_ARRAY_BUFFER);
+            }
+        }
+        if (source) {
+            this._geometries.set(source, primitive);
+        }
+        return primitive;
+    }
+
+    /**
+     * Adds a mesh, unless one with the same primitives and materials was already added.
+     *
+     * @param {Object[]} primitives glTF primitive JSONs, each with a material.
+     * @returns {Number} Index of the mesh.
+     */
+    addMesh(primitives) {
+        const key = JSON.stringify(primitives);
+        let index = this._meshIndices[key];
+        if (index === undefined) {
+            index = this._json.meshes.length;
+            this._json.meshes.push({primitives: primitives});
+            this._meshIndices[key] = index;
+        }
+        return index;
+    }
+
+    /**
+     * Writes everything added so far into a binary glTF file.
+     *
+     * @returns {ArrayBuffer} The *````.glb````* file contents.
+     */
+    writeGLB() {
+
+        const json = this._json;
+
+        if (this._byteLength > 0) {
+            json.buffers = [{byteLength: this._byteLength}];
+        }
+
+        for (let name of ["nodes", "meshes", "materials", "accessors", "bufferViews", "buffers"]) {
+            if (json[name].length === 0) {
+                delete json[name];
+            }
+        }
+
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+        const jsonChunkLength = align4(jsonBytes.length);
+        const binChunkLength = this._byteLength;
+        const byteLength = 12 + 8 + jsonChunkLength + ((binChunkLength > 0) ? (8 + binChunkLength) : 0);
+
+        const glb = new ArrayBuffer(byteLength);
+        const dataView = new DataView(glb);
+        const bytes = new Uint8Array(glb);
+
+        dataView.setUint32(0, GLB_MAGIC, true);
+        dataView.setUint32(4, 2, true);
+        dataView.setUint32(8, byteLength, true);
+
+        dataView.setUint32(12, jsonChunkLength, true);
+        dataView.setUint32(16, GLB_CHUNK_TYPE_JSON, true);
+        bytes.set(jsonBytes, 20);
+        for (let i = 20 + jsonBytes.length; i < 20 + jsonChunkLength; i++) {
+            bytes[i] = 0x20; // Pad JSON with spaces
+        }
+
+        if (binChunkLength > 0) {
+            let offset = 20 + jsonChunkLength;
+            dataView.setUint32(offset, binChunkLength, true);
+            dataView.setUint32(offset + 4, GLB_CHUNK_TYPE_BIN, true);
+            offset += 8;
+            for (let i = 0, len = this._binaryChunks.length; i < len; i++) {
+                const chunk = this._binaryChunks[i];
+                bytes.set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength), offset + chunk.bufferOffset);
+            }
+        }
+
+        return glb;
+    }
+
+    _addAccessor(array, type, componentType, target, minMax = false, normalized = false) {
+        const itemSize = (type === "VEC4") ? 4 : (type === "VEC3") ? 3 : 1;
+        const bufferOffset = this._byteLength;
+        this._binaryChunks.push({
+            buffer: array.buffer,
+            byteOffset: array.byteOffset,
+            byteLength: array.byteLength,
+            bufferOffset: bufferOffset
+        });
+        this._byteLength = align4(bufferOffset + array.byteLength);
+        const bufferViewIndex = this._json.bufferViews.length;
+        this._json.bufferViews.push({
+            buffer: 0,
+            byteOffset: bufferOffset,
+            byteLength: array.byteLength,
+            target: target
+        });
+        const accessor = {
+            bufferView: bufferViewIndex,
+            componentType: componentType,
+            count: array.length / itemSize,
+            type: type
+        };
+        if (normalized) {
+            accessor.normalized = true;
+        }
+        if (minMax) {
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0, len = array.length; i < len; i += 3) {
+                for (let j = 0; j < 3; j++) {
+                    const value = array[i + j];
+                    if (value < min[j]) {
+                        min[j] = value;
+                    }
+                    if (value > max[j]) {
+                        max[j] = value;
+                    }
+                }
+            }
+            accessor.min = min;
+            accessor.max = max;
+        }
+        const accessorIndex = this._json.accessors.length;
+        this._json.accessors.push(accessor);
+        return accessorIndex;
+    }
+}
+
+function align4(value) {
+    return (value + 3) & ~3;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function toFloat32Array(array) {
+    return (array instanceof Float32Array) ? array : new Float32Array(array);
+}
+
+function toUint8Array(array) {
+    return (array instanceof Uint8Array) ? array : new Uint8Array(array);
+}
+
+function toIndexArray(indices, numVertices) {
+    if (numVertices <= 65536) {
+        return (indices instanceof Uint16Array) ? indices : new Uint16Array(indices);
+    }
+    return (indices instanceof Uint32Array) ? indices : new Uint32Array(indices);
+}
+
+function normalizeNormals(normals) {
+    const result = new Float32Array(normals.length);
+    for (let i = 0, len = normals.length; i < len; i += 3) {
+        const x = normals[i];
+        const y = normals[i + 1];
+        const z = normals[i + 2];
+        const length = Math.sqrt(x * x + y * y + z * z);
+        if (length > 0) {
+            result[i] = x / length;
+            result[i + 1] = y / length;
+            result[i + 2] = z / length;
+        } else {
+            result[i + 2] = 1;
+        }
+    }
+    return result;
+}
+
+export {GLTFWriter};
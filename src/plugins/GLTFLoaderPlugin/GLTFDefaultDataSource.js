@@ -44,6 +44,23 @@ class GLTFDefaultDataSource {
             });
     }
 
+    /**
+     * Gets the contents of a binary glTF (*````.glb````*) file.
+     *
+     * @param {String|Number} glbSrc Identifies the *````.glb````* asset.
+     * @param {Function} ok Fired on successful loading of the *````.glb````* asset, with its contents in an ArrayBuffer.
+     * @param {Function} error Fired on error while loading the *````.glb````* asset.
+     */
+    getGLB(glbSrc, ok, error) {
+        utils.loadArraybuffer(glbSrc,
+            (arrayBuffer) => {
+                ok(arrayBuffer);
+            },
+            function (errMsg) {
+                error(errMsg);
+            });
+    }
+
     /**
      * Gets glTF binary attachment.
      *
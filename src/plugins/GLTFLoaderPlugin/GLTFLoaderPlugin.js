@@ -6,6 +6,7 @@ import {GLTFQualityLoader} from "./GLTFQualityLoader.js";
 import {GLTFPerformanceLoader} from "./GLTFPerformanceLoader.js";
 import {IFCObjectDefaults} from "../../viewer/metadata/IFCObjectDefaults.js";
 import {GLTFDefaultDataSource} from "./GLTFDefaultDataSource.js";
+import {GLTFDracoWorkerPool} from "./lib/GLTFDracoWorkerPool.js";
 
 /**
  * {@link Viewer} plugin that loads models from [glTF](https://www.khronos.org/gltf/).
@@ -13,6 +14,52 @@ import {GLTFDefaultDataSource} from "./GLTFDefaultDataSource.js";
  * * Creates an {@link Entity} representing each model it loads, which will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#models}.
  * * Creates an {@link Entity} for each object within the model, which is indicated by each glTF ````node```` that has a ````name```` attribute. Those Entities will have {@link Entity#isObject} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#objects}.
  * * When loading, can set the World-space position, scale and rotation of each model within World space, along with initial properties for all the model's {@link Entity}s.
+ * * Loads both *````.gltf````* files, with external or embedded buffers, and binary *````.glb````* files.
+ * * Loads geometry that's compressed with the ````KHR_draco_mesh_compression```` and ````KHR_mesh_quantization```` extensions.
+ *
+ * ## Binary glTF
+ *
+ * GLTFLoaderPlugin loads a binary glTF file when its ````src```` ends with *````.glb````*, getting it through
+ * the data source's ````getGLB()```` method. We can also give {@link GLTFLoaderPlugin#load} the contents of
+ * a *````.glb````* file in an ArrayBuffer, via its ````gltf```` parameter. Images embedded in the *````.glb````* file are
+ * loaded as textures when we load with ````performance:false````.
+ *
+ * ````javascript
+ * const model = gltfLoader.load({
+ *      id: "myModel",
+ *      src: "./models/glb/duplex.glb"
+ * });
+ * ````
+ *
+ * ## Compressed geometry
+ *
+ * GLTFLoaderPlugin loads glTF files whose geometry is quantized with the ````KHR_mesh_quantization```` extension without any
+ * configuration. With ````performance:true````, quantized positions of geometries that are shared by several meshes
+ * are kept as they are, with the quantization mapped onto the {@link PerformanceModel}'s decode matrix for the geometry, while
+ * quantized positions of other meshes are converted to floats, to be batched and quantized together with their neighbours.
+ *
+ * GLTFLoaderPlugin also loads geometry that's compressed with the ````KHR_draco_mesh_compression```` extension without any
+ * configuration, using the JavaScript build of Google's [Draco](https://github.com/google/draco) decoder that's bundled
+ * with GLTFLoaderPlugin. By default, the geometry is decoded on the main thread.
+ *
+ * To decode Draco-compressed geometry off the main thread instead, in a pool of [Web workers](https://www.w3.org/TR/workers/), we
+ * configure GLTFLoaderPlugin with a ````workerScriptsPath```` that specifies the directory that contains GLTFLoaderPlugin's
+ * worker script. The workers are module workers, so need a browser that supports those. They are started when we first
+ * load a file that has Draco-compressed geometry.
+ *
+ * ````javascript
+ * const gltfLoader = new GLTFLoaderPlugin(viewer, {
+ *      workerScriptsPath: "../src/plugins/GLTFLoaderPlugin/workers/",
+ *      numWorkers: 2
+ * });
+ *
+ * const model = gltfLoader.load({
+ *      id: "myModel",
+ *      src: "./models/gltf/duplex/draco/scene.gltf"
+ * });
+ * ````
+ *
+ * Compressed files load the same way as uncompressed ones, so no other changes are needed in our code.
  *
  * ## Metadata
  *
@@ -193,11 +240,17 @@ class GLTFLoaderPlugin extends Plugin {
      * @param {String} [cfg.id="GLTFLoader"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
      * @param {Object} [cfg.objectDefaults] Map of initial default states for each loaded {@link Entity} that represents an object.  Default value is {@link IFCObjectDefaults}.
      * @param {Object} [cfg.dataSource] A custom data source through which the GLTFLoaderPlugin can load metadata, glTF and binary attachments. Defaults to an instance of {@link GLTFDefaultDataSource}, which loads uover HTTP.
+     * @param {String} [cfg.workerScriptsPath] Path to the directory that contains GLTFLoaderPlugin's Web worker script. When given, Draco-compressed geometry is decoded in Web workers, otherwise on the main thread.
+     * @param {Number} [cfg.numWorkers=1] Number of Web workers with which to decode Draco-compressed geometry.
      */
     constructor(viewer, cfg = {}) {
 
         super("GLTFLoader", viewer, cfg);
 
+        this._workerScriptsPath = cfg.workerScriptsPath;
+        this._numWorkers = (cfg.numWorkers > 0) ? cfg.numWorkers : 1;
+        this._dracoWorkerPool = null;
+
         /**
          * @private
          */
@@ -261,8 +314,8 @@ class GLTFLoaderPlugin extends Plugin {
      *
      * @param {*} params Loading parameters.
      * @param {String} [params.id] ID to assign to the root {@link Entity#id}, unique among all components in the Viewer's {@link Scene}, generated automatically by default.
-     * @param {String} [params.src] Path to a glTF file, as an alternative to the ````gltf```` parameter.
-     * @param {*} [params.gltf] glTF JSON, as an alternative to the ````src```` parameter.
+     * @param {String} [params.src] Path to a *````.gltf````* or *````.glb````* file, as an alternative to the ````gltf```` parameter.
+     * @param {*} [params.gltf] glTF JSON, or the contents of a *````.glb````* file in an ArrayBuffer, as an alternative to the ````src```` parameter.
      * @param {String} [params.metaModelSrc] Path to an optional metadata file, as an alternative to the ````metaModelData```` parameter (see user guide: [Model Metadata](https://github.com/xeolabs/xeokit.io/wiki/Model-Metadata)).
      * @param {*} [params.metaModelData] JSON model metadata, as an alternative to the ````metaModelSrc```` parameter (see user guide: [Model Metadata](https://github.com/xeolabs/xeokit.io/wiki/Model-Metadata)).
      * @param {{String:Object}} [params.objectDefaults] Map of initial default states for each loaded {@link Entity} that represents an object. Default value is {@link IFCObjectDefaults}.
@@ -276,6 +329,7 @@ class GLTFLoaderPlugin extends Plugin {
      * @param {Boolean} [params.backfaces=false] When true, allows visible backfaces, wherever specified in the glTF. When false, ignores backfaces.
      * @param {Number} [params.edgeThreshold=10] When xraying, highlighting, selecting or edging, this is the threshold angle between normals of adjacent triangles, below which their shared wireframe edge is not drawn.
      * @params {Boolean} [params.performance=true] Set ````false```` to load all the materials and textures provided by the glTF file, otherwise leave ````true```` to load the default high-performance representation optimized for low memory usage and efficient rendering.
+     * @param {Boolean} [params.readableGeometry=false] Set ````true```` to keep the model's geometry arrays in browser memory, so that they can be read back later, eg. by {@link GLTFExporterPlugin}.
      * @returns {Entity} Entity representing the model, which will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#models}
      */
     load(params = {}) {
@@ -340,7 +394,7 @@ class GLTFLoaderPlugin extends Plugin {
                     }
                 }
 
-                params.readableGeometry = false;
+                params.readableGeometry = !!params.readableGeometry;
 
                 params.handleGLTFNode = (modelId, glTFNode, actions) => {
 
@@ -447,9 +501,34 @@ class GLTFLoaderPlugin extends Plugin {
     }
 
     /**
-     * Destroys this GLTFLoaderPlugin.
+     * Gets the pool of Web workers that decode Draco-compressed geometry, starting the workers on first use.
+     *
+     * Returns null when this GLTFLoaderPlugin is not configured with Web workers, in which case Draco-compressed geometry is decoded on the main thread.
+     *
+     * @private
+     */
+    _getDracoWorkerPool() {
+        if (!this._dracoWorkerPool) {
+            if (!this._workerScriptsPath) {
+                return null;
+            }
+            if (typeof Worker === "undefined") {
+                this.error("Web workers not supported in this browser - will decode Draco-compressed geometry on main thread");
+                return null;
+            }
+            this._dracoWorkerPool = new GLTFDracoWorkerPool(this._workerScriptsPath, this._numWorkers);
+        }
+        return this._dracoWorkerPool;
+    }
+
+    /**
+     * Destroys this GLTFLoaderPlugin, terminating any Web workers.
      */
     destroy() {
+        if (this._dracoWorkerPool) {
+            this._dracoWorkerPool.destroy();
+            this._dracoWorkerPool = null;
+        }
         super.destroy();
     }
 }
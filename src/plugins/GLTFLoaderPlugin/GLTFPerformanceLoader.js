@@ -2,6 +2,10 @@ import {math} from "../../viewer/scene/math/math.js";
 import {utils} from "../../viewer/scene/utils.js";
 import {core} from "../../viewer/scene/core.js";
 import {buildEdgeIndices} from '../../viewer/scene/math/buildEdgeIndices.js';
+import {geometryCompressionUtils} from "../../viewer/scene/math/geometryCompressionUtils.js";
+import {isGLBSrc, isGLB, parseGLB} from "./lib/parseGLB.js";
+import {decodeDracoPrimitives} from "./lib/decodeDracoPrimitives.js";
+import {dequantize, getPrecompressedPositions} from "./lib/meshQuantization.js";
 
 /**
  * @private
@@ -34,6 +38,18 @@ class GLTFPerformanceLoader {
 
     parse(plugin, performanceModel, gltf, options, ok, error) {
         options = options || {};
+        if (isGLB(gltf)) {
+            try {
+                gltf = parseGLB(gltf);
+            } catch (e) {
+                performanceModel.error(e);
+                performanceModel.fire("error", e);
+                if (error) {
+                    error(e);
+                }
+                return;
+            }
+        }
         parseGLTF(plugin, gltf, "", options, performanceModel, function () {
                 performanceModel.scene.fire("modelLoaded", performanceModel.id); // FIXME: Assumes listeners know order of these two events
                 performanceModel.fire("loaded", true, false);
@@ -58,6 +74,29 @@ const loadGLTF = (function () {
     return function (plugin, performanceModel, src, options, ok, error) {
         const spinner = plugin.viewer.scene.canvas.spinner;
         spinner.processes++;
+        if (isGLBSrc(src)) {
+            if (!plugin.dataSource.getGLB) {
+                spinner.processes--;
+                error("Data source does not support getGLB() - can't load .glb file: " + src);
+                return;
+            }
+            plugin.dataSource.getGLB(src, function (arrayBuffer) { // OK
+                    spinner.processes--;
+                    let json;
+                    try {
+                        json = parseGLB(arrayBuffer);
+                    } catch (e) {
+                        error(e);
+                        return;
+                    }
+                    parseGLTF(plugin, json, src, options, performanceModel, ok, error);
+                },
+                function (errMsg) {
+                    spinner.processes--;
+                    error(errMsg);
+                });
+            return;
+        }
         plugin.dataSource.getGLTF(src, function (json) { // OK
                 spinner.processes--;
                 parseGLTF(plugin, json, src, options, performanceModel, ok, error);
@@ -92,7 +131,7 @@ const parseGLTF = (function () {
         'MAT4': 16
     };
 
-    return function (plugin, json, src, options, performanceModel, ok) {
+    return function (plugin, json, src, options, performanceModel, ok, error) {
         const ctx = {
             src: src,
             loadBuffer: options.loadBuffer,
@@ -110,11 +149,21 @@ const parseGLTF = (function () {
         loadBuffers(ctx, function () {
             loadBufferViews(ctx);
             freeBuffers(ctx); // Don't need buffers once we've created views of them
-            loadMaterials(ctx);
-            spinner.processes--;
-            loadDefaultScene(ctx);
-            performanceModel.finalize();
-            ok();
+            decodeDracoPrimitives(plugin, json, function () {
+                    if (performanceModel.destroyed) {
+                        spinner.processes--;
+                        return;
+                    }
+                    loadMaterials(ctx);
+                    spinner.processes--;
+                    loadDefaultScene(ctx);
+                    performanceModel.finalize();
+                    ok();
+                },
+                function (msg) {
+                    spinner.processes--;
+                    error(msg);
+                });
         });
     };
 
@@ -141,7 +190,9 @@ const parseGLTF = (function () {
 
     function loadBuffer(ctx, bufferInfo, ok, err) {
         const uri = bufferInfo.uri;
-        if (uri) {
+        if (bufferInfo._buffer) { // Binary chunk of a .glb file
+            ok();
+        } else if (uri) {
             ctx.plugin.dataSource.getArrayBuffer(ctx.src, uri, function (data) {
                     bufferInfo._buffer = data;
                     ok();
@@ -412,7 +463,7 @@ const parseGLTF = (function () {
                                 const geometryCfg = {
                                     id: geometryId
                                 };
-                                loadPrimitiveGeometry(ctx, primitiveInfo, geometryCfg);
+                                loadPrimitiveGeometry(ctx, primitiveInfo, geometryCfg, true);
                                 performanceModel.createGeometry(geometryCfg);
                                 ctx.geometryCreated[geometryId] = true;
                             }
@@ -426,7 +477,7 @@ const parseGLTF = (function () {
 
                             // Batching
 
-                            loadPrimitiveGeometry(ctx, primitiveInfo, meshCfg);
+                            loadPrimitiveGeometry(ctx, primitiveInfo, meshCfg, false);
 
                             performanceModel.createMesh(meshCfg);
                             meshIds.push(meshCfg.id);
@@ -460,7 +511,7 @@ const parseGLTF = (function () {
         }
     }
 
-    function loadPrimitiveGeometry(ctx, primitiveInfo, geometryCfg) {
+    function loadPrimitiveGeometry(ctx, primitiveInfo, geometryCfg, precompressed) {
         const attributes = primitiveInfo.attributes;
         if (!attributes) {
             return;
@@ -474,30 +525,56 @@ const parseGLTF = (function () {
         const positionsIndex = attributes.POSITION;
         if (positionsIndex !== null && positionsIndex !== undefined) {
             const accessorInfo = ctx.json.accessors[positionsIndex];
-            geometryCfg.positions = loadAccessorTypedArray(ctx, accessorInfo);
-            //  scalePositionsArray(geometryCfg.positions);
+            const positions = loadAccessorTypedArray(ctx, accessorInfo);
+
+            // Quantized positions (KHR_mesh_quantization) of instanced geometries are kept as they are, with a matrix
+            // to decode them. Batched positions are converted to floats, because each batch has its own quantization.
+
+            const compressed = precompressed ? getPrecompressedPositions(accessorInfo, positions) : null;
+            if (compressed) {
+                geometryCfg.positions = compressed.positions;
+                geometryCfg.positionsDecodeMatrix = compressed.positionsDecodeMatrix;
+            } else {
+                geometryCfg.positions = dequantize(accessorInfo, positions);
+            }
         }
         const normalsIndex = attributes.NORMAL;
         if (normalsIndex !== null && normalsIndex !== undefined) {
             const accessorInfo = ctx.json.accessors[normalsIndex];
-            geometryCfg.normals = loadAccessorTypedArray(ctx, accessorInfo);
+            const normals = dequantize(accessorInfo, loadAccessorTypedArray(ctx, accessorInfo));
+            geometryCfg.normals = geometryCfg.positionsDecodeMatrix ? geometryCompressionUtils.compressNormals(normals) : normals; // Pre-compressed geometry needs oct-encoded normals
         }
         if (geometryCfg.indices) {
-            geometryCfg.edgeIndices = buildEdgeIndices(geometryCfg.positions, geometryCfg.indices, null, 10); // Save PerformanceModel from building edges
+            geometryCfg.edgeIndices = buildEdgeIndices(geometryCfg.positions, geometryCfg.indices, geometryCfg.positionsDecodeMatrix || null, 10); // Save PerformanceModel from building edges
         }
     }
 
     function loadAccessorTypedArray(ctx, accessorInfo) {
+        if (accessorInfo._typedArray) { // Decoded from a Draco-compressed primitive
+            return accessorInfo._typedArray;
+        }
         const bufferViewInfo = ctx.json.bufferViews[accessorInfo.bufferView];
         const itemSize = WEBGL_TYPE_SIZES[accessorInfo.type];
         const TypedArray = WEBGL_COMPONENT_TYPES[accessorInfo.componentType];
         const elementBytes = TypedArray.BYTES_PER_ELEMENT; // For VEC3: itemSize is 3, elementBytes is 4, itemBytes is 12.
         const itemBytes = elementBytes * itemSize;
-        if (accessorInfo.byteStride && accessorInfo.byteStride !== itemBytes) { // The buffer is not interleaved if the stride is the item size in bytes.
-            error("interleaved buffer!"); // TODO
-        } else {
-            return new TypedArray(bufferViewInfo._buffer, accessorInfo.byteOffset || 0, accessorInfo.count * itemSize);
+        if (!bufferViewInfo) { // Accessors without buffer views are filled with zeros
+            return new TypedArray(accessorInfo.count * itemSize);
+        }
+        const byteStride = bufferViewInfo.byteStride;
+        if (byteStride && byteStride !== itemBytes) { // Interleaved or padded, as quantized attributes often are
+            const elementStride = byteStride / elementBytes;
+            const count = accessorInfo.count;
+            const source = new TypedArray(bufferViewInfo._buffer, accessorInfo.byteOffset || 0, (count - 1) * elementStride + itemSize);
+            const array = new TypedArray(count * itemSize);
+            for (let i = 0; i < count; i++) {
+                for (let j = 0; j < itemSize; j++) {
+                    array[i * itemSize + j] = source[i * elementStride + j];
+                }
+            }
+            return array;
         }
+        return new TypedArray(bufferViewInfo._buffer, accessorInfo.byteOffset || 0, accessorInfo.count * itemSize);
     }
 
     function error(ctx, msg) {
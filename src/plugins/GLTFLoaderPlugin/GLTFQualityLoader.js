@@ -9,6 +9,9 @@ import {Node} from "../../viewer/scene/nodes/Node.js";
 import {math} from "../../viewer/scene/math/math.js";
 import {utils} from "../../viewer/scene/utils.js";
 import {core} from "../../viewer/scene/core.js";
+import {isGLBSrc, isGLB, parseGLB} from "./lib/parseGLB.js";
+import {decodeDracoPrimitives} from "./lib/decodeDracoPrimitives.js";
+import {dequantize} from "./lib/meshQuantization.js";
 
 /**
  * @private
@@ -45,6 +48,18 @@ class GLTFQualityLoader {
 
     parse(plugin, modelNode, gltf, options, ok, error) {
         options = options || {};
+        if (isGLB(gltf)) {
+            try {
+                gltf = parseGLB(gltf);
+            } catch (e) {
+                modelNode.error(e);
+                modelNode.fire("error", e);
+                if (error) {
+                    error(e);
+                }
+                return;
+            }
+        }
         var spinner = modelNode.scene.canvas.spinner;
         spinner.processes++;
         parseGLTF(plugin, gltf, "", options, modelNode, function () {
@@ -69,6 +84,25 @@ class GLTFQualityLoader {
 
 var loadGLTF = (function () {
     return function (plugin, modelNode, src, options, ok, error) {
+        if (isGLBSrc(src)) {
+            if (!plugin.dataSource.getGLB) {
+                error("Data source does not support getGLB() - can't load .glb file: " + src);
+                return;
+            }
+            plugin.dataSource.getGLB(src, function (arrayBuffer) { // OK
+                    var json;
+                    try {
+                        json = parseGLB(arrayBuffer);
+                    } catch (e) {
+                        error(e);
+                        return;
+                    }
+                    options.basePath = getBasePath(src);
+                    parseGLTF(plugin, json, src, options, modelNode, ok, error);
+                },
+                error);
+            return;
+        }
         plugin.dataSource.getGLTF(src, function (json) { // OK
                 options.basePath = getBasePath(src);
                 parseGLTF(plugin, json, src, options, modelNode, ok, error);
@@ -103,7 +137,7 @@ var parseGLTF = (function () {
         'MAT4': 16
     };
 
-    return function (plugin, json, src, options, modelNode, ok) {
+    return function (plugin, json, src, options, modelNode, ok, error) {
         modelNode.clear();
         var ctx = {
             src: src,
@@ -141,15 +175,28 @@ var parseGLTF = (function () {
         loadBuffers(ctx, function () {
 
             loadBufferViews(ctx);
-            loadAccessors(ctx);
-            loadTextures(ctx);
-            loadMaterials(ctx);
-            loadMeshes(ctx);
-            loadDefaultScene(ctx);
 
-            modelNode.scene.loading--; // Re-enables (re)compilation
+            decodeDracoPrimitives(plugin, json, function () {
 
-            ok();
+                    if (modelNode.destroyed) {
+                        modelNode.scene.loading--;
+                        return;
+                    }
+
+                    loadAccessors(ctx);
+                    loadTextures(ctx);
+                    loadMaterials(ctx);
+                    loadMeshes(ctx);
+                    loadDefaultScene(ctx);
+
+                    modelNode.scene.loading--; // Re-enables (re)compilation
+
+                    ok();
+                },
+                function (msg) {
+                    modelNode.scene.loading--;
+                    error(msg);
+                });
         });
     };
 
@@ -176,7 +223,9 @@ var parseGLTF = (function () {
 
     function loadBuffer(ctx, bufferInfo, ok, err) {
         var uri = bufferInfo.uri;
-        if (uri) {
+        if (bufferInfo._buffer) { // Binary chunk of a .glb file
+            ok();
+        } else if (uri) {
             ctx.plugin.dataSource.getArrayBuffer(ctx.src, uri, function (data) {
                     bufferInfo._buffer = data;
                     ok();
@@ -218,24 +267,41 @@ var parseGLTF = (function () {
     }
 
     function loadAccessor(ctx, accessorInfo) {
-        var bufferViewInfo = ctx.json.bufferViews[accessorInfo.bufferView];
         var itemSize = WEBGL_TYPE_SIZES[accessorInfo.type];
+        accessorInfo._itemSize = itemSize;
+        if (accessorInfo._typedArray) { // Decoded from a Draco-compressed primitive
+            return;
+        }
+        var bufferViewInfo = ctx.json.bufferViews[accessorInfo.bufferView];
         var TypedArray = WEBGL_COMPONENT_TYPES[accessorInfo.componentType];
 
+        if (!bufferViewInfo) { // Accessors without buffer views are filled with zeros
+            accessorInfo._typedArray = new TypedArray(accessorInfo.count * itemSize);
+            return;
+        }
+
         // For VEC3: itemSize is 3, elementBytes is 4, itemBytes is 12.
         var elementBytes = TypedArray.BYTES_PER_ELEMENT;
         var itemBytes = elementBytes * itemSize;
+        var byteStride = bufferViewInfo.byteStride;
 
         // The buffer is not interleaved if the stride is the item size in bytes.
-        if (accessorInfo.byteStride && accessorInfo.byteStride !== itemBytes) {
-
+        if (byteStride && byteStride !== itemBytes) { // Interleaved or padded, as quantized attributes often are
+            var elementStride = byteStride / elementBytes;
+            var count = accessorInfo.count;
+            var source = new TypedArray(bufferViewInfo._buffer, accessorInfo.byteOffset || 0, (count - 1) * elementStride + itemSize);
+            var array = new TypedArray(count * itemSize);
+            for (var i = 0; i < count; i++) {
+                for (var j = 0; j < itemSize; j++) {
+                    array[i * itemSize + j] = source[i * elementStride + j];
+                }
+            }
+            accessorInfo._typedArray = array;
         } else {
             accessorInfo._typedArray = new TypedArray(bufferViewInfo._buffer, accessorInfo.byteOffset || 0, accessorInfo.count * itemSize);
-            accessorInfo._itemSize = itemSize;
         }
     }
 
-
     function loadTextures(ctx) {
         var texturesInfo = ctx.json.textures;
         if (texturesInfo) {
@@ -246,8 +312,16 @@ var parseGLTF = (function () {
     }
 
     function loadTexture(ctx, textureInfo) {
+        var imageInfo = ctx.json.images[textureInfo.source];
+        var src;
+        if (imageInfo.uri) {
+            src = ctx.basePath + imageInfo.uri;
+        } else if (imageInfo.bufferView !== undefined && typeof URL !== "undefined") { // Image embedded in a .glb file
+            var bufferViewInfo = ctx.json.bufferViews[imageInfo.bufferView];
+            src = URL.createObjectURL(new Blob([bufferViewInfo._buffer], {type: imageInfo.mimeType}));
+        }
         textureInfo._texture = new Texture(ctx.modelNode, {
-            src: ctx.json.images[textureInfo.source].uri ? ctx.basePath + ctx.json.images[textureInfo.source].uri : undefined,
+            src: src,
             flipY: !!textureInfo.flipY,
             encoding: "sRGB"
         });
@@ -617,21 +691,21 @@ var parseGLTF = (function () {
 
                 if (positionsIndex !== null && positionsIndex !== undefined) {
                     accessorInfo = json.accessors[positionsIndex];
-                    geometryCfg.positions = accessorInfo._typedArray;
+                    geometryCfg.positions = dequantize(accessorInfo, accessorInfo._typedArray);
                 }
 
                 normalsIndex = attributes.NORMAL;
 
                 if (normalsIndex !== null && normalsIndex !== undefined) {
                     accessorInfo = json.accessors[normalsIndex];
-                    geometryCfg.normals = accessorInfo._typedArray;
+                    geometryCfg.normals = dequantize(accessorInfo, accessorInfo._typedArray);
                 }
 
                 uv0Index = attributes.TEXCOORD_0;
 
                 if (uv0Index !== null && uv0Index !== undefined) {
                     accessorInfo = json.accessors[uv0Index];
-                    geometryCfg.uv = accessorInfo._typedArray;
+                    geometryCfg.uv = dequantize(accessorInfo, accessorInfo._typedArray);
                 }
 
                 meshCfg = {};
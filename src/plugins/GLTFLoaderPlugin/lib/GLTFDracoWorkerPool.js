@@ -0,0 +1,102 @@
+/**
+ * Pool of Web workers that decode the ````KHR_draco_mesh_compression```` primitives of glTF files.
+ *
+ * Primitives are spread across the workers, so that they are decoded in parallel and off the main thread,
+ * then their arrays are transferred back without copying.
+ *
+ * The workers are module workers, since they import the bundled Draco decoder.
+ *
+ * @private
+ */
+class GLTFDracoWorkerPool {
+
+    /**
+     * @param {String} workerScriptsPath Path to the directory containing GLTFDracoWorker.js.
+     * @param {Number} numWorkers Number of workers in the pool.
+     */
+    constructor(workerScriptsPath, numWorkers) {
+
+        this._workers = [];
+        this._jobs = {};
+        this._nextJobId = 0;
+        this._nextWorker = 0;
+
+        const workerScriptPath = workerScriptsPath + (workerScriptsPath.endsWith("/") ? "" : "/") + "GLTFDracoWorker.js";
+
+        for (let i = 0; i < numWorkers; i++) {
+            const worker = new Worker(workerScriptPath, {type: "module"});
+            worker.onmessage = (event) => {
+                this._onMessage(event.data);
+            };
+            worker.onerror = (event) => {
+                this._onWorkerError(event);
+            };
+            this._workers.push(worker);
+        }
+    }
+
+    /**
+     * Decodes a Draco-compressed primitive.
+     *
+     * @param {ArrayBuffer} data The compressed primitive. This is transferred to the worker, so is unusable afterwards.
+     * @param {{String:{id:Number, componentType:Number}}} attributes Map of the glTF attribute names to the Draco unique IDs
+     * of the attributes to decode, along with the glTF component types to decode them as.
+     * @param {Function} ok Callback fired with the decoded primitive, as an object containing a Uint32Array of
+     * ````indices```` (null for point clouds) and a map of ````attributes```` to typed arrays.
+     * @param {Function} error Callback fired on error.
+     */
+    decode(data, attributes, ok, error) {
+        const jobId = this._nextJobId++;
+        this._jobs[jobId] = {
+            ok: ok,
+            error: error
+        };
+        const worker = this._workers[this._nextWorker];
+        this._nextWorker = (this._nextWorker + 1) % this._workers.length;
+        worker.postMessage({
+            jobId: jobId,
+            data: data,
+            attributes: attributes
+        }, [data]);
+    }
+
+    _onMessage(message) {
+        const job = this._jobs[message.jobId];
+        if (!job) {
+            return; // Already failed
+        }
+        delete this._jobs[message.jobId];
+        if (message.error) {
+            job.error(message.error);
+            return;
+        }
+        job.ok({
+            indices: message.indices,
+            attributes: message.attributes
+        });
+    }
+
+    _onWorkerError(event) {
+        const errMsg = "glTF Draco worker error: " + (event.message || event);
+        const jobs = this._jobs;
+        this._jobs = {};
+        for (let jobId in jobs) {
+            if (jobs.hasOwnProperty(jobId)) {
+                jobs[jobId].error(errMsg);
+            }
+        }
+    }
+
+    /**
+     * Terminates the workers in this pool.
+     */
+    destroy() {
+        for (let i = 0, len = this._workers.length; i < len; i++) {
+            this._workers[i].terminate();
+        }
+        this._workers = [];
+        this._jobs = {};
+    }
+}
+
+export {GLTFDracoWorkerPool};
@@ -0,0 +1,260 @@
+import {DracoDecoderModule} from "./draco/draco_decoder.js";
+
+const WEBGL_COMPONENT_TYPES = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+
+const DRACO_DATA_TYPES = { // glTF component type -> Draco data type, Emscripten heap and typed array type
+    5120: ["DT_INT8", "HEAP8", Int8Array],
+    5121: ["DT_UINT8", "HEAPU8", Uint8Array],
+    5122: ["DT_INT16", "HEAP16", Int16Array],
+    5123: ["DT_UINT16", "HEAPU16", Uint16Array],
+    5125: ["DT_UINT32", "HEAPU32", Uint32Array],
+    5126: ["DT_FLOAT32", "HEAPF32", Float32Array]
+};
+
+let draco = null;
+let dracoCallbacks = null;
+
+/**
+ * Decodes the ````KHR_draco_mesh_compression```` primitives of a glTF, using the Draco Web workers of the given {@link GLTFLoaderPlugin},
+ * or on the main thread when the plugin has no workers.
+ *
+ * Each decoded array is attached to the accessor it belongs to, as the accessor's ````_typedArray````, where the glTF loaders
+ * will find it instead of reading the accessor's buffer view. Expects the buffer views to be loaded.
+ *
+ * @private
+ */
+function decodeDracoPrimitives(plugin, json, ok, error) {
+
+    const primitives = getDracoPrimitives(json);
+
+    if (primitives.length === 0) {
+        ok();
+        return;
+    }
+
+    const workerPool = plugin._getDracoWorkerPool();
+
+    if (!workerPool) {
+        loadDracoDecoder(function (draco) {
+            for (let i = 0, len = primitives.length; i < len; i++) {
+                const primitiveInfo = primitives[i];
+                const dracoInfo = primitiveInfo.extensions["KHR_draco_mesh_compression"];
+                const bufferViewInfo = json.bufferViews[dracoInfo.bufferView];
+                if (!bufferViewInfo || !bufferViewInfo._buffer) {
+                    error("Buffer view not found for Draco-compressed primitive: " + dracoInfo.bufferView);
+                    return;
+                }
+                let decoded;
+                try {
+                    decoded = decodeDracoPrimitive(draco, new Int8Array(bufferViewInfo._buffer), getAttributes(json, primitiveInfo));
+                } catch (e) {
+                    error("Failed to decode Draco primitive: " + e);
+                    return;
+                }
+                setDecodedArrays(json, primitiveInfo, decoded);
+            }
+            ok();
+        });
+        return;
+    }
+
+    let numRemaining = primitives.length;
+    let failed = false;
+
+    for (let i = 0, len = primitives.length; i < len; i++) {
+
+        const primitiveInfo = primitives[i];
+        const dracoInfo = primitiveInfo.extensions["KHR_draco_mesh_compression"];
+        const bufferViewInfo = json.bufferViews[dracoInfo.bufferView];
+
+        if (!bufferViewInfo || !bufferViewInfo._buffer) {
+            failed = true;
+            error("Buffer view not found for Draco-compressed primitive: " + dracoInfo.bufferView);
+            return;
+        }
+
+        workerPool.decode(bufferViewInfo._buffer.slice(0), getAttributes(json, primitiveInfo), (decoded) => { // Copy, since the buffer is transferred to the worker
+                if (failed) {
+                    return;
+                }
+                setDecodedArrays(json, primitiveInfo, decoded);
+                if (--numRemaining === 0) {
+                    ok();
+                }
+            },
+            (errMsg) => {
+                if (!failed) {
+                    failed = true;
+                    error(errMsg);
+                }
+            });
+    }
+}
+
+function getDracoPrimitives(json) {
+    const primitives = [];
+    const meshes = json.meshes;
+    if (meshes) {
+        for (let i = 0, len = meshes.length; i < len; i++) {
+            const primitivesInfo = meshes[i].primitives;
+            if (!primitivesInfo) {
+                continue;
+            }
+            for (let j = 0, lenj = primitivesInfo.length; j < lenj; j++) {
+                const primitiveInfo = primitivesInfo[j];
+                if (primitiveInfo.extensions && primitiveInfo.extensions["KHR_draco_mesh_compression"] && primitiveInfo.attributes) {
+                    primitives.push(primitiveInfo);
+                }
+            }
+        }
+    }
+    return primitives;
+}
+
+function getAttributes(json, primitiveInfo) {
+    const dracoInfo = primitiveInfo.extensions["KHR_draco_mesh_compression"];
+    const attributes = {};
+    for (let name in dracoInfo.attributes) {
+        const accessorIndex = primitiveInfo.attributes[name];
+        if (accessorIndex === undefined || accessorIndex === null) {
+            continue;
+        }
+        attributes[name] = {
+            id: dracoInfo.attributes[name],
+            componentType: json.accessors[accessorIndex].componentType
+        };
+    }
+    return attributes;
+}
+
+function setDecodedArrays(json, primitiveInfo, decoded) {
+    const indicesIndex = primitiveInfo.indices;
+    if (decoded.indices && indicesIndex !== null && indicesIndex !== undefined) {
+        const accessorInfo = json.accessors[indicesIndex];
+        const TypedArray = WEBGL_COMPONENT_TYPES[accessorInfo.componentType] || Uint32Array;
+        accessorInfo._typedArray = (decoded.indices instanceof TypedArray) ? decoded.indices : new TypedArray(decoded.indices);
+    }
+    for (let name in decoded.attributes) {
+        const accessorInfo = json.accessors[primitiveInfo.attributes[name]];
+        accessorInfo._typedArray = decoded.attributes[name];
+    }
+}
+
+/**
+ * Fires the given callback with the bundled Draco decoder module, which is created on first use.
+ *
+ * @private
+ */
+function loadDracoDecoder(ok) {
+    if (draco) {
+        ok(draco);
+        return;
+    }
+    if (dracoCallbacks) {
+        dracoCallbacks.push(ok);
+        return;
+    }
+    dracoCallbacks = [ok];
+    DracoDecoderModule({
+        onModuleLoaded: function (module) {
+            const callbacks = dracoCallbacks;
+            draco = module;
+            dracoCallbacks = null;
+            for (let i = 0, len = callbacks.length; i < len; i++) {
+                callbacks[i](draco);
+            }
+        }
+    });
+}
+
+/**
+ * Decodes a Draco-compressed primitive with the given Draco decoder module.
+ *
+ * @param {*} draco The Draco decoder module.
+ * @param {Int8Array} data The compressed primitive.
+ * @param {{String:{id:Number, componentType:Number}}} attributes Map of the glTF attribute names to the Draco unique IDs
+ * of the attributes to decode, along with the glTF component types to decode them as.
+ * @returns {{indices:Uint32Array, attributes:{String:*}}} The decoded indices (null for point clouds) and attribute arrays.
+ * @private
+ */
+function decodeDracoPrimitive(draco, data, attributes) {
+
+    const buffer = new draco.DecoderBuffer();
+    buffer.Init(data, data.byteLength);
+
+    const decoder = new draco.Decoder();
+    const geometryType = decoder.GetEncodedGeometryType(buffer);
+
+    let geometry;
+    let status;
+
+    if (geometryType === draco.TRIANGULAR_MESH) {
+        geometry = new draco.Mesh();
+        status = decoder.DecodeBufferToMesh(buffer, geometry);
+    } else if (geometryType === draco.POINT_CLOUD) {
+        geometry = new draco.PointCloud();
+        status = decoder.DecodeBufferToPointCloud(buffer, geometry);
+    } else {
+        draco.destroy(decoder);
+        draco.destroy(buffer);
+        throw "unexpected geometry type: " + geometryType;
+    }
+
+    try {
+
+        if (!status.ok() || geometry.ptr === 0) {
+            throw status.error_msg();
+        }
+
+        const result = {
+            indices: null,
+            attributes: {}
+        };
+
+        if (geometryType === draco.TRIANGULAR_MESH) {
+            const numIndices = geometry.num_faces() * 3;
+            const byteLength = numIndices * 4;
+            const ptr = draco._malloc(byteLength);
+            decoder.GetTrianglesUInt32Array(geometry, byteLength, ptr);
+            result.indices = new Uint32Array(draco.HEAPU32.buffer, ptr, numIndices).slice();
+            draco._free(ptr);
+        }
+
+        const numPoints = geometry.num_points();
+
+        for (let name in attributes) {
+            const attributeInfo = attributes[name];
+            const dataType = DRACO_DATA_TYPES[attributeInfo.componentType];
+            if (!dataType) {
+                throw "unsupported component type for attribute " + name + ": " + attributeInfo.componentType;
+            }
+            const attribute = decoder.GetAttributeByUniqueId(geometry, attributeInfo.id);
+            if (!attribute || attribute.ptr === 0) {
+                throw "attribute not found: " + name;
+            }
+            const TypedArray = dataType[2];
+            const numValues = numPoints * attribute.num_components();
+            const byteLength = numValues * TypedArray.BYTES_PER_ELEMENT;
+            const ptr = draco._malloc(byteLength);
+            decoder.GetAttributeDataArrayForAllPoints(geometry, attribute, draco[dataType[0]], byteLength, ptr);
+            result.attributes[name] = new TypedArray(draco[dataType[1]].buffer, ptr, numValues).slice();
+            draco._free(ptr);
+        }
+
+        return result;
+
+    } finally {
+        draco.destroy(geometry);
+        draco.destroy(decoder);
+        draco.destroy(buffer);
+    }
+}
+
+export {decodeDracoPrimitives, decodeDracoPrimitive, loadDracoDecoder};
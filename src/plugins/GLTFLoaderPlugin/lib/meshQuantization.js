@@ -0,0 +1,96 @@
+import {math} from "../../../viewer/scene/math/math.js";
+
+const FLOAT = 5126;
+
+/**
+ * Divisors that map the values of normalized integer accessors into range ````[-1..1]```` or ````[0..1]````.
+ * @private
+ */
+const NORMALIZE_DIVISORS = {
+    5120: 127,      // BYTE
+    5121: 255,      // UNSIGNED_BYTE
+    5122: 32767,    // SHORT
+    5123: 65535     // UNSIGNED_SHORT
+};
+
+/**
+ * Offsets that shift the values of integer accessors into the unsigned range of a Uint16Array.
+ * @private
+ */
+const UNSIGNED_OFFSETS = {
+    5120: 128,
+    5121: 0,
+    5122: 32768,
+    5123: 0
+};
+
+/**
+ * Gets whether the given glTF accessor holds quantized integer vertex attributes, as allowed by
+ * the ````KHR_mesh_quantization```` extension.
+ *
+ * @private
+ */
+function isQuantized(accessorInfo) {
+    return accessorInfo.componentType !== FLOAT && NORMALIZE_DIVISORS[accessorInfo.componentType] !== undefined;
+}
+
+/**
+ * Converts the values of a quantized glTF accessor to floats, applying normalization when the accessor is normalized.
+ *
+ * Returns the array unchanged when it already holds floats.
+ *
+ * @private
+ */
+function dequantize(accessorInfo, array) {
+    if (!isQuantized(accessorInfo)) {
+        return array;
+    }
+    const result = new Float32Array(array.length);
+    if (accessorInfo.normalized) {
+        const divisor = NORMALIZE_DIVISORS[accessorInfo.componentType];
+        for (let i = 0, len = array.length; i < len; i++) {
+            result[i] = Math.max(array[i] / divisor, -1.0);
+        }
+    } else {
+        for (let i = 0, len = array.length; i < len; i++) {
+            result[i] = array[i];
+        }
+    }
+    return result;
+}
+
+/**
+ * Converts the values of a quantized glTF ````POSITION```` accessor into the unsigned 16-bit positions and
+ * decode matrix that {@link PerformanceModel} accepts as pre-compressed geometry, without losing precision.
+ *
+ * Returns ````null```` when the accessor holds floats.
+ *
+ * @private
+ */
+function getPrecompressedPositions(accessorInfo, array) {
+    if (!isQuantized(accessorInfo)) {
+        return null;
+    }
+    const componentType = accessorInfo.componentType;
+    const offset = UNSIGNED_OFFSETS[componentType];
+    const divisor = accessorInfo.normalized ? NORMALIZE_DIVISORS[componentType] : 1;
+    const minValue = -divisor; // Normalized signed values clamp at -1
+    const positions = new Uint16Array(array.length);
+    for (let i = 0, len = array.length; i < len; i++) {
+        positions[i] = ((accessorInfo.normalized && offset > 0) ? Math.max(array[i], minValue) : array[i]) + offset;
+    }
+    const scale = 1 / divisor;
+    const positionsDecodeMatrix = math.identityMat4();
+    positionsDecodeMatrix[0] = scale;
+    positionsDecodeMatrix[5] = scale;
+    positionsDecodeMatrix[10] = scale;
+    positionsDecodeMatrix[12] = -offset * scale;
+    positionsDecodeMatrix[13] = -offset * scale;
+    positionsDecodeMatrix[14] = -offset * scale;
+    return {
+        positions: positions,
+        positionsDecodeMatrix: positionsDecodeMatrix
+    };
+}
+
+export {isQuantized, dequantize, getPrecompressedPositions};
@@ -0,0 +1,90 @@
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_TYPE_JSON = 0x4E4F534A; // "JSON"
+const GLB_CHUNK_TYPE_BIN = 0x004E4942; // "BIN"
+
+const utf8Decoder = (typeof TextDecoder !== "undefined") ? new TextDecoder("utf-8") : null;
+
+/**
+ * Gets whether the given source path identifies a binary glTF (*````.glb````*) file.
+ *
+ * @private
+ */
+function isGLBSrc(src) {
+    return (typeof src === "string") && /\.glb(\?.*)?$/i.test(src);
+}
+
+/**
+ * Gets whether the given ArrayBuffer contains a binary glTF (*````.glb````*) file.
+ *
+ * @private
+ */
+function isGLB(arrayBuffer) {
+    return (arrayBuffer instanceof ArrayBuffer) && (arrayBuffer.byteLength >= GLB_HEADER_LENGTH) && (new DataView(arrayBuffer).getUint32(0, true) === GLB_MAGIC);
+}
+
+/**
+ * Parses a binary glTF (*````.glb````*) file into its glTF JSON.
+ *
+ * The binary chunk, if any, is attached to the JSON's first buffer, which has no URI in a *````.glb````* file, so that
+ * the glTF loaders can find it there instead of loading it.
+ *
+ * Throws an error if the file is not valid binary glTF 2.0.
+ *
+ * @private
+ */
+function parseGLB(arrayBuffer) {
+
+    const dataView = new DataView(arrayBuffer);
+
+    if (dataView.getUint32(0, true) !== GLB_MAGIC) {
+        throw "Not a binary glTF (.glb) file";
+    }
+
+    const version = dataView.getUint32(4, true);
+
+    if (version !== 2) {
+        throw "Unsupported binary glTF (.glb) version: " + version + " - only version 2 is supported";
+    }
+
+    const length = Math.min(dataView.getUint32(8, true), arrayBuffer.byteLength);
+
+    let json = null;
+    let binary = null;
+    let byteOffset = GLB_HEADER_LENGTH;
+
+    while (byteOffset < length) {
+        const chunkLength = dataView.getUint32(byteOffset, true);
+        const chunkType = dataView.getUint32(byteOffset + 4, true);
+        const chunkStart = byteOffset + 8;
+        if (chunkType === GLB_CHUNK_TYPE_JSON) {
+            json = JSON.parse(decodeText(new Uint8Array(arrayBuffer, chunkStart, chunkLength)));
+        } else if (chunkType === GLB_CHUNK_TYPE_BIN && !binary) {
+            binary = arrayBuffer.slice(chunkStart, chunkStart + chunkLength);
+        } // Ignore unknown chunk types, as required by the spec
+        byteOffset = chunkStart + chunkLength;
+    }
+
+    if (!json) {
+        throw "Binary glTF (.glb) file has no JSON chunk";
+    }
+
+    if (binary && json.buffers && json.buffers.length > 0 && !json.buffers[0].uri) {
+        json.buffers[0]._buffer = binary;
+    }
+
+    return json;
+}
+
+function decodeText(array) {
+    if (utf8Decoder) {
+        return utf8Decoder.decode(array);
+    }
+    let s = '';
+    for (let i = 0, len = array.length; i < len; i++) {
+        s += String.fromCharCode(array[i]);
+    }
+    return decodeURIComponent(escape(s));
+}
+
+export {isGLBSrc, isGLB, parseGLB};
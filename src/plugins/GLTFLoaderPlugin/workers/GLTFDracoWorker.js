@@ -0,0 +1,41 @@
+/*
+
+ Module Web worker that decodes the KHR_draco_mesh_compression primitives of glTF files for GLTFLoaderPlugin.
+
+ Each message contains a single compressed primitive, which we decode with the bundled Draco decoder and transfer back
+ to the main thread.
+
+ */
+
+/* eslint-env worker */
+
+import {decodeDracoPrimitive, loadDracoDecoder} from "../lib/decodeDracoPrimitives.js";
+
+self.onmessage = function (event) {
+
+    const message = event.data;
+    const jobId = message.jobId;
+
+    loadDracoDecoder(function (draco) {
+        try {
+            const decoded = decodeDracoPrimitive(draco, new Int8Array(message.data), message.attributes);
+            const transferables = [];
+            if (decoded.indices) {
+                transferables.push(decoded.indices.buffer);
+            }
+            for (let name in decoded.attributes) {
+                transferables.push(decoded.attributes[name].buffer);
+            }
+            self.postMessage({
+                jobId: jobId,
+                indices: decoded.indices,
+                attributes: decoded.attributes
+            }, transferables);
+        } catch (e) {
+            self.postMessage({
+                jobId: jobId,
+                error: "Failed to decode Draco primitive: " + e
+            });
+        }
+    });
+};
@@ -0,0 +1,687 @@
+import {utils} from "../../viewer/scene/utils.js"
+import {math} from "../../viewer/scene/math/math.js";
+import {PerformanceModel} from "../../viewer/scene/PerformanceModel/PerformanceModel.js";
+import {Plugin} from "../../viewer/Plugin.js";
+import {IFCObjectDefaults} from "../../viewer/metadata/IFCObjectDefaults.js";
+import {defaultMaterials} from "../BIMServerLoaderPlugin/lib/defaultMaterials.js";
+import {IFCDefaultDataSource} from "./IFCDefaultDataSource.js";
+import {parseSTEP} from "./lib/parseSTEP.js";
+import {IFCSchema} from "./lib/IFCSchema.js";
+import {getIFCUnits} from "./lib/getIFCUnits.js";
+import {buildIFCMetaModelData} from "./lib/buildIFCMetaModelData.js";
+import {IFCGeometryBuilder} from "./lib/IFCGeometryBuilder.js";
+
+/**
+ * Representation types that don't describe the solid shape of a product.
+ * @private
+ */
+const NON_BODY_REPRESENTATIONS = {
+    Axis: true,
+    FootPrint: true,
+    Box: true,
+    Annotation: true,
+    Profile: true
+};
+
+/**
+ * {@link Viewer} plugin that loads models directly from IFC STEP (*````.ifc````*) files.
+ *
+ * ## Overview
+ *
+ * * Loads IFC2x3 and IFC4 STEP files without converting them to *````.xkt````* or glTF first.
+ * * Creates a {@link MetaModel} hierarchy and {@link PropertySet}s from the IFC elements, the same way {@link BIMServerLoaderPlugin} does.
+ * * Triangulates common geometry representations into a {@link PerformanceModel} (see below).
+ * * Reuses geometry for representation maps that are shared by many products, such as windows and doors.
+ * * Colors objects with their IFC surface styles, falling back on default colors for their IFC types.
+ * * Set the position, scale and rotation of each model as you load it.
+ * * Filter which IFC types get loaded.
+ * * Configure initial default appearances for IFC types.
+ * * Set a custom data source for *````.ifc````* files.
+ *
+ * ## Supported geometry
+ *
+ * IFCLoaderPlugin triangulates these geometry representations:
+ *
+ * * IfcExtrudedAreaSolid, with rectangle, circle, ellipse and arbitrary closed profiles (with or without voids),
+ * * IfcFacetedBrep, IfcShellBasedSurfaceModel and IfcFaceBasedSurfaceModel,
+ * * IfcTriangulatedFaceSet and IfcPolygonalFaceSet (IFC4),
+ * * IfcMappedItem, and
+ * * IfcBooleanResult and IfcBooleanClippingResult, where the second operand is an IfcHalfSpaceSolid, which is typically
+ * how walls are clipped beneath sloped roofs. Polygonal bounded half-spaces are treated as unbounded.
+ *
+ * IFCLoaderPlugin does not cut openings out of walls and slabs, and ignores other boolean operations and
+ * representation types, such as swept disks and NURBS surfaces, logging a warning for each unsupported type it finds.
+ * For complete geometry, convert the model to *````.xkt````* and load it with {@link XKTLoaderPlugin}.
+ *
+ * ## Scene representation
+ *
+ * When loading a model, IFCLoaderPlugin creates an {@link Entity} that represents the model, which
+ * will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id}
+ * in {@link Scene#models}. The IFCLoaderPlugin also creates an {@link Entity} for each IFC product that has geometry.
+ * Those Entities will have {@link Entity#isObject} set ````true```` and will be registered
+ * by {@link Entity#id} in {@link Scene#objects}.
+ *
+ * Each object {@link Entity} and its {@link MetaObject} have the IFC GlobalId of the product as their ID.
+ *
+ * Positions are converted to meters, according to the length unit of the IfcProject.
+ *
+ * ## Usage
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {IFCLoaderPlugin} from "../src/plugins/IFCLoaderPlugin/IFCLoaderPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const ifcLoader = new IFCLoaderPlugin(viewer);
+ *
+ * const model = ifcLoader.load({
+ *     id: "myModel",
+ *     src: "./models/ifc/Duplex.ifc",
+ *     edges: true
+ * });
+ *
+ * model.on("loaded", () => {
+ *     viewer.cameraFlight.flyTo(model);
+ *
+ *     const metaObject = viewer.metaScene.metaObjects["2O2Fr$t4X7Zf8NOew3FNr2"];
+ *     const propertySet = metaObject.getPropertySet("Pset_WallCommon");
+ * });
+ * ````
+ *
+ * ## Configuring a custom data source
+ *
+ * By default, IFCLoaderPlugin will load *````.ifc````* files over HTTP.
+ *
+ * In the example below, we'll customize the way IFCLoaderPlugin loads the files by configuring it with our own data source
+ * object. For simplicity, our custom data source example also uses HTTP, using a couple of xeokit utility functions.
+ *
+ * ````javascript
+ * import {utils} from "./../src/viewer/scene/utils.js";
+ *
+ * class MyDataSource {
+ *
+ *      constructor() {
+ *      }
+ *
+ *      // Gets the contents of the given .ifc file as a string
+ *      getIFC(src, ok, error) {
+ *          utils.loadArraybuffer(src,
+ *              (arraybuffer) => {
+ *                  ok(new TextDecoder("utf-8").decode(arraybuffer));
+ *              },
+ *              function (errMsg) {
+ *                  error(errMsg);
+ *              });
+ *      }
+ * }
+ *
+ * const ifcLoader = new IFCLoaderPlugin(viewer, {
+ *       dataSource: new MyDataSource()
+ * });
+ * ````
+ *
+ * @class IFCLoaderPlugin
+ */
+class IFCLoaderPlugin extends Plugin {
+
+    /**
+     * @constructor
+     *
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="IFCLoader"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {Object} [cfg.objectDefaults] Map of initial default states for each loaded {@link Entity} that represents an object.  Default value is {@link IFCObjectDefaults}.
+     * @param {Object} [cfg.dataSource] A custom data source through which the IFCLoaderPlugin can load *````.ifc````* files. Defaults to an instance of {@link IFCDefaultDataSource}, which loads over HTTP.
+     * @param {String[]} [cfg.includeTypes] When loading, only loads objects that have {@link MetaObject}s with {@link MetaObject#type} values in this list.
+     * @param {String[]} [cfg.excludeTypes] When loading, never loads objects that have {@link MetaObject}s with {@link MetaObject#type} values in this list.
+     * @param {Boolean} [cfg.excludeUnclassifiedObjects=false] When this is ````true````, will only load {@link Entity}s that have {@link MetaObject}s (that are not excluded).
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("IFCLoader", viewer, cfg);
+
+        this.dataSource = cfg.dataSource;
+        this.objectDefaults = cfg.objectDefaults;
+        this.includeTypes = cfg.includeTypes;
+        this.excludeTypes = cfg.excludeTypes;
+        this.excludeUnclassifiedObjects = cfg.excludeUnclassifiedObjects;
+    }
+
+    /**
+     * Sets a custom data source through which the IFCLoaderPlugin can load *````.ifc````* files.
+     *
+     * Default value is {@link IFCDefaultDataSource}, which loads via HTTP.
+     *
+     * @type {Object}
+     */
+    set dataSource(value) {
+        this._dataSource = value || new IFCDefaultDataSource();
+    }
+
+    /**
+     * Gets the custom data source through which the IFCLoaderPlugin can load *````.ifc````* files.
+     *
+     * Default value is {@link IFCDefaultDataSource}, which loads via HTTP.
+     *
+     * @type {Object}
+     */
+    get dataSource() {
+        return this._dataSource;
+    }
+
+    /**
+     * Sets map of initial default states for each loaded {@link Entity} that represents an object.
+     *
+     * Default value is {@link IFCObjectDefaults}.
+     *
+     * @type {{String: Object}}
+     */
+    set objectDefaults(value) {
+        this._objectDefaults = value || IFCObjectDefaults;
+    }
+
+    /**
+     * Gets map of initial default states for each loaded {@link Entity} that represents an object.
+     *
+     * Default value is {@link IFCObjectDefaults}.
+     *
+     * @type {{String: Object}}
+     */
+    get objectDefaults() {
+        return this._objectDefaults;
+    }
+
+    /**
+     * Sets the whitelist of the IFC types loaded by this IFCLoaderPlugin.
+     *
+     * Causes this IFCLoaderPlugin to only load objects whose types are in this list.
+     *
+     * Default value is ````undefined````.
+     *
+     * @type {String[]}
+     */
+    set includeTypes(value) {
+        this._includeTypes = value;
+    }
+
+    /**
+     * Gets the whitelist of the IFC types loaded by this IFCLoaderPlugin.
+     *
+     * Causes this IFCLoaderPlugin to only load objects whose types are in this list.
+     *
+     * Default value is ````undefined````.
+     *
+     * @type {String[]}
+     */
+    get includeTypes() {
+        return this._includeTypes;
+    }
+
+    /**
+     * Sets the blacklist of IFC types that are never loaded by this IFCLoaderPlugin.
+     *
+     * Causes this IFCLoaderPlugin to **not** load objects whose types are in this list.
+     *
+     * Default value is ````undefined````.
+     *
+     * @type {String[]}
+     */
+    set excludeTypes(value) {
+        this._excludeTypes = value;
+    }
+
+    /**
+     * Gets the blacklist of IFC types that are never loaded by this IFCLoaderPlugin.
+     *
+     * Causes this IFCLoaderPlugin to **not** load objects whose types are in this list.
+     *
+     * Default value is ````undefined````.
+     *
+     * @type {String[]}
+     */
+    get excludeTypes() {
+        return this._excludeTypes;
+    }
+
+    /**
+     * Sets whether we load objects that don't have IFC types.
+     *
+     * When this is ````true````, IFCLoaderPlugin will not load objects that don't have IFC types.
+     *
+     * Default value is ````false````.
+     *
+     * @type {Boolean}
+     */
+    set excludeUnclassifiedObjects(value) {
+        this._excludeUnclassifiedObjects = !!value;
+    }
+
+    /**
+     * Gets whether we load objects that don't have IFC types.
+     *
+     * When this is ````true````, IFCLoaderPlugin will not load objects that don't have IFC types.
+     *
+     * Default value is ````false````.
+     *
+     * @type {Boolean}
+     */
+    get excludeUnclassifiedObjects() {
+        return this._excludeUnclassifiedObjects;
+    }
+
+    /**
+     * Loads an *````.ifc````* model into this IFCLoaderPlugin's {@link Viewer}.
+     *
+     * @param {*} params Loading parameters.
+     * @param {String} [params.id] ID to assign to the root {@link Entity#id}, unique among all components in the Viewer's {@link Scene}, generated automatically by default.
+     * @param {String} [params.src] Path to an *````.ifc````* file, as an alternative to the ````ifc```` parameter.
+     * @param {String} [params.ifc] The *````.ifc````* file contents, as an alternative to the ````src```` parameter.
+     * @param {{String:Object}} [params.objectDefaults] Map of initial default states for each loaded {@link Entity} that represents an object. Default value is {@link IFCObjectDefaults}.
+     * @param {String[]} [params.includeTypes] When loading, only loads objects that have {@link MetaObject}s with {@link MetaObject#type} values in this list.
+     * @param {String[]} [params.excludeTypes] When loading, never loads objects that have {@link MetaObject}s with {@link MetaObject#type} values in this list.
+     * @param {Boolean} [params.edges=false] Whether or not xeokit renders the model with edges emphasized.
+     * @param {Number[]} [params.position=[0,0,0]] The model World-space 3D position.
+     * @param {Number[]} [params.scale=[1,1,1]] The model's World-space scale.
+     * @param {Number[]} [params.rotation=[0,0,0]] The model's World-space rotation, as Euler angles given in degrees, for each of the X, Y and Z axis.
+     * @param {Number[]} [params.matrix=[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1]] The model's world transform matrix. Overrides the position, scale and rotation parameters.
+     * @param {Boolean} [params.saoEnabled=true] Indicates if Scalable Ambient Obscurance (SAO) will apply to the model. SAO is configured by the Scene's {@link SAO} component.
+     * @param {Boolean} [params.backfaces=false] Indicates if backfaces are visible on the model. Making this ````true```` will reduce rendering performance.
+     * @param {Boolean} [params.excludeUnclassifiedObjects=false] When this is ````true````, will only load {@link Entity}s that have {@link MetaObject}s (that are not excluded).
+     * @returns {Entity} Entity representing the model, which will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#models}.
+     */
+    load(params = {}) {
+
+        if (params.id && this.viewer.scene.components[params.id]) {
+            this.error("Component with this ID already exists in viewer: " + params.id + " - will autogenerate this ID");
+            delete params.id;
+        }
+
+        const performanceModel = new PerformanceModel(this.viewer.scene, utils.apply(params, {
+            isModel: true
+        }));
+
+        const modelId = performanceModel.id;  // In case ID was auto-generated
+
+        if (!params.src && !params.ifc) {
+            this.error("load() param expected: src or ifc");
+            return performanceModel; // Return new empty model
+        }
+
+        const options = {};
+
+        const includeTypes = params.includeTypes || this._includeTypes;
+        const excludeTypes = params.excludeTypes || this._excludeTypes;
+        const objectDefaults = params.objectDefaults || this._objectDefaults;
+
+        if (includeTypes) {
+            options.includeTypes = includeTypes;
+            options.includeTypesMap = {};
+            for (let i = 0, len = includeTypes.length; i < len; i++) {
+                options.includeTypesMap[includeTypes[i]] = true;
+            }
+        }
+
+        if (excludeTypes) {
+            options.excludeTypes = excludeTypes;
+            options.excludeTypesMap = {};
+            for (let i = 0, len = excludeTypes.length; i < len; i++) {
+                options.excludeTypesMap[excludeTypes[i]] = true;
+            }
+        }
+
+        if (objectDefaults) {
+            options.objectDefaults = objectDefaults;
+        }
+
+        options.excludeUnclassifiedObjects = (params.excludeUnclassifiedObjects !== undefined) ? (!!params.excludeUnclassifiedObjects) : this._excludeUnclassifiedObjects;
+
+        performanceModel.once("destroyed", () => {
+            this.viewer.metaScene.destroyMetaModel(modelId);
+        });
+
+        if (params.src) {
+            this._loadModel(params.src, params, options, performanceModel);
+        } else {
+            this._parseModel(params.ifc, params, options, performanceModel);
+        }
+
+        return performanceModel;
+    }
+
+    _loadModel(src, params, options, performanceModel) {
+
+        const spinner = this.viewer.scene.canvas.spinner;
+
+        spinner.processes++;
+
+        this._dataSource.getIFC(src, (text) => {
+                this._parseModel(text, params, options, performanceModel);
+                spinner.processes--;
+            },
+            (errMsg) => {
+                spinner.processes--;
+                this.error(errMsg);
+                performanceModel.fire("error", errMsg);
+            });
+    }
+
+    _parseModel(text, params, options, performanceModel) {
+
+        if (performanceModel.destroyed) {
+            return;
+        }
+
+        try {
+            this._buildModel(parseSTEP(text), options, performanceModel);
+        } catch (e) { // Malformed or partial file
+            this.error("Failed to load .ifc file: " + e);
+            performanceModel.fire("error", e);
+            return;
+        }
+
+        performanceModel.scene.once("tick", () => {
+            performanceModel.scene.fire("modelLoaded", performanceModel.id); // FIXME: Assumes listeners know order of these two events
+            performanceModel.fire("loaded", true, false); // Don't forget the event, for late subscribers
+        });
+    }
+
+    _buildModel(step, options, performanceModel) {
+
+        const entities = step.entities;
+        const schema = new IFCSchema(step.schema);
+        const units = getIFCUnits(entities);
+
+        const metaModelData = buildIFCMetaModelData(entities, schema, units);
+
+        this.viewer.metaScene.createMetaModel(performanceModel.id, metaModelData, {
+            includeTypes: options.includeTypes,
+            excludeTypes: options.excludeTypes
+        });
+
+        const geometryBuilder = new IFCGeometryBuilder(entities, units.angleScale, (msg) => this.warn(msg));
+        const styles = getItemStyles(entities);
+        const mapUsageCounts = getRepresentationMapUsageCounts(entities);
+        const unitsMatrix = math.scalingMat4v([units.lengthScale, units.lengthScale, units.lengthScale], math.identityMat4(new Float64Array(16)));
+        const createdGeometries = {};
+
+        for (let id in entities) {
+
+            const entity = entities[id];
+
+            if (!entity.args[6] || !schema.isSubtypeOf(entity.type, "IfcProduct")) {
+                continue;
+            }
+
+            const entityId = entity.args[0];
+            const entityDefaults = getEntityDefaults(this.viewer, options, entityId, performanceModel);
+
+            if (!entityDefaults) {
+                continue;
+            }
+
+            const representationItems = getBodyItems(entities, entity.args[6]);
+
+            if (representationItems.length === 0) {
+                continue;
+            }
+
+            const placementMatrix = geometryBuilder.getPlacementMatrix(entity.args[5]);
+            const matrix = math.mulMat4(unitsMatrix, placementMatrix, new Float64Array(16));
+            const typeMaterial = defaultMaterials[schema.getTypeName(entity.type)] || defaultMaterials["DEFAULT"];
+            const meshIds = [];
+
+            const createMesh = (meshCfg, style) => {
+                const meshId = entityId + "." + meshIds.length;
+                meshCfg.id = meshId;
+                meshCfg.color = entityDefaults.meshDefaults.color || (style ? style.color : typeMaterial);
+                meshCfg.opacity = (entityDefaults.meshDefaults.opacity !== undefined) ? entityDefaults.meshDefaults.opacity : (style ? style.opacity : typeMaterial[3]);
+                performanceModel.createMesh(meshCfg);
+                meshIds.push(meshId);
+            };
+
+            for (let i = 0, len = representationItems.length; i < len; i++) {
+
+                const item = representationItems[i];
+
+                if (item.type === "IFCMAPPEDITEM" && mapUsageCounts[item.args[0].ref] > 1) { // Shared representation map, so reuse its geometries
+
+                    const mapId = item.args[0].ref;
+                    const mappedItemRefs = entities[entities[mapId].args[1].ref].args[3];
+                    const mappedMatrix = math.mulMat4(matrix, geometryBuilder.getMappedItemMatrix(item), new Float64Array(16));
+
+                    for (let j = 0, lenj = mappedItemRefs.length; j < lenj; j++) {
+                        const geometryId = "representationMap." + mapId + "." + j;
+                        let created = createdGeometries[geometryId];
+                        if (created === undefined) {
+                            const mesh = geometryBuilder.buildItem(mappedItemRefs[j]);
+                            if (mesh) {
+                                performanceModel.createGeometry({
+                                    id: geometryId,
+                                    primitive: "triangles",
+                                    positions: mesh.positions,
+                                    normals: mesh.normals,
+                                    indices: mesh.indices
+                                });
+                            }
+                            created = createdGeometries[geometryId] = !!mesh;
+                        }
+                        if (created) {
+                            createMesh({
+                                geometryId: geometryId,
+                                matrix: mappedMatrix
+                            }, styles[mappedItemRefs[j].ref] || styles[item.id]);
+                        }
+                    }
+
+                } else {
+
+                    const mesh = geometryBuilder.buildItem({ref: item.id});
+
+                    if (mesh) {
+                        createMesh({
+                            primitive: "triangles",
+                            positions: mesh.positions,
+                            normals: mesh.normals,
+                            indices: mesh.indices,
+                            matrix: matrix
+                        }, getItemStyle(entities, styles, item));
+                    }
+                }
+            }
+
+            if (meshIds.length > 0) {
+                performanceModel.createEntity(utils.apply(entityDefaults.entityDefaults, {
+                    id: entityId,
+                    isObject: true,
+                    meshIds: meshIds
+                }));
+            }
+        }
+
+        performanceModel.finalize();
+    }
+}
+
+/**
+ * Gets the representation items that describe the body of a product.
+ * @private
+ */
+function getBodyItems(entities, productShapeRef) {
+    const productShape = entities[productShapeRef.ref];
+    if (!productShape || !productShape.args[2]) {
+        return [];
+    }
+    const representations = productShape.args[2].map(ref => entities[ref.ref]).filter(representation => !!representation);
+    let bodyRepresentations = representations.filter(representation => representation.args[1] === "Body");
+    if (bodyRepresentations.length === 0) {
+        bodyRepresentations = representations.filter(representation => !NON_BODY_REPRESENTATIONS[representation.args[1]] && !NON_BODY_REPRESENTATIONS[representation.args[2]]);
+    }
+    const items = [];
+    for (let i = 0, len = bodyRepresentations.length; i < len; i++) {
+        const itemRefs = bodyRepresentations[i].args[3] || [];
+        for (let j = 0, lenj = itemRefs.length; j < lenj; j++) {
+            const item = entities[itemRefs[j].ref];
+            if (item) {
+                items.push(item);
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * Counts how many times each IfcRepresentationMap is mapped, so that we can reuse geometries for the maps that are used more than once.
+ * @private
+ */
+function getRepresentationMapUsageCounts(entities) {
+    const counts = {};
+    for (let id in entities) {
+        const entity = entities[id];
+        if (entity.type === "IFCMAPPEDITEM" && entity.args[0]) {
+            const mapId = entity.args[0].ref;
+            counts[mapId] = (counts[mapId] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Gets the colors and opacities of styled representation items, from IfcStyledItems.
+ * @private
+ */
+function getItemStyles(entities) {
+
+    const styles = {};
+
+    for (let id in entities) {
+
+        const styledItem = entities[id];
+
+        if (styledItem.type !== "IFCSTYLEDITEM" || !styledItem.args[0]) {
+            continue;
+        }
+
+        const style = findSurfaceStyle(entities, styledItem.args[1]);
+
+        if (style) {
+            styles[styledItem.args[0].ref] = style;
+        }
+    }
+
+    return styles;
+}
+
+function findSurfaceStyle(entities, styleRefs) {
+    if (!styleRefs) {
+        return null;
+    }
+    for (let i = 0, len = styleRefs.length; i < len; i++) {
+        const style = entities[styleRefs[i].ref];
+        if (!style) {
+            continue;
+        }
+        if (style.type === "IFCPRESENTATIONSTYLEASSIGNMENT") {
+            const surfaceStyle = findSurfaceStyle(entities, style.args[0]);
+            if (surfaceStyle) {
+                return surfaceStyle;
+            }
+        } else if (style.type === "IFCSURFACESTYLE") {
+            const elements = style.args[2] || [];
+            for (let j = 0, lenj = elements.length; j < lenj; j++) {
+                const element = entities[elements[j].ref];
+                if (element && (element.type === "IFCSURFACESTYLERENDERING" || element.type === "IFCSURFACESTYLESHADING")) {
+                    const colour = element.args[0] ? entities[element.args[0].ref] : null;
+                    if (!colour) {
+                        continue;
+                    }
+                    const transparency = element.args[1] || 0;
+                    return {
+                        color: [colour.args[1], colour.args[2], colour.args[3]],
+                        opacity: 1.0 - transparency
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the style of a representation item, which may be inherited from the items within a mapped item or boolean result.
+ * @private
+ */
+function getItemStyle(entities, styles, item) {
+    if (!item) {
+        return null;
+    }
+    const style = styles[item.id];
+    if (style) {
+        return style;
+    }
+    if (item.type === "IFCMAPPEDITEM") {
+        const representation = entities[entities[item.args[0].ref].args[1].ref];
+        const itemRefs = representation.args[3];
+        for (let i = 0, len = itemRefs.length; i < len; i++) {
+            const mappedItemStyle = getItemStyle(entities, styles, entities[itemRefs[i].ref]);
+            if (mappedItemStyle) {
+                return mappedItemStyle;
+            }
+        }
+    } else if (item.type === "IFCBOOLEANRESULT" || item.type === "IFCBOOLEANCLIPPINGRESULT") {
+        return getItemStyle(entities, styles, entities[item.args[1].ref]);
+    }
+    return null;
+}
+
+/**
+ * Gets the initial states for the Entity and meshes of an object, or null if the object should not be loaded.
+ * @private
+ */
+function getEntityDefaults(viewer, options, entityId, performanceModel) {
+
+    const metaObject = viewer.metaScene.metaObjects[entityId];
+    const entityDefaults = {};
+    const meshDefaults = {};
+
+    if (metaObject) {
+
+        if (options.excludeTypesMap && metaObject.type && options.excludeTypesMap[metaObject.type]) {
+            return null;
+        }
+
+        if (options.includeTypesMap && metaObject.type && (!options.includeTypesMap[metaObject.type])) {
+            return null;
+        }
+
+        const props = options.objectDefaults ? options.objectDefaults[metaObject.type] || options.objectDefaults["DEFAULT"] : null;
+
+        if (props) {
+            if (props.visible === false) {
+                entityDefaults.visible = false;
+            }
+            if (props.pickable === false) {
+                entityDefaults.pickable = false;
+            }
+            if (props.colorize) {
+                meshDefaults.color = props.colorize;
+            }
+            if (props.opacity !== undefined && props.opacity !== null) {
+                meshDefaults.opacity = props.opacity;
+            }
+        }
+    } else {
+        if (options.excludeUnclassifiedObjects && viewer.metaScene.metaModels[performanceModel.id]) {
+            return null;
+        }
+    }
+
+    return {
+        entityDefaults: entityDefaults,
+        meshDefaults: meshDefaults
+    };
+}
+
+export {IFCLoaderPlugin}
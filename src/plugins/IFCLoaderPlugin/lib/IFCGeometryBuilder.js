@@ -0,0 +1,855 @@
+import {math} from "../../../viewer/scene/math/math.js";
+import {triangulatePolygon} from "./triangulatePolygon.js";
+
+const CIRCLE_SEGMENTS = 24;
+
+/**
+ * Builds triangle meshes from the geometric representation items of an IFC model.
+ *
+ * Supports extruded area solids (with rectangle, circle, ellipse and arbitrary profiles), faceted and
+ * shell-based breps, IFC4 triangulated and polygonal face sets, mapped items, and boolean clipping by half-spaces,
+ * which is how walls are typically trimmed beneath roofs. Polygonal bounded half-spaces are treated as unbounded.
+ *
+ * Each mesh is an object containing flat ````positions````, ````normals```` and ````indices```` arrays. Faces are
+ * flat-shaded, so each face has its own vertices.
+ *
+ * Matrices are column-major Float64Arrays, to keep precision for georeferenced models.
+ *
+ * @private
+ */
+class IFCGeometryBuilder {
+
+    /**
+     * @param {*} entities Map of STEP instances, from {@link parseSTEP}.
+     * @param {Number} angleScale Factor that converts plane angles in the model's units to radians.
+     * @param {Function} warn Callback for logging warnings.
+     */
+    constructor(entities, angleScale, warn) {
+        this._entities = entities;
+        this._angleScale = angleScale;
+        this._warn = warn;
+        this._placementMatrices = {};
+        this._warnedTypes = {};
+    }
+
+    /**
+     * Gets the matrix of an IfcObjectPlacement, concatenated with those of the placements it's relative to.
+     */
+    getPlacementMatrix(placementRef) {
+        const placement = this._get(placementRef);
+        if (!placement) {
+            return identityMat4();
+        }
+        const cached = this._placementMatrices[placement.id];
+        if (cached) {
+            return cached;
+        }
+        let matrix;
+        if (placement.type === "IFCLOCALPLACEMENT") {
+            const relativeMatrix = this.getAxis2PlacementMatrix(placement.args[1]);
+            if (placement.args[0]) {
+                matrix = math.mulMat4(this.getPlacementMatrix(placement.args[0]), relativeMatrix, new Float64Array(16));
+            } else {
+                matrix = relativeMatrix;
+            }
+        } else {
+            this._warnUnsupported(placement.type);
+            matrix = identityMat4();
+        }
+        this._placementMatrices[placement.id] = matrix;
+        return matrix;
+    }
+
+    /**
+     * Gets the matrix of an IfcAxis2Placement2D or IfcAxis2Placement3D.
+     */
+    getAxis2PlacementMatrix(placementRef) {
+        const placement = this._get(placementRef);
+        if (!placement) {
+            return identityMat4();
+        }
+        const location = this._getPoint(placement.args[0]);
+        if (placement.type === "IFCAXIS2PLACEMENT2D") {
+            const xAxis = placement.args[1] ? this._getDirection(placement.args[1]) : [1, 0, 0];
+            return axesMat4(xAxis, [-xAxis[1], xAxis[0], 0], [0, 0, 1], location);
+        }
+        const zAxis = placement.args[1] ? this._getDirection(placement.args[1]) : [0, 0, 1];
+        const refDirection = placement.args[2] ? this._getDirection(placement.args[2]) : (Math.abs(zAxis[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]);
+        const xAxis = math.normalizeVec3(math.subVec3(refDirection, math.mulVec3Scalar(zAxis, math.dotVec3(refDirection, zAxis), [0, 0, 0]), [0, 0, 0]), [0, 0, 0]);
+        const yAxis = math.cross3Vec3(zAxis, xAxis, [0, 0, 0]);
+        return axesMat4(xAxis, yAxis, zAxis, location);
+    }
+
+    /**
+     * Gets the matrix of an IfcCartesianTransformationOperator, as used by IfcMappedItem#MappingTarget.
+     */
+    getTransformationOperatorMatrix(operatorRef) {
+        const operator = this._get(operatorRef);
+        if (!operator) {
+            return identityMat4();
+        }
+        const args = operator.args;
+        const origin = this._getPoint(args[2]);
+        const scale = (args[3] !== null && args[3] !== undefined) ? args[3] : 1;
+        const is3D = (operator.type.indexOf("3D") >= 0);
+        let zAxis = (is3D && args[4]) ? this._getDirection(args[4]) : [0, 0, 1];
+        let xAxis = args[0] ? this._getDirection(args[0]) : [1, 0, 0];
+        xAxis = math.normalizeVec3(math.subVec3(xAxis, math.mulVec3Scalar(zAxis, math.dotVec3(xAxis, zAxis), [0, 0, 0]), [0, 0, 0]), [0, 0, 0]);
+        let yAxis = args[1] ? this._getDirection(args[1]) : math.cross3Vec3(zAxis, xAxis, [0, 0, 0]);
+        if (!args[1] || Math.abs(math.dotVec3(xAxis, yAxis)) > 0.999) {
+            yAxis = math.cross3Vec3(zAxis, xAxis, [0, 0, 0]);
+        }
+        if (!(is3D && args[4])) {
+            zAxis = math.normalizeVec3(math.cross3Vec3(xAxis, yAxis, [0, 0, 0]), [0, 0, 0]);
+        }
+        let scaleY = scale;
+        let scaleZ = scale;
+        if (operator.type.indexOf("NONUNIFORM") >= 0) {
+            scaleY = (args[5] !== null && args[5] !== undefined) ? args[5] : scale;
+            scaleZ = (args[6] !== null && args[6] !== undefined) ? args[6] : scale;
+        }
+        return axesMat4(
+            math.mulVec3Scalar(xAxis, scale, [0, 0, 0]),
+            math.mulVec3Scalar(yAxis, scaleY, [0, 0, 0]),
+            math.mulVec3Scalar(zAxis, scaleZ, [0, 0, 0]),
+            origin);
+    }
+
+    /**
+     * Builds a mesh for the given representation item, in the item's coordinate system.
+     *
+     * Returns null when the item is not supported or is empty.
+     */
+    buildItem(itemRef) {
+        const item = this._get(itemRef);
+        if (!item) {
+            return null;
+        }
+        const mesh = createMesh();
+        this._buildItem(item, mesh);
+        return (mesh.indices.length > 0) ? mesh : null;
+    }
+
+    _buildItem(item, mesh) {
+        switch (item.type) {
+            case "IFCEXTRUDEDAREASOLID":
+                this._buildExtrudedAreaSolid(item, mesh);
+                break;
+            case "IFCFACETEDBREP":
+            case "IFCFACETEDBREPWITHVOIDS":
+                this._buildShell(this._get(item.args[0]), mesh);
+                if (item.type === "IFCFACETEDBREPWITHVOIDS" && item.args[1]) {
+                    for (let i = 0, len = item.args[1].length; i < len; i++) {
+                        this._buildShell(this._get(item.args[1][i]), mesh);
+                    }
+                }
+                break;
+            case "IFCSHELLBASEDSURFACEMODEL":
+            case "IFCFACEBASEDSURFACEMODEL":
+                for (let i = 0, len = item.args[0].length; i < len; i++) {
+                    this._buildShell(this._get(item.args[0][i]), mesh);
+                }
+                break;
+            case "IFCTRIANGULATEDFACESET":
+                this._buildTriangulatedFaceSet(item, mesh);
+                break;
+            case "IFCPOLYGONALFACESET":
+                this._buildPolygonalFaceSet(item, mesh);
+                break;
+            case "IFCMAPPEDITEM":
+                this._buildMappedItem(item, mesh);
+                break;
+            case "IFCBOOLEANRESULT":
+            case "IFCBOOLEANCLIPPINGRESULT":
+                this._buildBooleanResult(item, mesh);
+                break;
+            default:
+                this._warnUnsupported(item.type);
+        }
+    }
+
+    _buildExtrudedAreaSolid(item, mesh) {
+        const profile = this._getProfile(item.args[0]);
+        if (!profile) {
+            return;
+        }
+        const matrix = item.args[1] ? this.getAxis2PlacementMatrix(item.args[1]) : identityMat4();
+        const direction = this._getDirection(item.args[2]);
+        const depth = item.args[3];
+        const offset = math.mulVec3Scalar(direction, depth, [0, 0, 0]);
+        const flip = (direction[2] < 0); // Extruding downwards inverts the faces
+        const solid = createMesh();
+        const outer = profile.outer;
+        const holes = profile.holes;
+        const bottom = (loop) => loop.map(p => [p[0], p[1], 0]);
+        const top = (loop) => loop.map(p => [p[0] + offset[0], p[1] + offset[1], offset[2]]);
+        const reverse = (loop) => loop.slice().reverse();
+
+        addFace(solid, flip ? bottom(outer) : reverse(bottom(outer)), holes.map(hole => flip ? bottom(hole) : reverse(bottom(hole))));
+        addFace(solid, flip ? reverse(top(outer)) : top(outer), holes.map(hole => flip ? reverse(top(hole)) : top(hole)));
+
+        const loops = [outer].concat(holes);
+        for (let i = 0, len = loops.length; i < len; i++) {
+            const loopBottom = bottom(loops[i]);
+            const loopTop = top(loops[i]);
+            for (let j = 0, lenj = loopBottom.length; j < lenj; j++) {
+                const k = (j + 1) % lenj;
+                const quad = [loopBottom[j], loopBottom[k], loopTop[k], loopTop[j]];
+                addFace(solid, flip ? quad.reverse() : quad, []);
+            }
+        }
+
+        appendMesh(mesh, solid, matrix);
+    }
+
+    /**
+     * Gets a profile as an outer boundary and holes, each an array of [x,y] points, with the
+     * outer boundary wound counter-clockwise and the holes wound clockwise.
+     */
+    _getProfile(profileRef) {
+        const profile = this._get(profileRef);
+        if (!profile) {
+            return null;
+        }
+        const args = profile.args;
+        let outer;
+        let holes = [];
+        switch (profile.type) {
+            case "IFCRECTANGLEPROFILEDEF":
+            case "IFCRECTANGLEHOLLOWPROFILEDEF":
+            case "IFCROUNDEDRECTANGLEPROFILEDEF":
+                outer = rectangle(args[3], args[4]);
+                if (profile.type === "IFCRECTANGLEHOLLOWPROFILEDEF") {
+                    const wallThickness = args[5];
+                    holes.push(rectangle(args[3] - (2 * wallThickness), args[4] - (2 * wallThickness)));
+                }
+                break;
+            case "IFCCIRCLEPROFILEDEF":
+            case "IFCCIRCLEHOLLOWPROFILEDEF":
+                outer = ellipse(args[3], args[3]);
+                if (profile.type === "IFCCIRCLEHOLLOWPROFILEDEF") {
+                    holes.push(ellipse(args[3] - args[4], args[3] - args[4]));
+                }
+                break;
+            case "IFCELLIPSEPROFILEDEF":
+                outer = ellipse(args[3], args[4]);
+                break;
+            case "IFCARBITRARYCLOSEDPROFILEDEF":
+            case "IFCARBITRARYPROFILEDEFWITHVOIDS":
+                outer = this._getCurvePoints(args[2]);
+                if (profile.type === "IFCARBITRARYPROFILEDEFWITHVOIDS" && args[3]) {
+                    for (let i = 0, len = args[3].length; i < len; i++) {
+                        holes.push(this._getCurvePoints(args[3][i]));
+                    }
+                }
+                break;
+            default:
+                this._warnUnsupported(profile.type);
+                return null;
+        }
+        if (!outer || outer.length < 3) {
+            return null;
+        }
+        if (profile.type !== "IFCARBITRARYCLOSEDPROFILEDEF" && profile.type !== "IFCARBITRARYPROFILEDEFWITHVOIDS" && args[2]) {
+            const matrix = this.getAxis2PlacementMatrix(args[2]); // Parameterized profiles have their own position
+            const transform = (loop) => loop.map((p) => {
+                const q = math.transformPoint3(matrix, [p[0], p[1], 0], [0, 0, 0]);
+                return [q[0], q[1]];
+            });
+            outer = transform(outer);
+            holes = holes.map(transform);
+        }
+        holes = holes.filter(hole => hole && hole.length >= 3);
+        if (area2D(outer) < 0) {
+            outer.reverse();
+        }
+        for (let i = 0, len = holes.length; i < len; i++) {
+            if (area2D(holes[i]) > 0) {
+                holes[i].reverse();
+            }
+        }
+        return {outer: outer, holes: holes};
+    }
+
+    /**
+     * Gets the points on a bounded curve, as [x,y] points, without repeating the first point at the end.
+     */
+    _getCurvePoints(curveRef) {
+        const curve = this._get(curveRef);
+        if (!curve) {
+            return [];
+        }
+        let points = [];
+        switch (curve.type) {
+            case "IFCPOLYLINE":
+                points = curve.args[0].map(pointRef => this._getPoint(pointRef));
+                break;
+            case "IFCCOMPOSITECURVE":
+                for (let i = 0, len = curve.args[0].length; i < len; i++) {
+                    const segment = this._get(curve.args[0][i]);
+                    let segmentPoints = this._getCurvePoints(segment.args[2]);
+                    if (segment.args[1] && segment.args[1].enum === "F") { // SameSense
+                        segmentPoints = segmentPoints.slice().reverse();
+                    }
+                    points = points.concat(segmentPoints);
+                }
+                break;
+            case "IFCTRIMMEDCURVE":
+                points = this._getTrimmedCurvePoints(curve);
+                break;
+            case "IFCCIRCLE":
+            case "IFCELLIPSE": {
+                const matrix = this.getAxis2PlacementMatrix(curve.args[0]);
+                const loop = (curve.type === "IFCCIRCLE") ? ellipse(curve.args[1], curve.args[1]) : ellipse(curve.args[1], curve.args[2]);
+                points = loop.map(p => math.transformPoint3(matrix, [p[0], p[1], 0], [0, 0, 0]));
+                break;
+            }
+            case "IFCINDEXEDPOLYCURVE":
+                points = this._getIndexedPolyCurvePoints(curve);
+                break;
+            default:
+                this._warnUnsupported(curve.type);
+                return [];
+        }
+        const result = [];
+        for (let i = 0, len = points.length; i < len; i++) { // Remove repeated points
+            const p = points[i];
+            const last = result[result.length - 1];
+            if (!last || Math.abs(last[0] - p[0]) > 1e-9 || Math.abs(last[1] - p[1]) > 1e-9) {
+                result.push([p[0], p[1]]);
+            }
+        }
+        if (result.length > 1) {
+            const first = result[0];
+            const last = result[result.length - 1];
+            if (Math.abs(last[0] - first[0]) <= 1e-9 && Math.abs(last[1] - first[1]) <= 1e-9) {
+                result.pop();
+            }
+        }
+        return result;
+    }
+
+    _getTrimmedCurvePoints(curve) {
+        const basisCurve = this._get(curve.args[0]);
+        const senseAgreement = !(curve.args[3] && curve.args[3].enum === "F");
+        if (basisCurve.type === "IFCLINE") {
+            const trim1 = this._getTrimPoint(curve.args[1]);
+            const trim2 = this._getTrimPoint(curve.args[2]);
+            return (trim1 && trim2) ? (senseAgreement ? [trim1, trim2] : [trim2, trim1]) : [];
+        }
+        if (basisCurve.type !== "IFCCIRCLE" && basisCurve.type !== "IFCELLIPSE") {
+            this._warnUnsupported(basisCurve.type);
+            return [];
+        }
+        const matrix = this.getAxis2PlacementMatrix(basisCurve.args[0]);
+        const inverse = math.inverseMat4(matrix, new Float64Array(16));
+        const radiusX = basisCurve.args[1];
+        const radiusY = (basisCurve.type === "IFCCIRCLE") ? radiusX : basisCurve.args[2];
+        const getAngle = (trimSelect) => {
+            const point = this._getTrimPoint(trimSelect);
+            if (point) {
+                const local = math.transformPoint3(inverse, [point[0], point[1], 0], [0, 0, 0]);
+                return Math.atan2(local[1] / radiusY, local[0] / radiusX);
+            }
+            const parameter = this._getTrimParameter(trimSelect);
+            return (parameter !== null) ? parameter * this._angleScale : 0;
+        };
+        let angle1 = getAngle(curve.args[1]);
+        let angle2 = getAngle(curve.args[2]);
+        if (senseAgreement) {
+            while (angle2 <= angle1) {
+                angle2 += Math.PI * 2;
+            }
+        } else {
+            while (angle2 >= angle1) {
+                angle2 -= Math.PI * 2;
+            }
+        }
+        const numSegments = Math.max(2, Math.ceil(CIRCLE_SEGMENTS * Math.abs(angle2 - angle1) / (Math.PI * 2)));
+        const points = [];
+        for (let i = 0; i <= numSegments; i++) {
+            const angle = angle1 + ((angle2 - angle1) * i / numSegments);
+            points.push(math.transformPoint3(matrix, [Math.cos(angle) * radiusX, Math.sin(angle) * radiusY, 0], [0, 0, 0]));
+        }
+        return points;
+    }
+
+    _getTrimPoint(trimSelects) {
+        for (let i = 0, len = trimSelects.length; i < len; i++) {
+            const trimSelect = trimSelects[i];
+            if (trimSelect && trimSelect.ref) {
+                return this._getPoint(trimSelect);
+            }
+        }
+        return null;
+    }
+
+    _getTrimParameter(trimSelects) {
+        for (let i = 0, len = trimSelects.length; i < len; i++) {
+            const trimSelect = trimSelects[i];
+            if (trimSelect && trimSelect.type === "IFCPARAMETERVALUE") {
+                return trimSelect.value;
+            }
+        }
+        return null;
+    }
+
+    _getIndexedPolyCurvePoints(curve) {
+        const pointList = this._get(curve.args[0]).args[0];
+        const segments = curve.args[1];
+        if (!segments) {
+            return pointList.slice();
+        }
+        let points = [];
+        for (let i = 0, len = segments.length; i < len; i++) { // Arc segments are approximated by their three points
+            const indices = segments[i].value;
+            for (let j = 0, lenj = indices.length; j < lenj; j++) {
+                points.push(pointList[indices[j] - 1]);
+            }
+        }
+        return points;
+    }
+
+    _buildShell(shell, mesh) {
+        if (!shell) {
+            return;
+        }
+        const faces = shell.args[0];
+        for (let i = 0, len = faces.length; i < len; i++) {
+            const face = this._get(faces[i]);
+            if (!face) {
+                continue;
+            }
+            let outer = null;
+            const holes = [];
+            const bounds = face.args[0];
+            for (let j = 0, lenj = bounds.length; j < lenj; j++) {
+                const bound = this._get(bounds[j]);
+                const loop = this._get(bound.args[0]);
+                if (!loop || loop.type !== "IFCPOLYLOOP") {
+                    if (loop) {
+                        this._warnUnsupported(loop.type);
+                    }
+                    continue;
+                }
+                let points = loop.args[0].map(pointRef => this._getPoint(pointRef));
+                if (bound.args[1] && bound.args[1].enum === "F") {
+                    points = points.reverse();
+                }
+                if (bound.type === "IFCFACEOUTERBOUND" && !outer) {
+                    outer = points;
+                } else {
+                    holes.push(points);
+                }
+            }
+            if (!outer) {
+                outer = holes.shift();
+            }
+            if (outer) {
+                addFace(mesh, outer, holes);
+            }
+        }
+    }
+
+    _buildTriangulatedFaceSet(item, mesh) {
+        const coordinates = this._get(item.args[0]).args[0];
+        const coordIndex = item.args[3];
+        const pnIndex = item.args[4];
+        const getPoint = (index) => coordinates[(pnIndex ? pnIndex[index - 1] : index) - 1];
+        for (let i = 0, len = coordIndex.length; i < len; i++) {
+            const triangle = coordIndex[i];
+            addFace(mesh, [getPoint(triangle[0]), getPoint(triangle[1]), getPoint(triangle[2])], []);
+        }
+    }
+
+    _buildPolygonalFaceSet(item, mesh) {
+        const coordinates = this._get(item.args[0]).args[0];
+        const faces = item.args[2];
+        const pnIndex = item.args[3];
+        const getPoint = (index) => coordinates[(pnIndex ? pnIndex[index - 1] : index) - 1];
+        for (let i = 0, len = faces.length; i < len; i++) {
+            const face = this._get(faces[i]);
+            const outer = face.args[0].map(getPoint);
+            const holes = (face.type === "IFCINDEXEDPOLYGONALFACEWITHVOIDS" && face.args[1]) ? face.args[1].map(hole => hole.map(getPoint)) : [];
+            addFace(mesh, outer, holes);
+        }
+    }
+
+    _buildMappedItem(item, mesh) {
+        const representationMap = this._get(item.args[0]);
+        const matrix = this.getMappedItemMatrix(item);
+        const representation = this._get(representationMap.args[1]);
+        const items = representation.args[3];
+        for (let i = 0, len = items.length; i < len; i++) {
+            const mappedMesh = this.buildItem(items[i]);
+            if (mappedMesh) {
+                appendMesh(mesh, mappedMesh, matrix);
+            }
+        }
+    }
+
+    /**
+     * Gets the matrix that transforms an IfcMappedItem's mapped representation into the coordinate system of the item.
+     */
+    getMappedItemMatrix(item) {
+        const representationMap = this._get(item.args[0]);
+        const originMatrix = this.getAxis2PlacementMatrix(representationMap.args[0]);
+        const targetMatrix = this.getTransformationOperatorMatrix(item.args[1]);
+        return math.mulMat4(targetMatrix, originMatrix, new Float64Array(16));
+    }
+
+    _buildBooleanResult(item, mesh) {
+        const operator = item.args[0] ? item.args[0].enum : "DIFFERENCE";
+        const first = this._get(item.args[1]);
+        const second = this._get(item.args[2]);
+        const firstMesh = createMesh();
+        this._buildItem(first, firstMesh);
+        if (operator === "UNION") {
+            this._buildItem(second, firstMesh);
+            appendMesh(mesh, firstMesh);
+            return;
+        }
+        if (operator === "DIFFERENCE" && (second.type === "IFCHALFSPACESOLID" || second.type === "IFCPOLYGONALBOUNDEDHALFSPACE" || second.type === "IFCBOXEDHALFSPACE")) {
+            const plane = this._get(second.args[0]);
+            if (plane && plane.type === "IFCPLANE") {
+                const planeMatrix = this.getAxis2PlacementMatrix(plane.args[0]);
+                const planePoint = [planeMatrix[12], planeMatrix[13], planeMatrix[14]];
+                const planeNormal = [planeMatrix[8], planeMatrix[9], planeMatrix[10]];
+                const agreementFlag = !(second.args[1] && second.args[1].enum === "F");
+                if (agreementFlag) { // Half-space material is behind the plane, so keep what's in front
+                    math.mulVec3Scalar(planeNormal, -1, planeNormal);
+                }
+                appendMesh(mesh, clipMesh(firstMesh, planePoint, planeNormal));
+                return;
+            }
+        }
+        appendMesh(mesh, firstMesh); // Other boolean operations are not supported, so we just show the first operand
+    }
+
+    _getPoint(pointRef) {
+        const point = this._get(pointRef);
+        if (!point) {
+            return [0, 0, 0];
+        }
+        const coords = point.args[0];
+        return [coords[0] || 0, coords[1] || 0, coords[2] || 0];
+    }
+
+    _getDirection(directionRef) {
+        const direction = this._get(directionRef);
+        if (!direction) {
+            return [0, 0, 1];
+        }
+        const ratios = direction.args[0];
+        return math.normalizeVec3([ratios[0] || 0, ratios[1] || 0, ratios[2] || 0], [0, 0, 0]);
+    }
+
+    _get(ref) {
+        if (!ref) {
+            return null;
+        }
+        return this._entities[ref.ref] || null;
+    }
+
+    _warnUnsupported(type) {
+        if (!this._warnedTypes[type]) {
+            this._warnedTypes[type] = true;
+            this._warn("Unsupported IFC geometry type - ignoring: " + type);
+        }
+    }
+}
+
+function identityMat4() {
+    return math.identityMat4(new Float64Array(16));
+}
+
+function axesMat4(xAxis, yAxis, zAxis, origin) {
+    const m = new Float64Array(16);
+    m[0] = xAxis[0];
+    m[1] = xAxis[1];
+    m[2] = xAxis[2];
+    m[4] = yAxis[0];
+    m[5] = yAxis[1];
+    m[6] = yAxis[2];
+    m[8] = zAxis[0];
+    m[9] = zAxis[1];
+    m[10] = zAxis[2];
+    m[12] = origin[0];
+    m[13] = origin[1];
+    m[14] = origin[2];
+    m[15] = 1;
+    return m;
+}
+
+function rectangle(xDim, yDim) {
+    const x = xDim / 2;
+    const y = yDim / 2;
+    return [[-x, -y], [x, -y], [x, y], [-x, y]];
+}
+
+function ellipse(radiusX, radiusY) {
+    const points = [];
+    for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+        const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+        points.push([Math.cos(angle) * radiusX, Math.sin(angle) * radiusY]);
+    }
+    return points;
+}
+
+function area2D(loop) {
+    let area = 0;
+    for (let i = 0, len = loop.length; i < len; i++) {
+        const a = loop[i];
+        const b = loop[(i + 1) % len];
+        area += (a[0] * b[1]) - (b[0] * a[1]);
+    }
+    return area * 0.5;
+}
+
+function createMesh() {
+    return {
+        positions: [],
+        normals: [],
+        indices: []
+    };
+}
+
+/**
+ * Adds a planar polygon face, which may have holes, to the given mesh. The face normal follows the winding of the
+ * outer boundary, by the right-hand rule.
+ */
+function addFace(mesh, outer, holes) {
+
+    const normal = [0, 0, 0]; // Newell's method
+
+    for (let i = 0, len = outer.length; i < len; i++) {
+        const a = outer[i];
+        const b = outer[(i + 1) % len];
+        normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    }
+
+    const length = math.lenVec3(normal);
+    if (length === 0 || outer.length < 3) {
+        return;
+    }
+    math.mulVec3Scalar(normal, 1 / length, normal);
+
+    // Project onto the plane of the normal's dominant axis, then triangulate
+
+    const ax = Math.abs(normal[0]);
+    const ay = Math.abs(normal[1]);
+    const az = Math.abs(normal[2]);
+    const axis = (ax > ay && ax > az) ? 0 : (ay > az ? 1 : 2);
+    const u = (axis + 1) % 3;
+    const v = (axis + 2) % 3;
+    const project = (loop) => loop.map(p => [p[u], p[v]]);
+    const flip = normal[axis] < 0;
+
+    let points = outer;
+    for (let i = 0, len = holes.length; i < len; i++) {
+        points = points.concat(holes[i]);
+    }
+
+    const triangles = triangulatePolygon(project(outer), holes.map(project));
+    const baseIndex = mesh.positions.length / 3;
+
+    for (let i = 0, len = points.length; i < len; i++) {
+        const p = points[i];
+        mesh.positions.push(p[0], p[1], p[2]);
+        mesh.normals.push(normal[0], normal[1], normal[2]);
+    }
+
+    for (let i = 0, len = triangles.length; i < len; i += 3) {
+        if (flip) {
+            mesh.indices.push(baseIndex + triangles[i], baseIndex + triangles[i + 2], baseIndex + triangles[i + 1]);
+        } else {
+            mesh.indices.push(baseIndex + triangles[i], baseIndex + triangles[i + 1], baseIndex + triangles[i + 2]);
+        }
+    }
+}
+
+/**
+ * Appends a mesh to another, optionally transforming it by a matrix.
+ */
+function appendMesh(mesh, otherMesh, matrix) {
+    const baseIndex = mesh.positions.length / 3;
+    const positions = otherMesh.positions;
+    const normals = otherMesh.normals;
+    let normalMatrix = null;
+    if (matrix) {
+        normalMatrix = math.transposeMat4(math.inverseMat4(matrix, new Float64Array(16)), new Float64Array(16));
+    }
+    const p = [0, 0, 0];
+    const n = [0, 0, 0];
+    for (let i = 0, len = positions.length; i < len; i += 3) {
+        p[0] = positions[i];
+        p[1] = positions[i + 1];
+        p[2] = positions[i + 2];
+        n[0] = normals[i];
+        n[1] = normals[i + 1];
+        n[2] = normals[i + 2];
+        if (matrix) {
+            math.transformPoint3(matrix, p, p);
+            math.normalizeVec3(math.transformVec3(normalMatrix, n, n), n);
+        }
+        mesh.positions.push(p[0], p[1], p[2]);
+        mesh.normals.push(n[0], n[1], n[2]);
+    }
+    const indices = otherMesh.indices;
+    for (let i = 0, len = indices.length; i < len; i++) {
+        mesh.indices.push(baseIndex + indices[i]);
+    }
+}
+
+/**
+ * Clips a mesh by a plane, keeping the part behind the plane, and caps the cut with new faces.
+ */
+function clipMesh(mesh, planePoint, planeNormal) {
+
+    const clipped = createMesh();
+    const positions = mesh.positions;
+    const normals = mesh.normals;
+    const indices = mesh.indices;
+    const cutSegments = [];
+
+    const getVertex = (i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    const distance = (p) => ((p[0] - planePoint[0]) * planeNormal[0]) + ((p[1] - planePoint[1]) * planeNormal[1]) + ((p[2] - planePoint[2]) * planeNormal[2]);
+    const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+    const addTriangle = (a, b, c, n) => {
+        const baseIndex = clipped.positions.length / 3;
+        clipped.positions.push(a[0], a[1], a[2], b[0], b[1], b[2], c[0], c[1], c[2]);
+        clipped.normals.push(n[0], n[1], n[2], n[0], n[1], n[2], n[0], n[1], n[2]);
+        clipped.indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
+    };
+
+    for (let i = 0, len = indices.length; i < len; i += 3) {
+
+        const verts = [getVertex(indices[i]), getVertex(indices[i + 1]), getVertex(indices[i + 2])];
+        const n = [normals[indices[i] * 3], normals[indices[i] * 3 + 1], normals[indices[i] * 3 + 2]];
+        const dists = verts.map(distance);
+        const inside = dists.map(d => d <= 0);
+        const numInside = inside.filter(x => x).length;
+
+        if (numInside === 3) {
+            addTriangle(verts[0], verts[1], verts[2], n);
+            continue;
+        }
+
+        if (numInside === 0) {
+            continue;
+        }
+
+        // Rotate so that vertex 0 is the odd one out
+
+        let k = 0;
+        for (let j = 0; j < 3; j++) {
+            if (inside[j] === (numInside === 1)) {
+                k = j;
+                break;
+            }
+        }
+        const a = verts[k];
+        const b = verts[(k + 1) % 3];
+        const c = verts[(k + 2) % 3];
+        const da = dists[k];
+        const db = dists[(k + 1) % 3];
+        const dc = dists[(k + 2) % 3];
+        const ab = lerp(a, b, da / (da - db));
+        const ac = lerp(a, c, da / (da - dc));
+
+        if (numInside === 1) { // Only A is kept
+            addTriangle(a, ab, ac, n);
+            cutSegments.push([ab, ac]);
+        } else { // A is cut away
+            addTriangle(ab, b, c, n);
+            addTriangle(ab, c, ac, n);
+            cutSegments.push([ac, ab]);
+        }
+    }
+
+    // Cap the cut
+
+    const loops = chainSegments(cutSegments);
+
+    if (loops.length > 0) {
+        const zAxis = planeNormal;
+        const xAxis = math.normalizeVec3(math.cross3Vec3(Math.abs(zAxis[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0], zAxis, [0, 0, 0]), [0, 0, 0]);
+        const yAxis = math.cross3Vec3(zAxis, xAxis, [0, 0, 0]);
+        const to2D = (loop) => loop.map(p => [math.dotVec3(p, xAxis), math.dotVec3(p, yAxis)]);
+        const loops2D = loops.map(to2D);
+        const outers = [];
+        const holes = [];
+        for (let i = 0, len = loops.length; i < len; i++) { // Loops nested at odd depths are holes
+            let depth = 0;
+            for (let j = 0; j < len; j++) {
+                if (i !== j && pointInLoop2D(loops2D[i][0], loops2D[j])) {
+                    depth++;
+                }
+            }
+            ((depth % 2 === 0) ? outers : holes).push(i);
+        }
+        for (let i = 0, len = outers.length; i < len; i++) {
+            const outerIndex = outers[i];
+            const outerHoles = holes.filter(h => pointInLoop2D(loops2D[h][0], loops2D[outerIndex]));
+            const cap = createMesh();
+            addFace(cap, orientLoop(loops[outerIndex], loops2D[outerIndex], true), outerHoles.map(h => orientLoop(loops[h], loops2D[h], false)));
+            appendMesh(clipped, cap);
+        }
+    }
+
+    return clipped;
+}
+
+function orientLoop(loop, loop2D, counterClockwise) { // Orients a loop about the cap normal
+    return ((area2D(loop2D) > 0) === counterClockwise) ? loop : loop.slice().reverse();
+}
+
+function pointInLoop2D(p, loop) {
+    let inside = false;
+    for (let i = 0, j = loop.length - 1, len = loop.length; i < len; j = i++) {
+        const a = loop[i];
+        const b = loop[j];
+        if (((a[1] > p[1]) !== (b[1] > p[1])) && (p[0] < (b[0] - a[0]) * (p[1] - a[1]) / (b[1] - a[1]) + a[0])) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function chainSegments(segments) { // Joins line segments into closed loops
+    const key = (p) => Math.round(p[0] * 1e5) + "," + Math.round(p[1] * 1e5) + "," + Math.round(p[2] * 1e5);
+    const segmentsByStart = {};
+    for (let i = 0, len = segments.length; i < len; i++) {
+        const startKey = key(segments[i][0]);
+        if (key(segments[i][1]) === startKey) {
+            continue; // Degenerate
+        }
+        (segmentsByStart[startKey] || (segmentsByStart[startKey] = [])).push(segments[i]);
+    }
+    const loops = [];
+    for (let startKey in segmentsByStart) {
+        const list = segmentsByStart[startKey];
+        while (list.length > 0) {
+            const loop = [];
+            let segment = list.pop();
+            const loopStartKey = startKey;
+            while (segment) {
+                loop.push(segment[0]);
+                const nextKey = key(segment[1]);
+                if (nextKey === loopStartKey) {
+                    break;
+                }
+                const nextList = segmentsByStart[nextKey];
+                segment = (nextList && nextList.length > 0) ? nextList.pop() : null;
+            }
+            if (loop.length >= 3 && segment) {
+                loops.push(loop);
+            }
+        }
+    }
+    return loops;
+}
+
+export {IFCGeometryBuilder};
@@ -0,0 +1,66 @@
+import {ifc2x3tc1} from "../../BIMServerLoaderPlugin/BIMServerClient/ifc2x3tc1.js";
+import {ifc4} from "../../BIMServerLoaderPlugin/BIMServerClient/ifc4.js";
+
+/**
+ * Type hierarchy of an IFC schema, for looking up the names of the upper-case types in STEP files, and
+ * testing whether they are subtypes of other types.
+ *
+ * Uses the same schema definitions as {@link BIMServerLoaderPlugin}.
+ *
+ * @private
+ */
+class IFCSchema {
+
+    /**
+     * @param {String} schemaName Schema given in the STEP file header, ie. "IFC2X3" or "IFC4".
+     */
+    constructor(schemaName) {
+        this.name = (schemaName && schemaName.toUpperCase().indexOf("IFC4") === 0) ? "ifc4" : "ifc2x3tc1";
+        this._classes = (this.name === "ifc4") ? ifc4.classes : ifc2x3tc1.classes;
+        this._typeNames = {};
+        this._subtypeCache = {};
+        for (let className in this._classes) {
+            this._typeNames[className.toUpperCase()] = className;
+        }
+    }
+
+    /**
+     * Gets the schema name of the given STEP type, eg. "IfcWallStandardCase" for "IFCWALLSTANDARDCASE".
+     *
+     * Returns the STEP type as-is when it's not in the schema.
+     */
+    getTypeName(stepType) {
+        return this._typeNames[stepType] || stepType;
+    }
+
+    /**
+     * Gets whether the given STEP type is the given schema type, or a subtype of it.
+     */
+    isSubtypeOf(stepType, typeName) {
+        const key = stepType + ":" + typeName;
+        let result = this._subtypeCache[key];
+        if (result === undefined) {
+            result = this._isSubtypeOf(this.getTypeName(stepType), typeName);
+            this._subtypeCache[key] = result;
+        }
+        return result;
+    }
+
+    _isSubtypeOf(className, typeName) {
+        if (className === typeName) {
+            return true;
+        }
+        const classDef = this._classes[className];
+        if (!classDef || !classDef.superclasses) {
+            return false;
+        }
+        for (let i = 0, len = classDef.superclasses.length; i < len; i++) {
+            if (this._isSubtypeOf(classDef.superclasses[i], typeName)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+export {IFCSchema};
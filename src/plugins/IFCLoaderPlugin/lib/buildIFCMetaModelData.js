@@ -0,0 +1,241 @@
+import {getSIUnitSymbol} from "./getIFCUnits.js";
+
+const MEASURE_UNIT_TYPES = {
+    IFCLENGTHMEASURE: "LENGTHUNIT",
+    IFCPOSITIVELENGTHMEASURE: "LENGTHUNIT",
+    IFCNONNEGATIVELENGTHMEASURE: "LENGTHUNIT",
+    IFCAREAMEASURE: "AREAUNIT",
+    IFCVOLUMEMEASURE: "VOLUMEUNIT",
+    IFCMASSMEASURE: "MASSUNIT",
+    IFCPLANEANGLEMEASURE: "PLANEANGLEUNIT",
+    IFCPOSITIVEPLANEANGLEMEASURE: "PLANEANGLEUNIT",
+    IFCTHERMODYNAMICTEMPERATUREMEASURE: "THERMODYNAMICTEMPERATUREUNIT",
+    IFCTIMEMEASURE: "TIMEUNIT"
+};
+
+const QUANTITY_UNIT_TYPES = {
+    IFCQUANTITYLENGTH: "LENGTHUNIT",
+    IFCQUANTITYAREA: "AREAUNIT",
+    IFCQUANTITYVOLUME: "VOLUMEUNIT",
+    IFCQUANTITYWEIGHT: "MASSUNIT",
+    IFCQUANTITYTIME: "TIMEUNIT"
+};
+
+/**
+ * Builds metamodel JSON from the STEP instances of an IFC model, in the format accepted by {@link MetaScene#createMetaModel}.
+ *
+ * Like {@link BIMServerLoaderPlugin}, builds the hierarchy from the IfcProject down through aggregations
+ * (IfcRelAggregates) and spatial containment (IfcRelContainedInSpatialStructure), with each {@link MetaObject}
+ * identified by the IFC GlobalId of its element. Also gets the property sets and element quantities attached to
+ * elements with IfcRelDefinesByProperties.
+ *
+ * @param {*} entities Map of STEP instances, from {@link parseSTEP}.
+ * @param {IFCSchema} schema The IFC schema.
+ * @param {*} units Project units, from {@link getIFCUnits}.
+ * @private
+ */
+function buildIFCMetaModelData(entities, schema, units) {
+
+    const metaObjects = {};
+    const propertySets = [];
+    const propertySetsMap = {};
+    const parents = {};
+    let project = null;
+
+    const get = (ref) => ref ? entities[ref.ref] : null;
+
+    for (let id in entities) {
+
+        const entity = entities[id];
+
+        switch (entity.type) {
+
+            case "IFCPROJECT":
+                project = entity;
+                break;
+
+            case "IFCRELAGGREGATES":
+            case "IFCRELNESTS":
+                addRelationship(entity.args[4], entity.args[5]);
+                break;
+
+            case "IFCRELCONTAINEDINSPATIALSTRUCTURE":
+                addRelationship(entity.args[5], entity.args[4]);
+                break;
+        }
+    }
+
+    function addRelationship(parentRef, childRefs) {
+        if (!parentRef || !childRefs) {
+            return;
+        }
+        for (let i = 0, len = childRefs.length; i < len; i++) {
+            parents[childRefs[i].ref] = parentRef.ref;
+        }
+    }
+
+    function getMetaObject(entity) {
+        const globalId = entity.args[0];
+        let metaObject = metaObjects[globalId];
+        if (!metaObject) {
+            metaObject = {
+                id: globalId,
+                name: entity.args[2] || schema.getTypeName(entity.type),
+                type: schema.getTypeName(entity.type),
+                parent: null
+            };
+            metaObjects[globalId] = metaObject;
+        }
+        return metaObject;
+    }
+
+    if (project) {
+        getMetaObject(project);
+    }
+
+    for (let id in entities) {
+        const entity = entities[id];
+        if (parents[id] !== undefined || schema.isSubtypeOf(entity.type, "IfcProduct")) {
+            const metaObject = getMetaObject(entity);
+            const parent = entities[parents[id]];
+            if (parent) {
+                metaObject.parent = getMetaObject(parent).id;
+            }
+        }
+    }
+
+    for (let id in entities) {
+
+        const entity = entities[id];
+
+        if (entity.type !== "IFCRELDEFINESBYPROPERTIES") {
+            continue;
+        }
+
+        const propertyDefinition = get(entity.args[5]);
+
+        if (!propertyDefinition) {
+            continue;
+        }
+
+        let properties;
+
+        if (propertyDefinition.type === "IFCPROPERTYSET") {
+            properties = getProperties(propertyDefinition.args[4]);
+        } else if (propertyDefinition.type === "IFCELEMENTQUANTITY") {
+            properties = getQuantities(propertyDefinition.args[5]);
+        } else {
+            continue;
+        }
+
+        const propertySetId = propertyDefinition.args[0];
+
+        if (!propertySetsMap[propertySetId]) {
+            propertySetsMap[propertySetId] = true;
+            propertySets.push({
+                id: propertySetId,
+                name: propertyDefinition.args[2],
+                type: schema.getTypeName(propertyDefinition.type),
+                properties: properties
+            });
+        }
+
+        const relatedObjects = entity.args[4];
+
+        for (let i = 0, len = relatedObjects.length; i < len; i++) {
+            const relatedObject = get(relatedObjects[i]);
+            const metaObject = relatedObject ? metaObjects[relatedObject.args[0]] : null;
+            if (metaObject) {
+                (metaObject.propertySetIds || (metaObject.propertySetIds = [])).push(propertySetId);
+            }
+        }
+    }
+
+    function getProperties(propertyRefs) {
+        const properties = [];
+        for (let i = 0, len = propertyRefs.length; i < len; i++) {
+            const property = get(propertyRefs[i]);
+            if (!property) {
+                continue;
+            }
+            let value;
+            let valueType;
+            if (property.type === "IFCPROPERTYSINGLEVALUE") {
+                value = getValue(property.args[2]);
+                valueType = property.args[2] ? property.args[2].type : undefined;
+            } else if (property.type === "IFCPROPERTYENUMERATEDVALUE" || property.type === "IFCPROPERTYLISTVALUE") {
+                const values = property.args[2] || [];
+                value = values.map(getValue).join(", ");
+                valueType = values.length > 0 ? values[0].type : undefined;
+            } else {
+                continue;
+            }
+            properties.push({
+                name: property.args[0],
+                description: property.args[1] || undefined,
+                type: schema.getTypeName(property.type),
+                value: value,
+                valueType: valueType ? schema.getTypeName(valueType) : undefined,
+                unit: getUnitSymbol(property.type === "IFCPROPERTYSINGLEVALUE" ? property.args[3] : null, valueType ? MEASURE_UNIT_TYPES[valueType] : null)
+            });
+        }
+        return properties;
+    }
+
+    function getQuantities(quantityRefs) {
+        const properties = [];
+        for (let i = 0, len = quantityRefs.length; i < len; i++) {
+            const quantity = get(quantityRefs[i]);
+            if (!quantity || quantity.args[3] === null || quantity.args[3] === undefined) {
+                continue;
+            }
+            properties.push({
+                name: quantity.args[0],
+                description: quantity.args[1] || undefined,
+                type: schema.getTypeName(quantity.type),
+                value: quantity.args[3],
+                unit: getUnitSymbol(quantity.args[2], QUANTITY_UNIT_TYPES[quantity.type])
+            });
+        }
+        return properties;
+    }
+
+    function getValue(typedValue) {
+        if (typedValue === null || typedValue === undefined) {
+            return undefined;
+        }
+        const value = (typedValue.value !== undefined) ? typedValue.value : typedValue;
+        if (value && value.enum !== undefined) {
+            return (value.enum === "T") ? true : (value.enum === "F") ? false : value.enum;
+        }
+        return value;
+    }
+
+    function getUnitSymbol(unitRef, unitType) {
+        const unit = get(unitRef);
+        if (unit) {
+            if (unit.type === "IFCCONVERSIONBASEDUNIT") {
+                return unit.args[2];
+            }
+            if (unit.type === "IFCSIUNIT") {
+                return getSIUnitSymbol(unit); // Explicit unit may differ from the project default
+            }
+        }
+        return unitType ? units.symbols[unitType] : undefined;
+    }
+
+    const metaObjectsList = [];
+
+    for (let globalId in metaObjects) {
+        metaObjectsList.push(metaObjects[globalId]);
+    }
+
+    return {
+        projectId: project ? project.args[0] : undefined,
+        schema: schema.name,
+        metaObjects: metaObjectsList,
+        propertySets: propertySets
+    };
+}
+
+export {buildIFCMetaModelData};
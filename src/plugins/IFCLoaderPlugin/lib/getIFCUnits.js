@@ -0,0 +1,128 @@
+const SI_PREFIXES = {
+    EXA: {symbol: "E", scale: 1e18},
+    PETA: {symbol: "P", scale: 1e15},
+    TERA: {symbol: "T", scale: 1e12},
+    GIGA: {symbol: "G", scale: 1e9},
+    MEGA: {symbol: "M", scale: 1e6},
+    KILO: {symbol: "k", scale: 1e3},
+    HECTO: {symbol: "h", scale: 1e2},
+    DECA: {symbol: "da", scale: 1e1},
+    DECI: {symbol: "d", scale: 1e-1},
+    CENTI: {symbol: "c", scale: 1e-2},
+    MILLI: {symbol: "m", scale: 1e-3},
+    MICRO: {symbol: "µ", scale: 1e-6},
+    NANO: {symbol: "n", scale: 1e-9},
+    PICO: {symbol: "p", scale: 1e-12},
+    FEMTO: {symbol: "f", scale: 1e-15},
+    ATTO: {symbol: "a", scale: 1e-18}
+};
+
+const SI_UNIT_SYMBOLS = {
+    METRE: "m",
+    SQUARE_METRE: "m²",
+    CUBIC_METRE: "m³",
+    GRAM: "g",
+    SECOND: "s",
+    RADIAN: "rad",
+    DEGREE_CELSIUS: "°C",
+    KELVIN: "K",
+    WATT: "W",
+    NEWTON: "N",
+    PASCAL: "Pa",
+    JOULE: "J",
+    HERTZ: "Hz",
+    VOLT: "V",
+    AMPERE: "A",
+    LUMEN: "lm",
+    LUX: "lx"
+};
+
+/**
+ * Gets the default units of the IfcProject in the given STEP instances.
+ *
+ * Returns the factors that convert lengths to metres and plane angles to radians, along with a map of unit
+ * symbols for each unit type, eg. ````{LENGTHUNIT: "mm", AREAUNIT: "m²"}````.
+ *
+ * @private
+ */
+function getIFCUnits(entities) {
+
+    const units = {
+        lengthScale: 1.0,
+        angleScale: 1.0,
+        symbols: {}
+    };
+
+    let unitAssignment = null;
+
+    for (let id in entities) {
+        const entity = entities[id];
+        if (entity.type === "IFCPROJECT") {
+            unitAssignment = entity.args[8] ? entities[entity.args[8].ref] : null;
+            break;
+        }
+    }
+
+    if (!unitAssignment) {
+        return units;
+    }
+
+    const unitRefs = unitAssignment.args[0];
+
+    for (let i = 0, len = unitRefs.length; i < len; i++) {
+
+        const unit = entities[unitRefs[i].ref];
+
+        if (!unit || !unit.args[1]) {
+            continue;
+        }
+
+        const unitType = unit.args[1].enum;
+
+        if (unit.type === "IFCSIUNIT") {
+
+            const prefix = unit.args[2] ? SI_PREFIXES[unit.args[2].enum] : null;
+            const symbol = getSIUnitSymbol(unit);
+
+            if (symbol) {
+                units.symbols[unitType] = symbol;
+            }
+
+            if (unitType === "LENGTHUNIT") {
+                units.lengthScale = prefix ? prefix.scale : 1.0;
+            }
+
+        } else if (unit.type === "IFCCONVERSIONBASEDUNIT") {
+
+            units.symbols[unitType] = unit.args[2];
+
+            const measureWithUnit = unit.args[3] ? entities[unit.args[3].ref] : null;
+            const conversionFactor = (measureWithUnit && measureWithUnit.args[0]) ? measureWithUnit.args[0].value : null;
+
+            if (conversionFactor) {
+                if (unitType === "PLANEANGLEUNIT") {
+                    units.angleScale = conversionFactor; // Conversion is relative to radians, eg. 0.01745 for degrees
+                } else if (unitType === "LENGTHUNIT") {
+                    units.lengthScale = conversionFactor; // Assumes conversion is relative to metres, eg. 0.3048 for feet
+                }
+            }
+        }
+    }
+
+    return units;
+}
+
+/**
+ * Gets the symbol of an IfcSIUnit, eg. "mm" or "m²".
+ *
+ * Returns undefined for units we don't have symbols for.
+ *
+ * @private
+ */
+function getSIUnitSymbol(unit) {
+    const prefix = unit.args[2] ? SI_PREFIXES[unit.args[2].enum] : null;
+    const symbol = unit.args[3] ? SI_UNIT_SYMBOLS[unit.args[3].enum] : null;
+    return symbol ? (prefix ? prefix.symbol : "") + symbol : undefined;
+}
+
+export {getIFCUnits, getSIUnitSymbol};
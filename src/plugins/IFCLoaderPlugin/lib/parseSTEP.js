@@ -0,0 +1,204 @@
+/**
+ * Parses the text of an IFC-SPF (STEP Physical File, ISO 10303-21) file.
+ *
+ * Returns the schema named in the file header and a map of entity instances, each mapped to its STEP instance ID. Each
+ * instance has an upper-case ````type```` and an array of positional ````args````, in which:
+ *
+ * * references to other instances are ````{ref: Number}````,
+ * * typed values, such as ````IFCLABEL('x')````, are ````{type: String, value: *}````,
+ * * enumerations and booleans, such as ````.T.```` or ````.ELEMENT.````, are ````{enum: String}````,
+ * * unset (````$````) and derived (````*````) values are ````null````,
+ * * lists are arrays, and strings and numbers are themselves.
+ *
+ * @private
+ */
+function parseSTEP(text) {
+
+    const schemaMatch = text.match(/FILE_SCHEMA\s*\(\s*\(\s*'([^']*)'/i);
+    const schema = schemaMatch ? schemaMatch[1].toUpperCase() : null;
+    const entities = {};
+
+    let dataStart = text.search(/\bDATA\s*;/);
+
+    if (dataStart < 0) {
+        return {schema: schema, entities: entities};
+    }
+
+    let pos = text.indexOf(";", dataStart) + 1;
+    const len = text.length;
+
+    function skipWhitespace() {
+        while (pos < len) {
+            const c = text.charCodeAt(pos);
+            if (c === 32 || c === 9 || c === 10 || c === 13) {
+                pos++;
+            } else if (c === 47 && text.charCodeAt(pos + 1) === 42) { // "/*"
+                const end = text.indexOf("*/", pos + 2);
+                pos = (end < 0) ? len : end + 2;
+            } else {
+                break;
+            }
+        }
+    }
+
+    function parseString() {
+        pos++; // Opening quote
+        let str = "";
+        while (pos < len) {
+            let end = text.indexOf("'", pos);
+            if (end < 0) {
+                end = len;
+            }
+            str += text.substring(pos, end);
+            pos = end + 1;
+            if (text[pos] === "'") { // Escaped quote
+                str += "'";
+                pos++;
+                continue;
+            }
+            break;
+        }
+        return decodeString(str);
+    }
+
+    function parseValue() {
+        skipWhitespace();
+        const c = text[pos];
+        if (c === "'") {
+            return parseString();
+        }
+        if (c === "#") {
+            pos++;
+            const start = pos;
+            while (pos < len && isDigit(text.charCodeAt(pos))) {
+                pos++;
+            }
+            return {ref: parseInt(text.substring(start, pos), 10)};
+        }
+        if (c === "(") {
+            return parseList();
+        }
+        if (c === "$" || c === "*") {
+            pos++;
+            return null;
+        }
+        if (c === ".") {
+            const end = text.indexOf(".", pos + 1);
+            const value = text.substring(pos + 1, end);
+            pos = end + 1;
+            return {enum: value};
+        }
+        if (c === '"') { // Binary
+            const end = text.indexOf('"', pos + 1);
+            const value = text.substring(pos + 1, end);
+            pos = end + 1;
+            return value;
+        }
+        if (isTypeNameStart(text.charCodeAt(pos))) { // Typed value, eg. IFCLABEL('x')
+            const start = pos;
+            while (pos < len && text[pos] !== "(" && text[pos] !== "," && text[pos] !== ")") {
+                pos++;
+            }
+            const type = text.substring(start, pos).trim().toUpperCase();
+            const args = parseList();
+            return {type: type, value: args.length === 1 ? args[0] : args};
+        }
+        const start = pos;
+        while (pos < len && text[pos] !== "," && text[pos] !== ")") {
+            pos++;
+        }
+        return parseFloat(text.substring(start, pos));
+    }
+
+    function parseList() {
+        const list = [];
+        pos++; // "("
+        skipWhitespace();
+        if (text[pos] === ")") {
+            pos++;
+            return list;
+        }
+        while (pos < len) {
+            list.push(parseValue());
+            skipWhitespace();
+            const c = text[pos];
+            pos++;
+            if (c === ")") {
+                break;
+            }
+        }
+        return list;
+    }
+
+    while (pos < len) {
+
+        skipWhitespace();
+
+        if (text[pos] !== "#") {
+            if (text.startsWith("ENDSEC", pos)) {
+                break;
+            }
+            const end = text.indexOf(";", pos); // Skip anything we don't recognize
+            if (end < 0) {
+                break;
+            }
+            pos = end + 1;
+            continue;
+        }
+
+        pos++;
+        const idStart = pos;
+        while (pos < len && isDigit(text.charCodeAt(pos))) {
+            pos++;
+        }
+        const id = parseInt(text.substring(idStart, pos), 10);
+
+        skipWhitespace();
+        pos++; // "="
+        skipWhitespace();
+
+        const typeStart = pos;
+        while (pos < len && text[pos] !== "(") {
+            pos++;
+        }
+        const type = text.substring(typeStart, pos).trim().toUpperCase();
+        const args = parseList();
+
+        skipWhitespace();
+        if (text[pos] === ";") {
+            pos++;
+        }
+
+        entities[id] = {id: id, type: type, args: args};
+    }
+
+    return {schema: schema, entities: entities};
+}
+
+function isDigit(c) {
+    return c >= 48 && c <= 57;
+}
+
+function isTypeNameStart(c) {
+    return (c >= 65 && c <= 90) || (c >= 97 && c <= 122);
+}
+
+function decodeString(str) { // Decodes ISO 10303-21 control directives for non-ASCII characters
+    if (str.indexOf("\\") < 0) {
+        return str;
+    }
+    return str
+        .replace(/\\X2\\([0-9A-F]*)\\X0\\/gi, (match, hex) => {
+            let decoded = "";
+            for (let i = 0; i + 4 <= hex.length; i += 4) {
+                decoded += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+            }
+            return decoded;
+        })
+        .replace(/\\X\\([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/\\S\\(.)/g, (match, c) => String.fromCharCode(c.charCodeAt(0) + 128))
+        .replace(/\\P.\\/g, "")
+        .replace(/\\\\/g, "\\");
+}
+
+export {parseSTEP};
@@ -0,0 +1,210 @@
+/**
+ * Triangulates a 2D polygon that may have holes, using ear clipping.
+ *
+ * Holes are merged into the outer boundary by bridging each hole to a visible vertex on the boundary, then the
+ * resulting simple polygon is clipped into triangles.
+ *
+ * @param {Number[][]} outer Outer boundary, as an array of ````[x,y]```` vertices, in either winding order.
+ * @param {Number[][][]} [holes] Holes, each an array of ````[x,y]```` vertices, in either winding order.
+ * @returns {Number[]} Flat array of triangle vertex indices, which index the outer boundary vertices, followed by
+ * the vertices of each hole in turn. Triangles are wound counter-clockwise.
+ * @private
+ */
+function triangulatePolygon(outer, holes = []) {
+
+    const points = outer.slice();
+    let poly = [];
+
+    for (let i = 0, len = outer.length; i < len; i++) {
+        poly.push(i);
+    }
+
+    if (signedArea(points, poly) < 0) {
+        poly.reverse();
+    }
+
+    const holeLoops = [];
+
+    for (let i = 0, len = holes.length; i < len; i++) {
+        const hole = holes[i];
+        const loop = [];
+        for (let j = 0, lenj = hole.length; j < lenj; j++) {
+            loop.push(points.length);
+            points.push(hole[j]);
+        }
+        if (loop.length < 3) {
+            continue;
+        }
+        if (signedArea(points, loop) > 0) {
+            loop.reverse();
+        }
+        holeLoops.push(loop);
+    }
+
+    holeLoops.sort((a, b) => maxX(points, b) - maxX(points, a)); // Rightmost holes first
+
+    for (let i = 0, len = holeLoops.length; i < len; i++) {
+        poly = bridgeHole(points, poly, holeLoops[i]);
+    }
+
+    return clipEars(points, poly);
+}
+
+function signedArea(points, loop) {
+    let area = 0;
+    for (let i = 0, len = loop.length; i < len; i++) {
+        const a = points[loop[i]];
+        const b = points[loop[(i + 1) % len]];
+        area += (a[0] * b[1]) - (b[0] * a[1]);
+    }
+    return area * 0.5;
+}
+
+function maxX(points, loop) {
+    let max = -Infinity;
+    for (let i = 0, len = loop.length; i < len; i++) {
+        max = Math.max(max, points[loop[i]][0]);
+    }
+    return max;
+}
+
+function cross(a, b, c) {
+    return ((b[0] - a[0]) * (c[1] - a[1])) - ((b[1] - a[1]) * (c[0] - a[0]));
+}
+
+function pointInTriangle(p, a, b, c) {
+    return cross(a, b, p) > 0 && cross(b, c, p) > 0 && cross(c, a, p) > 0;
+}
+
+function samePoint(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
+
+function bridgeHole(points, poly, hole) {
+
+    // Find the hole's rightmost vertex
+
+    let holeStart = 0;
+    for (let i = 1, len = hole.length; i < len; i++) {
+        if (points[hole[i]][0] > points[hole[holeStart]][0]) {
+            holeStart = i;
+        }
+    }
+    const m = points[hole[holeStart]];
+
+    // Cast a ray from that vertex along +X, and find the nearest boundary edge it hits
+
+    let nearestX = Infinity;
+    let bridgeIndex = -1;
+
+    for (let i = 0, len = poly.length; i < len; i++) {
+        const a = points[poly[i]];
+        const b = points[poly[(i + 1) % len]];
+        if ((a[1] > m[1]) === (b[1] > m[1])) {
+            continue;
+        }
+        const x = a[0] + ((m[1] - a[1]) * (b[0] - a[0]) / (b[1] - a[1]));
+        if (x >= m[0] && x < nearestX) {
+            nearestX = x;
+            bridgeIndex = (a[0] > b[0]) ? i : (i + 1) % len;
+        }
+    }
+
+    if (bridgeIndex < 0) { // Hole not inside boundary
+        return poly;
+    }
+
+    // If any boundary vertex lies within the triangle formed by the hole vertex, the hit point and the
+    // candidate vertex, then it would block the bridge, so bridge to the blocking vertex nearest in angle to the ray
+
+    const hit = [nearestX, m[1]];
+    const candidate = points[poly[bridgeIndex]];
+    let bestTan = Infinity;
+
+    for (let i = 0, len = poly.length; i < len; i++) {
+        const p = points[poly[i]];
+        if (i === bridgeIndex || samePoint(p, candidate)) {
+            continue;
+        }
+        const inside = (m[1] < candidate[1]) ? pointInTriangle(p, m, hit, candidate) : pointInTriangle(p, m, candidate, hit);
+        if (inside) {
+            const tan = Math.abs(p[1] - m[1]) / (p[0] - m[0]);
+            if (tan < bestTan) {
+                bestTan = tan;
+                bridgeIndex = i;
+            }
+        }
+    }
+
+    const merged = poly.slice(0, bridgeIndex + 1);
+    for (let i = 0, len = hole.length; i <= len; i++) {
+        merged.push(hole[(holeStart + i) % len]);
+    }
+    merged.push(poly[bridgeIndex]);
+    for (let i = bridgeIndex + 1, len = poly.length; i < len; i++) {
+        merged.push(poly[i]);
+    }
+    return merged;
+}
+
+function clipEars(points, poly) {
+
+    const indices = [];
+    const remaining = poly.slice();
+    let failures = 0;
+    let i = 0;
+
+    while (remaining.length > 3 && failures < remaining.length) {
+
+        const len = remaining.length;
+        const i0 = remaining[(i + len - 1) % len];
+        const i1 = remaining[i % len];
+        const i2 = remaining[(i + 1) % len];
+        const a = points[i0];
+        const b = points[i1];
+        const c = points[i2];
+        const area = cross(a, b, c);
+
+        if (area === 0) { // Degenerate vertex
+            remaining.splice(i % len, 1);
+            failures = 0;
+            continue;
+        }
+
+        let isEar = area > 0;
+
+        if (isEar) {
+            for (let j = 0; j < len; j++) {
+                const p = points[remaining[j]];
+                if (samePoint(p, a) || samePoint(p, b) || samePoint(p, c)) {
+                    continue;
+                }
+                if (pointInTriangle(p, a, b, c)) {
+                    isEar = false;
+                    break;
+                }
+            }
+        }
+
+        if (isEar) {
+            indices.push(i0, i1, i2);
+            remaining.splice(i % len, 1);
+            failures = 0;
+        } else {
+            i++;
+            failures++;
+        }
+    }
+
+    if (remaining.length > 3) { // Self-intersecting or otherwise broken polygon - fan the remainder
+        for (let j = 1, len = remaining.length - 1; j < len; j++) {
+            indices.push(remaining[0], remaining[j], remaining[j + 1]);
+        }
+    } else if (remaining.length === 3) {
+        indices.push(remaining[0], remaining[1], remaining[2]);
+    }
+
+    return indices;
+}
+
+export {triangulatePolygon};
@@ -0,0 +1,93 @@
+import {utils} from "../../viewer/scene/utils.js";
+
+/**
+ * Default data access strategy for {@link OBJLoaderPlugin}.
+ *
+ * This just loads assets using XMLHttpRequest and HTMLImageElement.
+ */
+class OBJDefaultDataSource {
+
+    constructor() {
+    }
+
+    /**
+     * Gets metamodel JSON.
+     *
+     * @param {String|Number} metaModelSrc Identifies the metamodel JSON asset.
+     * @param {Function} ok Fired on successful loading of the metamodel JSON asset.
+     * @param {Function} error Fired on error while loading the metamodel JSON asset.
+     */
+    getMetaModel(metaModelSrc, ok, error) {
+        utils.loadJSON(metaModelSrc,
+            (json) => {
+                ok(json);
+            },
+            function (errMsg) {
+                error(errMsg);
+            });
+    }
+
+    /**
+     * Gets the contents of an OBJ file as text.
+     *
+     * @param {String|Number} objSrc Identifies the OBJ file.
+     * @param {Function} ok Fired on successful loading of the OBJ file, with its contents as a string.
+     * @param {Function} error Fired on error while loading the OBJ file.
+     */
+    getOBJ(objSrc, ok, error) {
+        loadText(objSrc, ok, error);
+    }
+
+    /**
+     * Gets the contents of an MTL file as text.
+     *
+     * The OBJ loader resolves the MTL file path relative to the directory of the OBJ file before passing it to this method.
+     *
+     * @param {String|Number} mtlSrc Identifies the MTL file.
+     * @param {Function} ok Fired on successful loading of the MTL file, with its contents as a string.
+     * @param {Function} error Fired on error while loading the MTL file.
+     */
+    getMTL(mtlSrc, ok, error) {
+        loadText(mtlSrc, ok, error);
+    }
+
+    /**
+     * Gets a texture image.
+     *
+     * The OBJ loader resolves the image path relative to the directory of the MTL file before passing it to this method.
+     *
+     * @param {String|Number} imageSrc Identifies the image file.
+     * @param {Function} ok Fired on successful loading of the image, with the loaded HTMLImageElement.
+     * @param {Function} error Fired on error while loading the image.
+     */
+    getImage(imageSrc, ok, error) {
+        const image = new Image();
+        image.crossOrigin = "Anonymous";
+        image.onload = () => {
+            ok(image);
+        };
+        image.onerror = () => {
+            error("getImage error : failed to load " + imageSrc);
+        };
+        image.src = imageSrc;
+    }
+}
+
+function loadText(src, ok, error) {
+    const request = new XMLHttpRequest();
+    request.overrideMimeType("text/plain");
+    request.open('GET', src, true);
+    request.responseType = 'text';
+    request.onreadystatechange = function () {
+        if (request.readyState === 4) {
+            if (request.status === 200 || (request.status === 0 && request.responseText)) { // Status 0 for non-HTTP protocols, eg. 'file://'
+                ok(request.responseText);
+            } else {
+                error('loadText error : ' + src + ' - ' + request.statusText);
+            }
+        }
+    };
+    request.send(null);
+}
+
+export {OBJDefaultDataSource};
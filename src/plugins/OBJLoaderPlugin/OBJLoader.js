@@ -2,6 +2,7 @@ import {Mesh} from "../../viewer/scene/mesh/Mesh.js";
 import {ReadableGeometry} from "../../viewer/scene/geometry/ReadableGeometry.js";
 import {PhongMaterial} from "../../viewer/scene/materials/PhongMaterial.js";
 import {Texture} from "../../viewer/scene/materials/Texture.js";
+import {Node} from "../../viewer/scene/nodes/Node.js";
 import {core} from "../../viewer/scene/core.js";
 
 /**
@@ -13,46 +14,56 @@ class OBJLoader  {
      * Loads OBJ and MTL from file(s) into a {@link Node}.
      *
      * @static
+     * @param {OBJLoaderPlugin} plugin Plugin whose data source is used to get the OBJ, MTL and image files.
      * @param {Node} modelNode Node to load into.
      * @param {String} src Path to OBJ file.
      * @param {Object} params Loading options.
      */
-    load(modelNode, src, params = {}) {
+    load(plugin, modelNode, src, params = {}) {
 
         var spinner = modelNode.scene.canvas.spinner;
         spinner.processes++;
 
-        loadOBJ(modelNode, src, function (state) {
-            loadMTLs(modelNode, state, function () {
+        loadOBJ(plugin, modelNode, src, function (state) {
+                loadMTLs(plugin, modelNode, state, function () {
 
-                createMeshes(modelNode, state);
+                    createMeshes(modelNode, state);
 
-                spinner.processes--;
+                    spinner.processes--;
 
-                core.scheduleTask(function () {
-                    modelNode.fire("loaded", true, false);
+                    core.scheduleTask(function () {
+                        modelNode.fire("loaded", true, false);
+                    });
                 });
+            },
+            function (errMsg) {
+                spinner.processes--;
+                plugin.error(errMsg);
+                modelNode.fire("error", errMsg);
             });
-        });
     }
 
     /**
      * Parses OBJ and MTL text strings into a {@link Node}.
      *
      * @static
+     * @param {OBJLoaderPlugin} plugin Plugin whose data source is used to get the image files.
      * @param {Node} modelNode Node to load into.
      * @param {String} objText OBJ text string.
      * @param {String} [mtlText] MTL text string.
      * @param {String} [basePath] Base path for external resources.
      */
-    parse(modelNode, objText, mtlText, basePath) {
+    parse(plugin, modelNode, objText, mtlText, basePath) {
         if (!objText) {
-            this.warn("load() param expected: objText");
+            plugin.warn("load() param expected: objText");
             return;
         }
         var state = parseOBJ(modelNode, objText, null);
+        if (!state) {
+            return;
+        }
         if (mtlText) {
-            parseMTL(modelNode, mtlText, basePath);
+            parseMTL(plugin, modelNode, state, mtlText, basePath);
         }
         createMeshes(modelNode, state);
         modelNode.src = null;
@@ -73,13 +84,17 @@ class OBJLoader  {
 // https://github.com/mrdoob/three.js/blob/dev/examples/js/loaders/MTLLoader.js
 //--------------------------------------------------------------------------------------------
 
-var loadOBJ = function (modelNode, url, ok) {
-    loadFile(url, function (text) {
+var loadOBJ = function (plugin, modelNode, url, ok, error) {
+    plugin.dataSource.getOBJ(url, function (text) {
             var state = parseOBJ(modelNode, text, url);
+            if (!state) {
+                error("Failed to parse OBJ file: " + url);
+                return;
+            }
             ok(state);
         },
-        function (error) {
-            modelNode.error(error);
+        function (errMsg) {
+            error("Failed to load OBJ file: " + url + " - " + errMsg);
         });
 };
 
@@ -87,11 +102,13 @@ var parseOBJ = (function () {
 
     const regexp = {
         // v float float float
-        vertex_pattern: /^v\s+([\d|\.|\+|\-|e|E]+)\s+([\d|\.|\+|\-|e|E]+)\s+([\d|\.|\+|\-|e|E]+)/,
+        vertex_pattern: /^v\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)/,
+        // v float float float float float float
+        vertex_color_pattern: /^v\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)/,
         // vn float float float
-        normal_pattern: /^vn\s+([\d|\.|\+|\-|e|E]+)\s+([\d|\.|\+|\-|e|E]+)\s+([\d|\.|\+|\-|e|E]+)/,
+        normal_pattern: /^vn\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)/,
         // vt float float
-        uv_pattern: /^vt\s+([\d|\.|\+|\-|e|E]+)\s+([\d|\.|\+|\-|e|E]+)/,
+        uv_pattern: /^vt\s+([\d|.|+|\-|e|E]+)\s+([\d|.|+|\-|e|E]+)/,
         // f vertex vertex vertex
         face_vertex: /^f\s+(-?\d+)\s+(-?\d+)\s+(-?\d+)(?:\s+(-?\d+))?/,
         // f vertex/uv vertex/uv vertex/uv
@@ -120,9 +137,12 @@ var parseOBJ = (function () {
             objects: [],
             object: {},
             positions: [],
+            colors: [],
+            hasColors: false,
             normals: [],
             uv: [],
-            materialLibraries: {}
+            materialLibraries: {},
+            materials: {}
         };
 
         startObject(state, "", false);
@@ -132,7 +152,7 @@ var parseOBJ = (function () {
 
         if (text.indexOf('\r\n') !== -1) {
             // This is faster than String.split with regex that splits on both
-            text = text.replace('\r\n', '\n');
+            text = text.replace(/\r\n/g, '\n');
         }
 
         var lines = text.split('\n');
@@ -165,7 +185,26 @@ var parseOBJ = (function () {
 
                 lineSecondChar = line.charAt(1);
 
-                if (lineSecondChar === ' ' && (result = regexp.vertex_pattern.exec(line)) !== null) {
+                if (lineSecondChar === ' ' && (result = regexp.vertex_color_pattern.exec(line)) !== null) {
+
+                    // 0                              1      2      3      4      5      6
+                    // ['v 1.0 2.0 3.0 0.1 0.2 0.3', '1.0', '2.0', '3.0', '0.1', '0.2', '0.3']
+
+                    state.positions.push(
+                        parseFloat(result[1]),
+                        parseFloat(result[2]),
+                        parseFloat(result[3])
+                    );
+
+                    state.colors.push(
+                        parseFloat(result[4]),
+                        parseFloat(result[5]),
+                        parseFloat(result[6])
+                    );
+
+                    state.hasColors = true;
+
+                } else if (lineSecondChar === ' ' && (result = regexp.vertex_pattern.exec(line)) !== null) {
 
                     // 0                  1      2      3
                     // ['v 1.0 2.0 3.0', '1.0', '2.0', '3.0']
@@ -176,6 +215,8 @@ var parseOBJ = (function () {
                         parseFloat(result[3])
                     );
 
+                    state.colors.push(1, 1, 1);
+
                 } else if (lineSecondChar === 'n' && (result = regexp.normal_pattern.exec(line)) !== null) {
 
                     // 0                   1      2      3
@@ -288,6 +329,11 @@ var parseOBJ = (function () {
                 // material
 
                 var id = line.substring(7).trim();
+
+                if (state.object.geometry.positions.length > 0 && state.object.material.id !== id) {
+                    startMaterialGroup(state); // Object changes material after some of its faces
+                }
+
                 state.object.material.id = id;
 
             } else if (regexp.material_library_pattern.test(line)) {
@@ -318,11 +364,6 @@ var parseOBJ = (function () {
         return state;
     };
 
-    function getBasePath(src) {
-        var n = src.lastIndexOf('/');
-        return (n === -1) ? src : src.substring(0, n + 1);
-    }
-
     function startObject(state, id, fromDeclaration) {
         if (state.object && state.object.fromDeclaration === false) {
             state.object.id = id;
@@ -333,6 +374,7 @@ var parseOBJ = (function () {
             id: id || '',
             geometry: {
                 positions: [],
+                colors: [],
                 normals: [],
                 uv: []
             },
@@ -345,6 +387,25 @@ var parseOBJ = (function () {
         state.objects.push(state.object);
     }
 
+    function startMaterialGroup(state) {
+        var object = state.object;
+        state.object = {
+            id: object.id,
+            geometry: {
+                positions: [],
+                colors: [],
+                normals: [],
+                uv: []
+            },
+            material: {
+                id: '',
+                smooth: object.material.smooth
+            },
+            fromDeclaration: true
+        };
+        state.objects.push(state.object);
+    }
+
     function parseVertexIndex(value, len) {
         var index = parseInt(value, 10);
         return (index >= 0 ? index - 1 : index + len / 3) * 3;
@@ -372,6 +433,19 @@ var parseOBJ = (function () {
         dst.push(src[c + 0]);
         dst.push(src[c + 1]);
         dst.push(src[c + 2]);
+        if (state.hasColors) {
+            src = state.colors;
+            dst = state.object.geometry.colors;
+            dst.push(src[a + 0]);
+            dst.push(src[a + 1]);
+            dst.push(src[a + 2]);
+            dst.push(src[b + 0]);
+            dst.push(src[b + 1]);
+            dst.push(src[b + 2]);
+            dst.push(src[c + 0]);
+            dst.push(src[c + 1]);
+            dst.push(src[c + 2]);
+        }
     }
 
     function addVertexLine(state, a) {
@@ -380,6 +454,13 @@ var parseOBJ = (function () {
         dst.push(src[a + 0]);
         dst.push(src[a + 1]);
         dst.push(src[a + 2]);
+        if (state.hasColors) {
+            src = state.colors;
+            dst = state.object.geometry.colors;
+            dst.push(src[a + 0]);
+            dst.push(src[a + 1]);
+            dst.push(src[a + 2]);
+        }
     }
 
     function addNormal(state, a, b, c) {
@@ -490,12 +571,16 @@ var parseOBJ = (function () {
 // Loads MTL files listed in parsed state
 //--------------------------------------------------------------------------------------------
 
-function loadMTLs(modelNode, state, ok) {
+function loadMTLs(plugin, modelNode, state, ok) {
     var basePath = state.basePath;
     var srcList = Object.keys(state.materialLibraries);
     var numToLoad = srcList.length;
+    if (numToLoad === 0) {
+        ok();
+        return;
+    }
     for (var i = 0, len = numToLoad; i < len; i++) {
-        loadMTL(modelNode, basePath, basePath + srcList[i], function () {
+        loadMTL(plugin, modelNode, state, basePath + srcList[i].replace(/\\/g, '/'), function () {
             if (--numToLoad === 0) {
                 ok();
             }
@@ -507,13 +592,13 @@ function loadMTLs(modelNode, state, ok) {
 // Loads an MTL file
 //--------------------------------------------------------------------------------------------
 
-var loadMTL = function (modelNode, basePath, src, ok) {
-    loadFile(src, function (text) {
-            parseMTL(modelNode, text, basePath);
+var loadMTL = function (plugin, modelNode, state, src, ok) {
+    plugin.dataSource.getMTL(src, function (text) {
+            parseMTL(plugin, modelNode, state, text, getBasePath(src));
             ok();
         },
-        function (error) {
-            modelNode.error(error);
+        function (errMsg) {
+            plugin.error("Failed to load MTL file: " + src + " - " + errMsg);
             ok();
         });
 };
@@ -522,13 +607,27 @@ var parseMTL = (function () {
 
     var delimiter_pattern = /\s+/;
 
-    return function (modelNode, mtlText, basePath) {
+    // Number of values that follow each texture map option
+    var textureOptionSizes = {
+        "-blendu": 1,
+        "-blendv": 1,
+        "-boost": 1,
+        "-bm": 1,
+        "-clamp": 1,
+        "-imfchan": 1,
+        "-texres": 1,
+        "-mm": 2,
+        "-o": 3,
+        "-s": 3,
+        "-t": 3,
+        "-cc": 1
+    };
+
+    return function (plugin, modelNode, state, mtlText, basePath) {
 
         var lines = mtlText.split('\n');
-        var materialCfg = {
-            id: "Default"
-        };
-        var needCreate = false;
+        var materialName = null;
+        var materialCfg = {};
         var line;
         var pos;
         var key;
@@ -545,7 +644,7 @@ var parseMTL = (function () {
                 continue;
             }
 
-            pos = line.indexOf(' ');
+            pos = line.search(delimiter_pattern);
 
             key = (pos >= 0) ? line.substring(0, pos) : line;
             key = key.toLowerCase();
@@ -553,16 +652,14 @@ var parseMTL = (function () {
             value = (pos >= 0) ? line.substring(pos + 1) : '';
             value = value.trim();
 
-            switch (key.toLowerCase()) {
+            switch (key) {
 
                 case "newmtl": // New material
-                    //if (needCreate) {
-                    createMaterial(modelNode, materialCfg);
-                    //}
-                    materialCfg = {
-                        id: value
-                    };
-                    needCreate = true;
+                    if (materialName !== null) {
+                        createMaterial(modelNode, state, materialName, materialCfg);
+                    }
+                    materialName = value;
+                    materialCfg = {};
                     break;
 
                 case 'ka':
@@ -577,22 +674,40 @@ var parseMTL = (function () {
                     materialCfg.specular = parseRGB(value);
                     break;
 
+                case 'ke':
+                    materialCfg.emissive = parseRGB(value);
+                    break;
+
                 case 'map_kd':
                     if (!materialCfg.diffuseMap) {
-                        materialCfg.diffuseMap = createTexture(modelNode, basePath, value, "sRGB");
+                        materialCfg.diffuseMap = createTexture(plugin, modelNode, basePath, value, "sRGB");
                     }
                     break;
 
                 case 'map_ks':
                     if (!materialCfg.specularMap) {
-                        materialCfg.specularMap = createTexture(modelNode, basePath, value, "linear");
+                        materialCfg.specularMap = createTexture(plugin, modelNode, basePath, value, "linear");
+                    }
+                    break;
+
+                case 'map_ke':
+                    if (!materialCfg.emissiveMap) {
+                        materialCfg.emissiveMap = createTexture(plugin, modelNode, basePath, value, "sRGB");
+                    }
+                    break;
+
+                case 'map_d':
+                    if (!materialCfg.alphaMap) {
+                        materialCfg.alphaMap = createTexture(plugin, modelNode, basePath, value, "linear");
+                        materialCfg.alphaMode = "blend";
                     }
                     break;
 
                 case 'map_bump':
                 case 'bump':
+                case 'norm':
                     if (!materialCfg.normalMap) {
-                        materialCfg.normalMap = createTexture(modelNode, basePath, value);
+                        materialCfg.normalMap = createTexture(plugin, modelNode, basePath, value);
                     }
                     break;
 
@@ -621,40 +736,53 @@ var parseMTL = (function () {
             }
         }
 
-        if (needCreate) {
-            createMaterial(modelNode, materialCfg);
+        if (materialName !== null) {
+            createMaterial(modelNode, state, materialName, materialCfg);
         }
     };
 
-    function createTexture(modelNode, basePath, value, encoding) {
+    function createTexture(plugin, modelNode, basePath, value, encoding) {
         var textureCfg = {};
-        var items = value.split(/\s+/);
-        var pos = items.indexOf('-bm');
-        if (pos >= 0) {
-            //matParams.bumpScale = parseFloat(items[pos + 1]);
-            items.splice(pos, 2);
-        }
-        pos = items.indexOf('-s');
-        if (pos >= 0) {
-            textureCfg.scale = [parseFloat(items[pos + 1]), parseFloat(items[pos + 2])];
-            items.splice(pos, 4); // we expect 3 parameters here!
-        }
-        pos = items.indexOf('-o');
-        if (pos >= 0) {
-            textureCfg.translate = [parseFloat(items[pos + 1]), parseFloat(items[pos + 2])];
-            items.splice(pos, 4); // we expect 3 parameters here!
+        var items = value.split(delimiter_pattern);
+        var fileItems = [];
+        for (var i = 0, len = items.length; i < len; i++) {
+            var item = items[i];
+            var numValues = textureOptionSizes[item.toLowerCase()];
+            if (numValues === undefined) {
+                fileItems.push(item);
+                continue;
+            }
+            var values = []; // The last two values of -o, -s and -t are optional
+            var j = i + 1;
+            while (j < len && values.length < numValues && (values.length === 0 || isNumber(items[j]))) {
+                values.push(parseFloat(items[j++]));
+            }
+            i = j - 1;
+            if (item === '-s') {
+                textureCfg.scale = [values[0], (values.length > 1) ? values[1] : 1];
+            } else if (item === '-o') {
+                textureCfg.translate = [values[0], (values.length > 1) ? values[1] : 0];
+            }
         }
-        textureCfg.src = basePath + items.join(' ').trim();
+        var src = basePath + fileItems.join(' ').trim().replace(/\\/g, '/');
         textureCfg.flipY = true;
         textureCfg.encoding = encoding || "linear";
         //textureCfg.wrapS = self.wrap;
         //textureCfg.wrapT = self.wrap;
         var texture = new Texture(modelNode, textureCfg);
-        return texture.id;
+        plugin.dataSource.getImage(src, function (image) {
+                if (!texture.destroyed) {
+                    texture.image = image;
+                }
+            },
+            function (errMsg) {
+                plugin.error("Failed to load texture image: " + src + " - " + errMsg);
+            });
+        return texture;
     }
 
-    function createMaterial(modelNode, materialCfg) {
-       new PhongMaterial(modelNode, materialCfg);
+    function createMaterial(modelNode, state, materialName, materialCfg) {
+        state.materials[materialName] = new PhongMaterial(modelNode, materialCfg);
     }
 
     function parseRGB(value) {
@@ -662,7 +790,12 @@ var parseMTL = (function () {
         return [parseFloat(ss[0]), parseFloat(ss[1]), parseFloat(ss[2])];
     }
 
+    function isNumber(value) {
+        return value !== undefined && value !== '' && !isNaN(value);
+    }
+
 })();
+
 //--------------------------------------------------------------------------------------------
 // Creates meshes from parsed state
 //--------------------------------------------------------------------------------------------
@@ -671,6 +804,20 @@ var createMeshes = (function () {
 
     return function (modelNode, state) {
 
+        // An object that changes material part-way through its faces is parsed into several parts,
+        // which become Meshes within a Node that represents the object
+
+        var numParts = {};
+        var objectNodes = {};
+        var defaultMaterials = {};
+
+        for (var i = 0, len = state.objects.length; i < len; i++) {
+            var part = state.objects[i];
+            if (part.geometry.positions.length > 0) {
+                numParts[part.id] = (numParts[part.id] || 0) + 1;
+            }
+        }
+
         for (var j = 0, k = state.objects.length; j < k; j++) {
 
             var object = state.objects[j];
@@ -697,6 +844,12 @@ var createMeshes = (function () {
                 geometryCfg.uv = geometry.uv;
             }
 
+            var hasColors = (geometry.colors.length === geometry.positions.length);
+
+            if (hasColors) {
+                geometryCfg.colors = toRGBA(geometry.colors);
+            }
+
             var indices = new Array(geometryCfg.positions.length / 3); // Triangle soup
             for (var idx = 0; idx < indices.length; idx++) {
                 indices[idx] = idx;
@@ -707,65 +860,87 @@ var createMeshes = (function () {
             var geometry = new ReadableGeometry(modelNode, geometryCfg);
 
             var materialId = object.material.id;
-            var material;
+            var material = null;
             if (materialId && materialId !== "") {
-                material = modelNode.scene.components[materialId];
+                material = state.materials[materialId];
                 if (!material) {
-                    modelNode.error("Material not found: " + materialId);
+                    modelNode.warn("Material not found: " + materialId);
                 }
-            } else {
-                material = new PhongMaterial(modelNode, {
-                    //emissive: [0.6, 0.6, 0.0],
-                    diffuse: [0.6, 0.6, 0.6],
-                    backfaces: true
-                });
-
+            }
+            if (!material) {
+                material = getDefaultMaterial(modelNode, defaultMaterials, hasColors);
             }
 
             // material.emissive = [Math.random(), Math.random(), Math.random()];
 
-            var mesh = new Mesh(modelNode, {
-                id: modelNode.id + "#" + object.id,
-                isObject: true,
-                geometry: geometry,
-                material: material,
-                pickable: true
-            });
+            var objectId = modelNode.id + "#" + object.id;
+            var mesh;
+
+            if (numParts[object.id] === 1) {
+
+                mesh = new Mesh(modelNode, {
+                    id: objectId,
+                    isObject: true,
+                    geometry: geometry,
+                    material: material,
+                    pickable: true
+                });
+
+                modelNode.addChild(mesh);
 
-            modelNode.addChild(mesh);
+            } else {
+
+                var objectNode = objectNodes[object.id];
+
+                if (!objectNode) {
+                    objectNode = new Node(modelNode, {
+                        id: objectId,
+                        isObject: true
+                    });
+                    modelNode.addChild(objectNode);
+                    objectNodes[object.id] = objectNode;
+                }
+
+                mesh = new Mesh(modelNode, {
+                    geometry: geometry,
+                    material: material,
+                    pickable: true
+                });
+
+                objectNode.addChild(mesh);
+            }
         }
     };
-})();
 
-function loadFile(url, ok, err) {
-    var request = new XMLHttpRequest();
-    request.open('GET', url, true);
-    request.addEventListener('load', function (event) {
-        var response = event.target.response;
-        if (this.status === 200) {
-            if (ok) {
-                ok(response);
-            }
-        } else if (this.status === 0) {
-            // Some browsers return HTTP Status 0 when using non-http protocol
-            // e.g. 'file://' or 'data://'. Handle as success.
-            console.warn('loadFile: HTTP Status 0 received.');
-            if (ok) {
-                ok(response);
-            }
-        } else {
-            if (err) {
-                err(event);
-            }
+    function getDefaultMaterial(modelNode, defaultMaterials, hasColors) {
+        var key = hasColors ? "colors" : "default";
+        var material = defaultMaterials[key];
+        if (!material) {
+            material = new PhongMaterial(modelNode, {
+                //emissive: [0.6, 0.6, 0.0],
+                diffuse: hasColors ? [1.0, 1.0, 1.0] : [0.6, 0.6, 0.6], // Don't darken vertex colors
+                backfaces: true
+            });
+            defaultMaterials[key] = material;
         }
-    }, false);
+        return material;
+    }
 
-    request.addEventListener('error', function (event) {
-        if (err) {
-            err(event);
+    function toRGBA(colors) {
+        var rgba = new Float32Array((colors.length / 3) * 4);
+        for (var i = 0, j = 0, len = colors.length; i < len; i += 3, j += 4) {
+            rgba[j + 0] = colors[i + 0];
+            rgba[j + 1] = colors[i + 1];
+            rgba[j + 2] = colors[i + 2];
+            rgba[j + 3] = 1.0;
         }
-    }, false);
-    request.send(null);
+        return rgba;
+    }
+})();
+
+function getBasePath(src) {
+    var n = src.lastIndexOf('/');
+    return (n === -1) ? "" : src.substring(0, n + 1);
 }
 
-export {OBJLoader};
\ No newline at end of file
+export {OBJLoader};
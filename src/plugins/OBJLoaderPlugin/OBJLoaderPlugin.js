@@ -2,6 +2,7 @@ import {Plugin} from "../../viewer/Plugin.js";
 import {Node} from "../../viewer/scene/nodes/Node.js";
 import {utils} from "../../viewer/scene/utils.js";
 import {OBJLoader} from "./OBJLoader.js";
+import {OBJDefaultDataSource} from "./OBJDefaultDataSource.js";
 
 /**
  * {@link Viewer} plugin that loads models from [OBJ](https://en.wikipedia.org/wiki/Wavefront_.obj_file) files.
@@ -18,7 +19,28 @@ import {OBJLoader} from "./OBJLoader.js";
  * Each {@link MetaObject} has a {@link MetaObject#type}, which indicates the classification of its corresponding {@link Entity}. When loading
  * metadata, we can also provide GLTFModelLoaderPlugin with a custom lookup table of initial values to set on the properties of each type of {@link Entity}. By default, OBJLoaderPlugin
  * uses its own map of standard default colors, visibilities and opacities for IFC element types.
-
+ *
+ * ## Materials and textures
+ *
+ * OBJLoaderPlugin loads the MTL files that the OBJ file references with ````mtllib````, and creates a {@link PhongMaterial}
+ * for each material within them. It supports these MTL statements:
+ *
+ * | MTL | Material property |
+ * |:---:|:---:|
+ * | ````Ka````, ````Kd````, ````Ks````, ````Ke```` | {@link PhongMaterial#ambient}, {@link PhongMaterial#diffuse}, {@link PhongMaterial#specular}, {@link PhongMaterial#emissive} |
+ * | ````Ns```` | {@link PhongMaterial#shininess} |
+ * | ````d````, ````Tr```` | {@link PhongMaterial#alpha} |
+ * | ````map_Kd````, ````map_Ks````, ````map_Ke````, ````map_d````, ````map_bump````/````bump````/````norm```` | A {@link Texture} for {@link PhongMaterial#diffuseMap}, {@link PhongMaterial#specularMap}, {@link PhongMaterial#emissiveMap}, {@link PhongMaterial#alphaMap} and {@link PhongMaterial#normalMap} |
+ *
+ * MTL file paths are relative to the OBJ file, and texture image paths are relative to the MTL file.
+ *
+ * When an object in the OBJ file changes material part-way through its faces, OBJLoaderPlugin creates a {@link Mesh} for
+ * each material, within a {@link Node} that represents the object.
+ *
+ * ## Vertex colors
+ *
+ * OBJLoaderPlugin also loads vertex colors, which some scanning tools write as three extra values on each
+ * ````v```` line, ie. ````v x y z r g b````, with each color component in range ````[0..1]````.
  *
  * ## Usage
  *
@@ -60,6 +82,60 @@ import {OBJLoader} from "./OBJLoader.js";
  * // Destroy the model
  * model.destroy();
  * ````
+ *
+ * ## Loading from a custom data source
+ *
+ * By default, OBJLoaderPlugin loads OBJ and MTL files, texture images and metadata over HTTP, using an {@link OBJDefaultDataSource}.
+ *
+ * We can configure it with a custom data source instead, through which we can load the files from somewhere else,
+ * such as from a zip file that we've already loaded, or from storage that needs authentication. The data source
+ * gets the OBJ file path we give to {@link OBJLoaderPlugin#load}, along with the MTL and image paths
+ * resolved against it.
+ *
+ * In the example below, we'll load the files from a zip file that we've opened with [JSZip](https://stuk.github.io/jszip/).
+ *
+ * ````javascript
+ * class ZipDataSource {
+ *
+ *      constructor(zip) {
+ *          this.zip = zip;
+ *      }
+ *
+ *      getMetaModel(metaModelSrc, ok, error) {
+ *          this.zip.file(metaModelSrc).async("string").then((text) => ok(JSON.parse(text)), error);
+ *      }
+ *
+ *      // Gets the contents of the given .obj file as a string
+ *      getOBJ(objSrc, ok, error) {
+ *          this.zip.file(objSrc).async("string").then(ok, error);
+ *      }
+ *
+ *      // Gets the contents of the given .mtl file as a string
+ *      getMTL(mtlSrc, ok, error) {
+ *          this.zip.file(mtlSrc).async("string").then(ok, error);
+ *      }
+ *
+ *      // Gets the given texture image as a loaded HTMLImageElement
+ *      getImage(imageSrc, ok, error) {
+ *          this.zip.file(imageSrc).async("blob").then((blob) => {
+ *              const image = new Image();
+ *              image.onload = () => ok(image);
+ *              image.onerror = error;
+ *              image.src = URL.createObjectURL(blob);
+ *          }, error);
+ *      }
+ * }
+ *
+ * const objLoader = new OBJLoaderPlugin(viewer, {
+ *      dataSource: new ZipDataSource(zip)
+ * });
+ *
+ * const model = objLoader.load({
+ *      id: "myModel",
+ *      src: "sportsCar/sportsCar.obj"
+ * });
+ * ````
+ *
  * @class OBJLoaderPlugin
  */
 class OBJLoaderPlugin extends Plugin {
@@ -70,8 +146,9 @@ class OBJLoaderPlugin extends Plugin {
      * @param {Viewer} viewer The Viewer.
      * @param {Object} cfg Plugin configuration.
      * @param {String} [cfg.id="OBJLoader"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {Object} [cfg.dataSource] A custom data source through which the OBJLoaderPlugin can load OBJ and MTL files, texture images and metadata. Defaults to an instance of {@link OBJDefaultDataSource}, which loads over HTTP.
      */
-    constructor(viewer, cfg) {
+    constructor(viewer, cfg = {}) {
 
         super("OBJLoader", viewer, cfg);
 
@@ -79,6 +156,30 @@ class OBJLoaderPlugin extends Plugin {
          * @private
          */
         this._loader = new OBJLoader();
+
+        this.dataSource = cfg.dataSource;
+    }
+
+    /**
+     * Sets a custom data source through which the OBJLoaderPlugin can load OBJ and MTL files, texture images and metadata.
+     *
+     * Default value is {@link OBJDefaultDataSource}, which loads via HTTP.
+     *
+     * @type {Object}
+     */
+    set dataSource(value) {
+        this._dataSource = value || new OBJDefaultDataSource();
+    }
+
+    /**
+     * Gets the custom data source through which the OBJLoaderPlugin can load OBJ and MTL files, texture images and metadata.
+     *
+     * Default value is {@link OBJDefaultDataSource}, which loads via HTTP.
+     *
+     * @type {Object}
+     */
+    get dataSource() {
+        return this._dataSource;
     }
 
     /**
@@ -116,16 +217,16 @@ class OBJLoaderPlugin extends Plugin {
 
         if (params.metaModelSrc) {
             const metaModelSrc = params.metaModelSrc;
-            utils.loadJSON(metaModelSrc,
+            this._dataSource.getMetaModel(metaModelSrc,
                 (modelMetadata) => {
                     this.viewer.metaScene.createMetaModel(modelId, modelMetadata);
-                    this._loader.load(modelNode, src, params);
+                    this._loader.load(this, modelNode, src, params);
                 },
                 (errMsg) => {
                     this.error(`load(): Failed to load model modelMetadata for model '${modelId} from  '${metaModelSrc}' - ${errMsg}`);
                 });
         } else {
-            this._loader.load(modelNode, src, params);
+            this._loader.load(this, modelNode, src, params);
         }
 
         modelNode.once("destroyed", () => {
@@ -0,0 +1,370 @@
+import {Mesh} from "../../viewer/scene/mesh/Mesh.js";
+import {ReadableGeometry} from "../../viewer/scene/geometry/ReadableGeometry.js";
+import {MetallicMaterial} from "../../viewer/scene/materials/MetallicMaterial.js";
+import {LambertMaterial} from "../../viewer/scene/materials/LambertMaterial.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {core} from "../../viewer/scene/core.js";
+
+const PROPERTY_TYPES = {
+    char: {size: 1, read: "getInt8"},
+    int8: {size: 1, read: "getInt8"},
+    uchar: {size: 1, read: "getUint8"},
+    uint8: {size: 1, read: "getUint8"},
+    short: {size: 2, read: "getInt16"},
+    int16: {size: 2, read: "getInt16"},
+    ushort: {size: 2, read: "getUint16"},
+    uint16: {size: 2, read: "getUint16"},
+    int: {size: 4, read: "getInt32"},
+    int32: {size: 4, read: "getInt32"},
+    uint: {size: 4, read: "getUint32"},
+    uint32: {size: 4, read: "getUint32"},
+    float: {size: 4, read: "getFloat32"},
+    float32: {size: 4, read: "getFloat32"},
+    double: {size: 8, read: "getFloat64"},
+    float64: {size: 8, read: "getFloat64"}
+};
+
+/**
+ * @private
+ */
+class PLYLoader {
+
+    load(plugin, modelNode, src, options, ok, error) {
+        options = options || {};
+        var spinner = plugin.viewer.scene.canvas.spinner;
+        spinner.processes++;
+        load(plugin, modelNode, src, options, function () {
+                spinner.processes--;
+                core.scheduleTask(function () {
+                    modelNode.fire("loaded", true, false);
+                });
+                if (ok) {
+                    ok();
+                }
+            },
+            function (msg) {
+                spinner.processes--;
+                plugin.error(msg);
+                if (error) {
+                    error(msg);
+                }
+                modelNode.fire("error", msg);
+            });
+    }
+}
+
+var load = (function () {
+    function loadData(src, ok, error) {
+        var request = new XMLHttpRequest();
+        request.open('GET', src, true);
+        request.responseType = 'arraybuffer';
+        request.onreadystatechange = function () {
+            if (request.readyState === 4) {
+                if (request.status === 200) {
+                    ok(request.response, this);
+                } else {
+                    error("Failed to load PLY file: " + src);
+                }
+            }
+        };
+        request.send(null);
+    }
+
+    return function (plugin, model, src, options, ok, error) {
+        loadData(src, function (data) { // OK
+                try {
+                    parse(data, plugin, model, options);
+                } catch (e) {
+                    error(e);
+                    return;
+                }
+                ok();
+            },
+            error);
+    };
+})();
+
+function parse(data, plugin, modelNode, options) {
+
+    var header = parseHeader(data);
+
+    var vertexElement = null;
+    var faceElement = null;
+
+    for (var i = 0, len = header.elements.length; i < len; i++) {
+        var element = header.elements[i];
+        if (element.name === "vertex") {
+            vertexElement = element;
+        } else if (element.name === "face") {
+            faceElement = element;
+        }
+    }
+
+    if (!vertexElement) {
+        throw "PLY file has no vertex element";
+    }
+
+    var buffers = {
+        positions: [],
+        normals: [],
+        colors: [],
+        indices: []
+    };
+
+    if (header.format === "ascii") {
+        parseASCII(data, header, buffers);
+    } else if (header.format === "binary_little_endian" || header.format === "binary_big_endian") {
+        parseBinary(data, header, buffers, header.format === "binary_little_endian");
+    } else {
+        throw "Unsupported PLY format: " + header.format;
+    }
+
+    addMesh(modelNode, buffers, vertexElement, (faceElement && buffers.indices.length > 0), options);
+}
+
+function parseHeader(data) {
+
+    var bytes = new Uint8Array(data);
+    var headerText = "";
+    var headerLength = 0;
+    var line = "";
+
+    for (var i = 0, len = Math.min(bytes.length, 65536); i < len; i++) { // Header is ASCII, ending with "end_header"
+        var c = String.fromCharCode(bytes[i]);
+        headerText += c;
+        if (c === "\n") {
+            if (line.trim() === "end_header") {
+                headerLength = i + 1;
+                break;
+            }
+            line = "";
+        } else {
+            line += c;
+        }
+    }
+
+    if (headerLength === 0) {
+        throw "Invalid PLY file: end_header not found";
+    }
+
+    var lines = headerText.split(/\r?\n/);
+
+    if (lines[0].trim() !== "ply") {
+        throw "Invalid PLY file: missing 'ply' magic number";
+    }
+
+    var header = {
+        format: null,
+        elements: [],
+        headerLength: headerLength
+    };
+
+    var currentElement = null;
+
+    for (var j = 1, lenj = lines.length; j < lenj; j++) {
+        var tokens = lines[j].trim().split(/\s+/);
+        switch (tokens[0]) {
+            case "format":
+                header.format = tokens[1];
+                break;
+            case "element":
+                currentElement = {
+                    name: tokens[1],
+                    count: parseInt(tokens[2], 10),
+                    properties: []
+                };
+                header.elements.push(currentElement);
+                break;
+            case "property":
+                if (!currentElement) {
+                    break;
+                }
+                if (tokens[1] === "list") {
+                    currentElement.properties.push({
+                        name: tokens[4],
+                        isList: true,
+                        countType: tokens[2],
+                        itemType: tokens[3]
+                    });
+                } else {
+                    currentElement.properties.push({
+                        name: tokens[2],
+                        type: tokens[1]
+                    });
+                }
+                break;
+        }
+    }
+
+    return header;
+}
+
+function parseASCII(data, header, buffers) {
+
+    var text = decodeText(new Uint8Array(data, header.headerLength));
+    var tokens = text.split(/\s+/).filter(function (token) {
+        return token.length > 0;
+    });
+    var t = 0;
+
+    for (var i = 0, len = header.elements.length; i < len; i++) {
+        var element = header.elements[i];
+        for (var j = 0; j < element.count; j++) {
+            var values = {};
+            for (var k = 0, lenk = element.properties.length; k < lenk; k++) {
+                var property = element.properties[k];
+                if (property.isList) {
+                    var count = parseInt(tokens[t++], 10);
+                    var list = [];
+                    for (var l = 0; l < count; l++) {
+                        list.push(parseInt(tokens[t++], 10));
+                    }
+                    values[property.name] = list;
+                } else {
+                    values[property.name] = parseFloat(tokens[t++]);
+                }
+            }
+            addElementValues(element, values, buffers);
+        }
+    }
+}
+
+function parseBinary(data, header, buffers, littleEndian) {
+
+    var dataView = new DataView(data);
+    var byteOffset = header.headerLength;
+
+    function read(type) {
+        var propertyType = PROPERTY_TYPES[type];
+        if (!propertyType) {
+            throw "Unsupported PLY property type: " + type;
+        }
+        var value = dataView[propertyType.read](byteOffset, littleEndian);
+        byteOffset += propertyType.size;
+        return value;
+    }
+
+    for (var i = 0, len = header.elements.length; i < len; i++) {
+        var element = header.elements[i];
+        for (var j = 0; j < element.count; j++) {
+            var values = {};
+            for (var k = 0, lenk = element.properties.length; k < lenk; k++) {
+                var property = element.properties[k];
+                if (property.isList) {
+                    var count = read(property.countType);
+                    var list = [];
+                    for (var l = 0; l < count; l++) {
+                        list.push(read(property.itemType));
+                    }
+                    values[property.name] = list;
+                } else {
+                    values[property.name] = read(property.type);
+                }
+            }
+            addElementValues(element, values, buffers);
+        }
+    }
+}
+
+function addElementValues(element, values, buffers) {
+
+    if (element.name === "vertex") {
+
+        buffers.positions.push(values.x, values.y, values.z);
+
+        if (values.nx !== undefined) {
+            buffers.normals.push(values.nx, values.ny, values.nz);
+        }
+
+        var red = (values.red !== undefined) ? values.red : values.diffuse_red;
+
+        if (red !== undefined) {
+            var green = (values.green !== undefined) ? values.green : values.diffuse_green;
+            var blue = (values.blue !== undefined) ? values.blue : values.diffuse_blue;
+            var alpha = (values.alpha !== undefined) ? values.alpha : values.diffuse_alpha;
+            var colorType = getPropertyType(element, (values.red !== undefined) ? "red" : "diffuse_red");
+            var scale = (colorType === "float" || colorType === "float32" || colorType === "double" || colorType === "float64") ? 1 : (1 / 255);
+            buffers.colors.push(red * scale, green * scale, blue * scale, (alpha !== undefined) ? alpha * scale : 1);
+        }
+
+    } else if (element.name === "face") {
+
+        var vertexIndices = values.vertex_indices || values.vertex_index;
+
+        if (vertexIndices) {
+            for (var i = 1, len = vertexIndices.length - 1; i < len; i++) { // Triangle fan for polygons
+                buffers.indices.push(vertexIndices[0], vertexIndices[i], vertexIndices[i + 1]);
+            }
+        }
+    }
+}
+
+function getPropertyType(element, name) {
+    if (!element._propertyTypes) {
+        element._propertyTypes = {};
+        for (var i = 0, len = element.properties.length; i < len; i++) {
+            element._propertyTypes[element.properties[i].name] = element.properties[i].type;
+        }
+    }
+    return element._propertyTypes[name];
+}
+
+function addMesh(modelNode, buffers, vertexElement, hasFaces, options) {
+
+    var positions = buffers.positions;
+    var colors = buffers.colors.length > 0 ? buffers.colors : null;
+    var geometry;
+    var material;
+
+    if (hasFaces) {
+
+        var indices = (positions.length / 3 > 65535) ? new Uint32Array(buffers.indices) : new Uint16Array(buffers.indices);
+        var normals = buffers.normals.length > 0 ? buffers.normals : math.buildNormals(positions, indices, []);
+
+        geometry = new ReadableGeometry(modelNode, {
+            primitive: "triangles",
+            positions: positions,
+            normals: normals,
+            colors: colors,
+            indices: indices
+        });
+
+        material = new MetallicMaterial(modelNode, {
+            roughness: 0.5
+        });
+
+    } else { // Point cloud
+
+        geometry = new ReadableGeometry(modelNode, {
+            primitive: "points",
+            positions: positions,
+            colors: colors
+        });
+
+        material = new LambertMaterial(modelNode, {
+            pointSize: options.pointSize || 1
+        });
+    }
+
+    var mesh = new Mesh(modelNode, {
+        id: modelNode.id + "#0",
+        geometry: geometry,
+        material: material,
+        edges: hasFaces ? options.edges : false
+    });
+
+    modelNode.addChild(mesh);
+}
+
+function decodeText(array) {
+    if (typeof TextDecoder !== 'undefined') {
+        return new TextDecoder().decode(array);
+    }
+    var s = '';
+    for (var i = 0, il = array.length; i < il; i++) {
+        s += String.fromCharCode(array[i]);
+    }
+    return s;
+}
+
+export {PLYLoader}
@@ -0,0 +1,118 @@
+import {Node} from "../../viewer/scene/nodes/Node.js";
+import {Plugin} from "../../viewer/Plugin.js";
+import {PLYLoader} from "./PLYLoader.js";
+import {utils} from "../../viewer/scene/utils.js";
+
+/**
+ * {@link Viewer} plugin that loads models from <a href="https://en.wikipedia.org/wiki/PLY_(file_format)">PLY</a> files.
+ *
+ * ## Overview
+ *
+ * * Creates an {@link Entity} representing each model it loads, which will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#models}.
+ * * When loading, can set the World-space position, scale and rotation of each model within World space, along with initial properties for all the model's {@link Entity}s.
+ * * Supports ASCII and binary (little-endian and big-endian) formats.
+ * * Loads per-vertex colors and normals, when the file has them.
+ * * Loads files without faces, such as laser scans, as point clouds.
+ *
+ * ## Meshes and point clouds
+ *
+ * When a PLY file has a ````face```` element, PLYLoaderPlugin loads it as a triangle mesh, splitting polygons into triangles. When the
+ * file has no normals, PLYLoaderPlugin generates smooth ones.
+ *
+ * When the file has only a ````vertex```` element, PLYLoaderPlugin loads it as a point cloud, with points of the size
+ * given in the ````pointSize```` loading parameter.
+ *
+ * See the {@link PLYLoaderPlugin#load} method for more info on loading options.
+ *
+ * ## Usage
+ *
+ * In the example below, we'll use a PLYLoaderPlugin to load a PLY scan of a statue. When the model has loaded,
+ * we'll use the {@link CameraFlightAnimation} to fly the {@link Camera} to look at boundary of the model.
+ *
+ * ````javascript
+ * // Create a xeokit Viewer
+ * const viewer = new Viewer({
+ *      canvasId: "myCanvas"
+ * });
+ *
+ * // Add a PLYLoaderPlugin to the Viewer
+ * var plugin = new PLYLoaderPlugin(viewer, {
+ *      id: "PLYModels"  // Default value
+ * });
+ *
+ * // Load the PLY model
+ * var model = plugin.load({ // Model is an Entity
+ *      id: "myModel",
+ *      src: "./models/ply/statue.ply",
+ *      rotation: [-90, 0, 0],
+ *      scale: [10, 10, 10],
+ *      position: [0, 0, 0]
+ * });
+ *
+ * // When the model has loaded, fit it to view
+ * model.on("loaded", function() { // Model is an Entity
+ *      viewer.cameraFlight.flyTo(model);
+ * });
+ * ````
+ *
+ * @class PLYLoaderPlugin
+ */
+class PLYLoaderPlugin extends Plugin {
+
+    /**
+     * @constructor
+     *
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="PLYLoader"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     */
+    constructor(viewer, cfg) {
+
+        super("PLYLoader", viewer, cfg);
+
+        /**
+         * @private
+         */
+        this._loader = new PLYLoader(this, cfg);
+    }
+
+    /**
+     * Loads a PLY model from a file into this PLYLoaderPlugin's {@link Viewer}.
+     *
+     * @param {*} params Loading parameters.
+     * @param {String} params.id ID to assign to the model's root {@link Entity}, unique among all components in the Viewer's {@link Scene}.
+     * @param {String} params.src Path to a PLY file.
+     * @param {Boolean} [params.edges=false] Whether or not xeokit renders the model with edges emphasized. Ignored for point clouds.
+     * @param {Number[]} [params.position=[0,0,0]] The model World-space 3D position.
+     * @param {Number[]} [params.scale=[1,1,1]] The model's World-space scale.
+     * @param {Number[]} [params.rotation=[0,0,0]] The model's World-space rotation, as Euler angles given in degrees, for each of the X, Y and Z axis.
+     * @param {Number[]} [params.matrix=[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1]] The model's world transform matrix. Overrides the position, scale and rotation parameters.
+     * @param {Boolean} [params.backfaces=false] When true, allows visible backfaces. When false, ignores backfaces.
+     * @param {Number} [params.pointSize=1] Size of points in pixels, when the PLY file is a point cloud.
+     * @returns {Entity} Entity representing the model, which will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#models}
+     */
+    load(params) {
+
+        if (params.id && this.viewer.scene.components[params.id]) {
+            this.error("Component with this ID already exists in viewer: " + params.id + " - will autogenerate this ID");
+            delete params.id;
+        }
+
+        var modelNode = new Node(this.viewer.scene, utils.apply(params, {
+            isModel: true
+        }));
+
+        const src = params.src;
+
+        if (!src) {
+            this.error("load() param expected: src");
+            return modelNode;
+        }
+
+        this._loader.load(this, modelNode, src, params);
+
+        return modelNode;
+    }
+}
+
+export {PLYLoaderPlugin}
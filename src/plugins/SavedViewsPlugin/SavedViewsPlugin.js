@@ -0,0 +1,669 @@
+import {Plugin} from "../../viewer/Plugin.js";
+import {SectionPlane} from "../../viewer/scene/sectionPlane/SectionPlane.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {getMarkerJSON, getMarkerParams} from "../lib/markers/markerJSON.js";
+import {getObjectsFlagJSON, setObjectsFlagJSON} from "../lib/objects/objectsFlagJSON.js";
+
+/**
+ * Version of the saved view JSON documents written by {@link SavedViewsPlugin}.
+ * @private
+ */
+const SAVED_VIEWS_VERSION = 1;
+
+const SAO_PROPERTIES = ["enabled", "kernelRadius", "intensity", "bias", "scale", "minResolution", "blur", "blendCutoff", "blendFactor"];
+const EDGE_PROPERTIES = ["edges", "edgeColor", "edgeAlpha", "edgeWidth"];
+
+/**
+ * {@link Viewer} plugin that saves and restores views, for presentations and design reviews.
+ *
+ * A saved view captures, in one JSON document:
+ *
+ * * the {@link Camera} position and projection,
+ * * the visibility, X-ray, highlight, selection, colorize and opacity states of objects,
+ * * the {@link SectionPlane}s,
+ * * the {@link SAO} and {@link EdgeMaterial} settings,
+ * * the {@link DistanceMeasurement}s, {@link AngleMeasurement}s and {@link Annotation}s, when we configure SavedViewsPlugin with their plugins, and
+ * * a snapshot thumbnail image.
+ *
+ * SavedViewsPlugin keeps an ordered list of saved views, which we can rename and reorder to set up a presentation, then
+ * step through with {@link SavedViewsPlugin#restoreView}, optionally flying the camera to each view.
+ *
+ * The whole list can be saved as JSON with {@link SavedViewsPlugin#getJSON} and loaded again with {@link SavedViewsPlugin#loadJSON}.
+ * Each view has a ````version````, so that views saved by this version of SavedViewsPlugin can still be loaded by later versions.
+ *
+ * ## Usage
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XKTLoaderPlugin} from "../src/plugins/XKTLoaderPlugin/XKTLoaderPlugin.js";
+ * import {DistanceMeasurementsPlugin} from "../src/plugins/DistanceMeasurementsPlugin/DistanceMeasurementsPlugin.js";
+ * import {AnnotationsPlugin} from "../src/plugins/AnnotationsPlugin/AnnotationsPlugin.js";
+ * import {SavedViewsPlugin} from "../src/plugins/SavedViewsPlugin/SavedViewsPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas",
+ *     preserveDrawingBuffer: true // For thumbnails
+ * });
+ *
+ * const distanceMeasurements = new DistanceMeasurementsPlugin(viewer);
+ * const annotations = new AnnotationsPlugin(viewer, {
+ *     markerHTML: "<div class='annotation-marker'>{{glyph}}</div>",
+ *     labelHTML: "<div class='annotation-label'>{{title}}</div>"
+ * });
+ *
+ * const savedViews = new SavedViewsPlugin(viewer, {
+ *     distanceMeasurements: distanceMeasurements,
+ *     annotations: annotations
+ * });
+ *
+ * // Save a couple of views
+ *
+ * savedViews.saveView({ name: "Entrance" });
+ *
+ * //...
+ *
+ * const roofView = savedViews.saveView({ name: "Roof" });
+ *
+ * // Make the roof view the first one in the presentation, and rename it
+ *
+ * savedViews.moveView(roofView.id, 0);
+ * savedViews.renameView(roofView.id, "Roof overview");
+ *
+ * // Fly to each view in turn
+ *
+ * const views = savedViews.views;
+ *
+ * savedViews.restoreView(views[0].id, {
+ *     flight: true,
+ *     duration: 1.5
+ * }, () => {
+ *     console.log("Arrived at " + views[0].name);
+ * });
+ *
+ * // Save all views, to load them again later
+ *
+ * const json = savedViews.getJSON();
+ *
+ * //...
+ *
+ * savedViews.loadJSON(json);
+ * ````
+ *
+ * @class SavedViewsPlugin
+ */
+class SavedViewsPlugin extends Plugin {
+
+    /**
+     * @constructor
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="SavedViews"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {DistanceMeasurementsPlugin} [cfg.distanceMeasurements] Plugin whose {@link DistanceMeasurement}s to save in views.
+     * @param {AngleMeasurementsPlugin} [cfg.angleMeasurements] Plugin whose {@link AngleMeasurement}s to save in views.
+     * @param {AnnotationsPlugin} [cfg.annotations] Plugin whose {@link Annotation}s to save in views.
+     * @param {Number} [cfg.thumbnailWidth=200] Width of view thumbnails, in pixels.
+     * @param {Number} [cfg.thumbnailHeight=150] Height of view thumbnails, in pixels.
+     * @param {String} [cfg.thumbnailFormat="jpeg"] Image format of view thumbnails; "jpeg", "png" or "bmp".
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("SavedViews", viewer, cfg);
+
+        this._distanceMeasurements = cfg.distanceMeasurements || null;
+        this._angleMeasurements = cfg.angleMeasurements || null;
+        this._annotations = cfg.annotations || null;
+
+        /**
+         * Width of view thumbnails, in pixels.
+         * @property thumbnailWidth
+         * @type {number}
+         */
+        this.thumbnailWidth = cfg.thumbnailWidth || 200;
+
+        /**
+         * Height of view thumbnails, in pixels.
+         * @property thumbnailHeight
+         * @type {number}
+         */
+        this.thumbnailHeight = cfg.thumbnailHeight || 150;
+
+        /**
+         * Image format of view thumbnails.
+         * @property thumbnailFormat
+         * @type {string}
+         */
+        this.thumbnailFormat = cfg.thumbnailFormat || "jpeg";
+
+        this._views = [];
+    }
+
+    /**
+     * Gets the saved views, in presentation order.
+     *
+     * Each view is a JSON object with an ````id````, ````name````, ````thumbnail```` and the captured view state.
+     *
+     * @type {Object[]}
+     */
+    get views() {
+        return this._views.slice();
+    }
+
+    /**
+     * Gets a saved view.
+     *
+     * @param {String} id ID of the view.
+     * @returns {*} The view, or ````null```` if not found.
+     */
+    getView(id) {
+        const index = this._indexOf(id);
+        return (index !== -1) ? this._views[index] : null;
+    }
+
+    /**
+     * Saves the current view.
+     *
+     * Fires a "viewSaved" event with the view.
+     *
+     * @param {*} [params] Parameters for the view.
+     * @param {String} [params.id] ID for the view, generated automatically when omitted. Replaces any existing view with the same ID, keeping its position in the list.
+     * @param {String} [params.name] Name of the view. Defaults to "View N".
+     * @param {Boolean} [params.thumbnail=true] Whether to capture a snapshot thumbnail.
+     * @param {Number} [params.index] Position to insert the view in the list. Appends the view when omitted.
+     * @returns {*} The saved view.
+     */
+    saveView(params = {}) {
+        const scene = this.viewer.scene;
+        const view = {
+            version: SAVED_VIEWS_VERSION,
+            id: params.id || math.createUUID(),
+            name: params.name || ("View " + (this._views.length + 1)),
+            createdAt: new Date().toISOString(),
+            thumbnail: (params.thumbnail !== false) ? this.viewer.getSnapshot({
+                width: this.thumbnailWidth,
+                height: this.thumbnailHeight,
+                format: this.thumbnailFormat
+            }) : null,
+            camera: getCameraJSON(scene.camera),
+            objects: getObjectsJSON(scene),
+            sectionPlanes: getSectionPlanesJSON(scene),
+            sao: getPropertiesJSON(scene.sao, SAO_PROPERTIES),
+            edges: getPropertiesJSON(scene.edgeMaterial, EDGE_PROPERTIES),
+            measurements: this._getMeasurementsJSON(),
+            annotations: this._getAnnotationsJSON()
+        };
+        const existingIndex = this._indexOf(view.id);
+        if (existingIndex !== -1) {
+            this._views[existingIndex] = view;
+        } else if (params.index !== undefined && params.index !== null) {
+            this._views.splice(clampIndex(params.index, this._views.length + 1), 0, view);
+        } else {
+            this._views.push(view);
+        }
+        this.fire("viewSaved", view);
+        return view;
+    }
+
+    /**
+     * Restores a saved view.
+     *
+     * Fires a "viewRestored" event with the view once the camera is in place.
+     *
+     * @param {String|*} view ID of a saved view, or a saved view JSON object.
+     * @param {*} [options] Options for restoring the view.
+     * @param {Boolean} [options.flight=false] When ````true````, flies the camera to the view with the Viewer's {@link CameraFlightAnimation}, instead of jumping there.
+     * @param {Number} [options.duration] Flight duration in seconds. Overrides {@link CameraFlightAnimation#duration}.
+     * @param {Function} [done] Callback fired once the camera is in place.
+     */
+    restoreView(view, options = {}, done) {
+        if (typeof view === "string") {
+            const id = view;
+            view = this.getView(id);
+            if (!view) {
+                this.error("Saved view not found: " + id);
+                return;
+            }
+        }
+        if (!this._checkVersion(view)) {
+            return;
+        }
+        const scene = this.viewer.scene;
+        restoreObjects(scene, view.objects);
+        restoreSectionPlanes(scene, view.sectionPlanes);
+        restoreProperties(scene.sao, view.sao, SAO_PROPERTIES);
+        restoreProperties(scene.edgeMaterial, view.edges, EDGE_PROPERTIES);
+        this._restoreMeasurements(view.measurements);
+        this._restoreAnnotations(view.annotations);
+        const arrived = () => {
+            this.fire("viewRestored", view);
+            if (done) {
+                done();
+            }
+        };
+        if (view.camera) {
+            this._restoreCamera(view.camera, options, arrived);
+        } else {
+            arrived();
+        }
+    }
+
+    /**
+     * Renames a saved view.
+     *
+     * Fires a "viewRenamed" event with the view.
+     *
+     * @param {String} id ID of the view.
+     * @param {String} name New name for the view.
+     */
+    renameView(id, name) {
+        const view = this.getView(id);
+        if (!view) {
+            this.error("Saved view not found: " + id);
+            return;
+        }
+        view.name = name;
+        this.fire("viewRenamed", view);
+    }
+
+    /**
+     * Moves a saved view to a new position in the list.
+     *
+     * Fires a "viewsReordered" event with the reordered list.
+     *
+     * @param {String} id ID of the view.
+     * @param {Number} index New position of the view, where ````0```` is the first.
+     */
+    moveView(id, index) {
+        const fromIndex = this._indexOf(id);
+        if (fromIndex === -1) {
+            this.error("Saved view not found: " + id);
+            return;
+        }
+        const view = this._views.splice(fromIndex, 1)[0];
+        this._views.splice(clampIndex(index, this._views.length + 1), 0, view);
+        this.fire("viewsReordered", this.views);
+    }
+
+    /**
+     * Sets the order of the saved views.
+     *
+     * Views that are not in the given list keep their relative order, after the ones that are.
+     *
+     * Fires a "viewsReordered" event with the reordered list.
+     *
+     * @param {String[]} ids IDs of the views, in their new order.
+     */
+    reorderViews(ids) {
+        const views = [];
+        const ordered = {};
+        for (let i = 0, len = ids.length; i < len; i++) {
+            const view = this.getView(ids[i]);
+            if (view && !ordered[view.id]) {
+                views.push(view);
+                ordered[view.id] = true;
+            }
+        }
+        this._views = views.concat(this._views.filter((view) => !ordered[view.id]));
+        this.fire("viewsReordered", this.views);
+    }
+
+    /**
+     * Deletes a saved view.
+     *
+     * Fires a "viewDeleted" event with the view.
+     *
+     * @param {String} id ID of the view.
+     */
+    deleteView(id) {
+        const index = this._indexOf(id);
+        if (index === -1) {
+            this.log("Saved view not found: " + id);
+            return;
+        }
+        const view = this._views.splice(index, 1)[0];
+        this.fire("viewDeleted", view);
+    }
+
+    /**
+     * Deletes all saved views.
+     */
+    clear() {
+        const ids = this._views.map((view) => view.id);
+        for (let i = 0, len = ids.length; i < len; i++) {
+            this.deleteView(ids[i]);
+        }
+    }
+
+    /**
+     * Gets all the saved views as a JSON document.
+     *
+     * @returns {*} JSON document with the ````version```` and the ````views````, in presentation order.
+     */
+    getJSON() {
+        return {
+            version: SAVED_VIEWS_VERSION,
+            views: JSON.parse(JSON.stringify(this._views))
+        };
+    }
+
+    /**
+     * Loads saved views from a JSON document that we got from {@link SavedViewsPlugin#getJSON}.
+     *
+     * Replaces any existing saved views. Ignores views that were saved by a later, unsupported version of SavedViewsPlugin.
+     *
+     * @param {*} json JSON document with ````views````.
+     */
+    loadJSON(json) {
+        if (!json || !json.views) {
+            this.error("Saved views JSON expected");
+            return;
+        }
+        this.clear();
+        this._views = JSON.parse(JSON.stringify(json.views)).filter((view) => this._checkVersion(view));
+        this.fire("viewsLoaded", this.views);
+    }
+
+    /**
+     * @private
+     */
+    _indexOf(id) {
+        for (let i = 0, len = this._views.length; i < len; i++) {
+            if (this._views[i].id === id) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @private
+     */
+    _checkVersion(view) {
+        if (view.version > SAVED_VIEWS_VERSION) {
+            this.error("Saved view '" + view.id + "' has unsupported version " + view.version + " - this SavedViewsPlugin supports version " + SAVED_VIEWS_VERSION);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _restoreCamera(json, options, done) {
+        const camera = this.viewer.scene.camera;
+        if (json.fov !== undefined) {
+            camera.perspective.fov = json.fov;
+        }
+        if (options.flight) {
+            this.viewer.cameraFlight.flyTo({
+                eye: json.eye,
+                look: json.look,
+                up: json.up,
+                projection: json.projection,
+                orthoScale: json.orthoScale,
+                duration: options.duration
+            }, done);
+            return;
+        }
+        camera.eye = json.eye;
+        camera.look = json.look;
+        camera.up = json.up;
+        if (json.orthoScale !== undefined) {
+            camera.ortho.scale = json.orthoScale;
+        }
+        camera.projection = json.projection;
+        done();
+    }
+
+    /**
+     * @private
+     */
+    _getMeasurementsJSON() {
+        const json = [];
+        if (this._distanceMeasurements) {
+            forEachValue(this._distanceMeasurements.measurements, (measurement) => {
+                json.push({
+                    type: "distance",
+                    id: measurement.id,
+                    origin: getMarkerJSON(measurement.origin),
+                    target: getMarkerJSON(measurement.target),
+                    visible: measurement.visible
+                });
+            });
+        }
+        if (this._angleMeasurements) {
+            forEachValue(this._angleMeasurements.measurements, (measurement) => {
+                json.push({
+                    type: "angle",
+                    id: measurement.id,
+                    origin: getMarkerJSON(measurement.origin),
+                    corner: getMarkerJSON(measurement.corner),
+                    target: getMarkerJSON(measurement.target),
+                    visible: measurement.visible
+                });
+            });
+        }
+        return json;
+    }
+
+    /**
+     * @private
+     */
+    _restoreMeasurements(json) {
+        if (!json) {
+            return;
+        }
+        if (this._distanceMeasurements) {
+            this._distanceMeasurements.clear();
+        }
+        if (this._angleMeasurements) {
+            this._angleMeasurements.clear();
+        }
+        for (let i = 0, len = json.length; i < len; i++) {
+            const measurementJSON = json[i];
+            const plugin = (measurementJSON.type === "angle") ? this._angleMeasurements : this._distanceMeasurements;
+            if (!plugin) {
+                continue;
+            }
+            const params = {
+                id: measurementJSON.id,
+                origin: getMarkerParams(this, measurementJSON.origin),
+                target: getMarkerParams(this, measurementJSON.target),
+                visible: measurementJSON.visible
+            };
+            if (measurementJSON.corner) {
+                params.corner = getMarkerParams(this, measurementJSON.corner);
+            }
+            plugin.createMeasurement(params);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getAnnotationsJSON() {
+        const json = [];
+        if (this._annotations) {
+            forEachValue(this._annotations.annotations, (annotation) => {
+                const annotationJSON = getMarkerJSON(annotation);
+                annotationJSON.id = annotation.id;
+                annotationJSON.occludable = annotation.occludable;
+                annotationJSON.markerShown = annotation.getMarkerShown();
+                annotationJSON.labelShown = annotation.getLabelShown();
+                annotationJSON.values = copyJSON(annotation.getValues());
+                if (annotation.eye) {
+                    annotationJSON.eye = Array.from(annotation.eye);
+                    annotationJSON.look = Array.from(annotation.look);
+                    annotationJSON.up = Array.from(annotation.up);
+                    annotationJSON.projection = annotation.projection;
+                }
+                json.push(annotationJSON);
+            });
+        }
+        return json;
+    }
+
+    /**
+     * @private
+     */
+    _restoreAnnotations(json) {
+        if (!json || !this._annotations) {
+            return;
+        }
+        const scene = this.viewer.scene;
+        this._annotations.clear();
+        for (let i = 0, len = json.length; i < len; i++) {
+            const annotationJSON = json[i];
+            this._annotations.createAnnotation({
+                id: annotationJSON.id,
+                worldPos: annotationJSON.worldPos,
+                entity: annotationJSON.entity ? scene.objects[annotationJSON.entity] : undefined,
+                occludable: annotationJSON.occludable,
+                markerShown: annotationJSON.markerShown,
+                labelShown: annotationJSON.labelShown,
+                values: annotationJSON.values,
+                eye: annotationJSON.eye,
+                look: annotationJSON.look,
+                up: annotationJSON.up,
+                projection: annotationJSON.projection
+            });
+        }
+    }
+
+    /**
+     * Destroys this SavedViewsPlugin.
+     */
+    destroy() {
+        this._views = [];
+        super.destroy();
+    }
+}
+
+function getCameraJSON(camera) {
+    const json = {
+        eye: Array.from(camera.eye),
+        look: Array.from(camera.look),
+        up: Array.from(camera.up),
+        projection: camera.projection,
+        fov: camera.perspective.fov,
+        orthoScale: camera.ortho.scale
+    };
+    return json;
+}
+
+function getObjectsJSON(scene) {
+    const colorized = {};
+    const opacity = {};
+    scene.colorizedObjectIds.forEach((id) => {
+        colorized[id] = Array.from(scene.objects[id].colorize).slice(0, 3);
+    });
+    scene.opacityObjectIds.forEach((id) => {
+        opacity[id] = scene.objects[id].opacity;
+    });
+    return {
+        visible: getObjectsFlagJSON(scene, scene.visibleObjects, scene.visibleObjectIds),
+        xrayed: getObjectsFlagJSON(scene, scene.xrayedObjects, scene.xrayedObjectIds),
+        highlighted: getObjectsFlagJSON(scene, scene.highlightedObjects, scene.highlightedObjectIds),
+        selected: getObjectsFlagJSON(scene, scene.selectedObjects, scene.selectedObjectIds),
+        colorized: colorized,
+        opacity: opacity
+    };
+}
+
+function restoreObjects(scene, json) {
+    if (!json) {
+        return;
+    }
+    const exists = (id) => !!scene.objects[id];
+    if (json.visible) {
+        setObjectsFlagJSON(scene, json.visible, (ids, visible) => scene.setObjectsVisible(ids, visible));
+    }
+    if (json.xrayed) {
+        setObjectsFlagJSON(scene, json.xrayed, (ids, xrayed) => scene.setObjectsXRayed(ids, xrayed));
+    }
+    if (json.highlighted) {
+        setObjectsFlagJSON(scene, json.highlighted, (ids, highlighted) => scene.setObjectsHighlighted(ids, highlighted));
+    }
+    if (json.selected) {
+        setObjectsFlagJSON(scene, json.selected, (ids, selected) => scene.setObjectsSelected(ids, selected));
+    }
+    scene.setObjectsColorized(scene.colorizedObjectIds, null);
+    forEachValue(json.colorized || {}, (color, id) => {
+        if (exists(id)) {
+            scene.setObjectsColorized([id], color);
+        }
+    });
+    scene.setObjectsOpacity(scene.opacityObjectIds, 1.0);
+    forEachValue(json.opacity || {}, (opacity, id) => {
+        if (exists(id)) {
+            scene.setObjectsOpacity([id], opacity);
+        }
+    });
+}
+
+function getSectionPlanesJSON(scene) {
+    const json = [];
+    forEachValue(scene.sectionPlanes, (sectionPlane) => {
+        json.push({
+            id: sectionPlane.id,
+            pos: Array.from(sectionPlane.pos),
+            dir: Array.from(sectionPlane.dir),
+            active: sectionPlane.active
+        });
+    });
+    return json;
+}
+
+function restoreSectionPlanes(scene, json) {
+    if (!json) {
+        return;
+    }
+    scene.clearSectionPlanes();
+    for (let i = 0, len = json.length; i < len; i++) {
+        const sectionPlaneJSON = json[i];
+        new SectionPlane(scene, {
+            id: sectionPlaneJSON.id,
+            pos: sectionPlaneJSON.pos,
+            dir: sectionPlaneJSON.dir,
+            active: sectionPlaneJSON.active
+        });
+    }
+}
+
+function getPropertiesJSON(component, properties) {
+    const json = {};
+    for (let i = 0, len = properties.length; i < len; i++) {
+        const value = component[properties[i]];
+        json[properties[i]] = (value && value.length !== undefined) ? Array.from(value) : value;
+    }
+    return json;
+}
+
+function restoreProperties(component, json, properties) {
+    if (!json) {
+        return;
+    }
+    for (let i = 0, len = properties.length; i < len; i++) {
+        const name = properties[i];
+        if (json[name] !== undefined) {
+            component[name] = json[name];
+        }
+    }
+}
+
+function forEachValue(map, fn) {
+    for (let key in map) {
+        if (map.hasOwnProperty(key)) {
+            fn(map[key], key);
+        }
+    }
+}
+
+function copyJSON(values) {
+    return JSON.parse(JSON.stringify(values || {}));
+}
+
+function clampIndex(index, length) {
+    return Math.max(0, Math.min(index, length - 1));
+}
+
+export {SavedViewsPlugin};
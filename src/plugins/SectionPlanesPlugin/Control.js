@@ -42,6 +42,10 @@ class Control {
         this._rootNode = null; // Root of Node graph that represents this control in the 3D scene
         this._displayMeshes = null; // Meshes that are always visible
         this._affordanceMeshes = null; // Meshes displayed momentarily for affordance
+        this._sectionPlane = null;
+        this._onSectionPlanePos = null;
+        this._onSectionPlaneDir = null;
+        this._draggingSectionPlane = false; // True while this Control is updating its SectionPlane
 
         this._createNodes();
         this._bindEvents();
@@ -53,11 +57,30 @@ class Control {
      * @private
      */
     _setSectionPlane(sectionPlane) {
+        if (this._sectionPlane) {
+            this._sectionPlane.off(this._onSectionPlanePos);
+            this._sectionPlane.off(this._onSectionPlaneDir);
+            this._onSectionPlanePos = null;
+            this._onSectionPlaneDir = null;
+        }
         this._sectionPlane = sectionPlane;
         if (sectionPlane) {
             this.id = sectionPlane.id;
             this._setPos(sectionPlane.pos);
             this._setDir(sectionPlane.dir);
+
+            // Follow the SectionPlane when something other than this Control moves it, eg. an undo
+
+            this._onSectionPlanePos = sectionPlane.on("pos", () => {
+                if (!this._draggingSectionPlane) {
+                    this._setPos(sectionPlane.pos);
+                }
+            });
+            this._onSectionPlaneDir = sectionPlane.on("dir", () => {
+                if (!this._draggingSectionPlane) {
+                    this._setDir(sectionPlane.dir);
+                }
+            });
         }
     }
 
@@ -971,7 +994,9 @@ class Control {
                 self._pos[2] += worldAxis[2] * dot;
                 self._rootNode.position = self._pos;
                 if (self.sectionPlane) {
+                    self._draggingSectionPlane = true;
                     self.sectionPlane.pos = self._pos;
+                    self._draggingSectionPlane = false;
                 }
             }
         })();
@@ -1047,7 +1072,9 @@ class Control {
                 if (self.sectionPlane) {
                     math.quaternionToMat4(rootNode.quaternion, mat);  // << ---
                     math.transformVec3(mat, [0, 0, 1], dir);
+                    self._draggingSectionPlane = true;
                     self._sectionPlane.dir = dir;
+                    self._draggingSectionPlane = false;
                 }
             };
         })();
@@ -0,0 +1,81 @@
+/**
+ * HTML play and scrub controls for a {@link TimelinePlugin}.
+ *
+ * Consists of a play/pause button, a slider to scrub through the timeline, and a label that shows the current date. Each
+ * element has a CSS class, so that we can style them.
+ *
+ * @private
+ */
+class TimelineControls {
+
+    /**
+     * @private
+     */
+    constructor(plugin, containerElement) {
+
+        this._plugin = plugin;
+        this._scrubbing = false;
+
+        const element = this._element = document.createElement("div");
+        element.className = "xeokit-timeline";
+
+        const playButton = this._playButton = document.createElement("button");
+        playButton.className = "xeokit-timeline-play";
+        playButton.type = "button";
+        playButton.addEventListener("click", () => {
+            if (plugin.playing) {
+                plugin.pause();
+            } else {
+                plugin.play();
+            }
+        });
+
+        const slider = this._slider = document.createElement("input");
+        slider.className = "xeokit-timeline-slider";
+        slider.type = "range";
+        slider.min = "0";
+        slider.max = "1000";
+        slider.step = "1";
+        slider.addEventListener("input", () => {
+            this._scrubbing = true;
+            plugin.progress = parseInt(slider.value) / 1000;
+            this._scrubbing = false;
+        });
+
+        const label = this._label = document.createElement("span");
+        label.className = "xeokit-timeline-date";
+
+        element.appendChild(playButton);
+        element.appendChild(slider);
+        element.appendChild(label);
+        containerElement.appendChild(element);
+
+        this._update();
+    }
+
+    /**
+     * @private
+     */
+    _update() {
+        const plugin = this._plugin;
+        const time = plugin.time;
+        this._playButton.textContent = plugin.playing ? "❚❚" : "▶";
+        this._playButton.title = plugin.playing ? "Pause" : "Play";
+        if (!this._scrubbing) {
+            this._slider.value = "" + Math.round(plugin.progress * 1000);
+        }
+        this._slider.disabled = (plugin.startTime === null);
+        this._label.textContent = time ? plugin.formatDate(time) : "";
+    }
+
+    /**
+     * @private
+     */
+    destroy() {
+        if (this._element.parentNode) {
+            this._element.parentNode.removeChild(this._element);
+        }
+    }
+}
+
+export {TimelineControls};
@@ -0,0 +1,788 @@
+import {Plugin} from "../../viewer/Plugin.js";
+import {TimelineControls} from "./TimelineControls.js";
+import {parseTasksCSV} from "./lib/parseTasksCSV.js";
+import {parseTasksMSProjectXML} from "./lib/parseTasksMSProjectXML.js";
+import {parseDate} from "../lib/parsing/parseDate.js";
+
+const NOT_STARTED = "notStarted";
+const IN_PROGRESS = "inProgress";
+const COMPLETE = "complete";
+
+/**
+ * {@link Viewer} plugin that shows construction sequences (4D), by tying objects to the tasks that build them.
+ *
+ * Each task has a start date, an end date, and the IDs of the objects that it builds. For the current {@link TimelinePlugin#time},
+ * TimelinePlugin shows each object as:
+ *
+ * * **not started**, when none of its tasks have started - hidden by default,
+ * * **in progress**, when any of its tasks is underway - visible and colorized, and optionally highlighted, or
+ * * **complete**, when its tasks are complete - visible and not colorized, unless we configure a color for completed objects.
+ *
+ * TimelinePlugin applies these states with {@link Scene#setObjectsVisible}, {@link Scene#setObjectsColorized}
+ * and {@link Scene#setObjectsHighlighted}, and only updates the objects whose states change. Objects that don't belong
+ * to any task are left alone.
+ *
+ * ## Tasks
+ *
+ * We can create tasks with {@link TimelinePlugin#createTask}, or import them from:
+ *
+ * * CSV, with {@link TimelinePlugin#importCSV}, or
+ * * Microsoft Project XML, with {@link TimelinePlugin#importMSProjectXML}.
+ *
+ * ## Playing and Scrubbing
+ *
+ * We can play through the timeline with {@link TimelinePlugin#play}, which takes {@link TimelinePlugin#playDuration} seconds
+ * to get from the start to the end, and scrub through it by setting {@link TimelinePlugin#time} or {@link TimelinePlugin#progress}.
+ *
+ * When we configure TimelinePlugin with a ````controlsElement````, it also creates HTML controls in that element, with a
+ * play/pause button, a slider for scrubbing and a date label. These have the CSS classes ````xeokit-timeline````,
+ * ````xeokit-timeline-play````, ````xeokit-timeline-slider```` and ````xeokit-timeline-date````.
+ *
+ * ## Usage
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XKTLoaderPlugin} from "../src/plugins/XKTLoaderPlugin/XKTLoaderPlugin.js";
+ * import {TimelinePlugin} from "../src/plugins/TimelinePlugin/TimelinePlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const xktLoader = new XKTLoaderPlugin(viewer);
+ *
+ * const model = xktLoader.load({
+ *     id: "myModel",
+ *     src: "./models/xkt/schependomlaan/schependomlaan.xkt"
+ * });
+ *
+ * const timeline = new TimelinePlugin(viewer, {
+ *     controlsElement: document.getElementById("myTimelineControls"),
+ *     inProgressColor: [1.0, 0.5, 0.0],
+ *     playDuration: 20
+ * });
+ *
+ * timeline.createTask({
+ *     id: "foundations",
+ *     name: "Foundations",
+ *     start: "2020-03-02",
+ *     end: "2020-03-20",
+ *     objectIds: ["0u4wgLe6n0ABVaiXyikbkA", "3u4wgLe3n0AXVaiXyikbYO"]
+ * });
+ *
+ * // Or import tasks from CSV:
+ * //
+ * // id,name,start,end,objects
+ * // walls1,Ground floor walls,2020-03-23,2020-04-10,2O2Fr$t4X7Zf8NOew3FLOH 2O2Fr$t4X7Zf8NOew3FNr2
+ *
+ * timeline.importCSV(csvText);
+ *
+ * model.on("loaded", () => {
+ *
+ *     // Show the state of the building on a given date
+ *
+ *     timeline.time = new Date("2020-04-01");
+ *
+ *     // Play through the whole construction
+ *
+ *     timeline.stop();
+ *     timeline.play();
+ * });
+ *
+ * timeline.on("time", (time) => {
+ *     console.log("Building on " + time.toDateString());
+ * });
+ * ````
+ *
+ * @class TimelinePlugin
+ */
+class TimelinePlugin extends Plugin {
+
+    /**
+     * @constructor
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="Timeline"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {Boolean} [cfg.notStartedVisible=false] Whether objects whose tasks have not started are visible.
+     * @param {Number[]} [cfg.inProgressColor=[1.0, 0.5, 0.0]] RGB color for objects whose tasks are in progress. Set ````null```` to not colorize them.
+     * @param {Boolean} [cfg.inProgressHighlighted=false] Whether to highlight objects whose tasks are in progress.
+     * @param {Number[]} [cfg.completeColor=null] RGB color for objects whose tasks are complete. Not colorized when ````null````.
+     * @param {Number} [cfg.playDuration=10] Time, in seconds, that {@link TimelinePlugin#play} takes to play from the start to the end of the timeline.
+     * @param {HTMLElement} [cfg.controlsElement] HTML element in which to create play and scrub controls.
+     * @param {Function} [cfg.dateFormatter] Callback that formats a date for the controls' date label. Defaults to ````Date#toLocaleDateString````.
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("Timeline", viewer, cfg);
+
+        this._tasks = {};
+        this._time = null;
+        this._objectStatus = {}; // Status applied to each object, mapped to object ID
+        this._dirty = false;
+        this._playing = false;
+        this._lastTickTime = null;
+        this._numObjects = viewer.scene.numObjects;
+
+        this.notStartedVisible = cfg.notStartedVisible;
+        this.inProgressColor = (cfg.inProgressColor !== undefined) ? cfg.inProgressColor : [1.0, 0.5, 0.0];
+        this.inProgressHighlighted = cfg.inProgressHighlighted;
+        this.completeColor = cfg.completeColor;
+        this.playDuration = cfg.playDuration;
+
+        this._dateFormatter = cfg.dateFormatter || ((date) => date.toLocaleDateString());
+
+        this._onTick = viewer.scene.on("tick", () => {
+            this._tick();
+        });
+
+        this._controls = cfg.controlsElement ? new TimelineControls(this, cfg.controlsElement) : null;
+    }
+
+    /**
+     * Sets whether objects whose tasks have not started are visible.
+     *
+     * Default value is ````false````.
+     *
+     * @type {Boolean}
+     */
+    set notStartedVisible(value) {
+        this._notStartedVisible = !!value;
+        this._restyle();
+    }
+
+    /**
+     * Gets whether objects whose tasks have not started are visible.
+     *
+     * Default value is ````false````.
+     *
+     * @type {Boolean}
+     */
+    get notStartedVisible() {
+        return this._notStartedVisible;
+    }
+
+    /**
+     * Sets the RGB color for objects whose tasks are in progress.
+     *
+     * When ````null````, these objects are not colorized.
+     *
+     * Default value is ````[1.0, 0.5, 0.0]````.
+     *
+     * @type {Number[]}
+     */
+    set inProgressColor(value) {
+        this._inProgressColor = value ? Array.from(value) : null;
+        this._restyle();
+    }
+
+    /**
+     * Gets the RGB color for objects whose tasks are in progress.
+     *
+     * Default value is ````[1.0, 0.5, 0.0]````.
+     *
+     * @type {Number[]}
+     */
+    get inProgressColor() {
+        return this._inProgressColor;
+    }
+
+    /**
+     * Sets whether objects whose tasks are in progress are highlighted.
+     *
+     * Default value is ````false````.
+     *
+     * @type {Boolean}
+     */
+    set inProgressHighlighted(value) {
+        this._inProgressHighlighted = !!value;
+        this._restyle();
+    }
+
+    /**
+     * Gets whether objects whose tasks are in progress are highlighted.
+     *
+     * Default value is ````false````.
+     *
+     * @type {Boolean}
+     */
+    get inProgressHighlighted() {
+        return this._inProgressHighlighted;
+    }
+
+    /**
+     * Sets the RGB color for objects whose tasks are complete.
+     *
+     * When ````null````, these objects are not colorized.
+     *
+     * Default value is ````null````.
+     *
+     * @type {Number[]}
+     */
+    set completeColor(value) {
+        this._completeColor = value ? Array.from(value) : null;
+        this._restyle();
+    }
+
+    /**
+     * Gets the RGB color for objects whose tasks are complete.
+     *
+     * Default value is ````null````.
+     *
+     * @type {Number[]}
+     */
+    get completeColor() {
+        return this._completeColor;
+    }
+
+    /**
+     * Sets the time, in seconds, that {@link TimelinePlugin#play} takes to play from the start to the end of the timeline.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    set playDuration(value) {
+        this._playDuration = (value !== undefined && value !== null && value > 0) ? value : 10;
+    }
+
+    /**
+     * Gets the time, in seconds, that {@link TimelinePlugin#play} takes to play from the start to the end of the timeline.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    get playDuration() {
+        return this._playDuration;
+    }
+
+    /**
+     * Gets the tasks, each mapped to its ID.
+     *
+     * Each task has an ````id````, ````name````, ````start```` and ````end```` dates, and ````objectIds````.
+     *
+     * @type {{String:Object}}
+     */
+    get tasks() {
+        return this._tasks;
+    }
+
+    /**
+     * Gets the start date of the earliest task, or ````null```` if there are no tasks.
+     *
+     * @type {Date}
+     */
+    get startTime() {
+        let startTime = null;
+        for (let id in this._tasks) {
+            if (this._tasks.hasOwnProperty(id)) {
+                const start = this._tasks[id].start;
+                if (startTime === null || start < startTime) {
+                    startTime = start;
+                }
+            }
+        }
+        return startTime;
+    }
+
+    /**
+     * Gets the end date of the latest task, or ````null```` if there are no tasks.
+     *
+     * @type {Date}
+     */
+    get endTime() {
+        let endTime = null;
+        for (let id in this._tasks) {
+            if (this._tasks.hasOwnProperty(id)) {
+                const end = this._tasks[id].end;
+                if (endTime === null || end > endTime) {
+                    endTime = end;
+                }
+            }
+        }
+        return endTime;
+    }
+
+    /**
+     * Sets the current date, and shows the state of each object at that date.
+     *
+     * Fires a "time" event with the new date.
+     *
+     * Default value is ````null````, which shows all objects in their normal state.
+     *
+     * @type {Date}
+     */
+    set time(value) {
+        const time = toDate(value);
+        if (value !== null && value !== undefined && time === null) {
+            this.error("Invalid date: " + value);
+            return;
+        }
+        this._time = time;
+        this._render();
+        this.fire("time", this._time);
+        this._updateControls();
+    }
+
+    /**
+     * Gets the current date.
+     *
+     * Default value is ````null````.
+     *
+     * @type {Date}
+     */
+    get time() {
+        return this._time;
+    }
+
+    /**
+     * Sets the current date as a fraction of the way from {@link TimelinePlugin#startTime} to {@link TimelinePlugin#endTime}.
+     *
+     * @type {Number}
+     */
+    set progress(value) {
+        const startTime = this.startTime;
+        const endTime = this.endTime;
+        if (startTime === null) {
+            return;
+        }
+        value = Math.max(0, Math.min(1, value));
+        this.time = new Date(startTime.getTime() + (endTime.getTime() - startTime.getTime()) * value);
+    }
+
+    /**
+     * Gets the current date as a fraction of the way from {@link TimelinePlugin#startTime} to {@link TimelinePlugin#endTime}.
+     *
+     * Returns ````0```` when there are no tasks or no current date.
+     *
+     * @type {Number}
+     */
+    get progress() {
+        const startTime = this.startTime;
+        const endTime = this.endTime;
+        if (startTime === null || this._time === null || endTime.getTime() === startTime.getTime()) {
+            return 0;
+        }
+        return Math.max(0, Math.min(1, (this._time.getTime() - startTime.getTime()) / (endTime.getTime() - startTime.getTime())));
+    }
+
+    /**
+     * Gets whether this TimelinePlugin is playing.
+     *
+     * @type {Boolean}
+     */
+    get playing() {
+        return this._playing;
+    }
+
+    /**
+     * Creates a task.
+     *
+     * @param {Object} params Task configuration.
+     * @param {String} [params.id] Unique ID for the task. Generated automatically when omitted.
+     * @param {String} [params.name] Name of the task.
+     * @param {Date|String|Number} params.start Start date of the task.
+     * @param {Date|String|Number} params.end End date of the task.
+     * @param {String[]} params.objectIds IDs of the objects that the task builds.
+     * @returns {Object} The new task, or ````null```` if the params were invalid.
+     */
+    createTask(params) {
+        const start = toDate(params.start);
+        const end = toDate(params.end);
+        if (start === null || end === null) {
+            this.error("Task needs valid start and end dates");
+            return null;
+        }
+        if (end < start) {
+            this.error("Task ends before it starts");
+            return null;
+        }
+        let id = params.id;
+        if (id === undefined || id === null) {
+            id = "task" + Object.keys(this._tasks).length;
+            while (this._tasks[id]) {
+                id += "_";
+            }
+        }
+        if (this._tasks[id]) {
+            this.error("Task with this ID already exists: " + id);
+            return null;
+        }
+        const task = {
+            id: id,
+            name: params.name || "",
+            start: start,
+            end: end,
+            objectIds: (params.objectIds || []).slice()
+        };
+        this._tasks[id] = task;
+        this._dirty = true;
+        return task;
+    }
+
+    /**
+     * Destroys a task.
+     *
+     * @param {String} id ID of the task.
+     */
+    destroyTask(id) {
+        if (!this._tasks[id]) {
+            this.log("Task not found: " + id);
+            return;
+        }
+        delete this._tasks[id];
+        this._dirty = true;
+        if (this.startTime === null) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Imports tasks from CSV text.
+     *
+     * The first row names the columns: ````id````, ````name````, ````start````, ````end```` and ````objects````, where
+     * ````objects```` contains object IDs separated by spaces or semicolons. Only ````start````, ````end```` and ````objects```` are required.
+     *
+     * ````
+     * id,name,start,end,objects
+     * found1,Foundations,2020-03-02,2020-03-20,0u4wgLe6n0ABVaiXyikbkA 3u4wgLe3n0AXVaiXyikbYO
+     * walls1,"Walls, ground floor",2020-03-23,2020-04-10,2O2Fr$t4X7Zf8NOew3FLOH;2O2Fr$t4X7Zf8NOew3FNr2
+     * ````
+     *
+     * @param {String} text The CSV text.
+     * @returns {Object[]} The new tasks.
+     */
+    importCSV(text) {
+        return this._importTasks(parseTasksCSV(text));
+    }
+
+    /**
+     * Imports tasks from Microsoft Project XML text.
+     *
+     * Imports each task's ````Name````, ````Start```` and ````Finish````, skipping summary tasks. Since MS Project has no field for
+     * object IDs, we put them in a custom field, such as ````Text1````, with the alias given as ````objectIdsField````, or else in the
+     * task's notes. Object IDs are separated by spaces or semicolons.
+     *
+     * @param {String} text The XML text.
+     * @param {String} [objectIdsField="ObjectIds"] Alias or name of the custom field that holds the object IDs of each task.
+     * @returns {Object[]} The new tasks.
+     */
+    importMSProjectXML(text, objectIdsField) {
+        return this._importTasks(parseTasksMSProjectXML(text, objectIdsField));
+    }
+
+    /**
+     * Gets the status of a task at the current {@link TimelinePlugin#time}.
+     *
+     * @param {String} id ID of the task.
+     * @returns {String} ````"notStarted"````, ````"inProgress"```` or ````"complete"````, or ````null```` if the task or the current date is not set.
+     */
+    getTaskStatus(id) {
+        const task = this._tasks[id];
+        if (!task || this._time === null) {
+            return null;
+        }
+        return getStatus(task, this._time);
+    }
+
+    /**
+     * Gets the status of an object at the current {@link TimelinePlugin#time}.
+     *
+     * @param {String} objectId ID of the object.
+     * @returns {String} ````"notStarted"````, ````"inProgress"```` or ````"complete"````, or ````null```` if the object belongs to no task, or the current date is not set.
+     */
+    getObjectStatus(objectId) {
+        return this._objectStatus[objectId] || null;
+    }
+
+    /**
+     * Starts playing through the timeline from the current date, or from the start if there is no current date or we are at the end.
+     *
+     * Fires a "playing" event with ````true````.
+     */
+    play() {
+        if (this._playing || this.startTime === null) {
+            return;
+        }
+        if (this._time === null || this._time >= this.endTime) {
+            this.time = this.startTime;
+        }
+        this._playing = true;
+        this._lastTickTime = null;
+        this.fire("playing", true);
+        this._updateControls();
+    }
+
+    /**
+     * Pauses playing through the timeline.
+     *
+     * Fires a "playing" event with ````false````.
+     */
+    pause() {
+        if (!this._playing) {
+            return;
+        }
+        this._playing = false;
+        this.fire("playing", false);
+        this._updateControls();
+    }
+
+    /**
+     * Stops playing and goes back to the start of the timeline.
+     */
+    stop() {
+        this.pause();
+        if (this.startTime !== null) {
+            this.time = this.startTime;
+        }
+    }
+
+    /**
+     * Formats a date with the ````dateFormatter```` we configured this TimelinePlugin with.
+     *
+     * @param {Date} date The date.
+     * @returns {String} The formatted date.
+     */
+    formatDate(date) {
+        return this._dateFormatter(date);
+    }
+
+    /**
+     * Destroys all tasks, and returns their objects to their normal states.
+     */
+    clear() {
+        this.pause();
+        this._tasks = {};
+        this._time = null;
+        this._render();
+        this._updateControls();
+    }
+
+    /**
+     * @private
+     */
+    send(name) {
+        switch (name) {
+            case "clear":
+                this.clear();
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _importTasks(result) {
+        for (let i = 0, len = result.errors.length; i < len; i++) {
+            this.warn(result.errors[i]);
+        }
+        const tasks = [];
+        for (let i = 0, len = result.tasks.length; i < len; i++) {
+            const task = this.createTask(result.tasks[i]);
+            if (task) {
+                tasks.push(task);
+            }
+        }
+        this._render();
+        this._updateControls();
+        return tasks;
+    }
+
+    /**
+     * @private
+     */
+    _tick() {
+        if (this._playing && (this.startTime === null || this._time === null)) { // Last task destroyed, or time cleared, while playing
+            this.pause();
+        }
+        if (this._playing) {
+            const now = Date.now();
+            if (this._lastTickTime !== null) {
+                const startTime = this.startTime;
+                const endTime = this.endTime;
+                const timelineDuration = endTime.getTime() - startTime.getTime();
+                const step = timelineDuration * (now - this._lastTickTime) / (this._playDuration * 1000);
+                const time = Math.min(this._time.getTime() + step, endTime.getTime());
+                this.time = new Date(time);
+                if (time >= endTime.getTime()) {
+                    this.pause();
+                    this.fire("finished", this._time);
+                }
+            }
+            this._lastTickTime = now;
+        }
+        const numObjects = this.viewer.scene.numObjects;
+        if (numObjects !== this._numObjects) { // Models loaded or unloaded - apply states to their objects
+            this._numObjects = numObjects;
+            this._restyle();
+        }
+        if (this._dirty) {
+            this._render();
+            this._updateControls();
+        }
+    }
+
+    /**
+     * Applies all object states again.
+     * @private
+     */
+    _restyle() {
+        const objectIds = Object.keys(this._objectStatus);
+        this._objectStatus = {};
+        this._resetObjects(objectIds);
+        this._render();
+    }
+
+    /**
+     * Shows the state of each object at the current date.
+     * @private
+     */
+    _render() {
+
+        this._dirty = false;
+
+        const scene = this.viewer.scene;
+        const objects = scene.objects;
+        const time = this._time;
+        const newStatus = {};
+
+        if (time !== null) {
+            for (let id in this._tasks) {
+                if (this._tasks.hasOwnProperty(id)) {
+                    const task = this._tasks[id];
+                    const status = getStatus(task, time);
+                    const objectIds = task.objectIds;
+                    for (let i = 0, len = objectIds.length; i < len; i++) {
+                        const objectId = objectIds[i];
+                        const objectStatus = newStatus[objectId];
+                        if (objectStatus === IN_PROGRESS) {
+                            continue;
+                        }
+                        if (status === IN_PROGRESS || !objectStatus || (status === COMPLETE && objectStatus === NOT_STARTED)) {
+                            newStatus[objectId] = status;
+                        }
+                    }
+                }
+            }
+        }
+
+        const oldStatus = this._objectStatus;
+        const resetIds = [];
+        const notStartedIds = [];
+        const inProgressIds = [];
+        const completeIds = [];
+
+        for (let objectId in oldStatus) {
+            if (oldStatus.hasOwnProperty(objectId) && !newStatus[objectId]) {
+                resetIds.push(objectId);
+            }
+        }
+
+        const appliedStatus = {};
+
+        for (let objectId in newStatus) {
+            if (newStatus.hasOwnProperty(objectId)) {
+                if (!objects[objectId]) { // Not loaded (yet)
+                    continue;
+                }
+                const status = newStatus[objectId];
+                appliedStatus[objectId] = status;
+                if (oldStatus[objectId] === status) {
+                    continue;
+                }
+                switch (status) {
+                    case NOT_STARTED:
+                        notStartedIds.push(objectId);
+                        break;
+                    case IN_PROGRESS:
+                        inProgressIds.push(objectId);
+                        break;
+                    case COMPLETE:
+                        completeIds.push(objectId);
+                        break;
+                }
+            }
+        }
+
+        this._objectStatus = appliedStatus;
+
+        this._resetObjects(resetIds);
+
+        if (notStartedIds.length > 0) {
+            scene.setObjectsVisible(notStartedIds, this._notStartedVisible);
+            scene.setObjectsColorized(notStartedIds, null);
+            scene.setObjectsHighlighted(notStartedIds, false);
+        }
+        if (inProgressIds.length > 0) {
+            scene.setObjectsVisible(inProgressIds, true);
+            scene.setObjectsColorized(inProgressIds, this._inProgressColor);
+            scene.setObjectsHighlighted(inProgressIds, this._inProgressHighlighted);
+        }
+        if (completeIds.length > 0) {
+            scene.setObjectsVisible(completeIds, true);
+            scene.setObjectsColorized(completeIds, this._completeColor);
+            scene.setObjectsHighlighted(completeIds, false);
+        }
+    }
+
+    /**
+     * Returns objects to their normal states.
+     * @private
+     */
+    _resetObjects(objectIds) {
+        if (objectIds.length === 0) {
+            return;
+        }
+        const scene = this.viewer.scene;
+        scene.setObjectsVisible(objectIds, true);
+        scene.setObjectsColorized(objectIds, null);
+        scene.setObjectsHighlighted(objectIds, false);
+    }
+
+    /**
+     * @private
+     */
+    _updateControls() {
+        if (this._controls) {
+            this._controls._update();
+        }
+    }
+
+    /**
+     * Destroys this TimelinePlugin.
+     *
+     * Returns the objects of all tasks to their normal states.
+     */
+    destroy() {
+        this.clear();
+        this.viewer.scene.off(this._onTick);
+        if (this._controls) {
+            this._controls.destroy();
+            this._controls = null;
+        }
+        super.destroy();
+    }
+}
+
+function getStatus(task, time) {
+    if (time < task.start) {
+        return NOT_STARTED;
+    }
+    if (time < task.end) {
+        return IN_PROGRESS;
+    }
+    return COMPLETE;
+}
+
+function toDate(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === "string") {
+        return parseDate(value);
+    }
+    const date = (value instanceof Date) ? new Date(value.getTime()) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+export {TimelinePlugin};
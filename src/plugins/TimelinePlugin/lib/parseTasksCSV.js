@@ -0,0 +1,107 @@
+import {parseDate} from "../../lib/parsing/parseDate.js";
+
+/**
+ * Parses construction tasks for {@link TimelinePlugin} from CSV text.
+ *
+ * The first row is a header that names the columns, in any order and case:
+ *
+ * * ````id```` - unique ID of the task (optional; defaults to the row number),
+ * * ````name```` - name of the task (optional),
+ * * ````start```` - start date of the task, eg. ````2020-03-16```` or ````2020-03-16T08:00:00````,
+ * * ````end```` - end date of the task, and
+ * * ````objects```` - IDs of the objects that the task builds, separated by spaces or semicolons.
+ *
+ * Fields may be quoted with double quotes, which lets them contain commas, and a quote is escaped with another quote.
+ *
+ * @private
+ * @param {String} text The CSV text.
+ * @returns {{tasks: Object[], errors: String[]}} The tasks, each with ````id````, ````name````, ````start````,
+ * ````end```` and ````objectIds````, and errors for rows that could not be parsed.
+ */
+function parseTasksCSV(text) {
+    const rows = parseCSVRows(text);
+    const tasks = [];
+    const errors = [];
+    if (rows.length === 0) {
+        errors.push("CSV is empty");
+        return {tasks, errors};
+    }
+    const header = rows[0].map((name) => name.trim().toLowerCase());
+    const columns = {
+        id: header.indexOf("id"),
+        name: header.indexOf("name"),
+        start: header.indexOf("start"),
+        end: header.indexOf("end"),
+        objects: header.indexOf("objects")
+    };
+    const missing = ["start", "end", "objects"].filter((column) => columns[column] === -1);
+    if (missing.length > 0) {
+        errors.push("CSV header is missing column(s): " + missing.join(", "));
+        return {tasks, errors};
+    }
+    for (let i = 1, len = rows.length; i < len; i++) {
+        const row = rows[i];
+        if (row.length === 1 && row[0].trim() === "") { // Blank line
+            continue;
+        }
+        const get = (column) => (columns[column] !== -1 && row[columns[column]] !== undefined) ? row[columns[column]].trim() : "";
+        const start = parseDate(get("start"));
+        const end = parseDate(get("end"));
+        if (start === null || end === null) {
+            errors.push("CSV row " + (i + 1) + ": invalid start or end date");
+            continue;
+        }
+        tasks.push({
+            id: get("id") || ("" + i),
+            name: get("name"),
+            start: start,
+            end: end,
+            objectIds: get("objects").split(/[\s;]+/).filter((objectId) => objectId !== "")
+        });
+    }
+    return {tasks, errors};
+}
+
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0, len = text.length; i < len; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ",") {
+            row.push(field);
+            field = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+export {parseTasksCSV};
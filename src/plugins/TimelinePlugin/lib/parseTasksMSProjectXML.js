@@ -0,0 +1,82 @@
+import {getChild, getChildren, getChildText} from "../../lib/parsing/xmlElements.js";
+import {parseDate} from "../../lib/parsing/parseDate.js";
+
+/**
+ * Parses construction tasks for {@link TimelinePlugin} from Microsoft Project XML text.
+ *
+ * Takes the ````Name````, ````Start```` and ````Finish```` of each ````Task````, skipping summary tasks. Since MS Project
+ * has no field for object IDs, we get them from the task's custom field that has the given alias or name, such as a
+ * ````Text1```` field with the alias ````ObjectIds````, or else from the task's ````Notes````. Object IDs are separated by
+ * spaces or semicolons.
+ *
+ * @private
+ * @param {String} text The XML text.
+ * @param {String} [objectIdsField="ObjectIds"] Alias or name of the custom field that holds the object IDs of each task.
+ * @returns {{tasks: Object[], errors: String[]}} The tasks, each with ````id````, ````name````, ````start````,
+ * ````end```` and ````objectIds````, and errors for tasks that could not be parsed.
+ */
+function parseTasksMSProjectXML(text, objectIdsField = "ObjectIds") {
+    const tasks = [];
+    const errors = [];
+    const xmlDoc = new DOMParser().parseFromString(text, "text/xml");
+    const root = xmlDoc.documentElement;
+    if (!root || root.localName !== "Project") {
+        errors.push("Not a Microsoft Project XML document");
+        return {tasks, errors};
+    }
+
+    // Find the ID of the custom field that holds object IDs
+
+    let objectIdsFieldID;
+    const extendedAttributes = getChild(root, "ExtendedAttributes");
+    if (extendedAttributes) {
+        const definitions = getChildren(extendedAttributes, "ExtendedAttribute");
+        for (let i = 0, len = definitions.length; i < len; i++) {
+            const definition = definitions[i];
+            if (getChildText(definition, "Alias") === objectIdsField || getChildText(definition, "FieldName") === objectIdsField) {
+                objectIdsFieldID = getChildText(definition, "FieldID");
+                break;
+            }
+        }
+    }
+
+    const tasksElement = getChild(root, "Tasks");
+    const taskElements = tasksElement ? getChildren(tasksElement, "Task") : [];
+
+    for (let i = 0, len = taskElements.length; i < len; i++) {
+        const taskElement = taskElements[i];
+        if (getChildText(taskElement, "Summary") === "1" || getChildText(taskElement, "IsNull") === "1") {
+            continue;
+        }
+        const id = getChildText(taskElement, "UID") || getChildText(taskElement, "ID") || ("" + i);
+        const start = parseDate(getChildText(taskElement, "Start"));
+        const end = parseDate(getChildText(taskElement, "Finish"));
+        if (start === null || end === null) {
+            errors.push("Task " + id + ": invalid Start or Finish date");
+            continue;
+        }
+        let objectIdsText;
+        if (objectIdsFieldID !== undefined) {
+            const values = getChildren(taskElement, "ExtendedAttribute");
+            for (let j = 0, lenj = values.length; j < lenj; j++) {
+                if (getChildText(values[j], "FieldID") === objectIdsFieldID) {
+                    objectIdsText = getChildText(values[j], "Value");
+                    break;
+                }
+            }
+        }
+        if (objectIdsText === undefined) {
+            objectIdsText = getChildText(taskElement, "Notes") || "";
+        }
+        tasks.push({
+            id: id,
+            name: getChildText(taskElement, "Name") || "",
+            start: start,
+            end: end,
+            objectIds: objectIdsText.split(/[\s;]+/).filter((objectId) => objectId !== "")
+        });
+    }
+    return {tasks, errors};
+}
+
+export {parseTasksMSProjectXML};
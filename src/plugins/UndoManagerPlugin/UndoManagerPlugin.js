@@ -0,0 +1,1050 @@
+import {Plugin} from "../../viewer/Plugin.js";
+import {SectionPlane} from "../../viewer/scene/sectionPlane/SectionPlane.js";
+import {utils} from "../../viewer/scene/utils.js";
+import {getMarkerJSON} from "../lib/markers/markerJSON.js";
+
+/**
+ * The {@link Entity} properties that {@link UndoManagerPlugin} records changes to, with the {@link Scene} event that each fires.
+ * @private
+ */
+const OBJECT_PROPERTIES = [
+    {event: "objectVisibility", property: "visible", name: "Change visibility"},
+    {event: "objectXRayed", property: "xrayed", name: "Change X-ray"},
+    {event: "objectHighlighted", property: "highlighted", name: "Change highlight"},
+    {event: "objectSelected", property: "selected", name: "Change selection"},
+    {event: "objectColorize", property: "colorize", name: "Change color"},
+    {event: "objectOpacity", property: "opacity", name: "Change opacity"}
+];
+
+/**
+ * {@link Viewer} plugin that records changes to the view as reversible steps, so that we can undo and redo them.
+ *
+ * UndoManagerPlugin records:
+ *
+ * * changes to the visibility, X-ray, highlight, selection, color and opacity of objects, whether we make them with {@link Scene#setObjectsVisible} and the like, or by setting properties on {@link Entity}s,
+ * * creating, destroying and moving {@link SectionPlane}s, including those created with a {@link SectionPlanesPlugin} and moved with its gizmo, and
+ * * creating, destroying and moving {@link DistanceMeasurement}s, {@link AngleMeasurement}s and {@link Annotation}s, when we configure UndoManagerPlugin with their plugins.
+ *
+ * Changes that we make to objects before the frame in which they're created has rendered are not recorded, except within
+ * the "loaded" events of models. We can record any other change of our own with {@link UndoManagerPlugin#addStep}.
+ *
+ * ## Grouping
+ *
+ * Each recorded change is one step, which is undone by one call to {@link UndoManagerPlugin#undo}. To undo several changes
+ * in one step, such as the changes that isolate a storey, we make them between {@link UndoManagerPlugin#beginGroup} and
+ * {@link UndoManagerPlugin#endGroup}.
+ *
+ * UndoManagerPlugin also groups some changes by itself:
+ *
+ * * Consecutive changes to the same property of objects within a frame are one step, so that hiding all objects then
+ * showing a storey again with two calls to {@link Scene#setObjectsVisible} is one step.
+ * * Consecutive moves of the same SectionPlane, measurement or Annotation are one step, which ends when we release the mouse,
+ * or when anything else changes. Dragging a SectionPlane gizmo is therefore one step.
+ * * Moves of a SectionPlane, measurement or Annotation straight after creating it belong to the step that created it, so that
+ * undoing a measurement that we created with the mouse removes it in one step.
+ *
+ * ## Events
+ *
+ * UndoManagerPlugin fires a "changed" event whenever the steps we can undo or redo change, so that we can update buttons in our UI.
+ *
+ * ## Usage
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XKTLoaderPlugin} from "../src/plugins/XKTLoaderPlugin/XKTLoaderPlugin.js";
+ * import {DistanceMeasurementsPlugin} from "../src/plugins/DistanceMeasurementsPlugin/DistanceMeasurementsPlugin.js";
+ * import {UndoManagerPlugin} from "../src/plugins/UndoManagerPlugin/UndoManagerPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const distanceMeasurements = new DistanceMeasurementsPlugin(viewer);
+ *
+ * const undoManager = new UndoManagerPlugin(viewer, {
+ *     distanceMeasurements: distanceMeasurements,
+ *     maxSteps: 50
+ * });
+ *
+ * undoManager.on("changed", (state) => {
+ *     undoButton.disabled = !state.canUndo;
+ *     undoButton.title = state.undoName ? ("Undo " + state.undoName) : "";
+ *     redoButton.disabled = !state.canRedo;
+ *     redoButton.title = state.redoName ? ("Redo " + state.redoName) : "";
+ * });
+ *
+ * const xktLoader = new XKTLoaderPlugin(viewer);
+ *
+ * const model = xktLoader.load({
+ *     id: "myModel",
+ *     src: "./models/xkt/schependomlaan/schependomlaan.xkt"
+ * });
+ *
+ * model.on("loaded", () => {
+ *
+ *     // Isolate a storey, as one step
+ *
+ *     undoManager.beginGroup("Isolate storey");
+ *     viewer.scene.setObjectsXRayed(viewer.scene.objectIds, true);
+ *     viewer.scene.setObjectsXRayed(storeyObjectIds, false);
+ *     undoManager.endGroup();
+ *
+ *     // Back to how we were
+ *
+ *     undoManager.undo();
+ *
+ *     // And isolated again
+ *
+ *     undoManager.redo();
+ * });
+ * ````
+ *
+ * @class UndoManagerPlugin
+ */
+class UndoManagerPlugin extends Plugin {
+
+    /**
+     * @constructor
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="UndoManager"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {DistanceMeasurementsPlugin} [cfg.distanceMeasurements] Plugin whose {@link DistanceMeasurement}s to record changes to.
+     * @param {AngleMeasurementsPlugin} [cfg.angleMeasurements] Plugin whose {@link AngleMeasurement}s to record changes to.
+     * @param {AnnotationsPlugin} [cfg.annotations] Plugin whose {@link Annotation}s to record changes to.
+     * @param {Number} [cfg.maxSteps=100] Maximum number of steps we can undo. Oldest steps are forgotten first.
+     * @param {Boolean} [cfg.enabled=true] Whether to initially record changes.
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("UndoManager", viewer, cfg);
+
+        this._distanceMeasurements = cfg.distanceMeasurements || null;
+        this._angleMeasurements = cfg.angleMeasurements || null;
+        this._annotations = cfg.annotations || null;
+
+        this._maxSteps = (cfg.maxSteps !== undefined && cfg.maxSteps !== null) ? cfg.maxSteps : 100;
+        this._enabled = (cfg.enabled !== false);
+
+        this._undoSteps = [];
+        this._redoSteps = [];
+        this._groups = []; // Stack of open groups, each {name, steps}
+        this._applying = false; // True while undoing or redoing
+        this._pendingMove = null; // Move being recorded, until the mouse is released
+        this._openCreationKey = null; // Item whose creation step still takes its moves, until the mouse is released
+        this._items = {}; // Latest state of each SectionPlane, measurement and Annotation, mapped to a key for it
+        this._objectValues = {}; // Latest values of the recorded properties of each object, mapped to its ID
+        this._objectIds = null; // Scene#objectIds when we last updated _objectValues
+        this._pendingObjectChanges = null; // Changes to one property of objects, until the end of the frame
+        this._destroyed = false;
+
+        this._kinds = {
+            sectionPlane: new SectionPlaneKind(this),
+            distanceMeasurement: new MeasurementKind(this, this._distanceMeasurements, "distance measurement", ["origin", "target"]),
+            angleMeasurement: new MeasurementKind(this, this._angleMeasurements, "angle measurement", ["origin", "corner", "target"]),
+            annotation: new AnnotationKind(this, this._annotations)
+        };
+
+        this._bindObjectEvents();
+        this._bindEvents();
+    }
+
+    /**
+     * Sets whether this UndoManagerPlugin records changes.
+     *
+     * While disabled, changes are not recorded, so we should {@link UndoManagerPlugin#clear} the recorded steps if the
+     * changes we make would conflict with them.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    set enabled(enabled) {
+        this._flushPendingMove();
+        this._openCreationKey = null;
+        this._enabled = (enabled !== false);
+    }
+
+    /**
+     * Gets whether this UndoManagerPlugin records changes.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    get enabled() {
+        return this._enabled;
+    }
+
+    /**
+     * Sets the maximum number of steps we can undo.
+     *
+     * Oldest steps are forgotten first.
+     *
+     * Default value is ````100````.
+     *
+     * @type {Number}
+     */
+    set maxSteps(maxSteps) {
+        this._maxSteps = maxSteps;
+        this._trimUndoSteps();
+        this._fireChanged();
+    }
+
+    /**
+     * Gets the maximum number of steps we can undo.
+     *
+     * Default value is ````100````.
+     *
+     * @type {Number}
+     */
+    get maxSteps() {
+        return this._maxSteps;
+    }
+
+    /**
+     * Gets whether there is a step to undo.
+     *
+     * @type {Boolean}
+     */
+    get canUndo() {
+        return (this._undoSteps.length > 0 || !!this._pendingMove || !!this._pendingObjectChanges);
+    }
+
+    /**
+     * Gets whether there is a step to redo.
+     *
+     * @type {Boolean}
+     */
+    get canRedo() {
+        return (this._redoSteps.length > 0 && !this._pendingMove && !this._pendingObjectChanges);
+    }
+
+    /**
+     * Gets the name of the step that {@link UndoManagerPlugin#undo} would undo, or ````null```` if there is none.
+     *
+     * @type {String}
+     */
+    get undoName() {
+        if (this._pendingMove) {
+            return this._pendingMove.name;
+        }
+        if (this._pendingObjectChanges) {
+            return this._pendingObjectChanges.name;
+        }
+        return (this._undoSteps.length > 0) ? this._undoSteps[this._undoSteps.length - 1].name : null;
+    }
+
+    /**
+     * Gets the name of the step that {@link UndoManagerPlugin#redo} would redo, or ````null```` if there is none.
+     *
+     * @type {String}
+     */
+    get redoName() {
+        return this.canRedo ? this._redoSteps[this._redoSteps.length - 1].name : null;
+    }
+
+    /**
+     * Undoes the last step.
+     *
+     * Closes any open groups first.
+     *
+     * Fires an "undone" event with the name of the step.
+     */
+    undo() {
+        this._closeGroups();
+        this._flushPendingMove();
+        this._openCreationKey = null;
+        const step = this._undoSteps.pop();
+        if (!step) {
+            return;
+        }
+        this._apply(step.undo);
+        this._redoSteps.push(step);
+        this.fire("undone", step.name);
+        this._fireChanged();
+    }
+
+    /**
+     * Redoes the last undone step.
+     *
+     * Closes any open groups first.
+     *
+     * Fires a "redone" event with the name of the step.
+     */
+    redo() {
+        this._closeGroups();
+        this._flushPendingMove();
+        this._openCreationKey = null;
+        const step = this._redoSteps.pop();
+        if (!step) {
+            return;
+        }
+        this._apply(step.redo);
+        this._undoSteps.push(step);
+        this.fire("redone", step.name);
+        this._fireChanged();
+    }
+
+    /**
+     * Records a step of our own.
+     *
+     * Use this to make changes undoable that UndoManagerPlugin does not record by itself, such as updating the
+     * values of an {@link Annotation}. We make the change first, then record the step that undoes and redoes it.
+     *
+     * The step is added to the current group, if we have begun one with {@link UndoManagerPlugin#beginGroup}. Clears the steps we can redo.
+     *
+     * ````javascript
+     * const oldValues = annotation.getValues();
+     * const newValues = {title: "Door", description: "Fire door"};
+     *
+     * annotation.setValues(newValues);
+     *
+     * undoManager.addStep({
+     *     name: "Edit annotation",
+     *     undo: () => annotation.setValues(oldValues),
+     *     redo: () => annotation.setValues(newValues)
+     * });
+     * ````
+     *
+     * @param {*} step The step.
+     * @param {String} step.name Name of the step, for display in UI.
+     * @param {Function} step.undo Callback that undoes the change.
+     * @param {Function} step.redo Callback that redoes the change.
+     */
+    addStep(step) {
+        if (!step || !step.undo || !step.redo) {
+            this.error("Param expected: step, with undo and redo functions");
+            return;
+        }
+        this._addStep({
+            name: step.name || "Change",
+            undo: step.undo,
+            redo: step.redo
+        });
+    }
+
+    /**
+     * Begins a group of changes, which are then undone and redone as one step.
+     *
+     * Groups may be nested, in which case the outermost group makes the step.
+     *
+     * @param {String} [name="Change"] Name of the step, for display in UI.
+     */
+    beginGroup(name = "Change") {
+        this._flushPendingMove();
+        this._groups.push({name: name, steps: []});
+    }
+
+    /**
+     * Ends the group of changes that we began with {@link UndoManagerPlugin#beginGroup}.
+     *
+     * When the group has no changes, it's discarded.
+     */
+    endGroup() {
+        if (this._groups.length === 0) {
+            this.error("No group to end - call beginGroup() first");
+            return;
+        }
+        this._flushPendingMove();
+        const group = this._groups.pop();
+        if (group.steps.length === 0) {
+            return;
+        }
+        const steps = group.steps;
+        this._addStep({
+            name: group.name,
+            undo: () => {
+                for (let i = steps.length - 1; i >= 0; i--) {
+                    steps[i].undo();
+                }
+            },
+            redo: () => {
+                for (let i = 0, len = steps.length; i < len; i++) {
+                    steps[i].redo();
+                }
+            }
+        });
+    }
+
+    /**
+     * Forgets all recorded steps.
+     *
+     * Closes any open groups first.
+     */
+    clear() {
+        this._closeGroups();
+        this._pendingMove = null;
+        this._pendingObjectChanges = null;
+        this._openCreationKey = null;
+        this._undoSteps = [];
+        this._redoSteps = [];
+        this._fireChanged();
+    }
+
+    /**
+     * @private
+     */
+    send(name) {
+        switch (name) {
+            case "clear":
+                this.clear();
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _bindObjectEvents() {
+        const scene = this.viewer.scene;
+        this._updateObjectValues();
+        this._onObjectEvents = OBJECT_PROPERTIES.map(({event, property, name}) => scene.on(event, (entity) => {
+            this._objectUpdated(entity, property, name);
+        }));
+        this._onModelLoaded = scene.on("modelLoaded", () => {
+            this._updateObjectValues();
+        });
+        this._onTick = scene.on("tick", () => {
+            this._flushObjectChanges();
+            this._updateObjectValues();
+        });
+    }
+
+    /**
+     * Starts tracking the values of objects created since we last did this, and stops tracking those destroyed.
+     * @private
+     */
+    _updateObjectValues() {
+        const scene = this.viewer.scene;
+        const objectIds = scene.objectIds;
+        if (objectIds === this._objectIds) { // No objects created or destroyed
+            return;
+        }
+        this._objectIds = objectIds;
+        const objects = scene.objects;
+        const objectValues = {};
+        for (let i = 0, len = objectIds.length; i < len; i++) {
+            const id = objectIds[i];
+            const entity = objects[id];
+            let values = this._objectValues[id];
+            if (!values || values.entity !== entity) {
+                values = {entity: entity};
+                for (let j = 0, lenj = OBJECT_PROPERTIES.length; j < lenj; j++) {
+                    const property = OBJECT_PROPERTIES[j].property;
+                    values[property] = getObjectValue(scene, entity, property);
+                }
+            }
+            objectValues[id] = values;
+        }
+        this._objectValues = objectValues;
+    }
+
+    /**
+     * @private
+     */
+    _objectUpdated(entity, property, name) {
+        const values = this._objectValues[entity.id];
+        if (!values || values.entity !== entity) { // Created or destroyed since we last updated _objectValues
+            return;
+        }
+        const oldValue = values[property];
+        const newValue = getObjectValue(this.viewer.scene, entity, property);
+        if (valuesEqual(oldValue, newValue)) {
+            return;
+        }
+        values[property] = newValue;
+        if (!this._recording()) {
+            return;
+        }
+        let pendingObjectChanges = this._pendingObjectChanges;
+        if (!pendingObjectChanges || pendingObjectChanges.property !== property) {
+            this._flushPendingMove(); // Also records changes to another property
+            pendingObjectChanges = this._pendingObjectChanges = {
+                name: name,
+                property: property,
+                oldValues: {},
+                newValues: {}
+            };
+            this._fireChanged();
+        }
+        if (!pendingObjectChanges.oldValues.hasOwnProperty(entity.id)) {
+            pendingObjectChanges.oldValues[entity.id] = oldValue;
+        }
+        pendingObjectChanges.newValues[entity.id] = newValue;
+    }
+
+    /**
+     * Records the pending changes to objects as a step.
+     * @private
+     */
+    _flushObjectChanges() {
+        const pendingObjectChanges = this._pendingObjectChanges;
+        if (!pendingObjectChanges) {
+            return;
+        }
+        this._pendingObjectChanges = null;
+        const {property, oldValues, newValues} = pendingObjectChanges;
+        const ids = Object.keys(oldValues).filter((id) => !valuesEqual(oldValues[id], newValues[id]));
+        if (ids.length === 0) { // Changed back again
+            this._fireChanged();
+            return;
+        }
+        const objects = this.viewer.scene.objects;
+        const setValues = (values) => {
+            for (let i = 0, len = ids.length; i < len; i++) {
+                const entity = objects[ids[i]];
+                if (entity) {
+                    entity[property] = values[ids[i]];
+                }
+            }
+        };
+        this._addStep({
+            name: pendingObjectChanges.name,
+            undo: () => {
+                setValues(oldValues);
+            },
+            redo: () => {
+                setValues(newValues);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _bindEvents() {
+        const scene = this.viewer.scene;
+        const sectionPlaneKind = this._kinds.sectionPlane;
+
+        for (let id in scene.sectionPlanes) {
+            if (scene.sectionPlanes.hasOwnProperty(id)) {
+                this._addItem(sectionPlaneKind, scene.sectionPlanes[id]);
+            }
+        }
+
+        this._onSectionPlaneCreated = scene.on("sectionPlaneCreated", (sectionPlane) => {
+            this._itemCreated(sectionPlaneKind, sectionPlane);
+        });
+
+        this._onSectionPlaneDestroyed = scene.on("sectionPlaneDestroyed", (sectionPlane) => {
+            this._itemDestroyed(sectionPlaneKind, sectionPlane);
+        });
+
+        this._onMouseUp = scene.input.on("mouseup", () => {
+            this._flushPendingMove();
+            this._openCreationKey = null;
+        });
+
+        const bindPlugin = (plugin, kind, items, createdEvent, destroyedEvent) => {
+            if (!plugin) {
+                return;
+            }
+            for (let id in items) {
+                if (items.hasOwnProperty(id)) {
+                    this._addItem(kind, items[id]);
+                }
+            }
+            plugin.on(createdEvent, (item) => { // Plugin has no off(), so we ignore events once destroyed
+                if (!this._destroyed) {
+                    this._itemCreated(kind, item);
+                }
+            });
+            plugin.on(destroyedEvent, (item) => {
+                if (!this._destroyed) {
+                    this._itemDestroyed(kind, item);
+                }
+            });
+        };
+
+        bindPlugin(this._distanceMeasurements, this._kinds.distanceMeasurement, this._distanceMeasurements && this._distanceMeasurements.measurements, "measurementCreated", "measurementDestroyed");
+        bindPlugin(this._angleMeasurements, this._kinds.angleMeasurement, this._angleMeasurements && this._angleMeasurements.measurements, "measurementCreated", "measurementDestroyed");
+        bindPlugin(this._annotations, this._kinds.annotation, this._annotations && this._annotations.annotations, "annotationCreated", "annotationDestroyed");
+    }
+
+    /**
+     * Starts tracking the state of a SectionPlane, measurement or Annotation, so that we can record its moves.
+     * @private
+     */
+    _addItem(kind, item) {
+        const key = kind.key(item.id);
+        const entry = {
+            state: kind.getState(item),
+            component: item,
+            subs: []
+        };
+        this._items[key] = entry;
+        kind.onMoved(item, entry.subs, () => {
+            this._itemMoved(kind, item);
+        });
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    _removeItem(kind, id) {
+        const key = kind.key(id);
+        const entry = this._items[key];
+        if (!entry) {
+            return null;
+        }
+        for (let i = 0, len = entry.subs.length; i < len; i++) {
+            entry.subs[i][0].off(entry.subs[i][1]);
+        }
+        delete this._items[key];
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    _itemCreated(kind, item) {
+        this._addItem(kind, item);
+        if (!this._recording()) {
+            return;
+        }
+        const id = item.id;
+        const key = kind.key(id);
+        let state = null;
+        this._addStep({
+            name: "Create " + kind.name,
+            undo: () => {
+                const entry = this._items[key];
+                if (entry) {
+                    state = entry.state; // Includes moves made straight after creation
+                    kind.destroy(id);
+                }
+            },
+            redo: () => {
+                if (state) {
+                    kind.create(id, state);
+                }
+            }
+        });
+        this._openCreationKey = key;
+    }
+
+    /**
+     * @private
+     */
+    _itemDestroyed(kind, item) {
+        const id = item.id;
+        const key = kind.key(id);
+        const entry = this._removeItem(kind, id);
+        if (!entry || !this._recording()) {
+            return;
+        }
+        if (this._pendingMove && this._pendingMove.key === key) {
+            this._flushPendingMove();
+        }
+        if (this._openCreationKey === key) { // Created and destroyed again, eg. a cancelled measurement
+            this._openCreationKey = null;
+            this._removeLastStep();
+            return;
+        }
+        const state = entry.state;
+        this._addStep({
+            name: "Delete " + kind.name,
+            undo: () => {
+                kind.create(id, state);
+            },
+            redo: () => {
+                kind.destroy(id);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _itemMoved(kind, item) {
+        const key = kind.key(item.id);
+        const entry = this._items[key];
+        if (!entry) {
+            return;
+        }
+        const oldState = entry.state;
+        entry.state = kind.getState(item);
+        if (!this._recording()) {
+            return;
+        }
+        if (this._pendingMove && this._pendingMove.key === key) {
+            return;
+        }
+        if (this._openCreationKey === key) { // Moved straight after creation
+            return;
+        }
+        this._flushPendingMove();
+        this._pendingMove = {
+            name: "Move " + kind.name,
+            key: key,
+            kind: kind,
+            id: item.id,
+            oldState: oldState
+        };
+        this._fireChanged();
+    }
+
+    /**
+     * Records the pending move, or the pending changes to objects, as a step.
+     * @private
+     */
+    _flushPendingMove() {
+        this._flushObjectChanges();
+        const pendingMove = this._pendingMove;
+        if (!pendingMove) {
+            return;
+        }
+        this._pendingMove = null;
+        const entry = this._items[pendingMove.key];
+        if (!entry) {
+            return;
+        }
+        const {kind, id, oldState} = pendingMove;
+        const newState = entry.state;
+        this._addStep({
+            name: pendingMove.name,
+            undo: () => {
+                kind.move(id, oldState);
+            },
+            redo: () => {
+                kind.move(id, newState);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _recording() {
+        return (this._enabled && !this._applying && !this._destroyed);
+    }
+
+    /**
+     * @private
+     */
+    _apply(callback) {
+        this._applying = true;
+        try {
+            callback();
+        } finally {
+            this._applying = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _addStep(step) {
+        this._flushPendingMove();
+        this._openCreationKey = null;
+        if (this._groups.length > 0) {
+            this._groups[this._groups.length - 1].steps.push(step);
+            return;
+        }
+        this._undoSteps.push(step);
+        this._redoSteps = [];
+        this._trimUndoSteps();
+        this.fire("recorded", step.name);
+        this._fireChanged();
+    }
+
+    /**
+     * @private
+     */
+    _removeLastStep() {
+        if (this._groups.length > 0) {
+            this._groups[this._groups.length - 1].steps.pop();
+            return;
+        }
+        this._undoSteps.pop();
+        this._fireChanged();
+    }
+
+    /**
+     * @private
+     */
+    _closeGroups() {
+        while (this._groups.length > 0) {
+            this.endGroup();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _trimUndoSteps() {
+        if (this._undoSteps.length > this._maxSteps) {
+            this._undoSteps.splice(0, this._undoSteps.length - this._maxSteps);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _fireChanged() {
+        this.fire("changed", {
+            canUndo: this.canUndo,
+            canRedo: this.canRedo,
+            undoName: this.undoName,
+            redoName: this.redoName
+        });
+    }
+
+    /**
+     * Destroys this UndoManagerPlugin.
+     *
+     * Stops recording changes and forgets all recorded steps.
+     */
+    destroy() {
+        const scene = this.viewer.scene;
+        for (let i = 0, len = this._onObjectEvents.length; i < len; i++) {
+            scene.off(this._onObjectEvents[i]);
+        }
+        scene.off(this._onModelLoaded);
+        scene.off(this._onTick);
+        scene.off(this._onSectionPlaneCreated);
+        scene.off(this._onSectionPlaneDestroyed);
+        scene.input.off(this._onMouseUp);
+        for (let key in this._items) {
+            if (this._items.hasOwnProperty(key)) {
+                const subs = this._items[key].subs;
+                for (let i = 0, len = subs.length; i < len; i++) {
+                    subs[i][0].off(subs[i][1]);
+                }
+            }
+        }
+        this._items = {};
+        this._undoSteps = [];
+        this._redoSteps = [];
+        this._groups = [];
+        this._pendingMove = null;
+        this._pendingObjectChanges = null;
+        this._objectValues = {};
+        this._destroyed = true;
+        super.destroy();
+    }
+}
+
+/**
+ * Creates, destroys, moves and gets the state of SectionPlanes for UndoManagerPlugin.
+ * @private
+ */
+class SectionPlaneKind {
+
+    constructor(undoManager) {
+        this.name = "section plane";
+        this._scene = undoManager.viewer.scene;
+    }
+
+    key(id) {
+        return "sectionPlane:" + id;
+    }
+
+    getState(sectionPlane) {
+        return {
+            pos: Array.from(sectionPlane.pos),
+            dir: Array.from(sectionPlane.dir),
+            active: sectionPlane.active
+        };
+    }
+
+    onMoved(sectionPlane, subs, callback) {
+        subs.push([sectionPlane, sectionPlane.on("pos", callback)]);
+        subs.push([sectionPlane, sectionPlane.on("dir", callback)]);
+        subs.push([sectionPlane, sectionPlane.on("active", callback)]);
+    }
+
+    create(id, state) {
+        new SectionPlane(this._scene, { // SectionPlanesPlugin picks this up from the Scene's "sectionPlaneCreated" event
+            id: id,
+            pos: state.pos,
+            dir: state.dir,
+            active: state.active
+        });
+    }
+
+    destroy(id) {
+        const sectionPlane = this._scene.sectionPlanes[id];
+        if (sectionPlane) {
+            sectionPlane.destroy();
+        }
+    }
+
+    move(id, state) {
+        const sectionPlane = this._scene.sectionPlanes[id];
+        if (sectionPlane) {
+            sectionPlane.pos = state.pos;
+            sectionPlane.dir = state.dir;
+            sectionPlane.active = state.active;
+        }
+    }
+}
+
+/**
+ * Creates, destroys, moves and gets the state of DistanceMeasurements or AngleMeasurements for UndoManagerPlugin.
+ * @private
+ */
+class MeasurementKind {
+
+    constructor(undoManager, plugin, name, markerNames) {
+        this.name = name;
+        this._scene = undoManager.viewer.scene;
+        this._plugin = plugin;
+        this._markerNames = markerNames;
+    }
+
+    key(id) {
+        return this.name + ":" + id;
+    }
+
+    getState(measurement) {
+        const state = {
+            visible: measurement.visible
+        };
+        for (let i = 0, len = this._markerNames.length; i < len; i++) {
+            const markerName = this._markerNames[i];
+            state[markerName] = getMarkerJSON(measurement[markerName]);
+        }
+        return state;
+    }
+
+    onMoved(measurement, subs, callback) {
+        for (let i = 0, len = this._markerNames.length; i < len; i++) {
+            const marker = measurement[this._markerNames[i]];
+            subs.push([marker, marker.on("worldPos", callback)]);
+        }
+    }
+
+    create(id, state) {
+        const params = {
+            id: id,
+            visible: state.visible
+        };
+        for (let i = 0, len = this._markerNames.length; i < len; i++) {
+            const markerName = this._markerNames[i];
+            params[markerName] = {
+                worldPos: state[markerName].worldPos,
+                entity: getEntity(this._scene, state[markerName].entity)
+            };
+        }
+        this._plugin.createMeasurement(params);
+    }
+
+    destroy(id) {
+        if (this._plugin.measurements[id]) {
+            this._plugin.destroyMeasurement(id);
+        }
+    }
+
+    move(id, state) {
+        const measurement = this._plugin.measurements[id];
+        if (!measurement) {
+            return;
+        }
+        for (let i = 0, len = this._markerNames.length; i < len; i++) {
+            const markerName = this._markerNames[i];
+            const marker = measurement[markerName];
+            marker.entity = getEntity(this._scene, state[markerName].entity);
+            marker.worldPos = state[markerName].worldPos;
+        }
+    }
+}
+
+/**
+ * Creates, destroys, moves and gets the state of Annotations for UndoManagerPlugin.
+ * @private
+ */
+class AnnotationKind {
+
+    constructor(undoManager, plugin) {
+        this.name = "annotation";
+        this._scene = undoManager.viewer.scene;
+        this._plugin = plugin;
+    }
+
+    key(id) {
+        return "annotation:" + id;
+    }
+
+    getState(annotation) {
+        const state = getMarkerJSON(annotation);
+        state.occludable = annotation.occludable;
+        state.markerShown = annotation.getMarkerShown();
+        state.labelShown = annotation.getLabelShown();
+        state.values = utils.apply(annotation.getValues(), {});
+        state.markerHTML = annotation.getMarkerHTML();
+        state.labelHTML = annotation.getLabelHTML();
+        if (annotation.eye) {
+            state.eye = Array.from(annotation.eye);
+            state.look = Array.from(annotation.look);
+            state.up = Array.from(annotation.up);
+            state.projection = annotation.projection;
+        }
+        return state;
+    }
+
+    onMoved(annotation, subs, callback) {
+        subs.push([annotation, annotation.on("worldPos", callback)]);
+    }
+
+    create(id, state) {
+        this._plugin.createAnnotation({
+            id: id,
+            worldPos: state.worldPos,
+            entity: getEntity(this._scene, state.entity),
+            occludable: state.occludable,
+            markerShown: state.markerShown,
+            labelShown: state.labelShown,
+            values: state.values,
+            markerHTML: state.markerHTML,
+            labelHTML: state.labelHTML,
+            eye: state.eye,
+            look: state.look,
+            up: state.up,
+            projection: state.projection
+        });
+    }
+
+    destroy(id) {
+        if (this._plugin.annotations[id]) {
+            this._plugin.destroyAnnotation(id);
+        }
+    }
+
+    move(id, state) {
+        const annotation = this._plugin.annotations[id];
+        if (annotation) {
+            annotation.entity = getEntity(this._scene, state.entity);
+            annotation.worldPos = state.worldPos;
+        }
+    }
+}
+
+function getObjectValue(scene, entity, property) {
+    if (property === "colorize") {
+        return scene.colorizedObjects[entity.id] ? Array.from(entity.colorize).slice(0, 3) : null;
+    }
+    return entity[property];
+}
+
+function valuesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (!a || !b || a.length === undefined || b.length === undefined || a.length !== b.length) {
+        return false;
+    }
+    for (let i = 0, len = a.length; i < len; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function getEntity(scene, id) {
+    return (id !== null && id !== undefined) ? scene.objects[id] : undefined;
+}
+
+export {UndoManagerPlugin};
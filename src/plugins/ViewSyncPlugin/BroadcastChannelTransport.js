@@ -0,0 +1,60 @@
+/**
+ * Transport for {@link ViewSyncPlugin} that syncs Viewers in browser tabs and windows of the same origin.
+ *
+ * Uses a [BroadcastChannel](https://developer.mozilla.org/en-US/docs/Web/API/BroadcastChannel), so it needs no server.
+ *
+ * ````javascript
+ * const viewSync = new ViewSyncPlugin(viewer, {
+ *     transport: new BroadcastChannelTransport({
+ *         channel: "myReview"
+ *     })
+ * });
+ * ````
+ *
+ * @class BroadcastChannelTransport
+ */
+class BroadcastChannelTransport {
+
+    /**
+     * @constructor
+     * @param {*} [cfg] Transport configuration.
+     * @param {String} [cfg.channel="xeokit-viewsync"] Name of the BroadcastChannel. Viewers only sync with Viewers on the same channel.
+     */
+    constructor(cfg = {}) {
+        this._channel = new BroadcastChannel(cfg.channel || "xeokit-viewsync");
+        this._callback = null;
+        this._channel.onmessage = (event) => {
+            if (this._callback) {
+                this._callback(event.data);
+            }
+        };
+    }
+
+    /**
+     * Sends a message to the other Viewers.
+     *
+     * @param {*} message The message.
+     */
+    send(message) {
+        this._channel.postMessage(message);
+    }
+
+    /**
+     * Sets a callback to fire with each message received from another Viewer.
+     *
+     * @param {Function} callback The callback.
+     */
+    onMessage(callback) {
+        this._callback = callback;
+    }
+
+    /**
+     * Closes the BroadcastChannel.
+     */
+    close() {
+        this._callback = null;
+        this._channel.close();
+    }
+}
+
+export {BroadcastChannelTransport};
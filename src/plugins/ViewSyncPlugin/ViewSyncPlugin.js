@@ -0,0 +1,889 @@
+import {Plugin} from "../../viewer/Plugin.js";
+import {SectionPlane} from "../../viewer/scene/sectionPlane/SectionPlane.js";
+import {math} from "../../viewer/scene/math/math.js";
+import {getMarkerJSON, getMarkerParams} from "../lib/markers/markerJSON.js";
+import {getObjectsFlagJSON, setObjectsFlagJSON} from "../lib/objects/objectsFlagJSON.js";
+
+const ROLES = ["presenter", "follower", "peer"];
+
+/**
+ * {@link Viewer} plugin that synchronizes the view between Viewers, for live multi-user design reviews.
+ *
+ * Each ViewSyncPlugin sends the changes to its Viewer's view to the other Viewers, and applies the changes they send. The
+ * view consists of:
+ *
+ * * the {@link Camera} position and projection,
+ * * the visibility, selection, X-ray and colorize states of objects,
+ * * the {@link SectionPlane}s, and
+ * * the measurements of the {@link DistanceMeasurementsPlugin} and {@link AngleMeasurementsPlugin}, when we configure ViewSyncPlugin with them.
+ *
+ * Changes are sent as compact diffs, which only contain what has changed since the last diff. ViewSyncPlugin listens for events
+ * that tell it the view has changed, and sends at most one diff per ````throttle```` milliseconds.
+ *
+ * ## Transports
+ *
+ * ViewSyncPlugin sends and receives diffs through a pluggable transport. There are two ready-made transports:
+ *
+ * * {@link BroadcastChannelTransport} syncs Viewers in browser tabs and windows of the same origin, which is handy for testing.
+ * * {@link WebSocketTransport} syncs Viewers through a WebSocket server, which must relay each message it gets from a client to all the other clients.
+ *
+ * A custom transport is an object with these methods:
+ *
+ * * ````send(message)```` sends a message, which is a JSON-serializable object, to all other Viewers,
+ * * ````onMessage(callback)```` sets a callback to fire with each message received from another Viewer, and
+ * * ````close()```` disconnects the transport.
+ *
+ * ## Roles
+ *
+ * Each ViewSyncPlugin has a {@link ViewSyncPlugin#role}:
+ *
+ * * ````"presenter"```` - drives the view, sending diffs and ignoring those from others,
+ * * ````"follower"```` - follows the presenter, applying its diffs and not sending any, or
+ * * ````"peer"```` - both sends and applies diffs, so that every user can drive the view.
+ *
+ * When a ViewSyncPlugin starts, and whenever it becomes a follower or peer, it asks the others for their full view, so that it
+ * catches up with the view it joins.
+ *
+ * ## Conflicts
+ *
+ * When two presenters find each other, the one that became presenter first keeps the role, and the other becomes a follower,
+ * firing a "conflict" event. Followers only follow the presenter that keeps the role.
+ *
+ * Peers can change the same thing at the same time, such as the camera, or the selection of an object. Each diff carries a
+ * logical clock, and for each thing that has changed, peers keep the change with the latest clock, so that they all end up
+ * with the same view.
+ *
+ * ## Usage
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {DistanceMeasurementsPlugin} from "../src/plugins/DistanceMeasurementsPlugin/DistanceMeasurementsPlugin.js";
+ * import {ViewSyncPlugin} from "../src/plugins/ViewSyncPlugin/ViewSyncPlugin.js";
+ * import {WebSocketTransport} from "../src/plugins/ViewSyncPlugin/WebSocketTransport.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const distanceMeasurements = new DistanceMeasurementsPlugin(viewer);
+ *
+ * const viewSync = new ViewSyncPlugin(viewer, {
+ *     transport: new WebSocketTransport({
+ *         url: "wss://example.com/review/1234"
+ *     }),
+ *     role: "follower",
+ *     distanceMeasurements: distanceMeasurements,
+ *     throttle: 100
+ * });
+ *
+ * viewSync.on("roleChanged", (role) => {
+ *     console.log("We're now a " + role);
+ * });
+ *
+ * viewSync.on("conflict", (e) => {
+ *     console.log("Presenter " + e.presenterId + " was presenting first");
+ * });
+ *
+ * // Take over the presentation
+ * viewSync.role = "presenter";
+ * ````
+ *
+ * @class ViewSyncPlugin
+ */
+class ViewSyncPlugin extends Plugin {
+
+    /**
+     * @constructor
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="ViewSync"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {*} cfg.transport The transport to send and receive diffs through.
+     * @param {String} [cfg.role="peer"] Initial role, which can be ````"presenter"````, ````"follower"```` or ````"peer"````.
+     * @param {String} [cfg.clientId] ID that identifies this Viewer to the others. Generated automatically when omitted.
+     * @param {Number} [cfg.throttle=100] Minimum number of milliseconds between diffs.
+     * @param {DistanceMeasurementsPlugin} [cfg.distanceMeasurements] Plugin whose {@link DistanceMeasurement}s to synchronize.
+     * @param {AngleMeasurementsPlugin} [cfg.angleMeasurements] Plugin whose {@link AngleMeasurement}s to synchronize.
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("ViewSync", viewer, cfg);
+
+        if (!cfg.transport) {
+            this.error("Config expected: transport");
+        }
+
+        this._transport = cfg.transport;
+        this._clientId = cfg.clientId || math.createUUID();
+        this._distanceMeasurements = cfg.distanceMeasurements || null;
+        this._angleMeasurements = cfg.angleMeasurements || null;
+
+        /**
+         * Minimum number of milliseconds between diffs.
+         * @property throttle
+         * @type {number}
+         */
+        this.throttle = (cfg.throttle !== undefined && cfg.throttle !== null) ? cfg.throttle : 100;
+
+        this._role = null;
+        this._presenterSince = 0;
+        this._presenter = null; // Presenter we follow, as {id, since}
+        this._clock = 0; // Lamport clock
+        this._keyClocks = {}; // For each synchronized key, the clock and sender of its latest change
+        this._lastSendTime = 0;
+        this._applying = false;
+        this._pendingVisible = {};
+        this._numPendingVisible = 0;
+        this._sent = null;
+        this._dirty = false; // True when the view may have changed since we last looked for changes
+        this._subs = []; // Subscriptions to SectionPlanes and measurement markers, each [component, subId]
+        this._destroyed = false;
+
+        this._saveState();
+
+        const scene = viewer.scene;
+        const setDirty = () => {
+            this._dirty = true;
+        };
+
+        this._onObjectVisibility = scene.on("objectVisibility", (entity) => {
+            if (!this._applying) {
+                if (this._pendingVisible[entity.id] === undefined) {
+                    this._numPendingVisible++;
+                }
+                this._pendingVisible[entity.id] = entity.visible;
+            }
+        });
+
+        this._onObjectSelected = scene.on("objectSelected", setDirty);
+        this._onObjectXRayed = scene.on("objectXRayed", setDirty);
+        this._onObjectColorize = scene.on("objectColorize", setDirty);
+        this._onCameraMatrix = scene.camera.on("matrix", setDirty);
+        this._onCameraProjection = scene.camera.on("projection", setDirty);
+
+        for (let id in scene.sectionPlanes) {
+            if (scene.sectionPlanes.hasOwnProperty(id)) {
+                this._watchSectionPlane(scene.sectionPlanes[id]);
+            }
+        }
+        this._onSectionPlaneCreated = scene.on("sectionPlaneCreated", (sectionPlane) => {
+            this._pruneSubs();
+            this._watchSectionPlane(sectionPlane);
+            this._dirty = true;
+        });
+        this._onSectionPlaneDestroyed = scene.on("sectionPlaneDestroyed", setDirty);
+
+        this._watchMeasurements(this._distanceMeasurements, ["origin", "target"]);
+        this._watchMeasurements(this._angleMeasurements, ["origin", "corner", "target"]);
+
+        this._onTick = scene.on("tick", () => {
+            const now = Date.now();
+            if (now - this._lastSendTime >= this.throttle) {
+                this._lastSendTime = now;
+                this._sendChanges();
+            }
+        });
+
+        if (this._transport) {
+            this._transport.onMessage((message) => {
+                this._receive(message);
+            });
+        }
+
+        this.role = cfg.role || "peer";
+    }
+
+    /**
+     * Gets the ID that identifies this Viewer to the others.
+     *
+     * @type {String}
+     */
+    get clientId() {
+        return this._clientId;
+    }
+
+    /**
+     * Sets the role of this ViewSyncPlugin.
+     *
+     * Accepted values are ````"presenter"````, ````"follower"```` and ````"peer"````.
+     *
+     * Fires a "roleChanged" event on change.
+     *
+     * @type {String}
+     */
+    set role(role) {
+        if (ROLES.indexOf(role) === -1) {
+            this.error("Unsupported role: '" + role + "' - defaulting to 'peer'");
+            role = "peer";
+        }
+        if (role === this._role) {
+            return;
+        }
+        const wasPresenter = (this._role === "presenter");
+        this._role = role;
+        if (role === "presenter") {
+            this._presenterSince = Date.now();
+            this._presenter = null;
+            this._sendFullState(null);
+        } else {
+            this._presenterSince = 0;
+            if (wasPresenter) {
+                this._send({type: "bye"});
+            }
+            this._saveState(); // Don't send changes we made while not sending
+            this._send({type: "hello"});
+        }
+        this.fire("roleChanged", role);
+    }
+
+    /**
+     * Gets the role of this ViewSyncPlugin.
+     *
+     * @type {String}
+     */
+    get role() {
+        return this._role;
+    }
+
+    /**
+     * Gets the ID of the presenter that this ViewSyncPlugin follows.
+     *
+     * This is ````null```` when we're not a follower, or haven't heard from a presenter yet.
+     *
+     * @type {String}
+     */
+    get presenterId() {
+        return this._presenter ? this._presenter.id : null;
+    }
+
+    /**
+     * Asks the other Viewers for their full view.
+     *
+     * This is done automatically when the plugin starts, and when it becomes a follower or peer.
+     */
+    requestFullState() {
+        this._send({type: "hello"});
+    }
+
+    /**
+     * Marks the view as changed whenever a SectionPlane moves.
+     * @private
+     */
+    _watchSectionPlane(sectionPlane) {
+        const setDirty = () => {
+            this._dirty = true;
+        };
+        this._subs.push([sectionPlane, sectionPlane.on("pos", setDirty)]);
+        this._subs.push([sectionPlane, sectionPlane.on("dir", setDirty)]);
+        this._subs.push([sectionPlane, sectionPlane.on("active", setDirty)]);
+    }
+
+    /**
+     * Marks the view as changed whenever a measurement of the given plugin is created, destroyed or moved.
+     * @private
+     */
+    _watchMeasurements(plugin, markerNames) {
+        if (!plugin) {
+            return;
+        }
+        const watchMeasurement = (measurement) => {
+            for (let i = 0, len = markerNames.length; i < len; i++) {
+                const marker = measurement[markerNames[i]];
+                this._subs.push([marker, marker.on("worldPos", () => {
+                    this._dirty = true;
+                })]);
+            }
+        };
+        const measurements = plugin.measurements;
+        for (let id in measurements) {
+            if (measurements.hasOwnProperty(id)) {
+                watchMeasurement(measurements[id]);
+            }
+        }
+        plugin.on("measurementCreated", (measurement) => { // Plugin has no off(), so we ignore events once destroyed
+            if (!this._destroyed) {
+                this._pruneSubs();
+                watchMeasurement(measurement);
+                this._dirty = true;
+            }
+        });
+        plugin.on("measurementDestroyed", () => {
+            if (!this._destroyed) {
+                this._dirty = true;
+            }
+        });
+    }
+
+    /**
+     * Forgets our subscriptions to components that have been destroyed.
+     * @private
+     */
+    _pruneSubs() {
+        this._subs = this._subs.filter((sub) => !sub[0].destroyed);
+    }
+
+    /**
+     * @private
+     */
+    _receive(message) {
+        if (!message || message.sender === this._clientId || (message.to && message.to !== this._clientId)) {
+            return;
+        }
+        if (message.clock > this._clock) {
+            this._clock = message.clock;
+        }
+        switch (message.type) {
+            case "hello":
+                if (this._role === "presenter" || this._role === "peer") {
+                    this._sendFullState(message.sender);
+                }
+                break;
+            case "bye":
+                if (this._presenter && this._presenter.id === message.sender) {
+                    this._presenter = null;
+                }
+                break;
+            case "claim":
+            case "state":
+                if (message.role === "presenter" && !this._acceptPresenter(message)) {
+                    return;
+                }
+                if (message.type === "state" && this._role !== "presenter" && (this._role === "peer" || message.role === "presenter")) {
+                    this._applyState(message);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Resolves which presenter to follow, when we hear from one.
+     * @private
+     */
+    _acceptPresenter(message) {
+        const claim = {id: message.sender, since: message.presenterSince};
+        if (this._role === "presenter") {
+            if (isEarlierClaim(claim, {id: this._clientId, since: this._presenterSince})) {
+                this._presenter = claim;
+                this.fire("conflict", {presenterId: claim.id});
+                this.role = "follower";
+                return true;
+            }
+            this._send({type: "claim"}); // Tell the other presenter that we were first
+            return false;
+        }
+        if (!this._presenter || this._presenter.id === claim.id || isEarlierClaim(claim, this._presenter)) {
+            this._presenter = claim;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    _sendChanges() {
+        if (this._role === "follower") {
+            this._pendingVisible = {};
+            this._numPendingVisible = 0;
+            this._dirty = false;
+            return;
+        }
+        const message = this._getChanges();
+        if (message) {
+            message.type = "state";
+            this._send(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sendFullState(to) {
+        const scene = this.viewer.scene;
+        const state = this._getState();
+        const message = {
+            type: "state",
+            full: true,
+            camera: state.camera,
+            allVisible: getObjectsFlagJSON(scene, scene.visibleObjects, scene.visibleObjectIds),
+            allSelected: getObjectsFlagJSON(scene, scene.selectedObjects, scene.selectedObjectIds),
+            allXRayed: getObjectsFlagJSON(scene, scene.xrayedObjects, scene.xrayedObjectIds),
+            colorized: mapToObject(state.colorized, (color) => color),
+            sectionPlanes: mapToObject(state.sectionPlanes, (json) => JSON.parse(json)),
+            measurements: mapToObject(state.measurements, (json) => JSON.parse(json))
+        };
+        if (to) {
+            message.to = to;
+        }
+        this._sent = state;
+        this._dirty = false;
+        this._pendingVisible = {};
+        this._numPendingVisible = 0;
+        this._send(message);
+    }
+
+    /**
+     * @private
+     */
+    _send(message) {
+        if (!this._transport) {
+            return;
+        }
+        message.sender = this._clientId;
+        message.role = this._role;
+        message.presenterSince = this._presenterSince;
+        message.clock = ++this._clock;
+        if (message.type === "state") {
+            this._updateKeyClocks(message, message.clock, this._clientId);
+        }
+        this._transport.send(message);
+    }
+
+    /**
+     * Captures the parts of the view that ViewSyncPlugin diffs by comparing snapshots.
+     * @private
+     */
+    _getState() {
+        const scene = this.viewer.scene;
+        const camera = scene.camera;
+        const state = {
+            camera: {
+                eye: Array.from(camera.eye),
+                look: Array.from(camera.look),
+                up: Array.from(camera.up),
+                projection: camera.projection
+            },
+            selected: new Set(scene.selectedObjectIds),
+            xrayed: new Set(scene.xrayedObjectIds),
+            colorized: new Map(),
+            sectionPlanes: new Map(),
+            measurements: new Map()
+        };
+        const colorizedObjectIds = scene.colorizedObjectIds;
+        for (let i = 0, len = colorizedObjectIds.length; i < len; i++) {
+            const id = colorizedObjectIds[i];
+            state.colorized.set(id, Array.from(scene.objects[id].colorize).slice(0, 3));
+        }
+        const sectionPlanes = scene.sectionPlanes;
+        for (let id in sectionPlanes) {
+            if (sectionPlanes.hasOwnProperty(id)) {
+                const sectionPlane = sectionPlanes[id];
+                state.sectionPlanes.set(id, JSON.stringify({
+                    pos: Array.from(sectionPlane.pos),
+                    dir: Array.from(sectionPlane.dir),
+                    active: sectionPlane.active
+                }));
+            }
+        }
+        if (this._distanceMeasurements) {
+            const measurements = this._distanceMeasurements.measurements;
+            for (let id in measurements) {
+                if (measurements.hasOwnProperty(id)) {
+                    const measurement = measurements[id];
+                    state.measurements.set(id, JSON.stringify({
+                        type: "distance",
+                        origin: getMarkerJSON(measurement.origin),
+                        target: getMarkerJSON(measurement.target)
+                    }));
+                }
+            }
+        }
+        if (this._angleMeasurements) {
+            const measurements = this._angleMeasurements.measurements;
+            for (let id in measurements) {
+                if (measurements.hasOwnProperty(id)) {
+                    const measurement = measurements[id];
+                    state.measurements.set(id, JSON.stringify({
+                        type: "angle",
+                        origin: getMarkerJSON(measurement.origin),
+                        corner: getMarkerJSON(measurement.corner),
+                        target: getMarkerJSON(measurement.target)
+                    }));
+                }
+            }
+        }
+        return state;
+    }
+
+    /**
+     * @private
+     */
+    _saveState() {
+        this._sent = this._getState();
+        this._dirty = false;
+        this._pendingVisible = {};
+        this._numPendingVisible = 0;
+    }
+
+    /**
+     * Gets a diff of what has changed since the state we last sent or applied, or null if nothing has changed.
+     *
+     * Only captures the state again when events have told us that the view may have changed.
+     *
+     * @private
+     */
+    _getChanges() {
+        const message = {};
+        let changed = false;
+        if (this._numPendingVisible > 0) {
+            message.visible = this._pendingVisible;
+            this._pendingVisible = {};
+            this._numPendingVisible = 0;
+            changed = true;
+        }
+        if (!this._dirty) {
+            return changed ? message : null;
+        }
+        this._dirty = false;
+        const sent = this._sent;
+        const state = this._getState();
+        if (!cameraEquals(state.camera, sent.camera)) {
+            message.camera = state.camera;
+            changed = true;
+        }
+        const selected = diffSets(sent.selected, state.selected);
+        if (selected) {
+            message.selected = selected;
+            changed = true;
+        }
+        const xrayed = diffSets(sent.xrayed, state.xrayed);
+        if (xrayed) {
+            message.xrayed = xrayed;
+            changed = true;
+        }
+        const colorized = diffMaps(sent.colorized, state.colorized, (a, b) => a[0] === b[0] && a[1] === b[1] && a[2] === b[2], (color) => color);
+        if (colorized) {
+            message.colorized = colorized;
+            changed = true;
+        }
+        const sectionPlanes = diffMaps(sent.sectionPlanes, state.sectionPlanes, (a, b) => a === b, (json) => JSON.parse(json));
+        if (sectionPlanes) {
+            message.sectionPlanes = sectionPlanes;
+            changed = true;
+        }
+        const measurements = diffMaps(sent.measurements, state.measurements, (a, b) => a === b, (json) => JSON.parse(json));
+        if (measurements) {
+            message.measurements = measurements;
+            changed = true;
+        }
+        this._sent = state;
+        return changed ? message : null;
+    }
+
+    /**
+     * Applies a diff or full state from another Viewer.
+     * @private
+     */
+    _applyState(message) {
+
+        if (this._role === "peer") {
+            this._sendChanges(); // Send our own changes first, so that they are ordered before the ones we apply
+        }
+
+        const scene = this.viewer.scene;
+        const camera = scene.camera;
+        const lww = (this._role === "peer" && !message.full);
+        const isNewer = (key) => !lww || isNewerChange(message.clock, message.sender, this._keyClocks[key]);
+
+        this._applying = true;
+
+        if (message.camera && isNewer("camera")) {
+            camera.eye = message.camera.eye;
+            camera.look = message.camera.look;
+            camera.up = message.camera.up;
+            camera.projection = message.camera.projection;
+        }
+
+        if (message.allVisible) {
+            setObjectsFlagJSON(scene, message.allVisible, (ids, visible) => scene.setObjectsVisible(ids, visible));
+        }
+
+        if (message.allSelected) {
+            setObjectsFlagJSON(scene, message.allSelected, (ids, selected) => scene.setObjectsSelected(ids, selected));
+        }
+
+        if (message.allXRayed) {
+            setObjectsFlagJSON(scene, message.allXRayed, (ids, xrayed) => scene.setObjectsXRayed(ids, xrayed));
+        }
+
+        if (message.visible) {
+            applyFlags(scene, message.visible, (id) => isNewer("visible:" + id), (ids, flag) => scene.setObjectsVisible(ids, flag));
+        }
+
+        if (message.full) {
+            scene.setObjectsColorized(scene.colorizedObjectIds, null);
+        }
+
+        if (message.selected) {
+            applyFlags(scene, message.selected, (id) => isNewer("selected:" + id), (ids, flag) => scene.setObjectsSelected(ids, flag));
+        }
+
+        if (message.xrayed) {
+            applyFlags(scene, message.xrayed, (id) => isNewer("xrayed:" + id), (ids, flag) => scene.setObjectsXRayed(ids, flag));
+        }
+
+        if (message.colorized) {
+            for (let id in message.colorized) {
+                if (message.colorized.hasOwnProperty(id) && scene.objects[id] && isNewer("colorized:" + id)) {
+                    scene.setObjectsColorized([id], message.colorized[id]);
+                }
+            }
+        }
+
+        if (message.sectionPlanes) {
+            if (message.full) {
+                destroyMissing(scene.sectionPlanes, message.sectionPlanes);
+            }
+            for (let id in message.sectionPlanes) {
+                if (message.sectionPlanes.hasOwnProperty(id) && isNewer("sectionPlane:" + id)) {
+                    this._applySectionPlane(id, message.sectionPlanes[id]);
+                }
+            }
+        }
+
+        if (message.measurements) {
+            if (message.full) {
+                if (this._distanceMeasurements) {
+                    destroyMissing(this._distanceMeasurements.measurements, message.measurements);
+                }
+                if (this._angleMeasurements) {
+                    destroyMissing(this._angleMeasurements.measurements, message.measurements);
+                }
+            }
+            for (let id in message.measurements) {
+                if (message.measurements.hasOwnProperty(id) && isNewer("measurement:" + id)) {
+                    this._applyMeasurement(id, message.measurements[id]);
+                }
+            }
+        }
+
+        this._applying = false;
+
+        this._updateKeyClocks(message, message.clock, message.sender);
+
+        this._saveState(); // Don't send back what we just applied
+    }
+
+    /**
+     * @private
+     */
+    _applySectionPlane(id, json) {
+        const scene = this.viewer.scene;
+        const sectionPlane = scene.sectionPlanes[id];
+        if (!json) {
+            if (sectionPlane) {
+                sectionPlane.destroy();
+            }
+            return;
+        }
+        if (sectionPlane) {
+            sectionPlane.pos = json.pos;
+            sectionPlane.dir = json.dir;
+            sectionPlane.active = json.active;
+        } else {
+            new SectionPlane(scene, {
+                id: id,
+                pos: json.pos,
+                dir: json.dir,
+                active: json.active
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _applyMeasurement(id, json) {
+        const distanceMeasurement = this._distanceMeasurements ? this._distanceMeasurements.measurements[id] : null;
+        const angleMeasurement = this._angleMeasurements ? this._angleMeasurements.measurements[id] : null;
+        const measurement = distanceMeasurement || angleMeasurement;
+        if (!json) {
+            if (measurement) {
+                measurement.destroy();
+            }
+            return;
+        }
+        const plugin = (json.type === "angle") ? this._angleMeasurements : this._distanceMeasurements;
+        if (!plugin) {
+            return;
+        }
+        if (measurement && plugin.measurements[id] === measurement) {
+            measurement.origin.worldPos = json.origin.worldPos;
+            measurement.target.worldPos = json.target.worldPos;
+            if (json.corner) {
+                measurement.corner.worldPos = json.corner.worldPos;
+            }
+            return;
+        }
+        if (measurement) {
+            measurement.destroy();
+        }
+        const params = {
+            id: id,
+            origin: getMarkerParams(this, json.origin),
+            target: getMarkerParams(this, json.target)
+        };
+        if (json.corner) {
+            params.corner = getMarkerParams(this, json.corner);
+        }
+        plugin.createMeasurement(params);
+    }
+
+    /**
+     * Records the clock and sender of each change in a state message.
+     * @private
+     */
+    _updateKeyClocks(message, clock, sender) {
+        const keyClocks = this._keyClocks;
+        const stamp = [clock, sender];
+        const update = (prefix, values) => {
+            if (values) {
+                for (let id in values) {
+                    if (values.hasOwnProperty(id) && isNewerChange(clock, sender, keyClocks[prefix + id])) {
+                        keyClocks[prefix + id] = stamp;
+                    }
+                }
+            }
+        };
+        if (message.camera && isNewerChange(clock, sender, keyClocks["camera"])) {
+            keyClocks["camera"] = stamp;
+        }
+        update("visible:", message.visible);
+        update("selected:", message.selected);
+        update("xrayed:", message.xrayed);
+        update("colorized:", message.colorized);
+        update("sectionPlane:", message.sectionPlanes);
+        update("measurement:", message.measurements);
+    }
+
+    /**
+     * @private
+     */
+    send(name) {
+        switch (name) {
+            case "clear":
+                this._keyClocks = {};
+                this._saveState();
+                break;
+        }
+    }
+
+    /**
+     * Destroys this ViewSyncPlugin.
+     *
+     * Tells the other Viewers that we've left, then closes the transport.
+     */
+    destroy() {
+        if (this._role === "presenter") {
+            this._send({type: "bye"});
+        }
+        const scene = this.viewer.scene;
+        scene.off(this._onObjectVisibility);
+        scene.off(this._onObjectSelected);
+        scene.off(this._onObjectXRayed);
+        scene.off(this._onObjectColorize);
+        scene.off(this._onSectionPlaneCreated);
+        scene.off(this._onSectionPlaneDestroyed);
+        scene.off(this._onTick);
+        scene.camera.off(this._onCameraMatrix);
+        scene.camera.off(this._onCameraProjection);
+        for (let i = 0, len = this._subs.length; i < len; i++) {
+            const [component, subId] = this._subs[i];
+            if (!component.destroyed) {
+                component.off(subId);
+            }
+        }
+        this._subs = [];
+        this._destroyed = true;
+        if (this._transport && this._transport.close) {
+            this._transport.close();
+        }
+        super.destroy();
+    }
+}
+
+function isEarlierClaim(a, b) {
+    return (a.since < b.since) || (a.since === b.since && a.id < b.id);
+}
+
+function isNewerChange(clock, sender, stamp) {
+    if (!stamp) {
+        return true;
+    }
+    return (clock > stamp[0]) || (clock === stamp[0] && sender > stamp[1]);
+}
+
+function cameraEquals(a, b) {
+    if (!a || !b || a.projection !== b.projection) {
+        return false;
+    }
+    return vecEquals(a.eye, b.eye) && vecEquals(a.look, b.look) && vecEquals(a.up, b.up);
+}
+
+function vecEquals(a, b) {
+    return Math.abs(a[0] - b[0]) < 1e-6 && Math.abs(a[1] - b[1]) < 1e-6 && Math.abs(a[2] - b[2]) < 1e-6;
+}
+
+function diffSets(before, after) {
+    let diff = null;
+    after.forEach((id) => {
+        if (!before.has(id)) {
+            (diff || (diff = {}))[id] = true;
+        }
+    });
+    before.forEach((id) => {
+        if (!after.has(id)) {
+            (diff || (diff = {}))[id] = false;
+        }
+    });
+    return diff;
+}
+
+function diffMaps(before, after, equals, toJSON) {
+    let diff = null;
+    after.forEach((value, id) => {
+        const beforeValue = before.get(id);
+        if (beforeValue === undefined || beforeValue === null || !equals(beforeValue, value)) {
+            (diff || (diff = {}))[id] = toJSON(value);
+        }
+    });
+    before.forEach((value, id) => {
+        if (!after.has(id)) {
+            (diff || (diff = {}))[id] = null;
+        }
+    });
+    return diff;
+}
+
+function mapToObject(map, toJSON) {
+    const obj = {};
+    map.forEach((value, id) => {
+        obj[id] = toJSON(value);
+    });
+    return obj;
+}
+
+function applyFlags(scene, flags, isNewer, setFlag) {
+    const on = [];
+    const off = [];
+    for (let id in flags) {
+        if (flags.hasOwnProperty(id) && scene.objects[id] && isNewer(id)) {
+            (flags[id] ? on : off).push(id);
+        }
+    }
+    if (on.length > 0) {
+        setFlag(on, true);
+    }
+    if (off.length > 0) {
+        setFlag(off, false);
+    }
+}
+
+function destroyMissing(components, keep) {
+    Object.keys(components).forEach((id) => {
+        if (!keep[id]) {
+            components[id].destroy();
+        }
+    });
+}
+
+export {ViewSyncPlugin};
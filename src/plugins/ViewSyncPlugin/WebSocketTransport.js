@@ -0,0 +1,85 @@
+/**
+ * Transport for {@link ViewSyncPlugin} that syncs Viewers through a WebSocket server.
+ *
+ * Messages are sent as JSON text. The server must relay each message it gets from a client to all the other
+ * clients, and is free to group clients into sessions, for example by URL path.
+ *
+ * Messages sent while the WebSocket is still connecting are queued, and sent once it opens.
+ *
+ * ````javascript
+ * const viewSync = new ViewSyncPlugin(viewer, {
+ *     transport: new WebSocketTransport({
+ *         url: "wss://example.com/review/1234"
+ *     })
+ * });
+ * ````
+ *
+ * @class WebSocketTransport
+ */
+class WebSocketTransport {
+
+    /**
+     * @constructor
+     * @param {*} cfg Transport configuration.
+     * @param {String} [cfg.url] URL of the WebSocket server.
+     * @param {WebSocket} [cfg.webSocket] An existing WebSocket to use instead of connecting to ````url````.
+     */
+    constructor(cfg = {}) {
+        this._webSocket = cfg.webSocket || new WebSocket(cfg.url);
+        this._callback = null;
+        this._queue = [];
+        this._webSocket.addEventListener("open", () => {
+            const queue = this._queue;
+            this._queue = [];
+            for (let i = 0, len = queue.length; i < len; i++) {
+                this._webSocket.send(queue[i]);
+            }
+        });
+        this._webSocket.addEventListener("message", (event) => {
+            if (!this._callback) {
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) { // Not one of our messages
+                return;
+            }
+            this._callback(message);
+        });
+    }
+
+    /**
+     * Sends a message to the other Viewers.
+     *
+     * @param {*} message The message.
+     */
+    send(message) {
+        const text = JSON.stringify(message);
+        if (this._webSocket.readyState === 1) { // WebSocket.OPEN
+            this._webSocket.send(text);
+        } else if (this._webSocket.readyState === 0) { // WebSocket.CONNECTING
+            this._queue.push(text);
+        }
+    }
+
+    /**
+     * Sets a callback to fire with each message received from another Viewer.
+     *
+     * @param {Function} callback The callback.
+     */
+    onMessage(callback) {
+        this._callback = callback;
+    }
+
+    /**
+     * Closes the WebSocket.
+     */
+    close() {
+        this._callback = null;
+        this._queue = [];
+        this._webSocket.close();
+    }
+}
+
+export {WebSocketTransport};
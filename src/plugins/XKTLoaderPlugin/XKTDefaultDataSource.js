@@ -6,6 +6,7 @@ import {utils} from "../../viewer/scene/utils.js";
 class XKTDefaultDataSource {
 
     constructor() {
+        this._xktFiles = {}; // Whole .xkt files, kept while getting ranges from servers that don't support range requests
     }
 
     /**
@@ -37,6 +38,12 @@ class XKTDefaultDataSource {
         };
         ok = ok || defaultCallback;
         error = error || defaultCallback;
+        const xktFile = this._xktFiles[src];
+        if (xktFile) { // Already got while getting a range
+            delete this._xktFiles[src];
+            ok(xktFile);
+            return;
+        }
         const dataUriRegex = /^data:(.*?)(;base64)?,(.*)$/;
         const dataUriRegexResult = src.match(dataUriRegex);
         if (dataUriRegexResult) { // Safari can't handle data URIs through XMLHttpRequest
@@ -72,6 +79,67 @@ class XKTDefaultDataSource {
             request.send(null);
         }
     }
+
+    /**
+     * Gets a range of bytes within the given ````.xkt```` file, in an arraybuffer.
+     *
+     * {@link XKTLoaderPlugin} uses this to stream chunked ````.xkt```` files, a piece at a time. This works best when
+     * the server supports HTTP range requests. When the server ignores the range, we get the whole file once, then
+     * keep it to extract the following ranges from, until {@link XKTDefaultDataSource#releaseXKT} is called.
+     *
+     * @param {String|Number} src Path to ````.xkt```` file.
+     * @param {Number} byteOffset Offset of the first byte to get.
+     * @param {Number} byteLength Number of bytes to get.
+     * @param {Function} ok Callback fired on success, argument is the range of bytes in an arraybuffer.
+     * @param {Function} error Callback fired on error.
+     */
+    getXKTRange(src, byteOffset, byteLength, ok, error) {
+        var defaultCallback = () => {
+        };
+        ok = ok || defaultCallback;
+        error = error || defaultCallback;
+        const xktFile = this._xktFiles[src];
+        if (xktFile) {
+            ok(xktFile.slice(byteOffset, byteOffset + byteLength));
+            return;
+        }
+        if (src.match(/^data:/)) {
+            this.getXKT(src, (arrayBuffer) => {
+                this._xktFiles[src] = arrayBuffer;
+                ok(arrayBuffer.slice(byteOffset, byteOffset + byteLength));
+            }, error);
+            return;
+        }
+        const xktFiles = this._xktFiles;
+        const request = new XMLHttpRequest();
+        request.open('GET', src, true);
+        request.responseType = 'arraybuffer';
+        request.setRequestHeader("Range", "bytes=" + byteOffset + "-" + (byteOffset + byteLength - 1));
+        request.onreadystatechange = function () {
+            if (request.readyState === 4) {
+                if (request.status === 206) {
+                    ok(request.response);
+                } else if (request.status === 200) { // Range not supported by server, so keep the whole file for the following ranges
+                    xktFiles[src] = request.response;
+                    ok(request.response.slice(byteOffset, byteOffset + byteLength));
+                } else {
+                    error('getXKTRange error : ' + request.response);
+                }
+            }
+        };
+        request.send(null);
+    }
+
+    /**
+     * Releases the given ````.xkt```` file, if this XKTDefaultDataSource kept it while getting ranges from it.
+     *
+     * {@link XKTLoaderPlugin} calls this when it has finished streaming the file.
+     *
+     * @param {String|Number} src Path to ````.xkt```` file.
+     */
+    releaseXKT(src) {
+        delete this._xktFiles[src];
+    }
 }
 
 
@@ -3,12 +3,17 @@ import {PerformanceModel} from "../../viewer/scene/PerformanceModel/PerformanceM
 import {Plugin} from "../../viewer/Plugin.js";
 import {XKTDefaultDataSource} from "./XKTDefaultDataSource.js";
 import {IFCObjectDefaults} from "../../viewer/metadata/IFCObjectDefaults.js";
+import {XKTWorkerPool} from "./lib/XKTWorkerPool.js";
+import {math} from "../../viewer/scene/math/math.js";
+import * as p from "./lib/pako.js";
 
 import {ParserV1} from "./parsers/ParserV1.js";
 import {ParserV2} from "./parsers/ParserV2.js";
 import {ParserV3} from "./parsers/ParserV3.js";
 import {ParserV4} from "./parsers/ParserV4.js";
 import {ParserV5} from "./parsers/ParserV5.js";
+import {ParserV6} from "./parsers/ParserV6.js";
+import {ParserV7} from "./parsers/ParserV7.js";
 
 const parsers = {};
 
@@ -17,6 +22,32 @@ parsers[ParserV2.version] = ParserV2;
 parsers[ParserV3.version] = ParserV3;
 parsers[ParserV4.version] = ParserV4;
 parsers[ParserV5.version] = ParserV5;
+parsers[ParserV6.version] = ParserV6;
+parsers[ParserV7.version] = ParserV7;
+
+/**
+ * Version of chunked .XKT files, which contain a sequence of self-contained .XKT V7 files, each for a portion of the model.
+ * @private
+ */
+const CHUNKED_XKT_VERSION = 8;
+
+let pako = window.pako || p;
+if (!pako.inflate) {  // See https://github.com/nodeca/pako/issues/97
+    pako = pako.default;
+}
+
+function splitElements(dataArray) {
+    const dataView = new DataView(dataArray.buffer, dataArray.byteOffset, dataArray.byteLength);
+    const numElements = dataView.getUint32(4, true);
+    const elements = [];
+    let byteOffset = (numElements + 2) * 4;
+    for (let i = 0; i < numElements; i++) {
+        const elementSize = dataView.getUint32((i + 2) * 4, true);
+        elements.push(dataArray.subarray(byteOffset, byteOffset + elementSize));
+        byteOffset += elementSize;
+    }
+    return elements;
+}
 
 /**
  * {@link Viewer} plugin that loads models from xeokit's optimized *````.xkt````* format.
@@ -34,7 +65,79 @@ parsers[ParserV5.version] = ParserV5;
  * * Filter which IFC types get loaded.
  * * Configure initial default appearances for IFC types.
  * * Set a custom data source for *````.xkt````* and IFC metadata files.
- * * Does not support textures or physically-based materials.
+ * * Supports textures and UV coordinates in *````.xkt````* format V6 and later. Does not support physically-based materials.
+ * * Loads metadata and IFC property sets embedded in *````.xkt````* format V7 and later, without needing a separate metadata file.
+ * * Optionally inflates and prepares *````.xkt````* files in a pool of Web workers, to keep the page responsive while loading big models.
+ * * Optionally streams chunked *````.xkt````* files, showing objects as each chunk arrives.
+ *
+ * ## Decoding in Web workers
+ *
+ * By default, XKTLoaderPlugin inflates and parses each *````.xkt````* file on the main thread, which can freeze the page for
+ * a while when loading very big models.
+ *
+ * We can instead configure XKTLoaderPlugin to do that in a pool of [Web workers](https://www.w3.org/TR/workers/),
+ * by giving it the number of workers to use, along with a ````workerScriptsPath```` that specifies the directory
+ * that contains XKTLoaderPlugin's worker script. The workers inflate the arrays, give them their types, parse
+ * the JSON and build the lookup tables that map the model's geometry to its objects, then transfer it all back without
+ * copying, which leaves only the creation of the model's objects for the main thread.
+ *
+ * The worker script is a module, so this needs a browser that supports module workers.
+ *
+ * While the workers are loading a model, the model {@link Entity} fires ````"loadingProgress"```` events that indicate
+ * how far it has got. Each event has a ````stage````, which is ````"inflating"```` while the workers inflate the arrays,
+ * then ````"preparing"```` while they prepare them.
+ *
+ * ````javascript
+ * const xktLoader = new XKTLoaderPlugin(viewer, {
+ *     numWorkers: 4,
+ *     workerScriptsPath: "../src/plugins/XKTLoaderPlugin/workers/"
+ * });
+ *
+ * const model = xktLoader.load({
+ *     id: "myModel",
+ *     src: "./models/xkt/OTCConferenceCenter/OTCConferenceCenter.xkt"
+ * });
+ *
+ * model.on("loadingProgress", (e) => {
+ *     console.log(e.stage + ": " + Math.round(e.progress * 100) + "%"); // e.stage is "inflating" or "preparing"
+ * });
+ * ````
+ *
+ * ## Streaming chunked files
+ *
+ * A chunked *````.xkt````* file (format V8) divides a model into a sequence of chunks, each of which is a self-contained
+ * *````.xkt````* V7 file for a portion of the model's objects. The first chunk also contains the model's metadata, if any. The file begins with an index
+ * that gives the World-space boundary of each chunk.
+ *
+ * When we load a chunked file with the ````stream```` option, XKTLoaderPlugin gets the index first, then gets the chunks one
+ * at a time, through the data source's ````getXKTRange()```` method, which uses HTTP range requests by default. When
+ * the server ignores range requests, the default data source gets the whole file once, and extracts each chunk from that. The model
+ * shows the objects in each chunk as soon as the chunk arrives, so that we can begin working with the model before it has finished loading.
+ *
+ * The ````chunkPriority```` option sets the order in which we get the chunks after the first one, which we always get first, since it may contain the metadata:
+ *
+ * * ````"file"```` - the order in which they appear in the file (default),
+ * * ````"size"```` - the chunks with the most bytes first, so that the most detailed parts of the model appear early, or
+ * * ````"spatial"```` - the chunks nearest to the {@link Camera} first.
+ *
+ * While loading, the model {@link Entity} fires a ````"loadingProgress"```` event as each chunk is loaded, then fires ````"loaded"```` once all chunks are loaded.
+ *
+ * ````javascript
+ * const model = xktLoader.load({
+ *     id: "mySiteModel",
+ *     src: "./models/xkt/site/site.xkt",
+ *     stream: true,
+ *     chunkPriority: "spatial"
+ * });
+ *
+ * model.on("loadingProgress", (e) => {
+ *     console.log("Loaded " + e.numChunksLoaded + " of " + e.numChunks + " chunks");
+ * });
+ *
+ * model.on("loaded", () => {
+ *     console.log("All chunks loaded");
+ * });
+ * ````
  *
  * ## Credits
  *
@@ -336,11 +439,25 @@ class XKTLoaderPlugin extends Plugin {
      * @param {String[]} [cfg.includeTypes] When loading metadata, only loads objects that have {@link MetaObject}s with {@link MetaObject#type} values in this list.
      * @param {String[]} [cfg.excludeTypes] When loading metadata, never loads objects that have {@link MetaObject}s with {@link MetaObject#type} values in this list.
      * @param {Boolean} [cfg.excludeUnclassifiedObjects=false] When loading metadata and this is ````true````, will only load {@link Entity}s that have {@link MetaObject}s (that are not excluded). This is useful when we don't want Entitys in the Scene that are not represented within IFC navigation components, such as {@link StructureTreeViewPlugin}.
+     * @param {Number} [cfg.numWorkers=0] Number of Web workers with which to inflate and prepare *````.xkt````* files. When zero, files are inflated and prepared on the main thread.
+     * @param {String} [cfg.workerScriptsPath] Path to the directory that contains XKTLoaderPlugin's Web worker script. Required when ````numWorkers```` is greater than zero.
      */
     constructor(viewer, cfg = {}) {
 
         super("XKTLoader", viewer, cfg);
 
+        this._workerPool = null;
+
+        if (cfg.numWorkers > 0) {
+            if (!cfg.workerScriptsPath) {
+                this.error("Config expected: workerScriptsPath - will load .xkt files on main thread");
+            } else if (typeof Worker === "undefined" || typeof TextDecoder === "undefined") {
+                this.warn("Web workers not supported in this browser - will load .xkt files on main thread");
+            } else {
+                this._workerPool = new XKTWorkerPool(cfg.workerScriptsPath, cfg.numWorkers);
+            }
+        }
+
         this.dataSource = cfg.dataSource;
         this.objectDefaults = cfg.objectDefaults;
         this.includeTypes = cfg.includeTypes;
@@ -353,7 +470,7 @@ class XKTLoaderPlugin extends Plugin {
      * @returns {string[]}
      */
     get supportedVersions() {
-        return Object.keys(parsers);
+        return Object.keys(parsers).concat([String(CHUNKED_XKT_VERSION)]);
     }
 
     /**
@@ -492,7 +609,9 @@ class XKTLoaderPlugin extends Plugin {
      * @param {String} [params.id] ID to assign to the root {@link Entity#id}, unique among all components in the Viewer's {@link Scene}, generated automatically by default.
      * @param {String} [params.src] Path to a *````.xkt````* file, as an alternative to the ````xkt```` parameter.
      * @param {ArrayBuffer} [params.xkt] The *````.xkt````* file data, as an alternative to the ````src```` parameter.
-     * @param {String} [params.metaModelSrc] Path to an optional metadata file, as an alternative to the ````metaModelData```` parameter (see user guide: [Model Metadata](https://github.com/xeolabs/xeokit.io/wiki/Model-Metadata)).
+     * @param {Boolean} [params.stream=false] When loading a chunked *````.xkt````* file from ````src````, gets the chunks one at a time and shows the objects in each as it arrives.
+     * @param {String} [params.chunkPriority="file"] When loading a chunked *````.xkt````* file, the order in which to load the chunks: ````"file"````, ````"size"```` (most bytes first) or ````"spatial"```` (nearest to the camera first).
+     * @param {String} [params.metaModelSrc] Path to an optional metadata file, as an alternative to the ````metaModelData```` parameter (see user guide: [Model Metadata](https://github.com/xeolabs/xeokit.io/wiki/Model-Metadata)). Not needed for *````.xkt````* V7 and later, which embeds its metadata, unless we want to override that.
      * @param {*} [params.metaModelData] JSON model metadata, as an alternative to the ````metaModelSrc```` parameter (see user guide: [Model Metadata](https://github.com/xeolabs/xeokit.io/wiki/Model-Metadata)).
      * @param {{String:Object}} [params.objectDefaults] Map of initial default states for each loaded {@link Entity} that represents an object. Default value is {@link IFCObjectDefaults}.
      * @param {String[]} [params.includeTypes] When loading metadata, only loads objects that have {@link MetaObject}s with {@link MetaObject#type} values in this list.
@@ -506,6 +625,7 @@ class XKTLoaderPlugin extends Plugin {
      * @param {Boolean} [params.saoEnabled=true] Indicates if Scalable Ambient Obscurance (SAO) will apply to the model. SAO is configured by the Scene's {@link SAO} component.
      * @param {Boolean} [params.backfaces=false] Indicates if backfaces are visible on the model. Making this ````true```` will reduce rendering performance.
      * @param {Boolean} [params.excludeUnclassifiedObjects=false] When loading metadata and this is ````true````, will only load {@link Entity}s that have {@link MetaObject}s (that are not excluded). This is useful when we don't want Entitys in the Scene that are not represented within IFC navigation components, such as {@link StructureTreeViewPlugin}.
+     * @param {Boolean} [params.readableGeometry=false] Set ````true```` to keep the model's geometry arrays in browser memory, so that they can be read back later, eg. by {@link GLTFExporterPlugin}.
      * @returns {Entity} Entity representing the model, which will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#models}.
      */
     load(params = {}) {
@@ -528,31 +648,39 @@ class XKTLoaderPlugin extends Plugin {
 
         const options = {};
 
-        if (params.metaModelSrc || params.metaModelData) {
+        // Metadata can be loaded separately, or embedded within the .xkt file (V7 and later), so we always prepare these options
 
-            const includeTypes = params.includeTypes || this._includeTypes;
-            const excludeTypes = params.excludeTypes || this._excludeTypes;
-            const objectDefaults = params.objectDefaults || this._objectDefaults;
+        const includeTypes = params.includeTypes || this._includeTypes;
+        const excludeTypes = params.excludeTypes || this._excludeTypes;
+        const objectDefaults = params.objectDefaults || this._objectDefaults;
 
-            if (includeTypes) {
-                options.includeTypesMap = {};
-                for (let i = 0, len = includeTypes.length; i < len; i++) {
-                    options.includeTypesMap[includeTypes[i]] = true;
-                }
+        if (includeTypes) {
+            options.includeTypes = includeTypes;
+            options.includeTypesMap = {};
+            for (let i = 0, len = includeTypes.length; i < len; i++) {
+                options.includeTypesMap[includeTypes[i]] = true;
             }
+        }
 
-            if (excludeTypes) {
-                options.excludeTypesMap = {};
-                for (let i = 0, len = excludeTypes.length; i < len; i++) {
-                    options.excludeTypesMap[excludeTypes[i]] = true;
-                }
+        if (excludeTypes) {
+            options.excludeTypes = excludeTypes;
+            options.excludeTypesMap = {};
+            for (let i = 0, len = excludeTypes.length; i < len; i++) {
+                options.excludeTypesMap[excludeTypes[i]] = true;
             }
+        }
 
-            if (objectDefaults) {
-                options.objectDefaults = objectDefaults;
-            }
+        if (objectDefaults) {
+            options.objectDefaults = objectDefaults;
+        }
+
+        options.excludeUnclassifiedObjects = (params.excludeUnclassifiedObjects !== undefined) ? (!!params.excludeUnclassifiedObjects) : this._excludeUnclassifiedObjects;
+
+        performanceModel.once("destroyed", () => {
+            this.viewer.metaScene.destroyMetaModel(modelId);
+        });
 
-            options.excludeUnclassifiedObjects = (params.excludeUnclassifiedObjects !== undefined) ? (!!params.excludeUnclassifiedObjects) : this._excludeUnclassifiedObjects;
+        if (params.metaModelSrc || params.metaModelData) {
 
             const processMetaModelData = (metaModelData) => {
 
@@ -568,10 +696,6 @@ class XKTLoaderPlugin extends Plugin {
                 } else {
                     this._parseModel(params.xkt, params, options, performanceModel);
                 }
-
-                performanceModel.once("destroyed", () => {
-                    this.viewer.metaScene.destroyMetaModel(performanceModel.id);
-                });
             };
 
             if (params.metaModelSrc) {
@@ -610,6 +734,14 @@ class XKTLoaderPlugin extends Plugin {
 
     _loadModel(src, params, options, performanceModel) {
 
+        if (params.stream) {
+            if (this._dataSource.getXKTRange) {
+                this._streamModel(src, params, options, performanceModel);
+                return;
+            }
+            this.warn("load(): Data source does not support getXKTRange() - can't stream, will load whole .xkt file instead");
+        }
+
         const spinner = this.viewer.scene.canvas.spinner;
 
         spinner.processes++;
@@ -625,38 +757,267 @@ class XKTLoaderPlugin extends Plugin {
             });
     }
 
+    _streamModel(src, params, options, performanceModel) {
+
+        const spinner = this.viewer.scene.canvas.spinner;
+        const dataSource = this._dataSource;
+
+        spinner.processes++;
+
+        const done = () => {
+            spinner.processes--;
+            if (dataSource.releaseXKT) { // Data source may have kept the whole file
+                dataSource.releaseXKT(src);
+            }
+        };
+
+        const onError = (errMsg) => {
+            done();
+            this.error(errMsg);
+            performanceModel.fire("error", errMsg);
+        };
+
+        dataSource.getXKTRange(src, 0, 8, (headerBuffer) => {
+
+            const headerView = new DataView(headerBuffer);
+            const xktVersion = headerView.getUint32(0, true);
+
+            if (xktVersion !== CHUNKED_XKT_VERSION) { // Not chunked, so nothing to stream
+                dataSource.getXKT(src, (arrayBuffer) => {
+                    this._parseModel(arrayBuffer, params, options, performanceModel);
+                    done();
+                }, onError);
+                return;
+            }
+
+            const numElements = headerView.getUint32(4, true);
+
+            dataSource.getXKTRange(src, 8, numElements * 4, (elementSizesBuffer) => {
+
+                const elementSizesView = new DataView(elementSizesBuffer);
+                const elementOffsets = [];
+                const elementSizes = [];
+                let byteOffset = (numElements + 2) * 4;
+
+                for (let i = 0; i < numElements; i++) {
+                    const elementSize = elementSizesView.getUint32(i * 4, true);
+                    elementOffsets.push(byteOffset);
+                    elementSizes.push(elementSize);
+                    byteOffset += elementSize;
+                }
+
+                dataSource.getXKTRange(src, elementOffsets[0], elementSizes[0], (chunkIndexBuffer) => {
+
+                    const chunks = JSON.parse(pako.inflate(new Uint8Array(chunkIndexBuffer), {to: 'string'}));
+                    const numChunks = numElements - 1;
+                    const chunkOrder = this._getChunkOrder(chunks, elementSizes.slice(1), params.chunkPriority, performanceModel);
+                    let numChunksLoaded = 0;
+
+                    this.log("Streaming chunked .xkt (" + numChunks + " chunks)");
+
+                    const loadNextChunk = () => {
+                        if (performanceModel.destroyed) {
+                            done();
+                            return;
+                        }
+                        if (numChunksLoaded === numChunks) {
+                            done();
+                            this._fireLoaded(performanceModel);
+                            return;
+                        }
+                        const chunkIndex = chunkOrder[numChunksLoaded];
+                        dataSource.getXKTRange(src, elementOffsets[chunkIndex + 1], elementSizes[chunkIndex + 1], (chunkBuffer) => {
+                            if (performanceModel.destroyed) {
+                                done();
+                                return;
+                            }
+                            this._parseChunk(new Uint8Array(chunkBuffer), chunkIndex, options, performanceModel, () => {
+                                numChunksLoaded++;
+                                performanceModel.fire("loadingProgress", {
+                                    stage: "streaming",
+                                    progress: numChunksLoaded / numChunks,
+                                    numChunks: numChunks,
+                                    numChunksLoaded: numChunksLoaded
+                                });
+                                loadNextChunk();
+                            }, onError);
+                        }, onError);
+                    };
+
+                    loadNextChunk();
+
+                }, onError);
+            }, onError);
+        }, onError);
+    }
+
     _parseModel(arrayBuffer, params, options, performanceModel) {
 
-        const dataView = new DataView(arrayBuffer);
         const dataArray = new Uint8Array(arrayBuffer);
-        const xktVersion = dataView.getUint32(0, true);
+        const xktVersion = new DataView(arrayBuffer).getUint32(0, true);
+
+        if (xktVersion === CHUNKED_XKT_VERSION) {
+            this._parseChunkedModel(dataArray, params, options, performanceModel);
+            return;
+        }
+
+        this._parseElements(dataArray, options, performanceModel, () => {
+            this._fireLoaded(performanceModel);
+        }, (errMsg) => {
+            this.error(errMsg);
+            performanceModel.fire("error", errMsg);
+        });
+    }
+
+    _parseChunkedModel(dataArray, params, options, performanceModel) {
+
+        const elements = splitElements(dataArray);
+        const chunks = JSON.parse(pako.inflate(elements[0], {to: 'string'}));
+        const numChunks = elements.length - 1;
+        const chunkOrder = this._getChunkOrder(chunks, elements.slice(1).map(element => element.byteLength), params.chunkPriority, performanceModel);
+        let numChunksLoaded = 0;
+
+        this.log("Loading chunked .xkt (" + numChunks + " chunks)");
+
+        const onError = (errMsg) => {
+            this.error(errMsg);
+            performanceModel.fire("error", errMsg);
+        };
+
+        const loadNextChunk = () => {
+            if (performanceModel.destroyed) {
+                return;
+            }
+            if (numChunksLoaded === numChunks) {
+                this._fireLoaded(performanceModel);
+                return;
+            }
+            const chunkIndex = chunkOrder[numChunksLoaded];
+            this._parseChunk(elements[chunkIndex + 1], chunkIndex, options, performanceModel, () => {
+                numChunksLoaded++;
+                performanceModel.fire("loadingProgress", {
+                    stage: "parsing",
+                    progress: numChunksLoaded / numChunks,
+                    numChunks: numChunks,
+                    numChunksLoaded: numChunksLoaded
+                });
+                loadNextChunk();
+            }, onError);
+        };
+
+        loadNextChunk();
+    }
+
+    _getChunkOrder(chunks, chunkSizes, chunkPriority, performanceModel) {
+
+        const numChunks = chunkSizes.length;
+        const chunkOrder = [];
+
+        for (let i = 1; i < numChunks; i++) { // First chunk has the metadata, so always goes first
+            chunkOrder.push(i);
+        }
+
+        if (chunkPriority === "size") { // Biggest chunks first, by byte size
+            chunkOrder.sort((a, b) => chunkSizes[b] - chunkSizes[a]);
+
+        } else if (chunkPriority === "spatial") { // Chunks nearest to the camera first
+
+            const eye = this.viewer.scene.camera.eye;
+            const worldMatrix = performanceModel.worldMatrix;
+            const center = math.vec3();
+            const dists = [];
+            for (let i = 0; i < numChunks; i++) {
+                if (!chunks[i] || !chunks[i].aabb) {
+                    dists[i] = Number.MAX_VALUE;
+                    continue;
+                }
+                math.getAABB3Center(chunks[i].aabb, center);
+                math.transformPoint3(worldMatrix, center, center);
+                dists[i] = math.distVec3(eye, center);
+            }
+            chunkOrder.sort((a, b) => dists[a] - dists[b]);
+        }
+
+        if (numChunks > 0) {
+            chunkOrder.unshift(0);
+        }
+
+        return chunkOrder;
+    }
+
+    _parseChunk(dataArray, chunkIndex, options, performanceModel, ok, error) {
+
+        const xktVersion = new DataView(dataArray.buffer, dataArray.byteOffset, dataArray.byteLength).getUint32(0, true);
+
+        if (xktVersion < 7) {
+            error("Unsupported .XKT chunk version: " + xktVersion + " - chunks must be V7 or later");
+            return;
+        }
+
+        this._parseElements(dataArray, utils.apply(options, {idPrefix: "chunk" + chunkIndex + "."}), performanceModel, ok, error);
+    }
+
+    _parseElements(dataArray, options, performanceModel, ok, error) {
+
+        const xktVersion = new DataView(dataArray.buffer, dataArray.byteOffset, dataArray.byteLength).getUint32(0, true);
         const parser = parsers[xktVersion];
 
         if (!parser) {
-            this.error("Unsupported .XKT file version: " + xktVersion + " - this XKTLoaderPlugin supports versions " + Object.keys(parsers));
+            error("Unsupported .XKT file version: " + xktVersion + " - this XKTLoaderPlugin supports versions " + this.supportedVersions);
             return;
         }
 
         this.log("Loading .xkt V" + xktVersion);
 
-        const numElements = dataView.getUint32(4, true);
-        const elements = [];
-        let byteOffset = (numElements + 2) * 4;
-        for (let i = 0; i < numElements; i++) {
-            const elementSize = dataView.getUint32((i + 2) * 4, true);
-            elements.push(dataArray.subarray(byteOffset, byteOffset + elementSize));
-            byteOffset += elementSize;
-        }
-
-        parser.parse(this.viewer, options, elements, performanceModel);
+        const elements = splitElements(dataArray);
+
+        if (this._workerPool) {
+
+            const spinner = this.viewer.scene.canvas.spinner;
+
+            spinner.processes++;
+
+            this._workerPool.parse(xktVersion, elements, (preparedData) => {
+                    spinner.processes--;
+                    if (performanceModel.destroyed) {
+                        return;
+                    }
+                    parser.load(this.viewer, options, preparedData, performanceModel);
+                    performanceModel.finalize(); // Creates entities so far, which may be followed by further chunks
+                    ok();
+                },
+                (stage, progress) => {
+                    performanceModel.fire("loadingProgress", {stage: stage, progress: progress});
+                },
+                (errMsg) => {
+                    spinner.processes--;
+                    error(errMsg);
+                });
 
-        performanceModel.finalize();
+        } else {
+            parser.parse(this.viewer, options, elements, performanceModel);
+            performanceModel.finalize(); // Creates entities so far, which may be followed by further chunks
+            ok();
+        }
+    }
 
+    _fireLoaded(performanceModel) {
         performanceModel.scene.once("tick", () => {
             performanceModel.scene.fire("modelLoaded", performanceModel.id); // FIXME: Assumes listeners know order of these two events
             performanceModel.fire("loaded", true, false); // Don't forget the event, for late subscribers
         });
     }
+
+    /**
+     * Destroys this XKTLoaderPlugin, terminating any Web workers.
+     */
+    destroy() {
+        if (this._workerPool) {
+            this._workerPool.destroy();
+            this._workerPool = null;
+        }
+        super.destroy();
+    }
 }
 
 export {XKTLoaderPlugin}
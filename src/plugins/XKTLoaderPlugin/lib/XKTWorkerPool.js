@@ -0,0 +1,145 @@
+/**
+ * Pool of Web workers that inflate and prepare .XKT files.
+ *
+ * The elements of each file are spread across the workers, so that large models are inflated in parallel and off the
+ * main thread. Then one of the workers prepares the file's arrays and lookup tables for its parser, which leaves only
+ * the creation of the model's objects for the main thread. Arrays are transferred between threads without copying.
+ *
+ * The workers are module workers, since they import the parsers.
+ *
+ * @private
+ */
+class XKTWorkerPool {
+
+    /**
+     * @param {String} workerScriptsPath Path to the directory containing XKTParserWorker.js.
+     * @param {Number} numWorkers Number of workers in the pool.
+     */
+    constructor(workerScriptsPath, numWorkers) {
+
+        this._workers = [];
+        this._jobs = {};
+        this._nextJobId = 0;
+        this._nextWorker = 0;
+
+        const workerScriptPath = workerScriptsPath + (workerScriptsPath.endsWith("/") ? "" : "/") + "XKTParserWorker.js";
+
+        for (let i = 0; i < numWorkers; i++) {
+            const worker = new Worker(workerScriptPath, {type: "module"});
+            worker.onmessage = (event) => {
+                this._onMessage(event.data);
+            };
+            worker.onerror = (event) => {
+                this._onWorkerError(event);
+            };
+            this._workers.push(worker);
+        }
+    }
+
+    /**
+     * Inflates and prepares the given deflated elements of an .XKT file.
+     *
+     * @param {Number} version The .XKT format version, which selects the parser that prepares the elements.
+     * @param {Uint8Array[]} elements Deflated elements.
+     * @param {Function} ok Callback fired with the prepared data, to give to the parser's ````load()```` method.
+     * @param {Function} progress Callback fired with the stage, ````"inflating"```` or ````"preparing"````, and the fraction of that stage done so far, in range ````[0..1]````.
+     * @param {Function} error Callback fired on error.
+     */
+    parse(version, elements, ok, progress, error) {
+
+        const jobId = this._nextJobId++;
+        const numElements = elements.length;
+
+        this._jobs[jobId] = {
+            version: version,
+            inflated: new Array(numElements),
+            numRemaining: numElements,
+            numElements: numElements,
+            ok: ok,
+            progress: progress,
+            error: error
+        };
+
+        if (numElements === 0) {
+            this._prepare(jobId);
+            return;
+        }
+
+        for (let i = 0; i < numElements; i++) {
+            const data = elements[i].slice().buffer; // Copy into own buffer, which we can transfer
+            this._getNextWorker().postMessage({
+                type: "inflate",
+                jobId: jobId,
+                elementIndex: i,
+                data: data
+            }, [data]);
+        }
+    }
+
+    _getNextWorker() {
+        const worker = this._workers[this._nextWorker];
+        this._nextWorker = (this._nextWorker + 1) % this._workers.length;
+        return worker;
+    }
+
+    _prepare(jobId) {
+        const job = this._jobs[jobId];
+        const buffers = job.inflated.map(element => element.buffer);
+        job.inflated = null;
+        job.progress("preparing", 0);
+        this._getNextWorker().postMessage({
+            type: "prepare",
+            jobId: jobId,
+            version: job.version,
+            elements: buffers
+        }, buffers);
+    }
+
+    _onMessage(message) {
+        const job = this._jobs[message.jobId];
+        if (!job) {
+            return; // Already failed
+        }
+        if (message.error) {
+            delete this._jobs[message.jobId];
+            job.error(message.error);
+            return;
+        }
+        if (message.preparedData) {
+            delete this._jobs[message.jobId];
+            job.progress("preparing", 1);
+            job.ok(message.preparedData);
+            return;
+        }
+        job.inflated[message.elementIndex] = new Uint8Array(message.data);
+        job.numRemaining--;
+        job.progress("inflating", (job.numElements - job.numRemaining) / job.numElements);
+        if (job.numRemaining === 0) {
+            this._prepare(message.jobId);
+        }
+    }
+
+    _onWorkerError(event) {
+        const errMsg = "XKT worker error: " + (event.message || event);
+        const jobs = this._jobs;
+        this._jobs = {};
+        for (let jobId in jobs) {
+            if (jobs.hasOwnProperty(jobId)) {
+                jobs[jobId].error(errMsg);
+            }
+        }
+    }
+
+    /**
+     * Terminates the workers in this pool.
+     */
+    destroy() {
+        for (let i = 0, len = this._workers.length; i < len; i++) {
+            this._workers[i].terminate();
+        }
+        this._workers = [];
+        this._jobs = {};
+    }
+}
+
+export {XKTWorkerPool};
@@ -9,7 +9,7 @@ Parser for .XKT Format V3
 import {utils} from "../../../viewer/scene/utils.js";
 import * as p from "./lib/pako.js";
 
-let pako = window.pako || p;
+let pako = self.pako || p; // Also works in a Web worker
 if (!pako.inflate) {  // See https://github.com/nodeca/pako/issues/97
     pako = pako.default;
 }
@@ -35,24 +35,24 @@ function extract(elements) {
     };
 }
 
-function inflate(deflatedData) {
+function inflate(deflatedData, inflater) {
     return {
-        positions: new Uint16Array(pako.inflate(deflatedData.positions).buffer),
-        normals: new Int8Array(pako.inflate(deflatedData.normals).buffer),
-        indices: new Uint32Array(pako.inflate(deflatedData.indices).buffer),
-        edgeIndices: new Uint32Array(pako.inflate(deflatedData.edgeIndices).buffer),
-        meshPositions: new Uint32Array(pako.inflate(deflatedData.meshPositions).buffer),
-        meshIndices: new Uint32Array(pako.inflate(deflatedData.meshIndices).buffer),
-        meshEdgesIndices: new Uint32Array(pako.inflate(deflatedData.meshEdgesIndices).buffer),
-        meshColors: new Uint8Array(pako.inflate(deflatedData.meshColors).buffer),
-        entityIDs: pako.inflate(deflatedData.entityIDs, {to: 'string'}),
-        entityMeshes: new Uint32Array(pako.inflate(deflatedData.entityMeshes).buffer),
-        entityIsObjects: new Uint8Array(pako.inflate(deflatedData.entityIsObjects).buffer),
-        instancedPositionsDecodeMatrix: new Float32Array(pako.inflate(deflatedData.instancedPositionsDecodeMatrix).buffer),
-        batchedPositionsDecodeMatrix: new Float32Array(pako.inflate(deflatedData.batchedPositionsDecodeMatrix).buffer),
-        entityMeshIds: new Uint32Array(pako.inflate(deflatedData.entityMeshIds).buffer),
-        entityMatrices: new Float32Array(pako.inflate(deflatedData.entityMatrices).buffer),
-        entityUsesInstancing: new Uint8Array(pako.inflate(deflatedData.entityUsesInstancing).buffer)
+        positions: new Uint16Array(inflater.inflate(deflatedData.positions).buffer),
+        normals: new Int8Array(inflater.inflate(deflatedData.normals).buffer),
+        indices: new Uint32Array(inflater.inflate(deflatedData.indices).buffer),
+        edgeIndices: new Uint32Array(inflater.inflate(deflatedData.edgeIndices).buffer),
+        meshPositions: new Uint32Array(inflater.inflate(deflatedData.meshPositions).buffer),
+        meshIndices: new Uint32Array(inflater.inflate(deflatedData.meshIndices).buffer),
+        meshEdgesIndices: new Uint32Array(inflater.inflate(deflatedData.meshEdgesIndices).buffer),
+        meshColors: new Uint8Array(inflater.inflate(deflatedData.meshColors).buffer),
+        entityIDs: inflater.inflate(deflatedData.entityIDs, {to: 'string'}),
+        entityMeshes: new Uint32Array(inflater.inflate(deflatedData.entityMeshes).buffer),
+        entityIsObjects: new Uint8Array(inflater.inflate(deflatedData.entityIsObjects).buffer),
+        instancedPositionsDecodeMatrix: new Float32Array(inflater.inflate(deflatedData.instancedPositionsDecodeMatrix).buffer),
+        batchedPositionsDecodeMatrix: new Float32Array(inflater.inflate(deflatedData.batchedPositionsDecodeMatrix).buffer),
+        entityMeshIds: new Uint32Array(inflater.inflate(deflatedData.entityMeshIds).buffer),
+        entityMatrices: new Float32Array(inflater.inflate(deflatedData.entityMatrices).buffer),
+        entityUsesInstancing: new Uint8Array(inflater.inflate(deflatedData.entityUsesInstancing).buffer)
     };
 }
 
@@ -66,6 +66,14 @@ const decompressColor = (function () {
     };
 })();
 
+/**
+ * Parses the entity IDs, so that there's less to do on the main thread when we prepare in a Web worker.
+ */
+function prepare(inflatedData) {
+    inflatedData.entityIDs = JSON.parse(inflatedData.entityIDs);
+    return inflatedData;
+}
+
 function load(viewer, options, inflatedData, performanceModel) {
 
     performanceModel.positionsCompression = "precompressed";
@@ -79,7 +87,7 @@ function load(viewer, options, inflatedData, performanceModel) {
     const meshIndices = inflatedData.meshIndices;
     const meshEdgesIndices = inflatedData.meshEdgesIndices;
     const meshColors = inflatedData.meshColors;
-    const entityIDs = JSON.parse(inflatedData.entityIDs);
+    const entityIDs = inflatedData.entityIDs;
     const entityMeshes = inflatedData.entityMeshes;
     const entityIsObjects = inflatedData.entityIsObjects;
     const entityMeshIds = inflatedData.entityMeshIds;
@@ -126,7 +134,7 @@ function load(viewer, options, inflatedData, performanceModel) {
                 }
             }
         } else {
-            if (options.excludeUnclassifiedObjects) {
+            if (options.excludeUnclassifiedObjects && viewer.metaScene.metaModels[performanceModel.id]) { // Only when metadata was loaded
                 continue;
             }
         }
@@ -208,10 +216,16 @@ function load(viewer, options, inflatedData, performanceModel) {
 /** @private */
 const ParserV3 = {
     version: 3,
-    parse: function (viewer, options, elements, performanceModel) {
+    prepare: function (elements, inflater) { // Doesn't use the Viewer, so can run in a Web worker
         const deflatedData = extract(elements);
-        const inflatedData = inflate(deflatedData);
-        load(viewer, options, inflatedData, performanceModel);
+        const inflatedData = inflate(deflatedData, inflater || pako); // Elements may be already inflated
+        return prepare(inflatedData);
+    },
+    load: function (viewer, options, preparedData, performanceModel) {
+        load(viewer, options, preparedData, performanceModel);
+    },
+    parse: function (viewer, options, elements, performanceModel) {
+        load(viewer, options, this.prepare(elements), performanceModel);
     }
 };
 
@@ -9,7 +9,7 @@ Parser for .XKT Format V4
 import {utils} from "../../../viewer/scene/utils.js";
 import * as p from "./lib/pako.js";
 
-let pako = window.pako || p;
+let pako = self.pako || p; // Also works in a Web worker
 if (!pako.inflate) {  // See https://github.com/nodeca/pako/issues/97
     pako = pako.default;
 }
@@ -35,23 +35,23 @@ function extract(elements) {
     };
 }
 
-function inflate(deflatedData) {
+function inflate(deflatedData, inflater) {
     return {
-        positions: new Uint16Array(pako.inflate(deflatedData.positions).buffer),
-        normals: new Int8Array(pako.inflate(deflatedData.normals).buffer),
-        indices: new Uint32Array(pako.inflate(deflatedData.indices).buffer),
-        edgeIndices: new Uint32Array(pako.inflate(deflatedData.edgeIndices).buffer),
-        decodeMatrices: new Float32Array(pako.inflate(deflatedData.decodeMatrices).buffer),
-        matrices: new Float32Array(pako.inflate(deflatedData.matrices).buffer),
-        eachPrimitivePositionsAndNormalsPortion: new Uint32Array(pako.inflate(deflatedData.eachPrimitivePositionsAndNormalsPortion).buffer),
-        eachPrimitiveIndicesPortion: new Uint32Array(pako.inflate(deflatedData.eachPrimitiveIndicesPortion).buffer),
-        eachPrimitiveEdgeIndicesPortion: new Uint32Array(pako.inflate(deflatedData.eachPrimitiveEdgeIndicesPortion).buffer),
-        eachPrimitiveDecodeMatricesPortion: new Uint32Array(pako.inflate(deflatedData.eachPrimitiveDecodeMatricesPortion).buffer),
-        eachPrimitiveColor: new Uint8Array(pako.inflate(deflatedData.eachPrimitiveColor).buffer),
-        primitiveInstances: new Uint32Array(pako.inflate(deflatedData.primitiveInstances).buffer),
-        eachEntityId: pako.inflate(deflatedData.eachEntityId, {to: 'string'}),
-        eachEntityPrimitiveInstancesPortion: new Uint32Array(pako.inflate(deflatedData.eachEntityPrimitiveInstancesPortion).buffer),
-        eachEntityMatricesPortion: new Uint32Array(pako.inflate(deflatedData.eachEntityMatricesPortion).buffer)
+        positions: new Uint16Array(inflater.inflate(deflatedData.positions).buffer),
+        normals: new Int8Array(inflater.inflate(deflatedData.normals).buffer),
+        indices: new Uint32Array(inflater.inflate(deflatedData.indices).buffer),
+        edgeIndices: new Uint32Array(inflater.inflate(deflatedData.edgeIndices).buffer),
+        decodeMatrices: new Float32Array(inflater.inflate(deflatedData.decodeMatrices).buffer),
+        matrices: new Float32Array(inflater.inflate(deflatedData.matrices).buffer),
+        eachPrimitivePositionsAndNormalsPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitivePositionsAndNormalsPortion).buffer),
+        eachPrimitiveIndicesPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveIndicesPortion).buffer),
+        eachPrimitiveEdgeIndicesPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveEdgeIndicesPortion).buffer),
+        eachPrimitiveDecodeMatricesPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveDecodeMatricesPortion).buffer),
+        eachPrimitiveColor: new Uint8Array(inflater.inflate(deflatedData.eachPrimitiveColor).buffer),
+        primitiveInstances: new Uint32Array(inflater.inflate(deflatedData.primitiveInstances).buffer),
+        eachEntityId: inflater.inflate(deflatedData.eachEntityId, {to: 'string'}),
+        eachEntityPrimitiveInstancesPortion: new Uint32Array(inflater.inflate(deflatedData.eachEntityPrimitiveInstancesPortion).buffer),
+        eachEntityMatricesPortion: new Uint32Array(inflater.inflate(deflatedData.eachEntityMatricesPortion).buffer)
     };
 }
 
@@ -65,29 +65,17 @@ const decompressColor = (function () {
     };
 })();
 
-function load(viewer, options, inflatedData, performanceModel) {
-
-    performanceModel.positionsCompression = "precompressed";
-    performanceModel.normalsCompression = "precompressed";
-
-    const positions = inflatedData.positions;
-    const normals = inflatedData.normals;
-    const indices = inflatedData.indices;
-    const edgeIndices = inflatedData.edgeIndices;
-    const decodeMatrices = inflatedData.decodeMatrices;
-    const matrices = inflatedData.matrices;
+/**
+ * Parses the JSON elements and builds the lookup tables that map primitives to entities, so that there's less to do
+ * on the main thread when we prepare in a Web worker.
+ */
+function prepare(inflatedData) {
 
     const eachPrimitivePositionsAndNormalsPortion = inflatedData.eachPrimitivePositionsAndNormalsPortion;
-    const eachPrimitiveIndicesPortion = inflatedData.eachPrimitiveIndicesPortion;
-    const eachPrimitiveEdgeIndicesPortion = inflatedData.eachPrimitiveEdgeIndicesPortion;
     const eachPrimitiveDecodeMatricesPortion = inflatedData.eachPrimitiveDecodeMatricesPortion;
-    const eachPrimitiveColor = inflatedData.eachPrimitiveColor;
-
     const primitiveInstances = inflatedData.primitiveInstances;
-
     const eachEntityId = JSON.parse(inflatedData.eachEntityId);
     const eachEntityPrimitiveInstancesPortion = inflatedData.eachEntityPrimitiveInstancesPortion;
-    const eachEntityMatricesPortion = inflatedData.eachEntityMatricesPortion;
 
     const numPrimitives = eachPrimitivePositionsAndNormalsPortion.length;
     const numPrimitiveInstances = primitiveInstances.length;
@@ -143,6 +131,45 @@ function load(viewer, options, inflatedData, performanceModel) {
         }
     }
 
+    inflatedData.eachEntityId = eachEntityId;
+    inflatedData.primitiveInstanceCounts = primitiveInstanceCounts;
+    inflatedData.orderedPrimitiveIndexes = orderedPrimitiveIndexes;
+    inflatedData.batchedPrimitiveEntityIndexes = batchedPrimitiveEntityIndexes;
+
+    return inflatedData;
+}
+
+function load(viewer, options, inflatedData, performanceModel) {
+
+    performanceModel.positionsCompression = "precompressed";
+    performanceModel.normalsCompression = "precompressed";
+
+    const positions = inflatedData.positions;
+    const normals = inflatedData.normals;
+    const indices = inflatedData.indices;
+    const edgeIndices = inflatedData.edgeIndices;
+    const decodeMatrices = inflatedData.decodeMatrices;
+    const matrices = inflatedData.matrices;
+
+    const eachPrimitivePositionsAndNormalsPortion = inflatedData.eachPrimitivePositionsAndNormalsPortion;
+    const eachPrimitiveIndicesPortion = inflatedData.eachPrimitiveIndicesPortion;
+    const eachPrimitiveEdgeIndicesPortion = inflatedData.eachPrimitiveEdgeIndicesPortion;
+    const eachPrimitiveDecodeMatricesPortion = inflatedData.eachPrimitiveDecodeMatricesPortion;
+    const eachPrimitiveColor = inflatedData.eachPrimitiveColor;
+
+    const primitiveInstances = inflatedData.primitiveInstances;
+
+    const eachEntityId = inflatedData.eachEntityId;
+    const eachEntityPrimitiveInstancesPortion = inflatedData.eachEntityPrimitiveInstancesPortion;
+    const eachEntityMatricesPortion = inflatedData.eachEntityMatricesPortion;
+
+    const numPrimitives = eachPrimitivePositionsAndNormalsPortion.length;
+    const primitiveInstanceCounts = inflatedData.primitiveInstanceCounts; // For each mesh, how many times it is instanced
+    const orderedPrimitiveIndexes = inflatedData.orderedPrimitiveIndexes; // For each mesh, its index sorted into runs that share the same decode matrix
+    const batchedPrimitiveEntityIndexes = inflatedData.batchedPrimitiveEntityIndexes; // For each batched mesh, the entity that uses it
+
+    const numEntities = eachEntityId.length;
+
     var countGeometries = 0;
 
     // Create 1) geometries for instanced primitives, and 2) meshes for batched primitives.  We create all the
@@ -269,10 +296,16 @@ function load(viewer, options, inflatedData, performanceModel) {
 /** @private */
 const ParserV4 = {
     version: 4,
-    parse: function (viewer, options, elements, performanceModel) {
+    prepare: function (elements, inflater) { // Doesn't use the Viewer, so can run in a Web worker
         const deflatedData = extract(elements);
-        const inflatedData = inflate(deflatedData);
-        load(viewer, options, inflatedData, performanceModel);
+        const inflatedData = inflate(deflatedData, inflater || pako); // Elements may be already inflated
+        return prepare(inflatedData);
+    },
+    load: function (viewer, options, preparedData, performanceModel) {
+        load(viewer, options, preparedData, performanceModel);
+    },
+    parse: function (viewer, options, elements, performanceModel) {
+        load(viewer, options, this.prepare(elements), performanceModel);
     }
 };
 
@@ -9,7 +9,7 @@
 import {utils} from "../../../viewer/scene/utils.js";
 import * as p from "./lib/pako.js";
 
-let pako = window.pako || p;
+let pako = self.pako || p; // Also works in a Web worker
 if (!pako.inflate) {  // See https://github.com/nodeca/pako/issues/97
     pako = pako.default;
 }
@@ -32,21 +32,21 @@ function extract(elements) {
     };
 }
 
-function inflate(deflatedData) {
+function inflate(deflatedData, inflater) {
     return {
-        positions: new Float32Array(pako.inflate(deflatedData.positions).buffer),
-        normals: new Int8Array(pako.inflate(deflatedData.normals).buffer),
-        indices: new Uint32Array(pako.inflate(deflatedData.indices).buffer),
-        edgeIndices: new Uint32Array(pako.inflate(deflatedData.edgeIndices).buffer),
-        matrices: new Float32Array(pako.inflate(deflatedData.matrices).buffer),
-        eachPrimitivePositionsAndNormalsPortion: new Uint32Array(pako.inflate(deflatedData.eachPrimitivePositionsAndNormalsPortion).buffer),
-        eachPrimitiveIndicesPortion: new Uint32Array(pako.inflate(deflatedData.eachPrimitiveIndicesPortion).buffer),
-        eachPrimitiveEdgeIndicesPortion: new Uint32Array(pako.inflate(deflatedData.eachPrimitiveEdgeIndicesPortion).buffer),
-        eachPrimitiveColor: new Uint8Array(pako.inflate(deflatedData.eachPrimitiveColor).buffer),
-        primitiveInstances: new Uint32Array(pako.inflate(deflatedData.primitiveInstances).buffer),
-        eachEntityId: pako.inflate(deflatedData.eachEntityId, {to: 'string'}),
-        eachEntityPrimitiveInstancesPortion: new Uint32Array(pako.inflate(deflatedData.eachEntityPrimitiveInstancesPortion).buffer),
-        eachEntityMatricesPortion: new Uint32Array(pako.inflate(deflatedData.eachEntityMatricesPortion).buffer)
+        positions: new Float32Array(inflater.inflate(deflatedData.positions).buffer),
+        normals: new Int8Array(inflater.inflate(deflatedData.normals).buffer),
+        indices: new Uint32Array(inflater.inflate(deflatedData.indices).buffer),
+        edgeIndices: new Uint32Array(inflater.inflate(deflatedData.edgeIndices).buffer),
+        matrices: new Float32Array(inflater.inflate(deflatedData.matrices).buffer),
+        eachPrimitivePositionsAndNormalsPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitivePositionsAndNormalsPortion).buffer),
+        eachPrimitiveIndicesPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveIndicesPortion).buffer),
+        eachPrimitiveEdgeIndicesPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveEdgeIndicesPortion).buffer),
+        eachPrimitiveColor: new Uint8Array(inflater.inflate(deflatedData.eachPrimitiveColor).buffer),
+        primitiveInstances: new Uint32Array(inflater.inflate(deflatedData.primitiveInstances).buffer),
+        eachEntityId: inflater.inflate(deflatedData.eachEntityId, {to: 'string'}),
+        eachEntityPrimitiveInstancesPortion: new Uint32Array(inflater.inflate(deflatedData.eachEntityPrimitiveInstancesPortion).buffer),
+        eachEntityMatricesPortion: new Uint32Array(inflater.inflate(deflatedData.eachEntityMatricesPortion).buffer)
     };
 }
 
@@ -60,27 +60,16 @@ const decompressColor = (function () {
     };
 })();
 
-function load(viewer, options, inflatedData, performanceModel) {
-
-    performanceModel.positionsCompression = "disabled"; // Positions in XKT V4 are floats, which we never quantize, for precision with big models
-    performanceModel.normalsCompression = "precompressed"; // Normals are oct-encoded though
-
-    const positions = inflatedData.positions;
-    const normals = inflatedData.normals;
-    const indices = inflatedData.indices;
-    const edgeIndices = inflatedData.edgeIndices;
-    const matrices = inflatedData.matrices;
+/**
+ * Parses the JSON elements and builds the lookup tables that map primitives to entities, so that there's less to do
+ * on the main thread when we prepare in a Web worker.
+ */
+function prepare(inflatedData) {
 
     const eachPrimitivePositionsAndNormalsPortion = inflatedData.eachPrimitivePositionsAndNormalsPortion;
-    const eachPrimitiveIndicesPortion = inflatedData.eachPrimitiveIndicesPortion;
-    const eachPrimitiveEdgeIndicesPortion = inflatedData.eachPrimitiveEdgeIndicesPortion;
-    const eachPrimitiveColor = inflatedData.eachPrimitiveColor;
-
     const primitiveInstances = inflatedData.primitiveInstances;
-
     const eachEntityId = JSON.parse(inflatedData.eachEntityId);
     const eachEntityPrimitiveInstancesPortion = inflatedData.eachEntityPrimitiveInstancesPortion;
-    const eachEntityMatricesPortion = inflatedData.eachEntityMatricesPortion;
 
     const numPrimitives = eachPrimitivePositionsAndNormalsPortion.length;
     const numPrimitiveInstances = primitiveInstances.length;
@@ -118,6 +107,41 @@ function load(viewer, options, inflatedData, performanceModel) {
         }
     }
 
+    inflatedData.eachEntityId = eachEntityId;
+    inflatedData.primitiveInstanceCounts = primitiveInstanceCounts;
+    inflatedData.batchedPrimitiveEntityIndexes = batchedPrimitiveEntityIndexes;
+
+    return inflatedData;
+}
+
+function load(viewer, options, inflatedData, performanceModel) {
+
+    performanceModel.positionsCompression = "disabled"; // Positions in XKT V4 are floats, which we never quantize, for precision with big models
+    performanceModel.normalsCompression = "precompressed"; // Normals are oct-encoded though
+
+    const positions = inflatedData.positions;
+    const normals = inflatedData.normals;
+    const indices = inflatedData.indices;
+    const edgeIndices = inflatedData.edgeIndices;
+    const matrices = inflatedData.matrices;
+
+    const eachPrimitivePositionsAndNormalsPortion = inflatedData.eachPrimitivePositionsAndNormalsPortion;
+    const eachPrimitiveIndicesPortion = inflatedData.eachPrimitiveIndicesPortion;
+    const eachPrimitiveEdgeIndicesPortion = inflatedData.eachPrimitiveEdgeIndicesPortion;
+    const eachPrimitiveColor = inflatedData.eachPrimitiveColor;
+
+    const primitiveInstances = inflatedData.primitiveInstances;
+
+    const eachEntityId = inflatedData.eachEntityId;
+    const eachEntityPrimitiveInstancesPortion = inflatedData.eachEntityPrimitiveInstancesPortion;
+    const eachEntityMatricesPortion = inflatedData.eachEntityMatricesPortion;
+
+    const numPrimitives = eachPrimitivePositionsAndNormalsPortion.length;
+    const primitiveInstanceCounts = inflatedData.primitiveInstanceCounts; // For each mesh, how many times it is instanced
+    const batchedPrimitiveEntityIndexes = inflatedData.batchedPrimitiveEntityIndexes; // For each batched mesh, the entity that uses it
+
+    const numEntities = eachEntityId.length;
+
     var countGeometries = 0;
 
     // Create geometries for instanced primitives and meshes for batched primitives.
@@ -234,10 +258,16 @@ function load(viewer, options, inflatedData, performanceModel) {
 /** @private */
 const ParserV5 = {
     version: 5,
-    parse: function (viewer, options, elements, performanceModel) {
+    prepare: function (elements, inflater) { // Doesn't use the Viewer, so can run in a Web worker
         const deflatedData = extract(elements);
-        const inflatedData = inflate(deflatedData);
-        load(viewer, options, inflatedData, performanceModel);
+        const inflatedData = inflate(deflatedData, inflater || pako); // Elements may be already inflated
+        return prepare(inflatedData);
+    },
+    load: function (viewer, options, preparedData, performanceModel) {
+        load(viewer, options, preparedData, performanceModel);
+    },
+    parse: function (viewer, options, elements, performanceModel) {
+        load(viewer, options, this.prepare(elements), performanceModel);
     }
 };
 
@@ -0,0 +1,412 @@
+/*
+
+ Parser for .XKT Format V7
+
+ Extends V6 with embedded model metadata, including property sets.
+
+.XKT specifications: https://github.com/xeokit/xeokit-sdk/wiki/XKT-Format
+
+ */
+
+import {utils} from "../../../viewer/scene/utils.js";
+import * as p from "./lib/pako.js";
+
+let pako = self.pako || p; // Also works in a Web worker
+if (!pako.inflate) {  // See https://github.com/nodeca/pako/issues/97
+    pako = pako.default;
+}
+
+function extract(elements) {
+    return {
+        positions: elements[0],
+        normals: elements[1],
+        indices: elements[2],
+        edgeIndices: elements[3],
+        matrices: elements[4],
+        eachPrimitivePositionsAndNormalsPortion: elements[5],
+        eachPrimitiveIndicesPortion: elements[6],
+        eachPrimitiveEdgeIndicesPortion: elements[7],
+        eachPrimitiveColor: elements[8],
+        primitiveInstances: elements[9],
+        eachEntityId: elements[10],
+        eachEntityPrimitiveInstancesPortion: elements[11],
+        eachEntityMatricesPortion: elements[12],
+        uvs: elements[13],
+        eachPrimitiveUVsPortion: elements[14],
+        eachPrimitiveTextureIndex: elements[15],
+        textureData: elements[16],
+        eachTextureDataPortion: elements[17],
+        eachTextureAttributes: elements[18],
+        metadata: elements[19]
+    };
+}
+
+function inflate(deflatedData, inflater) {
+    return {
+        positions: new Float32Array(inflater.inflate(deflatedData.positions).buffer),
+        normals: new Int8Array(inflater.inflate(deflatedData.normals).buffer),
+        indices: new Uint32Array(inflater.inflate(deflatedData.indices).buffer),
+        edgeIndices: new Uint32Array(inflater.inflate(deflatedData.edgeIndices).buffer),
+        matrices: new Float32Array(inflater.inflate(deflatedData.matrices).buffer),
+        eachPrimitivePositionsAndNormalsPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitivePositionsAndNormalsPortion).buffer),
+        eachPrimitiveIndicesPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveIndicesPortion).buffer),
+        eachPrimitiveEdgeIndicesPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveEdgeIndicesPortion).buffer),
+        eachPrimitiveColor: new Uint8Array(inflater.inflate(deflatedData.eachPrimitiveColor).buffer),
+        primitiveInstances: new Uint32Array(inflater.inflate(deflatedData.primitiveInstances).buffer),
+        eachEntityId: inflater.inflate(deflatedData.eachEntityId, {to: 'string'}),
+        eachEntityPrimitiveInstancesPortion: new Uint32Array(inflater.inflate(deflatedData.eachEntityPrimitiveInstancesPortion).buffer),
+        eachEntityMatricesPortion: new Uint32Array(inflater.inflate(deflatedData.eachEntityMatricesPortion).buffer),
+        uvs: new Float32Array(inflater.inflate(deflatedData.uvs).buffer),
+        eachPrimitiveUVsPortion: new Uint32Array(inflater.inflate(deflatedData.eachPrimitiveUVsPortion).buffer),
+        eachPrimitiveTextureIndex: new Int32Array(inflater.inflate(deflatedData.eachPrimitiveTextureIndex).buffer),
+        textureData: inflater.inflate(deflatedData.textureData),
+        eachTextureDataPortion: new Uint32Array(inflater.inflate(deflatedData.eachTextureDataPortion).buffer),
+        eachTextureAttributes: inflater.inflate(deflatedData.eachTextureAttributes, {to: 'string'}),
+        metadata: inflater.inflate(deflatedData.metadata, {to: 'string'})
+    };
+}
+
+const decompressColor = (function () {
+    const color2 = new Float32Array(3);
+    return function (color) {
+        color2[0] = color[0] / 255.0;
+        color2[1] = color[1] / 255.0;
+        color2[2] = color[2] / 255.0;
+        return color2;
+    };
+})();
+
+function loadMetadata(viewer, options, metaModelData, performanceModel) {
+
+    const modelId = performanceModel.id;
+
+    if (viewer.metaScene.metaModels[modelId]) { // Metadata was supplied separately, which overrides what's embedded
+        return;
+    }
+
+    if (!metaModelData.metaObjects || metaModelData.metaObjects.length === 0) {
+        return;
+    }
+
+    viewer.metaScene.createMetaModel(modelId, metaModelData, {
+        includeTypes: options.includeTypes,
+        excludeTypes: options.excludeTypes
+    });
+}
+
+function getEntityDefaults(viewer, options, entityId, performanceModel) {
+
+    const metaObject = viewer.metaScene.metaObjects[entityId];
+    const entityDefaults = {};
+    const meshDefaults = {};
+
+    if (metaObject) {
+
+        if (options.excludeTypesMap && metaObject.type && options.excludeTypesMap[metaObject.type]) {
+            return null;
+        }
+
+        if (options.includeTypesMap && metaObject.type && (!options.includeTypesMap[metaObject.type])) {
+            return null;
+        }
+
+        const props = options.objectDefaults ? options.objectDefaults[metaObject.type] || options.objectDefaults["DEFAULT"] : null;
+
+        if (props) {
+            if (props.visible === false) {
+                entityDefaults.visible = false;
+            }
+            if (props.pickable === false) {
+                entityDefaults.pickable = false;
+            }
+            if (props.colorize) {
+                meshDefaults.color = props.colorize;
+            }
+            if (props.opacity !== undefined && props.opacity !== null) {
+                meshDefaults.opacity = props.opacity;
+            }
+        }
+    } else {
+        if (options.excludeUnclassifiedObjects && viewer.metaScene.metaModels[performanceModel.id]) { // Only when metadata was loaded
+            return null;
+        }
+    }
+
+    return {
+        entityDefaults: entityDefaults,
+        meshDefaults: meshDefaults
+    };
+}
+
+/**
+ * Parses the JSON elements and builds the lookup tables that map primitives to entities, so that there's less to do
+ * on the main thread when we prepare in a Web worker.
+ */
+function prepare(inflatedData) {
+
+    const eachPrimitivePositionsAndNormalsPortion = inflatedData.eachPrimitivePositionsAndNormalsPortion;
+    const primitiveInstances = inflatedData.primitiveInstances;
+    const eachEntityId = JSON.parse(inflatedData.eachEntityId);
+    const eachEntityPrimitiveInstancesPortion = inflatedData.eachEntityPrimitiveInstancesPortion;
+
+    const numPrimitives = eachPrimitivePositionsAndNormalsPortion.length;
+    const numPrimitiveInstances = primitiveInstances.length;
+    const primitiveInstanceCounts = new Uint8Array(numPrimitives); // For each mesh, how many times it is instanced
+
+    const numEntities = eachEntityId.length;
+
+    // Count instances of each primitive
+
+    for (let primitiveInstanceIndex = 0; primitiveInstanceIndex < numPrimitiveInstances; primitiveInstanceIndex++) {
+        const primitiveIndex = primitiveInstances[primitiveInstanceIndex];
+        primitiveInstanceCounts[primitiveIndex]++;
+    }
+
+    // Map batched primitives to the entities that will use them
+
+    const batchedPrimitiveEntityIndexes = {};
+
+    for (let entityIndex = 0; entityIndex < numEntities; entityIndex++) {
+
+        const lastEntityIndex = (numEntities - 1);
+        const atLastEntity = (entityIndex === lastEntityIndex);
+        const firstEntityPrimitiveInstanceIndex = eachEntityPrimitiveInstancesPortion [entityIndex];
+        const lastEntityPrimitiveInstanceIndex = atLastEntity ? eachEntityPrimitiveInstancesPortion[lastEntityIndex] : eachEntityPrimitiveInstancesPortion[entityIndex + 1];
+
+        for (let primitiveInstancesIndex = firstEntityPrimitiveInstanceIndex; primitiveInstancesIndex < lastEntityPrimitiveInstanceIndex; primitiveInstancesIndex++) {
+
+            const primitiveIndex = primitiveInstances[primitiveInstancesIndex];
+            const primitiveInstanceCount = primitiveInstanceCounts[primitiveIndex];
+            const isInstancedPrimitive = (primitiveInstanceCount > 1);
+
+            if (!isInstancedPrimitive) {
+                batchedPrimitiveEntityIndexes[primitiveIndex] = entityIndex;
+            }
+        }
+    }
+
+    inflatedData.eachEntityId = eachEntityId;
+    inflatedData.primitiveInstanceCounts = primitiveInstanceCounts;
+    inflatedData.batchedPrimitiveEntityIndexes = batchedPrimitiveEntityIndexes;
+    inflatedData.eachTextureAttributes = JSON.parse(inflatedData.eachTextureAttributes);
+    inflatedData.metadata = JSON.parse(inflatedData.metadata);
+
+    return inflatedData;
+}
+
+function load(viewer, options, inflatedData, performanceModel) {
+
+    loadMetadata(viewer, options, inflatedData.metadata, performanceModel);
+
+    const idPrefix = options.idPrefix || ""; // Distinguishes local IDs when this is one of many chunks loaded into the PerformanceModel
+
+    performanceModel.positionsCompression = "disabled"; // Positions in XKT V7 are floats, which we never quantize, for precision with big models
+    performanceModel.normalsCompression = "precompressed"; // Normals are oct-encoded though
+
+    const positions = inflatedData.positions;
+    const normals = inflatedData.normals;
+    const indices = inflatedData.indices;
+    const edgeIndices = inflatedData.edgeIndices;
+    const matrices = inflatedData.matrices;
+
+    const eachPrimitivePositionsAndNormalsPortion = inflatedData.eachPrimitivePositionsAndNormalsPortion;
+    const eachPrimitiveIndicesPortion = inflatedData.eachPrimitiveIndicesPortion;
+    const eachPrimitiveEdgeIndicesPortion = inflatedData.eachPrimitiveEdgeIndicesPortion;
+    const eachPrimitiveColor = inflatedData.eachPrimitiveColor;
+
+    const primitiveInstances = inflatedData.primitiveInstances;
+
+    const eachEntityId = inflatedData.eachEntityId;
+    const eachEntityPrimitiveInstancesPortion = inflatedData.eachEntityPrimitiveInstancesPortion;
+    const eachEntityMatricesPortion = inflatedData.eachEntityMatricesPortion;
+
+    const uvs = inflatedData.uvs;
+    const eachPrimitiveUVsPortion = inflatedData.eachPrimitiveUVsPortion;
+    const eachPrimitiveTextureIndex = inflatedData.eachPrimitiveTextureIndex;
+
+    const textureData = inflatedData.textureData;
+    const eachTextureDataPortion = inflatedData.eachTextureDataPortion;
+    const eachTextureAttributes = inflatedData.eachTextureAttributes;
+
+    const numTextures = eachTextureDataPortion.length;
+
+    // Create textures from the embedded image files
+
+    for (let textureIndex = 0; textureIndex < numTextures; textureIndex++) {
+
+        const atLastTexture = (textureIndex === (numTextures - 1));
+        const textureAttributes = eachTextureAttributes[textureIndex] || {};
+        const imageData = textureData.subarray(eachTextureDataPortion[textureIndex], atLastTexture ? textureData.length : eachTextureDataPortion[textureIndex + 1]);
+        const blob = new Blob([imageData], {type: textureAttributes.mimeType || "image/png"});
+        const src = URL.createObjectURL(blob);
+
+        const texture = performanceModel.createTexture({
+            id: idPrefix + "texture" + textureIndex, // These IDs are local to the PerformanceModel
+            src: src,
+            minFilter: textureAttributes.minFilter,
+            magFilter: textureAttributes.magFilter,
+            wrapS: textureAttributes.wrapS,
+            wrapT: textureAttributes.wrapT,
+            flipY: textureAttributes.flipY
+        });
+
+        if (texture) {
+            texture.once("loaded", () => {
+                URL.revokeObjectURL(src);
+            });
+        } else {
+            URL.revokeObjectURL(src);
+        }
+    }
+
+    const numPrimitives = eachPrimitivePositionsAndNormalsPortion.length;
+    const primitiveInstanceCounts = inflatedData.primitiveInstanceCounts; // For each mesh, how many times it is instanced
+    const batchedPrimitiveEntityIndexes = inflatedData.batchedPrimitiveEntityIndexes; // For each batched mesh, the entity that uses it
+
+    const numEntities = eachEntityId.length;
+
+    // Get initial states for each entity from its metadata, or null when the entity is not to be loaded
+
+    const eachEntityDefaults = [];
+
+    for (let entityIndex = 0; entityIndex < numEntities; entityIndex++) {
+        eachEntityDefaults.push(getEntityDefaults(viewer, options, eachEntityId[entityIndex], performanceModel));
+    }
+
+    // Create geometries for instanced primitives and meshes for batched primitives.
+
+    for (let primitiveIndex = 0; primitiveIndex < numPrimitives; primitiveIndex++) {
+
+        const atLastPrimitive = (primitiveIndex === (numPrimitives - 1));
+
+        const primitiveInstanceCount = primitiveInstanceCounts[primitiveIndex];
+        const isInstancedPrimitive = (primitiveInstanceCount > 1);
+
+        const color = decompressColor(eachPrimitiveColor.subarray((primitiveIndex * 4), (primitiveIndex * 4) + 3));
+        const opacity = eachPrimitiveColor[(primitiveIndex * 4) + 3] / 255.0;
+
+        const primitivePositions = positions.subarray(eachPrimitivePositionsAndNormalsPortion [primitiveIndex], atLastPrimitive ? positions.length : eachPrimitivePositionsAndNormalsPortion [primitiveIndex + 1]);
+        const primitiveNormals = normals.subarray(eachPrimitivePositionsAndNormalsPortion [primitiveIndex], atLastPrimitive ? normals.length : eachPrimitivePositionsAndNormalsPortion [primitiveIndex + 1]);
+        const primitiveIndices = indices.subarray(eachPrimitiveIndicesPortion [primitiveIndex], atLastPrimitive ? indices.length : eachPrimitiveIndicesPortion [primitiveIndex + 1]);
+        const primitiveEdgeIndices = edgeIndices.subarray(eachPrimitiveEdgeIndicesPortion [primitiveIndex], atLastPrimitive ? edgeIndices.length : eachPrimitiveEdgeIndicesPortion [primitiveIndex + 1]);
+
+        const textureIndex = eachPrimitiveTextureIndex[primitiveIndex];
+        const textureId = (textureIndex >= 0) ? (idPrefix + "texture" + textureIndex) : null;
+        const primitiveUVs = (textureId !== null) ? uvs.subarray(eachPrimitiveUVsPortion [primitiveIndex], atLastPrimitive ? uvs.length : eachPrimitiveUVsPortion [primitiveIndex + 1]) : null;
+
+        if (isInstancedPrimitive) {
+
+            // Primitive instanced by more than one entity, and has positions in Model-space
+
+            var geometryId = idPrefix + "geometry" + primitiveIndex; // These IDs are local to the PerformanceModel
+
+            performanceModel.createGeometry({
+                id: geometryId,
+                primitive: "triangles",
+                positions: primitivePositions,
+                normals: primitiveNormals,
+                uv: primitiveUVs,
+                indices: primitiveIndices,
+                edgeIndices: primitiveEdgeIndices,
+                textureId: textureId
+            });
+        } else {
+
+            // Primitive is used only by one entity, and has positions pre-transformed into World-space
+
+            const meshId = idPrefix + primitiveIndex; // These IDs are local to the PerformanceModel
+
+            const entityIndex = batchedPrimitiveEntityIndexes[primitiveIndex];
+            const entityDefaults = eachEntityDefaults[entityIndex];
+
+            if (!entityDefaults) {
+                continue;
+            }
+
+            performanceModel.createMesh(utils.apply(entityDefaults.meshDefaults, {
+                id: meshId,
+                primitive: "triangles",
+                positions: primitivePositions,
+                normals: primitiveNormals,
+                uv: primitiveUVs,
+                indices: primitiveIndices,
+                edgeIndices: primitiveEdgeIndices,
+                color: color,
+                opacity: opacity,
+                textureId: textureId
+            }));
+        }
+    }
+
+    let countInstances = 0;
+
+    for (let entityIndex = 0; entityIndex < numEntities; entityIndex++) {
+
+        const lastEntityIndex = (numEntities - 1);
+        const atLastEntity = (entityIndex === lastEntityIndex);
+        const entityId = eachEntityId[entityIndex];
+        const entityDefaults = eachEntityDefaults[entityIndex];
+
+        if (!entityDefaults) {
+            continue;
+        }
+
+        const firstEntityPrimitiveInstanceIndex = eachEntityPrimitiveInstancesPortion [entityIndex];
+        const lastEntityPrimitiveInstanceIndex = atLastEntity ? eachEntityPrimitiveInstancesPortion[lastEntityIndex] : eachEntityPrimitiveInstancesPortion[entityIndex + 1];
+
+        const meshIds = [];
+
+        for (let primitiveInstancesIndex = firstEntityPrimitiveInstanceIndex; primitiveInstancesIndex < lastEntityPrimitiveInstanceIndex; primitiveInstancesIndex++) {
+
+            const primitiveIndex = primitiveInstances[primitiveInstancesIndex];
+            const primitiveInstanceCount = primitiveInstanceCounts[primitiveIndex];
+            const isInstancedPrimitive = (primitiveInstanceCount > 1);
+
+            if (isInstancedPrimitive) {
+
+                const meshId = idPrefix + "instance." + countInstances++;
+                const geometryId = idPrefix + "geometry" + primitiveIndex;
+                const matricesIndex = (eachEntityMatricesPortion [entityIndex]) * 16;
+                const matrix = matrices.subarray(matricesIndex, matricesIndex + 16);
+
+                performanceModel.createMesh(utils.apply(entityDefaults.meshDefaults, {
+                    id: meshId,
+                    geometryId: geometryId,
+                    matrix: matrix
+                }));
+
+                meshIds.push(meshId);
+
+            } else {
+                meshIds.push(idPrefix + primitiveIndex);
+            }
+        }
+
+        if (meshIds.length > 0) {
+
+            performanceModel.createEntity(utils.apply(entityDefaults.entityDefaults, {
+                id: entityId,
+                isObject: true,
+                meshIds: meshIds
+            }));
+        }
+    }
+}
+
+/** @private */
+const ParserV7 = {
+    version: 7,
+    prepare: function (elements, inflater) { // Doesn't use the Viewer, so can run in a Web worker
+        const deflatedData = extract(elements);
+        const inflatedData = inflate(deflatedData, inflater || pako); // Elements may be already inflated
+        return prepare(inflatedData);
+    },
+    load: function (viewer, options, preparedData, performanceModel) {
+        load(viewer, options, preparedData, performanceModel);
+    },
+    parse: function (viewer, options, elements, performanceModel) {
+        load(viewer, options, this.prepare(elements), performanceModel);
+    }
+};
+
+export {ParserV7};
\ No newline at end of file
@@ -0,0 +1,110 @@
+/*
+
+ Module Web worker that inflates and prepares .XKT files for XKTLoaderPlugin.
+
+ Handles two kinds of message:
+
+ * "inflate" - contains a single deflated element, which we inflate and transfer back to the main thread, and
+ * "prepare" - contains all the inflated elements of a file, from which the file's parser types the arrays, parses the
+   JSON and builds the lookup tables that map primitives to entities. We transfer the prepared arrays back to the main
+   thread, which then only needs to create the model's objects from them.
+
+ */
+
+/* eslint-env worker */
+
+import {ParserV1} from "../parsers/ParserV1.js";
+import {ParserV2} from "../parsers/ParserV2.js";
+import {ParserV3} from "../parsers/ParserV3.js";
+import {ParserV4} from "../parsers/ParserV4.js";
+import {ParserV5} from "../parsers/ParserV5.js";
+import {ParserV6} from "../parsers/ParserV6.js";
+import {ParserV7} from "../parsers/ParserV7.js";
+import * as p from "../parsers/lib/pako.js";
+
+const parsers = {};
+
+parsers[ParserV1.version] = ParserV1;
+parsers[ParserV2.version] = ParserV2;
+parsers[ParserV3.version] = ParserV3;
+parsers[ParserV4.version] = ParserV4;
+parsers[ParserV5.version] = ParserV5;
+parsers[ParserV6.version] = ParserV6;
+parsers[ParserV7.version] = ParserV7;
+
+let pako = self.pako || p;
+if (!pako.inflate) {  // See https://github.com/nodeca/pako/issues/97
+    pako = pako.default;
+}
+
+const utf8Decoder = new TextDecoder("utf-8");
+
+// Stands in for pako within parsers, since the elements were already inflated
+
+const preInflated = {
+    inflate: function (data, options) {
+        if (options && options.to === 'string') {
+            return utf8Decoder.decode(data);
+        }
+        return data;
+    }
+};
+
+function getTransferables(preparedData) {
+    const buffers = [];
+    for (let key in preparedData) {
+        if (preparedData.hasOwnProperty(key)) {
+            const value = preparedData[key];
+            if (ArrayBuffer.isView(value) && buffers.indexOf(value.buffer) === -1) {
+                buffers.push(value.buffer);
+            }
+        }
+    }
+    return buffers;
+}
+
+self.onmessage = function (event) {
+
+    const message = event.data;
+    const jobId = message.jobId;
+
+    switch (message.type) {
+
+        case "inflate": {
+            const elementIndex = message.elementIndex;
+            try {
+                const inflated = pako.inflate(new Uint8Array(message.data));
+                const buffer = (inflated.byteOffset === 0 && inflated.byteLength === inflated.buffer.byteLength) ? inflated.buffer : inflated.slice().buffer;
+                self.postMessage({
+                    jobId: jobId,
+                    elementIndex: elementIndex,
+                    data: buffer
+                }, [buffer]);
+            } catch (e) {
+                self.postMessage({
+                    jobId: jobId,
+                    error: "Failed to inflate element " + elementIndex + ": " + e
+                });
+            }
+            break;
+        }
+
+        case "prepare": {
+            try {
+                const parser = parsers[message.version];
+                const elements = message.elements.map(buffer => new Uint8Array(buffer));
+                const preparedData = parser.prepare(elements, preInflated);
+                self.postMessage({
+                    jobId: jobId,
+                    preparedData: preparedData
+                }, getTransferables(preparedData));
+            } catch (e) {
+                self.postMessage({
+                    jobId: jobId,
+                    error: "Failed to prepare .XKT V" + message.version + " file: " + e
+                });
+            }
+            break;
+        }
+    }
+};
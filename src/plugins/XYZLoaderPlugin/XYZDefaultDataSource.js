@@ -0,0 +1,38 @@
+/**
+ * Default data access strategy for {@link XYZLoaderPlugin}.
+ */
+class XYZDefaultDataSource {
+
+    constructor() {
+    }
+
+    /**
+     * Gets the contents of the given ````.xyz```` or ````.pts```` file as text.
+     *
+     * @param {String|Number} src Path to ````.xyz```` or ````.pts```` file.
+     * @param {Function} ok Callback fired on success, argument is the file contents as a string.
+     * @param {Function} error Callback fired on error.
+     */
+    getXYZ(src, ok, error) {
+        var defaultCallback = () => {
+        };
+        ok = ok || defaultCallback;
+        error = error || defaultCallback;
+        const request = new XMLHttpRequest();
+        request.overrideMimeType("text/plain");
+        request.open('GET', src, true);
+        request.responseType = 'text';
+        request.onreadystatechange = function () {
+            if (request.readyState === 4) {
+                if (request.status === 200) {
+                    ok(request.responseText);
+                } else {
+                    error('getXYZ error : ' + request.statusText);
+                }
+            }
+        };
+        request.send(null);
+    }
+}
+
+export {XYZDefaultDataSource};
@@ -0,0 +1,275 @@
+import {utils} from "../../viewer/scene/utils.js"
+import {PerformanceModel} from "../../viewer/scene/PerformanceModel/PerformanceModel.js";
+import {Plugin} from "../../viewer/Plugin.js";
+import {XYZDefaultDataSource} from "./XYZDefaultDataSource.js";
+import {parseXYZ} from "./lib/parseXYZ.js";
+
+/**
+ * Maximum number of points in each mesh we create within the {@link PerformanceModel}.
+ * @private
+ */
+const MAX_POINTS_PER_MESH = 500000;
+
+/**
+ * {@link Viewer} plugin that loads point clouds from plain ASCII *````.xyz````* and *````.pts````* files.
+ *
+ * ## Overview
+ *
+ * * Loads laser scans that have been exported as plain text, with one point per line, without needing a LAS/LAZ decoder.
+ * * Loads per-point RGB colors, or gray-scale intensities when the file has no colors.
+ * * Renders the points with a {@link PerformanceModel}, so that large scans can be overlaid on BIM models, eg. for as-built comparison.
+ * * Set the position, scale and rotation of each point cloud as you load it, to register it with your models.
+ * * Set the size of the points, in either pixels or World-space units.
+ * * Thin out dense scans by loading only every Nth point.
+ * * Set a custom data source for *````.xyz````* and *````.pts````* files.
+ *
+ * ## File format
+ *
+ * Each line of the file holds one point, as three coordinates, optionally followed by an intensity value and/or an RGB color,
+ * separated by spaces, tabs, commas or semicolons. XYZLoaderPlugin interprets each line by its number of values:
+ *
+ * * ````X Y Z````,
+ * * ````X Y Z I````,
+ * * ````X Y Z R G B````, or
+ * * ````X Y Z I R G B````, which is how most scanner software writes *````.pts````* files.
+ *
+ * RGB values may be in range ````[0..255]```` or ````[0..1]````. The point count that precedes each scan in a
+ * *````.pts````* file is ignored, as are comment lines that begin with ````#```` or ````//````.
+ *
+ * ## Scene representation
+ *
+ * When loading a point cloud, XYZLoaderPlugin creates an {@link Entity} that represents the model, which
+ * will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id}
+ * in {@link Scene#models}. The XYZLoaderPlugin also creates a single {@link Entity} for all the points, which
+ * will have {@link Entity#isObject} set ````true````, will be registered by {@link Entity#id} in {@link Scene#objects},
+ * and will have an ID made from the model ID with a ````".points"```` suffix.
+ *
+ * When we pick the point cloud with {@link Scene#pick} and ````pickSurface: true````, the {@link PickResult} will have
+ * {@link PickResult#primitive} set to ````"point"````, with {@link PickResult#primIndex} being the index of
+ * the picked point within the file, and {@link PickResult#worldPos} its World-space position.
+ *
+ * ## Usage
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XYZLoaderPlugin} from "../src/plugins/XYZLoaderPlugin/XYZLoaderPlugin.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const xyzLoader = new XYZLoaderPlugin(viewer);
+ *
+ * const model = xyzLoader.load({
+ *     id: "myScan",
+ *     src: "./models/xyz/officeScan.pts",
+ *     position: [-12.5, 0, 4.0],
+ *     pointSize: 0.02,
+ *     pointSizeMode: "world"
+ * });
+ *
+ * model.on("loaded", () => {
+ *     viewer.cameraFlight.flyTo(model);
+ * });
+ *
+ * viewer.cameraControl.on("picked", (pickResult) => {
+ *     if (pickResult.primitive === "point") {
+ *         console.log("Picked point " + pickResult.primIndex + " at " + pickResult.worldPos);
+ *     }
+ * });
+ * ````
+ *
+ * ## Configuring a custom data source
+ *
+ * By default, XYZLoaderPlugin will load *````.xyz````* and *````.pts````* files over HTTP.
+ *
+ * In the example below, we'll customize the way XYZLoaderPlugin loads the files by configuring it with our own data source
+ * object. For simplicity, our custom data source example also uses HTTP, using a couple of xeokit utility functions.
+ *
+ * ````javascript
+ * import {utils} from "./../src/viewer/scene/utils.js";
+ *
+ * class MyDataSource {
+ *
+ *      constructor() {
+ *      }
+ *
+ *      // Gets the contents of the given .xyz or .pts file as a string
+ *      getXYZ(src, ok, error) {
+ *          utils.loadArraybuffer(src,
+ *              (arraybuffer) => {
+ *                  ok(new TextDecoder("utf-8").decode(arraybuffer));
+ *              },
+ *              function (errMsg) {
+ *                  error(errMsg);
+ *              });
+ *      }
+ * }
+ *
+ * const xyzLoader = new XYZLoaderPlugin(viewer, {
+ *       dataSource: new MyDataSource()
+ * });
+ * ````
+ *
+ * @class XYZLoaderPlugin
+ */
+class XYZLoaderPlugin extends Plugin {
+
+    /**
+     * @constructor
+     *
+     * @param {Viewer} viewer The Viewer.
+     * @param {Object} cfg  Plugin configuration.
+     * @param {String} [cfg.id="XYZLoader"] Optional ID for this plugin, so that we can find it within {@link Viewer#plugins}.
+     * @param {Object} [cfg.dataSource] A custom data source through which the XYZLoaderPlugin can load *````.xyz````* and *````.pts````* files. Defaults to an instance of {@link XYZDefaultDataSource}, which loads over HTTP.
+     */
+    constructor(viewer, cfg = {}) {
+
+        super("XYZLoader", viewer, cfg);
+
+        this.dataSource = cfg.dataSource;
+    }
+
+    /**
+     * Sets a custom data source through which the XYZLoaderPlugin can load *````.xyz````* and *````.pts````* files.
+     *
+     * Default value is {@link XYZDefaultDataSource}, which loads via HTTP.
+     *
+     * @type {Object}
+     */
+    set dataSource(value) {
+        this._dataSource = value || new XYZDefaultDataSource();
+    }
+
+    /**
+     * Gets the custom data source through which the XYZLoaderPlugin can load *````.xyz````* and *````.pts````* files.
+     *
+     * Default value is {@link XYZDefaultDataSource}, which loads via HTTP.
+     *
+     * @type {Object}
+     */
+    get dataSource() {
+        return this._dataSource;
+    }
+
+    /**
+     * Loads an *````.xyz````* or *````.pts````* point cloud into this XYZLoaderPlugin's {@link Viewer}.
+     *
+     * @param {*} params Loading parameters.
+     * @param {String} [params.id] ID to assign to the root {@link Entity#id}, unique among all components in the Viewer's {@link Scene}, generated automatically by default.
+     * @param {String} [params.src] Path to an *````.xyz````* or *````.pts````* file, as an alternative to the ````xyz```` parameter.
+     * @param {String} [params.xyz] The file contents, as an alternative to the ````src```` parameter.
+     * @param {Number} [params.skip=1] Loads only every Nth point, to thin out dense scans.
+     * @param {Number[]} [params.color=[1,1,1]] RGB color of the points when the file has neither colors nor intensities.
+     * @param {Number} [params.pointSize=1] Size of the points. See {@link PerformanceModel#pointSize}.
+     * @param {String} [params.pointSizeMode="screen"] Whether ````pointSize```` is in pixels (````"screen"````) or World-space units (````"world"````). See {@link PerformanceModel#pointSizeMode}.
+     * @param {Number[]} [params.position=[0,0,0]] The model World-space 3D position.
+     * @param {Number[]} [params.scale=[1,1,1]] The model's World-space scale.
+     * @param {Number[]} [params.rotation=[0,0,0]] The model's World-space rotation, as Euler angles given in degrees, for each of the X, Y and Z axis.
+     * @param {Number[]} [params.matrix=[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1]] The model's world transform matrix. Overrides the position, scale and rotation parameters.
+     * @returns {Entity} Entity representing the model, which will have {@link Entity#isModel} set ````true```` and will be registered by {@link Entity#id} in {@link Scene#models}.
+     */
+    load(params = {}) {
+
+        if (params.id && this.viewer.scene.components[params.id]) {
+            this.error("Component with this ID already exists in viewer: " + params.id + " - will autogenerate this ID");
+            delete params.id;
+        }
+
+        const performanceModel = new PerformanceModel(this.viewer.scene, utils.apply(params, {
+            isModel: true
+        }));
+
+        if (!params.src && !params.xyz) {
+            this.error("load() param expected: src or xyz");
+            return performanceModel; // Return new empty model
+        }
+
+        if (params.src) {
+            this._loadModel(params.src, params, performanceModel);
+        } else {
+            this._parseModel(params.xyz, params, performanceModel);
+        }
+
+        return performanceModel;
+    }
+
+    _loadModel(src, params, performanceModel) {
+
+        const spinner = this.viewer.scene.canvas.spinner;
+
+        spinner.processes++;
+
+        this._dataSource.getXYZ(src, (text) => {
+                this._parseModel(text, params, performanceModel);
+                spinner.processes--;
+            },
+            (errMsg) => {
+                spinner.processes--;
+                this.error(errMsg);
+                performanceModel.fire("error", errMsg);
+            });
+    }
+
+    _parseModel(text, params, performanceModel) {
+
+        if (performanceModel.destroyed) {
+            return;
+        }
+
+        let pointCloud;
+
+        try {
+            pointCloud = parseXYZ(text, {
+                skip: params.skip
+            });
+        } catch (e) {
+            this.error("Failed to parse point cloud file: " + e);
+            performanceModel.fire("error", e);
+            return;
+        }
+
+        const positions = pointCloud.positions;
+        const colors = pointCloud.colors;
+        const numPoints = pointCloud.numPoints;
+
+        if (numPoints === 0) {
+            this.warn("Point cloud file has no points");
+        }
+
+        const modelId = performanceModel.id;
+        const meshIds = [];
+
+        // Split the points across several meshes, so that each fits within a batching layer
+
+        for (let first = 0; first < numPoints; first += MAX_POINTS_PER_MESH) {
+            const last = Math.min(first + MAX_POINTS_PER_MESH, numPoints);
+            const meshId = modelId + ".mesh" + meshIds.length;
+            performanceModel.createMesh({
+                id: meshId,
+                primitive: "points",
+                positions: positions.subarray(first * 3, last * 3),
+                colorsCompressed: colors ? colors.subarray(first * 4, last * 4) : undefined,
+                color: colors ? undefined : params.color
+            });
+            meshIds.push(meshId);
+        }
+
+        if (meshIds.length > 0) {
+            performanceModel.createEntity({
+                id: modelId + ".points",
+                isObject: true,
+                meshIds: meshIds
+            });
+        }
+
+        performanceModel.finalize();
+
+        performanceModel.scene.once("tick", () => {
+            performanceModel.scene.fire("modelLoaded", performanceModel.id); // FIXME: Assumes listeners know order of these two events
+            performanceModel.fire("loaded", true, false); // Don't forget the event, for late subscribers
+        });
+    }
+}
+
+export {XYZLoaderPlugin};
@@ -0,0 +1,139 @@
+/**
+ * Parses the text of a plain ASCII point cloud file, such as *````.xyz````* or *````.pts````*.
+ *
+ * Each line holds one point, as three coordinates, optionally followed by an intensity value and/or an RGB color,
+ * with values separated by spaces, tabs, commas or semicolons. Lines are interpreted by their number of values:
+ *
+ * * 3 - ````X Y Z````,
+ * * 4 - ````X Y Z I````,
+ * * 6 - ````X Y Z R G B````, and
+ * * 7 or more - ````X Y Z I R G B [...]````, as written by most laser scanner software.
+ *
+ * Lines that have fewer than three values, such as the point count that begins each scan in a *````.pts````* file, are ignored,
+ * as are blank lines and comment lines, which start with ````#```` or ````//````.
+ *
+ * RGB values are treated as being in range ````[0..255]```` when any of them is greater than ````1````, otherwise in
+ * range ````[0..1]````. When a file has intensities but no colors, the intensities are normalized into a gray scale.
+ *
+ * @private
+ * @param {String} text The file contents.
+ * @param {Object} [options] Parsing options.
+ * @param {Number} [options.skip=1] Loads only every Nth point, to thin out dense scans.
+ * @returns {{positions: Float64Array, colors: Uint8Array, numPoints: Number}} Flat arrays of point positions and
+ * RGBA colors in range ````[0..255]````. ````colors```` is ````null```` when the file has neither colors nor intensities.
+ */
+function parseXYZ(text, options = {}) {
+
+    const skip = Math.max(1, Math.floor(options.skip || 1));
+    const lines = text.split(/\r?\n/);
+
+    const positions = [];
+    const rgbs = [];
+    const intensities = [];
+
+    let hasRGB = false;
+    let hasIntensity = false;
+    let rgbBytes = false;
+    let pointIndex = 0;
+
+    for (let i = 0, len = lines.length; i < len; i++) {
+
+        const line = lines[i].trim();
+
+        if (line.length === 0 || line[0] === "#" || line.startsWith("//")) {
+            continue;
+        }
+
+        const values = line.split(/[\s,;]+/);
+        const numValues = values.length;
+
+        if (numValues < 3) { // Point count header of a .pts scan
+            continue;
+        }
+
+        if ((pointIndex++ % skip) !== 0) {
+            continue;
+        }
+
+        const x = parseFloat(values[0]);
+        const y = parseFloat(values[1]);
+        const z = parseFloat(values[2]);
+
+        if (isNaN(x) || isNaN(y) || isNaN(z)) {
+            continue;
+        }
+
+        positions.push(x, y, z);
+
+        let intensity = 0;
+        let r = 0;
+        let g = 0;
+        let b = 0;
+
+        if (numValues === 4 || numValues >= 7) {
+            intensity = parseFloat(values[3]) || 0;
+            hasIntensity = true;
+        }
+
+        if (numValues >= 6) {
+            const first = (numValues === 6) ? 3 : 4;
+            r = parseFloat(values[first]) || 0;
+            g = parseFloat(values[first + 1]) || 0;
+            b = parseFloat(values[first + 2]) || 0;
+            if (r > 1 || g > 1 || b > 1) {
+                rgbBytes = true;
+            }
+            hasRGB = true;
+        }
+
+        rgbs.push(r, g, b);
+        intensities.push(intensity);
+    }
+
+    const numPoints = intensities.length;
+    let colors = null;
+
+    if (hasRGB) {
+        const scale = rgbBytes ? 1 : 255;
+        colors = new Uint8Array(numPoints * 4);
+        for (let j = 0, k = 0; j < numPoints; j++, k += 3) {
+            colors[j * 4 + 0] = clampByte(rgbs[k + 0] * scale);
+            colors[j * 4 + 1] = clampByte(rgbs[k + 1] * scale);
+            colors[j * 4 + 2] = clampByte(rgbs[k + 2] * scale);
+            colors[j * 4 + 3] = 255;
+        }
+    } else if (hasIntensity) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let j = 0; j < numPoints; j++) {
+            const intensity = intensities[j];
+            if (intensity < min) {
+                min = intensity;
+            }
+            if (intensity > max) {
+                max = intensity;
+            }
+        }
+        const range = max - min;
+        colors = new Uint8Array(numPoints * 4);
+        for (let j = 0; j < numPoints; j++) {
+            const gray = (range > 0) ? clampByte(((intensities[j] - min) / range) * 255) : 255;
+            colors[j * 4 + 0] = gray;
+            colors[j * 4 + 1] = gray;
+            colors[j * 4 + 2] = gray;
+            colors[j * 4 + 3] = 255;
+        }
+    }
+
+    return {
+        positions: new Float64Array(positions),
+        colors: colors,
+        numPoints: numPoints
+    };
+}
+
+function clampByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+export {parseXYZ};
@@ -0,0 +1,123 @@
+import {trianglesIntersect, trianglesDistance} from "./triangleMath.js";
+
+const a0 = new Float64Array(3);
+const a1 = new Float64Array(3);
+const a2 = new Float64Array(3);
+const b0 = new Float64Array(3);
+const b1 = new Float64Array(3);
+const b2 = new Float64Array(3);
+const hitPos = new Float64Array(3);
+const pointA = new Float64Array(3);
+const pointB = new Float64Array(3);
+
+/**
+ * Finds the closest points between two sets of World-space triangles, as given by {@link getEntityTriangles}.
+ *
+ * Visits the triangles of each set in order of their distance from the boundary of the other set, and stops as soon as
+ * no remaining pair of triangles can be closer than the closest pair found so far. When the sets intersect, the distance
+ * is zero, and both closest points are a point where they intersect.
+ *
+ * @private
+ * @param {Object} trianglesA First set of triangles.
+ * @param {Object} trianglesB Second set of triangles.
+ * @param {Number[]} closestA Receives the closest point on the first set.
+ * @param {Number[]} closestB Receives the closest point on the second set.
+ * @returns {Number} The distance between the closest points, or ````Infinity```` if either set has no triangles.
+ */
+function getClosestPoints(trianglesA, trianglesB, closestA, closestB) {
+
+    const positionsA = trianglesA.positions;
+    const positionsB = trianglesB.positions;
+    const aabbsA = trianglesA.aabbs;
+    const aabbsB = trianglesB.aabbs;
+
+    const orderA = getTrianglesOrder(trianglesA, trianglesB.aabb);
+    const orderB = getTrianglesOrder(trianglesB, trianglesA.aabb);
+
+    let minDistance = Infinity;
+
+    for (let i = 0, len = orderA.indices.length; i < len; i++) {
+        if (orderA.distances[i] >= minDistance) {
+            break;
+        }
+        const ia = orderA.indices[i];
+        getTriangle(positionsA, ia, a0, a1, a2);
+        for (let j = 0, lenj = orderB.indices.length; j < lenj; j++) {
+            if (orderB.distances[j] >= minDistance) {
+                break;
+            }
+            const ib = orderB.indices[j];
+            const aabbsDistance = getAABBsDistance(aabbsA, ia * 6, aabbsB, ib * 6);
+            if (aabbsDistance >= minDistance) {
+                continue;
+            }
+            getTriangle(positionsB, ib, b0, b1, b2);
+            if (aabbsDistance === 0 && trianglesIntersect(a0, a1, a2, b0, b1, b2, hitPos)) {
+                set(closestA, hitPos);
+                set(closestB, hitPos);
+                return 0;
+            }
+            const distance = trianglesDistance(a0, a1, a2, b0, b1, b2, pointA, pointB);
+            if (distance < minDistance) {
+                minDistance = distance;
+                set(closestA, pointA);
+                set(closestB, pointB);
+            }
+        }
+    }
+
+    return minDistance;
+}
+
+/**
+ * Sorts the triangles of a set by the distances of their boundaries from the given boundary.
+ * @private
+ */
+function getTrianglesOrder(triangles, aabb) {
+    const numTriangles = triangles.numTriangles;
+    const distances = new Float64Array(numTriangles);
+    for (let i = 0; i < numTriangles; i++) {
+        distances[i] = getAABBsDistance(triangles.aabbs, i * 6, aabb, 0);
+    }
+    const indices = new Uint32Array(numTriangles);
+    for (let i = 0; i < numTriangles; i++) {
+        indices[i] = i;
+    }
+    indices.sort((i, j) => distances[i] - distances[j]);
+    const sortedDistances = new Float64Array(numTriangles);
+    for (let i = 0; i < numTriangles; i++) {
+        sortedDistances[i] = distances[indices[i]];
+    }
+    return {
+        indices: indices,
+        distances: sortedDistances
+    };
+}
+
+function getAABBsDistance(aabbsA, a, aabbsB, b) {
+    const dx = Math.max(0, aabbsA[a] - aabbsB[b + 3], aabbsB[b] - aabbsA[a + 3]);
+    const dy = Math.max(0, aabbsA[a + 1] - aabbsB[b + 4], aabbsB[b + 1] - aabbsA[a + 4]);
+    const dz = Math.max(0, aabbsA[a + 2] - aabbsB[b + 5], aabbsB[b + 2] - aabbsA[a + 5]);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function getTriangle(positions, i, v0, v1, v2) {
+    const p = i * 9;
+    v0[0] = positions[p];
+    v0[1] = positions[p + 1];
+    v0[2] = positions[p + 2];
+    v1[0] = positions[p + 3];
+    v1[1] = positions[p + 4];
+    v1[2] = positions[p + 5];
+    v2[0] = positions[p + 6];
+    v2[1] = positions[p + 7];
+    v2[2] = positions[p + 8];
+}
+
+function set(dest, a) {
+    dest[0] = a[0];
+    dest[1] = a[1];
+    dest[2] = a[2];
+}
+
+export {getClosestPoints};
@@ -0,0 +1,72 @@
+import {math} from "../../../viewer/scene/math/math.js";
+import {geometryCompressionUtils} from "../../../viewer/scene/math/geometryCompressionUtils.js";
+
+/**
+ * Gets the readable triangle geometry arrays of an {@link Entity}, with the matrix that transforms each into World-space.
+ *
+ * Works for objects in {@link PerformanceModel}s that were loaded with ````readableGeometry: true````, and for objects
+ * made of {@link Mesh}es that have {@link ReadableGeometry}s. Positions are decompressed if needed. Skips geometry
+ * that doesn't have the ````"triangles"```` primitive.
+ *
+ * @private
+ * @param {Entity} entity The Entity.
+ * @returns {{meshes: Object[], unreadable: Boolean}} Each mesh's ````positions````, ````indices````, ````edgeIndices```` (or
+ * ````null```` if not kept) and ````matrix````, and whether the Entity had any meshes whose geometry could not be read.
+ */
+function getEntityMeshes(entity) {
+    const meshes = [];
+    let unreadable = false;
+    if (entity.meshes && entity.model && entity.model.entityList) { // PerformanceNode
+        const modelMatrix = entity.model.worldMatrix;
+        for (let i = 0, len = entity.meshes.length; i < len; i++) {
+            const mesh = entity.meshes[i];
+            const geometry = mesh.geometry;
+            if (!geometry) {
+                unreadable = true;
+                continue;
+            }
+            if (geometry.primitive !== "triangles" || !geometry.indices) {
+                continue;
+            }
+            let positions = geometry.positions;
+            if (geometry.positionsDecodeMatrix) {
+                positions = geometryCompressionUtils.decompressPositions(positions, geometry.positionsDecodeMatrix, new Float32Array(positions.length));
+            }
+            meshes.push({
+                positions: positions,
+                indices: geometry.indices,
+                edgeIndices: geometry.edgeIndices || null,
+                matrix: mesh.matrix ? math.mulMat4(modelMatrix, mesh.matrix, math.mat4()) : modelMatrix
+            });
+        }
+    } else { // Node or Mesh
+        const visit = (component) => {
+            if (component.isMesh) {
+                const geometry = component.geometry;
+                if (!geometry || !("positions" in geometry)) {
+                    unreadable = true;
+                } else if (geometry.primitive === "triangles" && geometry.positions && geometry.indices) {
+                    meshes.push({
+                        positions: geometry.positions,
+                        indices: geometry.indices,
+                        edgeIndices: null,
+                        matrix: component.worldMatrix
+                    });
+                }
+            }
+            const children = component.children;
+            if (children) {
+                for (let i = 0, len = children.length; i < len; i++) {
+                    visit(children[i]);
+                }
+            }
+        };
+        visit(entity);
+    }
+    return {
+        meshes: meshes,
+        unreadable: unreadable
+    };
+}
+
+export {getEntityMeshes};
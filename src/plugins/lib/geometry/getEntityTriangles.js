@@ -0,0 +1,103 @@
+import {math} from "../../../viewer/scene/math/math.js";
+import {getEntityMeshes} from "./getEntityMeshes.js";
+
+const ZERO_OFFSET = [0, 0, 0];
+
+/**
+ * Gets the World-space triangles of an {@link Entity}, with the boundary of each.
+ *
+ * The triangles include the Entity's current {@link Entity#offset}. See {@link getEntityMeshes} for which Entities have
+ * readable triangles.
+ *
+ * @private
+ * @param {Entity} entity The Entity.
+ * @returns {{positions: Float64Array, aabbs: Float64Array, aabb: Number[], numTriangles: Number}} Nine positions and six boundary
+ * extents for each triangle, and the boundary of all the triangles, or null if the geometry isn't readable.
+ */
+function getEntityTriangles(entity) {
+    const {meshes, unreadable} = getEntityMeshes(entity);
+    if (unreadable && meshes.length === 0) {
+        return null;
+    }
+    let numTriangles = 0;
+    for (let i = 0, len = meshes.length; i < len; i++) {
+        numTriangles += Math.floor(meshes[i].indices.length / 3);
+    }
+    const offset = entity.offset || ZERO_OFFSET;
+    const triPositions = new Float64Array(numTriangles * 9);
+    const triAABBs = new Float64Array(numTriangles * 6);
+    let t = 0;
+    for (let i = 0, len = meshes.length; i < len; i++) {
+        const mesh = meshes[i];
+        const positions = mesh.positions;
+        const indices = mesh.indices;
+        const m = mesh.matrix;
+        for (let j = 0, lenj = indices.length - 2; j < lenj; j += 3) {
+            const p = t * 9;
+            const a = t * 6;
+            triAABBs[a] = triAABBs[a + 1] = triAABBs[a + 2] = Infinity;
+            triAABBs[a + 3] = triAABBs[a + 4] = triAABBs[a + 5] = -Infinity;
+            for (let k = 0; k < 3; k++) {
+                const v = indices[j + k] * 3;
+                const x = positions[v];
+                const y = positions[v + 1];
+                const z = positions[v + 2];
+                const wx = m[0] * x + m[4] * y + m[8] * z + m[12] + offset[0];
+                const wy = m[1] * x + m[5] * y + m[9] * z + m[13] + offset[1];
+                const wz = m[2] * x + m[6] * y + m[10] * z + m[14] + offset[2];
+                triPositions[p + k * 3] = wx;
+                triPositions[p + k * 3 + 1] = wy;
+                triPositions[p + k * 3 + 2] = wz;
+                if (wx < triAABBs[a]) triAABBs[a] = wx;
+                if (wy < triAABBs[a + 1]) triAABBs[a + 1] = wy;
+                if (wz < triAABBs[a + 2]) triAABBs[a + 2] = wz;
+                if (wx > triAABBs[a + 3]) triAABBs[a + 3] = wx;
+                if (wy > triAABBs[a + 4]) triAABBs[a + 4] = wy;
+                if (wz > triAABBs[a + 5]) triAABBs[a + 5] = wz;
+            }
+            t++;
+        }
+    }
+    const aabb = math.collapseAABB3(math.AABB3());
+    for (let i = 0; i < numTriangles; i++) {
+        math.expandAABB3(aabb, triAABBs.subarray(i * 6, i * 6 + 6));
+    }
+    return {
+        positions: triPositions,
+        aabbs: triAABBs,
+        aabb: aabb,
+        numTriangles: numTriangles
+    };
+}
+
+/**
+ * Translates triangles, as given by {@link getEntityTriangles}, along with their boundaries.
+ *
+ * Lets us move the triangles of an {@link Entity} by the change in its {@link Entity#offset}, instead of getting them again.
+ *
+ * @private
+ * @param {{positions: Float64Array, aabbs: Float64Array, aabb: Number[], numTriangles: Number}} triangles The triangles.
+ * @param {Number[]} delta The translation vector.
+ */
+function translateTriangles(triangles, delta) {
+    const positions = triangles.positions;
+    for (let i = 0, len = positions.length; i < len; i += 3) {
+        positions[i] += delta[0];
+        positions[i + 1] += delta[1];
+        positions[i + 2] += delta[2];
+    }
+    const aabbs = triangles.aabbs;
+    for (let i = 0, len = aabbs.length; i < len; i += 3) {
+        aabbs[i] += delta[0];
+        aabbs[i + 1] += delta[1];
+        aabbs[i + 2] += delta[2];
+    }
+    const aabb = triangles.aabb;
+    for (let i = 0; i < 6; i += 3) {
+        aabb[i] += delta[0];
+        aabb[i + 1] += delta[1];
+        aabb[i + 2] += delta[2];
+    }
+}
+
+export {getEntityTriangles, translateTriangles};
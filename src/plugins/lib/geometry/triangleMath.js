@@ -0,0 +1,409 @@
+/**
+ * Triangle intersection and distance functions for {@link ClashDetectionPlugin} and {@link DistanceMeasurementsPlugin}.
+ *
+ * Closest-point functions follow "Real-Time Collision Detection" by Christer Ericson.
+ *
+ * @private
+ */
+
+const PARALLEL_EPSILON = 1e-9;
+const EDGE_EPSILON = 1e-6;
+const COPLANAR_EPSILON = 1e-6;
+
+const dir = new Float64Array(3);
+const edge1 = new Float64Array(3);
+const edge2 = new Float64Array(3);
+const h = new Float64Array(3);
+const s = new Float64Array(3);
+const q = new Float64Array(3);
+const dir1 = new Float64Array(3);
+const dir2 = new Float64Array(3);
+const r = new Float64Array(3);
+const ab = new Float64Array(3);
+const ac = new Float64Array(3);
+const ap = new Float64Array(3);
+const bp = new Float64Array(3);
+const cp = new Float64Array(3);
+const tempA = new Float64Array(3);
+const tempB = new Float64Array(3);
+const normalA = new Float64Array(3);
+const normalB = new Float64Array(3);
+const centroid = new Float64Array(3);
+
+function sub(a, b, dest) {
+    dest[0] = a[0] - b[0];
+    dest[1] = a[1] - b[1];
+    dest[2] = a[2] - b[2];
+    return dest;
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b, dest) {
+    const x = a[1] * b[2] - a[2] * b[1];
+    const y = a[2] * b[0] - a[0] * b[2];
+    const z = a[0] * b[1] - a[1] * b[0];
+    dest[0] = x;
+    dest[1] = y;
+    dest[2] = z;
+    return dest;
+}
+
+function set(dest, a) {
+    dest[0] = a[0];
+    dest[1] = a[1];
+    dest[2] = a[2];
+    return dest;
+}
+
+function lerp(a, b, t, dest) {
+    dest[0] = a[0] + (b[0] - a[0]) * t;
+    dest[1] = a[1] + (b[1] - a[1]) * t;
+    dest[2] = a[2] + (b[2] - a[2]) * t;
+    return dest;
+}
+
+function clamp01(t) {
+    return (t < 0) ? 0 : ((t > 1) ? 1 : t);
+}
+
+/**
+ * Finds where the segment from p0 to p1 passes through the interior of triangle (a, b, c).
+ *
+ * Segments that lie in the plane of the triangle, or that only touch it at their end points or at its edges, don't count.
+ */
+function segmentTriangleIntersection(p0, p1, a, b, c, dest) {
+    sub(p1, p0, dir);
+    sub(b, a, edge1);
+    sub(c, a, edge2);
+    cross(dir, edge2, h);
+    const det = dot(edge1, h);
+    const scale = Math.sqrt(dot(dir, dir) * dot(edge1, edge1) * dot(edge2, edge2));
+    if (Math.abs(det) <= PARALLEL_EPSILON * scale) {
+        return false;
+    }
+    const invDet = 1.0 / det;
+    sub(p0, a, s);
+    const u = invDet * dot(s, h);
+    if (u <= EDGE_EPSILON || u >= 1 - EDGE_EPSILON) {
+        return false;
+    }
+    cross(s, edge1, q);
+    const v = invDet * dot(dir, q);
+    if (v <= EDGE_EPSILON || u + v >= 1 - EDGE_EPSILON) {
+        return false;
+    }
+    const t = invDet * dot(edge2, q);
+    if (t <= EDGE_EPSILON || t >= 1 - EDGE_EPSILON) {
+        return false;
+    }
+    lerp(p0, p1, t, dest);
+    return true;
+}
+
+/**
+ * Tests if the ray from origin along dir passes through triangle (a, b, c).
+ */
+function rayTriangleIntersects(origin, dir, a, b, c) {
+    sub(b, a, edge1);
+    sub(c, a, edge2);
+    cross(dir, edge2, h);
+    const det = dot(edge1, h);
+    if (Math.abs(det) <= PARALLEL_EPSILON * Math.sqrt(dot(dir, dir) * dot(edge1, edge1) * dot(edge2, edge2))) {
+        return false;
+    }
+    const invDet = 1.0 / det;
+    sub(origin, a, s);
+    const u = invDet * dot(s, h);
+    if (u < 0 || u > 1) {
+        return false;
+    }
+    cross(s, edge1, q);
+    const v = invDet * dot(dir, q);
+    if (v < 0 || u + v > 1) {
+        return false;
+    }
+    return (invDet * dot(edge2, q)) > 0;
+}
+
+/**
+ * Tests if triangle (b0, b1, b2), with normal nb, lies in the plane of the triangle at a0 with normal na.
+ */
+function trianglesCoplanar(a0, na, b0, b1, b2, nb) {
+    const lenA = Math.sqrt(dot(na, na));
+    const lenB = Math.sqrt(dot(nb, nb));
+    if (lenA === 0 || lenB === 0) {
+        return false;
+    }
+    cross(na, nb, h);
+    if (Math.sqrt(dot(h, h)) > COPLANAR_EPSILON * lenA * lenB) {
+        return false;
+    }
+    const maxDist = EDGE_EPSILON * Math.sqrt(lenA); // Normal length is twice the area, so its square root scales with triangle size
+    return Math.abs(dot(na, sub(b0, a0, s))) / lenA <= maxDist
+        && Math.abs(dot(na, sub(b1, a0, s))) / lenA <= maxDist
+        && Math.abs(dot(na, sub(b2, a0, s))) / lenA <= maxDist;
+}
+
+function orient2D(p, q, r, i, j) {
+    return (q[i] - p[i]) * (r[j] - p[j]) - (q[j] - p[j]) * (r[i] - p[i]);
+}
+
+/**
+ * Finds where segments (p, q) and (r, s) cross each other within the axis-aligned plane of axes i and j.
+ *
+ * Segments that only touch at their ends, or that are collinear, don't count.
+ */
+function segmentsCross2D(p, q, r, s, i, j, dest) {
+    const d1 = orient2D(p, q, r, i, j);
+    const d2 = orient2D(p, q, s, i, j);
+    if (d1 === d2) {
+        return false;
+    }
+    const t = d1 / (d1 - d2);
+    if (t <= EDGE_EPSILON || t >= 1 - EDGE_EPSILON) {
+        return false;
+    }
+    const d3 = orient2D(r, s, p, i, j);
+    const d4 = orient2D(r, s, q, i, j);
+    if (d3 === d4) {
+        return false;
+    }
+    const u = d3 / (d3 - d4);
+    if (u <= EDGE_EPSILON || u >= 1 - EDGE_EPSILON) {
+        return false;
+    }
+    lerp(p, q, u, dest);
+    return true;
+}
+
+/**
+ * Tests if point p is within the interior of triangle (a, b, c), within the axis-aligned plane of axes i and j.
+ */
+function pointInTriangle2D(p, a, b, c, i, j) {
+    const area = orient2D(a, b, c, i, j);
+    if (area === 0) {
+        return false;
+    }
+    return orient2D(b, c, p, i, j) / area > EDGE_EPSILON
+        && orient2D(c, a, p, i, j) / area > EDGE_EPSILON
+        && orient2D(a, b, p, i, j) / area > EDGE_EPSILON;
+}
+
+/**
+ * Tests if two coplanar triangles overlap, and if so, gets a point where they do.
+ *
+ * Projects the triangles onto the axis-aligned plane in which the given normal is largest. Triangles that only touch
+ * at their edges or vertices don't overlap.
+ */
+function coplanarTrianglesOverlap(a0, a1, a2, b0, b1, b2, normal, dest) {
+    const nx = Math.abs(normal[0]);
+    const ny = Math.abs(normal[1]);
+    const nz = Math.abs(normal[2]);
+    let i;
+    let j;
+    if (nx >= ny && nx >= nz) {
+        i = 1;
+        j = 2;
+    } else if (ny >= nz) {
+        i = 0;
+        j = 2;
+    } else {
+        i = 0;
+        j = 1;
+    }
+    const a = [a0, a1, a2];
+    const b = [b0, b1, b2];
+    for (let k = 0; k < 3; k++) {
+        for (let l = 0; l < 3; l++) {
+            if (segmentsCross2D(a[k], a[(k + 1) % 3], b[l], b[(l + 1) % 3], i, j, dest)) {
+                return true;
+            }
+        }
+    }
+    for (let k = 0; k < 3; k++) {
+        if (pointInTriangle2D(a[k], b0, b1, b2, i, j)) {
+            set(dest, a[k]);
+            return true;
+        }
+        if (pointInTriangle2D(b[k], a0, a1, a2, i, j)) {
+            set(dest, b[k]);
+            return true;
+        }
+    }
+    for (let k = 0; k < 3; k++) { // Catches identical triangles, which have no crossing edges or enclosed vertices
+        centroid[k] = (a0[k] + a1[k] + a2[k]) / 3;
+    }
+    if (pointInTriangle2D(centroid, b0, b1, b2, i, j)) {
+        set(dest, centroid);
+        return true;
+    }
+    for (let k = 0; k < 3; k++) {
+        centroid[k] = (b0[k] + b1[k] + b2[k]) / 3;
+    }
+    if (pointInTriangle2D(centroid, a0, a1, a2, i, j)) {
+        set(dest, centroid);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Tests if two triangles pass through each other, and if so, gets a point where they do.
+ *
+ * Triangles that only touch at their edges or vertices don't count, so that objects that just rest on each other don't clash.
+ *
+ * Coplanar triangles count when they overlap and face the same way, as where objects overlap and have faces in the same
+ * plane, but not when they face opposite ways, as where objects rest against each other. That relies on the triangles
+ * of each object having a consistent, outward-facing winding order.
+ *
+ * @returns {Boolean} True if the triangles intersect.
+ */
+function trianglesIntersect(a0, a1, a2, b0, b1, b2, dest) {
+    cross(sub(a1, a0, edge1), sub(a2, a0, edge2), normalA);
+    cross(sub(b1, b0, edge1), sub(b2, b0, edge2), normalB);
+    if (trianglesCoplanar(a0, normalA, b0, b1, b2, normalB)) {
+        return (dot(normalA, normalB) > 0) && coplanarTrianglesOverlap(a0, a1, a2, b0, b1, b2, normalA, dest);
+    }
+    return segmentTriangleIntersection(a0, a1, b0, b1, b2, dest)
+        || segmentTriangleIntersection(a1, a2, b0, b1, b2, dest)
+        || segmentTriangleIntersection(a2, a0, b0, b1, b2, dest)
+        || segmentTriangleIntersection(b0, b1, a0, a1, a2, dest)
+        || segmentTriangleIntersection(b1, b2, a0, a1, a2, dest)
+        || segmentTriangleIntersection(b2, b0, a0, a1, a2, dest);
+}
+
+/**
+ * Gets the closest points between segments (p1, q1) and (p2, q2), and returns their squared distance.
+ */
+function closestPointsSegmentSegment(p1, q1, p2, q2, c1, c2) {
+    sub(q1, p1, dir1);
+    sub(q2, p2, dir2);
+    sub(p1, p2, r);
+    const a = dot(dir1, dir1);
+    const e = dot(dir2, dir2);
+    const f = dot(dir2, r);
+    let sc;
+    let tc;
+    if (a <= PARALLEL_EPSILON && e <= PARALLEL_EPSILON) {
+        sc = 0;
+        tc = 0;
+    } else if (a <= PARALLEL_EPSILON) {
+        sc = 0;
+        tc = clamp01(f / e);
+    } else {
+        const c = dot(dir1, r);
+        if (e <= PARALLEL_EPSILON) {
+            tc = 0;
+            sc = clamp01(-c / a);
+        } else {
+            const b = dot(dir1, dir2);
+            const denom = a * e - b * b;
+            sc = (denom !== 0) ? clamp01((b * f - c * e) / denom) : 0;
+            tc = (b * sc + f) / e;
+            if (tc < 0) {
+                tc = 0;
+                sc = clamp01(-c / a);
+            } else if (tc > 1) {
+                tc = 1;
+                sc = clamp01((b - c) / a);
+            }
+        }
+    }
+    lerp(p1, q1, sc, c1);
+    lerp(p2, q2, tc, c2);
+    sub(c1, c2, r);
+    return dot(r, r);
+}
+
+/**
+ * Gets the point on triangle (a, b, c) that's closest to point p.
+ */
+function closestPointPointTriangle(p, a, b, c, dest) {
+    sub(b, a, ab);
+    sub(c, a, ac);
+    sub(p, a, ap);
+    const d1 = dot(ab, ap);
+    const d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) {
+        return set(dest, a);
+    }
+    sub(p, b, bp);
+    const d3 = dot(ab, bp);
+    const d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) {
+        return set(dest, b);
+    }
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        return lerp(a, b, d1 / (d1 - d3), dest);
+    }
+    sub(p, c, cp);
+    const d5 = dot(ab, cp);
+    const d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) {
+        return set(dest, c);
+    }
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        return lerp(a, c, d2 / (d2 - d6), dest);
+    }
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+        return lerp(b, c, (d4 - d3) / ((d4 - d3) + (d5 - d6)), dest);
+    }
+    const denom = 1.0 / (va + vb + vc);
+    const v = vb * denom;
+    const w = vc * denom;
+    dest[0] = a[0] + ab[0] * v + ac[0] * w;
+    dest[1] = a[1] + ab[1] * v + ac[1] * w;
+    dest[2] = a[2] + ab[2] * v + ac[2] * w;
+    return dest;
+}
+
+/**
+ * Gets the distance between two triangles that don't intersect, along with the closest points on each.
+ *
+ * @returns {Number} The distance.
+ */
+function trianglesDistance(a0, a1, a2, b0, b1, b2, closestA, closestB) {
+
+    let minDistSq = Infinity;
+
+    const a = [a0, a1, a2];
+    const b = [b0, b1, b2];
+
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const distSq = closestPointsSegmentSegment(a[i], a[(i + 1) % 3], b[j], b[(j + 1) % 3], tempA, tempB);
+            if (distSq < minDistSq) {
+                minDistSq = distSq;
+                set(closestA, tempA);
+                set(closestB, tempB);
+            }
+        }
+    }
+
+    for (let i = 0; i < 3; i++) {
+        closestPointPointTriangle(a[i], b0, b1, b2, tempB);
+        let distSq = dot(sub(a[i], tempB, r), r);
+        if (distSq < minDistSq) {
+            minDistSq = distSq;
+            set(closestA, a[i]);
+            set(closestB, tempB);
+        }
+        closestPointPointTriangle(b[i], a0, a1, a2, tempA);
+        distSq = dot(sub(b[i], tempA, r), r);
+        if (distSq < minDistSq) {
+            minDistSq = distSq;
+            set(closestA, tempA);
+            set(closestB, b[i]);
+        }
+    }
+
+    return Math.sqrt(minDistSq);
+}
+
+export {trianglesIntersect, trianglesDistance, rayTriangleIntersects};
@@ -0,0 +1,64 @@
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/** @private */
+class Polygon {
+
+    constructor(parentElement, cfg = {}) {
+
+        this._visible = true;
+
+        this._svg = document.createElementNS(SVG_NS, "svg");
+        this._svg.setAttribute("class", "viewer-ruler-polygon");
+
+        var style = this._svg.style;
+
+        style.position = "absolute";
+        style["z-index"] = "2000000";
+        style.width = "1px";
+        style.height = "1px";
+        style.overflow = "visible";
+        style.visibility = "visible";
+        style.top = 0 + "px";
+        style.left = 0 + "px";
+        style["pointer-events"] = "none";
+
+        this._polygon = document.createElementNS(SVG_NS, "polygon");
+        this._svg.appendChild(this._polygon);
+
+        parentElement.appendChild(this._svg);
+
+        this.setFillColor(cfg.fillColor);
+        this.setOpacity(cfg.opacity !== undefined ? cfg.opacity : 0.3);
+    }
+
+    setPoints(points) { // Flat array of canvas coordinates [x0, y0, x1, y1, ...]
+        var coords = [];
+        for (var i = 0, len = points.length - 1; i < len; i += 2) {
+            coords.push(Math.round(points[i]) + "," + Math.round(points[i + 1]));
+        }
+        this._polygon.setAttribute("points", coords.join(" "));
+    }
+
+    setFillColor(color) {
+        this._polygon.setAttribute("fill", color || "lightgreen");
+    }
+
+    setOpacity(opacity) {
+        this._polygon.setAttribute("fill-opacity", opacity);
+    }
+
+    setVisible(visible) {
+        visible = !!visible;
+        if (this._visible === visible) {
+            return;
+        }
+        this._visible = visible;
+        this._svg.style.visibility = this._visible ? "visible" : "hidden";
+    }
+
+    destroy() {
+        this._svg.parentElement.removeChild(this._svg);
+    }
+}
+
+export {Polygon};
@@ -0,0 +1,40 @@
+/**
+ * Gets a JSON representation of a {@link Marker}, or of any other component that has a World-space
+ * position and an optional {@link Entity}, such as an {@link Annotation}.
+ *
+ * @private
+ * @param {Marker} marker The Marker.
+ * @returns {{worldPos: Number[], entity: String}} The Marker's World-space position, and the ID of its Entity, or ````null```` if it has none.
+ */
+function getMarkerJSON(marker) {
+    return {
+        worldPos: Array.from(marker.worldPos),
+        entity: marker.entity ? marker.entity.id : null
+    };
+}
+
+/**
+ * Gets the parameters with which to create a {@link Marker} from its JSON representation, as given by {@link getMarkerJSON}.
+ *
+ * Logs a warning through the given {@link Plugin} when the JSON refers to an {@link Entity} that's not in the {@link Scene}.
+ *
+ * @private
+ * @param {Plugin} plugin The Plugin that's creating the Marker.
+ * @param {{worldPos: Number[], entity: String}} json The JSON representation.
+ * @returns {{worldPos: Number[], entity: Entity}} The Marker's World-space position, and its Entity, if any.
+ */
+function getMarkerParams(plugin, json) {
+    let entity;
+    if (json.entity) {
+        entity = plugin.viewer.scene.objects[json.entity];
+        if (!entity) {
+            plugin.warn("Object not found: " + json.entity);
+        }
+    }
+    return {
+        entity: entity,
+        worldPos: json.worldPos
+    };
+}
+
+export {getMarkerJSON, getMarkerParams};
@@ -0,0 +1,40 @@
+/**
+ * Gets a compact JSON representation of which objects in a {@link Scene} have a flag, such as visibility, X-ray or selection.
+ *
+ * Gives the value of the flag that most objects have, and the IDs of the objects that have the other value, so that the
+ * JSON stays small whether few or most objects have the flag.
+ *
+ * @private
+ * @param {Scene} scene The Scene.
+ * @param {{String: Entity}} flaggedObjects Map of the objects that have the flag, such as {@link Scene#visibleObjects}.
+ * @param {String[]} flaggedObjectIds IDs of the objects that have the flag, such as {@link Scene#visibleObjectIds}.
+ * @returns {{defaultValue: Boolean, exceptions: String[]}} The value of the flag for most objects, and the IDs of the objects that have the other value.
+ */
+function getObjectsFlagJSON(scene, flaggedObjects, flaggedObjectIds) {
+    const objectIds = scene.objectIds;
+    const defaultValue = (flaggedObjectIds.length >= objectIds.length / 2);
+    return {
+        defaultValue: defaultValue,
+        exceptions: defaultValue ? objectIds.filter((id) => !flaggedObjects[id]) : flaggedObjectIds.slice()
+    };
+}
+
+/**
+ * Sets a flag on the objects in a {@link Scene} from its JSON representation, as given by {@link getObjectsFlagJSON}.
+ *
+ * Ignores the IDs of objects that are not in the Scene.
+ *
+ * @private
+ * @param {Scene} scene The Scene.
+ * @param {{defaultValue: Boolean, exceptions: String[]}} json The JSON representation.
+ * @param {Function} setObjectsFlag Sets the flag on objects, given their IDs and the value, such as with {@link Scene#setObjectsVisible}.
+ */
+function setObjectsFlagJSON(scene, json, setObjectsFlag) {
+    setObjectsFlag(scene.objectIds, json.defaultValue);
+    const exceptions = (json.exceptions || []).filter((id) => !!scene.objects[id]);
+    if (exceptions.length > 0) {
+        setObjectsFlag(exceptions, !json.defaultValue);
+    }
+}
+
+export {getObjectsFlagJSON, setObjectsFlagJSON};
@@ -0,0 +1,27 @@
+/**
+ * Parses a date, such as an ISO 8601 date or date-time, into a Date.
+ *
+ * Parses a date without a time, such as ````2020-03-02````, as local midnight, like the date-times without a time zone
+ * that MS Project writes, instead of as UTC midnight, which the Date constructor would give us.
+ *
+ * @private
+ * @param {String} text The date text.
+ * @returns {Date} The Date, or ````null```` if the text is empty or not a valid date.
+ */
+function parseDate(text) {
+    if (!text) {
+        return null;
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+    if (match) {
+        const year = Number(match[1]);
+        const month = Number(match[2]) - 1;
+        const day = Number(match[3]);
+        const date = new Date(year, month, day);
+        return (date.getMonth() === month && date.getDate() === day) ? date : null; // Not rolled over from an invalid day or month
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+export {parseDate};
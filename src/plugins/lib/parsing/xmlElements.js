@@ -0,0 +1,60 @@
+/**
+ * Gets the child elements of an XML element that have the given local name, ignoring any namespace prefix.
+ *
+ * @private
+ * @param {Element} element The parent element.
+ * @param {String} name Local name of the child elements.
+ * @returns {Element[]} The child elements, in document order.
+ */
+function getChildren(element, name) {
+    const children = [];
+    for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+        if (child.localName === name) {
+            children.push(child);
+        }
+    }
+    return children;
+}
+
+/**
+ * Gets the first child element of an XML element that has the given local name, ignoring any namespace prefix.
+ *
+ * @private
+ * @param {Element} element The parent element.
+ * @param {String} name Local name of the child element.
+ * @returns {Element} The child element, or ````null```` if not found.
+ */
+function getChild(element, name) {
+    for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+        if (child.localName === name) {
+            return child;
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the text content of an XML element, without leading and trailing whitespace.
+ *
+ * @private
+ * @param {Element} element The element.
+ * @returns {String} The text.
+ */
+function getText(element) {
+    return element.textContent.trim();
+}
+
+/**
+ * Gets the text content of the first child element of an XML element that has the given local name.
+ *
+ * @private
+ * @param {Element} element The parent element.
+ * @param {String} name Local name of the child element.
+ * @returns {String} The child's text, without leading and trailing whitespace, or ````undefined```` if there's no such child.
+ */
+function getChildText(element, name) {
+    const child = getChild(element, name);
+    return child ? getText(child) : undefined;
+}
+
+export {getChildren, getChild, getText, getChildText};
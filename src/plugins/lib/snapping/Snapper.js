@@ -0,0 +1,345 @@
+import {math} from "../../../viewer/scene/math/math.js";
+import {buildEdgeIndices} from "../../../viewer/scene/math/buildEdgeIndices.js";
+import {getEntityMeshes} from "../geometry/getEntityMeshes.js";
+import {Dot} from "../html/Dot.js";
+
+const SNAP_COLORS = {
+    vertex: "#FF00FF",
+    edgeMidpoint: "#00FFFF",
+    edge: "#FFFF00"
+};
+
+const ZERO_OFFSET = [0, 0, 0];
+
+const tempVec3a = math.vec3();
+const tempVec3b = math.vec3();
+const tempVec4a = math.vec4();
+const tempVec4b = math.vec4();
+
+/**
+ * Snaps picked surface positions to the nearest vertex, edge midpoint or edge of the picked {@link Entity}.
+ *
+ * Used by {@link DistanceMeasurementsControl}, {@link AngleMeasurementsControl} and {@link AnnotationsPlugin}.
+ *
+ * Finds vertices and edges within a radius, in canvas pixels, around the picked position. Prefers vertices, then edge midpoints,
+ * then the nearest points on edges. Edges are the feature edges of the geometry, which for {@link PerformanceModel}s are
+ * the ones that it stores along with its readable geometry.
+ *
+ * Snapping needs the geometry arrays of the Entity, so only works for {@link PerformanceModel}s that were loaded with
+ * ````readableGeometry: true````, and for {@link Mesh}es that have {@link ReadableGeometry}s.
+ *
+ * Shows the snapped position with a {@link Dot}, colored by the kind of feature that was snapped to.
+ *
+ * @private
+ */
+class Snapper {
+
+    /**
+     * @private
+     */
+    constructor(viewer, cfg = {}) {
+
+        this._viewer = viewer;
+        this._container = cfg.container || document.body;
+
+        this.enabled = cfg.enabled;
+        this.radius = cfg.radius;
+
+        this._entity = null;
+        this._features = null;
+        this._indicator = null;
+
+        this._onObjectOffset = viewer.scene.on("objectOffset", (entity) => {
+            if (entity === this._entity) {
+                this._entity = null;
+                this._features = null;
+            }
+        });
+    }
+
+    /**
+     * Sets whether snapping is enabled.
+     *
+     * Default value is ````true````.
+     *
+     * @type {Boolean}
+     */
+    set enabled(value) {
+        this._enabled = (value !== false);
+        if (!this._enabled) {
+            this.hideIndicator();
+        }
+    }
+
+    /**
+     * Gets whether snapping is enabled.
+     *
+     * @type {Boolean}
+     */
+    get enabled() {
+        return this._enabled;
+    }
+
+    /**
+     * Sets the snapping radius, in canvas pixels.
+     *
+     * Default value is ````10````.
+     *
+     * @type {Number}
+     */
+    set radius(value) {
+        this._radius = (value !== undefined && value !== null && value > 0) ? value : 10;
+    }
+
+    /**
+     * Gets the snapping radius, in canvas pixels.
+     *
+     * @type {Number}
+     */
+    get radius() {
+        return this._radius;
+    }
+
+    /**
+     * Snaps a World-space position on the surface of an {@link Entity} to the Entity's nearest vertex, edge midpoint or edge.
+     *
+     * @param {Entity} entity The picked Entity.
+     * @param {Number[]} worldPos The picked World-space position on the Entity's surface.
+     * @param {Number[]} dest Receives the snapped World-space position, or a copy of ````worldPos```` if nothing is within the radius.
+     * @returns {String} The kind of feature that was snapped to - ````"vertex"````, ````"edgeMidpoint"```` or ````"edge"```` - or
+     * ````null```` if nothing is within the radius, or snapping is disabled.
+     */
+    snap(entity, worldPos, dest) {
+        dest[0] = worldPos[0];
+        dest[1] = worldPos[1];
+        dest[2] = worldPos[2];
+        if (!this._enabled || !entity) {
+            return null;
+        }
+        const features = this._getFeatures(entity);
+        if (!features) {
+            return null;
+        }
+        const radius = this._radius * this._getWorldPerPixel(worldPos);
+        const radiusSq = radius * radius;
+        const positions = features.positions;
+        const edges = features.edges;
+
+        // Vertices
+
+        let bestDistSq = radiusSq;
+        let bestIndex = -1;
+        for (let i = 0, len = positions.length; i < len; i += 3) {
+            const distSq = distSqVec3(positions, i, worldPos);
+            if (distSq <= bestDistSq) {
+                bestDistSq = distSq;
+                bestIndex = i;
+            }
+        }
+        if (bestIndex >= 0) {
+            dest[0] = positions[bestIndex];
+            dest[1] = positions[bestIndex + 1];
+            dest[2] = positions[bestIndex + 2];
+            return "vertex";
+        }
+
+        // Edge midpoints
+
+        bestDistSq = radiusSq;
+        bestIndex = -1;
+        for (let i = 0, len = edges.length; i < len; i += 2) {
+            getEdgeMidpoint(positions, edges[i] * 3, edges[i + 1] * 3, tempVec3a);
+            const distSq = distSqVec3(tempVec3a, 0, worldPos);
+            if (distSq <= bestDistSq) {
+                bestDistSq = distSq;
+                bestIndex = i;
+            }
+        }
+        if (bestIndex >= 0) {
+            getEdgeMidpoint(positions, edges[bestIndex] * 3, edges[bestIndex + 1] * 3, dest);
+            return "edgeMidpoint";
+        }
+
+        // Nearest points on edges
+
+        bestDistSq = radiusSq;
+        bestIndex = -1;
+        for (let i = 0, len = edges.length; i < len; i += 2) {
+            getClosestPointOnEdge(positions, edges[i] * 3, edges[i + 1] * 3, worldPos, tempVec3a);
+            const distSq = distSqVec3(tempVec3a, 0, worldPos);
+            if (distSq <= bestDistSq) {
+                bestDistSq = distSq;
+                bestIndex = i;
+            }
+        }
+        if (bestIndex >= 0) {
+            getClosestPointOnEdge(positions, edges[bestIndex] * 3, edges[bestIndex + 1] * 3, worldPos, dest);
+            return "edge";
+        }
+
+        return null;
+    }
+
+    /**
+     * Shows the snap indicator at the given World-space position.
+     *
+     * @param {Number[]} worldPos World-space position.
+     * @param {String} snapType Kind of feature snapped to, as returned by {@link Snapper#snap}. Hides the indicator when ````null````.
+     */
+    showIndicator(worldPos, snapType) {
+        if (!snapType) {
+            this.hideIndicator();
+            return;
+        }
+        if (!this._indicator) {
+            this._indicator = new Dot(this._container, {});
+        }
+        const scene = this._viewer.scene;
+        const camera = scene.camera;
+        tempVec4a[0] = worldPos[0];
+        tempVec4a[1] = worldPos[1];
+        tempVec4a[2] = worldPos[2];
+        tempVec4a[3] = 1.0;
+        math.transformPoint4(camera.viewMatrix, tempVec4a, tempVec4b);
+        math.transformPoint4(camera.project.matrix, tempVec4b, tempVec4a);
+        const offsets = scene.canvas.canvas.getBoundingClientRect();
+        const boundary = scene.canvas.boundary;
+        this._indicator.setPos(
+            offsets.left + Math.floor((1 + tempVec4a[0] / tempVec4a[3]) * boundary[2] / 2),
+            offsets.top + Math.floor((1 - tempVec4a[1] / tempVec4a[3]) * boundary[3] / 2));
+        this._indicator.setFillColor(SNAP_COLORS[snapType]);
+        this._indicator.setVisible(true);
+    }
+
+    /**
+     * Hides the snap indicator.
+     */
+    hideIndicator() {
+        if (this._indicator) {
+            this._indicator.setVisible(false);
+        }
+    }
+
+    /**
+     * Gets the size of a canvas pixel, in World-space units, at the given World-space position.
+     * @private
+     */
+    _getWorldPerPixel(worldPos) {
+        const scene = this._viewer.scene;
+        const camera = scene.camera;
+        const boundary = scene.canvas.boundary;
+        const canvasSize = Math.max(1, Math.min(boundary[2], boundary[3]));
+        if (camera.projection === "ortho") {
+            return camera.ortho.scale / canvasSize;
+        }
+        const distance = math.lenVec3(math.subVec3(worldPos, camera.eye, tempVec3b));
+        return 2 * distance * Math.tan((camera.perspective.fov * math.DEGTORAD) / 2) / canvasSize;
+    }
+
+    /**
+     * Gets the World-space vertex positions and edge indices of an {@link Entity}, caching them for the last Entity until it's offset.
+     * @private
+     */
+    _getFeatures(entity) {
+        if (this._entity === entity) {
+            return this._features;
+        }
+        this._entity = entity;
+        this._features = getEntityFeatures(entity);
+        return this._features;
+    }
+
+    /**
+     * @private
+     */
+    destroy() {
+        this._viewer.scene.off(this._onObjectOffset);
+        if (this._indicator) {
+            this._indicator.destroy();
+            this._indicator = null;
+        }
+        this._entity = null;
+        this._features = null;
+    }
+}
+
+function distSqVec3(positions, i, p) {
+    const x = positions[i] - p[0];
+    const y = positions[i + 1] - p[1];
+    const z = positions[i + 2] - p[2];
+    return x * x + y * y + z * z;
+}
+
+function getEdgeMidpoint(positions, i, j, dest) {
+    dest[0] = (positions[i] + positions[j]) / 2;
+    dest[1] = (positions[i + 1] + positions[j + 1]) / 2;
+    dest[2] = (positions[i + 2] + positions[j + 2]) / 2;
+    return dest;
+}
+
+function getClosestPointOnEdge(positions, i, j, p, dest) {
+    const dx = positions[j] - positions[i];
+    const dy = positions[j + 1] - positions[i + 1];
+    const dz = positions[j + 2] - positions[i + 2];
+    const lenSq = dx * dx + dy * dy + dz * dz;
+    let t = (lenSq > 0) ? ((p[0] - positions[i]) * dx + (p[1] - positions[i + 1]) * dy + (p[2] - positions[i + 2]) * dz) / lenSq : 0;
+    t = (t < 0) ? 0 : ((t > 1) ? 1 : t);
+    dest[0] = positions[i] + dx * t;
+    dest[1] = positions[i + 1] + dy * t;
+    dest[2] = positions[i + 2] + dz * t;
+    return dest;
+}
+
+/**
+ * Gets the World-space vertex positions and edge indices of the triangle meshes of an {@link Entity}, including its {@link Entity#offset}.
+ *
+ * @private
+ * @returns {{positions: Float64Array, edges: Uint32Array}} The positions and edges, or null if the Entity has no readable triangle geometry.
+ */
+function getEntityFeatures(entity) {
+    const meshes = getEntityMeshes(entity).meshes;
+    for (let i = 0, len = meshes.length; i < len; i++) {
+        const mesh = meshes[i];
+        if (!mesh.edgeIndices) {
+            mesh.edgeIndices = buildEdgeIndices(mesh.positions, mesh.indices, null, 10);
+        }
+    }
+    if (meshes.length === 0) {
+        return null;
+    }
+    const offset = entity.offset || ZERO_OFFSET;
+    let numPositions = 0;
+    let numEdgeIndices = 0;
+    for (let i = 0, len = meshes.length; i < len; i++) {
+        numPositions += meshes[i].positions.length;
+        numEdgeIndices += meshes[i].edgeIndices.length;
+    }
+    const worldPositions = new Float64Array(numPositions);
+    const edges = new Uint32Array(numEdgeIndices);
+    let p = 0;
+    let e = 0;
+    for (let i = 0, len = meshes.length; i < len; i++) {
+        const mesh = meshes[i];
+        const positions = mesh.positions;
+        const edgeIndices = mesh.edgeIndices;
+        const m = mesh.matrix;
+        const base = p / 3;
+        for (let j = 0, lenj = edgeIndices.length; j < lenj; j++) {
+            edges[e++] = base + edgeIndices[j];
+        }
+        for (let j = 0, lenj = positions.length; j < lenj; j += 3) {
+            const x = positions[j];
+            const y = positions[j + 1];
+            const z = positions[j + 2];
+            worldPositions[p++] = m[0] * x + m[4] * y + m[8] * z + m[12] + offset[0];
+            worldPositions[p++] = m[1] * x + m[5] * y + m[9] * z + m[13] + offset[1];
+            worldPositions[p++] = m[2] * x + m[6] * y + m[10] * z + m[14] + offset[2];
+        }
+    }
+    return {
+        positions: worldPositions,
+        edges: edges
+    };
+}
+
+export {Snapper};
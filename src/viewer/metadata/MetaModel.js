@@ -104,6 +104,14 @@ class MetaModel {
          * @type {MetaObject}
          */
         this.rootMetaObject = rootMetaObject;
+
+        /**
+         * The {@link PropertySet}s in this MetaModel, each mapped to its {@link PropertySet#id}.
+         *
+         * @property propertySets
+         * @type {{String:PropertySet}}
+         */
+        this.propertySets = {};
     }
 
     getJSON() {
@@ -120,6 +128,9 @@ class MetaModel {
             if (metaObject.parent) {
                 metaObjectCfg.parent = metaObject.parent.id;
             }
+            if (metaObject.propertySets.length > 0) {
+                metaObjectCfg.propertySetIds = metaObject.propertySets.map(propertySet => propertySet.id);
+            }
             metaObjects.push(metaObjectCfg);
             var children = metaObject.children;
             if (children) {
@@ -131,11 +142,20 @@ class MetaModel {
 
         visit(this.rootMetaObject);
 
+        var propertySets = [];
+
+        for (var propertySetId in this.propertySets) {
+            if (this.propertySets.hasOwnProperty(propertySetId)) {
+                propertySets.push(this.propertySets[propertySetId].getJSON());
+            }
+        }
+
         var json = {
             id: this.id,
             projectId: this.projectId,
             revisionId: this.revisionId,
-            metaObjects: metaObjects
+            metaObjects: metaObjects,
+            propertySets: propertySets
         };
         return json;
     }
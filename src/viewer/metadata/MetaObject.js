@@ -16,7 +16,7 @@
  */
 class MetaObject {
 
-    constructor(metaModel, id, name, type, properties, parent, children, external) {
+    constructor(metaModel, id, name, type, properties, parent, children, external, propertySets) {
 
         /**
          * Model metadata.
@@ -103,6 +103,31 @@ class MetaObject {
              */
             this.external = external;
         }
+
+        /**
+         * The {@link PropertySet}s associated with this MetaObject.
+         *
+         * Empty when there are no property sets.
+         *
+         * @property propertySets
+         * @type {PropertySet[]}
+         */
+        this.propertySets = propertySets || [];
+    }
+
+    /**
+     * Gets a {@link PropertySet} associated with this MetaObject by {@link PropertySet#name}.
+     *
+     * @param {String} name Name of the {@link PropertySet}, such as "Pset_WallCommon".
+     * @returns {PropertySet} The {@link PropertySet}, or undefined if not found.
+     */
+    getPropertySet(name) {
+        for (let i = 0, len = this.propertySets.length; i < len; i++) {
+            if (this.propertySets[i].name === name) {
+                return this.propertySets[i];
+            }
+        }
+        return undefined;
     }
 
     /**
@@ -188,7 +213,7 @@ class MetaObject {
     /**
      * Returns properties of this MeteObject as JSON.
      *
-     * @returns {{id: (String|Number), type: String, name: String, parent: (String|Number|Undefined)}}
+     * @returns {{id: (String|Number), type: String, name: String, parent: (String|Number|Undefined), propertySetIds: (Array|Undefined)}}
      */
     getJSON() {
         var json = {
@@ -199,6 +224,9 @@ class MetaObject {
         if (this.parent) {
             json.parent = this.parent.id
         }
+        if (this.propertySets.length > 0) {
+            json.propertySetIds = this.propertySets.map(propertySet => propertySet.id);
+        }
         return json;
     }
 }
@@ -1,11 +1,12 @@
 import {MetaModel} from "./MetaModel.js";
 import {MetaObject} from "./MetaObject.js";
+import {PropertySet} from "./PropertySet.js";
 
 /**
  * @desc Metadata corresponding to a {@link Scene}.
  *
  * * Located in {@link Viewer#metaScene}.
- * * Contains {@link MetaModel}s and {@link MetaObject}s.
+ * * Contains {@link MetaModel}s, {@link MetaObject}s and {@link PropertySet}s.
  * * [Scene Graphs user guide](https://github.com/xeokit/xeokit-sdk/wiki/Scene-Graphs)
  * * [Scene graph example with metadata](http://xeokit.github.io/xeokit-sdk/examples/#sceneRepresentation_SceneGraph_metadata)
  */
@@ -51,6 +52,16 @@ class MetaScene {
          */
         this.metaObjectsByType = {};
 
+        /**
+         * The {@link PropertySet}s belonging to this MetaScene, each mapped to its {@link PropertySet#id}.
+         *
+         * When {@link MetaModel}s have PropertySets with the same ID, this maps the ID to the PropertySet of the
+         * MetaModel that was created first. Each MetaModel's own PropertySets are in {@link MetaModel#propertySets}.
+         *
+         * @type {{String:PropertySet}}
+         */
+        this.propertySets = {};
+
         /**
          * Tracks number of MetaObjects of each type.
          * @private
@@ -121,6 +132,7 @@ class MetaScene {
         const projectId = metaModelData.projectId || "none";
         const revisionId = metaModelData.revisionId || "none";
         const newObjects = metaModelData.metaObjects;
+        const newPropertySets = metaModelData.propertySets;
         const author = metaModelData.author;
         const createdAt = metaModelData.createdAt;
         const creatingApplication = metaModelData.creatingApplication;
@@ -146,6 +158,17 @@ class MetaScene {
 
         this.metaModels[id] = metaModel;
 
+        if (newPropertySets) {
+            for (let i = 0, len = newPropertySets.length; i < len; i++) {
+                const newPropertySet = newPropertySets[i];
+                const propertySet = new PropertySet(metaModel, newPropertySet.id, newPropertySet.name, newPropertySet.type, newPropertySet.properties);
+                metaModel.propertySets[propertySet.id] = propertySet;
+                if (!this.propertySets[propertySet.id]) {
+                    this.propertySets[propertySet.id] = propertySet;
+                }
+            }
+        }
+
         for (let i = 0, len = newObjects.length; i < len; i++) {
             const newObject = newObjects[i];
             const type = newObject.type;
@@ -161,7 +184,16 @@ class MetaScene {
             const parent = null;
             const children = null;
             const external = newObject.external;
-            const metaObject = new MetaObject(metaModel, id, name, type, properties, parent, children, external);
+            const propertySets = [];
+            if (newObject.propertySetIds) {
+                for (let j = 0, lenj = newObject.propertySetIds.length; j < lenj; j++) {
+                    const propertySet = metaModel.propertySets[newObject.propertySetIds[j]];
+                    if (propertySet) {
+                        propertySets.push(propertySet);
+                    }
+                }
+            }
+            const metaObject = new MetaObject(metaModel, id, name, type, properties, parent, children, external, propertySets);
             this.metaObjects[id] = metaObject;
             (this.metaObjectsByType[type] || (this.metaObjectsByType[type] = {}))[id] = metaObject;
             if (this._typeCounts[type] === undefined) {
@@ -230,6 +262,19 @@ class MetaScene {
 
         visit(metaModel.rootMetaObject);
         delete this.metaModels[id];
+        for (let propertySetId in metaModel.propertySets) {
+            if (metaModel.propertySets.hasOwnProperty(propertySetId)) {
+                if (this.propertySets[propertySetId] === metaModel.propertySets[propertySetId]) {
+                    delete this.propertySets[propertySetId];
+                    for (let modelId in this.metaModels) { // Fall back on another MetaModel's PropertySet with the same ID
+                        if (this.metaModels.hasOwnProperty(modelId) && this.metaModels[modelId].propertySets[propertySetId]) {
+                            this.propertySets[propertySetId] = this.metaModels[modelId].propertySets[propertySetId];
+                            break;
+                        }
+                    }
+                }
+            }
+        }
         this.fire("metaModelDestroyed", id);
     }
 
@@ -0,0 +1,94 @@
+/**
+ * @desc A property within a {@link PropertySet}.
+ *
+ * A Property is created within {@link MetaScene#createMetaModel} and belongs to a {@link PropertySet}.
+ *
+ * @class Property
+ */
+class Property {
+
+    /**
+     * @private
+     */
+    constructor(name, value, type, valueType, unit, description) {
+
+        /**
+         * The name of this property.
+         *
+         * @property name
+         * @type {String}
+         */
+        this.name = name;
+
+        /**
+         * The type of this property - often an IFC property type, such as "IfcPropertySingleValue".
+         *
+         * @property type
+         * @type {String}
+         */
+        this.type = type;
+
+        /**
+         * The value of this property.
+         *
+         * @property value
+         * @type {*}
+         */
+        this.value = value;
+
+        /**
+         * The type of this property's value - often an IFC measure type, such as "IfcLengthMeasure" or "IfcLabel".
+         *
+         * Undefined when the value type is not known.
+         *
+         * @property valueType
+         * @type {String}
+         */
+        this.valueType = valueType;
+
+        /**
+         * The unit of this property's value, such as "m" or "m²".
+         *
+         * Undefined when the value has no unit.
+         *
+         * @property unit
+         * @type {String}
+         */
+        this.unit = unit;
+
+        /**
+         * Informative text to explain the property.
+         *
+         * Undefined when there is no description.
+         *
+         * @property description
+         * @type {String}
+         */
+        this.description = description;
+    }
+
+    /**
+     * Returns properties of this Property as JSON.
+     *
+     * @returns {{name: String, value: *, type: String, valueType: (String|Undefined), unit: (String|Undefined), description: (String|Undefined)}}
+     */
+    getJSON() {
+        const json = {
+            name: this.name,
+            value: this.value,
+            type: this.type
+        };
+        if (this.valueType !== undefined) {
+            json.valueType = this.valueType;
+        }
+        if (this.unit !== undefined) {
+            json.unit = this.unit;
+        }
+        if (this.description !== undefined) {
+            json.description = this.description;
+        }
+        return json;
+    }
+}
+
+export {Property};
@@ -0,0 +1,106 @@
+import {Property} from "./Property.js";
+
+/**
+ * @desc A set of properties associated with one or more {@link MetaObject}s.
+ *
+ * A PropertySet is created within {@link MetaScene#createMetaModel} and belongs to a {@link MetaModel}.
+ *
+ * Each PropertySet is registered by {@link PropertySet#id} in {@link MetaScene#propertySets} and {@link MetaModel#propertySets}.
+ *
+ * A PropertySet is often an IFC property set (Pset), which may be shared by many {@link MetaObject}s, each of which
+ * references it from {@link MetaObject#propertySets}.
+ *
+ * @class PropertySet
+ */
+class PropertySet {
+
+    /**
+     * @private
+     */
+    constructor(metaModel, id, name, type, properties) {
+
+        /**
+         * Model metadata.
+         *
+         * @property metaModel
+         * @type {MetaModel}
+         */
+        this.metaModel = metaModel;
+
+        /**
+         * Globally-unique ID for this PropertySet.
+         *
+         * PropertySet instances are registered by this ID in {@link MetaScene#propertySets} and {@link MetaModel#propertySets}.
+         *
+         * @property id
+         * @type {String|Number}
+         */
+        this.id = id;
+
+        /**
+         * Human-readable name of this PropertySet, such as "Pset_WallCommon".
+         *
+         * @property name
+         * @type {String}
+         */
+        this.name = name;
+
+        /**
+         * Type of this PropertySet - often an IFC type, such as "IfcPropertySet" or "IfcElementQuantity".
+         *
+         * @property type
+         * @type {String}
+         */
+        this.type = type;
+
+        /**
+         * Properties within this PropertySet.
+         *
+         * @property properties
+         * @type {Property[]}
+         */
+        this.properties = [];
+
+        if (properties) {
+            for (let i = 0, len = properties.length; i < len; i++) {
+                const property = properties[i];
+                this.properties.push(new Property(property.name, property.value, property.type, property.valueType, property.unit, property.description));
+            }
+        }
+    }
+
+    /**
+     * Gets a {@link Property} within this PropertySet by {@link Property#name}.
+     *
+     * @param {String} name Name of the {@link Property}.
+     * @returns {Property} The {@link Property}, or undefined if not found.
+     */
+    getProperty(name) {
+        for (let i = 0, len = this.properties.length; i < len; i++) {
+            if (this.properties[i].name === name) {
+                return this.properties[i];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns properties of this PropertySet as JSON.
+     *
+     * @returns {{id: (String|Number), name: String, type: String, properties: Array}}
+     */
+    getJSON() {
+        const properties = [];
+        for (let i = 0, len = this.properties.length; i < len; i++) {
+            properties.push(this.properties[i].getJSON());
+        }
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            properties: properties
+        };
+    }
+}
+
+export {PropertySet};
@@ -13,6 +13,7 @@ const tempVec3b = math.vec3();
 const tempVec3c = math.vec3();
 const zeroVec = math.vec3([0, -1, 0]);
 const tempQuat = math.vec4([0, 0, 0, 1]);
+const tempMat4 = math.identityMat4();
 
 /**
  *  @desc A plane-shaped 3D object containing a bitmap image.
@@ -149,6 +150,8 @@ class ImagePlane extends Component {
      * ````ImagePlane```` sets its aspect ratio to match its image. If we set a value of ````1000````, and the image
      * has size ````400x300````, then the ````ImagePlane```` will then have size ````1000 x 750````.
      * @param {Number[]} [cfg.rotation=[0,0,0]] Local rotation of the ````ImagePlane````, as Euler angles given in degrees, for each of the X, Y and Z axis.
+     * @param {Number[]} [cfg.dir] Direction vector of the ````ImagePlane````. The image faces the opposite way, towards viewers looking along this direction.
+     * @param {Number[]} [cfg.up] World-space direction of the top edge of the image, used together with ````dir```` to orient the ````ImagePlane````. When not given, the ````ImagePlane```` is rotated the shortest way onto ````dir````.
      * @param {Number[]} [cfg.matrix=[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1]] Modelling transform matrix for the ````ImagePlane````. Overrides the ````position````, ````size```, ````rotation```` and ````dir```` parameters.
      * @param {Boolean} [cfg.collidable=true] Indicates if the ````ImagePlane```` is initially included in boundary calculations.
      * @param {Boolean} [cfg.clippable=true] Indicates if the ````ImagePlane```` is initially clippable.
@@ -164,6 +167,8 @@ class ImagePlane extends Component {
         this._src = null;
         this._image = null;
         this._dir = math.vec3();
+        this._dirSet = false;
+        this._up = null;
         this._size = 1.0;
         this._imageSize = math.vec2();
 
@@ -221,6 +226,7 @@ class ImagePlane extends Component {
         this.gridVisible = cfg.gridVisible;
         this.position = cfg.position;
         this.rotation = cfg.rotation;
+        this.up = cfg.up;
         this.dir = cfg.dir;
         this.size = cfg.size;
         this.collidable = cfg.collidable;
@@ -426,6 +432,7 @@ class ImagePlane extends Component {
     set dir(dir) {
 
         this._dir.set(dir || [0, 0, -1]);
+        this._dirSet = !!dir;
 
         if (dir) {
 
@@ -438,7 +445,12 @@ class ImagePlane extends Component {
 
             math.normalizeVec3(negDir);
             math.mulVec3Scalar(negDir, dist, tempVec3b);
-            math.vec3PairToQuaternion(zeroVec, dir, tempQuat);
+
+            if (this._up) {
+                this._getDirUpQuaternion(negDir, this._up, tempQuat);
+            } else {
+                math.vec3PairToQuaternion(zeroVec, this._dir, tempQuat);
+            }
 
             // tempVec3c[0] = tempVec3b[0] * 0.1;
             // tempVec3c[1] = tempVec3b[1] * 0.1;
@@ -458,6 +470,32 @@ class ImagePlane extends Component {
         return this._dir;
     }
 
+    /**
+     * Sets the World-space direction of the top edge of this ````ImagePlane````'s image.
+     *
+     * Used together with {@link ImagePlane#dir} to orient the ````ImagePlane````, so that the image is not only
+     * facing the right way, but is also the right way up. Ignored while {@link ImagePlane#dir} is not set.
+     *
+     * Default value is ````null````.
+     *
+     * @param {Number[]} up New up vector.
+     */
+    set up(up) {
+        this._up = up ? math.vec3(up) : null;
+        if (this._dirSet) {
+            this.dir = this._dir;
+        }
+    }
+
+    /**
+     * Gets the World-space direction of the top edge of this ````ImagePlane````'s image.
+     *
+     * @returns {Number[]} Current up vector, or ````null```` if not set.
+     */
+    get up() {
+        return this._up;
+    }
+
     /**
      * Sets if this ````ImagePlane```` is included in boundary calculations.
      *
@@ -566,9 +604,27 @@ class ImagePlane extends Component {
         if (width > height) {
             this._node.scale = [size, 1.0, size * aspect];
         } else {
-            this._node.scale = [size * aspect, 1.0, size];
+            this._node.scale = [size / aspect, 1.0, size];
         }
     }
+
+    _getDirUpQuaternion(normal, up, quaternion) { // Rotates local +Y onto the normal, and local -Z onto the up vector
+        const n = math.normalizeVec3(normal, tempVec3);
+        const u = math.subVec3(up, math.mulVec3Scalar(n, math.dotVec3(up, n), tempVec3b), tempVec3b);
+        math.normalizeVec3(u);
+        const x = math.cross3Vec3(u, n, tempVec3c);
+        const m = tempMat4;
+        m[0] = x[0];
+        m[1] = x[1];
+        m[2] = x[2];
+        m[4] = n[0];
+        m[5] = n[1];
+        m[6] = n[2];
+        m[8] = -u[0];
+        m[9] = -u[1];
+        m[10] = -u[2];
+        return math.mat4ToQuaternion(m, quaternion);
+    }
 }
 
 export {ImagePlane};
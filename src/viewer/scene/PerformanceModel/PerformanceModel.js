@@ -7,7 +7,9 @@ import {PerformanceNode} from './lib/PerformanceNode.js';
 import {getBatchingLayerScratchMemory} from "./lib/batching/BatchingLayerScratchMemory.js";
 import {BatchingLayer} from './lib/batching/BatchingLayer.js';
 import {InstancingLayer} from './lib/instancing/InstancingLayer.js';
+import {PointsBatchingLayer} from './lib/pointsBatching/PointsBatchingLayer.js';
 import {RENDER_FLAGS} from './lib/renderFlags.js';
+import {Texture} from "../materials/Texture.js";
 import {utils} from "../../../viewer/scene/utils.js";
 
 const instancedArraysSupported = WEBGL_INFO.SUPPORTED_EXTENSIONS["ANGLE_instanced_arrays"];
@@ -60,6 +62,9 @@ class PerformanceModel extends Component {
      * @param {Boolean} [cfg.saoEnabled=true] Indicates if Scalable Ambient Obscurance (SAO) will apply to this PerformanceModel. SAO is configured by the Scene's {@link SAO} component.
      * @param {Boolean} [cfg.backfaces=false] Indicates if backfaces are visible.
      * @param {Number} [cfg.edgeThreshold=10] When xraying, highlighting, selecting or edging, this is the threshold angle between normals of adjacent triangles, below which their shared wireframe edge is not drawn.
+     * @param {Number} [cfg.pointSize=1] Size of the points in meshes that have the ````"points"```` primitive. See {@link PerformanceModel#pointSize}.
+     * @param {String} [cfg.pointSizeMode="screen"] How ````pointSize```` is measured - ````"screen"```` for pixels, or ````"world"```` for World-space units. See {@link PerformanceModel#pointSizeMode}.
+     * @param {Boolean} [cfg.readableGeometry=false] Set ````true```` to keep the geometry arrays of each mesh in browser memory, so that they can be read back later, eg. by {@link GLTFExporterPlugin}. This uses more memory, so is disabled by default.
      */
     constructor(owner, cfg = {}) {
 
@@ -67,16 +72,23 @@ class PerformanceModel extends Component {
 
         this._aabb = math.collapseAABB3();
         this._aabbDirty = false;
-        this._layerList = []; // For GL state efficiency when drawing, InstancingLayers are in first part, BatchingLayers are in second
+        this._layerList = []; // For GL state efficiency when drawing, InstancingLayers are in first part, BatchingLayers are in second - see _sortLayers()
         this._nodeList = [];
+        this._numFinalizedNodes = 0;
         this._lastDecodeMatrix = null;
+        this._lastTextureId = null;
 
         this._instancingLayers = {};
         this._currentBatchingLayer = null;
+        this._currentPointsBatchingLayer = null;
+        this._pointsGeometries = {};
+        this._readableGeometry = !!cfg.readableGeometry;
+        this._readableGeometries = {};
         this._batchingScratchMemory = getBatchingLayerScratchMemory(this);
 
         this._meshes = {};
         this._nodes = {};
+        this._textures = {};
 
         /**
          * @private
@@ -154,6 +166,9 @@ class PerformanceModel extends Component {
 
         this.backfaces = cfg.backfaces;
 
+        this.pointSize = cfg.pointSize;
+        this.pointSizeMode = cfg.pointSizeMode;
+
         // Build static matrix
 
         this._position = new Float32Array(cfg.position || [0, 0, 0]);
@@ -326,6 +341,50 @@ class PerformanceModel extends Component {
         return this._viewNormalMatrix;
     }
 
+    /**
+     * Creates a texture within this PerformanceModel.
+     *
+     * We can then supply the texture ID to {@link PerformanceModel#createGeometry} and {@link PerformanceModel#createMesh}
+     * when we want to create geometries and meshes that are colored by the texture. The texture's pixel
+     * colors are multiplied by the geometry or mesh color, and mapped onto its surface using its ````uv```` coordinates.
+     *
+     * @param {*} cfg Texture properties.
+     * @param {String|Number} cfg.id Mandatory ID for the texture, to refer to with {@link PerformanceModel#createGeometry} and {@link PerformanceModel#createMesh}.
+     * @param {String} [cfg.src] Path to an image file to load into the texture.
+     * @param {HTMLImageElement} [cfg.image] HTML Image object to load into the texture, as an alternative to ````src````.
+     * @param {String} [cfg.minFilter="linearMipmapLinear"] How the texture is sampled when a texel covers less than one pixel. See {@link Texture#minFilter}.
+     * @param {String} [cfg.magFilter="linear"] How the texture is sampled when a texel covers more than one pixel. See {@link Texture#magFilter}.
+     * @param {String} [cfg.wrapS="repeat"] Wrap parameter for texture coordinate *S*. See {@link Texture#wrapS}.
+     * @param {String} [cfg.wrapT="repeat"] Wrap parameter for texture coordinate *T*. See {@link Texture#wrapT}.
+     * @param {Boolean} [cfg.flipY=false] Flips the texture's source data along its vertical axis when true.
+     * @returns {Texture} The new texture, which fires a "loaded" event once it has loaded the image at ````src````.
+     */
+    createTexture(cfg) {
+        const textureId = cfg.id;
+        if (textureId === undefined || textureId === null) {
+            this.error("Config missing: id");
+            return;
+        }
+        if (this._textures[textureId]) {
+            this.error("Texture already created: " + textureId);
+            return;
+        }
+        if (!cfg.src && !cfg.image) {
+            this.error("Config missing: src or image");
+            return;
+        }
+        this._textures[textureId] = new Texture(this, { // Texture IDs are local to this PerformanceModel
+            src: cfg.src,
+            image: cfg.image,
+            minFilter: cfg.minFilter,
+            magFilter: cfg.magFilter,
+            wrapS: cfg.wrapS,
+            wrapT: cfg.wrapT,
+            flipY: cfg.flipY
+        });
+        return this._textures[textureId];
+    }
+
     /**
      * Creates a reusable geometry within this PerformanceModel.
      *
@@ -335,34 +394,57 @@ class PerformanceModel extends Component {
      * that the ````positions```` and ````normals```` arrays are compressed. When compressed, ````positions```` will be
      * quantized and in World-space, and ````normals```` will be oct-encoded and in World-space.
      *
-     * Note that ````positions````, ````normals```` and ````indices```` are all required together.
+     * Note that ````positions````, ````normals```` and ````indices```` are all required together, except when ````primitive````
+     * is ````"points"````, in which case only ````positions```` is required. Meshes that use a ````"points"```` geometry each
+     * get their own copy of its points, batched together with the points of other meshes, instead of instancing it.
      *
      * @param {*} cfg Geometry properties.
      * @param {String|Number} cfg.id Mandatory ID for the geometry, to refer to with {@link PerformanceModel#createMesh}.
      * @param {String} [cfg.primitive="triangles"] The primitive type. Accepted values are 'points', 'lines', 'line-loop', 'line-strip', 'triangles', 'triangle-strip' and 'triangle-fan'.
      * @param {Number[]} cfg.positions Flat array of positions.
      * @param {Number[]} cfg.normals Flat array of normal vectors.
+     * @param {Number[]} [cfg.uv] Flat array of UV coordinates. Required when ````textureId```` is given.
      * @param {Number[]} cfg.indices Array of triangle indices.
      * @param {Number[]} [cfg.edgeIndices] Array of edge line indices. These are automatically generated internally if not supplied, using the ````edgeThreshold```` given to the ````PerformanceModel```` constructor.
      * @param {Number[]} [cfg.positionsDecodeMatrix] A 4x4 matrix for decompressing ````positions````.
+     * @param {String|Number} [cfg.textureId] ID of a texture previously created with {@link PerformanceModel#createTexture}, to color the geometry with.
+     * @param {Number[]} [cfg.colors] Flat array of RGBA colors in range ````[0..1]````, one for each point, when ````primitive```` is ````"points"````.
+     * @param {Number[]} [cfg.colorsCompressed] Flat array of RGBA colors in range ````[0..255]````, one for each point, when ````primitive```` is ````"points"````. Overrides ````colors````.
      */
     createGeometry(cfg) {
-        if (!instancedArraysSupported) {
-            this.error("WebGL instanced arrays not supported"); // TODO: Gracefully use batching?
-            return;
-        }
         const geometryId = cfg.id;
         if (geometryId === undefined || geometryId === null) {
             this.error("Config missing: id");
             return;
         }
-        if (this._instancingLayers[geometryId]) {
+        if (this._instancingLayers[geometryId] || this._pointsGeometries[geometryId]) {
             this.error("Geometry already created: " + geometryId);
             return;
         }
-        const instancingLayer = new InstancingLayer(this, utils.apply({edgeThreshold: this._edgeThreshold}, cfg));
+        if (cfg.primitive === "points") {
+            if (!cfg.positions) {
+                this.error("Config missing: positions");
+                return;
+            }
+            // Point geometries are not instanced - each mesh that uses one gets its own copy of the points, batched with the points of other meshes
+            this._pointsGeometries[geometryId] = cfg;
+            return;
+        }
+        if (!instancedArraysSupported) {
+            this.error("WebGL instanced arrays not supported"); // TODO: Gracefully use batching?
+            return;
+        }
+        const texture = this._getTexture(cfg.textureId, cfg.uv);
+        const instancingLayer = new InstancingLayer(this, utils.apply({
+            edgeThreshold: this._edgeThreshold,
+            texture: texture
+        }, cfg));
         this._instancingLayers[geometryId] = instancingLayer;
         this._layerList.push(instancingLayer);
+        if (this._readableGeometry) {
+            const edgeIndices = cfg.edgeIndices || (cfg.indices ? buildEdgeIndices(cfg.positions, cfg.indices, cfg.positionsDecodeMatrix, this._edgeThreshold) : null);
+            this._readableGeometries[geometryId] = getReadableGeometry(cfg, edgeIndices);
+        }
         this.numGeometries++;
         this._numTriangles += (cfg.indices ? Math.round(cfg.indices.length / 3) : 0);
     }
@@ -388,7 +470,12 @@ class PerformanceModel extends Component {
      * changes. Therefore, to combine arrays into the minimum number of batches, it's best for performance to create
      * your shared meshes in runs that have the value for ````positionsDecodeMatrix````.
      *
-     * Note that ````positions````, ````normals```` and ````indices```` are all required together.
+     * Note that ````positions````, ````normals```` and ````indices```` are all required together, except when ````primitive````
+     * is ````"points"````, in which case only ````positions```` is required, and each position is rendered as a point of
+     * the size given by {@link PerformanceModel#pointSize}, optionally with its own color given in ````colors```` or ````colorsCompressed````.
+     * When picking a point with {@link Scene#pick}, with ````pickSurface```` set ````true````, the {@link PickResult} will
+     * have {@link PickResult#primitive} set to ````"point"````, and {@link PickResult#primIndex} set to the index of
+     * the point within the mesh's ````positions````.
      *
      * @param {object} cfg Object properties.
      * @param {String} cfg.id Mandatory ID for the new mesh. Must not clash with any existing components within the {@link Scene}.
@@ -396,6 +483,9 @@ class PerformanceModel extends Component {
      * @param {String} [cfg.primitive="triangles"]  Geometry primitive type. Ignored when ````geometryId```` is given. Accepted values are 'points', 'lines', 'line-loop', 'line-strip', 'triangles', 'triangle-strip' and 'triangle-fan'.
      * @param {Number[]} [cfg.positions] Flat array of geometry positions. Ignored when ````geometryId```` is given.
      * @param {Number[]} [cfg.normals] Flat array of normal vectors. Ignored when ````geometryId```` is given.
+     * @param {Number[]} [cfg.uv] Flat array of UV coordinates. Required when ````textureId```` is given. Ignored when ````geometryId```` is given.
+     * @param {Number[]} [cfg.colors] Flat array of RGBA colors in range ````[0..1]````, one for each point, when ````primitive```` is ````"points"````. Ignored when ````geometryId```` is given.
+     * @param {Number[]} [cfg.colorsCompressed] Flat array of RGBA colors in range ````[0..255]````, one for each point, when ````primitive```` is ````"points"````. Overrides ````colors````. Ignored when ````geometryId```` is given.
      * @param {Number[]} [cfg.positionsDecodeMatrix] A 4x4 matrix for decompressing ````positions````.
      * @param {Number[]} [cfg.indices] Array of triangle indices. Ignored when ````geometryId```` is given.
      * @param {Number[]} [cfg.edgeIndices] Array of edge line indices. If ````geometryId```` is not given, edge line indices are
@@ -407,6 +497,7 @@ class PerformanceModel extends Component {
      * @param {Number[]} [cfg.matrix=[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1]] Mesh modelling transform matrix. Overrides the ````position````, ````scale```` and ````rotation```` parameters.
      * @param {Number[]} [cfg.color=[1,1,1]] RGB color in range ````[0..1, 0..`, 0..1]````.
      * @param {Number} [cfg.opacity=1] Opacity in range ````[0..1]````.
+     * @param {String|Number} [cfg.textureId] ID of a texture previously created with {@link PerformanceModel#createTexture}, to color the mesh with. Ignored when ````geometryId```` is given.
      */
     createMesh(cfg) {
 
@@ -421,7 +512,9 @@ class PerformanceModel extends Component {
         }
 
         const geometryId = cfg.geometryId;
-        const instancing = (geometryId !== undefined);
+        const pointsGeometry = (geometryId !== undefined) ? this._pointsGeometries[geometryId] : null;
+        const instancing = (geometryId !== undefined) && (!pointsGeometry);
+        const points = (!!pointsGeometry) || (!instancing && cfg.primitive === "points");
 
         if (instancing) {
             if (!instancedArraysSupported) {
@@ -478,10 +571,96 @@ class PerformanceModel extends Component {
             portionId = instancingLayer.createPortion(flags, color, opacity, meshMatrix, worldMatrix, aabb, pickColor);
             math.expandAABB3(this._aabb, aabb);
 
+            if (this._readableGeometry) {
+                mesh.geometry = this._readableGeometries[geometryId];
+                mesh.matrix = math.mat4(meshMatrix);
+            }
+
             const numTriangles = Math.round(instancingLayer.numIndices / 3);
             this._numTriangles += numTriangles;
             mesh.numTriangles = numTriangles;
 
+        } else if (points) { // Batched points
+
+            const pointsCfg = pointsGeometry || cfg;
+            const positions = pointsCfg.positions;
+
+            if (!positions) {
+                this.error("Config missing: positions (no geometryId provided, so expecting geometry arrays instead)");
+                return null;
+            }
+
+            const positionsDecodeMatrix = pointsCfg.positionsDecodeMatrix;
+
+            let pointColors = null;
+
+            if (pointsCfg.colorsCompressed) {
+                pointColors = pointsCfg.colorsCompressed;
+            } else if (pointsCfg.colors) {
+                const colors = pointsCfg.colors;
+                pointColors = new Uint8Array(colors.length);
+                for (let i = 0, len = colors.length; i < len; i++) {
+                    pointColors[i] = Math.floor(colors[i] * 255);
+                }
+            }
+
+            // Start a new batch when the current one is full, or when positionsDecodeMatrix changes
+
+            if (this._currentPointsBatchingLayer) {
+                const layerDecodeMatrix = this._currentPointsBatchingLayer._positionsDecodeMatrix;
+                const sameDecodeMatrix = (!layerDecodeMatrix && !positionsDecodeMatrix) || (layerDecodeMatrix && positionsDecodeMatrix && math.compareMat4(layerDecodeMatrix, positionsDecodeMatrix));
+                if (!sameDecodeMatrix || !this._currentPointsBatchingLayer.canCreatePortion(positions.length)) {
+                    this._currentPointsBatchingLayer.finalize();
+                    this._currentPointsBatchingLayer = null;
+                }
+            }
+
+            if (!this._currentPointsBatchingLayer) {
+                this._currentPointsBatchingLayer = new PointsBatchingLayer(this, {
+                    scratchMemory: this._batchingScratchMemory,
+                    positionsDecodeMatrix: positionsDecodeMatrix ? math.mat4(positionsDecodeMatrix) : null
+                });
+                this._layerList.push(this._currentPointsBatchingLayer);
+            }
+
+            layer = this._currentPointsBatchingLayer;
+
+            let meshMatrix;
+            let worldMatrix = this._worldMatrixNonIdentity ? this._worldMatrix : null;
+
+            if (!positionsDecodeMatrix) {
+                if (cfg.matrix) {
+                    meshMatrix = cfg.matrix;
+                } else {
+                    const scale = cfg.scale || defaultScale;
+                    const position = cfg.position || defaultPosition;
+                    const rotation = cfg.rotation || defaultRotation;
+                    math.eulerToQuaternion(rotation, "XYZ", defaultQuaternion);
+                    meshMatrix = math.composeMat4(position, defaultQuaternion, scale, tempMat4);
+                }
+            }
+
+            portionId = layer.createPortion(positions, pointColors, flags, color, opacity, meshMatrix, worldMatrix, aabb, pickColor);
+
+            math.expandAABB3(this._aabb, aabb);
+
+            mesh.numPoints = positions.length / 3;
+
+            if (this._readableGeometry) {
+                mesh.geometry = {
+                    primitive: "points",
+                    positions: positions,
+                    positionsDecodeMatrix: positionsDecodeMatrix || null,
+                    normals: null,
+                    indices: null,
+                    edgeIndices: null,
+                    colors: pointColors
+                };
+                mesh.matrix = meshMatrix ? math.mat4(meshMatrix) : null;
+            }
+
+            this.numGeometries++;
+
         } else { // Batching
 
             var primitive = cfg.primitive || "triangles";
@@ -527,6 +706,19 @@ class PerformanceModel extends Component {
                 }
             }
 
+            // Each BatchingLayer has at most one texture, so start a new batch whenever the texture changes
+
+            const texture = this._getTexture(cfg.textureId, cfg.uv);
+            const textureId = texture ? cfg.textureId : null;
+
+            if (textureId !== this._lastTextureId) {
+                if (this._currentBatchingLayer) {
+                    this._currentBatchingLayer.finalize();
+                    this._currentBatchingLayer = null;
+                }
+                this._lastTextureId = textureId;
+            }
+
             if (this._currentBatchingLayer) {
                 if (!this._currentBatchingLayer.canCreatePortion(positions.length, indices.length)) {
                     this._currentBatchingLayer.finalize();
@@ -540,6 +732,7 @@ class PerformanceModel extends Component {
                     primitive: "triangles",
                     scratchMemory: this._batchingScratchMemory,
                     positionsDecodeMatrix: cfg.positionsDecodeMatrix,
+                    texture: texture
                 });
                 this._layerList.push(this._currentBatchingLayer);
             }
@@ -566,10 +759,15 @@ class PerformanceModel extends Component {
                 }
             }
 
-            portionId = this._currentBatchingLayer.createPortion(positions, normals, indices, edgeIndices, flags, color, opacity, meshMatrix, worldMatrix, aabb, pickColor);
+            portionId = this._currentBatchingLayer.createPortion(positions, normals, cfg.uv, indices, edgeIndices, flags, color, opacity, meshMatrix, worldMatrix, aabb, pickColor);
 
             math.expandAABB3(this._aabb, aabb);
 
+            if (this._readableGeometry) {
+                mesh.geometry = getReadableGeometry(cfg, edgeIndices);
+                mesh.matrix = meshMatrix ? math.mat4(meshMatrix) : null;
+            }
+
             this.numGeometries++;
 
             const numTriangles = Math.round(indices.length / 3);
@@ -585,6 +783,22 @@ class PerformanceModel extends Component {
         this._meshes[id] = mesh;
     }
 
+    _getTexture(textureId, uv) {
+        if (textureId === undefined || textureId === null) {
+            return null;
+        }
+        const texture = this._textures[textureId];
+        if (!texture) {
+            this.error("Texture not found: " + textureId + " - ensure that you create it first with createTexture()");
+            return null;
+        }
+        if (!uv) {
+            this.error("Config missing: uv (expected with textureId) - ignoring texture");
+            return null;
+        }
+        return texture;
+    }
+
     /**
      * Creates an {@link Entity} within this PerformanceModel, giving it one or more meshes previously created with {@link PerformanceModel#createMesh}.
      *
@@ -694,26 +908,79 @@ class PerformanceModel extends Component {
      *
      * Immediately creates the PerformanceModel's {@link Entity}s within the {@link Scene}.
      *
-     * Once finalized, you can't add anything more to this PerformanceModel.
+     * We can continue creating geometries, meshes and entities after finalizing, then finalize again to create
+     * those, which allows us to load a PerformanceModel progressively. However, we can't create more meshes that
+     * instance geometries that were created before the previous finalization.
      */
     finalize() {
         if (this._currentBatchingLayer) {
             this._currentBatchingLayer.finalize();
             this._currentBatchingLayer = null;
         }
+        if (this._currentPointsBatchingLayer) {
+            this._currentPointsBatchingLayer.finalize();
+            this._currentPointsBatchingLayer = null;
+        }
         for (const geometryId in this._instancingLayers) {
             if (this._instancingLayers.hasOwnProperty(geometryId)) {
-                this._instancingLayers[geometryId].finalize();
+                const instancingLayer = this._instancingLayers[geometryId];
+                if (!instancingLayer._finalized) {
+                    instancingLayer.finalize();
+                }
             }
         }
-        for (var i = 0, len = this._nodeList.length; i < len; i++) {
+        for (var i = this._numFinalizedNodes, len = this._nodeList.length; i < len; i++) {
             const node = this._nodeList[i];
             node._finalize();
         }
+        this._numFinalizedNodes = this._nodeList.length;
+        this._sortLayers();
+        this._aabbDirty = true;
         this.glRedraw();
         this.scene._aabbDirty = true;
     }
 
+    /**
+     * Sorts the layers for GL state efficiency when drawing.
+     *
+     * Each finalization appends the layers it created after those of earlier finalizations, so we sort them again
+     * to keep InstancingLayers first, then BatchingLayers, with those that share a texture together, then PointsBatchingLayers.
+     *
+     * @private
+     */
+    _sortLayers() {
+        const textureIndices = new Map();
+        const getTextureIndex = (layer) => {
+            const textureState = layer._state.textureState;
+            if (!textureState) {
+                return -1;
+            }
+            if (!textureIndices.has(textureState)) {
+                textureIndices.set(textureState, textureIndices.size);
+            }
+            return textureIndices.get(textureState);
+        };
+        const getTypeIndex = (layer) => {
+            if (layer instanceof InstancingLayer) {
+                return 0;
+            }
+            if (layer instanceof BatchingLayer) {
+                return 1;
+            }
+            return 2;
+        };
+        const keys = new Map();
+        for (let i = 0, len = this._layerList.length; i < len; i++) {
+            const layer = this._layerList[i];
+            keys.set(layer, [getTypeIndex(layer), getTextureIndex(layer), i]);
+        }
+        this._layerList.sort((a, b) => {
+            const keyA = keys.get(a);
+            const keyB = keys.get(b);
+            return (keyA[0] - keyB[0]) || (keyA[1] - keyB[1]) || (keyA[2] - keyB[2]);
+        });
+    }
+
     //------------------------------------------------------------------------------------------------------------------
     // PerformanceModel members
     //------------------------------------------------------------------------------------------------------------------
@@ -742,6 +1009,76 @@ class PerformanceModel extends Component {
         return this._backfaces;
     }
 
+    /**
+     * Sets the size of the points in meshes that have the ````"points"```` primitive.
+     *
+     * This is in pixels when {@link PerformanceModel#pointSizeMode} is ````"screen"````, or in World-space
+     * units when {@link PerformanceModel#pointSizeMode} is ````"world"````.
+     *
+     * Default is ````1````.
+     *
+     * @type {Number}
+     */
+    set pointSize(pointSize) {
+        this._pointSize = (pointSize !== undefined && pointSize !== null) ? pointSize : 1;
+        this.glRedraw();
+    }
+
+    /**
+     * Gets the size of the points in meshes that have the ````"points"```` primitive.
+     *
+     * Default is ````1````.
+     *
+     * @type {Number}
+     */
+    get pointSize() {
+        return this._pointSize;
+    }
+
+    /**
+     * Sets how {@link PerformanceModel#pointSize} is measured.
+     *
+     * Accepted values are:
+     *
+     * * ````"screen"```` - points have a fixed size in pixels, regardless of their distance from the {@link Camera}, and
+     * * ````"world"```` - points have a size in World-space units, so that they get smaller with distance from a perspective {@link Camera}.
+     *
+     * Default is ````"screen"````.
+     *
+     * @type {String}
+     */
+    set pointSizeMode(pointSizeMode) {
+        pointSizeMode = pointSizeMode || "screen";
+        if (pointSizeMode !== "screen" && pointSizeMode !== "world") {
+            this.error(`Unsupported value for 'pointSizeMode': '${pointSizeMode}' - supported values are 'screen' and 'world'. Defaulting to 'screen'.`);
+            pointSizeMode = "screen";
+        }
+        this._pointSizeMode = pointSizeMode;
+        this.glRedraw();
+    }
+
+    /**
+     * Gets how {@link PerformanceModel#pointSize} is measured.
+     *
+     * Default is ````"screen"````.
+     *
+     * @type {String}
+     */
+    get pointSizeMode() {
+        return this._pointSizeMode;
+    }
+
+    /**
+     * Gets if this PerformanceModel keeps the geometry arrays of its meshes in browser memory, so that they can be read back.
+     *
+     * This is set by the ````readableGeometry```` constructor parameter.
+     *
+     * @type {Boolean}
+     */
+    get readableGeometry() {
+        return this._readableGeometry;
+    }
+
     /**
      * Gets the list of {@link Entity}s within this PerformanceModel.
      *
@@ -1567,6 +1904,10 @@ class PerformanceModel extends Component {
             this._currentBatchingLayer.destroy();
             this._currentBatchingLayer = null;
         }
+        if (this._currentPointsBatchingLayer) {
+            this._currentPointsBatchingLayer.destroy();
+            this._currentPointsBatchingLayer = null;
+        }
         this.scene.camera.off(this._onCameraViewMatrix);
         for (let i = 0, len = this._layerList.length; i < len; i++) {
             this._layerList[i].destroy();
@@ -1574,6 +1915,7 @@ class PerformanceModel extends Component {
         for (let i = 0, len = this._nodeList.length; i < len; i++) {
             this._nodeList[i]._destroy();
         }
+        this._readableGeometries = {};
         this.scene._aabbDirty = true;
         if (this._isModel) {
             this.scene._deregisterModel(this);
@@ -1582,4 +1924,20 @@ class PerformanceModel extends Component {
     }
 }
 
+/**
+ * Gets the geometry arrays of a mesh or geometry config, to keep for reading back.
+ * @private
+ */
+function getReadableGeometry(cfg, edgeIndices) {
+    return {
+        primitive: cfg.primitive || "triangles",
+        positions: cfg.positions,
+        positionsDecodeMatrix: cfg.positionsDecodeMatrix ? math.mat4(cfg.positionsDecodeMatrix) : null,
+        normals: cfg.normals || null,
+        indices: cfg.indices || null,
+        edgeIndices: edgeIndices || null,
+        colors: null
+    };
+}
+
 export {PerformanceModel};
\ No newline at end of file
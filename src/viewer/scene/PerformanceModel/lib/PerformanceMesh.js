@@ -69,6 +69,31 @@ class PerformanceMesh {
          */
         this.aabb = math.AABB3();
 
+        /**
+         * Geometry arrays of this PerformanceModelMesh, which are only kept when the PerformanceModel
+         * was created with ````readableGeometry: true````, otherwise ````null````.
+         *
+         * Contains ````primitive````, ````positions````, ````normals````, ````indices````, ````edgeIndices```` and ````colors```` (for points). When it also
+         * has a ````positionsDecodeMatrix````, then ````positions```` are quantized and ````normals```` are oct-encoded.
+         *
+         * Geometry arrays may be shared with other PerformanceModelMeshes that instance the same geometry.
+         *
+         * @property geometry
+         * @type {Object}
+         * @final
+         */
+        this.geometry = null;
+
+        /**
+         * Modeling transform matrix of this PerformanceModelMesh, relative to its PerformanceModel, which is only kept
+         * along with {@link PerformanceMesh#geometry}. When ````null````, the geometry positions are already relative to the PerformanceModel.
+         *
+         * @property matrix
+         * @type {Number[]}
+         * @final
+         */
+        this.matrix = null;
+
         this._layer = layer;
         this._portionId = portionId;
 
@@ -77,6 +102,26 @@ class PerformanceMesh {
         this._colorizing = false;
 
         this.numTriangles = 0;
+
+        this.numPoints = 0;
+
+        this._firstPickPointIndex = 0; // Number of points in the meshes before this one within its PerformanceNode
+    }
+
+    /**
+     * Gets the RGBA color that this PerformanceModelMesh is rendered with, which includes any colorize and opacity
+     * set on its {@link PerformanceNode}.
+     *
+     * @param {Number[]} [dest] Optional array to store the color in.
+     * @returns {Number[]} The color, with each component in range ````[0..1]````.
+     */
+    getRenderColor(dest = new Float32Array(4)) {
+        const color = this._colorizing ? this._colorize : this._color;
+        dest[0] = color[0] / 255.0;
+        dest[1] = color[1] / 255.0;
+        dest[2] = color[2] / 255.0;
+        dest[3] = this._color[3] / 255.0;
+        return dest;
     }
 
     /**
@@ -210,6 +255,16 @@ class PerformanceMesh {
         // NOP
     }
 
+    /** @private */
+    canPickPoint() {
+        return (!!this._layer.drawPickPoints);
+    }
+
+    /** @private */
+    drawPickPoints(frameCtx) {
+        this._layer.drawPickPoints(frameCtx, this._portionId, this._firstPickPointIndex);
+    }
+
     /** @private */
     canPickWorldPos() {
         return true;
@@ -43,10 +43,14 @@ class PerformanceNode {
 
         this._numTriangles = 0;
 
+        let numPoints = 0;
+
         for (var i = 0, len = this.meshes.length; i < len; i++) {  // TODO: tidier way? Refactor?
             const mesh = this.meshes[i];
             mesh.parent = this;
             this._numTriangles += mesh.numTriangles;
+            mesh._firstPickPointIndex = numPoints; // Picked points are indexed within this PerformanceNode
+            numPoints += mesh.numPoints;
         }
 
         /**
@@ -14,6 +14,7 @@ class BatchingBuffer {
         this.positions = [];
         this.colors = [];
         this.normals = [];
+        this.uv = [];
         this.pickColors = [];
         this.flags = [];
         this.flags2 = [];
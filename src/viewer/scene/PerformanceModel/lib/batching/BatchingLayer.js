@@ -27,6 +27,7 @@ class BatchingLayer {
      * @param cfg.buffer
      * @param cfg.scratchMemory
      * @param cfg.primitive
+     * @param [cfg.texture] Optional {@link Texture} that colors every portion in this BatchingLayer
      */
     constructor(model, cfg) {
         this._batchingRenderers = getBatchingRenderers(model.scene);
@@ -70,12 +71,15 @@ class BatchingLayer {
             positionsBuf: null,
             offsetsBuf: null,
             normalsBuf: null,
+            uvBuf: null,
             colorsBuf: null,
             flagsBuf: null,
             flags2Buf: null,
             indicesBuf: null,
             edgeIndicesBuf: null,
-            positionsDecodeMatrix: math.mat4()
+            positionsDecodeMatrix: math.mat4(),
+            uvDecodeMatrix: math.mat3(),
+            textureState: cfg.texture ? cfg.texture._state : null
         });
 
         // These counts are used to avoid unnecessary render passes
@@ -119,6 +123,7 @@ class BatchingLayer {
      *
      * @param positions Flat float Local-space positions array.
      * @param normals Flat float normals array.
+     * @param [uv] Flat float UV coordinates array, used when this BatchingLayer has a texture.
      * @param indices  Flat int indices array.
      * @param edgeIndices Flat int edges indices array.
      * @param flags Unsigned long int
@@ -130,7 +135,7 @@ class BatchingLayer {
      * @param pickColor Quantized pick color
      * @returns {number} Portion ID
      */
-    createPortion(positions, normals, indices, edgeIndices, flags, color, opacity, meshMatrix, worldMatrix, worldAABB, pickColor) {
+    createPortion(positions, normals, uv, indices, edgeIndices, flags, color, opacity, meshMatrix, worldMatrix, worldAABB, pickColor) {
 
         if (this._finalized) {
             throw "Already finalized";
@@ -241,6 +246,12 @@ class BatchingLayer {
             }
         }
 
+        if (uv && this._state.textureState) {
+            for (let i = 0, len = uv.length; i < len; i++) {
+                buffer.uv.push(uv[i]);
+            }
+        }
+
         if (flags !== undefined) {
 
             const visible = !!(flags & RENDER_FLAGS.VISIBLE) ? 255 : 0;
@@ -383,6 +394,13 @@ class BatchingLayer {
             state.normalsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, normals, buffer.normals.length, 3, gl.STATIC_DRAW, normalized);
         }
 
+        if (buffer.uv.length > 0) {
+            const bounds = geometryCompressionUtils.getUVBounds(buffer.uv);
+            const result = geometryCompressionUtils.compressUVs(buffer.uv, bounds.min, bounds.max);
+            state.uvBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, result.quantized, buffer.uv.length, 2, gl.STATIC_DRAW);
+            state.uvDecodeMatrix = result.decodeMatrix;
+        }
+
         if (buffer.colors.length > 0) {
             const colors = new Uint8Array(buffer.colors);
             let normalized = false;
@@ -676,13 +694,16 @@ class BatchingLayer {
         if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numTransparentLayerPortions === this._numPortions || this._numXRayedLayerPortions === this._numPortions) {
             return;
         }
+        const textured = !!this._state.textureState;
         if (frameCtx.withSAO) {
-            if (this._batchingRenderers.drawRendererWithSAO) {
-                this._batchingRenderers.drawRendererWithSAO.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
+            const drawRendererWithSAO = textured ? this._batchingRenderers.texturedDrawRendererWithSAO : this._batchingRenderers.drawRendererWithSAO;
+            if (drawRendererWithSAO) {
+                drawRendererWithSAO.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
             }
         } else {
-            if (this._batchingRenderers.drawRenderer) {
-                this._batchingRenderers.drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
+            const drawRenderer = textured ? this._batchingRenderers.texturedDrawRenderer : this._batchingRenderers.drawRenderer;
+            if (drawRenderer) {
+                drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
             }
         }
     }
@@ -700,8 +721,9 @@ class BatchingLayer {
         if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numTransparentLayerPortions === 0 || this._numXRayedLayerPortions === this._numPortions) {
             return;
         }
-        if (this._batchingRenderers.drawRenderer) {
-            this._batchingRenderers.drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_TRANSPARENT);
+        const drawRenderer = this._state.textureState ? this._batchingRenderers.texturedDrawRenderer : this._batchingRenderers.drawRenderer;
+        if (drawRenderer) {
+            drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_TRANSPARENT);
         }
     }
 
@@ -913,6 +935,10 @@ class BatchingLayer {
             state.normalsBuf.destroy();
             state.normalsBuf = null;
         }
+        if (state.uvBuf) {
+            state.uvBuf.destroy();
+            state.uvBuf = null;
+        }
         if (state.colorsBuf) {
             state.colorsBuf.destroy();
             state.colorsBuf = null;
@@ -9,11 +9,12 @@ const tempVec4 = math.vec4();
  */
 class BatchingDrawRenderer {
 
-    constructor(scene, withSAO) {
+    constructor(scene, withSAO, textured) {
         this._scene = scene;
         this._withSAO = withSAO;
+        this._textured = textured;
         this._hash = this._getHash();
-        this._shaderSource = new BatchingDrawShaderSource(this._scene, this._withSAO);
+        this._shaderSource = new BatchingDrawShaderSource(this._scene, this._withSAO, this._textured);
         this._allocate();
     }
 
@@ -23,7 +24,7 @@ class BatchingDrawRenderer {
 
     _getHash() {
         const scene = this._scene;
-        return [scene._lightsState.getHash(), scene._sectionPlanesState.getHash(), (this._withSAO ? "sao" : "nosao")].join(";");
+        return [scene._lightsState.getHash(), scene._sectionPlanesState.getHash(), (this._withSAO ? "sao" : "nosao"), (this._textured ? "tex" : "notex")].join(";");
     }
 
     drawLayer(frameCtx, layer, renderPass) {
@@ -58,6 +59,12 @@ class BatchingDrawRenderer {
         if (this._aOffset) {
             this._aOffset.bindArrayBuffer(state.offsetsBuf);
         }
+        if (this._textured) {
+            gl.uniformMatrix3fv(this._uUVDecodeMatrix, false, state.uvDecodeMatrix);
+            this._aUV.bindArrayBuffer(state.uvBuf);
+            this._program.bindTexture(this._uColorMap, state.textureState.texture, 1); // Unit 0 is the SAO occlusion texture
+            frameCtx.bindTexture++;
+        }
         state.indicesBuf.bind();
         gl.drawElements(state.primitive, state.indicesBuf.numItems, state.indicesBuf.itemType, 0);
     }
@@ -126,6 +133,11 @@ class BatchingDrawRenderer {
         this._aColor = program.getAttribute("color");
         this._aFlags = program.getAttribute("flags");
         this._aFlags2 = program.getAttribute("flags2");
+        if (this._textured) {
+            this._aUV = program.getAttribute("uv");
+            this._uUVDecodeMatrix = program.getLocation("uvDecodeMatrix");
+            this._uColorMap = "uColorMap";
+        }
         if (this._withSAO) {
             this._uSAOEnabled = program.getLocation("uSAOEnabled");
             this._uOcclusionTexture = "uOcclusionTexture";
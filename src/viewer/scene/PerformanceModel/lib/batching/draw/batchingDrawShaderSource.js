@@ -4,12 +4,12 @@ import {RENDER_PASSES} from '../../renderPasses.js';
  * @private
  * @constructor
  */
-const BatchingDrawShaderSource = function (scene, withSAO) {
-    this.vertex = buildVertex(scene);
-    this.fragment = buildFragment(scene, withSAO);
+const BatchingDrawShaderSource = function (scene, withSAO, textured) {
+    this.vertex = buildVertex(scene, textured);
+    this.fragment = buildFragment(scene, withSAO, textured);
 };
 
-function buildVertex(scene) {
+function buildVertex(scene, textured) {
     const sectionPlanesState = scene._sectionPlanesState;
     const lightsState = scene._lightsState;
     const clipping = sectionPlanesState.sectionPlanes.length > 0;
@@ -29,6 +29,12 @@ function buildVertex(scene) {
     src.push("attribute vec4 flags2;");
     src.push("attribute vec3 offset;");
 
+    if (textured) {
+        src.push("attribute vec2 uv;");
+        src.push("uniform mat3 uvDecodeMatrix;");
+        src.push("varying vec2 vUV;");
+    }
+
     src.push("uniform mat4 viewMatrix;");
     src.push("uniform mat4 projMatrix;");
     src.push("uniform mat4 viewNormalMatrix;");
@@ -136,6 +142,10 @@ function buildVertex(scene) {
     src.push("vec3 rgb = (vec3(float(color.r) / 255.0, float(color.g) / 255.0, float(color.b) / 255.0));");
     src.push("vColor =  vec4((lightAmbient.rgb * lightAmbient.a * rgb) + (reflectedColor * rgb), float(color.a) / 255.0);");
 
+    if (textured) {
+        src.push("vUV = (uvDecodeMatrix * vec3(uv, 1.0)).xy;");
+    }
+
     if (clipping) {
         src.push("vWorldPosition = worldPosition;");
         src.push("vFlags2 = flags2;");
@@ -146,7 +156,7 @@ function buildVertex(scene) {
     return src;
 }
 
-function buildFragment(scene, withSAO) {
+function buildFragment(scene, withSAO, textured) {
     const sectionPlanesState = scene._sectionPlanesState;
     let i;
     let len;
@@ -184,6 +194,10 @@ function buildFragment(scene, withSAO) {
             src.push("uniform vec3 sectionPlaneDir" + i + ";");
         }
     }
+    if (textured) {
+        src.push("uniform sampler2D uColorMap;");
+        src.push("varying vec2 vUV;");
+    }
     src.push("varying vec4 vColor;");
     src.push("void main(void) {");
     if (clipping) {
@@ -207,9 +221,18 @@ function buildFragment(scene, withSAO) {
         src.push("   float blendFactor       = uSAOParams[3];");
         src.push("   vec2 uv                 = vec2(gl_FragCoord.x / viewportWidth, gl_FragCoord.y / viewportHeight);");
         src.push("   float ambient           = smoothstep(blendCutoff, 1.0, unpackRGBAToDepth(texture2D(uOcclusionTexture, uv))) * blendFactor;");
-        src.push("   gl_FragColor            = vec4(vColor.rgb * ambient, vColor.a);");
+        if (textured) {
+            src.push("   vec4 texColor           = texture2D(uColorMap, vUV);");
+            src.push("   gl_FragColor            = vec4(vColor.rgb * texColor.rgb * ambient, vColor.a * texColor.a);");
+        } else {
+            src.push("   gl_FragColor            = vec4(vColor.rgb * ambient, vColor.a);");
+        }
     } else {
-        src.push("   gl_FragColor            = vColor;");
+        if (textured) {
+            src.push("   gl_FragColor            = vColor * texture2D(uColorMap, vUV);");
+        } else {
+            src.push("   gl_FragColor            = vColor;");
+        }
     }
     src.push("}");
     return src;
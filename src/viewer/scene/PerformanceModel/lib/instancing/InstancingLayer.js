@@ -32,6 +32,8 @@ class InstancingLayer {
      * @param cfg.primitive
      * @param cfg.positions Flat float Local-space positions array.
      * @param cfg.normals Flat float normals array.
+     * @param [cfg.uv] Flat float UV coordinates array.
+     * @param [cfg.texture] Optional {@link Texture} that colors this InstancingLayer's geometry, using ````cfg.uv````.
      * @param cfg.indices Flat int indices array.
      * @param cfg.edgeIndices Flat int edges indices array.
      * @param cfg.edgeThreshold
@@ -74,6 +76,8 @@ class InstancingLayer {
             primitiveName: primitiveName,
             primitive: primitive,
             positionsDecodeMatrix: math.mat4(),
+            uvDecodeMatrix: math.mat3(),
+            textureState: null,
             numInstances: 0,
             obb: math.OBB3()
         };
@@ -119,6 +123,14 @@ class InstancingLayer {
             }
         }
 
+        if (cfg.uv && cfg.texture) {
+            const bounds = geometryCompressionUtils.getUVBounds(cfg.uv);
+            const result = geometryCompressionUtils.compressUVs(cfg.uv, bounds.min, bounds.max);
+            stateCfg.uvBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, result.quantized, cfg.uv.length, 2, gl.STATIC_DRAW);
+            stateCfg.uvDecodeMatrix = result.decodeMatrix;
+            stateCfg.textureState = cfg.texture._state;
+        }
+
         if (cfg.indices) {
             stateCfg.indicesBuf = new ArrayBuf(gl, gl.ELEMENT_ARRAY_BUFFER, bigIndicesSupported ? new Uint32Array(cfg.indices) : new Uint16Array(cfg.indices), cfg.indices.length, 1, gl.STATIC_DRAW);
         }
@@ -620,13 +632,16 @@ class InstancingLayer {
         if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numTransparentLayerPortions === this._numPortions || this._numXRayedLayerPortions === this._numPortions) {
             return;
         }
+        const textured = !!this._state.textureState;
         if (frameCtx.withSAO) {
-            if (this._instancingRenderers.drawRendererWithSAO) {
-                this._instancingRenderers.drawRendererWithSAO.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
+            const drawRendererWithSAO = textured ? this._instancingRenderers.texturedDrawRendererWithSAO : this._instancingRenderers.drawRendererWithSAO;
+            if (drawRendererWithSAO) {
+                drawRendererWithSAO.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
             }
         } else {
-            if (this._instancingRenderers.drawRenderer) {
-                this._instancingRenderers.drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
+            const drawRenderer = textured ? this._instancingRenderers.texturedDrawRenderer : this._instancingRenderers.drawRenderer;
+            if (drawRenderer) {
+                drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
             }
         }
     }
@@ -644,8 +659,9 @@ class InstancingLayer {
         if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numTransparentLayerPortions === 0 || this._numXRayedLayerPortions === this._numPortions) {
             return;
         }
-        if (this._instancingRenderers.drawRenderer) {
-            this._instancingRenderers.drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_TRANSPARENT);
+        const drawRenderer = this._state.textureState ? this._instancingRenderers.texturedDrawRenderer : this._instancingRenderers.drawRenderer;
+        if (drawRenderer) {
+            drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_TRANSPARENT);
         }
     }
 
@@ -853,6 +869,10 @@ class InstancingLayer {
             state.normalsBuf.destroy();
             state.normalsBuf = null;
         }
+        if (state.uvBuf) {
+            state.uvBuf.destroy();
+            state.uvBuf = null;
+        }
         if (state.colorsBuf) {
             state.colorsBuf.destroy();
             state.colorsBuf = null;
@@ -27,6 +27,14 @@ class InstancingRenderers {
             this.drawRendererWithSAO.destroy();
             this.drawRendererWithSAO = null;
         }
+        if (this.texturedDrawRenderer && (!this.texturedDrawRenderer.getValid())) {
+            this.texturedDrawRenderer.destroy();
+            this.texturedDrawRenderer = null;
+        }
+        if (this.texturedDrawRendererWithSAO && (!this.texturedDrawRendererWithSAO.getValid())) {
+            this.texturedDrawRendererWithSAO.destroy();
+            this.texturedDrawRendererWithSAO = null;
+        }
         if (this.depthRenderer && (!this.depthRenderer.getValid())) {
             this.depthRenderer.destroy();
             this.depthRenderer = null;
@@ -74,6 +82,16 @@ class InstancingRenderers {
             const withSAO = true;
             this.drawRendererWithSAO = new InstancingDrawRenderer(this._scene, withSAO);
         }
+        if (!this.texturedDrawRenderer) {
+            const withSAO = false;
+            const textured = true;
+            this.texturedDrawRenderer = new InstancingDrawRenderer(this._scene, withSAO, textured);
+        }
+        if (!this.texturedDrawRendererWithSAO) {
+            const withSAO = true;
+            const textured = true;
+            this.texturedDrawRendererWithSAO = new InstancingDrawRenderer(this._scene, withSAO, textured);
+        }
         if (!this.fillRenderer) {
             this.fillRenderer = new InstancingFillRenderer(this._scene);
         }
@@ -110,6 +128,12 @@ class InstancingRenderers {
         if (this.drawRendererWithSAO) {
             this.drawRendererWithSAO.destroy();
         }
+        if (this.texturedDrawRenderer) {
+            this.texturedDrawRenderer.destroy();
+        }
+        if (this.texturedDrawRendererWithSAO) {
+            this.texturedDrawRendererWithSAO.destroy();
+        }
         if (this.depthRenderer) {
             this.depthRenderer.destroy();
         }
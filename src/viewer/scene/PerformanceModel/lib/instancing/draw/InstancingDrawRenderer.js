@@ -9,11 +9,12 @@ const tempVec4 = math.vec4();
  */
 class InstancingDrawRenderer {
 
-    constructor(scene, withSAO) {
+    constructor(scene, withSAO, textured) {
         this._scene = scene;
         this._withSAO = withSAO;
+        this._textured = textured;
         this._hash = this._getHash();
-        this._shaderSource = new InstancingDrawShaderSource(this._scene);
+        this._shaderSource = new InstancingDrawShaderSource(this._scene, this._withSAO, this._textured);
         this._allocate();
     }
 
@@ -23,7 +24,7 @@ class InstancingDrawRenderer {
 
     _getHash() {
         const scene = this._scene;
-        return [scene._lightsState.getHash(), scene._sectionPlanesState.getHash(), (this.withSAO ? "sao" : "nosao")].join(";");
+        return [scene._lightsState.getHash(), scene._sectionPlanesState.getHash(), (this._withSAO ? "sao" : "nosao"), (this._textured ? "tex" : "notex")].join(";");
     }
 
     drawLayer(frameCtx, layer, renderPass) {
@@ -85,6 +86,13 @@ class InstancingDrawRenderer {
         this._aOffset.bindArrayBuffer(state.offsetsBuf);
         instanceExt.vertexAttribDivisorANGLE(this._aOffset.location, 1);
 
+        if (this._textured) {
+            gl.uniformMatrix3fv(this._uUVDecodeMatrix, false, state.uvDecodeMatrix);
+            this._aUV.bindArrayBuffer(state.uvBuf);
+            this._program.bindTexture(this._uColorMap, state.textureState.texture, 1); // Unit 0 is the SAO occlusion texture
+            frameCtx.bindTexture++;
+        }
+
         state.indicesBuf.bind();
 
         instanceExt.drawElementsInstancedANGLE(state.primitive, state.indicesBuf.numItems, state.indicesBuf.itemType, 0, state.numInstances);
@@ -178,6 +186,12 @@ class InstancingDrawRenderer {
         this._aFlags2 = program.getAttribute("flags2");
         this._aOffset = program.getAttribute("offset");
 
+        if (this._textured) {
+            this._aUV = program.getAttribute("uv");
+            this._uUVDecodeMatrix = program.getLocation("uvDecodeMatrix");
+            this._uColorMap = "uColorMap";
+        }
+
         this._aModelMatrixCol0 = program.getAttribute("modelMatrixCol0");
         this._aModelMatrixCol1 = program.getAttribute("modelMatrixCol1");
         this._aModelMatrixCol2 = program.getAttribute("modelMatrixCol2");
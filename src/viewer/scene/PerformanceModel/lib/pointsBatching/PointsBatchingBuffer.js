@@ -0,0 +1,19 @@
+const MAX_VERTS = 5000000;
+
+/**
+ * @private
+ */
+class PointsBatchingBuffer {
+    constructor() {
+        this.maxVerts = MAX_VERTS;
+        this.positions = [];
+        this.colors = [];
+        this.pointColors = [];
+        this.pickColors = [];
+        this.flags = [];
+        this.flags2 = [];
+        this.offsets = [];
+    }
+}
+
+export {PointsBatchingBuffer};
@@ -0,0 +1,841 @@
+import {math} from "../../../math/math.js";
+import {RenderState} from "../../../webgl/RenderState.js";
+import {ArrayBuf} from "../../../webgl/ArrayBuf.js";
+
+import {RENDER_FLAGS} from '../renderFlags.js';
+import {RENDER_PASSES} from '../renderPasses.js';
+import {geometryCompressionUtils} from "../../../math/geometryCompressionUtils.js";
+import {getPointsBatchingRenderers} from "./PointsBatchingRenderers.js";
+import {PointsBatchingBuffer} from "./PointsBatchingBuffer.js";
+
+const tempVec4a = math.vec4([0, 0, 0, 1]);
+const tempVec4b = math.vec4([0, 0, 0, 1]);
+const tempVec4c = math.vec4([0, 0, 0, 1]);
+const tempOBB3 = math.OBB3();
+
+/**
+ * A layer of batched points within a {@link PerformanceModel}.
+ *
+ * Has the same interface as {@link BatchingLayer}, but renders each vertex as a point, with its own color, and
+ * has no normals, edges or textures. Each point is drawn as a round dot whose size is given
+ * by {@link PerformanceModel#pointSize}, in either screen-space pixels or World-space units, according
+ * to {@link PerformanceModel#pointSizeMode}.
+ *
+ * @private
+ */
+class PointsBatchingLayer {
+
+    /**
+     * @param model
+     * @param cfg
+     * @param cfg.scratchMemory
+     * @param [cfg.positionsDecodeMatrix]
+     */
+    constructor(model, cfg) {
+        this._pointsBatchingRenderers = getPointsBatchingRenderers(model.scene);
+        this.model = model;
+        this._buffer = new PointsBatchingBuffer();
+        this._scratchMemory = cfg.scratchMemory;
+
+        this._state = new RenderState({
+            primitiveName: "points",
+            primitive: model.scene.canvas.gl.POINTS,
+            positionsBuf: null,
+            offsetsBuf: null,
+            colorsBuf: null,
+            pointColorsBuf: null,
+            pointIndicesBuf: null,
+            flagsBuf: null,
+            flags2Buf: null,
+            pickColorsBuf: null,
+            numPoints: 0,
+            positionsDecodeMatrix: math.mat4()
+        });
+
+        // These counts are used to avoid unnecessary render passes
+        this._numPortions = 0;
+        this._numVisibleLayerPortions = 0;
+        this._numTransparentLayerPortions = 0;
+        this._numXRayedLayerPortions = 0;
+        this._numSelectedLayerPortions = 0;
+        this._numHighlightedLayerPortions = 0;
+        this._numEdgesLayerPortions = 0;
+        this._numPickableLayerPortions = 0;
+        this._numCulledLayerPortions = 0;
+
+        this._modelAABB = math.collapseAABB3(); // Model-space AABB
+        this._portions = [];
+
+        this._finalized = false;
+        this._positionsDecodeMatrix = cfg.positionsDecodeMatrix;
+        this._preCompressed = (!!this._positionsDecodeMatrix);
+    }
+
+    /**
+     * Tests if there is room for another portion in this PointsBatchingLayer.
+     *
+     * @param lenPositions Number of positions we'd like to create in the portion.
+     * @returns {boolean} True if OK to create another portion.
+     */
+    canCreatePortion(lenPositions) {
+        if (this._finalized) {
+            throw "Already finalized";
+        }
+        return ((this._buffer.positions.length + lenPositions) < (this._buffer.maxVerts * 3));
+    }
+
+    /**
+     * Creates a new portion within this PointsBatchingLayer, returns the new portion ID.
+     *
+     * Gives the portion the specified points, flags, color and matrix.
+     *
+     * @param positions Flat float Local-space positions array.
+     * @param [pointColors] Flat quantized RGBA colors array, one color per point [0..255,0..255,0..255,0..255]
+     * @param flags Unsigned long int
+     * @param color Quantized RGB color [0..255,0..255,0..255,0..255]
+     * @param opacity Opacity [0..255]
+     * @param [meshMatrix] Flat float 4x4 matrix
+     * @param [worldMatrix] Flat float 4x4 matrix
+     * @param worldAABB Flat float AABB World-space AABB
+     * @param pickColor Quantized pick color
+     * @returns {number} Portion ID
+     */
+    createPortion(positions, pointColors, flags, color, opacity, meshMatrix, worldMatrix, worldAABB, pickColor) {
+
+        if (this._finalized) {
+            throw "Already finalized";
+        }
+
+        const buffer = this._buffer;
+        const positionsIndex = buffer.positions.length;
+        const vertsIndex = positionsIndex / 3;
+        const numVerts = positions.length / 3;
+        const lenPositions = positions.length;
+
+        if (this._preCompressed) {
+
+            for (let i = 0, len = positions.length; i < len; i++) {
+                buffer.positions.push(positions[i]);
+            }
+
+            const bounds = geometryCompressionUtils.getPositionsBounds(positions);
+
+            const min = geometryCompressionUtils.decompressPosition(bounds.min, this._positionsDecodeMatrix, []);
+            const max = geometryCompressionUtils.decompressPosition(bounds.max, this._positionsDecodeMatrix, []);
+
+            worldAABB[0] = min[0];
+            worldAABB[1] = min[1];
+            worldAABB[2] = min[2];
+            worldAABB[3] = max[0];
+            worldAABB[4] = max[1];
+            worldAABB[5] = max[2];
+
+            if (worldMatrix) {
+                math.AABB3ToOBB3(worldAABB, tempOBB3);
+                math.transformOBB3(worldMatrix, tempOBB3);
+                math.OBB3ToAABB3(tempOBB3, worldAABB);
+            }
+
+        } else {
+
+            const positionsBase = buffer.positions.length;
+
+            for (let i = 0, len = positions.length; i < len; i++) {
+                buffer.positions.push(positions[i]);
+            }
+
+            for (let i = positionsBase, len = positionsBase + lenPositions; i < len; i += 3) {
+
+                tempVec4a[0] = buffer.positions[i + 0];
+                tempVec4a[1] = buffer.positions[i + 1];
+                tempVec4a[2] = buffer.positions[i + 2];
+
+                if (meshMatrix) {
+                    math.transformPoint4(meshMatrix, tempVec4a, tempVec4b);
+                    buffer.positions[i + 0] = tempVec4b[0];
+                    buffer.positions[i + 1] = tempVec4b[1];
+                    buffer.positions[i + 2] = tempVec4b[2];
+                } else {
+                    tempVec4b.set(tempVec4a);
+                }
+
+                math.expandAABB3Point3(this._modelAABB, tempVec4b);
+
+                if (worldMatrix) {
+                    math.transformPoint4(worldMatrix, tempVec4b, tempVec4c);
+                    math.expandAABB3Point3(worldAABB, tempVec4c);
+                } else {
+                    math.expandAABB3Point3(worldAABB, tempVec4b);
+                }
+            }
+        }
+
+        if (pointColors) {
+            for (let i = 0, len = numVerts * 4; i < len; i++) {
+                buffer.pointColors.push(pointColors[i]);
+            }
+        } else {
+            for (let i = 0, len = numVerts * 4; i < len; i++) {
+                buffer.pointColors.push(255);
+            }
+        }
+
+        if (flags !== undefined) {
+
+            const visible = (flags & RENDER_FLAGS.VISIBLE) ? 255 : 0;
+            const xrayed = (flags & RENDER_FLAGS.XRAYED) ? 255 : 0;
+            const highlighted = (flags & RENDER_FLAGS.HIGHLIGHTED) ? 255 : 0;
+            const selected = (flags & RENDER_FLAGS.SELECTED) ? 255 : 0;
+            const clippable = (flags & RENDER_FLAGS.CLIPPABLE) ? 255 : 0;
+            const edges = (flags & RENDER_FLAGS.EDGES) ? 255 : 0;
+            const pickable = (flags & RENDER_FLAGS.PICKABLE) ? 255 : 0;
+            const culled = (flags & RENDER_FLAGS.CULLED) ? 255 : 0;
+
+            for (let i = 0; i < numVerts; i++) {
+                buffer.flags.push(visible);
+                buffer.flags.push(xrayed);
+                buffer.flags.push(highlighted);
+                buffer.flags.push(selected);
+                buffer.flags2.push(clippable);
+                buffer.flags2.push(edges);
+                buffer.flags2.push(pickable);
+                buffer.flags2.push(culled);
+            }
+            if (visible) {
+                this._numVisibleLayerPortions++;
+                this.model.numVisibleLayerPortions++;
+            }
+            if (xrayed) {
+                this._numXRayedLayerPortions++;
+                this.model.numXRayedLayerPortions++;
+            }
+            if (highlighted) {
+                this._numHighlightedLayerPortions++;
+                this.model.numHighlightedLayerPortions++;
+            }
+            if (selected) {
+                this._numSelectedLayerPortions++;
+                this.model.numSelectedLayerPortions++;
+            }
+            if (edges) {
+                this._numEdgesLayerPortions++;
+                this.model.numEdgesLayerPortions++;
+            }
+            if (pickable) {
+                this._numPickableLayerPortions++;
+                this.model.numPickableLayerPortions++;
+            }
+            if (culled) {
+                this._numCulledLayerPortions++;
+                this.model.numCulledLayerPortions++;
+            }
+        }
+
+        if (color) {
+
+            const r = color[0]; // Color is pre-quantized by PerformanceModel
+            const g = color[1];
+            const b = color[2];
+
+            const a = opacity;
+
+            for (let i = 0; i < numVerts; i++) {
+                buffer.colors.push(r);
+                buffer.colors.push(g);
+                buffer.colors.push(b);
+                buffer.colors.push(opacity);
+            }
+            if (a < 255) {
+                this._numTransparentLayerPortions++;
+                this.model.numTransparentLayerPortions++;
+            }
+        }
+
+        for (let i = 0; i < numVerts; i++) {
+            buffer.pickColors.push(pickColor[0]);
+            buffer.pickColors.push(pickColor[1]);
+            buffer.pickColors.push(pickColor[2]);
+            buffer.pickColors.push(pickColor[3]);
+        }
+
+        for (let i = 0; i < numVerts; i++) {
+            buffer.offsets.push(0);
+            buffer.offsets.push(0);
+            buffer.offsets.push(0);
+        }
+
+        const portionId = this._portions.length / 2;
+
+        this._portions.push(vertsIndex);
+        this._portions.push(numVerts);
+
+        this._numPortions++;
+        this.model.numPortions++;
+
+        return portionId;
+    }
+
+    /**
+     * Builds batch VBOs from appended geometries.
+     * No more portions can then be created.
+     */
+    finalize() {
+        if (this._finalized) {
+            this.model.error("Already finalized");
+            return;
+        }
+
+        const state = this._state;
+        const gl = this.model.scene.canvas.gl;
+        const buffer = this._buffer;
+        const numPoints = buffer.positions.length / 3;
+
+        if (buffer.positions.length > 0) {
+            if (this._preCompressed) {
+                state.positionsDecodeMatrix = this._positionsDecodeMatrix;
+                const positions = new Uint16Array(buffer.positions);
+                state.positionsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, positions, buffer.positions.length, 3, gl.STATIC_DRAW);
+            } else {
+                const positions = new Float32Array(buffer.positions);
+                const quantizedPositions = new Uint16Array(positions.length);
+                quantizePositions(positions, buffer.positions.length, this._modelAABB, quantizedPositions, state.positionsDecodeMatrix);
+                state.positionsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, quantizedPositions, buffer.positions.length, 3, gl.STATIC_DRAW);
+            }
+
+            // Index of each point within the layer, for picking individual points
+
+            const pointIndices = new Float32Array(numPoints);
+            for (let i = 0; i < numPoints; i++) {
+                pointIndices[i] = i;
+            }
+            state.pointIndicesBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, pointIndices, numPoints, 1, gl.STATIC_DRAW);
+        }
+
+        if (buffer.colors.length > 0) {
+            const colors = new Uint8Array(buffer.colors);
+            let normalized = false;
+            state.colorsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, colors, buffer.colors.length, 4, gl.DYNAMIC_DRAW, normalized);
+        }
+
+        if (buffer.pointColors.length > 0) {
+            const pointColors = new Uint8Array(buffer.pointColors);
+            let normalized = false;
+            state.pointColorsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, pointColors, buffer.pointColors.length, 4, gl.STATIC_DRAW, normalized);
+        }
+
+        if (buffer.flags.length > 0) {
+            const flags = new Uint8Array(buffer.flags);
+            const flags2 = new Uint8Array(buffer.flags2);
+            let normalized = true;
+            state.flagsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, flags, buffer.flags.length, 4, gl.DYNAMIC_DRAW, normalized);
+            state.flags2Buf = new ArrayBuf(gl, gl.ARRAY_BUFFER, flags2, buffer.flags.length, 4, gl.DYNAMIC_DRAW, normalized);
+        }
+
+        if (buffer.pickColors.length > 0) {
+            const pickColors = new Uint8Array(buffer.pickColors);
+            let normalized = false;
+            state.pickColorsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, pickColors, buffer.pickColors.length, 4, gl.STATIC_DRAW, normalized);
+        }
+
+        if (buffer.offsets.length > 0) {
+            const offsets = new Float32Array(buffer.offsets);
+            state.offsetsBuf = new ArrayBuf(gl, gl.ARRAY_BUFFER, offsets, buffer.offsets.length, 3, gl.DYNAMIC_DRAW);
+        }
+
+        state.numPoints = numPoints;
+
+        this._buffer = null;
+        this._finalized = true;
+    }
+
+    // The following setters are called by PerformanceModelMesh, in turn called by PerformanceModelNode, only after the layer is finalized.
+    // It's important that these are called after finalize() in order to maintain integrity of counts like _numVisibleLayerPortions etc.
+
+    initFlags(portionId, flags) {
+        if (flags & RENDER_FLAGS.VISIBLE) {
+            this._numVisibleLayerPortions++;
+            this.model.numVisibleLayerPortions++;
+        }
+        if (flags & RENDER_FLAGS.HIGHLIGHTED) {
+            this._numHighlightedLayerPortions++;
+            this.model.numHighlightedLayerPortions++;
+        }
+        if (flags & RENDER_FLAGS.XRAYED) {
+            this._numXRayedLayerPortions++;
+            this.model.numXRayedLayerPortions++;
+        }
+        if (flags & RENDER_FLAGS.SELECTED) {
+            this._numSelectedLayerPortions++;
+            this.model.numSelectedLayerPortions++;
+        }
+        if (flags & RENDER_FLAGS.EDGES) {
+            this._numEdgesLayerPortions++;
+            this.model.numEdgesLayerPortions++;
+        }
+        if (flags & RENDER_FLAGS.PICKABLE) {
+            this._numPickableLayerPortions++;
+            this.model.numPickableLayerPortions++;
+        }
+        if (flags & RENDER_FLAGS.CULLED) {
+            this._numCulledLayerPortions++;
+            this.model.numCulledLayerPortions++;
+        }
+        this._setFlags(portionId, flags);
+        this._setFlags2(portionId, flags);
+    }
+
+    setVisible(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        if (flags & RENDER_FLAGS.VISIBLE) {
+            this._numVisibleLayerPortions++;
+            this.model.numVisibleLayerPortions++;
+        } else {
+            this._numVisibleLayerPortions--;
+            this.model.numVisibleLayerPortions--;
+        }
+        this._setFlags(portionId, flags);
+    }
+
+    setHighlighted(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        if (flags & RENDER_FLAGS.HIGHLIGHTED) {
+            this._numHighlightedLayerPortions++;
+            this.model.numHighlightedLayerPortions++;
+        } else {
+            this._numHighlightedLayerPortions--;
+            this.model.numHighlightedLayerPortions--;
+        }
+        this._setFlags(portionId, flags);
+    }
+
+    setXRayed(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        if (flags & RENDER_FLAGS.XRAYED) {
+            this._numXRayedLayerPortions++;
+            this.model.numXRayedLayerPortions++;
+        } else {
+            this._numXRayedLayerPortions--;
+            this.model.numXRayedLayerPortions--;
+        }
+        this._setFlags(portionId, flags);
+    }
+
+    setSelected(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        if (flags & RENDER_FLAGS.SELECTED) {
+            this._numSelectedLayerPortions++;
+            this.model.numSelectedLayerPortions++;
+        } else {
+            this._numSelectedLayerPortions--;
+            this.model.numSelectedLayerPortions--;
+        }
+        this._setFlags(portionId, flags);
+    }
+
+    setEdges(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        if (flags & RENDER_FLAGS.EDGES) {
+            this._numEdgesLayerPortions++;
+            this.model.numEdgesLayerPortions++;
+        } else {
+            this._numEdgesLayerPortions--;
+            this.model.numEdgesLayerPortions--;
+        }
+        this._setFlags2(portionId, flags);
+    }
+
+    setClippable(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        this._setFlags2(portionId, flags);
+    }
+
+    setCulled(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        if (flags & RENDER_FLAGS.CULLED) {
+            this._numCulledLayerPortions++;
+            this.model.numCulledLayerPortions++;
+        } else {
+            this._numCulledLayerPortions--;
+            this.model.numCulledLayerPortions--;
+        }
+        this._setFlags2(portionId, flags);
+    }
+
+    setCollidable() {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+    }
+
+    setPickable(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        if (flags & RENDER_FLAGS.PICKABLE) {
+            this._numPickableLayerPortions++;
+            this.model.numPickableLayerPortions++;
+        } else {
+            this._numPickableLayerPortions--;
+            this.model.numPickableLayerPortions--;
+        }
+        this._setFlags2(portionId, flags);
+    }
+
+    setColor(portionId, color, setOpacity = false) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        const portionsIdx = portionId * 2;
+        const vertexBase = this._portions[portionsIdx];
+        const numVerts = this._portions[portionsIdx + 1];
+        const firstColor = vertexBase * 4;
+        const lenColor = numVerts * 4;
+        const tempArray = this._scratchMemory.getUInt8Array(lenColor);
+        const r = color[0];
+        const g = color[1];
+        const b = color[2];
+        const a = color[3];
+        for (let i = 0; i < lenColor; i += 4) {
+            tempArray[i + 0] = r;
+            tempArray[i + 1] = g;
+            tempArray[i + 2] = b;
+            tempArray[i + 3] = a;
+        }
+        if (setOpacity) {
+            const opacity = color[3];
+            if (opacity < 255) {
+                this._numTransparentLayerPortions++;
+                this.model.numTransparentLayerPortions++;
+            } else {
+                this._numTransparentLayerPortions--;
+                this.model.numTransparentLayerPortions--;
+            }
+        }
+        this._state.colorsBuf.setData(tempArray, firstColor, lenColor);
+    }
+
+    _setFlags(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        const portionsIdx = portionId * 2;
+        const vertexBase = this._portions[portionsIdx];
+        const numVerts = this._portions[portionsIdx + 1];
+        const firstFlag = vertexBase * 4;
+        const lenFlags = numVerts * 4;
+        const tempArray = this._scratchMemory.getUInt8Array(lenFlags);
+        const visible = (flags & RENDER_FLAGS.VISIBLE) ? 255 : 0;
+        const xrayed = (flags & RENDER_FLAGS.XRAYED) ? 255 : 0;
+        const highlighted = (flags & RENDER_FLAGS.HIGHLIGHTED) ? 255 : 0;
+        const selected = (flags & RENDER_FLAGS.SELECTED) ? 255 : 0;
+        for (let i = 0; i < lenFlags; i += 4) {
+            tempArray[i + 0] = visible;
+            tempArray[i + 1] = xrayed;
+            tempArray[i + 2] = highlighted;
+            tempArray[i + 3] = selected;
+        }
+        this._state.flagsBuf.setData(tempArray, firstFlag, lenFlags);
+    }
+
+    _setFlags2(portionId, flags) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        const portionsIdx = portionId * 2;
+        const vertexBase = this._portions[portionsIdx];
+        const numVerts = this._portions[portionsIdx + 1];
+        const firstFlag = vertexBase * 4;
+        const lenFlags = numVerts * 4;
+        const clippable = (flags & RENDER_FLAGS.CLIPPABLE) ? 255 : 0;
+        const edges = (flags & RENDER_FLAGS.EDGES) ? 255 : 0;
+        const pickable = (flags & RENDER_FLAGS.PICKABLE) ? 255 : 0;
+        const culled = (flags & RENDER_FLAGS.CULLED) ? 255 : 0;
+        const tempArray = this._scratchMemory.getUInt8Array(lenFlags);
+        for (let i = 0; i < lenFlags; i += 4) {
+            tempArray[i + 0] = clippable;
+            tempArray[i + 1] = edges;
+            tempArray[i + 2] = pickable;
+            tempArray[i + 3] = culled;
+        }
+        this._state.flags2Buf.setData(tempArray, firstFlag, lenFlags);
+    }
+
+    setOffset(portionId, offset) {
+        if (!this._finalized) {
+            throw "Not finalized";
+        }
+        const portionsIdx = portionId * 2;
+        const vertexBase = this._portions[portionsIdx];
+        const numVerts = this._portions[portionsIdx + 1];
+        const firstOffset = vertexBase * 3;
+        const lenOffsets = numVerts * 3;
+        const tempArray = this._scratchMemory.getFloat32Array(lenOffsets);
+        const x = offset[0];
+        const y = offset[1];
+        const z = offset[2];
+        for (let i = 0; i < lenOffsets; i += 3) {
+            tempArray[i + 0] = x;
+            tempArray[i + 1] = y;
+            tempArray[i + 2] = z;
+        }
+        this._state.offsetsBuf.setData(tempArray, firstOffset, lenOffsets);
+    }
+
+    //-- NORMAL --------------------------------------------------------------------------------------------------------
+
+    drawNormalFillOpaque(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numTransparentLayerPortions === this._numPortions || this._numXRayedLayerPortions === this._numPortions) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.drawRenderer) {
+            this._pointsBatchingRenderers.drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_OPAQUE);
+        }
+    }
+
+    drawNormalEdgesOpaque() {
+        // Points have no edges
+    }
+
+    drawNormalFillTransparent(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numTransparentLayerPortions === 0 || this._numXRayedLayerPortions === this._numPortions) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.drawRenderer) {
+            this._pointsBatchingRenderers.drawRenderer.drawLayer(frameCtx, this, RENDER_PASSES.NORMAL_TRANSPARENT);
+        }
+    }
+
+    drawNormalEdgesTransparent() {
+        // Points have no edges
+    }
+
+    //-- Post effects support------------------------------------------------------------------------------------------------
+
+    drawDepth() {
+        // Points don't contribute to SAO
+    }
+
+    drawNormals() {
+        // Points don't contribute to SAO
+    }
+
+    //-- XRAYED--------------------------------------------------------------------------------------------------------
+
+    drawXRayedFillOpaque(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numXRayedLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.fillRenderer) {
+            this._pointsBatchingRenderers.fillRenderer.drawLayer(frameCtx, this, RENDER_PASSES.XRAYED);
+        }
+    }
+
+    drawXRayedEdgesOpaque() {
+        // Points have no edges
+    }
+
+    drawXRayedFillTransparent(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numXRayedLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.fillRenderer) {
+            this._pointsBatchingRenderers.fillRenderer.drawLayer(frameCtx, this, RENDER_PASSES.XRAYED);
+        }
+    }
+
+    drawXRayedEdgesTransparent() {
+        // Points have no edges
+    }
+
+    //-- HIGHLIGHTED ---------------------------------------------------------------------------------------------------
+
+    drawHighlightedFillOpaque(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numHighlightedLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.fillRenderer) {
+            this._pointsBatchingRenderers.fillRenderer.drawLayer(frameCtx, this, RENDER_PASSES.HIGHLIGHTED);
+        }
+    }
+
+    drawHighlightedEdgesOpaque() {
+        // Points have no edges
+    }
+
+    drawHighlightedFillTransparent(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numHighlightedLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.fillRenderer) {
+            this._pointsBatchingRenderers.fillRenderer.drawLayer(frameCtx, this, RENDER_PASSES.HIGHLIGHTED);
+        }
+    }
+
+    drawHighlightedEdgesTransparent() {
+        // Points have no edges
+    }
+
+    //-- SELECTED ------------------------------------------------------------------------------------------------------
+
+    drawSelectedFillOpaque(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numSelectedLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.fillRenderer) {
+            this._pointsBatchingRenderers.fillRenderer.drawLayer(frameCtx, this, RENDER_PASSES.SELECTED);
+        }
+    }
+
+    drawSelectedEdgesOpaque() {
+        // Points have no edges
+    }
+
+    drawSelectedFillTransparent(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0 || this._numSelectedLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.fillRenderer) {
+            this._pointsBatchingRenderers.fillRenderer.drawLayer(frameCtx, this, RENDER_PASSES.SELECTED);
+        }
+    }
+
+    drawSelectedEdgesTransparent() {
+        // Points have no edges
+    }
+
+    //---- PICKING ----------------------------------------------------------------------------------------------------
+
+    drawPickMesh(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.pickMeshRenderer) {
+            this._pointsBatchingRenderers.pickMeshRenderer.drawLayer(frameCtx, this);
+        }
+    }
+
+    drawPickDepths(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.pickDepthRenderer) {
+            this._pointsBatchingRenderers.pickDepthRenderer.drawLayer(frameCtx, this);
+        }
+    }
+
+    drawPickNormals() {
+        // Points have no normals
+    }
+
+    /**
+     * Renders the points of the given portion, each with its index encoded as a color.
+     *
+     * @param frameCtx
+     * @param portionId
+     * @param [firstIndex=0] Index to encode for the first point of the portion.
+     */
+    drawPickPoints(frameCtx, portionId, firstIndex = 0) {
+        if (this._pointsBatchingRenderers.pickPointsRenderer) {
+            const portionsIdx = portionId * 2;
+            this._pointsBatchingRenderers.pickPointsRenderer.drawPortion(frameCtx, this, this._portions[portionsIdx], this._portions[portionsIdx + 1], firstIndex);
+        }
+    }
+
+    //---- OCCLUSION TESTING -------------------------------------------------------------------------------------------
+
+    drawOcclusion(frameCtx) {
+        if (this._numCulledLayerPortions === this._numPortions || this._numVisibleLayerPortions === 0) {
+            return;
+        }
+        if (this._pointsBatchingRenderers.occlusionRenderer) {
+            this._pointsBatchingRenderers.occlusionRenderer.drawLayer(frameCtx, this);
+        }
+    }
+
+    //---- SHADOWS -----------------------------------------------------------------------------------------------------
+
+    drawShadow() {
+        // Points don't cast shadows
+    }
+
+    destroy() {
+        const state = this._state;
+        if (state.positionsBuf) {
+            state.positionsBuf.destroy();
+            state.positionsBuf = null;
+        }
+        if (state.offsetsBuf) {
+            state.offsetsBuf.destroy();
+            state.offsetsBuf = null;
+        }
+        if (state.colorsBuf) {
+            state.colorsBuf.destroy();
+            state.colorsBuf = null;
+        }
+        if (state.pointColorsBuf) {
+            state.pointColorsBuf.destroy();
+            state.pointColorsBuf = null;
+        }
+        if (state.pointIndicesBuf) {
+            state.pointIndicesBuf.destroy();
+            state.pointIndicesBuf = null;
+        }
+        if (state.flagsBuf) {
+            state.flagsBuf.destroy();
+            state.flagsBuf = null;
+        }
+        if (state.flags2Buf) {
+            state.flags2Buf.destroy();
+            state.flags2Buf = null;
+        }
+        if (state.pickColorsBuf) {
+            state.pickColorsBuf.destroy();
+            state.pickColorsBuf = null;
+        }
+        state.destroy();
+    }
+}
+
+var quantizePositions = (function () { // http://cg.postech.ac.kr/research/mesh_comp_mobile/mesh_comp_mobile_conference.pdf
+    const translate = math.mat4();
+    const scale = math.mat4();
+    return function (positions, lenPositions, aabb, quantizedPositions, positionsDecodeMatrix) {
+        const xmin = aabb[0];
+        const ymin = aabb[1];
+        const zmin = aabb[2];
+        const xwid = aabb[3] - xmin;
+        const ywid = aabb[4] - ymin;
+        const zwid = aabb[5] - zmin;
+        const maxInt = 65525;
+        const xMultiplier = xwid > 0 ? maxInt / xwid : 0; // Scans are often flat along some axis
+        const yMultiplier = ywid > 0 ? maxInt / ywid : 0;
+        const zMultiplier = zwid > 0 ? maxInt / zwid : 0;
+        let i;
+        for (i = 0; i < lenPositions; i += 3) {
+            quantizedPositions[i + 0] = Math.floor((positions[i + 0] - xmin) * xMultiplier);
+            quantizedPositions[i + 1] = Math.floor((positions[i + 1] - ymin) * yMultiplier);
+            quantizedPositions[i + 2] = Math.floor((positions[i + 2] - zmin) * zMultiplier);
+        }
+        math.identityMat4(translate);
+        math.translationMat4v(aabb, translate);
+        math.identityMat4(scale);
+        math.scalingMat4v([xwid / maxInt, ywid / maxInt, zwid / maxInt], scale);
+        math.mulMat4(translate, scale, positionsDecodeMatrix);
+    };
+})();
+
+export {PointsBatchingLayer};
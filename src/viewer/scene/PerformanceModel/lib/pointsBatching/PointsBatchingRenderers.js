@@ -0,0 +1,108 @@
+import {PointsBatchingDrawRenderer} from "./draw/PointsBatchingDrawRenderer.js";
+import {PointsBatchingFillRenderer} from "./emphasis/PointsBatchingFillRenderer.js";
+import {PointsBatchingPickMeshRenderer} from "./pick/PointsBatchingPickMeshRenderer.js";
+import {PointsBatchingPickDepthRenderer} from "./pick/PointsBatchingPickDepthRenderer.js";
+import {PointsBatchingPickPointsRenderer} from "./pick/PointsBatchingPickPointsRenderer.js";
+import {PointsBatchingOcclusionRenderer} from "./occlusion/PointsBatchingOcclusionRenderer.js";
+
+/**
+ * @private
+ */
+class PointsBatchingRenderers {
+
+    constructor(scene) {
+        this._scene = scene;
+    }
+
+    _compile() {
+        if (this.drawRenderer && (!this.drawRenderer.getValid())) {
+            this.drawRenderer.destroy();
+            this.drawRenderer = null;
+        }
+        if (this.fillRenderer && (!this.fillRenderer.getValid())) {
+            this.fillRenderer.destroy();
+            this.fillRenderer = null;
+        }
+        if (this.pickMeshRenderer && (!this.pickMeshRenderer.getValid())) {
+            this.pickMeshRenderer.destroy();
+            this.pickMeshRenderer = null;
+        }
+        if (this.pickDepthRenderer && (!this.pickDepthRenderer.getValid())) {
+            this.pickDepthRenderer.destroy();
+            this.pickDepthRenderer = null;
+        }
+        if (this.pickPointsRenderer && (!this.pickPointsRenderer.getValid())) {
+            this.pickPointsRenderer.destroy();
+            this.pickPointsRenderer = null;
+        }
+        if (this.occlusionRenderer && (!this.occlusionRenderer.getValid())) {
+            this.occlusionRenderer.destroy();
+            this.occlusionRenderer = null;
+        }
+        this._createRenderers();
+    }
+
+    _createRenderers() {
+        if (!this.drawRenderer) {
+            this.drawRenderer = new PointsBatchingDrawRenderer(this._scene);
+        }
+        if (!this.fillRenderer) {
+            this.fillRenderer = new PointsBatchingFillRenderer(this._scene);
+        }
+        if (!this.pickMeshRenderer) {
+            this.pickMeshRenderer = new PointsBatchingPickMeshRenderer(this._scene);
+        }
+        if (!this.pickDepthRenderer) {
+            this.pickDepthRenderer = new PointsBatchingPickDepthRenderer(this._scene);
+        }
+        if (!this.pickPointsRenderer) {
+            this.pickPointsRenderer = new PointsBatchingPickPointsRenderer(this._scene);
+        }
+        if (!this.occlusionRenderer) {
+            this.occlusionRenderer = new PointsBatchingOcclusionRenderer(this._scene);
+        }
+    }
+
+    _destroy() {
+        if (this.drawRenderer) {
+            this.drawRenderer.destroy();
+        }
+        if (this.fillRenderer) {
+            this.fillRenderer.destroy();
+        }
+        if (this.pickMeshRenderer) {
+            this.pickMeshRenderer.destroy();
+        }
+        if (this.pickDepthRenderer) {
+            this.pickDepthRenderer.destroy();
+        }
+        if (this.pickPointsRenderer) {
+            this.pickPointsRenderer.destroy();
+        }
+        if (this.occlusionRenderer) {
+            this.occlusionRenderer.destroy();
+        }
+    }
+}
+
+const scenePointsBatchingRenderers = {};
+
+function getPointsBatchingRenderers(scene) {
+    const sceneId = scene.id;
+    let pointsBatchingRenderers = scenePointsBatchingRenderers[sceneId];
+    if (!pointsBatchingRenderers) {
+        pointsBatchingRenderers = new PointsBatchingRenderers(scene);
+        scenePointsBatchingRenderers[sceneId] = pointsBatchingRenderers;
+        pointsBatchingRenderers._compile();
+        scene.on("compile", () => {
+            pointsBatchingRenderers._compile();
+        });
+        scene.on("destroyed", () => {
+            delete scenePointsBatchingRenderers[sceneId];
+            pointsBatchingRenderers._destroy();
+        });
+    }
+    return pointsBatchingRenderers;
+}
+
+export {getPointsBatchingRenderers};
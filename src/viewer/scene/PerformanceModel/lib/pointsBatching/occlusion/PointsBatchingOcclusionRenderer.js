@@ -0,0 +1,129 @@
+import {Program} from "../../../../webgl/Program.js";
+import {PointsBatchingOcclusionShaderSource} from "./PointsBatchingOcclusionShaderSource.js";
+
+/**
+ * @private
+ */
+class PointsBatchingOcclusionRenderer {
+
+    constructor(scene) {
+        this._scene = scene;
+        this._hash = this._getHash();
+        this._shaderSource = new PointsBatchingOcclusionShaderSource(this._scene);
+        this._allocate();
+    }
+
+    getValid() {
+        return this._hash === this._getHash();
+    }
+
+    _getHash() {
+        return this._scene._sectionPlanesState.getHash();
+    }
+
+    drawLayer(frameCtx, layer) {
+        const model = layer.model;
+        const scene = model.scene;
+        const gl = scene.canvas.gl;
+        const state = layer._state;
+        const projMatrix = scene.camera._project._state.matrix;
+        if (!this._program) {
+            this._allocate();
+        }
+        if (frameCtx.lastProgramId !== this._program.id) {
+            frameCtx.lastProgramId = this._program.id;
+            this._bindProgram();
+        }
+        gl.uniformMatrix4fv(this._uViewMatrix, false, model.viewMatrix);
+        gl.uniformMatrix4fv(this._uProjMatrix, false, projMatrix);
+        gl.uniformMatrix4fv(this._uPositionsDecodeMatrix, false, layer._state.positionsDecodeMatrix);
+        gl.uniform1f(this._uPointSize, model.pointSize);
+        gl.uniform1f(this._uPointScale, (model.pointSizeMode === "world") ? projMatrix[5] * gl.drawingBufferHeight * 0.5 : 0.0);
+        this._aPosition.bindArrayBuffer(state.positionsBuf);
+        this._aOffset.bindArrayBuffer(state.offsetsBuf);
+        if (this._aColor) {
+            this._aColor.bindArrayBuffer(state.colorsBuf);
+        }
+        this._aFlags.bindArrayBuffer(state.flagsBuf);
+        if (this._aFlags2) { // Won't be in shader when not clipping
+            this._aFlags2.bindArrayBuffer(state.flags2Buf);
+        }
+        gl.drawArrays(state.primitive, 0, state.numPoints);
+    }
+
+    _allocate() {
+        const scene = this._scene;
+        const gl = scene.canvas.gl;
+        const sectionPlanesState = scene._sectionPlanesState;
+        this._program = new Program(gl, this._shaderSource);
+        if (this._program.errors) {
+            this.errors = this._program.errors;
+            return;
+        }
+        const program = this._program;
+        this._uPositionsDecodeMatrix = program.getLocation("positionsDecodeMatrix");
+        this._uViewMatrix = program.getLocation("viewMatrix");
+        this._uProjMatrix = program.getLocation("projMatrix");
+        this._uPointSize = program.getLocation("pointSize");
+        this._uPointScale = program.getLocation("pointScale");
+        this._uSectionPlanes = [];
+        const sectionPlanes = sectionPlanesState.sectionPlanes;
+        for (let i = 0, len = sectionPlanes.length; i < len; i++) {
+            this._uSectionPlanes.push({
+                active: program.getLocation("sectionPlaneActive" + i),
+                pos: program.getLocation("sectionPlanePos" + i),
+                dir: program.getLocation("sectionPlaneDir" + i)
+            });
+        }
+        this._aPosition = program.getAttribute("position");
+        this._aOffset = program.getAttribute("offset");
+        this._aColor = program.getAttribute("color");
+        this._aFlags = program.getAttribute("flags");
+        this._aFlags2 = program.getAttribute("flags2");
+    }
+
+    _bindProgram() {
+        const scene = this._scene;
+        const gl = scene.canvas.gl;
+        const program = this._program;
+        const sectionPlanesState = scene._sectionPlanesState;
+        program.bind();
+        if (sectionPlanesState.sectionPlanes.length > 0) {
+            const sectionPlanes = scene._sectionPlanesState.sectionPlanes;
+            let sectionPlaneUniforms;
+            let uSectionPlaneActive;
+            let sectionPlane;
+            let uSectionPlanePos;
+            let uSectionPlaneDir;
+            for (let i = 0, len = this._uSectionPlanes.length; i < len; i++) {
+                sectionPlaneUniforms = this._uSectionPlanes[i];
+                uSectionPlaneActive = sectionPlaneUniforms.active;
+                sectionPlane = sectionPlanes[i];
+                if (uSectionPlaneActive) {
+                    gl.uniform1i(uSectionPlaneActive, sectionPlane.active);
+                }
+                uSectionPlanePos = sectionPlaneUniforms.pos;
+                if (uSectionPlanePos) {
+                    gl.uniform3fv(sectionPlaneUniforms.pos, sectionPlane.pos);
+                }
+                uSectionPlaneDir = sectionPlaneUniforms.dir;
+                if (uSectionPlaneDir) {
+                    gl.uniform3fv(sectionPlaneUniforms.dir, sectionPlane.dir);
+                }
+            }
+        }
+    }
+
+    webglContextRestored() {
+        this._program = null;
+    }
+
+    destroy() {
+        if (this._program) {
+            this._program.destroy();
+        }
+        this._program = null;
+    }
+}
+
+export {PointsBatchingOcclusionRenderer};
@@ -0,0 +1,105 @@
+/**
+ * @private
+ */
+class PointsBatchingPickMeshShaderSource {
+    constructor(scene) {
+        this.vertex = buildVertex(scene);
+        this.fragment = buildFragment(scene);
+    }
+}
+
+function buildVertex(scene) {
+    const clipping = scene._sectionPlanesState.sectionPlanes.length > 0;
+    const src = [];
+
+    src.push("// Batched points picking vertex shader");
+
+    src.push("attribute vec3 position;");
+    src.push("attribute vec3 offset;");
+    src.push("attribute vec4 flags;");
+    src.push("attribute vec4 flags2;");
+
+    src.push("attribute vec4 pickColor;");
+
+    src.push("uniform bool pickInvisible;");
+    src.push("uniform mat4 viewMatrix;");
+    src.push("uniform mat4 projMatrix;");
+    src.push("uniform mat4 positionsDecodeMatrix;");
+
+    src.push("uniform float pointSize;");
+    src.push("uniform float pointScale;"); // Zero when pointSize is in screen space
+
+    if (clipping) {
+        src.push("varying vec4 vWorldPosition;");
+        src.push("varying vec4 vFlags2;");
+    }
+
+    src.push("varying vec4 vPickColor;");
+
+    src.push("void main(void) {");
+    src.push("  bool visible   = (float(flags.x) > 0.0);");
+    src.push("  bool pickable  = (float(flags2.z) > 0.0);");
+    src.push("  bool culled    = (float(flags2.w) > 0.0);");
+    src.push("  if (culled || (!pickInvisible && !visible) || !pickable) {");
+    src.push("      gl_Position = vec4(0.0, 0.0, 0.0, 0.0);"); // Cull vertex
+    src.push("  } else {");
+    src.push("      vec4 worldPosition = positionsDecodeMatrix * vec4(position, 1.0); ");
+    src.push("      worldPosition.xyz = worldPosition.xyz + offset;");
+    src.push("      vec4 viewPosition  = viewMatrix * worldPosition; ");
+    src.push("      vPickColor = vec4(float(pickColor.r) / 255.0, float(pickColor.g) / 255.0, float(pickColor.b) / 255.0, float(pickColor.a) / 255.0);");
+    if (clipping) {
+        src.push("      vWorldPosition = worldPosition;");
+        src.push("      vFlags2 = flags2;");
+    }
+    src.push("      gl_Position = projMatrix * viewPosition;");
+    src.push("      gl_PointSize = (pointScale > 0.0) ? max(pointSize * pointScale / gl_Position.w, 1.0) : pointSize;");
+    src.push("  }");
+    src.push("}");
+    return src;
+}
+
+function buildFragment(scene) {
+    const sectionPlanesState = scene._sectionPlanesState;
+    const clipping = sectionPlanesState.sectionPlanes.length > 0;
+    const src = [];
+    src.push("// Batched points picking fragment shader");
+
+    src.push("#ifdef GL_FRAGMENT_PRECISION_HIGH");
+    src.push("precision highp float;");
+    src.push("precision highp int;");
+    src.push("#else");
+    src.push("precision mediump float;");
+    src.push("precision mediump int;");
+    src.push("#endif");
+
+    if (clipping) {
+        src.push("varying vec4 vWorldPosition;");
+        src.push("varying vec4 vFlags2;");
+        for (let i = 0; i < sectionPlanesState.sectionPlanes.length; i++) {
+            src.push("uniform bool sectionPlaneActive" + i + ";");
+            src.push("uniform vec3 sectionPlanePos" + i + ";");
+            src.push("uniform vec3 sectionPlaneDir" + i + ";");
+        }
+    }
+    src.push("varying vec4 vPickColor;");
+    src.push("void main(void) {");
+    src.push("  vec2 cxy = 2.0 * gl_PointCoord - 1.0;"); // Round points
+    src.push("  if (dot(cxy, cxy) > 1.0) { discard; }");
+    if (clipping) {
+        src.push("  bool clippable = (float(vFlags2.x) > 0.0);");
+        src.push("  if (clippable) {");
+        src.push("      float dist = 0.0;");
+        for (let i = 0; i < sectionPlanesState.sectionPlanes.length; i++) {
+            src.push("      if (sectionPlaneActive" + i + ") {");
+            src.push("          dist += clamp(dot(-sectionPlaneDir" + i + ".xyz, vWorldPosition.xyz - sectionPlanePos" + i + ".xyz), 0.0, 1000.0);");
+            src.push("      }");
+        }
+        src.push("      if (dist > 0.0) { discard; }");
+        src.push("  }");
+    }
+    src.push("   gl_FragColor = vPickColor; ");
+    src.push("}");
+    return src;
+}
+
+export {PointsBatchingPickMeshShaderSource};
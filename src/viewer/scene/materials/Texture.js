@@ -82,6 +82,11 @@ function nextHighestPowerOfTwo(x) {
  * });
  *````
  */
+/**
+ * Fired when this Texture has loaded the image file at {@link Texture#src}.
+ * @event loaded
+ * @param {String} value The image file path
+ */
 class Texture extends Component {
 
     /**
@@ -303,6 +308,7 @@ class Texture extends Component {
             self.scene.loading--;
             self.scene.canvas.spinner.processes--;
             self.glRedraw();
+            self.fire("loaded", src, false);
         };
         image.src = src;
         this._src = src;
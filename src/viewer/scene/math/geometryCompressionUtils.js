@@ -130,8 +130,8 @@ var compressUVs = (function () {
     return function (array, min, max) {
         const quantized = new Uint16Array(array.length);
         const multiplier = new Float32Array([
-            65535 / (max[0] - min[0]),
-            65535 / (max[1] - min[1])
+            max[0] !== min[0] ? 65535 / (max[0] - min[0]) : 0,
+            max[1] !== min[1] ? 65535 / (max[1] - min[1]) : 0
         ]);
         let i;
         for (i = 0; i < array.length; i += 2) {
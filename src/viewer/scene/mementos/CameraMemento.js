@@ -7,6 +7,7 @@ import {math} from "../math/math.js";
  *
  * * {@link ModelMemento} - Saves and restores a snapshot of the visual state of the {@link Entity}'s of a model within a {@link Scene}.
  * * {@link ObjectsMemento} - Saves and restores a snapshot of the visual state of the {@link Entity}'s that represent objects within a {@link Scene}.
+ * * {@link MementoTransition} - Animates a {@link Scene} from its current state to the states saved in an {@link ObjectsMemento} and a CameraMemento.
  *
  * ## Usage
  *
@@ -139,15 +140,16 @@ class CameraMemento {
      *
      * @param {Scene} scene The scene.
      * @param {Function} [done] When this callback is given, will fly the {@link Camera} to the saved state then fire the callback. Otherwise will just jump the Camera to the saved state.
+     * @param {Number} [duration] Flight duration in seconds, when flying the {@link Camera}. Defaults to {@link CameraFlightAnimation#duration}.
      */
-    restoreCamera(scene, done) {
+    restoreCamera(scene, done, duration) {
 
         const camera = scene.camera;
         const savedProjection = this._projection;
 
         function restoreProjection() {
 
-            switch (savedProjection.type) {
+            switch (savedProjection.projection) {
 
                 case "perspective":
                     camera.perspective.fov = savedProjection.fov;
@@ -183,7 +185,8 @@ class CameraMemento {
                 look: this._look,
                 up: this._up,
                 orthoScale: savedProjection.scale,
-                projection: savedProjection.projection
+                projection: savedProjection.projection,
+                duration: duration
             }, () => {
                 restoreProjection();
                 done();
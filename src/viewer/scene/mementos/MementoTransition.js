@@ -0,0 +1,332 @@
+import {math} from "../math/math.js";
+
+const color = math.vec3();
+
+/**
+ * @desc Animates a {@link Scene} from its current state to the states saved in an {@link ObjectsMemento} and a {@link CameraMemento}.
+ *
+ * Where {@link ObjectsMemento#restoreObjects} snaps each object to its saved state, a MementoTransition:
+ *
+ * * fades in the objects that appear, by animating {@link Entity#opacity} up from zero,
+ * * fades out the objects that disappear, before hiding them,
+ * * interpolates {@link Entity#colorize} and {@link Entity#opacity} on the objects that change color or opacity, and
+ * * flies the {@link Camera} to its saved state with the Viewer's {@link CameraFlightAnimation}, over the same duration.
+ *
+ * All other saved object states, such as {@link Entity#xrayed} and {@link Entity#selected}, change as soon as the transition starts.
+ *
+ * Use {@link ObjectsMemento#getDiff} to find which objects a transition will animate.
+ *
+ * ## See Also
+ *
+ * * {@link CameraMemento} - Saves and restores the state of a {@link Scene}'s {@link Camera}.
+ * * {@link ObjectsMemento} - Saves and restores a snapshot of the visual state of the {@link Entity}'s that represent objects within a {@link Scene}.
+ *
+ * ## Usage
+ *
+ * In the example below, we'll save the state of the objects and the camera in two mementos. Then we'll move the camera and
+ * isolate some objects, and finally animate back to the saved states over two seconds.
+ *
+ * ````javascript
+ * import {Viewer} from "../src/viewer/Viewer.js";
+ * import {XKTLoaderPlugin} from "../src/plugins/XKTLoaderPlugin/XKTLoaderPlugin.js";
+ * import {CameraMemento} from "../src/viewer/scene/mementos/CameraMemento.js";
+ * import {ObjectsMemento} from "../src/viewer/scene/mementos/ObjectsMemento.js";
+ * import {MementoTransition} from "../src/viewer/scene/mementos/MementoTransition.js";
+ *
+ * const viewer = new Viewer({
+ *     canvasId: "myCanvas"
+ * });
+ *
+ * const xktLoader = new XKTLoaderPlugin(viewer);
+ *
+ * const model = xktLoader.load({
+ *     id: "myModel",
+ *     src: "./models/xkt/schependomlaan/schependomlaan.xkt"
+ * });
+ *
+ * model.on("loaded", () => {
+ *
+ *      const cameraMemento = new CameraMemento(viewer.scene);
+ *      const objectsMemento = new ObjectsMemento();
+ *
+ *      objectsMemento.saveObjects(viewer.scene);
+ *
+ *      // Move the camera and isolate a couple of objects
+ *
+ *      viewer.camera.eye = [45.3, 2.00, 5.13];
+ *      viewer.camera.look = [0.0, 5.5, 10.0];
+ *
+ *      viewer.scene.setObjectsVisible(viewer.scene.objectIds, false);
+ *      viewer.scene.setObjectsVisible(["0u4wgLe6n0ABVaiXyikbkA", "3u4wgLe3n0AXVaiXyikbYO"], true);
+ *
+ *      // Animate back to the saved states
+ *
+ *      const transition = new MementoTransition(viewer.scene);
+ *
+ *      transition.start({
+ *          objectsMemento: objectsMemento,
+ *          cameraMemento: cameraMemento,
+ *          duration: 2
+ *      }, () => {
+ *          // Arrived
+ *      });
+ * });
+ * ````
+ */
+class MementoTransition {
+
+    /**
+     * Creates a MementoTransition.
+     *
+     * @param {Scene} scene The scene to animate.
+     */
+    constructor(scene) {
+
+        /** @private */
+        this._scene = scene;
+
+        /** @private */
+        this._onTick = null;
+
+        /** @private */
+        this._animations = null;
+
+        /** @private */
+        this._disappearing = null;
+
+        /** @private */
+        this._objectsDone = true;
+
+        /** @private */
+        this._cameraDone = true;
+
+        /** @private */
+        this._done = null;
+    }
+
+    /**
+     * Gets whether this MementoTransition is currently animating.
+     *
+     * @type {Boolean}
+     */
+    get transitioning() {
+        return (!this._objectsDone || !this._cameraDone);
+    }
+
+    /**
+     * Starts animating the {@link Scene} to the states saved in the given mementos.
+     *
+     * Stops any transition already in progress first, jumping it to its end states.
+     *
+     * @param {Object} params Transition parameters.
+     * @param {ObjectsMemento} [params.objectsMemento] Memento with the states to animate the objects to.
+     * @param {CameraMemento} [params.cameraMemento] Memento with the state to fly the {@link Camera} to.
+     * @param {Number} [params.duration] Duration of the transition, in seconds. Defaults to {@link CameraFlightAnimation#duration}.
+     * @param {Function} [done] Callback fired when the transition has finished.
+     */
+    start(params, done) {
+
+        this.stop();
+
+        const scene = this._scene;
+        const duration = (params.duration !== undefined && params.duration !== null) ? params.duration : scene.viewer.cameraFlight.duration;
+
+        this._done = done || null;
+        this._objectsDone = !params.objectsMemento;
+        this._cameraDone = !params.cameraMemento;
+
+        if (params.objectsMemento) {
+            this._startObjects(params.objectsMemento, duration);
+        }
+
+        if (params.cameraMemento) {
+            params.cameraMemento.restoreCamera(scene, () => {
+                this._cameraDone = true;
+                this._checkDone();
+            }, duration);
+        }
+
+        this._checkDone();
+    }
+
+    /**
+     * Stops this MementoTransition, if animating.
+     *
+     * Jumps the objects to their end states. Leaves the {@link Camera} where it is. Does not fire the callback given to {@link MementoTransition#start}.
+     */
+    stop() {
+        if (!this._objectsDone) {
+            this._finishObjects();
+        }
+        if (!this._cameraDone) {
+            this._scene.viewer.cameraFlight.stop();
+            this._cameraDone = true;
+        }
+        this._done = null;
+    }
+
+    /**
+     * @private
+     */
+    _startObjects(objectsMemento, duration) {
+
+        const scene = this._scene;
+        const objects = scene.objects;
+        const diff = objectsMemento.getDiff(scene);
+
+        // Note the states we're animating from, then snap to the end states
+
+        const fromStates = {};
+        const getFromState = (objectId) => {
+            let fromState = fromStates[objectId];
+            if (!fromState) {
+                const object = objects[objectId];
+                fromState = fromStates[objectId] = {
+                    colorize: Array.from(object.colorize).slice(0, 3),
+                    opacity: object.opacity
+                };
+            }
+            return fromState;
+        };
+
+        for (let i = 0, len = diff.appearing.length; i < len; i++) {
+            getFromState(diff.appearing[i]).opacity = 0;
+        }
+        for (let i = 0, len = diff.disappearing.length; i < len; i++) {
+            getFromState(diff.disappearing[i]);
+        }
+        for (let i = 0, len = diff.colorChanging.length; i < len; i++) {
+            getFromState(diff.colorChanging[i]);
+        }
+        for (let i = 0, len = diff.opacityChanging.length; i < len; i++) {
+            getFromState(diff.opacityChanging[i]);
+        }
+
+        objectsMemento.restoreObjects(scene);
+
+        // Keep disappearing objects visible while they fade out
+
+        const disappearing = [];
+        const fadingOut = {};
+
+        for (let i = 0, len = diff.disappearing.length; i < len; i++) {
+            const objectId = diff.disappearing[i];
+            const object = objects[objectId];
+            object.visible = true;
+            disappearing.push(object);
+            fadingOut[objectId] = true;
+        }
+
+        // Animate from the start states to the end states
+
+        const animations = [];
+
+        for (let objectId in fromStates) {
+            if (fromStates.hasOwnProperty(objectId)) {
+                const object = objects[objectId];
+                const fromState = fromStates[objectId];
+                const toColorize = Array.from(object.colorize).slice(0, 3);
+                const toOpacity = object.opacity;
+                animations.push({
+                    object: object,
+                    fromColorize: fromState.colorize,
+                    toColorize: toColorize,
+                    colorChanging: !vec3Equal(fromState.colorize, toColorize),
+                    fromOpacity: fromState.opacity,
+                    toOpacity: toOpacity,
+                    animToOpacity: fadingOut[objectId] ? 0 : toOpacity
+                });
+            }
+        }
+
+        this._animations = animations;
+        this._disappearing = disappearing;
+
+        const time1 = Date.now();
+        const time2 = time1 + (duration * 1000);
+
+        this._update(0);
+
+        this._onTick = scene.on("tick", () => {
+            const t = (time2 > time1) ? (Date.now() - time1) / (time2 - time1) : 1;
+            if (t >= 1) {
+                this._finishObjects();
+                this._checkDone();
+                return;
+            }
+            this._update(ease(t));
+        });
+    }
+
+    /**
+     * @private
+     */
+    _update(t) {
+        const animations = this._animations;
+        for (let i = 0, len = animations.length; i < len; i++) {
+            const animation = animations[i];
+            const object = animation.object;
+            if (animation.colorChanging) {
+                const fromColorize = animation.fromColorize;
+                const toColorize = animation.toColorize;
+                color[0] = fromColorize[0] + (toColorize[0] - fromColorize[0]) * t;
+                color[1] = fromColorize[1] + (toColorize[1] - fromColorize[1]) * t;
+                color[2] = fromColorize[2] + (toColorize[2] - fromColorize[2]) * t;
+                object.colorize = color;
+            }
+            if (animation.fromOpacity !== animation.animToOpacity) {
+                object.opacity = animation.fromOpacity + (animation.animToOpacity - animation.fromOpacity) * t;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _finishObjects() {
+        if (this._onTick !== null) {
+            this._scene.off(this._onTick);
+            this._onTick = null;
+        }
+        const animations = this._animations;
+        if (animations) {
+            for (let i = 0, len = animations.length; i < len; i++) {
+                const animation = animations[i];
+                if (animation.colorChanging) {
+                    animation.object.colorize = animation.toColorize;
+                }
+                animation.object.opacity = animation.toOpacity;
+            }
+        }
+        const disappearing = this._disappearing;
+        if (disappearing) {
+            for (let i = 0, len = disappearing.length; i < len; i++) {
+                disappearing[i].visible = false;
+            }
+        }
+        this._animations = null;
+        this._disappearing = null;
+        this._objectsDone = true;
+    }
+
+    /**
+     * @private
+     */
+    _checkDone() {
+        if (this._objectsDone && this._cameraDone && this._done) {
+            const done = this._done;
+            this._done = null;
+            done();
+        }
+    }
+}
+
+function vec3Equal(a, b) {
+    return (a[0] === b[0] && a[1] === b[1] && a[2] === b[2]);
+}
+
+function ease(t) { // Quadratic easing out, as used by CameraFlightAnimation
+    return -t * (t - 2);
+}
+
+export {MementoTransition};
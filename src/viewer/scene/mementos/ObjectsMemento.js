@@ -2,6 +2,7 @@ import {math} from "../math/math.js";
 import {utils} from "../utils.js";
 
 const color = math.vec3();
+const EPSILON = 0.5 / 255; // Colors and opacities of objects in PerformanceModels are quantized to 8 bits
 
 /**
  * @desc Saves and restores a snapshot of the visual state of the {@link Entity}'s that represent objects within a {@link Scene}.
@@ -13,6 +14,7 @@ const color = math.vec3();
  *
  * * {@link CameraMemento} - Saves and restores the state of a {@link Scene}'s {@link Camera}.
  * * {@link ModelMemento} - Saves and restores a snapshot of the visual state of the {@link Entity}'s of a model within a {@link Scene}.
+ * * {@link MementoTransition} - Animates a {@link Scene} from its current state to the states saved in an ObjectsMemento and a {@link CameraMemento}.
  *
  * ## Usage
  *
@@ -184,8 +186,75 @@ class ObjectsMemento {
         }
     }
 
+    /**
+     * Gets the differences between the current state of a {@link Scene}'s {@link Entity}'s and their state previously captured with {@link ObjectsMemento#saveObjects}.
+     *
+     * The differences are what {@link ObjectsMemento#restoreObjects} would change. Only the state covered by the
+     * mask given to {@link ObjectsMemento#saveObjects} is compared.
+     *
+     * ````javascript
+     * const diff = objectsMemento.getDiff(viewer.scene);
+     *
+     * console.log("Objects that will appear: " + diff.appearing.length);
+     * console.log("Objects that will disappear: " + diff.disappearing.length);
+     * ````
+     *
+     * @param {Scene} scene The scene.
+     * @returns {{appearing: String[], disappearing: String[], colorChanging: String[], opacityChanging: String[]}} IDs of
+     * the objects that will become visible, become invisible, change {@link Entity#colorize} and change {@link Entity#opacity}.
+     */
+    getDiff(scene) {
+
+        const mask = this._mask;
+
+        const visible = (!mask || mask.visible);
+        const colorize = (!mask || mask.colorize);
+        const opacity = (!mask || mask.opacity);
+
+        const diff = {
+            appearing: [],
+            disappearing: [],
+            colorChanging: [],
+            opacityChanging: []
+        };
+
+        var i = 0;
+
+        const objects = scene.objects;
+
+        for (var objectId in objects) {
+            if (objects.hasOwnProperty(objectId)) {
+                const object = objects[objectId];
+                if (visible && object.visible !== this.objectsVisible[i]) {
+                    if (this.objectsVisible[i]) {
+                        diff.appearing.push(objectId);
+                    } else {
+                        diff.disappearing.push(objectId);
+                    }
+                }
+                if (colorize) {
+                    const objectColor = object.colorize;
+                    if (Math.abs(objectColor[0] - this.objectsColorize[i * 3 + 0]) > EPSILON ||
+                        Math.abs(objectColor[1] - this.objectsColorize[i * 3 + 1]) > EPSILON ||
+                        Math.abs(objectColor[2] - this.objectsColorize[i * 3 + 2]) > EPSILON) {
+                        diff.colorChanging.push(objectId);
+                    }
+                }
+                if (opacity && Math.abs(object.opacity - this.objectsOpacity[i]) > EPSILON) {
+                    diff.opacityChanging.push(objectId);
+                }
+                i++;
+            }
+        }
+
+        return diff;
+    }
+
     /**
      * Restores a {@link Scene}'s {@link Entity}'s to their state previously captured with {@link ObjectsMemento#saveObjects}.
+     *
+     * To animate the change instead, use a {@link MementoTransition}.
+     *
      * @param {Scene} scene The scene.
      */
     restoreObjects(scene) {
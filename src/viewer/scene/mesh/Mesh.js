@@ -1421,6 +1421,9 @@ class Mesh extends Component {
     set offset(value) {
         this._state.offset.set(value || [0, 0, 0]);
         this._setAABBDirty();
+        if (this._isObject) {
+            this.scene._objectOffsetUpdated(this, value);
+        }
         this.glRedraw();
     }
 
@@ -25,13 +25,16 @@ const unitsInfo = {
         abbrev: "mm"
     },
     yards: {
-        abbrev: "yd"
+        abbrev: "yd",
+        inches: 36
     },
     feet: {
-        abbrev: "ft"
+        abbrev: "ft",
+        inches: 12
     },
     inches: {
-        abbrev: "in"
+        abbrev: "in",
+        inches: 1
     }
 };
 
@@ -45,6 +48,9 @@ const unitsInfo = {
  * * {@link Metrics#units} configures the Real-space unit type, which is ````"meters"```` by default.
  * * {@link Metrics#scale} configures the number of Real-space units represented by each unit within the World-space 3D coordinate system. This is ````1.0```` by default.
  * * {@link Metrics#origin} configures the 3D Real-space origin, in current Real-space units, at which this {@link Scene}'s World-space coordinate origin sits, This is ````[0,0,0]```` by default.
+ * * {@link Metrics#precision}, {@link Metrics#unitsVisible}, {@link Metrics#feetAndInches} and {@link Metrics#inchFraction} configure how
+ * measurements are formatted by {@link Metrics#formatLength}, {@link Metrics#formatArea} and {@link Metrics#formatAngle}, which
+ * measurement plugins such as {@link DistanceMeasurementsPlugin} use for their labels.
  *
  * ## Usage
  *
@@ -75,6 +81,32 @@ const unitsInfo = {
  * metrics.scale = 10.0;
  * metrics.origin = [100.0, 0.0, 200.0];
  * ````
+ *
+ * ## Formatting Measurements
+ *
+ * Measurement labels show their values in Real-space units, formatted by Metrics. When we change the formatting, or the
+ * units or scale, the labels of all existing measurements update themselves.
+ *
+ * Let's show our measurements in feet and inches, rounded to the nearest eighth of an inch:
+ *
+ * ````JavaScript
+ * metrics.units = "feet";
+ * metrics.feetAndInches = true;
+ * metrics.inchFraction = 8;
+ *
+ * metrics.formatLength(5.296);     // "5' 3 1/2\""
+ * metrics.formatArea(12.5);        // "12.50ft²"
+ * ````
+ *
+ * Or in meters, with three decimal places and no units suffix:
+ *
+ * ````JavaScript
+ * metrics.units = "meters";
+ * metrics.precision = 3;
+ * metrics.unitsVisible = false;
+ *
+ * metrics.formatLength(5.29613);   // "5.296"
+ * ````
  */
 class Metrics extends Component {
 
@@ -89,10 +121,18 @@ class Metrics extends Component {
         this._units = "meters";
         this._scale = 1.0;
         this._origin = math.vec3([0, 0, 0]);
+        this._precision = 2;
+        this._unitsVisible = true;
+        this._feetAndInches = false;
+        this._inchFraction = 16;
 
         this.units = cfg.units;
         this.scale = cfg.scale;
         this.origin = cfg.origin;
+        this.precision = cfg.precision;
+        this.unitsVisible = cfg.unitsVisible;
+        this.feetAndInches = cfg.feetAndInches;
+        this.inchFraction = cfg.inchFraction;
     }
 
     /**
@@ -122,13 +162,16 @@ class Metrics extends Component {
      *              abbrev: "mm"
      *          },
      *          yards: {
-     *              abbrev: "yd"
+     *              abbrev: "yd",
+     *              inches: 36
      *          },
      *          feet: {
-     *              abbrev: "ft"
+     *              abbrev: "ft",
+     *              inches: 12
      *          },
      *          inches: {
-     *              abbrev: "in"
+     *              abbrev: "in",
+     *              inches: 1
      *          }
      *      }
      * }
@@ -225,6 +268,148 @@ class Metrics extends Component {
         return this._origin;
     }
 
+    /**
+     * Sets the number of decimal places in formatted measurements.
+     *
+     * This is ````2```` by default.
+     *
+     * @emits ````"precision"```` event on change, with the value of this property.
+     * @type {Number}
+     */
+    set precision(value) {
+        if (value === undefined || value === null) {
+            value = 2;
+        }
+        if (value < 0 || value > 20 || Math.floor(value) !== value) {
+            this.error("precision should be a whole number from 0 to 20 - defaulting to 2");
+            value = 2;
+        }
+        this._precision = value;
+        this.fire("precision", this._precision);
+    }
+
+    /**
+     * Gets the number of decimal places in formatted measurements.
+     *
+     * @type {Number}
+     */
+    get precision() {
+        return this._precision;
+    }
+
+    /**
+     * Sets whether formatted measurements end with the abbreviation of {@link Metrics#units}.
+     *
+     * This is ````true```` by default.
+     *
+     * @emits ````"unitsVisible"```` event on change, with the value of this property.
+     * @type {Boolean}
+     */
+    set unitsVisible(value) {
+        this._unitsVisible = (value !== false);
+        this.fire("unitsVisible", this._unitsVisible);
+    }
+
+    /**
+     * Gets whether formatted measurements end with the abbreviation of {@link Metrics#units}.
+     *
+     * @type {Boolean}
+     */
+    get unitsVisible() {
+        return this._unitsVisible;
+    }
+
+    /**
+     * Sets whether {@link Metrics#formatLength} formats lengths as feet and inches, like ````5' 3 1/2"````, when {@link Metrics#units}
+     * is ````"yards"````, ````"feet"```` or ````"inches"````.
+     *
+     * Lengths are rounded to the nearest fraction of an inch given by {@link Metrics#inchFraction}. Has no effect on metric units,
+     * or on areas.
+     *
+     * This is ````false```` by default.
+     *
+     * @emits ````"feetAndInches"```` event on change, with the value of this property.
+     * @type {Boolean}
+     */
+    set feetAndInches(value) {
+        this._feetAndInches = !!value;
+        this.fire("feetAndInches", this._feetAndInches);
+    }
+
+    /**
+     * Gets whether {@link Metrics#formatLength} formats lengths as feet and inches, when {@link Metrics#units} is ````"yards"````, ````"feet"```` or ````"inches"````.
+     *
+     * @type {Boolean}
+     */
+    get feetAndInches() {
+        return this._feetAndInches;
+    }
+
+    /**
+     * Sets the fraction of an inch to which {@link Metrics#formatLength} rounds lengths, while {@link Metrics#feetAndInches} is ````true````.
+     *
+     * For example, ````16```` rounds to the nearest sixteenth of an inch, and ````1```` rounds to whole inches.
+     *
+     * This is ````16```` by default.
+     *
+     * @emits ````"inchFraction"```` event on change, with the value of this property.
+     * @type {Number}
+     */
+    set inchFraction(value) {
+        if (value === undefined || value === null) {
+            value = 16;
+        }
+        if (value < 1 || Math.floor(value) !== value) {
+            this.error("inchFraction should be a whole number of at least 1 - defaulting to 16");
+            value = 16;
+        }
+        this._inchFraction = value;
+        this.fire("inchFraction", this._inchFraction);
+    }
+
+    /**
+     * Gets the fraction of an inch to which {@link Metrics#formatLength} rounds lengths, while {@link Metrics#feetAndInches} is ````true````.
+     *
+     * @type {Number}
+     */
+    get inchFraction() {
+        return this._inchFraction;
+    }
+
+    /**
+     * Formats a Real-space length for display.
+     *
+     * @param {Number} length Length in Real-space units, as indicated by {@link Metrics#units}.
+     * @returns {String} The formatted length.
+     */
+    formatLength(length) {
+        const info = unitsInfo[this._units];
+        if (this._feetAndInches && info.inches) {
+            return formatFeetAndInches(length * info.inches, this._inchFraction);
+        }
+        return length.toFixed(this._precision) + (this._unitsVisible ? info.abbrev : "");
+    }
+
+    /**
+     * Formats a Real-space area for display.
+     *
+     * @param {Number} area Area in Real-space units, as indicated by {@link Metrics#units}, squared.
+     * @returns {String} The formatted area.
+     */
+    formatArea(area) {
+        return area.toFixed(this._precision) + (this._unitsVisible ? unitsInfo[this._units].abbrev + "²" : "");
+    }
+
+    /**
+     * Formats an angle for display.
+     *
+     * @param {Number} angle Angle in degrees.
+     * @returns {String} The formatted angle.
+     */
+    formatAngle(angle) {
+        return angle.toFixed(this._precision) + "°";
+    }
+
     /**
      * Converts a 3D position from World-space to Real-space.
      *
@@ -257,4 +442,27 @@ class Metrics extends Component {
     }
 }
 
+function formatFeetAndInches(inches, inchFraction) {
+    const sign = (inches < 0) ? "-" : "";
+    const numFractions = Math.round(Math.abs(inches) * inchFraction);
+    const feet = Math.floor(numFractions / (12 * inchFraction));
+    const remainder = numFractions - (feet * 12 * inchFraction);
+    const wholeInches = Math.floor(remainder / inchFraction);
+    let numerator = remainder - (wholeInches * inchFraction);
+    let denominator = inchFraction;
+    if (numerator === 0) {
+        return sign + feet + "' " + wholeInches + "\"";
+    }
+    let a = numerator;
+    let b = denominator;
+    while (b) { // Greatest common divisor
+        const t = b;
+        b = a % b;
+        a = t;
+    }
+    numerator /= a;
+    denominator /= a;
+    return sign + feet + "' " + wholeInches + " " + numerator + "/" + denominator + "\"";
+}
+
 export {Metrics};
\ No newline at end of file
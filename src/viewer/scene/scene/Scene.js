@@ -60,6 +60,42 @@ function getEntityIDMap(scene, entityIds) {
  * @param {String} value The warning message
  */
 
+/**
+ * Fired whenever the {@link Entity#xrayed} state of an {@link Entity} that represents an object is updated.
+ * @event objectXRayed
+ * @param {Entity} value The Entity
+ */
+
+/**
+ * Fired whenever the {@link Entity#highlighted} state of an {@link Entity} that represents an object is updated.
+ * @event objectHighlighted
+ * @param {Entity} value The Entity
+ */
+
+/**
+ * Fired whenever the {@link Entity#selected} state of an {@link Entity} that represents an object is updated.
+ * @event objectSelected
+ * @param {Entity} value The Entity
+ */
+
+/**
+ * Fired whenever the {@link Entity#colorize} of an {@link Entity} that represents an object is updated.
+ * @event objectColorize
+ * @param {Entity} value The Entity
+ */
+
+/**
+ * Fired whenever the {@link Entity#opacity} of an {@link Entity} that represents an object is updated.
+ * @event objectOpacity
+ * @param {Entity} value The Entity
+ */
+
+/**
+ * Fired whenever the {@link Entity#offset} of an {@link Entity} that represents an object is updated.
+ * @event objectOffset
+ * @param {Entity} value The Entity
+ */
+
 /**
  * @desc Contains the components that comprise a 3D scene.
  *
@@ -1023,6 +1059,7 @@ class Scene extends Component {
             this._numXRayedObjects--;
         }
         this._xrayedObjectIds = null; // Lazy regenerate
+        this.fire("objectXRayed", entity, true);
     }
 
     _objectHighlightedUpdated(entity) {
@@ -1042,6 +1079,7 @@ class Scene extends Component {
             this._numHighlightedObjects--;
         }
         this._highlightedObjectIds = null; // Lazy regenerate
+        this.fire("objectHighlighted", entity, true);
     }
 
     _objectSelectedUpdated(entity) {
@@ -1061,6 +1099,7 @@ class Scene extends Component {
             this._numSelectedObjects--;
         }
         this._selectedObjectIds = null; // Lazy regenerate
+        this.fire("objectSelected", entity, true);
     }
 
     _objectColorizeUpdated(entity, colorized) {
@@ -1072,6 +1111,7 @@ class Scene extends Component {
             this._numColorizedObjects--;
         }
         this._colorizedObjectIds = null; // Lazy regenerate
+        this.fire("objectColorize", entity, true);
     }
 
     _objectOpacityUpdated(entity, opacityUpdated) {
@@ -1083,17 +1123,21 @@ class Scene extends Component {
             this._numOpacityObjects--;
         }
         this._opacityObjectIds = null; // Lazy regenerate
+        this.fire("objectOpacity", entity, true);
     }
 
     _objectOffsetUpdated(entity, offset) {
         if (!offset || offset[0] === 0 && offset[1] === 0 && offset[2] === 0) {
+            if (this.offsetObjects[entity.id]) {
+                delete this.offsetObjects[entity.id];
+                this._numOffsetObjects--;
+            }
+        } else if (!this.offsetObjects[entity.id]) {
             this.offsetObjects[entity.id] = entity;
             this._numOffsetObjects++;
-        } else {
-            delete this.offsetObjects[entity.id];
-            this._numOffsetObjects--;
         }
         this._offsetObjectIds = null; // Lazy regenerate
+        this.fire("objectOffset", entity, true);
     }
 
     _webglContextLost() {
@@ -19,7 +19,7 @@ class PickResult {
         this.entity = null;
 
         /**
-         * Type of primitive that was picked - usually "triangle".
+         * Type of primitive that was picked - usually "triangle", or "point" when a point was picked within a point cloud.
          * Null when no primitive was picked.
          * @property primitive
          * @type {String}
@@ -27,7 +27,7 @@ class PickResult {
         this.primitive = null;
 
         /**
-         * Index of primitive that was picked.
+         * Index of primitive that was picked. When {@link PickResult#primitive} is "point", this is the index of the point within the picked {@link Entity}.
          * -1 when no entity was picked.
          * @property primIndex
          * @type {number}
@@ -33,6 +33,18 @@ class Pickable {
     pickTriangleSurface(pickResult) {
     }
 
+    /**
+     * Called by xeokit to get if this Drawable is made of points, from which it's possible to pick an individual point.
+     */
+    canPickPoint() {
+    }
+
+    /**
+     * Renders the points of this Drawable, each with its index encoded as a color.
+     */
+    drawPickPoints() {
+    }
+
     /**
      * Called by xeokit to get if it's possible to pick a 3D point on the surface of this Drawable.
      * Returns false if canPickTriangle returns true, and vice-versa.
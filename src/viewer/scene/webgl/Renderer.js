@@ -848,7 +848,13 @@ const Renderer = function (scene, options) {
 
             if (params.pickSurface) {
 
-                if (pickable.canPickTriangle && pickable.canPickTriangle()) {
+                if (pickable.canPickPoint && pickable.canPickPoint()) {
+                    pickPoint(pickable, canvasX, canvasY, pickViewMatrix, pickProjMatrix, pickResult);
+                    if (pickable.canPickWorldPos && pickable.canPickWorldPos()) {
+                        pickWorldPos(pickable, canvasX, canvasY, pickViewMatrix, pickProjMatrix, pickResult);
+                    }
+
+                } else if (pickable.canPickTriangle && pickable.canPickTriangle()) {
                     pickTriangle(pickable, canvasX, canvasY, pickViewMatrix, pickProjMatrix, pickResult);
                     pickable.pickTriangleSurface(pickViewMatrix, pickProjMatrix, pickResult);
 
@@ -960,6 +966,30 @@ const Renderer = function (scene, options) {
         pickResult.primIndex = primIndex;
     }
 
+    function pickPoint(pickable, canvasX, canvasY, pickViewMatrix, pickProjMatrix, pickResult) {
+
+        frameCtx.reset();
+        frameCtx.backfaces = true;
+        frameCtx.frontface = true; // "ccw"
+        frameCtx.pickViewMatrix = pickViewMatrix;
+        frameCtx.pickProjMatrix = pickProjMatrix;
+
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.enable(gl.DEPTH_TEST);
+        gl.disable(gl.CULL_FACE);
+        gl.disable(gl.BLEND);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        pickable.drawPickPoints(frameCtx); // Draw color-encoded point indices
+
+        const pix = pickBuffer.read(Math.round(canvasX), Math.round(canvasY));
+
+        pickResult.primitive = "point";
+        pickResult.primIndex = pix[0] + (pix[1] * 256) + (pix[2] * 256 * 256) + (pix[3] * 256 * 256 * 256); // Index of the point
+    }
+
     var pickWorldPos = (function () {
 
         const tempVec4a = math.vec4();